@@ -0,0 +1,102 @@
+// admin/finances-commission.js
+// Platform fees earned by plan, and the commission rules that set them (backend API)
+
+(function initCommission(){
+  const feeTbody = document.getElementById('feePlanTbody');
+  const ruleTbody = document.getElementById('ruleTbody');
+  if (!feeTbody || !ruleTbody || typeof api !== 'function') return;
+
+  const gbp = (n) => '£' + Number(n || 0).toFixed(2);
+  const esc = (v) => String(v == null ? '' : v).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+  const day = (d) => d ? new Date(d).toLocaleDateString('en-GB') : '';
+  const msg = document.getElementById('ruleMsg');
+
+  function describeFee(rule){
+    const parts = [];
+    if (Number(rule.percent) > 0) parts.push(Number(rule.percent) + '%');
+    if (Number(rule.fixed_fee) > 0) parts.push(gbp(rule.fixed_fee));
+    return parts.length ? parts.join(' + ') : 'No fee';
+  }
+
+  function describeDates(rule){
+    if (!rule.starts_at && !rule.ends_at) return 'Always';
+    return (day(rule.starts_at) || '…') + ' – ' + (day(rule.ends_at) || '…');
+  }
+
+  async function loadSummary(){
+    const from = document.getElementById('fromDate')?.value;
+    const to = document.getElementById('toDate')?.value;
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to + 'T23:59:59');
+    try {
+      const summary = await api('/commission/summary' + (params.toString() ? '?' + params : ''));
+      document.getElementById('feeRange').textContent = (from || to) ? `${day(summary.from)} – ${day(summary.to)}` : 'Last 30 days';
+      document.getElementById('feeTotal').textContent = gbp(summary.totals.platformFee);
+      document.getElementById('feeGross').textContent = gbp(summary.totals.gross);
+      const plans = Object.entries(summary.byPlan);
+      feeTbody.innerHTML = plans.length
+        ? plans.map(([plan, row]) => `<tr><td>${esc(plan)}</td><td>${row.bookings}</td><td>${gbp(row.gross)}</td><td>${gbp(row.platformFee)}</td></tr>`).join('')
+        : '<tr><td colspan="4" class="note">No platform fees in this period</td></tr>';
+    } catch (e) {
+      feeTbody.innerHTML = '<tr><td colspan="4" class="note">Platform fees unavailable</td></tr>';
+    }
+  }
+
+  async function loadRules(){
+    try {
+      const rules = await api('/commission/rules?includeInactive=true');
+      ruleTbody.innerHTML = rules.length ? rules.map(rule => `
+        <tr style="${rule.active ? '' : 'opacity:.5'}">
+          <td>${esc(rule.name)}</td>
+          <td>${esc(rule.plan || 'Any')}</td>
+          <td>${esc(rule.category || 'Any')}</td>
+          <td>${describeFee(rule)}</td>
+          <td>${rule.max_fee == null ? '—' : gbp(rule.max_fee)}</td>
+          <td>${describeDates(rule)}</td>
+          <td><button class="input" style="cursor:pointer" data-rule="${rule.id}" data-active="${rule.active ? 'false' : 'true'}">${rule.active ? 'Retire' : 'Restore'}</button></td>
+        </tr>`).join('')
+        : '<tr><td colspan="7" class="note">No rules yet: every booking is charged the default platform fee</td></tr>';
+    } catch (e) {
+      ruleTbody.innerHTML = '<tr><td colspan="7" class="note">Commission rules unavailable</td></tr>';
+    }
+  }
+
+  ruleTbody.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-rule]');
+    if (!btn) return;
+    btn.disabled = true;
+    try {
+      await api('/commission/rules/' + btn.dataset.rule, { method: 'PATCH', body: JSON.stringify({ active: btn.dataset.active === 'true' }) });
+      await loadRules();
+    } catch (_) { btn.disabled = false; }
+  });
+
+  document.getElementById('ruleAdd')?.addEventListener('click', async () => {
+    const value = (id) => document.getElementById(id).value.trim();
+    const rule = {
+      name: value('ruleName'),
+      plan: value('rulePlan') || null,
+      category: value('ruleCategory') || null,
+      percent: Number(value('rulePercent') || 0),
+      fixedFee: Number(value('ruleFixed') || 0),
+      maxFee: value('ruleCap') === '' ? null : Number(value('ruleCap')),
+      startsAt: value('ruleStarts') || null,
+      endsAt: value('ruleEnds') || null
+    };
+    if (!rule.name) { msg.textContent = 'Give the rule a name'; return; }
+    try {
+      await api('/commission/rules', { method: 'POST', body: JSON.stringify(rule) });
+      msg.textContent = 'Rule added';
+      document.querySelectorAll('#ruleForm input').forEach(input => { input.value = ''; });
+      await loadRules();
+    } catch (e) {
+      msg.textContent = '⚠️ Could not add rule (check the fee and dates)';
+    }
+  });
+
+  document.getElementById('applyRange')?.addEventListener('click', loadSummary);
+
+  loadSummary();
+  loadRules();
+})();
@@ -1,8 +1,10 @@
-const express = require('express');
-const crypto = require('crypto');
-const twilio = require('twilio');
-const cors = require('cors');
-const rateLimit = require('express-rate-limit');
+import express from 'express';
+import crypto from 'crypto';
+import twilio from 'twilio';
+import cors from 'cors';
+import rateLimit from 'express-rate-limit';
+import db from './db.js';
+import { getAvailability, checkSlotAvailability, withBusinessScheduleLock } from './services/availabilityService.js';
 
 const app = express();
 app.use(express.json());
@@ -21,27 +23,34 @@ const twilioClient = twilio(
   process.env.TWILIO_AUTH_TOKEN
 );
 
-// In-memory storage (replace with your database)
+// Booking links waiting for the customer to confirm. Slots come from the
+// availability engine, and a confirmed link becomes a row in `bookings`.
 const bookings = new Map();
-const businessSlots = new Map();
-
-// Initialize some sample data
-businessSlots.set('123', {
-  businessId: '123',
-  businessName: 'Royal Hair Studio',
-  services: [
-    { id: 'haircut', name: 'Haircut & Style', duration: 60, price: 45 },
-    { id: 'color', name: 'Hair Coloring', duration: 120, price: 85 },
-    { id: 'braids', name: 'Protective Style', duration: 180, price: 120 }
-  ],
-  availableSlots: [
-    { date: '2025-01-15', time: '09:00', available: true },
-    { date: '2025-01-15', time: '10:00', available: true },
-    { date: '2025-01-15', time: '14:00', available: true },
-    { date: '2025-01-16', time: '09:00', available: true },
-    { date: '2025-01-16', time: '11:00', available: true }
-  ]
-});
+
+/**
+ * A business and its bookable services
+ */
+async function getBusinessServices(businessId) {
+  if (!Number.isInteger(businessId)) return null;
+  const { rows: businesses } = await db.query('SELECT id, name FROM businesses WHERE id = $1', [businessId]);
+  if (!businesses.length) return null;
+
+  const { rows: services } = await db.query(
+    `SELECT id, name, duration_minutes, price FROM business_services
+     WHERE business_id = $1 AND active = true
+     ORDER BY name`,
+    [businessId]
+  );
+  return {
+    businessName: businesses[0].name,
+    services: services.map(service => ({
+      id: service.id,
+      name: service.name,
+      duration: service.duration_minutes,
+      price: Number(service.price)
+    }))
+  };
+}
 
 /**
  * Generate a unique booking token
@@ -89,21 +98,43 @@ This link is valid for 24 hours. Please confirm to secure your slot! ✨`;
 // API Routes
 
 /**
- * Get available slots for a business
+ * Services, and the free times for one of them on a day, for a business.
+ * Query: serviceId and date (YYYY-MM-DD); without them availableSlots is empty.
  */
-app.get('/api/business/:businessId/slots', (req, res) => {
-  const { businessId } = req.params;
-  const business = businessSlots.get(businessId);
-  
-  if (!business) {
-    return res.status(404).json({ error: 'Business not found' });
+app.get('/api/business/:businessId/slots', async (req, res) => {
+  try {
+    const businessId = parseInt(req.params.businessId);
+    const { serviceId, date } = req.query;
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+
+    const business = await getBusinessServices(businessId);
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const availability = serviceId && date ? await getAvailability(businessId, parseInt(serviceId), date) : null;
+    if (serviceId && date && !availability) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    res.json({
+      businessName: business.businessName,
+      services: business.services,
+      availableSlots: availability
+        ? availability.slots.filter(slot => slot.available).map(slot => ({
+          date,
+          time: slot.time,
+          startTime: slot.startTime,
+          available: true
+        }))
+        : []
+    });
+  } catch (error) {
+    console.error('Error fetching slots:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  
-  res.json({
-    businessName: business.businessName,
-    services: business.services,
-    availableSlots: business.availableSlots.filter(slot => slot.available)
-  });
 });
 
 /**
@@ -119,24 +150,20 @@ app.post('/api/generate-booking-link', async (req, res) => {
     }
     
     // Get business and service details
-    const business = businessSlots.get(businessId);
+    const business = await getBusinessServices(parseInt(businessId));
     if (!business) {
       return res.status(404).json({ error: 'Business not found' });
     }
     
-    const service = business.services.find(s => s.id === serviceId);
+    const service = business.services.find(s => String(s.id) === String(serviceId));
     if (!service) {
       return res.status(404).json({ error: 'Service not found' });
     }
     
-    // Check if slot is still available
-    const slot = business.availableSlots.find(s => 
-      s.date === slotDateTime.split('T')[0] && 
-      s.time === slotDateTime.split('T')[1].substring(0, 5)
-    );
-    
-    if (!slot || !slot.available) {
-      return res.status(400).json({ error: 'Slot no longer available' });
+    // Check the slot is free now (it is checked again when the customer confirms)
+    const check = await checkSlotAvailability(parseInt(businessId), service.id, slotDateTime);
+    if (!check.available) {
+      return res.status(400).json({ error: 'Slot no longer available', reason: check.reason });
     }
     
     // Generate booking link
@@ -146,8 +173,8 @@ app.post('/api/generate-booking-link', async (req, res) => {
     // Store booking data
     const bookingData = {
       token,
-      businessId,
-      serviceId,
+      businessId: String(businessId),
+      serviceId: service.id,
       slotDateTime,
       customerPhone,
       customerName: customerName || 'Customer',
@@ -271,25 +298,37 @@ app.post('/api/booking/:token/confirm', async (req, res) => {
       return res.status(400).json({ error: 'Booking already confirmed' });
     }
     
+    // Book the slot if it is still free, under the business's schedule lock
+    const result = await withBusinessScheduleLock(parseInt(booking.businessId), async (client) => {
+      const check = await checkSlotAvailability(parseInt(booking.businessId), booking.serviceId, booking.slotDateTime, { client });
+      if (!check.available) return { error: check.reason };
+
+      const { rows } = await client.query(
+        `INSERT INTO bookings (
+          business_id, service_id, staff_id, service, date, time, price, total_amount,
+          start_time, end_time, customer_email, status, cancellation_policy
+        ) VALUES ($1, $2, $3, $4, $5::timestamp::date, $5::timestamp::time, $6, $6, $5, $7, $8, 'confirmed',
+          (SELECT cancellation_policy FROM businesses WHERE id = $1))
+        RETURNING id`,
+        [
+          parseInt(booking.businessId), booking.serviceId, check.staffId, booking.serviceName,
+          check.slot.startTime, check.price, check.slot.endTime, customerEmail || null
+        ]
+      );
+      return rows[0];
+    });
+    if (result.error) {
+      return res.status(409).json({ error: 'Slot no longer available', reason: result.error });
+    }
+    
     // Update booking status
     booking.status = 'confirmed';
+    booking.bookingId = result.id;
     booking.confirmedAt = new Date().toISOString();
     booking.customerName = customerName || booking.customerName;
     booking.customerEmail = customerEmail;
     booking.specialRequests = specialRequests;
     
-    // Mark slot as unavailable
-    const business = businessSlots.get(booking.businessId);
-    if (business) {
-      const slot = business.availableSlots.find(s => 
-        s.date === booking.slotDateTime.split('T')[0] && 
-        s.time === booking.slotDateTime.split('T')[1].substring(0, 5)
-      );
-      if (slot) {
-        slot.available = false;
-      }
-    }
-    
     // Send confirmation WhatsApp message
     try {
       const confirmationMessage = `✅ *Booking Confirmed!*
@@ -330,33 +369,34 @@ ${booking.businessName} 💫`;
 /**
  * Cancel booking
  */
-app.post('/api/booking/:token/cancel', (req, res) => {
-  const { token } = req.params;
-  const booking = bookings.get(token);
-  
-  if (!booking) {
-    return res.status(404).json({ error: 'Booking not found' });
-  }
-  
-  booking.status = 'cancelled';
-  booking.cancelledAt = new Date().toISOString();
-  
-  // Mark slot as available again
-  const business = businessSlots.get(booking.businessId);
-  if (business) {
-    const slot = business.availableSlots.find(s => 
-      s.date === booking.slotDateTime.split('T')[0] && 
-      s.time === booking.slotDateTime.split('T')[1].substring(0, 5)
-    );
-    if (slot) {
-      slot.available = true;
+app.post('/api/booking/:token/cancel', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const booking = bookings.get(token);
+    
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    
+    booking.status = 'cancelled';
+    booking.cancelledAt = new Date().toISOString();
+    
+    // Free the slot again
+    if (booking.bookingId) {
+      await db.query(
+        "UPDATE bookings SET status = 'cancelled', updated_at = NOW() WHERE id = $1 AND status = 'confirmed'",
+        [booking.bookingId]
+      );
     }
+    
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  
-  res.json({
-    success: true,
-    message: 'Booking cancelled successfully'
-  });
 });
 
 /**
@@ -375,11 +415,12 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Booking API server running on port ${PORT}`);
   console.log('Environment variables required:');
+  console.log('- DATABASE_URL');
   console.log('- TWILIO_ACCOUNT_SID');
   console.log('- TWILIO_AUTH_TOKEN');
   console.log('- TWILIO_WHATSAPP_NUMBER');
   console.log('- FRONTEND_URL');
 });
 
-module.exports = app;
+export default app;
 
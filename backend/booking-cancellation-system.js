@@ -172,6 +172,9 @@ const BookingCancellationSystem = {
         // Send customer notification
         this.sendCancellationNotification(booking);
 
+        // Offer the freed slot to the waiting list
+        this.releaseToWaitingList(bookingId, businessId);
+
         // Update audit log
         const auditEntry = {
             id: 'audit_' + Date.now(),
@@ -195,6 +198,20 @@ const BookingCancellationSystem = {
         };
     },
 
+    // Hand the cancelled slot to the server-side waiting list (fire and forget;
+    // the waiting list cron picks up anything this misses)
+    releaseToWaitingList: function(bookingId, businessId) {
+        const authToken = localStorage.getItem('auth_token') || localStorage.getItem('authToken') || '';
+        fetch(`/api/businesses/${encodeURIComponent(businessId)}/waiting-list/release`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
+            },
+            body: JSON.stringify({ bookingId: bookingId })
+        }).catch(error => console.error('BCC: Failed to release slot to waiting list', error));
+    },
+
     // Process refund through Stripe
     processRefund: function(bookingId, amount) {
         console.log('BCC: Processing refund for booking', bookingId, 'amount:', amount);
@@ -10,6 +10,9 @@ class BookingIntegration {
     constructor() {
         this.communicationSystem = new CommunicationSystem();
         this.loyaltySystem = new LoyaltySystem();
+
+        // 24-hour reminders come back here from the job queue when due
+        this.communicationSystem.registerJobHandler('booking_reminder', jobData => this.processReminderJob(jobData));
     }
 
     // ========================================
@@ -235,8 +238,15 @@ class BookingIntegration {
         // Implementation would query database
         return {
             id: bookingId,
-            customer: { firstName: 'Jane', email: 'jane.smith@email.com' },
-            business: { name: 'Glow Salon', email: 'glow.salon@email.com', package: 'Premium' },
+            customer: {
+                firstName: 'Jane',
+                email: 'jane.smith@email.com',
+                timezone: 'Europe/Madrid',
+                locale: 'en-GB',
+                quietHoursStart: '21:00',
+                quietHoursEnd: '08:00'
+            },
+            business: { name: 'Glow Salon', email: 'glow.salon@email.com', package: 'Premium', timezone: 'Europe/London', locale: 'en-GB' },
             service: { name: 'Haircut' },
             bookingTime: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000), // 2 days from now
             paymentModel: 'Full Payment Online',
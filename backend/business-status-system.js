@@ -158,6 +158,11 @@ class BusinessStatusSystem {
                 return false;
             }
 
+            // Check Stripe can pay the business (Connect onboarding finished)
+            if (!(await this.hasPayoutsEnabled(businessId))) {
+                return false;
+            }
+
             return true;
         } catch (error) {
             console.error('Failed to check booking eligibility:', error);
@@ -340,6 +345,19 @@ class BusinessStatusSystem {
         }
     }
 
+    /**
+     * Check payouts are enabled on the business's Stripe Connect account
+     */
+    async hasPayoutsEnabled(businessId) {
+        try {
+            const { hasPayoutsEnabled } = await import('./services/stripeConnectService.js');
+            return await hasPayoutsEnabled(businessId);
+        } catch (error) {
+            console.error('Failed to check Stripe payout status:', error);
+            return false;
+        }
+    }
+
     /**
      * Update business profile visibility
      */
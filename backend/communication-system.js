@@ -5,15 +5,26 @@
  * Rules:
  * - Emails are always sent
  * - SMS only sent if Premium package and only for booking alerts + 24h reminders
+ * - WhatsApp (approved templates) for confirmations and reminders to customers who opted in
  * - All messages trigger automatically without manual intervention
+ * - Every email and SMS checks the recipient's notification preferences first
+ *   (booking emails cannot be turned off)
+ * - Non-transactional messages (reminders) carry a signed unsubscribe link
+ * - Addresses that bounced or complained are not sent to (suppression list)
+ * - Every message is recorded in the notification ledger, which delivery webhooks keep up to date
  */
 
 const NotificationLogSystem = require('./notification-log-system');
+const { generateIdempotencyKey } = require('../idempotency-key');
+const RecipientTime = require('../recipient-time');
+const NotificationPreferences = require('../notification-preferences');
+const UnsubscribeToken = require('../unsubscribe-token');
 
 class CommunicationSystem {
     constructor() {
         this.emailService = new EmailService();
         this.smsService = new SMSService();
+        this.whatsAppService = new WhatsAppService();
         this.timezoneService = new TimezoneService();
         this.notificationLogSystem = new NotificationLogSystem();
     }
@@ -36,7 +47,7 @@ class CommunicationSystem {
                 customerName: customer.firstName,
                 businessName: business.name,
                 service: service.name,
-                bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone),
+                bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, customer.locale),
                 paymentModel: paymentModel,
                 totalAmount: totalAmount,
                 businessProfileUrl: `${process.env.PLATFORM_URL}/business/${business.id}`,
@@ -48,16 +59,19 @@ class CommunicationSystem {
                 bookingId,
                 'confirmation',
                 emailSent,
-                'email'
+                'email',
+                null,
+                { recipientId: customer.id, address: customer.email }
             );
 
             // Send SMS only if Premium business
-            if (business.package === 'Premium' && customer.phoneNumber) {
+            if (business.package === 'Premium' && customer.phoneNumber &&
+                await this.canSend('customer', customer, 'sms', 'booking')) {
                 const smsSent = await this.smsService.sendBookingConfirmation({
                     to: customer.phoneNumber,
                     service: service.name,
                     businessName: business.name,
-                    bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone)
+                    bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, customer.locale)
                 });
 
                 // Log SMS confirmation status
@@ -65,10 +79,26 @@ class CommunicationSystem {
                     bookingId,
                     'confirmation',
                     smsSent,
-                    'sms'
+                    'sms',
+                    null,
+                    { recipientId: customer.id, address: customer.phoneNumber }
                 );
             }
 
+            // WhatsApp if the customer has turned it on (any package)
+            if (customer.phoneNumber && await this.canSend('customer', customer, 'whatsapp', 'booking')) {
+                // The WhatsApp service adds it to the notification ledger itself, with Twilio's message id
+                await this.whatsAppService.sendBookingConfirmation({
+                    to: customer.phoneNumber,
+                    customerId: customer.id,
+                    bookingId: bookingId,
+                    customerName: customer.firstName,
+                    service: service.name,
+                    businessName: business.name,
+                    bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, customer.locale)
+                });
+            }
+
             console.log(`Booking confirmation notifications logged for booking ${bookingId}`);
         } catch (error) {
             console.error('Failed to send booking confirmation:', error);
@@ -97,34 +127,43 @@ class CommunicationSystem {
                 return;
             }
 
-            // Always send email reminder
-            const emailSent = await this.emailService.sendBookingReminder({
-                to: customer.email,
-                customerName: customer.firstName,
-                businessName: business.name,
-                service: service.name,
-                bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone),
-                paymentModel: paymentModel,
-                totalAmount: totalAmount,
-                businessProfileUrl: `${process.env.PLATFORM_URL}/business/${business.id}`,
-                dashboardUrl: `${process.env.PLATFORM_URL}/customer-dashboard`
-            });
+            // Email reminder unless the customer has turned reminders off
+            if (await this.canSend('customer', customer, 'email', 'reminders')) {
+                const unsubscribe = this.unsubscribeLinks('customer', customer, 'email', 'reminders');
+                const emailSent = await this.emailService.sendBookingReminder({
+                    to: customer.email,
+                    customerName: customer.firstName,
+                    businessName: business.name,
+                    service: service.name,
+                    bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, customer.locale),
+                    paymentModel: paymentModel,
+                    totalAmount: totalAmount,
+                    businessProfileUrl: `${process.env.PLATFORM_URL}/business/${business.id}`,
+                    dashboardUrl: `${process.env.PLATFORM_URL}/customer-dashboard`,
+                    unsubscribeUrl: unsubscribe?.url,
+                    headers: unsubscribe?.headers
+                });
 
-            // Log email reminder status
-            await this.notificationLogSystem.logNotificationStatus(
-                bookingId,
-                'reminder',
-                emailSent,
-                'email'
-            );
+                // Log email reminder status
+                await this.notificationLogSystem.logNotificationStatus(
+                    bookingId,
+                    'reminder',
+                    emailSent,
+                    'email',
+                    null,
+                    { recipientId: customer.id, address: customer.email }
+                );
+            }
 
             // Send SMS only if Premium business
-            if (business.package === 'Premium' && customer.phoneNumber) {
+            if (business.package === 'Premium' && customer.phoneNumber &&
+                await this.canSend('customer', customer, 'sms', 'reminders')) {
                 const smsSent = await this.smsService.sendBookingReminder({
                     to: customer.phoneNumber,
                     service: service.name,
                     businessName: business.name,
-                    bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone)
+                    bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, customer.locale),
+                    unsubscribeUrl: this.unsubscribeLinks('customer', customer, 'sms', 'reminders')?.url
                 });
 
                 // Log SMS reminder status
@@ -132,10 +171,27 @@ class CommunicationSystem {
                     bookingId,
                     'reminder',
                     smsSent,
-                    'sms'
+                    'sms',
+                    null,
+                    { recipientId: customer.id, address: customer.phoneNumber }
                 );
             }
 
+            // WhatsApp reminder if the customer has turned it on (any package)
+            if (customer.phoneNumber && await this.canSend('customer', customer, 'whatsapp', 'reminders')) {
+                // The WhatsApp service adds it to the notification ledger itself, with Twilio's message id
+                await this.whatsAppService.sendBookingReminder({
+                    to: customer.phoneNumber,
+                    customerId: customer.id,
+                    bookingId: bookingId,
+                    customerName: customer.firstName,
+                    service: service.name,
+                    businessName: business.name,
+                    bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, customer.locale),
+                    unsubscribeUrl: this.unsubscribeLinks('customer', customer, 'whatsapp', 'reminders')?.url
+                });
+            }
+
             console.log(`Booking reminder notifications logged for booking ${bookingId}`);
         } catch (error) {
             console.error('Failed to send booking reminder:', error);
@@ -146,6 +202,8 @@ class CommunicationSystem {
                 false,
                 'email'
             );
+            // Rethrow so the reminder job is retried
+            throw error;
         }
     }
 
@@ -162,7 +220,7 @@ class CommunicationSystem {
             customerName: customer.firstName,
             businessName: business.name,
             service: service.name,
-            bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone),
+            bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, customer.locale),
             paymentModel: paymentModel,
             totalAmount: totalAmount,
             refundAmount: refundAmount,
@@ -172,12 +230,13 @@ class CommunicationSystem {
         });
 
         // Send SMS only if Premium business
-        if (business.package === 'Premium' && customer.phoneNumber) {
+        if (business.package === 'Premium' && customer.phoneNumber &&
+            await this.canSend('customer', customer, 'sms', 'booking')) {
             await this.smsService.sendCancellationConfirmation({
                 to: customer.phoneNumber,
                 service: service.name,
                 businessName: business.name,
-                bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone)
+                bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, customer.locale)
             });
         }
     }
@@ -260,19 +319,20 @@ class CommunicationSystem {
             businessName: business.name,
             customerName: customer.firstName,
             service: service.name,
-            bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone),
+            bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, business.locale),
             paymentModel: paymentModel,
             totalAmount: totalAmount,
             dashboardUrl: `${process.env.PLATFORM_URL}/business-dashboard`
         });
 
         // Send SMS only if Premium business
-        if (business.package === 'Premium' && business.phoneNumber) {
+        if (business.package === 'Premium' && business.phoneNumber &&
+            await this.canSend('business', business, 'sms', 'booking')) {
             await this.smsService.sendBusinessBookingNotification({
                 to: business.phoneNumber,
                 customerName: customer.firstName,
                 service: service.name,
-                bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone)
+                bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, business.locale)
             });
         }
     }
@@ -290,7 +350,7 @@ class CommunicationSystem {
             businessName: business.name,
             customerName: customer.firstName,
             service: service.name,
-            bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone),
+            bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, business.locale),
             paymentModel: paymentModel,
             totalAmount: totalAmount,
             refundAmount: refundAmount,
@@ -299,12 +359,13 @@ class CommunicationSystem {
         });
 
         // Send SMS only if Premium business
-        if (business.package === 'Premium' && business.phoneNumber) {
+        if (business.package === 'Premium' && business.phoneNumber &&
+            await this.canSend('business', business, 'sms', 'booking')) {
             await this.smsService.sendBusinessCancellationNotification({
                 to: business.phoneNumber,
                 customerName: customer.firstName,
                 service: service.name,
-                bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone)
+                bookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, business.locale)
             });
         }
     }
@@ -322,20 +383,21 @@ class CommunicationSystem {
             businessName: business.name,
             customerName: customer.firstName,
             service: service.name,
-            oldBookingTime: this.timezoneService.formatDateTime(oldBookingTime, business.timezone),
-            newBookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone),
+            oldBookingTime: this.timezoneService.formatDateTime(oldBookingTime, business.timezone, business.locale),
+            newBookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, business.locale),
             paymentModel: paymentModel,
             totalAmount: totalAmount,
             dashboardUrl: `${process.env.PLATFORM_URL}/business-dashboard`
         });
 
         // Send SMS only if Premium business
-        if (business.package === 'Premium' && business.phoneNumber) {
+        if (business.package === 'Premium' && business.phoneNumber &&
+            await this.canSend('business', business, 'sms', 'booking')) {
             await this.smsService.sendRescheduleNotification({
                 to: business.phoneNumber,
                 customerName: customer.firstName,
                 service: service.name,
-                newBookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone)
+                newBookingTime: this.timezoneService.formatDateTime(bookingTime, business.timezone, business.locale)
             });
         }
     }
@@ -415,25 +477,29 @@ class CommunicationSystem {
 
     /**
      * Schedule 24-hour reminder for booking
-     * Only schedule if booking is more than 24 hours away
+     * Only schedule if booking is more than 24 hours away. The booking time is
+     * in the business's zone; a reminder that would land in the customer's
+     * quiet hours goes out when they end instead.
      */
     async scheduleBookingReminder(bookingData) {
-        const { bookingTime, business } = bookingData;
+        const { bookingTime, business, customer } = bookingData;
         const now = new Date();
-        const bookingDateTime = new Date(bookingTime);
+        const bookingDateTime = this.timezoneService.toInstant(bookingTime, business.timezone);
         const timeDiff = bookingDateTime.getTime() - now.getTime();
         const hoursUntilBooking = timeDiff / (1000 * 60 * 60);
 
         // Only schedule if more than 24 hours away
         if (hoursUntilBooking > 24) {
-            const reminderTime = new Date(bookingDateTime.getTime() - (24 * 60 * 60 * 1000));
+            const reminderTime = this.timezoneService.nextSendTime(
+                customer,
+                new Date(bookingDateTime.getTime() - (24 * 60 * 60 * 1000))
+            );
             
-            // Schedule reminder job
+            // Schedule reminder job; the booking time keeps a rescheduled booking's reminder apart from the old one
             await this.scheduleJob('booking_reminder', {
                 bookingId: bookingData.bookingId,
-                reminderTime: reminderTime,
                 timezone: business.timezone
-            });
+            }, reminderTime, bookingDateTime.toISOString());
         }
     }
 
@@ -444,6 +510,44 @@ class CommunicationSystem {
         await this.cancelJob('booking_reminder', { bookingId });
     }
 
+    /**
+     * Whether the customer or business accepts this category of message on this channel,
+     * and the address is not suppressed (bounced, complained or unsubscribed).
+     * Uses preferences already loaded with the booking, else looks them up.
+     */
+    async canSend(recipientType, recipient, channel, category) {
+        let allowed;
+        if (recipient.notificationPreferences) {
+            allowed = NotificationPreferences.isAllowed(recipient.notificationPreferences, channel, category);
+        } else if (!recipient.id) {
+            allowed = NotificationPreferences.isAllowed(null, channel, category);
+        } else {
+            const { canNotify } = await import('./services/notificationSettingsService.js');
+            allowed = await canNotify(recipientType, recipient.id, channel, category);
+            if (!allowed) {
+                console.log(`Skipping ${category} ${channel} to ${recipientType} ${recipient.id}: turned off in their preferences`);
+            }
+        }
+        if (!allowed) return false;
+
+        const address = channel === 'email' ? recipient.email : recipient.phoneNumber;
+        const { isSuppressed } = await import('./services/suppressionService.js');
+        if (address && await isSuppressed(channel, address, category)) {
+            console.log(`Skipping ${category} ${channel} to ${recipientType} ${recipient.id || ''}: address is suppressed`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Signed unsubscribe link and List-Unsubscribe headers for a non-transactional
+     * message; null for booking messages and recipients with no id
+     */
+    unsubscribeLinks(recipientType, recipient, channel, category) {
+        return UnsubscribeToken.unsubscribeLinks({ recipientType, recipientId: recipient.id, channel, category },
+            process.env.PLATFORM_URL || undefined);
+    }
+
     /**
      * Check if business is Premium package
      */
@@ -467,19 +571,38 @@ class CommunicationSystem {
     }
 
     /**
-     * Schedule background job
+     * Schedule background job in the durable job queue (Postgres), so it
+     * survives a restart. Scheduling the same job twice keeps the first one.
      */
-    async scheduleJob(jobType, jobData) {
-        // Implementation would use job queue (e.g., Bull, Agenda)
-        console.log(`Scheduling ${jobType} job:`, jobData);
+    async scheduleJob(jobType, jobData, runAt = new Date(), reference = null) {
+        const { enqueueJob } = await this.jobQueue();
+        const { job, duplicate } = await enqueueJob(jobType, jobData, {
+            runAt,
+            idempotencyKey: generateIdempotencyKey(jobType, { booking_id: jobData.bookingId, reference })
+        });
+        console.log(`${duplicate ? 'Already scheduled' : 'Scheduled'} ${jobType} job ${job.id} for ${new Date(job.run_at).toISOString()}`);
+        return job;
     }
 
     /**
-     * Cancel background job
+     * Cancel background job (every pending job of this type for the booking)
      */
     async cancelJob(jobType, jobData) {
-        // Implementation would cancel job in queue
-        console.log(`Cancelling ${jobType} job:`, jobData);
+        const { cancelJobs } = await this.jobQueue();
+        const cancelled = await cancelJobs(jobType, { bookingId: jobData.bookingId });
+        console.log(`Cancelled ${cancelled} ${jobType} job(s) for booking ${jobData.bookingId}`);
+    }
+
+    /**
+     * Run jobs of this type when they fall due (the job runner in cronJobs.js)
+     */
+    async registerJobHandler(jobType, handler) {
+        const { registerJobHandler } = await this.jobQueue();
+        registerJobHandler(jobType, handler);
+    }
+
+    jobQueue() {
+        return import('./services/jobQueueService.js');
     }
 }
 
@@ -581,18 +704,54 @@ class SMSService {
     }
 }
 
-class TimezoneService {
-    formatDateTime(dateTime, timezone) {
-        // Implementation would use timezone library (e.g., moment-timezone)
-        return new Date(dateTime).toLocaleString('en-GB', {
-            timeZone: timezone,
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
+class WhatsAppService {
+    /**
+     * Approved template messages go through the WhatsApp service (Twilio, or
+     * its mock outbox in development), which checks the opt-in and tracks delivery
+     */
+    async sendTemplate(template, data) {
+        const { sendWhatsAppTemplate } = await import('./services/whatsappService.js');
+        const result = await sendWhatsAppTemplate({
+            recipientType: 'customer',
+            recipientId: data.customerId,
+            to: data.to,
+            template,
+            data,
+            bookingId: data.bookingId
         });
+        if (!result.success) {
+            console.log(`WhatsApp ${template} not sent for booking ${data.bookingId}: ${result.reason}`);
+        }
+        return result.success;
+    }
+
+    async sendBookingConfirmation(data) {
+        return this.sendTemplate('booking_confirmation', data);
+    }
+
+    async sendBookingReminder(data) {
+        return this.sendTemplate('booking_reminder', data);
+    }
+}
+
+class TimezoneService {
+    /**
+     * Appointment times are passed the business's zone; the locale is the recipient's
+     */
+    formatDateTime(dateTime, timezone, locale) {
+        return RecipientTime.formatDateTime(dateTime, timezone, locale);
+    }
+
+    toInstant(dateTime, timezone) {
+        return RecipientTime.toInstant(dateTime, timezone);
+    }
+
+    /**
+     * When a non-urgent message to this customer or business can go out
+     * (recipient: { timezone, quietHoursStart, quietHoursEnd })
+     */
+    nextSendTime(recipient, at) {
+        return RecipientTime.nextSendTime(recipient, at);
     }
 }
 
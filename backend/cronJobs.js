@@ -1,7 +1,15 @@
 // cronJobs.js
 import cron from "node-cron";
 import db from "./db.js";
-import { addPoints, deductPoints, checkReferralCompletion, updateBusinessLoyalty, releaseVerifiedReviewPoints } from "./rewards.js";
+import { addPoints, checkReferralCompletion, updateBusinessLoyalty, releaseVerifiedReviewPoints } from "./rewards.js";
+import { expireStaleHolds } from "./services/slotHoldService.js";
+import { processSeriesPayments } from "./services/seriesService.js";
+import { releaseUnpaidShares } from "./services/groupService.js";
+import { processWaitingList, expireOffer, getQueuePositions } from "./services/waitingListService.js";
+import { registerJobHandler, runDueJobs } from "./services/jobQueueService.js";
+import { runPayoutBatch, formatPayout, PAYOUT_BATCH_HOUR } from "./services/payoutService.js";
+import { reverseRefundPoints } from "./services/refundService.js";
+import { sendBookingReminder, deliverNotification } from "./services/bookingMessageService.js";
 
 // Socket.IO instance for real-time notifications
 let io = null;
@@ -29,7 +37,7 @@ cron.schedule("0 * * * *", async () => { // runs hourly
         AND end_time < NOW()
         AND cancelled_at IS NULL
         AND refunded_at IS NULL
-      RETURNING id, customer_id, business_id, total_amount, customer_email;
+      RETURNING id, customer_id, business_id, total_amount, amount_paid, balance_status, customer_email;
     `);
 
     if (autoComplete.length) {
@@ -47,7 +55,7 @@ cron.schedule("0 * * * *", async () => { // runs hourly
               label: 'Completed – BlkPoints pending (24 hrs)',
               message: 'Your booking has been automatically completed! Points will be released in 24 hours.',
               timestamp: new Date().toISOString(),
-              pointsPending: Math.floor(booking.total_amount)
+              pointsPending: Math.floor(booking.amount_paid ?? booking.total_amount)
             });
           }
 
@@ -71,13 +79,16 @@ cron.schedule("15 * * * *", async () => { // runs hourly at +15min offset
   console.log("💰 Checking for bookings ready for BlkPoints release...");
 
   try {
+    // Deposit bookings wait until the balance is settled, so points cover the whole amount paid
+    // The 24 hours are also the business's window to mark a no-show (status 'no_show' is never released)
     const { rows: readyBookings } = await db.query(`
       SELECT * FROM bookings
       WHERE status='completed'
         AND points_released=false
         AND completed_at < NOW() - INTERVAL '24 hours'
         AND refunded_at IS NULL
-        AND disputed=false;
+        AND disputed=false
+        AND COALESCE(balance_status, 'none') <> 'due';
     `);
 
     if (readyBookings.length === 0) {
@@ -89,20 +100,22 @@ cron.schedule("15 * * * *", async () => { // runs hourly at +15min offset
 
     for (const booking of readyBookings) {
       const customerId = booking.customer_id;
-      const amount = Math.floor(booking.total_amount);
+      // BlkPoints are earned on money actually paid (deposit + balance, after BlkPoints redeemed),
+      // less anything partially refunded before release
+      const amount = Math.max(Math.floor((booking.amount_paid ?? booking.total_amount) - (booking.refunded_amount || 0)), 0);
 
       try {
         // Add BlkPoints (1 per £1)
         const pointsResult = await addPoints(customerId, amount, `Booking #${booking.id} completed`);
         
         // Referral reward (+100)
-        const referralResult = await checkReferralCompletion(booking.customer_email);
+        const referralResult = await checkReferralCompletion(booking.customer_email, booking.id);
 
         // Local business loyalty update
         const loyaltyResult = await updateBusinessLoyalty(customerId, booking.business_id);
 
-        // Flag as released
-        await db.query("UPDATE bookings SET points_released=true WHERE id=$1", [booking.id]);
+        // Flag as released, recording what was given so later refunds reverse only their share
+        await db.query("UPDATE bookings SET points_released=true, points_awarded=$2 WHERE id=$1", [booking.id, amount]);
 
         // Send real-time notifications with frontend messaging stages
         if (io && customerId) {
@@ -194,19 +207,8 @@ export async function processRefund(bookingId, customerId) {
       throw new Error('Booking not found');
     }
 
-    const bookingData = booking[0];
-    const refundedAmount = Math.floor(bookingData.total_amount);
-
-    // Reverse points if they were already released
-    if (bookingData.points_released) {
-      await deductPoints(customerId, refundedAmount, `Refund for booking #${bookingId}`);
-      
-      // Reverse referral bonus if applicable
-      const referralResult = await checkReferralCompletion(bookingData.customer_email);
-      if (referralResult.bonusAwarded) {
-        await deductPoints(customerId, 100, `Referral bonus reversal for booking #${bookingId}`);
-      }
-    }
+    // Reverse whatever the booking earned that earlier partial refunds haven't already taken back
+    const { pointsReversed: refundedAmount } = await reverseRefundPoints(bookingId, { full: true });
 
     // Update booking status
     await db.query(
@@ -300,6 +302,138 @@ cron.schedule("30 * * * *", async () => { // runs hourly at +30min offset
 //  ADDITIONAL CRON JOBS
 // ──────────────────────────────
 
+// Expire lapsed checkout slot holds (runs every minute)
+cron.schedule("* * * * *", async () => {
+  try {
+    const expired = await expireStaleHolds();
+    if (expired > 0) {
+      console.log(`⏳ Expired ${expired} slot holds`);
+    }
+  } catch (error) {
+    console.error("❌ Error expiring slot holds:", error);
+  }
+});
+
+// Charge upcoming recurring visits to the saved card; release visits still unpaid a day before (hourly at :45)
+cron.schedule("45 * * * *", async () => {
+  try {
+    const { charged, failed, cancelled } = await processSeriesPayments();
+    if (charged.length || failed.length || cancelled.length) {
+      console.log(`🔁 Series visits: ${charged.length} paid, ${failed.length} failed, ${cancelled.length} released`);
+    }
+
+    if (io) {
+      for (const { booking, notification } of [...charged, ...failed, ...cancelled]) {
+        io.to(`customer_${booking.customer_id}`).emit('new_notification', notification);
+      }
+      for (const { booking } of [...charged, ...cancelled]) {
+        const update = { bookingId: booking.id, status: booking.status, seriesId: booking.series_id };
+        io.to(`customer_${booking.customer_id}`).emit('booking_status_changed', update);
+        io.to(`business_${booking.business_id}`).emit('booking_status_changed', update);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error processing series payments:", error);
+  }
+});
+
+// Release group places whose split-payment share was not paid by the deadline (hourly at :50)
+cron.schedule("50 * * * *", async () => {
+  try {
+    const released = await releaseUnpaidShares();
+    if (released.length) {
+      console.log(`👯 Released ${released.length} unpaid group places`);
+    }
+
+    if (io) {
+      for (const { booking, notification } of released) {
+        const update = { bookingId: booking.id, status: booking.status, groupId: booking.group_id };
+        io.to(`customer_${booking.customer_id}`).emit('new_notification', notification);
+        io.to(`customer_${booking.customer_id}`).emit('booking_status_changed', update);
+        io.to(`business_${booking.business_id}`).emit('booking_status_changed', update);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error releasing unpaid group places:", error);
+  }
+});
+
+// Pay businesses what is due once the 24h hold after each appointment is over (daily)
+cron.schedule(`0 ${PAYOUT_BATCH_HOUR} * * *`, async () => {
+  try {
+    const { paid, failed, ledger } = await runPayoutBatch();
+    console.log(`💸 Payout batch: ${paid.length} paid, ${failed.length} failed ` +
+      `(ledger: ${ledger.created} new, ${ledger.updated} updated, ${ledger.removed} settled)`);
+
+    if (io) {
+      for (const { payout, notification } of paid) {
+        io.to(`business_${payout.business_id}`).emit('new_notification', notification);
+        io.to(`business_${payout.business_id}`).emit('new_payout', formatPayout(payout));
+      }
+      for (const { payout } of failed) {
+        io.to(`business_${payout.business_id}`).emit('payout_updated', { id: payout.id, status: payout.status });
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error running payout batch:", error);
+  }
+});
+
+// New waiting list offers reach the customer; whoever was behind them moves up
+async function emitWaitingListOffers(offers) {
+  if (!io) return;
+  for (const { offer, entry, notification } of offers) {
+    io.to(`customer_${entry.customer_id}`).emit('new_notification', notification);
+    io.to(`customer_${entry.customer_id}`).emit('waiting_list_offer', {
+      entryId: entry.id,
+      token: offer.token,
+      startTime: offer.start_time,
+      expiresAt: offer.expires_at
+    });
+    io.to(`business_${offer.business_id}`).emit('waiting_list_updated', { serviceId: offer.service_id });
+
+    for (const { entryId, customerId, position } of await getQueuePositions(offer.business_id, offer.service_id)) {
+      io.to(`customer_${customerId}`).emit('waiting_list_position', { entryId, position });
+    }
+  }
+}
+
+// An unanswered offer expires on time and the slot goes to the next customer
+registerJobHandler("waiting_list.offer_expiry", async ({ offerId }) => {
+  const offers = await expireOffer(offerId);
+  await emitWaitingListOffers(offers);
+});
+
+// 24-hour reminders, and notifications held back for the recipient's quiet hours
+registerJobHandler("booking_reminder", sendBookingReminder);
+
+registerJobHandler("notification.deliver", ({ notification, recipient }) => deliverNotification(notification, recipient));
+
+// Run due jobs from the durable queue: reminders, quiet-hours deferrals, offer expiries (every minute)
+cron.schedule("* * * * *", async () => {
+  try {
+    const { completed, retried, dead, recovered } = await runDueJobs();
+    if (completed || retried || dead || recovered) {
+      console.log(`🗂️ Jobs: ${completed} done, ${retried} to retry, ${dead} dead-lettered, ${recovered} recovered`);
+    }
+  } catch (error) {
+    console.error("❌ Error running queued jobs:", error);
+  }
+});
+
+// Pass on slots whose checkout hold lapsed and sweep up missed cancellations (every 5 minutes)
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    const { expired, lapsed, booked, closed, offers } = await processWaitingList();
+    if (expired || lapsed || booked || closed || offers.length) {
+      console.log(`📋 Waiting list: ${expired} expired, ${lapsed} lapsed, ${booked} booked, ${closed} entries past their dates, ${offers.length} new offers`);
+    }
+    await emitWaitingListOffers(offers);
+  } catch (error) {
+    console.error("❌ Error processing waiting list:", error);
+  }
+});
+
 // Clean up old notifications (runs daily at 2 AM)
 cron.schedule("0 2 * * *", async () => {
   console.log("🧹 Cleaning up old notifications...");
@@ -357,6 +491,11 @@ console.log("🕐 Cron jobs scheduled:");
 console.log("  - Auto-complete bookings: Every hour at :00");
 console.log("  - Release BlkPoints: Every hour at :15");
 console.log("  - Release verified review points: Every hour at :30");
+console.log("  - Expire slot holds: Every minute");
+console.log("  - Charge recurring visits: Every hour at :45");
+console.log("  - Release unpaid group places: Every hour at :50");
+console.log("  - Queued jobs: Every minute");
+console.log("  - Waiting list offers: Every 5 minutes");
 console.log("  - Cleanup notifications: Daily at 2:00 AM");
 console.log("  - Health check: Every 6 hours");
 console.log("📱 Frontend messaging stages:");
@@ -1,5 +1,7 @@
 // backend/middleware/auth.js
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import db from "../db.js";
 
 // Assumes you already set req.user elsewhere; this is a fallback decoder.
 export function attachUserFromAuth(req, _res, next) {
@@ -19,3 +21,52 @@ export function requireAdmin(req, res, next) {
   if (role === "admin" || role === "staff") return next();
   return res.status(403).json({ message: "Access denied: Admin only" });
 }
+
+export function requireAuth(req, res, next) {
+  if (req.user?.id) return next();
+  return res.status(401).json({ message: "Authentication required" });
+}
+
+// Business owners may manage their own business; admins may manage any.
+export async function requireBusinessOwner(req, res, next) {
+  try {
+    if (!req.user?.id) {
+      return res.status(401).json({ message: "Authentication required" });
+    }
+    if (req.user.role === "admin") return next();
+
+    const { rows } = await db.query(
+      "SELECT 1 FROM businesses WHERE id=$1 AND owner_user_id=$2",
+      [req.params.id, req.user.id]
+    );
+    if (rows.length) return next();
+    return res.status(403).json({ message: "Access denied: business owner only" });
+  } catch (error) {
+    console.error("Error checking business ownership:", error);
+    return res.status(500).json({ error: "Failed to verify business access" });
+  }
+}
+
+// Compare a shared secret in constant time, so response timing gives nothing away.
+// timingSafeEqual needs equal lengths; hashing both sides first gives them that.
+function secretMatches(given, expected) {
+  if (!expected || typeof given !== "string") return false;
+  const digest = value => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+// Server-to-server calls (e.g. Cloud Functions) authenticate with a shared key.
+export function requireInternalKey(req, res, next) {
+  const expected = process.env.INTERNAL_API_KEY;
+  if (secretMatches(req.headers["x-internal-key"], expected)) return next();
+  return res.status(403).json({ message: "Access denied: internal only" });
+}
+
+// Email/SMS provider webhooks authenticate with a shared secret, sent as a header
+// or, for providers that only let you set a URL, as ?key= on the webhook URL.
+export function requireWebhookSecret(req, res, next) {
+  const expected = process.env.DELIVERY_WEBHOOK_SECRET;
+  const given = req.headers["x-webhook-secret"] || req.query.key;
+  if (secretMatches(given, expected)) return next();
+  return res.status(403).json({ message: "Access denied: invalid webhook secret" });
+}
@@ -0,0 +1,76 @@
+-- backend/migrations/04_availability_engine.sql
+-- Opening hours, services, staff rotas and booking links used by the availability engine
+
+-- Business-level slot settings
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS slot_interval_minutes INTEGER DEFAULT 15;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS min_notice_minutes INTEGER DEFAULT 60;
+
+-- Bookable services with duration and buffer times
+CREATE TABLE IF NOT EXISTS business_services (
+    id SERIAL PRIMARY KEY,
+    business_id INTEGER NOT NULL REFERENCES businesses(id),
+    name VARCHAR(255) NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    buffer_before_minutes INTEGER DEFAULT 0,
+    buffer_after_minutes INTEGER DEFAULT 0,
+    price DECIMAL(10,2) NOT NULL,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Weekly opening hours (day_of_week: 0 = Sunday … 6 = Saturday)
+-- A day with no rows is closed; several rows per day model split shifts
+CREATE TABLE IF NOT EXISTS business_opening_hours (
+    id SERIAL PRIMARY KEY,
+    business_id INTEGER NOT NULL REFERENCES businesses(id),
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    opens_at TIME NOT NULL,
+    closes_at TIME NOT NULL CHECK (closes_at > opens_at)
+);
+
+-- Staff members (chairs) who can take bookings
+CREATE TABLE IF NOT EXISTS staff (
+    id SERIAL PRIMARY KEY,
+    business_id INTEGER NOT NULL REFERENCES businesses(id),
+    name VARCHAR(255) NOT NULL,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Weekly staff rota
+CREATE TABLE IF NOT EXISTS staff_rotas (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    starts_at TIME NOT NULL,
+    ends_at TIME NOT NULL CHECK (ends_at > starts_at)
+);
+
+-- Link bookings to the service they were made for
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS service_id INTEGER REFERENCES business_services(id);
+
+-- Indexes for availability lookups
+CREATE INDEX IF NOT EXISTS idx_business_services_business_id ON business_services(business_id);
+CREATE INDEX IF NOT EXISTS idx_opening_hours_business_day ON business_opening_hours(business_id, day_of_week);
+CREATE INDEX IF NOT EXISTS idx_staff_business_id ON staff(business_id);
+CREATE INDEX IF NOT EXISTS idx_staff_rotas_staff_day ON staff_rotas(staff_id, day_of_week);
+CREATE INDEX IF NOT EXISTS idx_bookings_business_start ON bookings(business_id, start_time);
+
+COMMENT ON COLUMN businesses.slot_interval_minutes IS 'Minutes between bookable start times';
+COMMENT ON COLUMN businesses.min_notice_minutes IS 'Minimum lead time before a same-day slot can be booked';
+COMMENT ON COLUMN business_services.buffer_before_minutes IS 'Prep time that must be free before the service starts';
+COMMENT ON COLUMN business_services.buffer_after_minutes IS 'Clean-up time that must be free after the service ends';
+
+-- Sample data for testing
+INSERT INTO business_services (business_id, name, duration_minutes, buffer_after_minutes, price) VALUES
+(1, 'Skin Fade', 30, 10, 25.00),
+(2, 'Makeup Session', 90, 15, 85.00)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO business_opening_hours (business_id, day_of_week, opens_at, closes_at)
+SELECT b.id, d.day, '09:00', '18:00'
+FROM businesses b CROSS JOIN generate_series(1, 6) AS d(day)
+WHERE b.id IN (1, 2)
+  AND NOT EXISTS (SELECT 1 FROM business_opening_hours h WHERE h.business_id = b.id);
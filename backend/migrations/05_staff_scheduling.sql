@@ -0,0 +1,46 @@
+-- backend/migrations/05_staff_scheduling.sql
+-- Staff as first-class entities: breaks, holidays, services and price overrides
+
+-- Staff profile details
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS role VARCHAR(100);
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS colour VARCHAR(7);
+
+-- Recurring breaks within a working day (day_of_week: 0 = Sunday … 6 = Saturday)
+CREATE TABLE IF NOT EXISTS staff_breaks (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    starts_at TIME NOT NULL,
+    ends_at TIME NOT NULL CHECK (ends_at > starts_at)
+);
+
+-- Holidays and other whole days off (inclusive date range)
+CREATE TABLE IF NOT EXISTS staff_time_off (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL CHECK (ends_on >= starts_on),
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Services each stylist can perform; a stylist with no rows performs every service
+CREATE TABLE IF NOT EXISTS staff_services (
+    staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    service_id INTEGER NOT NULL REFERENCES business_services(id) ON DELETE CASCADE,
+    price_override DECIMAL(10,2),
+    PRIMARY KEY (staff_id, service_id)
+);
+
+-- Bookings: assigned stylist
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES staff(id);
+
+-- Indexes for per-staff lookups
+CREATE INDEX IF NOT EXISTS idx_staff_breaks_staff_day ON staff_breaks(staff_id, day_of_week);
+CREATE INDEX IF NOT EXISTS idx_staff_time_off_staff_dates ON staff_time_off(staff_id, starts_on, ends_on);
+CREATE INDEX IF NOT EXISTS idx_staff_services_service_id ON staff_services(service_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_staff_start ON bookings(staff_id, start_time);
+
+COMMENT ON COLUMN staff_services.price_override IS 'Price charged when this stylist performs the service (NULL = service price)';
+COMMENT ON COLUMN bookings.staff_id IS 'Stylist the booking is assigned to (NULL = unassigned chair)';
@@ -0,0 +1,31 @@
+-- backend/migrations/06_slot_holds.sql
+-- Short-lived slot reservations held while a customer checks out
+
+CREATE TABLE IF NOT EXISTS slot_holds (
+    id UUID PRIMARY KEY,
+    business_id INTEGER NOT NULL REFERENCES businesses(id),
+    service_id INTEGER NOT NULL REFERENCES business_services(id),
+    staff_id INTEGER REFERENCES staff(id),
+    customer_id INTEGER REFERENCES customers(id),
+    start_time TIMESTAMP NOT NULL,
+    end_time TIMESTAMP NOT NULL,
+    price DECIMAL(10,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- active, converted, released, expired
+    expires_at TIMESTAMPTZ NOT NULL,
+    payment_intent_id VARCHAR(255),
+    booking_id INTEGER REFERENCES bookings(id),
+    release_reason VARCHAR(50), -- timeout, abandoned, payment_failed, reselected
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Active holds are read by every availability lookup
+CREATE INDEX IF NOT EXISTS idx_slot_holds_active
+ON slot_holds(business_id, start_time)
+WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_slot_holds_expiry ON slot_holds(expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_slot_holds_payment_intent ON slot_holds(payment_intent_id);
+
+COMMENT ON TABLE slot_holds IS 'Checkout reservations; an active, unexpired hold blocks the slot like a booking';
+COMMENT ON COLUMN slot_holds.release_reason IS 'Why the hold ended without becoming a booking';
@@ -0,0 +1,34 @@
+-- backend/migrations/07_rescheduling.sql
+-- Customer self-service rescheduling: per-business policy, move history and signed manage links
+
+-- Business reschedule policy
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS reschedule_window_hours INTEGER DEFAULT 24;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS max_reschedules INTEGER DEFAULT 2;
+
+-- Bookings: how often the booking has moved and the link token sent to the customer
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS reschedule_count INTEGER DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS manage_token VARCHAR(255);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS manage_token_expires_at TIMESTAMPTZ;
+
+-- Every move, for the business and for disputes
+CREATE TABLE IF NOT EXISTS booking_reschedules (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    previous_start_time TIMESTAMP NOT NULL,
+    previous_staff_id INTEGER REFERENCES staff(id),
+    new_start_time TIMESTAMP NOT NULL,
+    new_staff_id INTEGER REFERENCES staff(id),
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notifications can now be addressed to a business as well as a customer
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS business_id INTEGER REFERENCES businesses(id);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_booking_reschedules_booking_id ON booking_reschedules(booking_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_manage_token ON bookings(manage_token);
+CREATE INDEX IF NOT EXISTS idx_notifications_business_id ON notifications(business_id);
+
+COMMENT ON COLUMN businesses.reschedule_window_hours IS 'Customers may reschedule up to this many hours before the appointment';
+COMMENT ON COLUMN businesses.max_reschedules IS 'Maximum number of times a customer may move one booking (0 = never)';
+COMMENT ON COLUMN bookings.manage_token IS 'Token from the signed cancel/reschedule link emailed to the customer';
@@ -0,0 +1,16 @@
+-- backend/migrations/08_cancellation_policies.sql
+-- Structured cancellation policies: ordered refund tiers, fees, deposit forfeit and no-show rules
+-- Policy JSON is read by the shared engine in cancellation-policy.js:
+-- { "type": "custom", "allowCancellation": true,
+--   "tiers": [{ "minHoursBefore": 48, "refundPercent": 100, "fee": 0 }, { "minHoursBefore": 0, "refundPercent": 50, "fee": 5 }],
+--   "deposit": { "forfeitWithinHours": 24 }, "noShow": { "refundPercent": 0, "fee": 0 } }
+-- A preset is stored as just { "type": "flexible" | "moderate" | "strict" | "non-refundable" }
+
+-- Businesses: the policy offered on new bookings
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS cancellation_policy JSONB DEFAULT '{"type": "moderate"}';
+
+-- Bookings: the policy the customer agreed to, so later edits do not change existing bookings
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_policy JSONB;
+
+COMMENT ON COLUMN businesses.cancellation_policy IS 'Cancellation policy tiers (see cancellation-policy.js)';
+COMMENT ON COLUMN bookings.cancellation_policy IS 'Snapshot of the business policy when the booking was made (NULL = use the business policy)';
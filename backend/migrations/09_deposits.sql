@@ -0,0 +1,26 @@
+-- backend/migrations/09_deposits.sql
+-- Deposit mode: a non-refundable deposit at booking, with the balance paid in-app after the appointment or in person
+
+-- Per-service deposit (none, fixed £ amount or percent of the price)
+ALTER TABLE business_services ADD COLUMN IF NOT EXISTS deposit_type VARCHAR(10) DEFAULT 'none';
+ALTER TABLE business_services ADD COLUMN IF NOT EXISTS deposit_value DECIMAL(10,2) DEFAULT 0;
+
+-- Holds remember the deposit quoted at checkout
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS deposit_amount DECIMAL(10,2);
+
+-- Bookings: how the booking is being paid for and how much has actually been paid
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_mode VARCHAR(10) DEFAULT 'full'; -- full, deposit
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deposit_amount DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10,2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS balance_status VARCHAR(20) DEFAULT 'none'; -- none, due, paid, paid_in_person
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS balance_payment_intent VARCHAR(255);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS balance_paid_at TIMESTAMPTZ;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_bookings_balance_due ON bookings(business_id) WHERE balance_status = 'due';
+CREATE INDEX IF NOT EXISTS idx_bookings_balance_payment_intent ON bookings(balance_payment_intent);
+
+COMMENT ON COLUMN business_services.deposit_type IS 'none = full payment upfront; fixed = deposit_value in £; percent = deposit_value % of the price';
+COMMENT ON COLUMN bookings.deposit_amount IS 'Non-refundable deposit taken at booking (0 for full-payment bookings)';
+COMMENT ON COLUMN bookings.amount_paid IS 'Money actually received so far (deposit plus any balance); NULL on older bookings = total_amount';
+COMMENT ON COLUMN bookings.balance_status IS 'none = paid in full upfront; due = balance outstanding; paid = paid in-app; paid_in_person = marked by the business';
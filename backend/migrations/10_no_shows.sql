@@ -0,0 +1,33 @@
+-- backend/migrations/10_no_shows.sql
+-- No-shows: businesses mark missed appointments, optionally charge the saved card a no-show fee,
+-- and can require a non-refundable deposit from customers with a poor reliability score
+
+-- Bookings: no-show outcome (status becomes 'no_show')
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS no_show_at TIMESTAMPTZ;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS no_show_fee DECIMAL(10,2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS no_show_fee_status VARCHAR(20); -- charged, failed
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS no_show_fee_payment_intent VARCHAR(255);
+
+-- Card saved at checkout (Stripe setup_future_usage = off_session) so a no-show fee can be charged later
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS stripe_customer_id VARCHAR(255);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_method_id VARCHAR(255);
+
+-- Whether the deposit comes back under the refund tiers. Deposit-mode bookings never refund it,
+-- and nor do bookings where the business required a deposit because of the customer's reliability
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deposit_refundable BOOLEAN DEFAULT true;
+UPDATE bookings SET deposit_refundable = false WHERE payment_mode = 'deposit' AND deposit_refundable = true;
+
+-- Holds: deposit imposed by the reliability rule (the full price is still charged at checkout)
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS deposit_required BOOLEAN DEFAULT false;
+
+-- Businesses: require a non-refundable deposit from customers scoring below the threshold (NULL = off)
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS reliability_deposit_threshold INTEGER;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS reliability_deposit_percent INTEGER DEFAULT 50;
+
+-- Indexes (reliability is worked out from a customer's last 12 months of bookings)
+CREATE INDEX IF NOT EXISTS idx_bookings_customer_start ON bookings(customer_id, start_time);
+
+COMMENT ON COLUMN bookings.no_show_fee_status IS 'charged = paid off-session with the saved card; failed = card declined or needs the customer';
+COMMENT ON COLUMN bookings.deposit_refundable IS 'false = deposit_amount is kept on any cancellation; tiers apply to the rest';
+COMMENT ON COLUMN businesses.reliability_deposit_threshold IS 'Customers with a reliability score (0-100) below this pay reliability_deposit_percent of the price as a non-refundable deposit';
+COMMENT ON COLUMN bookings.balance_status IS 'none = paid in full upfront; due = balance outstanding; paid = paid in-app; paid_in_person = marked by the business; waived = not owed after a no-show';
@@ -0,0 +1,50 @@
+-- backend/migrations/11_recurring_bookings.sql
+-- Recurring bookings: the same slot every N weeks for regular clients.
+-- The first visit is paid at checkout; every later visit is its own booking, reserved up front
+-- (status 'scheduled') and charged to the card saved at checkout a few days before it.
+
+-- Series: the repeat pattern, anchored on the first booking
+CREATE TABLE IF NOT EXISTS booking_series (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER REFERENCES customers(id),
+    business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES business_services(id),
+    staff_id INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+    customer_email VARCHAR(255),
+    first_booking_id INTEGER REFERENCES bookings(id),
+    interval_weeks INTEGER NOT NULL CHECK (interval_weeks BETWEEN 1 AND 12),
+    occurrence_count INTEGER,                 -- visits including the first (NULL when an end date is used)
+    ends_on DATE,                             -- last date a visit may fall on (NULL when a count is used)
+    status VARCHAR(20) DEFAULT 'active',      -- active, cancelled
+    cancelled_by VARCHAR(20),                 -- customer, business
+    cancelled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (occurrence_count IS NOT NULL OR ends_on IS NOT NULL)
+);
+
+-- Exceptions: visits in the pattern that could not be booked because the slot was taken
+CREATE TABLE IF NOT EXISTS booking_series_exceptions (
+    id SERIAL PRIMARY KEY,
+    series_id INTEGER REFERENCES booking_series(id) ON DELETE CASCADE,
+    occurrence_index INTEGER NOT NULL,
+    start_time TIMESTAMP NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(series_id, occurrence_index)
+);
+
+-- Bookings: which series a visit belongs to and how paying for it is going
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES booking_series(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_index INTEGER;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_attempted_at TIMESTAMPTZ;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_failures INTEGER DEFAULT 0;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_bookings_series ON bookings(series_id, series_index);
+CREATE INDEX IF NOT EXISTS idx_bookings_scheduled ON bookings(start_time) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_booking_series_customer ON booking_series(customer_id, status);
+
+COMMENT ON TABLE booking_series IS 'Repeat pattern for a regular client; each visit is a separate, separately paid booking';
+COMMENT ON COLUMN bookings.series_index IS '0 = the first visit (paid at checkout), 1.. = later visits in the pattern';
+COMMENT ON COLUMN bookings.payment_attempted_at IS 'Last off-session charge attempt for a scheduled series visit';
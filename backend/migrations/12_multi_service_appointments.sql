@@ -0,0 +1,20 @@
+-- backend/migrations/12_multi_service_appointments.sql
+-- Multi-service appointments: a basket such as "wash + cut + colour" booked as one back-to-back block
+-- with one stylist, one hold and one payment. Each service is still its own booking (line item)
+-- so refunds, balances and analytics work per service.
+
+-- Holds: the services in the block, in the order they will be done
+-- [{ serviceId, name, startTime, endTime, price, depositAmount }]
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS line_items JSONB;
+
+-- Bookings: which appointment a line item belongs to and where it sits in the block
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS appointment_id UUID;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS appointment_position INTEGER;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_bookings_appointment ON bookings(appointment_id, appointment_position)
+WHERE appointment_id IS NOT NULL;
+
+COMMENT ON COLUMN slot_holds.line_items IS 'Services in the held block, sequenced by duration; NULL on older single-service holds';
+COMMENT ON COLUMN bookings.appointment_id IS 'Checkout hold that created a multi-service appointment; NULL for single-service bookings';
+COMMENT ON COLUMN bookings.appointment_position IS '0 = first service in the block';
@@ -0,0 +1,41 @@
+-- backend/migrations/13_group_bookings.sql
+-- Group and party bookings (weddings, proms): several attendees in one order, each with their own
+-- service and stylist, scheduled side by side or one after another. Every attendee is a separate
+-- booking, so one person can cancel without affecting the rest of the party.
+
+-- Group: the order placed by the organiser
+CREATE TABLE IF NOT EXISTS booking_groups (
+    id SERIAL PRIMARY KEY,
+    business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+    organiser_customer_id INTEGER REFERENCES customers(id),
+    organiser_email VARCHAR(255),
+    name VARCHAR(120),                        -- e.g. "Amara's bridal party"
+    scheduling VARCHAR(10) NOT NULL DEFAULT 'parallel', -- parallel, sequence
+    payment_mode VARCHAR(10) NOT NULL DEFAULT 'organiser', -- organiser, split
+    status VARCHAR(20) DEFAULT 'held',        -- held, confirmed, released
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Holds: one per attendee while the organiser checks out
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES booking_groups(id) ON DELETE CASCADE;
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS attendee_position INTEGER;
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS attendee_name VARCHAR(120);
+ALTER TABLE slot_holds ADD COLUMN IF NOT EXISTS attendee_email VARCHAR(255);
+
+-- Bookings: the attendee behind each booking and, with split payment, when their share is due
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES booking_groups(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS attendee_position INTEGER;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS attendee_name VARCHAR(120);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS share_payment_intent VARCHAR(255);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_due_by TIMESTAMPTZ;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_slot_holds_group ON slot_holds(group_id) WHERE group_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_group ON bookings(group_id, attendee_position) WHERE group_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_awaiting_payment ON bookings(payment_due_by) WHERE status = 'awaiting_payment';
+CREATE INDEX IF NOT EXISTS idx_bookings_share_payment_intent ON bookings(share_payment_intent);
+
+COMMENT ON TABLE booking_groups IS 'Multi-attendee order; each attendee is a booking with its own status';
+COMMENT ON COLUMN booking_groups.payment_mode IS 'organiser = one payment for everyone; split = organiser pays their own place, other attendees pay by link';
+COMMENT ON COLUMN bookings.payment_due_by IS 'Split-payment attendees (status awaiting_payment) lose their place if unpaid by then';
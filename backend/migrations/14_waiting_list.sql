@@ -0,0 +1,53 @@
+-- backend/migrations/14_waiting_list.sql
+-- Server-side waiting list: entries and offers live in Postgres instead of localStorage.
+-- A released slot is offered to one customer at a time; an offer that expires or is
+-- declined moves on to the next customer in the queue (the cascade).
+
+-- Entries: one customer waiting for a service at a business
+CREATE TABLE IF NOT EXISTS waiting_list_entries (
+    id SERIAL PRIMARY KEY,
+    business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES business_services(id) ON DELETE CASCADE,
+    staff_id INTEGER REFERENCES staff(id) ON DELETE SET NULL, -- NULL = any stylist
+    customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+    customer_first_name VARCHAR(60),          -- all the business sees
+    priority NUMERIC(10,2) DEFAULT 0,         -- loyalty at the business when joining
+    status VARCHAR(20) DEFAULT 'waiting',     -- waiting, offered, accepted, booked, left
+    joined_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Offers: a released slot offered to one entry
+CREATE TABLE IF NOT EXISTS waiting_list_offers (
+    id SERIAL PRIMARY KEY,
+    entry_id INTEGER REFERENCES waiting_list_entries(id) ON DELETE CASCADE,
+    business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES business_services(id) ON DELETE CASCADE,
+    staff_id INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+    start_time TIMESTAMP NOT NULL,
+    released_booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL, -- the cancellation that freed it
+    token VARCHAR(64) NOT NULL UNIQUE,        -- link in the offer notification
+    status VARCHAR(20) DEFAULT 'pending',     -- pending, accepting, accepted, declined, expired, withdrawn, lapsed, booked
+    hold_id UUID REFERENCES slot_holds(id) ON DELETE SET NULL, -- checkout hold once accepted
+    expires_at TIMESTAMPTZ NOT NULL,
+    responded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Bookings: when a cancelled booking's slot was handed to the waiting list
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS waitlist_released_at TIMESTAMPTZ;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_waiting_list_queue ON waiting_list_entries(business_id, service_id, priority DESC, joined_at)
+WHERE status = 'waiting';
+CREATE INDEX IF NOT EXISTS idx_waiting_list_customer ON waiting_list_entries(customer_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waiting_list_one_per_service ON waiting_list_entries(customer_id, business_id, service_id)
+WHERE status IN ('waiting', 'offered', 'accepted');
+CREATE INDEX IF NOT EXISTS idx_waiting_list_offers_pending ON waiting_list_offers(expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_waiting_list_offers_slot ON waiting_list_offers(business_id, start_time);
+CREATE INDEX IF NOT EXISTS idx_bookings_waitlist_unreleased ON bookings(cancelled_at)
+WHERE status = 'cancelled' AND waitlist_released_at IS NULL;
+
+COMMENT ON TABLE waiting_list_entries IS 'Customers queued for a service; ranked by priority, then join time';
+COMMENT ON TABLE waiting_list_offers IS 'One released slot offered to one entry; declined or expired offers cascade to the next entry';
+COMMENT ON COLUMN bookings.waitlist_released_at IS 'Set once a cancelled booking''s slot has been offered to the waiting list';
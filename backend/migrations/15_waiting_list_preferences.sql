@@ -0,0 +1,15 @@
+-- backend/migrations/15_waiting_list_preferences.sql
+-- Waiting list preference windows: a date range and weekly time windows per entry
+-- ("any weekday after 5pm in the next two weeks", "Saturday mornings only").
+-- Slots are only offered to entries they fit (see waiting-list-preferences.js).
+
+ALTER TABLE waiting_list_entries ADD COLUMN IF NOT EXISTS available_from DATE;
+ALTER TABLE waiting_list_entries ADD COLUMN IF NOT EXISTS available_until DATE;
+ALTER TABLE waiting_list_entries ADD COLUMN IF NOT EXISTS time_windows JSONB DEFAULT '[]'; -- [{ days: [1,2,3,4,5], from: '17:00', to: null }]
+
+-- An entry whose date range has passed is closed as 'expired'
+CREATE INDEX IF NOT EXISTS idx_waiting_list_until ON waiting_list_entries(available_until)
+WHERE status = 'waiting' AND available_until IS NOT NULL;
+
+COMMENT ON COLUMN waiting_list_entries.priority IS 'Loyalty at the business when joining; offers rank by this plus time waited and fit to the slot';
+COMMENT ON COLUMN waiting_list_entries.time_windows IS 'Weekly windows the customer can come in; empty = any time';
@@ -0,0 +1,33 @@
+-- backend/migrations/16_job_queue.sql
+-- Durable job queue: work scheduled for later (booking reminders, notifications held
+-- back for quiet hours, waiting list offer expiries) lives in Postgres instead of an
+-- in-process setTimeout, so it survives restarts. Failed jobs are retried with
+-- exponential backoff and dead-lettered after max_attempts.
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(60) NOT NULL,                -- e.g. booking_reminder, notification.deliver
+    payload JSONB NOT NULL DEFAULT '{}',
+    idempotency_key VARCHAR(255),             -- generateIdempotencyKey(); a key is only queued once
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, running, completed, dead, cancelled
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    last_error TEXT,
+    locked_at TIMESTAMPTZ,                    -- when a worker claimed it
+    completed_at TIMESTAMPTZ,
+    dead_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_status_type ON jobs(status, type);
+-- A cancelled job does not block scheduling the same work again (e.g. a rescheduled reminder)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_idempotency ON jobs(idempotency_key)
+WHERE idempotency_key IS NOT NULL AND status <> 'cancelled';
+
+COMMENT ON TABLE jobs IS 'Durable scheduled work; run every minute by the job runner in cronJobs.js';
+COMMENT ON COLUMN jobs.status IS 'pending (waiting or retrying), running, completed, dead (out of attempts), cancelled';
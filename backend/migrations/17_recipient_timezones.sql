@@ -0,0 +1,19 @@
+-- backend/migrations/17_recipient_timezones.sql
+-- Per-recipient time zone, locale and quiet hours. Appointment times in messages are
+-- shown in the business's zone; quiet hours and delivery times follow the recipient's
+-- (see recipient-time.js). Quiet hours of NULL/NULL mean the recipient has turned them off.
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'Europe/London';
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS locale VARCHAR(20) NOT NULL DEFAULT 'en-GB';
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS quiet_hours_start TIME DEFAULT '21:00';
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS quiet_hours_end TIME DEFAULT '08:00';
+
+-- The business zone is also the zone its opening hours and appointment times are in
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'Europe/London';
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS locale VARCHAR(20) NOT NULL DEFAULT 'en-GB';
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS quiet_hours_start TIME DEFAULT '21:00';
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS quiet_hours_end TIME DEFAULT '08:00';
+
+COMMENT ON COLUMN customers.timezone IS 'IANA zone for delivery scheduling and times other than the appointment';
+COMMENT ON COLUMN customers.quiet_hours_start IS 'Local time non-urgent messages stop; NULL with quiet_hours_end = no quiet hours';
+COMMENT ON COLUMN businesses.timezone IS 'IANA zone appointment times are shown in, and the owner''s delivery zone';
@@ -0,0 +1,13 @@
+-- backend/migrations/18_notification_preferences.sql
+-- Notification preference centre: one channel × category model for customers and businesses.
+-- Stored as overrides of the defaults in notification-preferences.js, e.g.
+-- { "sms": { "marketing": true }, "email": { "reviews": false } }; '{}' = all defaults.
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS notification_preferences JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS notification_preferences_updated_at TIMESTAMPTZ;
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS notification_preferences JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS notification_preferences_updated_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN customers.notification_preferences IS 'Channel (email, sms, push, whatsapp) x category overrides; every sender checks these before sending';
+COMMENT ON COLUMN customers.notification_preferences_updated_at IS 'When the customer last changed their preferences (consent record)';
@@ -0,0 +1,32 @@
+-- backend/migrations/19_notification_suppressions.sql
+-- Suppression list: addresses (or one category of message to them) that must not be
+-- sent to. Unsubscribe links in non-transactional emails and SMS record an opt-out here
+-- as well as in the recipient's notification preferences, so there is a record of
+-- when and how each opt-out arrived. Addresses are kept as SHA-256 hashes.
+
+CREATE TABLE IF NOT EXISTS notification_suppressions (
+    id BIGSERIAL PRIMARY KEY,
+    channel VARCHAR(20) NOT NULL,             -- email, sms, push, whatsapp
+    address_hash VARCHAR(64),                 -- sha256 of the normalised email or phone number
+    recipient_type VARCHAR(20),               -- customer, business (when known)
+    recipient_id INTEGER,
+    category VARCHAR(30),                     -- NULL = every message to the address
+    reason VARCHAR(40) NOT NULL,              -- unsubscribe, ...
+    source VARCHAR(30),                       -- one_click (List-Unsubscribe-Post), link (unsubscribe page)
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    lifted_at TIMESTAMPTZ                     -- set when the recipient opts back in
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_suppressions_address ON notification_suppressions(channel, address_hash)
+WHERE lifted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_suppressions_recipient ON notification_suppressions(recipient_type, recipient_id)
+WHERE lifted_at IS NULL;
+-- Clicking the same unsubscribe link twice records one opt-out
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppressions_active
+ON notification_suppressions(channel, address_hash, COALESCE(category, ''), reason)
+WHERE lifted_at IS NULL;
+
+COMMENT ON TABLE notification_suppressions IS 'Addresses not to send to (all messages, or one category); active while lifted_at IS NULL';
+COMMENT ON COLUMN notification_suppressions.category IS 'Category from notification-preferences.js, or NULL to suppress every message to the address';
+COMMENT ON COLUMN notification_suppressions.source IS 'How the opt-out arrived: one_click (mail client, RFC 8058) or link (unsubscribe page)';
@@ -0,0 +1,36 @@
+-- backend/migrations/20_delivery_events.sql
+-- Delivery feedback from the email and SMS providers (bounces, complaints, deliveries),
+-- received by /api/webhooks/delivery. Hard bounces and complaints add the address to
+-- notification_suppressions; bounces also flag the customer so the dashboard asks them
+-- to fix their email or phone number.
+
+CREATE TABLE IF NOT EXISTS delivery_events (
+    id BIGSERIAL PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,            -- generic, ses, sendgrid, twilio
+    channel VARCHAR(20) NOT NULL,             -- email, sms, whatsapp
+    event_type VARCHAR(20) NOT NULL,          -- delivered, bounce, complaint
+    bounce_type VARCHAR(10),                  -- hard, soft (bounces only)
+    address_hash VARCHAR(64) NOT NULL,        -- same hash as notification_suppressions
+    provider_message_id VARCHAR(255),
+    reason TEXT,                              -- provider's diagnostic, e.g. "550 5.1.1 user unknown"
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_delivery_events_address ON delivery_events(channel, address_hash, occurred_at DESC);
+-- Providers retry webhooks; the same event for the same message is only recorded once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_events_dedupe
+ON delivery_events(provider, provider_message_id, event_type, address_hash)
+WHERE provider_message_id IS NOT NULL;
+
+-- Whether the customer's email and phone number can be delivered to
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS email_status VARCHAR(20) NOT NULL DEFAULT 'valid';
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS sms_status VARCHAR(20) NOT NULL DEFAULT 'valid';
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS last_bounce_at TIMESTAMPTZ;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS last_bounce_reason TEXT;
+
+COMMENT ON TABLE delivery_events IS 'Bounces, complaints and deliveries reported by email/SMS providers';
+COMMENT ON COLUMN customers.email_status IS 'valid, restricted (soft bouncing) or invalid (hard bounced; the dashboard asks for a new address)';
+COMMENT ON COLUMN customers.sms_status IS 'valid, restricted (delivery errors) or invalid (number unreachable; the dashboard asks for a new one)';
+COMMENT ON COLUMN notification_suppressions.reason IS 'unsubscribe (one category), or hard_bounce, repeated_soft_bounce, complaint (every message)';
@@ -0,0 +1,42 @@
+-- backend/migrations/21_whatsapp.sql
+-- WhatsApp Business as a notification channel. Customers and businesses opt in
+-- by turning on a WhatsApp category in the preference centre; the opt-in is
+-- recorded here because WhatsApp requires proof of it. Every template message
+-- sent is tracked through Twilio's status callbacks (sent, delivered, read, failed).
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS whatsapp_opt_in_at TIMESTAMPTZ;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS whatsapp_opt_in_source VARCHAR(30);
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS whatsapp_opted_out_at TIMESTAMPTZ;
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS whatsapp_opt_in_at TIMESTAMPTZ;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS whatsapp_opt_in_source VARCHAR(30);
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS whatsapp_opted_out_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS whatsapp_messages (
+    id BIGSERIAL PRIMARY KEY,
+    recipient_type VARCHAR(20),               -- customer, business (when known)
+    recipient_id INTEGER,
+    booking_id INTEGER,
+    template VARCHAR(50) NOT NULL,            -- booking_confirmation, booking_reminder, waiting_list_offer
+    address_hash VARCHAR(64) NOT NULL,        -- same hash as notification_suppressions
+    transport VARCHAR(20) NOT NULL,           -- twilio, mock
+    provider_message_id VARCHAR(64),
+    status VARCHAR(20) NOT NULL,              -- queued, sent, delivered, read, undelivered, failed
+    error_code VARCHAR(20),
+    error_message TEXT,
+    sent_at TIMESTAMPTZ DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ,
+    read_at TIMESTAMPTZ,
+    status_updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_whatsapp_messages_provider_id ON whatsapp_messages(provider_message_id)
+WHERE provider_message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_booking ON whatsapp_messages(booking_id) WHERE booking_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_status ON whatsapp_messages(status, sent_at DESC);
+
+COMMENT ON COLUMN customers.whatsapp_opt_in_at IS 'When the customer agreed to WhatsApp messages; NULL = not opted in (nothing is sent)';
+COMMENT ON COLUMN customers.whatsapp_opt_in_source IS 'Where the opt-in was given, e.g. preference_centre';
+COMMENT ON COLUMN customers.whatsapp_opted_out_at IS 'When the customer last turned every WhatsApp message off';
+COMMENT ON TABLE whatsapp_messages IS 'WhatsApp template messages sent and their latest delivery status';
@@ -0,0 +1,33 @@
+-- backend/migrations/22_sms_replies.sql
+-- Two-way SMS: customers answer texts with a keyword (YES / NO / CONFIRM /
+-- CANCEL / STOP / START / HELP), received by /api/webhooks/sms. Each reply is
+-- matched to the customer's latest outstanding action (a waiting list offer or
+-- an upcoming booking) and recorded here with what was done and what we texted back.
+
+CREATE TABLE IF NOT EXISTS sms_replies (
+    id BIGSERIAL PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,            -- generic, twilio
+    provider_message_id VARCHAR(64),
+    address_hash VARCHAR(64) NOT NULL,        -- same hash as notification_suppressions
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    body VARCHAR(160),                        -- first 160 characters of the reply
+    intent VARCHAR(20),                       -- yes, no, stop, start, help; NULL = not understood
+    action VARCHAR(30),                       -- offer_accepted, offer_declined, booking_confirmed, booking_cancelled, stopped, started, ...
+    offer_id INTEGER REFERENCES waiting_list_offers(id) ON DELETE SET NULL,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    reply TEXT,                               -- the confirmation texted back
+    received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Bookings: the customer said they will be there
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS customer_confirmed_at TIMESTAMPTZ;
+
+-- Indexes
+-- Providers retry webhooks; the same reply is only acted on once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sms_replies_provider_id ON sms_replies(provider, provider_message_id)
+WHERE provider_message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sms_replies_customer ON sms_replies(customer_id, received_at DESC);
+
+COMMENT ON TABLE sms_replies IS 'Inbound SMS keyword replies, what they did and the confirmation sent back';
+COMMENT ON COLUMN bookings.customer_confirmed_at IS 'When the customer confirmed they will attend (SMS reply YES / CONFIRM)';
+COMMENT ON COLUMN notification_suppressions.reason IS 'unsubscribe (one category), or hard_bounce, repeated_soft_bounce, complaint, sms_stop (every message)';
@@ -0,0 +1,50 @@
+-- backend/migrations/23_notification_ledger.sql
+-- Notification ledger: one row per message sent (email, SMS, WhatsApp) and its
+-- lifecycle, queued → sent → delivered / failed → opened → clicked. Each step is
+-- also kept in notification_events, so a booking's timeline shows what was sent
+-- to the customer and what happened to it. Provider delivery webhooks move
+-- messages along by provider_message_id.
+
+CREATE TABLE IF NOT EXISTS notification_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    business_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL,
+    recipient_type VARCHAR(20),               -- customer, business (when known)
+    recipient_id INTEGER,
+    channel VARCHAR(20) NOT NULL,             -- email, sms, whatsapp
+    template VARCHAR(50) NOT NULL,            -- booking_confirmation, booking_reminder, waiting_list_offer, ...
+    category VARCHAR(30),                     -- preference centre category, e.g. booking, reminders
+    address_hash VARCHAR(64),                 -- same hash as notification_suppressions
+    provider VARCHAR(20),                     -- ses, sendgrid, twilio, mock, ...
+    provider_message_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, sent, delivered, failed, opened, clicked
+    error TEXT,                               -- why it failed, e.g. "Twilio error 30006"
+    queued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    failed_at TIMESTAMPTZ,
+    opened_at TIMESTAMPTZ,
+    clicked_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS notification_events (
+    id BIGSERIAL PRIMARY KEY,
+    notification_id BIGINT NOT NULL REFERENCES notification_ledger(id) ON DELETE CASCADE,
+    event VARCHAR(20) NOT NULL,               -- queued, sent, delivered, failed, opened, clicked, complaint
+    detail TEXT,
+    occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_notification_ledger_booking ON notification_ledger(booking_id, queued_at)
+WHERE booking_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notification_ledger_provider_id ON notification_ledger(provider_message_id)
+WHERE provider_message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notification_ledger_template ON notification_ledger(template, channel, queued_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_ledger_business ON notification_ledger(business_id, queued_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_events_notification ON notification_events(notification_id, occurred_at);
+
+COMMENT ON TABLE notification_ledger IS 'Every notification sent and how far it got (queued, sent, delivered, failed, opened, clicked)';
+COMMENT ON TABLE notification_events IS 'Each step of a notification''s lifecycle, for the per-booking timeline';
+COMMENT ON COLUMN delivery_events.event_type IS 'delivered, bounce, complaint, open, click';
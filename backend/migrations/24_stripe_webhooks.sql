@@ -0,0 +1,63 @@
+-- backend/migrations/24_stripe_webhooks.sql
+-- Stripe webhook processing: every event Stripe sends is stored before it is acted on,
+-- so retries and duplicate deliveries are skipped and a failed event can be replayed.
+-- Payments, refunds and disputes move bookings and payments along from the webhook
+-- instead of relying on the app calling finalizeBooking.
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+    id VARCHAR(255) PRIMARY KEY,              -- Stripe event id (evt_...)
+    type VARCHAR(100) NOT NULL,               -- payment_intent.succeeded, charge.refunded, ...
+    object_id VARCHAR(255),                   -- pi_, ch_, dp_ or tr_ id the event is about
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'received', -- received, processing, processed, ignored, failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    livemode BOOLEAN DEFAULT false,
+    stripe_created_at TIMESTAMPTZ,
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    processed_at TIMESTAMPTZ
+);
+
+-- Payments: one row per PaymentIntent, kept in step with Stripe
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS stripe_charge_id VARCHAR(255);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Bookings: payment, refund and dispute state from Stripe
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20); -- paid, failed, refunded, partially_refunded, disputed
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS dispute_id VARCHAR(255);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS dispute_status VARCHAR(30); -- Stripe dispute status, e.g. needs_response, won, lost
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS dispute_reason VARCHAR(50);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMPTZ;
+
+-- Transfers to connected business accounts
+CREATE TABLE IF NOT EXISTS stripe_transfers (
+    id VARCHAR(255) PRIMARY KEY,              -- Stripe transfer id (tr_...)
+    business_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    destination VARCHAR(255),                 -- connected account (acct_...)
+    amount DECIMAL(10,2) NOT NULL,
+    amount_reversed DECIMAL(10,2) DEFAULT 0,
+    currency VARCHAR(3) DEFAULT 'GBP',
+    status VARCHAR(20) NOT NULL DEFAULT 'created', -- created, updated, reversed
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events(status, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_object ON stripe_events(object_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_payment_intent ON payments(stripe_payment_intent)
+WHERE stripe_payment_intent IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_payment_intent ON bookings(stripe_payment_intent)
+WHERE stripe_payment_intent IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_balance_payment_intent ON bookings(balance_payment_intent)
+WHERE balance_payment_intent IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_stripe_transfers_business ON stripe_transfers(business_id, created_at DESC);
+
+COMMENT ON TABLE stripe_events IS 'Every Stripe webhook event received, for deduplication and replay';
+COMMENT ON TABLE stripe_transfers IS 'Transfers to connected business accounts, kept in step by transfer.* webhooks';
+COMMENT ON COLUMN bookings.payment_status IS 'paid, failed, refunded, partially_refunded, disputed (from Stripe webhooks)';
+COMMENT ON COLUMN bookings.disputed IS 'True while a chargeback is open; the points-release cron skips disputed bookings';
@@ -0,0 +1,52 @@
+-- backend/migrations/25_payouts.sql
+-- Business payouts: a ledger of what each booking earned the business (gross paid through
+-- BlkPages, less refunds and the platform fee) and the payouts that settle it. Funds are held
+-- until 24 hours after the appointment; a daily batch then sends everything due to the
+-- business's Stripe Connect account as one transfer. Refunds after a payout become
+-- adjustment entries that are netted off the next one.
+
+CREATE TABLE IF NOT EXISTS payouts (
+    id SERIAL PRIMARY KEY,
+    business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+    reference VARCHAR(30) UNIQUE,             -- PAYOUT-2025-000042, shown on statements
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'GBP',
+    booking_count INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing', -- processing, paid, failed, reversed
+    destination VARCHAR(255),                 -- connected account (acct_...)
+    stripe_transfer_id VARCHAR(255),
+    failure_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    paid_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS payout_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    entry_type VARCHAR(20) NOT NULL DEFAULT 'booking', -- booking, adjustment (refund or fee change after payout)
+    gross_amount DECIMAL(10,2) NOT NULL DEFAULT 0,     -- paid through BlkPages (not cash in person)
+    refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    platform_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    net_amount DECIMAL(10,2) NOT NULL DEFAULT 0,       -- gross - refunded - platform_fee
+    currency VARCHAR(3) DEFAULT 'GBP',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',     -- pending, in_payout, paid
+    available_at TIMESTAMPTZ NOT NULL,                 -- end of the hold period
+    payout_id INTEGER REFERENCES payouts(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_ledger_open ON payout_ledger(booking_id)
+WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_payout_ledger_due ON payout_ledger(business_id, available_at)
+WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_payout_ledger_booking ON payout_ledger(booking_id);
+CREATE INDEX IF NOT EXISTS idx_payout_ledger_payout ON payout_ledger(payout_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_business ON payouts(business_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payouts_transfer ON payouts(stripe_transfer_id);
+
+COMMENT ON TABLE payout_ledger IS 'What each booking earned the business: gross, refunds, platform fee and net, and which payout settled it';
+COMMENT ON TABLE payouts IS 'Stripe Connect transfers to businesses, one per business per payout batch';
@@ -0,0 +1,38 @@
+-- backend/migrations/26_commission_rules.sql
+-- Platform commission: what BlkPages keeps from each booking, set per plan and per
+-- business category as a percentage plus a fixed fee, with an optional cap. A rule with
+-- a start and end date is a promotion (e.g. zero fees for new starters in January) and
+-- wins over the standing rules while it runs. The commission is taken off at payout time;
+-- each booking keeps the terms it was charged under, so editing a rule later never
+-- changes what was already earned.
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS plan VARCHAR(20) NOT NULL DEFAULT 'free'; -- free, starter, premium
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS category VARCHAR(50);                      -- e.g. hair, barber, nails
+
+CREATE TABLE IF NOT EXISTS commission_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,               -- shown on statements and receipts
+    plan VARCHAR(20),                         -- NULL = every plan
+    category VARCHAR(50),                     -- NULL = every category
+    percent DECIMAL(5,2) NOT NULL DEFAULT 0,  -- of what the booking took after refunds
+    fixed_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    max_fee DECIMAL(10,2),                    -- cap per booking, NULL = no cap
+    starts_at TIMESTAMPTZ,                    -- set on promotions
+    ends_at TIMESTAMPTZ,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Bookings: the commission terms in force when the booking was made
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS commission_rule_id INTEGER REFERENCES commission_rules(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS commission_terms JSONB; -- { ruleId, name, percent, fixedFee, maxFee }
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_commission_rules_active ON commission_rules(plan, category) WHERE active = true;
+CREATE INDEX IF NOT EXISTS idx_businesses_plan ON businesses(plan);
+
+COMMENT ON TABLE commission_rules IS 'Platform commission per plan and category: percent plus fixed fee, optional cap; dated rules are promotions';
+COMMENT ON COLUMN bookings.commission_terms IS 'Commission rule the booking was charged under, fixed the first time its payout entry is worked out';
+COMMENT ON COLUMN businesses.plan IS 'Subscription plan (free, starter, premium); picks the commission rule';
@@ -0,0 +1,18 @@
+-- backend/migrations/27_stripe_connect.sql
+-- Stripe Connect onboarding: each business gets an Express account and finishes
+-- Stripe's hosted onboarding (identity, bank account). Stripe's account.updated
+-- webhook keeps whether it can take charges and receive payouts, and what Stripe
+-- still needs, in step here. A business takes online bookings once payouts are enabled.
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS stripe_charges_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS stripe_payouts_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS stripe_details_submitted BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS stripe_requirements JSONB NOT NULL DEFAULT '{}'; -- { currentlyDue, pastDue, eventuallyDue, pendingVerification, disabledReason, deadline }
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS stripe_account_updated_at TIMESTAMPTZ;
+
+-- Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_businesses_stripe_account ON businesses(stripe_account_id)
+WHERE stripe_account_id IS NOT NULL;
+
+COMMENT ON COLUMN businesses.stripe_payouts_enabled IS 'Stripe can pay out to the connected account; online bookings are blocked until it can';
+COMMENT ON COLUMN businesses.stripe_requirements IS 'What Stripe still needs from the business (KYC), from the latest account.updated webhook';
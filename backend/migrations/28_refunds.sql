@@ -0,0 +1,41 @@
+-- backend/migrations/28_refunds.sql
+-- Refund ledger: every refund on a booking is a row, whether an admin, the business or a
+-- cancellation issued it here or someone refunded in the Stripe dashboard. A booking can be
+-- refunded in several steps, by amount or by line item (one service of a multi-service
+-- appointment). The ledger is the source of bookings.refunded_amount, which the payout
+-- ledger and BlkPoints reversal work from.
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    business_id INTEGER REFERENCES businesses(id) ON DELETE SET NULL,
+    customer_id INTEGER,
+    payment_intent VARCHAR(255) NOT NULL,      -- checkout or balance PaymentIntent refunded
+    stripe_refund_id VARCHAR(255),             -- re_..., set once Stripe has the refund
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'GBP',
+    reason TEXT,
+    actor_type VARCHAR(20) NOT NULL,           -- admin, business, customer, system, stripe
+    actor_id INTEGER,                          -- user who issued it (admin or business owner)
+    source VARCHAR(30),                        -- admin, business, cancellation, dispute, sms_reply, stripe_dashboard, ...
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, succeeded, failed, canceled
+    failure_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Bookings: BlkPoints given at release and taken back by refunds, so each refund reverses only its share
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS points_awarded INTEGER;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS points_reversed INTEGER NOT NULL DEFAULT 0;
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_refunds_booking ON refunds(booking_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_refunds_business ON refunds(business_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_refunds_customer ON refunds(customer_id, created_at DESC);
+-- A Stripe refund split over several bookings (dashboard refunds) has one row per booking
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_stripe ON refunds(stripe_refund_id, booking_id)
+WHERE stripe_refund_id IS NOT NULL;
+
+COMMENT ON TABLE refunds IS 'Every refund on a booking, with amount, reason, who issued it and the Stripe refund id';
+COMMENT ON COLUMN bookings.refunded_amount IS 'Sum of pending and succeeded refunds in the refunds ledger';
+COMMENT ON COLUMN bookings.points_reversed IS 'BlkPoints taken back by refunds so far (1 per £1 refunded, up to points_awarded)';
@@ -0,0 +1,29 @@
+-- backend/migrations/29_resolved_cancellation_policies.sql
+-- Cancellation policies are stored with their tiers, never as just a preset name, so a
+-- booking keeps the exact rules the customer agreed to even if a preset is changed later.
+-- Preset references ({"type": "moderate"}) already stored on businesses and booking
+-- snapshots are resolved to the tiers they stand for today. The engine's fallback for a
+-- missing or unknown policy is no refund (as before the tiered engine); only the rows
+-- resolved here, and the column default, use the presets.
+
+CREATE TEMP TABLE cancellation_presets (type VARCHAR(20) PRIMARY KEY, policy JSONB NOT NULL);
+INSERT INTO cancellation_presets (type, policy) VALUES
+    ('flexible', '{"type": "flexible", "name": "Flexible", "allowCancellation": true, "tiers": [{"minHoursBefore": 24, "refundPercent": 100, "fee": 0}, {"minHoursBefore": 0, "refundPercent": 0, "fee": 0}], "deposit": {"forfeitWithinHours": null}, "noShow": {"refundPercent": 0, "fee": 0}}'::jsonb),
+    ('moderate', '{"type": "moderate", "name": "Moderate", "allowCancellation": true, "tiers": [{"minHoursBefore": 48, "refundPercent": 100, "fee": 0}, {"minHoursBefore": 0, "refundPercent": 50, "fee": 0}], "deposit": {"forfeitWithinHours": null}, "noShow": {"refundPercent": 0, "fee": 0}}'::jsonb),
+    ('strict', '{"type": "strict", "name": "Strict", "allowCancellation": true, "tiers": [{"minHoursBefore": 0, "refundPercent": 0, "fee": 0}], "deposit": {"forfeitWithinHours": null}, "noShow": {"refundPercent": 0, "fee": 0}}'::jsonb),
+    ('non-refundable', '{"type": "non-refundable", "name": "Non-Refundable", "allowCancellation": false, "tiers": [], "deposit": {"forfeitWithinHours": null}, "noShow": {"refundPercent": 0, "fee": 0}}'::jsonb);
+
+UPDATE businesses b SET cancellation_policy = p.policy
+FROM cancellation_presets p
+WHERE b.cancellation_policy->>'type' = p.type AND NOT (b.cancellation_policy ? 'tiers');
+
+UPDATE bookings bk SET cancellation_policy = p.policy
+FROM cancellation_presets p
+WHERE bk.cancellation_policy->>'type' = p.type AND NOT (bk.cancellation_policy ? 'tiers');
+
+DROP TABLE cancellation_presets;
+
+-- New businesses start on the Moderate tiers
+ALTER TABLE businesses ALTER COLUMN cancellation_policy SET DEFAULT '{"type": "moderate", "name": "Moderate", "allowCancellation": true, "tiers": [{"minHoursBefore": 48, "refundPercent": 100, "fee": 0}, {"minHoursBefore": 0, "refundPercent": 50, "fee": 0}], "deposit": {"forfeitWithinHours": null}, "noShow": {"refundPercent": 0, "fee": 0}}'::jsonb;
+
+COMMENT ON COLUMN bookings.cancellation_policy IS 'Resolved policy tiers when the booking was made (NULL = use the business policy)';
@@ -0,0 +1,12 @@
+-- backend/migrations/30_referral_bookings.sql
+-- A referral remembers the booking that completed it, so a full refund of that booking
+-- takes the referrer's bonus back (once) without touching anyone's pending referrals.
+-- status: pending, completed, or reversed (the completing booking was fully refunded).
+
+ALTER TABLE referrals ADD COLUMN IF NOT EXISTS booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL;
+ALTER TABLE referrals ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_referrals_booking ON referrals(booking_id) WHERE booking_id IS NOT NULL;
+
+COMMENT ON COLUMN referrals.booking_id IS 'Booking whose release completed the referral and awarded the bonus';
+COMMENT ON COLUMN referrals.reversed_at IS 'When the bonus was taken back because that booking was fully refunded';
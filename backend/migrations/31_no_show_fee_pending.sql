@@ -0,0 +1,5 @@
+-- backend/migrations/31_no_show_fee_pending.sql
+-- A no-show fee is recorded as pending with the no-show itself, before the saved card is
+-- charged, so a charge whose outcome was never saved still shows on the booking.
+
+COMMENT ON COLUMN bookings.no_show_fee_status IS 'pending = being charged; charged = paid off-session with the saved card; failed = card declined or needs the customer';
@@ -1,6 +1,7 @@
 /**
  * Notification Automation System for BlkPages
  * Handles waiting list offers, notification triggers, bounce handling, and dunning flow
+ * Sends by email, SMS and WhatsApp (approved templates only)
  * GDPR-compliant with comprehensive logging and retry mechanisms
  */
 
@@ -14,18 +15,50 @@ class NotificationAutomationSystem {
         
         this.config = {
             wlo_hold_hours: 2, // Configurable: 30m min, 6h max
-            quiet_hours_start: 21, // 21:00
-            quiet_hours_end: 8,    // 08:00
+            quiet_hours_start: '21:00', // Defaults for recipients who have not set their own
+            quiet_hours_end: '08:00',
             max_retries: 3,
             retry_delays: [60000, 300000, 1200000], // 1m, 5m, 20m
-            timezone: 'Europe/London'
+            timezone: 'Europe/London',
+            locale: 'en-GB'
         };
         
         this.notifications = new Map();
         this.waitingListOffers = new Map();
-        this.suppressionList = new Map();
+        this.suppressionList = new Map(); // Browser demo only; the server uses notification_suppressions
         this.billingHistory = new Map();
         this.auditLogs = [];
+
+        // Same preference matcher as the server-side waiting list
+        this.waitingListPreferences = typeof module !== 'undefined' && module.exports
+            ? require('../waiting-list-preferences')
+            : window.WaitingListPreferences;
+        // Same idempotency keys as the durable job queue
+        this.idempotencyKeys = typeof module !== 'undefined' && module.exports
+            ? require('../idempotency-key')
+            : window.IdempotencyKey;
+        // Same time zone and quiet hours rules as the communication system
+        this.recipientTime = typeof module !== 'undefined' && module.exports
+            ? require('../recipient-time')
+            : window.RecipientTime;
+        // Same channel x category preferences as every other sender
+        this.notificationPreferences = typeof module !== 'undefined' && module.exports
+            ? require('../notification-preferences')
+            : window.NotificationPreferences;
+        // Approved WhatsApp templates, the same ones the communication system sends
+        this.whatsAppTemplates = typeof module !== 'undefined' && module.exports
+            ? require('../whatsapp-templates')
+            : window.WhatsAppTemplates;
+        // Signed unsubscribe links need the server's secret; the browser demo sends without them
+        this.unsubscribeToken = this.isServer() ? require('../unsubscribe-token') : null;
+
+        // Notifications held back for quiet hours come back here from the job queue
+        if (this.isServer()) {
+            this.jobQueue().then(({ registerJobHandler }) => {
+                registerJobHandler('notification.deliver', ({ notification, recipient }) =>
+                    this.processNotification(notification, recipient));
+            });
+        }
     }
 
     /**
@@ -38,6 +71,12 @@ class NotificationAutomationSystem {
                 throw new Error('Customer not eligible for waiting list offer');
             }
 
+            // Only offer slots inside the customer's dates and time windows
+            const preferences = await this.getWaitingListPreferences(customerId, businessId, serviceId);
+            if (!this.waitingListPreferences.slotFits(preferences, slotDateTime)) {
+                throw new Error('Slot does not fit customer waiting list preferences');
+            }
+
             const offerToken = this.generateSecureToken();
             const startAt = new Date();
             const holdExpiresAt = new Date(startAt.getTime() + (this.config.wlo_hold_hours * 60 * 60 * 1000));
@@ -47,6 +86,7 @@ class NotificationAutomationSystem {
                 customer_id: customerId,
                 business_id: businessId,
                 service_id: serviceId,
+                slot_date_time: slotDateTime,
                 start_at_utc: startAt.toISOString(),
                 hold_expires_at_utc: holdExpiresAt.toISOString(),
                 offer_status: 'pending',
@@ -94,8 +134,8 @@ class NotificationAutomationSystem {
         if (!customer) return false;
 
         // Check for valid, non-suppressed contact methods
-        const hasValidEmail = customer.email_status === 'valid' && !this.isSuppressed('email', customer.email);
-        const hasValidSMS = customer.sms_status === 'verified' && !this.isSuppressed('sms', customer.phone);
+        const hasValidEmail = customer.email_status === 'valid' && !await this.isSuppressed('email', customer.email, 'waiting_list');
+        const hasValidSMS = customer.sms_status === 'verified' && !await this.isSuppressed('sms', customer.phone, 'waiting_list');
 
         return hasValidEmail || hasValidSMS;
     }
@@ -112,42 +152,69 @@ class NotificationAutomationSystem {
             throw new Error('Missing customer, business, or service data');
         }
 
-        const localDateTime = this.formatLocalDateTime(offer.start_at_utc);
+        // The slot in the business's zone, worded for the customer
+        const localDateTime = this.formatLocalDateTime(offer.start_at_utc, business.timezone, customer.locale);
         const secureOfferLink = this.generateSecureOfferLink(offer.offer_token);
+        const emailUnsubscribe = this.unsubscribeLinks('customer', customer.id, 'email', 'waiting_list');
+        const smsUnsubscribe = this.unsubscribeLinks('customer', customer.id, 'sms', 'waiting_list');
 
         // Send email notification
-        if (customer.email_status === 'valid' && !this.isSuppressed('email', customer.email)) {
+        if (customer.email_status === 'valid' && !await this.isSuppressed('email', customer.email, 'waiting_list')) {
             await this.sendEmailNotification({
                 to: customer.email,
                 subject: `A slot opened at ${business.name}!`,
                 template: 'waiting-list-offer',
+                headers: emailUnsubscribe?.headers,
                 data: {
                     first_name: customer.first_name,
                     business_name: business.name,
                     service_name: service.name,
                     date_time: localDateTime,
                     offer_link: secureOfferLink,
-                    hold_hours: this.config.wlo_hold_hours
+                    hold_hours: this.config.wlo_hold_hours,
+                    unsubscribe_url: emailUnsubscribe?.url
                 }
             });
         }
 
         // Send SMS notification
-        if (customer.sms_status === 'verified' && !this.isSuppressed('sms', customer.phone)) {
-            const smsMessage = `Slot opened at ${business.name} ${localDateTime}. Book within ${this.config.wlo_hold_hours}h: ${this.shortenUrl(secureOfferLink)}. No replies.`;
+        if (customer.sms_status === 'verified' && !await this.isSuppressed('sms', customer.phone, 'waiting_list')) {
+            const smsMessage = `Slot opened at ${business.name} ${localDateTime}. Book within ${this.config.wlo_hold_hours}h: ${this.shortenUrl(secureOfferLink)} or reply YES. Reply NO to pass.`;
             
             await this.sendSMSNotification({
                 to: customer.phone,
-                message: smsMessage,
+                message: this.withSmsFooter(smsMessage, smsUnsubscribe),
                 type: 'waiting_list_offer'
             });
         }
 
+        // Send WhatsApp notification to customers who opted in and turned offers on
+        let whatsAppSent = false;
+        if (customer.whatsapp_opt_in_at && customer.phone &&
+            this.notificationPreferences.isAllowed(customer.notification_preferences, 'whatsapp', 'waiting_list') &&
+            !await this.isSuppressed('whatsapp', customer.phone, 'waiting_list')) {
+            const result = await this.sendWhatsAppNotification({
+                to: customer.phone,
+                recipientType: 'customer',
+                recipientId: customer.id,
+                template: 'waiting_list_offer',
+                data: this.getWhatsAppData({
+                    first_name: customer.first_name,
+                    business_name: business.name,
+                    service_name: service.name,
+                    date_time: localDateTime,
+                    offer_link: secureOfferLink
+                }, this.unsubscribeLinks('customer', customer.id, 'whatsapp', 'waiting_list'))
+            });
+            whatsAppSent = result.success;
+        }
+
         this.logAuditEvent('wlo_notifications_sent', {
             offer_id: offer.id,
             customer_id: offer.customer_id,
             email_sent: customer.email_status === 'valid',
-            sms_sent: customer.sms_status === 'verified'
+            sms_sent: customer.sms_status === 'verified',
+            whatsapp_sent: whatsAppSent
         });
     }
 
@@ -244,23 +311,30 @@ class NotificationAutomationSystem {
     }
 
     /**
-     * Process notification with retries
+     * Process notification with retries. Quiet hours are each recipient's own,
+     * in their time zone; a deferred recipient comes back here on its own.
      */
-    async processNotification(notification) {
+    async processNotification(notification, deferredRecipient = null) {
         try {
-            // Check quiet hours
-            if (this.isQuietHours() && !this.isUrgentNotification(notification.event_type)) {
-                await this.scheduleForMorning(notification);
-                return;
-            }
-
             // Determine recipients and channels
-            const recipients = await this.getNotificationRecipients(notification);
-            
+            const recipients = deferredRecipient ? [deferredRecipient] : await this.getNotificationRecipients(notification);
+            let deferred = 0;
+
             for (const recipient of recipients) {
+                // Check quiet hours
+                if (!deferredRecipient && this.isQuietHours(recipient.settings) &&
+                    !this.isUrgentNotification(notification.event_type)) {
+                    await this.scheduleForMorning(notification, recipient);
+                    deferred++;
+                    continue;
+                }
                 await this.sendToRecipient(notification, recipient);
             }
 
+            if (deferred === recipients.length) {
+                return;
+            }
+
             notification.status = 'sent';
             notification.sent_at_utc = new Date().toISOString();
             this.notifications.set(notification.idempotency_key, notification);
@@ -276,8 +350,32 @@ class NotificationAutomationSystem {
     async sendToRecipient(notification, recipient) {
         const { channel, address, type } = recipient;
 
+        // Check the recipient's notification preferences
+        const category = this.notificationPreferences.categoryFor(notification.event_type);
+        if (!this.notificationPreferences.isAllowed(recipient.preferences, channel, category)) {
+            this.logAuditEvent('notification_skipped', {
+                notification_id: notification.id,
+                channel: channel,
+                address: this.maskAddress(address),
+                reason: 'preferences'
+            });
+            return;
+        }
+
+        // WhatsApp can only start a conversation with an approved template
+        const whatsAppTemplate = channel === 'whatsapp' ? this.whatsAppTemplates.templateForEvent(notification.event_type) : null;
+        if (channel === 'whatsapp' && !whatsAppTemplate) {
+            this.logAuditEvent('notification_skipped', {
+                notification_id: notification.id,
+                channel: channel,
+                address: this.maskAddress(address),
+                reason: 'no_whatsapp_template'
+            });
+            return;
+        }
+
         // Check suppression
-        if (this.isSuppressed(channel, address)) {
+        if (await this.isSuppressed(channel, address, category)) {
             this.logAuditEvent('notification_suppressed', {
                 notification_id: notification.id,
                 channel: channel,
@@ -288,7 +386,7 @@ class NotificationAutomationSystem {
         }
 
         // Check bounce status
-        if (this.isBounced(channel, address)) {
+        if (await this.isBounced(channel, address)) {
             this.logAuditEvent('notification_bounced', {
                 notification_id: notification.id,
                 channel: channel,
@@ -299,19 +397,41 @@ class NotificationAutomationSystem {
         }
 
         try {
+            // Non-transactional messages carry a signed unsubscribe link for their category
+            const unsubscribe = this.unsubscribeLinks(type, recipient.id, channel, category);
+
             if (channel === 'email') {
                 await this.sendEmailNotification({
                     to: address,
                     subject: this.getEmailSubject(notification.event_type, notification.data),
                     template: this.getEmailTemplate(notification.event_type),
-                    data: notification.data
+                    headers: unsubscribe?.headers,
+                    data: { ...notification.data, unsubscribe_url: unsubscribe?.url }
                 });
             } else if (channel === 'sms') {
                 await this.sendSMSNotification({
                     to: address,
-                    message: this.getSMSMessage(notification.event_type, notification.data),
+                    message: this.withSmsFooter(this.getSMSMessage(notification.event_type, notification.data), unsubscribe),
                     type: notification.event_type
                 });
+            } else if (channel === 'whatsapp') {
+                const result = await this.sendWhatsAppNotification({
+                    to: address,
+                    recipientType: type,
+                    recipientId: recipient.id,
+                    template: whatsAppTemplate,
+                    data: this.getWhatsAppData(notification.data, unsubscribe),
+                    bookingId: notification.data.booking_id
+                });
+                if (!result.success) {
+                    this.logAuditEvent('notification_skipped', {
+                        notification_id: notification.id,
+                        channel: channel,
+                        address: this.maskAddress(address),
+                        reason: result.reason
+                    });
+                    return;
+                }
             }
 
             this.logAuditEvent('notification_sent', {
@@ -357,6 +477,18 @@ class NotificationAutomationSystem {
      * Handle email bounce
      */
     async handleEmailBounce(email, bounceType, reason) {
+        // On the server the bounce is stored like one from the provider webhooks
+        if (this.isServer()) {
+            const { recordDeliveryEvent } = await this.deliveryEvents();
+            await recordDeliveryEvent('automation', { channel: 'email', type: 'bounce', bounceType, address: email, reason });
+            this.logAuditEvent('email_bounce_handled', {
+                email: this.maskAddress(email),
+                bounce_type: bounceType,
+                reason: reason
+            });
+            return;
+        }
+
         const customer = await this.getCustomerByEmail(email);
         if (!customer) return;
 
@@ -386,6 +518,17 @@ class NotificationAutomationSystem {
      * Handle SMS delivery error
      */
     async handleSMSError(phone, errorType, reason) {
+        if (this.isServer()) {
+            const { recordDeliveryEvent } = await this.deliveryEvents();
+            await recordDeliveryEvent('automation', { channel: 'sms', type: 'bounce', bounceType: errorType, address: phone, reason });
+            this.logAuditEvent('sms_error_handled', {
+                phone: this.maskAddress(phone),
+                error_type: errorType,
+                reason: reason
+            });
+            return;
+        }
+
         const customer = await this.getCustomerByPhone(phone);
         if (!customer) return;
 
@@ -503,8 +646,7 @@ class NotificationAutomationSystem {
     }
 
     generateIdempotencyKey(eventType, data) {
-        const key = `${eventType}_${data.business_id || 'none'}_${data.customer_id || 'none'}_${data.booking_id || 'none'}`;
-        return this.hashString(key);
+        return this.idempotencyKeys.generateIdempotencyKey(eventType, data);
     }
 
     hashString(str) {
@@ -531,10 +673,8 @@ class NotificationAutomationSystem {
         return url.replace(/^https?:\/\//, '');
     }
 
-    formatLocalDateTime(utcString) {
-        const date = new Date(utcString);
-        return date.toLocaleString('en-GB', {
-            timeZone: this.config.timezone,
+    formatLocalDateTime(utcString, timezone = this.config.timezone, locale = this.config.locale) {
+        return this.recipientTime.formatDateTime(utcString, timezone, locale, {
             year: 'numeric',
             month: 'long',
             day: 'numeric',
@@ -543,11 +683,22 @@ class NotificationAutomationSystem {
         });
     }
 
-    isQuietHours() {
-        const now = new Date();
-        const londonTime = new Date(now.toLocaleString('en-US', { timeZone: this.config.timezone }));
-        const hour = londonTime.getHours();
-        return hour >= this.config.quiet_hours_start || hour < this.config.quiet_hours_end;
+    /**
+     * Recipient settings ({ timezone, locale, quietHoursStart, quietHoursEnd }),
+     * falling back to the platform defaults in config
+     */
+    recipientSettings(settings = {}) {
+        return this.recipientTime.normalizeSettings({
+            timezone: this.config.timezone,
+            locale: this.config.locale,
+            quietHoursStart: this.config.quiet_hours_start,
+            quietHoursEnd: this.config.quiet_hours_end,
+            ...settings
+        });
+    }
+
+    isQuietHours(settings) {
+        return this.recipientTime.isQuietHours(this.recipientSettings(settings));
     }
 
     isUrgentNotification(eventType) {
@@ -555,17 +706,42 @@ class NotificationAutomationSystem {
         return urgentTypes.includes(eventType);
     }
 
-    isSuppressed(channel, address) {
+    // On the server the suppression list and bounce flags live in Postgres
+    // (notification_suppressions, customers.email_status / sms_status); the
+    // browser demo keeps them in memory
+    async isSuppressed(channel, address, category = null) {
+        if (this.isServer()) {
+            const { isSuppressed } = await this.suppressions();
+            return isSuppressed(channel, address, category);
+        }
         const key = `${channel}_${this.hashString(address)}`;
         return this.suppressionList.has(key);
     }
 
-    isBounced(channel, address) {
+    async isBounced(channel, address) {
         // Check bounce status in customer record
+        if (this.isServer()) {
+            const { isUndeliverable } = await this.deliveryEvents();
+            return isUndeliverable(channel, address);
+        }
         return false; // Simplified for demo
     }
 
+    unsubscribeLinks(recipientType, recipientId, channel, category) {
+        if (!this.unsubscribeToken) return null;
+        return this.unsubscribeToken.unsubscribeLinks({ recipientType, recipientId, channel, category });
+    }
+
+    withSmsFooter(message, unsubscribe) {
+        return this.unsubscribeToken ? this.unsubscribeToken.withSmsFooter(message, unsubscribe) : message;
+    }
+
     async addToSuppression(channel, address, reason) {
+        if (this.isServer()) {
+            const { addSuppression } = await this.suppressions();
+            await addSuppression({ channel, address, reason, source: 'automation' });
+            return;
+        }
         const key = `${channel}_${this.hashString(address)}`;
         this.suppressionList.set(key, {
             channel,
@@ -575,24 +751,49 @@ class NotificationAutomationSystem {
         });
     }
 
-    async scheduleForMorning(notification) {
-        // Schedule for 08:00 local time
+    async scheduleForMorning(notification, recipient) {
+        // Schedule for the end of the recipient's quiet hours, in their time zone
         const now = new Date();
-        const tomorrow = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-        const morning = new Date(tomorrow.setHours(this.config.quiet_hours_end, 0, 0, 0));
-        
-        const delay = morning.getTime() - now.getTime();
-        
-        setTimeout(async () => {
-            await this.processNotification(notification);
-        }, delay);
+        const morning = this.recipientTime.nextSendTime(this.recipientSettings(recipient.settings), now);
+
+        // On the server the deferral is a durable job, so a restart overnight does not lose it
+        if (this.isServer()) {
+            const { enqueueJob } = await this.jobQueue();
+            await enqueueJob('notification.deliver', { notification, recipient }, {
+                runAt: morning,
+                idempotencyKey: `${notification.idempotency_key}_deferred_${recipient.type}_${recipient.channel}`
+            });
+        } else {
+            setTimeout(async () => {
+                await this.processNotification(notification, recipient);
+            }, morning.getTime() - now.getTime());
+        }
 
+        notification.status = 'scheduled';
         this.logAuditEvent('notification_scheduled', {
             notification_id: notification.id,
+            channel: recipient.channel,
+            address: this.maskAddress(recipient.address),
             scheduled_for: morning.toISOString()
         });
     }
 
+    isServer() {
+        return typeof window === 'undefined';
+    }
+
+    jobQueue() {
+        return import('./services/jobQueueService.js');
+    }
+
+    suppressions() {
+        return import('./services/suppressionService.js');
+    }
+
+    deliveryEvents() {
+        return import('./services/deliveryEventService.js');
+    }
+
     /**
      * Mock data methods (replace with actual database calls)
      */
@@ -603,14 +804,19 @@ class NotificationAutomationSystem {
             email: 'customer@example.com',
             phone: '+447700900000',
             email_status: 'valid',
-            sms_status: 'verified'
+            sms_status: 'verified',
+            whatsapp_opt_in_at: null,
+            notification_preferences: {},
+            timezone: 'Europe/London',
+            locale: 'en-GB'
         };
     }
 
     async getBusiness(businessId) {
         return {
             id: businessId,
-            name: 'Royal Hair Studio'
+            name: 'Royal Hair Studio',
+            timezone: 'Europe/London'
         };
     }
 
@@ -625,11 +831,21 @@ class NotificationAutomationSystem {
         return true; // Simplified for demo
     }
 
+    async getWaitingListPreferences(customerId, businessId, serviceId) {
+        // Simplified for demo: weekday evenings for the next two weeks
+        const until = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        return { until, windows: [{ days: [1, 2, 3, 4, 5], from: '17:00' }] };
+    }
+
     async getNotificationRecipients(notification) {
-        // Simplified for demo
+        // Simplified for demo; settings are the recipient's zone and quiet hours,
+        // preferences their channel x category choices (overrides of the defaults)
+        const settings = { timezone: 'Europe/London', quietHoursStart: '21:00', quietHoursEnd: '08:00' };
+        const preferences = { sms: { marketing: false }, whatsapp: { booking: true } };
         return [
-            { channel: 'email', address: 'customer@example.com', type: 'customer' },
-            { channel: 'sms', address: '+447700900000', type: 'customer' }
+            { channel: 'email', address: 'customer@example.com', type: 'customer', id: notification.data.customer_id, settings, preferences },
+            { channel: 'sms', address: '+447700900000', type: 'customer', id: notification.data.customer_id, settings, preferences },
+            { channel: 'whatsapp', address: '+447700900000', type: 'customer', id: notification.data.customer_id, settings, preferences }
         ];
     }
 
@@ -656,6 +872,41 @@ class NotificationAutomationSystem {
         return messages[eventType] || 'Notification from BlkPages';
     }
 
+    /**
+     * Named variables for a WhatsApp template, from notification data
+     * ({ first_name, service_name, business_name, date_time, offer_link })
+     */
+    getWhatsAppData(data, unsubscribe) {
+        return {
+            customerName: data.first_name || data.customer_name,
+            service: data.service_name,
+            businessName: data.business_name,
+            bookingTime: data.date_time,
+            slotTime: data.date_time,
+            holdHours: this.config.wlo_hold_hours,
+            offerUrl: data.offer_link,
+            unsubscribeUrl: unsubscribe?.url
+        };
+    }
+
+    /**
+     * Send an approved WhatsApp template; on the server the WhatsApp service
+     * checks the opt-in, sends (Twilio or its mock outbox) and tracks delivery
+     * @returns {Promise<Object>} { success } or { success: false, reason }
+     */
+    async sendWhatsAppNotification(params) {
+        if (this.isServer()) {
+            const { sendWhatsAppTemplate } = await import('./services/whatsappService.js');
+            return sendWhatsAppTemplate(params);
+        }
+        const missing = this.whatsAppTemplates.missingVariables(params.template, params.data);
+        if (missing.length) {
+            return { success: false, reason: `Missing ${missing.join(', ')} for ${params.template}` };
+        }
+        console.log('WhatsApp sent:', params.to, this.whatsAppTemplates.render(params.template, params.data));
+        return { success: true };
+    }
+
     async sendEmailNotification(params) {
         console.log('Email sent:', params);
         // In production, integrate with email service
@@ -722,7 +973,9 @@ class NotificationAutomationSystem {
 }
 
 // Initialize global notification automation system
-window.notificationAutomationSystem = new NotificationAutomationSystem();
+if (typeof window !== 'undefined') {
+    window.notificationAutomationSystem = new NotificationAutomationSystem();
+}
 
 // Export for module use
 if (typeof module !== 'undefined' && module.exports) {
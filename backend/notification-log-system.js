@@ -2,11 +2,22 @@
  * Notification Log System
  * Tracks delivery status of confirmations and reminders for businesses
  * Maintains privacy by only showing delivery status, not message contents
+ *
+ * Logs are kept in the notification ledger (Postgres), one row per message,
+ * which provider delivery webhooks then move on to delivered, failed,
+ * opened or clicked. Business dashboards read it through
+ * GET /api/businesses/:id/bookings/:bookingId/notifications.
  */
 
+// Which ledger template and preference category each notification type is
+const NOTIFICATION_TYPES = {
+    confirmation: { template: 'booking_confirmation', category: 'booking' },
+    reminder: { template: 'booking_reminder', category: 'reminders' }
+};
+
 class NotificationLogSystem {
-    constructor() {
-        this.logStorageKey = 'notification_logs';
+    ledger() {
+        return import('./services/notificationLedgerService.js');
     }
 
     /**
@@ -14,28 +25,34 @@ class NotificationLogSystem {
      * @param {string} bookingId - The booking ID
      * @param {string} notificationType - 'confirmation' or 'reminder'
      * @param {boolean} sent - Whether the notification was sent successfully
-     * @param {string} method - 'email' or 'sms'
+     * @param {string} method - 'email', 'sms' or 'whatsapp'
      * @param {string} timestamp - When the notification was sent
+     * @param {object} details - Optional { recipientType, recipientId, address, provider, messageId, error }
      */
-    async logNotificationStatus(bookingId, notificationType, sent, method, timestamp = null) {
+    async logNotificationStatus(bookingId, notificationType, sent, method, timestamp = null, details = {}) {
         try {
-            const logs = this.getNotificationLogs();
-            const logKey = `${bookingId}_${notificationType}_${method}`;
-            
-            logs[logKey] = {
+            const { recordNotification, updateNotificationStatus } = await this.ledger();
+            const type = NOTIFICATION_TYPES[notificationType] || { template: notificationType, category: null };
+
+            // Message contents are never stored, and the address only as a hash
+            const entry = await recordNotification({
                 bookingId,
-                notificationType,
-                method,
-                sent,
-                timestamp: timestamp || new Date().toISOString(),
-                // Privacy protection - no message content or customer details stored
-                privacyNotice: 'Message contents and customer contact details are not stored'
-            };
-            
-            this.saveNotificationLogs(logs);
+                recipientType: details.recipientType || 'customer',
+                recipientId: details.recipientId || null,
+                channel: method,
+                template: type.template,
+                category: type.category,
+                address: details.address || null,
+                provider: details.provider || null,
+                providerMessageId: details.messageId || null
+            });
+            const logged = await updateNotificationStatus(entry.id, sent ? 'sent' : 'failed', {
+                error: sent ? null : details.error || 'Not sent',
+                occurredAt: timestamp ? new Date(timestamp) : new Date()
+            });
+
             console.log(`Notification log updated: ${bookingId} - ${notificationType} (${method}) - ${sent ? 'Sent' : 'Failed'}`);
-            
-            return logs[logKey];
+            return logged;
         } catch (error) {
             console.error('Failed to log notification status:', error);
             throw error;
@@ -49,28 +66,27 @@ class NotificationLogSystem {
      */
     async getBookingNotificationStatus(bookingId) {
         try {
-            const logs = this.getNotificationLogs();
-            const bookingLogs = {};
-            
-            // Find all logs for this booking
-            Object.keys(logs).forEach(key => {
-                if (key.startsWith(`${bookingId}_`)) {
-                    const log = logs[key];
-                    const statusKey = `${log.notificationType}_${log.method}`;
-                    bookingLogs[statusKey] = {
-                        sent: log.sent,
-                        timestamp: log.timestamp,
-                        method: log.method
-                    };
+            const { listNotifications } = await this.ledger();
+            const messages = await listNotifications({ bookingId, limit: 500 });
+
+            // A type counts as sent once any message of it got past queued without failing
+            const sentTypes = new Set();
+            messages.forEach(message => {
+                const type = Object.keys(NOTIFICATION_TYPES)
+                    .find(key => NOTIFICATION_TYPES[key].template === message.template);
+                if (type && message.sent_at && message.status !== 'failed') {
+                    sentTypes.add(`${type}_${message.channel}`);
                 }
             });
-            
+
             return {
                 bookingId,
-                confirmation_email: bookingLogs.confirmation_email?.sent || false,
-                confirmation_sms: bookingLogs.confirmation_sms?.sent || false,
-                reminder_email: bookingLogs.reminder_email?.sent || false,
-                reminder_sms: bookingLogs.reminder_sms?.sent || false,
+                confirmation_email: sentTypes.has('confirmation_email'),
+                confirmation_sms: sentTypes.has('confirmation_sms'),
+                confirmation_whatsapp: sentTypes.has('confirmation_whatsapp'),
+                reminder_email: sentTypes.has('reminder_email'),
+                reminder_sms: sentTypes.has('reminder_sms'),
+                reminder_whatsapp: sentTypes.has('reminder_whatsapp'),
                 // Privacy protection notice
                 privacyNotice: 'Only delivery status is shown. Message contents and customer details are protected.'
             };
@@ -80,8 +96,10 @@ class NotificationLogSystem {
                 bookingId,
                 confirmation_email: false,
                 confirmation_sms: false,
+                confirmation_whatsapp: false,
                 reminder_email: false,
                 reminder_sms: false,
+                reminder_whatsapp: false,
                 privacyNotice: 'Notification status unavailable'
             };
         }
@@ -90,21 +108,18 @@ class NotificationLogSystem {
     /**
      * Get all notification logs for a business
      * @param {string} businessId - The business ID
-     * @returns {array} Array of notification logs for the business
+     * @returns {array} Array of notification logs for the business, one per booking
      */
     async getBusinessNotificationLogs(businessId) {
         try {
-            const logs = this.getNotificationLogs();
+            const { listNotifications } = await this.ledger();
+            const messages = await listNotifications({ businessId, limit: 500 });
+            const bookingIds = [...new Set(messages.map(message => message.booking_id).filter(Boolean))];
+
             const businessLogs = [];
-            
-            // Get all bookings for this business
-            const businessBookings = JSON.parse(localStorage.getItem(`businessBookings_${businessId}`) || '[]');
-            
-            for (const booking of businessBookings) {
-                const notificationStatus = await this.getBookingNotificationStatus(booking.id);
-                businessLogs.push(notificationStatus);
+            for (const bookingId of bookingIds) {
+                businessLogs.push(await this.getBookingNotificationStatus(bookingId));
             }
-            
             return businessLogs;
         } catch (error) {
             console.error('Failed to get business notification logs:', error);
@@ -158,55 +173,6 @@ class NotificationLogSystem {
         }
     }
 
-    /**
-     * Get all notification logs from storage
-     */
-    getNotificationLogs() {
-        try {
-            return JSON.parse(localStorage.getItem(this.logStorageKey) || '{}');
-        } catch (error) {
-            console.error('Failed to get notification logs:', error);
-            return {};
-        }
-    }
-
-    /**
-     * Save notification logs to storage
-     */
-    saveNotificationLogs(logs) {
-        try {
-            localStorage.setItem(this.logStorageKey, JSON.stringify(logs));
-        } catch (error) {
-            console.error('Failed to save notification logs:', error);
-        }
-    }
-
-    /**
-     * Clear old notification logs (cleanup)
-     * @param {number} daysOld - Number of days old to clear
-     */
-    async clearOldLogs(daysOld = 90) {
-        try {
-            const logs = this.getNotificationLogs();
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-            
-            const filteredLogs = {};
-            Object.keys(logs).forEach(key => {
-                const log = logs[key];
-                const logDate = new Date(log.timestamp);
-                if (logDate > cutoffDate) {
-                    filteredLogs[key] = log;
-                }
-            });
-            
-            this.saveNotificationLogs(filteredLogs);
-            console.log(`Cleared notification logs older than ${daysOld} days`);
-        } catch (error) {
-            console.error('Failed to clear old logs:', error);
-        }
-    }
-
     /**
      * Get notification statistics for a business
      * @param {string} businessId - The business ID
@@ -225,7 +191,9 @@ class NotificationLogSystem {
                 emailConfirmations: 0,
                 smsConfirmations: 0,
                 emailReminders: 0,
-                smsReminders: 0
+                smsReminders: 0,
+                whatsappConfirmations: 0,
+                whatsappReminders: 0
             };
             
             logs.forEach(log => {
@@ -233,14 +201,16 @@ class NotificationLogSystem {
                 if (log.confirmation_sms) stats.smsConfirmations++;
                 if (log.reminder_email) stats.emailReminders++;
                 if (log.reminder_sms) stats.smsReminders++;
+                if (log.confirmation_whatsapp) stats.whatsappConfirmations++;
+                if (log.reminder_whatsapp) stats.whatsappReminders++;
                 
-                if (log.confirmation_email || log.confirmation_sms) {
+                if (log.confirmation_email || log.confirmation_sms || log.confirmation_whatsapp) {
                     stats.confirmationsSent++;
                 } else {
                     stats.confirmationsFailed++;
                 }
                 
-                if (log.reminder_email || log.reminder_sms) {
+                if (log.reminder_email || log.reminder_sms || log.reminder_whatsapp) {
                     stats.remindersSent++;
                 } else {
                     stats.remindersFailed++;
@@ -259,7 +229,9 @@ class NotificationLogSystem {
                 emailConfirmations: 0,
                 smsConfirmations: 0,
                 emailReminders: 0,
-                smsReminders: 0
+                smsReminders: 0,
+                whatsappConfirmations: 0,
+                whatsappReminders: 0
             };
         }
     }
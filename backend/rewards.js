@@ -83,49 +83,6 @@ export async function deductPoints(userId, points, source = "Adjustment") {
   }
 }
 
-/**
- * Check if referral completion should trigger bonus
- * @param {string} refereeEmail - Referee email to check
- * @returns {Promise<Object>} Referral completion result
- */
-export async function checkReferralCompletion(refereeEmail) {
-  try {
-    const { rows } = await db.query(
-      "SELECT * FROM referrals WHERE referee_email=$1 AND status='pending'",
-      [refereeEmail]
-    );
-
-    if (!rows.length) {
-      console.log(`ℹ️ No pending referrals found for email: ${refereeEmail}`);
-      return { success: false, reason: 'No pending referrals' };
-    }
-
-    const referral = rows[0];
-
-    // Award referral bonus to referrer
-    await addPoints(referral.referrer_id, 100, "Referral completed booking");
-
-    // Mark referral as completed
-    await db.query(
-      "UPDATE referrals SET status='completed' WHERE id=$1", 
-      [referral.id]
-    );
-
-    console.log(`🎉 Referral bonus awarded to user ${referral.referrer_id} for referral ${referral.id}`);
-    
-    return {
-      success: true,
-      bonusAwarded: true,
-      points: 100,
-      referrerId: referral.referrer_id,
-      referralId: referral.id
-    };
-  } catch (error) {
-    console.error(`❌ Error checking referral completion for ${refereeEmail}:`, error);
-    throw error;
-  }
-}
-
 /**
  * Update business-specific loyalty progress
  * @param {number} customerId - Customer ID
@@ -457,9 +414,10 @@ export async function createReferral(referralCode, refereeEmail) {
 /**
  * Check if user is completing their first booking (for referral bonus)
  * @param {string} refereeEmail - Email of the person completing booking
+ * @param {number} [bookingId] - Booking that completes it (a full refund of it reverses the bonus)
  * @returns {Promise<Object>} Referral completion result
  */
-export async function checkReferralCompletion(refereeEmail) {
+export async function checkReferralCompletion(refereeEmail, bookingId = null) {
   try {
     const { rows } = await db.query(
       "SELECT * FROM referrals WHERE referee_email=$1 AND status='pending'",
@@ -478,8 +436,8 @@ export async function checkReferralCompletion(refereeEmail) {
 
     // Mark referral as completed
     await db.query(
-      "UPDATE referrals SET status='completed', completed_at=NOW() WHERE id=$1", 
-      [referral.id]
+      "UPDATE referrals SET status='completed', completed_at=NOW(), booking_id=$2 WHERE id=$1",
+      [referral.id, bookingId]
     );
 
     console.log(`🎉 Referral bonus awarded to user ${referral.referrer_id} for referral ${referral.id}`);
@@ -497,6 +455,31 @@ export async function checkReferralCompletion(refereeEmail) {
   }
 }
 
+/**
+ * Take back the referrer's bonus for a referral completed by a booking that was
+ * fully refunded. Claims the referral first, so it is only ever reversed once.
+ * @param {number} bookingId - Booking that completed the referral
+ * @returns {Promise<Object>} { reversed, referrerId, points }
+ */
+export async function reverseReferralBonus(bookingId) {
+  const { rows } = await db.query(
+    `UPDATE referrals SET status = 'reversed', reversed_at = NOW()
+     WHERE booking_id = $1 AND status = 'completed'
+     RETURNING *`,
+    [bookingId]
+  );
+  const referral = rows[0];
+  if (!referral) return { reversed: false, referrerId: null, points: 0 };
+
+  try {
+    await deductPoints(referral.referrer_id, 100, `Referral bonus reversal for booking #${bookingId}`);
+  } catch (error) {
+    await db.query("UPDATE referrals SET status = 'completed', reversed_at = NULL WHERE id = $1", [referral.id]);
+    throw error;
+  }
+  return { reversed: true, referrerId: referral.referrer_id, points: 100 };
+}
+
 /**
  * Get referral statistics for a user
  * @param {number} userId - User ID
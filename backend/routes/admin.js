@@ -2,6 +2,21 @@
 import express from "express";
 import db from "../db.js";
 import { requireAdmin } from "../middleware/auth.js";
+import { listJobs, getJobSummary, retryJob, cancelJob } from "../services/jobQueueService.js";
+import { listWhatsAppMessages } from "../services/whatsappService.js";
+import { listNotifications, getTemplateRates } from "../services/notificationLedgerService.js";
+import { listStripeEvents, replayStripeEvent } from "../services/stripeWebhookService.js";
+import { emitOutcome } from "./stripeWebhooks.js";
+import { listAllPayouts, runPayoutBatch, formatPayout } from "../services/payoutService.js";
+import {
+  listCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  setBusinessCommissionProfile,
+  getPlatformFeeSummary
+} from "../services/commissionService.js";
+import { refreshAllConnectAccounts } from "../services/stripeConnectService.js";
+import { refundBooking, listRefunds, refundEmits } from "../services/refundService.js";
 
 const router = express.Router();
 
@@ -149,14 +164,24 @@ router.post("/disputes/:id/resolve", requireAdmin, async (req, res) => {
   }
 });
 
+// { amount, lineItems: [bookingId, ...], reason } refunds part of the booking; an empty body refunds what is left
 router.post("/disputes/:id/refund", requireAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { amount = null, lineItems = null, reason = "Dispute resolved by refund" } = req.body || {};
+    const result = await refundBooking(parseInt(req.params.id), {
+      amount, lineItems, reason, actor: { type: "admin", id: req.user?.id || null }, source: "dispute"
+    });
+    if (!result.success) return res.status(result.status).json({ error: result.reason });
+
+    const fullyRefunded = result.bookings.filter(settled => settled.fullyRefunded).map(settled => settled.booking.id);
     await db.query(`
-      UPDATE bookings SET status='refunded', disputed=false, refunded_at=NOW()
-      WHERE id=$1
-    `, [id]);
-    res.json({ ok: true, message: "Booking refunded" });
+      UPDATE bookings SET disputed=false,
+             status=CASE WHEN id = ANY($2::int[]) THEN 'refunded' ELSE status END
+      WHERE id=$1 OR id = ANY($2::int[])
+    `, [req.params.id, fullyRefunded]);
+
+    emitOutcome(req.app, { emits: refundEmits(result.bookings) });
+    res.json({ ok: true, message: fullyRefunded.length ? "Booking refunded" : "Booking partially refunded", refunds: result.refunds, failed: result.failed });
   } catch (error) {
     console.error('Error refunding booking:', error);
     res.status(500).json({ error: 'Failed to refund booking' });
@@ -184,4 +209,251 @@ router.post("/points/adjust", requireAdmin, async (req, res) => {
   }
 });
 
+// ── Job queue: pending and dead-lettered jobs; retry or cancel one
+router.get("/jobs/summary", requireAdmin, async (_req, res) => {
+  try {
+    res.json(await getJobSummary());
+  } catch (error) {
+    console.error('Error fetching job summary:', error);
+    res.status(500).json({ error: 'Failed to fetch job summary' });
+  }
+});
+
+// ?status=pending|running|dead|completed|cancelled&type=booking_reminder&limit=100
+router.get("/jobs", requireAdmin, async (req, res) => {
+  try {
+    const { status = null, type = null, limit } = req.query;
+    res.json(await listJobs({ status, type, limit }));
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+router.post("/jobs/:id/retry", requireAdmin, async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+    if (!job) return res.status(409).json({ error: "Only dead or pending jobs can be retried" });
+    res.json({ ok: true, job });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+router.post("/jobs/:id/cancel", requireAdmin, async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id);
+    if (!job) return res.status(409).json({ error: "Job has already run" });
+    res.json({ ok: true, job });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// ── WhatsApp messages and their delivery status
+// ?status=failed&template=booking_reminder&bookingId=123&limit=100
+router.get("/whatsapp/messages", requireAdmin, async (req, res) => {
+  try {
+    const { status = null, template = null, bookingId = null, limit } = req.query;
+    res.json(await listWhatsAppMessages({ status, template, bookingId: bookingId ? parseInt(bookingId) : null, limit }));
+  } catch (error) {
+    console.error('Error fetching WhatsApp messages:', error);
+    res.status(500).json({ error: 'Failed to fetch WhatsApp messages' });
+  }
+});
+
+// ── Notification ledger: delivery, open and click rates per template, and the messages themselves
+// ?from=2025-01-01&to=2025-02-01&channel=email (default: last 30 days, every channel)
+router.get("/notifications/rates", requireAdmin, async (req, res) => {
+  try {
+    const { from = null, to = null, channel = null } = req.query;
+    res.json(await getTemplateRates({ from, to, channel }));
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching notification rates:', error);
+    res.status(500).json({ error: 'Failed to fetch notification rates' });
+  }
+});
+
+// ?status=failed&channel=sms&template=booking_reminder&bookingId=123&limit=100
+router.get("/notifications", requireAdmin, async (req, res) => {
+  try {
+    const { status = null, channel = null, template = null, bookingId = null, limit } = req.query;
+    res.json(await listNotifications({
+      status, channel, template, bookingId: bookingId ? parseInt(bookingId) : null, limit
+    }));
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// ── Stripe webhook events: what was received and processed; replay a failed one
+// ?status=failed&type=charge.refunded&objectId=pi_123&limit=100
+router.get("/stripe/events", requireAdmin, async (req, res) => {
+  try {
+    const { status = null, type = null, objectId = null, limit } = req.query;
+    res.json(await listStripeEvents({ status, type, objectId, limit }));
+  } catch (error) {
+    console.error('Error fetching Stripe events:', error);
+    res.status(500).json({ error: 'Failed to fetch Stripe events' });
+  }
+});
+
+router.post("/stripe/events/:id/replay", requireAdmin, async (req, res) => {
+  try {
+    const result = await replayStripeEvent(req.params.id);
+    if (!result.success) return res.status(result.status).json({ error: result.reason });
+    emitOutcome(req.app, result);
+    res.json({ ok: true, type: result.type, action: result.action });
+  } catch (error) {
+    console.error('Error replaying Stripe event:', error);
+    res.status(500).json({ error: 'Failed to replay Stripe event' });
+  }
+});
+
+// ── Business payouts: list; run the payout batch now instead of waiting for the daily run
+// ?status=failed&businessId=7&limit=100
+router.get("/payouts", requireAdmin, async (req, res) => {
+  try {
+    const { status = null, businessId = null, limit } = req.query;
+    res.json(await listAllPayouts({ status, businessId: businessId ? parseInt(businessId) : null, limit }));
+  } catch (error) {
+    console.error('Error fetching payouts:', error);
+    res.status(500).json({ error: 'Failed to fetch payouts' });
+  }
+});
+
+// { businessId } pays one business only
+router.post("/payouts/run", requireAdmin, async (req, res) => {
+  try {
+    const businessId = req.body.businessId ? parseInt(req.body.businessId) : null;
+    const { paid, failed, ledger } = await runPayoutBatch({ businessId });
+
+    const emitToBusiness = req.app.get("emitToBusiness");
+    for (const { payout, notification } of paid) {
+      emitToBusiness(payout.business_id, "new_notification", notification);
+      emitToBusiness(payout.business_id, "new_payout", formatPayout(payout));
+    }
+    for (const { payout } of failed) {
+      emitToBusiness(payout.business_id, "payout_updated", { id: payout.id, status: payout.status });
+    }
+
+    res.json({ ok: true, paid: paid.map(result => result.payout), failed: failed.map(result => result.payout), ledger });
+  } catch (error) {
+    console.error('Error running payout batch:', error);
+    res.status(500).json({ error: 'Failed to run payout batch' });
+  }
+});
+
+// ── Refunds: the refund ledger across all businesses; refund any booking
+// ?bookingId=12&businessId=7&customerId=3&status=failed&limit=100
+router.get("/refunds", requireAdmin, async (req, res) => {
+  try {
+    const { bookingId = null, businessId = null, customerId = null, status = null, limit } = req.query;
+    res.json(await listRefunds({
+      bookingId: bookingId ? parseInt(bookingId) : null,
+      businessId: businessId ? parseInt(businessId) : null,
+      customerId: customerId ? parseInt(customerId) : null,
+      status,
+      limit
+    }));
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+// { amount, lineItems: [bookingId, ...], reason }
+router.post("/bookings/:id/refunds", requireAdmin, async (req, res) => {
+  try {
+    const { amount = null, lineItems = null, reason = null } = req.body || {};
+    const result = await refundBooking(parseInt(req.params.id), {
+      amount, lineItems, reason, actor: { type: "admin", id: req.user?.id || null }, source: "admin"
+    });
+    if (!result.success) return res.status(result.status).json({ error: result.reason });
+    emitOutcome(req.app, { emits: refundEmits(result.bookings) });
+    res.status(201).json({ ok: true, refunds: result.refunds, failed: result.failed });
+  } catch (error) {
+    console.error('Error refunding booking:', error);
+    res.status(500).json({ error: 'Failed to refund booking' });
+  }
+});
+
+// ── Stripe Connect: re-sync every business's account from Stripe (e.g. after enabling the webhook)
+router.post("/connect/sync", requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, ...(await refreshAllConnectAccounts()) });
+  } catch (error) {
+    console.error('Error syncing Stripe accounts:', error);
+    res.status(500).json({ error: 'Failed to sync Stripe accounts' });
+  }
+});
+
+// ── Platform commission: rules per plan and category, each business's plan, fees earned
+// ?includeInactive=true
+router.get("/commission/rules", requireAdmin, async (req, res) => {
+  try {
+    res.json(await listCommissionRules({ includeInactive: req.query.includeInactive === "true" }));
+  } catch (error) {
+    console.error('Error fetching commission rules:', error);
+    res.status(500).json({ error: 'Failed to fetch commission rules' });
+  }
+});
+
+// { name, plan, category, percent, fixedFee, maxFee, startsAt, endsAt }
+router.post("/commission/rules", requireAdmin, async (req, res) => {
+  try {
+    const result = await createCommissionRule(req.body, req.user?.id || null);
+    if (!result.success) return res.status(result.status).json({ error: result.reason });
+    res.status(201).json(result.rule);
+  } catch (error) {
+    console.error('Error creating commission rule:', error);
+    res.status(500).json({ error: 'Failed to create commission rule' });
+  }
+});
+
+// Any of the fields above, or { active: false } to retire a rule
+router.patch("/commission/rules/:id", requireAdmin, async (req, res) => {
+  try {
+    const result = await updateCommissionRule(parseInt(req.params.id), req.body);
+    if (!result.success) return res.status(result.status).json({ error: result.reason });
+    res.json(result.rule);
+  } catch (error) {
+    console.error('Error updating commission rule:', error);
+    res.status(500).json({ error: 'Failed to update commission rule' });
+  }
+});
+
+// { plan: "free"|"starter"|"premium", category }
+router.post("/businesses/:id/commission", requireAdmin, async (req, res) => {
+  try {
+    const { plan, category } = req.body;
+    const result = await setBusinessCommissionProfile(parseInt(req.params.id), { plan, category });
+    if (!result.success) return res.status(result.status).json({ error: result.reason });
+    res.json({ ok: true, business: result.business });
+  } catch (error) {
+    console.error('Error updating business plan:', error);
+    res.status(500).json({ error: 'Failed to update business plan' });
+  }
+});
+
+// ?from=2025-01-01&to=2025-02-01 (default: last 30 days)
+router.get("/commission/summary", requireAdmin, async (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    res.json(await getPlatformFeeSummary({ from, to }));
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching platform fee summary:', error);
+    res.status(500).json({ error: 'Failed to fetch platform fee summary' });
+  }
+});
+
 export default router;
@@ -0,0 +1,176 @@
+// backend/routes/bookings.js
+import express from "express";
+import {
+  issueManageLink,
+  getRescheduleOptions,
+  rescheduleBooking,
+  notifyReschedule
+} from "../services/rescheduleService.js";
+import {
+  getBalance,
+  createBalancePaymentIntent,
+  recordBalancePayment,
+  notifyBalancePaid
+} from "../services/depositService.js";
+import { listRefunds, getBookingRefunds } from "../services/refundService.js";
+import { requireAuth, requireInternalKey } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ── Refunds: the signed-in customer's refund history (before /:id so "refunds" isn't taken as an id)
+router.get("/refunds", requireAuth, async (req, res) => {
+  try {
+    res.json({ refunds: await listRefunds({ customerId: req.user.id, limit: req.query.limit }) });
+  } catch (error) {
+    console.error("Error fetching refunds:", error);
+    res.status(500).json({ error: "Failed to fetch refunds" });
+  }
+});
+
+// ── Manage link: signed cancel/reschedule link for confirmation emails
+router.post("/:id/manage-link", requireInternalKey, async (req, res) => {
+  try {
+    const link = await issueManageLink(parseInt(req.params.id));
+    if (!link) return res.status(404).json({ error: "Booking not found" });
+    res.json(link);
+  } catch (error) {
+    console.error("Error issuing manage link:", error);
+    res.status(500).json({ error: "Failed to issue manage link" });
+  }
+});
+
+// ── Reschedule: policy status and the slots the booking could move to
+router.get("/:id/reschedule", async (req, res) => {
+  try {
+    const { token, date, staffId } = req.query;
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "date must be in YYYY-MM-DD format" });
+    }
+
+    const result = await getRescheduleOptions(parseInt(req.params.id), { token, user: req.user }, { date, staffId });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching reschedule options:", error);
+    res.status(500).json({ error: "Failed to fetch reschedule options" });
+  }
+});
+
+// ── Reschedule: move the booking, keeping its payment and BlkPoints state
+router.post("/:id/reschedule", async (req, res) => {
+  try {
+    const { token, startTime, staffId } = req.body;
+
+    if (!startTime) {
+      return res.status(400).json({ error: "startTime is required" });
+    }
+
+    const result = await rescheduleBooking(parseInt(req.params.id), { token, user: req.user }, { startTime, staffId });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    const { booking, previous } = result;
+    const notifications = await notifyReschedule(booking, previous);
+
+    const emitToCustomer = req.app.get("emitToCustomer");
+    const emitToBusiness = req.app.get("emitToBusiness");
+    emitToCustomer(booking.customer_id, "booking_status_changed", {
+      bookingId: booking.id,
+      status: booking.status,
+      stage: "rescheduled",
+      startTime: booking.start_time,
+      previousStartTime: previous.startTime
+    });
+    emitToCustomer(booking.customer_id, "new_notification", notifications.customer);
+    emitToBusiness(booking.business_id, "booking_rescheduled", {
+      bookingId: booking.id,
+      staffId: booking.staff_id,
+      startTime: booking.start_time,
+      previousStartTime: previous.startTime
+    });
+
+    res.json({ success: true, booking });
+  } catch (error) {
+    console.error("Error rescheduling booking:", error);
+    res.status(500).json({ error: "Failed to reschedule booking" });
+  }
+});
+
+// ── Balance: what is still owed on a deposit booking
+router.get("/:id/balance", async (req, res) => {
+  try {
+    const result = await getBalance(parseInt(req.params.id), { token: req.query.token, user: req.user });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching booking balance:", error);
+    res.status(500).json({ error: "Failed to fetch balance" });
+  }
+});
+
+// ── Refunds on one booking: what was paid, refunded and each refund (manage link token or account)
+router.get("/:id/refunds", async (req, res) => {
+  try {
+    const result = await getBookingRefunds(parseInt(req.params.id), { token: req.query.token, user: req.user });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching booking refunds:", error);
+    res.status(500).json({ error: "Failed to fetch refunds" });
+  }
+});
+
+// ── Balance: start the in-app payment (separate PaymentIntent from the deposit)
+router.post("/:id/balance/payment-intent", async (req, res) => {
+  try {
+    const result = await createBalancePaymentIntent(parseInt(req.params.id), { token: req.body.token, user: req.user });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error creating balance payment:", error);
+    res.status(500).json({ error: "Failed to start balance payment" });
+  }
+});
+
+// ── Balance: confirm once Stripe has taken the payment (the webhook does the same)
+router.post("/:id/balance/confirm", async (req, res) => {
+  try {
+    const { paymentIntentId } = req.body;
+    if (!paymentIntentId) {
+      return res.status(400).json({ error: "paymentIntentId is required" });
+    }
+
+    const booking = await recordBalancePayment(paymentIntentId);
+    if (booking) {
+      const notifications = await notifyBalancePaid(booking);
+      req.app.get("emitToCustomer")(booking.customer_id, "new_notification", notifications.customer);
+      req.app.get("emitToBusiness")(booking.business_id, "booking_balance_paid", {
+        bookingId: booking.id,
+        balanceStatus: booking.balance_status,
+        amountPaid: Number(booking.amount_paid)
+      });
+    }
+
+    const result = await getBalance(parseInt(req.params.id), { token: req.body.token, user: req.user });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error confirming balance payment:", error);
+    res.status(500).json({ error: "Failed to confirm balance payment" });
+  }
+});
+
+export default router;
@@ -0,0 +1,663 @@
+// backend/routes/businesses.js
+import express from "express";
+import { getAvailability, MAX_APPOINTMENT_SERVICES } from "../services/availabilityService.js";
+import {
+  listStaff,
+  createStaff,
+  updateStaff,
+  setStaffSchedule,
+  setStaffServices,
+  addTimeOff,
+  removeTimeOff,
+  getStaffCalendar
+} from "../services/staffService.js";
+import { getCancellationPolicy, saveCancellationPolicy } from "../services/cancellationPolicyService.js";
+import { saveServiceDeposit, markBalancePaidInPerson, notifyBalancePaid } from "../services/depositService.js";
+import {
+  getReliabilityScores,
+  getReliabilitySettings,
+  saveReliabilitySettings,
+  markNoShow,
+  notifyNoShow
+} from "../services/noShowService.js";
+import { cancelSeries, cancelOccurrence } from "../services/seriesService.js";
+import { getQueue, sendOfferToNextCustomer, releaseSlot } from "../services/waitingListService.js";
+import {
+  getRecipientSettings,
+  saveRecipientSettings,
+  getNotificationPreferences,
+  saveNotificationPreferences,
+  canNotify
+} from "../services/notificationSettingsService.js";
+import { unsubscribeUrlFor } from "../services/suppressionService.js";
+import { getBookingTimeline, getBusinessNotificationStats } from "../services/notificationLedgerService.js";
+import { listPayouts, getPayoutStats, getPayoutStatement, getEarningsStatement } from "../services/payoutService.js";
+import { quoteCommission } from "../services/commissionService.js";
+import { createOnboardingLink, refreshConnectAccount, getConnectStatus } from "../services/stripeConnectService.js";
+import { refundBooking, listRefunds, refundEmits } from "../services/refundService.js";
+import { emitOffers } from "./waitingList.js";
+import { emitOutcome } from "./stripeWebhooks.js";
+import { requireBusinessOwner } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ── Availability: bookable slots for one service on one day
+// ?serviceIds=3,5,8 looks up one back-to-back block for a basket of services
+router.get("/:id/availability", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { serviceId, serviceIds, date, staffId } = req.query;
+
+    if (!(serviceId || serviceIds) || !date) {
+      return res.status(400).json({ error: "serviceId (or serviceIds) and date are required" });
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "date must be in YYYY-MM-DD format" });
+    }
+
+    const basket = serviceIds ? [...new Set(String(serviceIds).split(",").map(Number))] : null;
+    if (basket && (basket.some(sid => !Number.isInteger(sid)) || basket.length > MAX_APPOINTMENT_SERVICES)) {
+      return res.status(400).json({ error: `serviceIds must be up to ${MAX_APPOINTMENT_SERVICES} service IDs` });
+    }
+
+    const availability = await getAvailability(parseInt(id), basket || parseInt(serviceId), date, {
+      staffId: staffId && staffId !== "any" ? parseInt(staffId) : null
+    });
+
+    if (!availability) {
+      return res.status(404).json({ error: "Service not found" });
+    }
+
+    res.json(availability);
+  } catch (error) {
+    console.error("Error fetching availability:", error);
+    res.status(500).json({ error: "Failed to fetch availability" });
+  }
+});
+
+// ── Staff: public list for the booking flow ("any available" or a named stylist)
+router.get("/:id/staff", async (req, res) => {
+  try {
+    const staff = await listStaff(parseInt(req.params.id));
+    res.json(staff.filter(member => member.active).map(({ id, name, role, colour, services }) => ({
+      id, name, role, colour, services
+    })));
+  } catch (error) {
+    console.error("Error fetching staff:", error);
+    res.status(500).json({ error: "Failed to fetch staff" });
+  }
+});
+
+// ── Staff management (business owner)
+router.get("/:id/staff/manage", requireBusinessOwner, async (req, res) => {
+  try {
+    res.json(await listStaff(parseInt(req.params.id)));
+  } catch (error) {
+    console.error("Error fetching staff:", error);
+    res.status(500).json({ error: "Failed to fetch staff" });
+  }
+});
+
+router.post("/:id/staff", requireBusinessOwner, async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ error: "name is required" });
+    }
+    const staff = await createStaff(parseInt(req.params.id), req.body);
+    res.status(201).json(staff);
+  } catch (error) {
+    console.error("Error creating staff member:", error);
+    res.status(500).json({ error: "Failed to create staff member" });
+  }
+});
+
+router.put("/:id/staff/:staffId", requireBusinessOwner, async (req, res) => {
+  try {
+    const staff = await updateStaff(parseInt(req.params.id), parseInt(req.params.staffId), req.body);
+    if (!staff) return res.status(404).json({ error: "Staff member not found" });
+    res.json(staff);
+  } catch (error) {
+    console.error("Error updating staff member:", error);
+    res.status(500).json({ error: "Failed to update staff member" });
+  }
+});
+
+router.put("/:id/staff/:staffId/schedule", requireBusinessOwner, async (req, res) => {
+  try {
+    const { rota, breaks } = req.body;
+    const saved = await setStaffSchedule(parseInt(req.params.id), parseInt(req.params.staffId), { rota, breaks });
+    if (!saved) return res.status(404).json({ error: "Staff member not found" });
+    res.json({ ok: true, message: "Schedule saved" });
+  } catch (error) {
+    console.error("Error saving staff schedule:", error);
+    res.status(500).json({ error: "Failed to save schedule" });
+  }
+});
+
+router.put("/:id/staff/:staffId/services", requireBusinessOwner, async (req, res) => {
+  try {
+    const saved = await setStaffServices(parseInt(req.params.id), parseInt(req.params.staffId), req.body.services);
+    if (!saved) return res.status(404).json({ error: "Staff member not found" });
+    res.json({ ok: true, message: "Services saved" });
+  } catch (error) {
+    console.error("Error saving staff services:", error);
+    res.status(500).json({ error: "Failed to save services" });
+  }
+});
+
+router.post("/:id/staff/:staffId/time-off", requireBusinessOwner, async (req, res) => {
+  try {
+    if (!req.body.startsOn) {
+      return res.status(400).json({ error: "startsOn is required" });
+    }
+    const entry = await addTimeOff(parseInt(req.params.id), parseInt(req.params.staffId), req.body);
+    if (!entry) return res.status(404).json({ error: "Staff member not found" });
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error("Error adding time off:", error);
+    res.status(500).json({ error: "Failed to add time off" });
+  }
+});
+
+router.delete("/:id/staff/:staffId/time-off/:timeOffId", requireBusinessOwner, async (req, res) => {
+  try {
+    const removed = await removeTimeOff(
+      parseInt(req.params.id),
+      parseInt(req.params.staffId),
+      parseInt(req.params.timeOffId)
+    );
+    if (!removed) return res.status(404).json({ error: "Time off not found" });
+    res.json({ ok: true, message: "Time off removed" });
+  } catch (error) {
+    console.error("Error removing time off:", error);
+    res.status(500).json({ error: "Failed to remove time off" });
+  }
+});
+
+// ── Cancellation policy: public summary for customers, editable by the owner
+router.get("/:id/cancellation-policy", async (req, res) => {
+  try {
+    const result = await getCancellationPolicy(parseInt(req.params.id));
+    if (!result) return res.status(404).json({ error: "Business not found" });
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching cancellation policy:", error);
+    res.status(500).json({ error: "Failed to fetch cancellation policy" });
+  }
+});
+
+router.put("/:id/cancellation-policy", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await saveCancellationPolicy(parseInt(req.params.id), req.body);
+    if (!result.success) {
+      return res.status(400).json({ error: "Invalid cancellation policy", errors: result.errors });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error saving cancellation policy:", error);
+    res.status(500).json({ error: "Failed to save cancellation policy" });
+  }
+});
+
+// ── Deposit mode per service: { type: "none" | "fixed" | "percent", value }
+router.put("/:id/services/:serviceId/deposit", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await saveServiceDeposit(parseInt(req.params.id), parseInt(req.params.serviceId), req.body);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error saving service deposit:", error);
+    res.status(500).json({ error: "Failed to save deposit settings" });
+  }
+});
+
+// ── Balance taken at the appointment instead of in-app
+router.post("/:id/bookings/:bookingId/balance/paid-in-person", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await markBalancePaidInPerson(parseInt(req.params.id), parseInt(req.params.bookingId));
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+
+    const { booking } = result;
+    const notifications = await notifyBalancePaid(booking);
+    req.app.get("emitToCustomer")(booking.customer_id, "new_notification", notifications.customer);
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error marking balance paid in person:", error);
+    res.status(500).json({ error: "Failed to update balance" });
+  }
+});
+
+// ── No-show: stops BlkPoints release, waives any balance and optionally charges the saved card
+router.post("/:id/bookings/:bookingId/no-show", requireBusinessOwner, async (req, res) => {
+  try {
+    const { chargeFee = false, feeAmount = null } = req.body;
+    const fee = feeAmount !== null && feeAmount !== "" ? Number(feeAmount) : null;
+    if (fee !== null && !(Number.isFinite(fee) && fee >= 0)) {
+      return res.status(400).json({ error: "feeAmount must be a non-negative number" });
+    }
+    const result = await markNoShow(parseInt(req.params.id), parseInt(req.params.bookingId), {
+      chargeFee: Boolean(chargeFee),
+      feeAmount: fee
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+
+    const { booking } = result;
+    const notification = await notifyNoShow(booking);
+    const emitToCustomer = req.app.get("emitToCustomer");
+    emitToCustomer(booking.customer_id, "booking_status_changed", {
+      bookingId: booking.id,
+      status: "no_show",
+      label: "Missed – no BlkPoints earned",
+      timestamp: new Date().toISOString()
+    });
+    emitToCustomer(booking.customer_id, "new_notification", notification);
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error marking no-show:", error);
+    res.status(500).json({ error: "Failed to mark no-show" });
+  }
+});
+
+// ── Recurring bookings: stop a regular's series, or skip one unpaid visit
+router.post("/:id/series/:seriesId/cancel", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await cancelSeries(parseInt(req.params.seriesId), { businessId: parseInt(req.params.id) });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+
+    req.app.get("emitToCustomer")(result.series.customer_id, "booking_series_cancelled", {
+      seriesId: result.series.id,
+      cancelledBy: "business",
+      releasedBookingIds: result.cancelled.map(booking => booking.id)
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error cancelling booking series:", error);
+    res.status(500).json({ error: "Failed to cancel booking series" });
+  }
+});
+
+router.post("/:id/series/:seriesId/occurrences/:bookingId/cancel", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await cancelOccurrence(parseInt(req.params.seriesId), parseInt(req.params.bookingId), {
+      businessId: parseInt(req.params.id)
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+
+    req.app.get("emitToCustomer")(result.booking.customer_id, "booking_status_changed", {
+      bookingId: result.booking.id,
+      status: result.booking.status
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error cancelling series visit:", error);
+    res.status(500).json({ error: "Failed to cancel visit" });
+  }
+});
+
+// ── Waiting list: the queue per service (first names only) and manual offers
+router.get("/:id/waiting-list", requireBusinessOwner, async (req, res) => {
+  try {
+    const serviceId = req.query.serviceId ? parseInt(req.query.serviceId) : null;
+    res.json({ entries: await getQueue(parseInt(req.params.id), serviceId) });
+  } catch (error) {
+    console.error("Error fetching waiting list:", error);
+    res.status(500).json({ error: "Failed to fetch waiting list" });
+  }
+});
+
+// Offer a free slot to the next customer waiting for the service
+router.post("/:id/waiting-list/offers", requireBusinessOwner, async (req, res) => {
+  try {
+    const { serviceId, staffId, startTime } = req.body;
+    if (!serviceId || !startTime) {
+      return res.status(400).json({ error: "serviceId and startTime are required" });
+    }
+
+    const sent = await sendOfferToNextCustomer(parseInt(req.params.id), {
+      serviceId: parseInt(serviceId),
+      staffId: staffId ? parseInt(staffId) : null,
+      startTime
+    });
+    if (!sent) {
+      return res.status(409).json({ error: "No one on the waiting list can take this slot" });
+    }
+
+    await emitOffers(req.app, [sent]);
+    res.json({ success: true, offerId: sent.offer.id, expiresAt: sent.offer.expires_at });
+  } catch (error) {
+    console.error("Error sending waiting list offer:", error);
+    res.status(500).json({ error: "Failed to send offer" });
+  }
+});
+
+// A cancellation approved on the dashboard hands its slot to the waiting list
+router.post("/:id/waiting-list/release", requireBusinessOwner, async (req, res) => {
+  try {
+    const { bookingId } = req.body;
+    if (!bookingId) {
+      return res.status(400).json({ error: "bookingId is required" });
+    }
+
+    const sent = await releaseSlot(parseInt(bookingId), { businessId: parseInt(req.params.id) });
+    if (sent) await emitOffers(req.app, [sent]);
+
+    res.json({ success: true, offered: Boolean(sent) });
+  } catch (error) {
+    console.error("Error releasing slot to waiting list:", error);
+    res.status(500).json({ error: "Failed to release slot" });
+  }
+});
+
+// ── Customer reliability for the bookings dashboard: ?ids=12,15
+router.get("/:id/customers/reliability", requireBusinessOwner, async (req, res) => {
+  try {
+    const ids = String(req.query.ids || "").split(",").filter(Boolean).slice(0, 100);
+    res.json({ reliability: await getReliabilityScores(ids) });
+  } catch (error) {
+    console.error("Error fetching customer reliability:", error);
+    res.status(500).json({ error: "Failed to fetch customer reliability" });
+  }
+});
+
+// ── Reliability deposit rule: { threshold (score, null = off), percent }
+router.get("/:id/reliability-settings", requireBusinessOwner, async (req, res) => {
+  try {
+    const settings = await getReliabilitySettings(parseInt(req.params.id));
+    if (!settings) return res.status(404).json({ error: "Business not found" });
+    res.json({ settings });
+  } catch (error) {
+    console.error("Error fetching reliability settings:", error);
+    res.status(500).json({ error: "Failed to fetch reliability settings" });
+  }
+});
+
+router.put("/:id/reliability-settings", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await saveReliabilitySettings(parseInt(req.params.id), req.body);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error saving reliability settings:", error);
+    res.status(500).json({ error: "Failed to save reliability settings" });
+  }
+});
+
+// ── Notification settings: the zone appointment times are shown in, and the owner's quiet hours
+router.get("/:id/notification-settings", requireBusinessOwner, async (req, res) => {
+  try {
+    const settings = await getRecipientSettings("business", parseInt(req.params.id));
+    if (!settings) return res.status(404).json({ error: "Business not found" });
+    res.json({ settings });
+  } catch (error) {
+    console.error("Error fetching notification settings:", error);
+    res.status(500).json({ error: "Failed to fetch notification settings" });
+  }
+});
+
+router.put("/:id/notification-settings", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await saveRecipientSettings("business", parseInt(req.params.id), req.body);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error saving notification settings:", error);
+    res.status(500).json({ error: "Failed to save notification settings" });
+  }
+});
+
+// ── Preference centre for the business's own messages (new bookings, cancellations, payouts...)
+router.get("/:id/notification-preferences", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await getNotificationPreferences("business", parseInt(req.params.id));
+    if (!result) return res.status(404).json({ error: "Business not found" });
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    res.status(500).json({ error: "Failed to fetch notification preferences" });
+  }
+});
+
+router.put("/:id/notification-preferences", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await saveNotificationPreferences("business", parseInt(req.params.id), req.body.preferences);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error saving notification preferences:", error);
+    res.status(500).json({ error: "Failed to save notification preferences" });
+  }
+});
+
+// ── Whether a customer accepts a kind of message on a channel, checked before the dashboard sends an SMS
+// ?channel=sms&category=marketing (or a message type such as promotional); only the yes/no is shared,
+// plus the signed opt-out link to put in the footer of a non-transactional message
+router.get("/:id/customers/:customerId/can-notify", requireBusinessOwner, async (req, res) => {
+  try {
+    const { channel = "sms", category = null } = req.query;
+    const customerId = parseInt(req.params.customerId);
+    const allowed = await canNotify("customer", customerId, channel, category);
+    res.json({ allowed, unsubscribeUrl: allowed ? unsubscribeUrlFor("customer", customerId, channel, category) : null });
+  } catch (error) {
+    console.error("Error checking notification preferences:", error);
+    res.status(500).json({ error: "Failed to check notification preferences" });
+  }
+});
+
+// ── Notification timeline for one booking: every message sent about it and how far it got
+// (queued, sent, delivered, failed, opened, clicked); no message contents or addresses
+router.get("/:id/bookings/:bookingId/notifications", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await getBookingTimeline(parseInt(req.params.id), parseInt(req.params.bookingId));
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching notification timeline:", error);
+    res.status(500).json({ error: "Failed to fetch notification timeline" });
+  }
+});
+
+// ── Message counts and delivery rate, e.g. ?channel=sms&from=2025-01-01&to=2025-02-01 (default: last 30 days)
+router.get("/:id/notifications/stats", requireBusinessOwner, async (req, res) => {
+  try {
+    const { channel = null, from = null, to = null } = req.query;
+    const stats = await getBusinessNotificationStats(parseInt(req.params.id), { channel, from, to });
+    res.json({ stats });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error fetching notification stats:", error);
+    res.status(500).json({ error: "Failed to fetch notification stats" });
+  }
+});
+
+// ── Payouts: history, headline figures and statements for the payouts dashboard
+// ?status=paid|processing|failed|reversed&limit=100
+router.get("/:id/payouts", requireBusinessOwner, async (req, res) => {
+  try {
+    const { status = null, limit } = req.query;
+    res.json(await listPayouts(parseInt(req.params.id), { status, limit }));
+  } catch (error) {
+    console.error("Error fetching payouts:", error);
+    res.status(500).json({ error: "Failed to fetch payouts" });
+  }
+});
+
+router.get("/:id/payout-stats", requireBusinessOwner, async (req, res) => {
+  try {
+    res.json(await getPayoutStats(parseInt(req.params.id)));
+  } catch (error) {
+    console.error("Error fetching payout stats:", error);
+    res.status(500).json({ error: "Failed to fetch payout stats" });
+  }
+});
+
+// Earnings for a period, e.g. ?from=2025-01-01&to=2025-02-01 (default: last 30 days)
+router.get("/:id/payouts/statement", requireBusinessOwner, async (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    res.json(await getEarningsStatement(parseInt(req.params.id), { from, to }));
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error fetching earnings statement:", error);
+    res.status(500).json({ error: "Failed to fetch earnings statement" });
+  }
+});
+
+// One payout with each booking's gross, refunds, platform fee and net
+router.get("/:id/payouts/:payoutId", requireBusinessOwner, async (req, res) => {
+  try {
+    const statement = await getPayoutStatement(parseInt(req.params.id), parseInt(req.params.payoutId));
+    if (!statement) {
+      return res.status(404).json({ error: "Payout not found" });
+    }
+    res.json(statement);
+  } catch (error) {
+    console.error("Error fetching payout statement:", error);
+    res.status(500).json({ error: "Failed to fetch payout statement" });
+  }
+});
+
+// ── Stripe Connect: payout account status, onboarding, and the return from Stripe
+router.get("/:id/connect", requireBusinessOwner, async (req, res) => {
+  try {
+    const status = await getConnectStatus(parseInt(req.params.id));
+    if (!status) {
+      return res.status(404).json({ error: "Business not found" });
+    }
+    res.json(status);
+  } catch (error) {
+    console.error("Error fetching Stripe Connect status:", error);
+    res.status(500).json({ error: "Failed to fetch payout account status" });
+  }
+});
+
+// A fresh single-use onboarding link: open { url } to start or continue with Stripe
+router.post("/:id/connect/onboarding-link", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await createOnboardingLink(parseInt(req.params.id));
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+    res.json({ url: result.url, expiresAt: result.expiresAt, accountId: result.accountId });
+  } catch (error) {
+    console.error("Error creating Stripe onboarding link:", error);
+    res.status(500).json({ error: "Failed to start payout setup" });
+  }
+});
+
+// Called when the business lands back on the dashboard from Stripe, so the
+// banner is right before the account.updated webhook arrives
+router.post("/:id/connect/sync", requireBusinessOwner, async (req, res) => {
+  try {
+    const result = await refreshConnectAccount(parseInt(req.params.id));
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+    res.json(result.connect);
+  } catch (error) {
+    console.error("Error syncing Stripe account:", error);
+    res.status(500).json({ error: "Failed to sync payout account" });
+  }
+});
+
+// ── Refunds: the business's refund history, and refunding a booking in full or in part
+// ?bookingId=12&limit=100
+router.get("/:id/refunds", requireBusinessOwner, async (req, res) => {
+  try {
+    const { bookingId = null, limit } = req.query;
+    res.json(await listRefunds({
+      businessId: parseInt(req.params.id),
+      bookingId: bookingId ? parseInt(bookingId) : null,
+      limit
+    }));
+  } catch (error) {
+    console.error("Error fetching refunds:", error);
+    res.status(500).json({ error: "Failed to fetch refunds" });
+  }
+});
+
+// { amount } refunds part of the booking, { lineItems: [bookingId, ...] } whole services of the
+// same appointment; { reason } is shown to the customer. An empty body refunds what is left.
+router.post("/:id/bookings/:bookingId/refunds", requireBusinessOwner, async (req, res) => {
+  try {
+    const { amount = null, lineItems = null, reason = null } = req.body || {};
+    const result = await refundBooking(parseInt(req.params.bookingId), {
+      amount,
+      lineItems,
+      reason,
+      actor: { type: "business", id: req.user?.id || null },
+      source: "business",
+      businessId: parseInt(req.params.id)
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason, failed: result.failed });
+    }
+    emitOutcome(req.app, { emits: refundEmits(result.bookings) });
+    res.status(201).json({ success: true, refunds: result.refunds, failed: result.failed });
+  } catch (error) {
+    console.error("Error refunding booking:", error);
+    res.status(500).json({ error: "Failed to refund booking" });
+  }
+});
+
+// ── Platform commission: the rule this business is on and the fee on an amount
+// ?amount=45 (today's rule) or ?amount=45&bookingId=12 (what that booking is charged, e.g. for a receipt)
+router.get("/:id/commission", requireBusinessOwner, async (req, res) => {
+  try {
+    const { amount = 0, bookingId = null } = req.query;
+    const result = await quoteCommission(parseInt(req.params.id), amount, {
+      bookingId: bookingId ? parseInt(bookingId) : null
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+    const { success, ...quote } = result;
+    res.json(quote);
+  } catch (error) {
+    console.error("Error quoting commission:", error);
+    res.status(500).json({ error: "Failed to quote commission" });
+  }
+});
+
+// ── Per-staff calendar for the bookings dashboard
+router.get("/:id/staff-calendar", requireBusinessOwner, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(from || "") || !datePattern.test(to || from || "")) {
+      return res.status(400).json({ error: "from (and optional to) must be in YYYY-MM-DD format" });
+    }
+    res.json(await getStaffCalendar(parseInt(req.params.id), from, to || from));
+  } catch (error) {
+    console.error("Error fetching staff calendar:", error);
+    res.status(500).json({ error: "Failed to fetch staff calendar" });
+  }
+});
+
+export default router;
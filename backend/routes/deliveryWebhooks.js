@@ -0,0 +1,44 @@
+// backend/routes/deliveryWebhooks.js
+import express from "express";
+import { PROVIDERS, recordDeliveryEvents } from "../services/deliveryEventService.js";
+import { recordWhatsAppStatus } from "../services/whatsappService.js";
+import { requireWebhookSecret } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ── Delivery, bounce, complaint, open and click events from the email/SMS providers
+// POST /api/webhooks/delivery          { events: [{ channel, type, bounceType, address, messageId, reason, timestamp }] }
+// POST /api/webhooks/delivery/ses      SNS notifications for SES (sent as text/plain)
+// POST /api/webhooks/delivery/sendgrid SendGrid event webhook
+// POST /api/webhooks/delivery/twilio   Twilio status callback (SMS and WhatsApp)
+router.post("/:provider?", express.text({ type: "text/plain" }), requireWebhookSecret, async (req, res) => {
+  const provider = req.params.provider || "generic";
+  if (!PROVIDERS.includes(provider)) {
+    return res.status(404).json({ error: `Unknown provider "${provider}" (use ${PROVIDERS.join(", ")})` });
+  }
+
+  try {
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+
+    // SNS asks once to confirm the subscription; an admin opens the link
+    if (body?.Type === "SubscriptionConfirmation") {
+      console.log(`📨 SES delivery topic awaiting confirmation: ${body.SubscribeURL}`);
+      return res.json({ received: 0 });
+    }
+
+    const result = await recordDeliveryEvents(provider, body);
+    // WhatsApp messages also keep their sent/delivered/read progress
+    if (provider === "twilio" && String(body?.To || "").startsWith("whatsapp:")) {
+      result.whatsapp = await recordWhatsAppStatus(body);
+    }
+    res.json(result);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ error: "Body must be JSON" });
+    }
+    console.error("Error recording delivery events:", error);
+    res.status(500).json({ error: "Failed to record delivery events" });
+  }
+});
+
+export default router;
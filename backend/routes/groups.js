@@ -0,0 +1,270 @@
+// backend/routes/groups.js
+import express from "express";
+import {
+  MAX_GROUP_SIZE,
+  createGroupHold,
+  extendGroupHold,
+  getGroupAmountDue,
+  convertGroupHold,
+  releaseGroupHoldFor,
+  issueShareLinks,
+  getGroup,
+  getShare,
+  createSharePaymentIntent,
+  recordSharePayment,
+  notifySharePaid,
+  cancelAttendee,
+  notifyGroupConfirmed
+} from "../services/groupService.js";
+import { requireInternalKey } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ── Hold a slot for every attendee when the organiser picks a time
+router.post("/", async (req, res) => {
+  try {
+    const { businessId, startTime, scheduling, paymentMode, name, attendees, replaceGroupId } = req.body;
+
+    if (!businessId || !startTime || !Array.isArray(attendees)) {
+      return res.status(400).json({ error: "businessId, startTime and attendees are required" });
+    }
+    if (attendees.length < 2 || attendees.length > MAX_GROUP_SIZE) {
+      return res.status(400).json({ error: `A group booking is 2 to ${MAX_GROUP_SIZE} people` });
+    }
+
+    const result = await createGroupHold({
+      businessId: parseInt(businessId),
+      startTime,
+      scheduling,
+      paymentMode,
+      name: name ? String(name).trim().substring(0, 120) : null,
+      customerId: req.user?.id ?? null,
+      attendees,
+      replaceGroupId: replaceGroupId ? parseInt(replaceGroupId) : null
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    res.status(201).json({
+      success: true,
+      groupId: result.group.id,
+      holdToken: result.holdToken,
+      scheduling: result.group.scheduling,
+      paymentMode: result.group.payment_mode,
+      attendees: result.holds.map(holdSummary),
+      total: result.total,
+      amountDue: result.amountDue,
+      expiresAt: result.holds[0].expires_at
+    });
+  } catch (error) {
+    console.error("Error creating group hold:", error);
+    res.status(500).json({ error: "Failed to hold group booking" });
+  }
+});
+
+// ── Group with each attendee's status (signed in organiser, or ?token= from their manage link)
+router.get("/:id", async (req, res) => {
+  try {
+    const result = await getGroup(parseInt(req.params.id), { token: req.query.token, user: req.user });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching group booking:", error);
+    res.status(500).json({ error: "Failed to fetch group booking" });
+  }
+});
+
+// ── Extend every hold once the organiser's payment intent exists (server-to-server)
+router.post("/:id/extend", requireInternalKey, async (req, res) => {
+  try {
+    const result = await extendGroupHold(parseInt(req.params.id), { paymentIntentId: req.body.paymentIntentId });
+    if (!result) {
+      return res.status(409).json({ success: false, error: "Group hold has expired or been released" });
+    }
+    res.json({
+      success: true,
+      groupId: result.group.id,
+      paymentMode: result.group.payment_mode,
+      attendees: result.holds.map(holdSummary),
+      amountDue: result.amountDue,
+      expiresAt: result.expiresAt
+    });
+  } catch (error) {
+    console.error("Error extending group hold:", error);
+    res.status(500).json({ error: "Failed to extend group hold" });
+  }
+});
+
+// ── What the organiser's payment must cover, checked before converting (server-to-server)
+router.get("/:id/amount-due", requireInternalKey, async (req, res) => {
+  try {
+    const amountDue = await getGroupAmountDue(parseInt(req.params.id));
+    if (amountDue == null) return res.status(404).json({ error: "Group not found" });
+    res.json({ groupId: parseInt(req.params.id), amountDue });
+  } catch (error) {
+    console.error("Error fetching group amount due:", error);
+    res.status(500).json({ error: "Failed to fetch amount due" });
+  }
+});
+
+// ── Convert into one booking per attendee once the organiser has paid (server-to-server)
+router.post("/:id/convert", requireInternalKey, async (req, res) => {
+  try {
+    const { customerId, customerEmail, paymentIntentId, amountPaid, stripeCustomerId, paymentMethodId } = req.body;
+    const result = await convertGroupHold(parseInt(req.params.id), {
+      customerId,
+      customerEmail,
+      paymentIntentId,
+      amountPaid: amountPaid != null ? Number(amountPaid) : null,
+      stripeCustomerId,
+      paymentMethodId
+    });
+
+    if (!result.success) {
+      return res.status(409).json({ success: false, error: result.reason });
+    }
+
+    const emitToCustomer = req.app.get("emitToCustomer");
+    const emitToBusiness = req.app.get("emitToBusiness");
+    if (!result.alreadyConverted) {
+      const notifications = await notifyGroupConfirmed(result.group, result.bookings);
+      if (emitToCustomer) emitToCustomer(result.group.organiser_customer_id, "new_notification", notifications.customer);
+      if (emitToBusiness) {
+        emitToBusiness(result.group.business_id, "new_notification", notifications.business);
+        emitToBusiness(result.group.business_id, "group_booking_created", {
+          groupId: result.group.id,
+          bookingIds: result.bookings.map(booking => booking.id)
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      groupId: result.group.id,
+      bookings: result.bookings,
+      payLinks: await issueShareLinks(result.bookings)
+    });
+  } catch (error) {
+    console.error("Error converting group hold:", error);
+    res.status(500).json({ error: "Failed to convert group hold" });
+  }
+});
+
+// ── Release on abandonment or payment failure (POST so sendBeacon can call it).
+// Organiser only: signed in, or the holdToken from creating the group in the body
+router.post("/:id/release", async (req, res) => {
+  try {
+    const allowed = ["abandoned", "payment_failed", "timeout", "reselected"];
+    const reason = allowed.includes(req.body?.reason) ? req.body.reason : "abandoned";
+    const result = await releaseGroupHoldFor(parseInt(req.params.id), { token: req.body?.token, user: req.user }, reason);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json({ success: true, released: result.released });
+  } catch (error) {
+    console.error("Error releasing group hold:", error);
+    res.status(500).json({ error: "Failed to release group hold" });
+  }
+});
+
+// ── Split payment: what an attendee owes (?token= from their pay link)
+router.get("/:id/attendees/:bookingId/share", async (req, res) => {
+  try {
+    const result = await getShare(parseInt(req.params.bookingId), { token: req.query.token, user: req.user });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching group share:", error);
+    res.status(500).json({ error: "Failed to fetch share" });
+  }
+});
+
+// ── Split payment: start the attendee's own payment
+router.post("/:id/attendees/:bookingId/share/payment-intent", async (req, res) => {
+  try {
+    const result = await createSharePaymentIntent(parseInt(req.params.bookingId), { token: req.body.token, user: req.user });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error creating group share payment:", error);
+    res.status(500).json({ error: "Failed to start share payment" });
+  }
+});
+
+// ── Split payment: confirm once Stripe has taken the payment (the webhook does the same)
+router.post("/:id/attendees/:bookingId/share/confirm", async (req, res) => {
+  try {
+    const { paymentIntentId } = req.body;
+    if (!paymentIntentId) {
+      return res.status(400).json({ error: "paymentIntentId is required" });
+    }
+
+    const booking = await recordSharePayment(paymentIntentId);
+    if (booking) {
+      const notification = await notifySharePaid(booking);
+      req.app.get("emitToCustomer")(booking.customer_id, "new_notification", notification);
+      req.app.get("emitToBusiness")(booking.business_id, "booking_status_changed", {
+        bookingId: booking.id,
+        status: booking.status
+      });
+    }
+
+    const result = await getShare(parseInt(req.params.bookingId), { token: req.body.token, user: req.user });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error confirming group share payment:", error);
+    res.status(500).json({ error: "Failed to confirm share payment" });
+  }
+});
+
+// ── One attendee cancels; everyone else keeps their place
+router.post("/:id/attendees/:bookingId/cancel", async (req, res) => {
+  try {
+    const result = await cancelAttendee(parseInt(req.params.id), parseInt(req.params.bookingId), {
+      token: req.body.token,
+      user: req.user
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    const emitToBusiness = req.app.get("emitToBusiness");
+    if (emitToBusiness) {
+      emitToBusiness(result.booking.business_id, "booking_status_changed", {
+        bookingId: result.booking.id,
+        groupId: result.booking.group_id,
+        status: result.booking.status
+      });
+    }
+
+    res.json({ success: true, bookingId: result.booking.id, status: result.booking.status, refundAmount: result.refundAmount });
+  } catch (error) {
+    console.error("Error cancelling group attendee:", error);
+    res.status(500).json({ error: "Failed to cancel attendee" });
+  }
+});
+
+function holdSummary(hold) {
+  return {
+    position: hold.attendee_position,
+    name: hold.attendee_name,
+    serviceId: hold.service_id,
+    staffId: hold.staff_id,
+    startTime: hold.start_time,
+    endTime: hold.end_time,
+    price: Number(hold.price)
+  };
+}
+
+export default router;
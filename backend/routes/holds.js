@@ -0,0 +1,153 @@
+// backend/routes/holds.js
+import express from "express";
+import {
+  createHold,
+  getHold,
+  extendHold,
+  convertHold,
+  releaseHold,
+  notifyAppointmentConfirmed,
+  holdPayment
+} from "../services/slotHoldService.js";
+import { MAX_APPOINTMENT_SERVICES } from "../services/availabilityService.js";
+import { requireInternalKey } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ── Create a hold when the customer selects a time
+// serviceIds (a basket of services) holds one back-to-back appointment for all of them
+router.post("/", async (req, res) => {
+  try {
+    const { businessId, serviceId, serviceIds, staffId, startTime, replaceHoldId } = req.body;
+
+    if (!businessId || !(serviceId || serviceIds?.length) || !startTime) {
+      return res.status(400).json({ error: "businessId, serviceId (or serviceIds) and startTime are required" });
+    }
+
+    const basket = serviceIds?.length ? serviceIds.map(id => parseInt(id)) : null;
+    if (basket && (basket.some(id => !Number.isInteger(id)) || new Set(basket).size !== basket.length)) {
+      return res.status(400).json({ error: "serviceIds must be distinct service IDs" });
+    }
+    if (basket && basket.length > MAX_APPOINTMENT_SERVICES) {
+      return res.status(400).json({ error: `An appointment can include up to ${MAX_APPOINTMENT_SERVICES} services` });
+    }
+
+    const result = await createHold({
+      businessId: parseInt(businessId),
+      serviceId: basket ? null : parseInt(serviceId),
+      serviceIds: basket,
+      staffId: staffId && staffId !== "any" ? parseInt(staffId) : null,
+      startTime,
+      customerId: req.user?.id ?? null,
+      replaceHoldId
+    });
+
+    if (!result.success) {
+      return res.status(409).json({ success: false, reason: result.reason });
+    }
+
+    const { hold } = result;
+    res.status(201).json({
+      success: true,
+      holdId: hold.id,
+      startTime: hold.start_time,
+      endTime: hold.end_time,
+      staffId: hold.staff_id,
+      price: Number(hold.price),
+      ...holdPayment(hold),
+      services: hold.line_items,
+      expiresAt: hold.expires_at
+    });
+  } catch (error) {
+    console.error("Error creating slot hold:", error);
+    res.status(500).json({ error: "Failed to hold slot" });
+  }
+});
+
+// ── Hold status (for the checkout countdown) and what is due now
+router.get("/:id", async (req, res) => {
+  try {
+    const hold = await getHold(req.params.id);
+    if (!hold) return res.status(404).json({ error: "Hold not found" });
+
+    res.json({
+      holdId: hold.id,
+      status: hold.status,
+      ...holdPayment(hold),
+      expiresAt: hold.expires_at,
+      active: hold.status === "active" && new Date(hold.expires_at) > new Date()
+    });
+  } catch (error) {
+    console.error("Error fetching slot hold:", error);
+    res.status(500).json({ error: "Failed to fetch hold" });
+  }
+});
+
+// ── Extend once a payment intent exists (server-to-server)
+router.post("/:id/extend", requireInternalKey, async (req, res) => {
+  try {
+    const hold = await extendHold(req.params.id, { paymentIntentId: req.body.paymentIntentId });
+    if (!hold) {
+      return res.status(409).json({ success: false, error: "Hold has expired or been released" });
+    }
+    res.json({ success: true, holdId: hold.id, ...holdPayment(hold), expiresAt: hold.expires_at });
+  } catch (error) {
+    console.error("Error extending slot hold:", error);
+    res.status(500).json({ error: "Failed to extend hold" });
+  }
+});
+
+// ── Convert into a booking once payment is finalised (server-to-server)
+router.post("/:id/convert", requireInternalKey, async (req, res) => {
+  try {
+    const { customerId, customerEmail, paymentIntentId, amountPaid, stripeCustomerId, paymentMethodId } = req.body;
+    const result = await convertHold(req.params.id, {
+      customerId,
+      customerEmail,
+      paymentIntentId,
+      amountPaid: amountPaid != null ? Number(amountPaid) : null,
+      stripeCustomerId,
+      paymentMethodId
+    });
+
+    if (!result.success) {
+      return res.status(409).json({ success: false, error: result.reason });
+    }
+
+    const emitToCustomer = req.app.get("emitToCustomer");
+    if (emitToCustomer) {
+      emitToCustomer(result.booking.customer_id, "booking_status_changed", {
+        bookingId: result.booking.id,
+        bookingIds: result.bookings.map(booking => booking.id),
+        status: result.booking.status
+      });
+    }
+
+    // A multi-service appointment gets one combined confirmation
+    if (result.bookings.length > 1 && !result.alreadyConverted) {
+      const notifications = await notifyAppointmentConfirmed(result.bookings);
+      if (emitToCustomer) emitToCustomer(result.booking.customer_id, "new_notification", notifications.customer);
+      req.app.get("emitToBusiness")?.(result.booking.business_id, "new_notification", notifications.business);
+    }
+
+    res.json({ success: true, booking: result.booking, bookings: result.bookings });
+  } catch (error) {
+    console.error("Error converting slot hold:", error);
+    res.status(500).json({ error: "Failed to convert hold" });
+  }
+});
+
+// ── Release on abandonment or payment failure (POST so sendBeacon can call it)
+router.post("/:id/release", async (req, res) => {
+  try {
+    const allowed = ["abandoned", "payment_failed", "timeout", "reselected"];
+    const reason = allowed.includes(req.body?.reason) ? req.body.reason : "abandoned";
+    const released = await releaseHold(req.params.id, reason);
+    res.json({ success: true, released });
+  } catch (error) {
+    console.error("Error releasing slot hold:", error);
+    res.status(500).json({ error: "Failed to release hold" });
+  }
+});
+
+export default router;
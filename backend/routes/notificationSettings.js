@@ -0,0 +1,94 @@
+// backend/routes/notificationSettings.js
+import express from "express";
+import {
+  getRecipientSettings,
+  saveRecipientSettings,
+  getNotificationPreferences,
+  saveNotificationPreferences
+} from "../services/notificationSettingsService.js";
+import { getContactStatus, updateContactDetails } from "../services/deliveryEventService.js";
+import { requireAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ── The signed-in customer's time zone, locale and quiet hours
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const settings = await getRecipientSettings("customer", req.user.id);
+    if (!settings) return res.status(404).json({ success: false, reason: "Customer not found" });
+    res.json({ settings });
+  } catch (error) {
+    console.error("Error fetching notification settings:", error);
+    res.status(500).json({ error: "Failed to fetch notification settings" });
+  }
+});
+
+// { timezone: "America/New_York", locale: "en-US", quietHoursStart: "22:00", quietHoursEnd: "07:00" }
+// quietHoursStart/End of null turns quiet hours off
+router.put("/", requireAuth, async (req, res) => {
+  try {
+    const result = await saveRecipientSettings("customer", req.user.id, req.body);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error saving notification settings:", error);
+    res.status(500).json({ error: "Failed to save notification settings" });
+  }
+});
+
+// ── Preference centre: which messages the signed-in customer gets on which channel
+router.get("/preferences", requireAuth, async (req, res) => {
+  try {
+    const result = await getNotificationPreferences("customer", req.user.id);
+    if (!result) return res.status(404).json({ success: false, reason: "Customer not found" });
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    res.status(500).json({ error: "Failed to fetch notification preferences" });
+  }
+});
+
+// { preferences: { sms: { marketing: false }, whatsapp: { reminders: true } } }; channels and categories left out keep their value
+router.put("/preferences", requireAuth, async (req, res) => {
+  try {
+    const result = await saveNotificationPreferences("customer", req.user.id, req.body.preferences);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error saving notification preferences:", error);
+    res.status(500).json({ error: "Failed to save notification preferences" });
+  }
+});
+
+// ── Whether the signed-in customer's email and phone are reachable (the dashboard asks them
+// to fix an address that bounced)
+router.get("/contact", requireAuth, async (req, res) => {
+  try {
+    const contact = await getContactStatus(req.user.id);
+    if (!contact) return res.status(404).json({ success: false, reason: "Customer not found" });
+    res.json({ contact });
+  } catch (error) {
+    console.error("Error fetching contact status:", error);
+    res.status(500).json({ error: "Failed to fetch contact status" });
+  }
+});
+
+// { email: "new@example.com" } and/or { phone: "+447700900123" }
+router.put("/contact", requireAuth, async (req, res) => {
+  try {
+    const result = await updateContactDetails(req.user.id, req.body);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error updating contact details:", error);
+    res.status(500).json({ error: "Failed to update contact details" });
+  }
+});
+
+export default router;
@@ -0,0 +1,116 @@
+// backend/routes/series.js
+import express from "express";
+import {
+  createSeries,
+  getSeries,
+  cancelSeries,
+  cancelOccurrence
+} from "../services/seriesService.js";
+import { requireInternalKey } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ── Create a series from the booking just paid for (Cloud Functions finalizeBooking)
+router.post("/", requireInternalKey, async (req, res) => {
+  try {
+    const { bookingId, intervalWeeks, count, endsOn } = req.body;
+    if (!bookingId || !intervalWeeks) {
+      return res.status(400).json({ error: "bookingId and intervalWeeks are required" });
+    }
+
+    const result = await createSeries(parseInt(bookingId), {
+      intervalWeeks: Number(intervalWeeks),
+      count: count != null && count !== "" ? Number(count) : null,
+      endsOn: endsOn || null
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, error: result.reason });
+    }
+
+    const emitToBusiness = req.app.get("emitToBusiness");
+    if (emitToBusiness) {
+      emitToBusiness(result.series.business_id, "booking_series_created", {
+        seriesId: result.series.id,
+        visits: result.booked.length + 1,
+        skipped: result.skipped.length
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      seriesId: result.series.id,
+      booked: result.booked.map(booking => ({ bookingId: booking.id, startTime: booking.start_time })),
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error("Error creating booking series:", error);
+    res.status(500).json({ error: "Failed to create booking series" });
+  }
+});
+
+// ── Series with its visits (signed in, or ?token= from the first booking's manage link)
+router.get("/:id", async (req, res) => {
+  try {
+    const result = await getSeries(parseInt(req.params.id), { token: req.query.token, user: req.user });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching booking series:", error);
+    res.status(500).json({ error: "Failed to fetch booking series" });
+  }
+});
+
+// ── Customer stops the whole series
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const result = await cancelSeries(parseInt(req.params.id), {
+      access: { token: req.body.token, user: req.user }
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    const emitToBusiness = req.app.get("emitToBusiness");
+    if (emitToBusiness) {
+      emitToBusiness(result.series.business_id, "booking_series_cancelled", {
+        seriesId: result.series.id,
+        cancelledBy: "customer",
+        releasedBookingIds: result.cancelled.map(booking => booking.id)
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error cancelling booking series:", error);
+    res.status(500).json({ error: "Failed to cancel booking series" });
+  }
+});
+
+// ── Customer skips one unpaid visit
+router.post("/:id/occurrences/:bookingId/cancel", async (req, res) => {
+  try {
+    const result = await cancelOccurrence(parseInt(req.params.id), parseInt(req.params.bookingId), {
+      access: { token: req.body.token, user: req.user }
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    const emitToBusiness = req.app.get("emitToBusiness");
+    if (emitToBusiness) {
+      emitToBusiness(result.booking.business_id, "booking_status_changed", {
+        bookingId: result.booking.id,
+        status: result.booking.status
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error cancelling series visit:", error);
+    res.status(500).json({ error: "Failed to cancel visit" });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+// backend/routes/smsReplies.js
+import express from "express";
+import { handleSmsReply } from "../services/smsReplyService.js";
+import { requireWebhookSecret } from "../middleware/auth.js";
+import { emitOffers, emitQueuePositions } from "./waitingList.js";
+
+const router = express.Router();
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[char]));
+}
+
+// Tell the business and the rest of the queue what the reply changed
+async function emitOutcome(app, result) {
+  const emitToBusiness = app.get("emitToBusiness");
+
+  if (result.action === "offer_accepted") {
+    emitToBusiness(result.offer.business_id, "waiting_list_updated", { serviceId: result.offer.service_id });
+    await emitQueuePositions(app, result.offer.business_id, result.offer.service_id);
+  } else if (result.action === "offer_declined") {
+    await emitOffers(app, result.offers);
+  } else if (result.action === "booking_confirmed" || result.action === "booking_cancelled") {
+    emitToBusiness(result.booking.business_id, "booking_status_changed", {
+      bookingId: result.booking.id,
+      status: result.action === "booking_cancelled" ? "cancelled" : result.booking.status,
+      customerConfirmed: result.action === "booking_confirmed"
+    });
+  }
+}
+
+// ── Texts customers send back (YES / NO / CONFIRM / CANCEL / STOP / START / HELP)
+// POST /api/webhooks/sms          { from, body, messageId }  →  { intent, action, reply }
+// POST /api/webhooks/sms/twilio   Twilio incoming message webhook  →  TwiML with the reply
+router.post("/:provider?", requireWebhookSecret, async (req, res) => {
+  const provider = req.params.provider || "generic";
+  if (!["generic", "twilio"].includes(provider)) {
+    return res.status(404).json({ error: `Unknown provider "${provider}" (use generic, twilio)` });
+  }
+
+  const message = provider === "twilio"
+    ? { provider, from: req.body.From, body: req.body.Body, messageId: req.body.MessageSid }
+    : { provider, from: req.body.from, body: req.body.body, messageId: req.body.messageId || null };
+
+  try {
+    const result = await handleSmsReply(message);
+    if (!result.success) {
+      return res.status(result.status).json({ error: result.reason });
+    }
+    if (!result.duplicate) {
+      await emitOutcome(req.app, result);
+    }
+
+    if (provider === "twilio") {
+      return res.type("text/xml").send(`<Response><Message>${escapeXml(result.reply)}</Message></Response>`);
+    }
+    res.json({ intent: result.intent, action: result.action, reply: result.reply });
+  } catch (error) {
+    console.error("Error handling SMS reply:", error);
+    res.status(500).json({ error: "Failed to handle SMS reply" });
+  }
+});
+
+export default router;
@@ -0,0 +1,40 @@
+// backend/routes/stripeWebhooks.js
+import express from "express";
+import { verifyStripeEvent, handleStripeEvent } from "../services/stripeWebhookService.js";
+
+const router = express.Router();
+
+// Pass on what the event changed to the customer's and business's open apps
+export function emitOutcome(app, result) {
+  const emitters = { customer: app.get("emitToCustomer"), business: app.get("emitToBusiness") };
+  for (const { to, id, event, payload } of result.emits || []) {
+    if (id != null) emitters[to]?.(id, event, payload);
+  }
+}
+
+// ── Stripe events: payments, refunds, disputes and transfers
+// POST /webhook/stripe   Stripe webhook (raw body, checked against STRIPE_WEBHOOK_SECRET)
+// Mounted before bodyParser.json() so the signature is checked against the bytes Stripe sent.
+// A 500 makes Stripe retry; duplicates and retries of processed events are acknowledged and skipped.
+router.post("/", express.raw({ type: "application/json" }), async (req, res) => {
+  let event;
+  try {
+    event = verifyStripeEvent(req.body, req.headers["stripe-signature"]);
+  } catch (error) {
+    console.log("Webhook signature verification failed.", error.message);
+    return res.status(400).send(`Webhook Error: ${error.message}`);
+  }
+
+  try {
+    const result = await handleStripeEvent(event);
+    if (!result.duplicate) {
+      emitOutcome(req.app, result);
+    }
+    res.json({ received: true, duplicate: Boolean(result.duplicate), action: result.action });
+  } catch (error) {
+    console.error(`Error processing Stripe event ${event.id} (${event.type}):`, error);
+    res.status(500).json({ error: "Failed to process Stripe event" });
+  }
+});
+
+export default router;
@@ -0,0 +1,39 @@
+// backend/routes/unsubscribe.js
+import express from "express";
+import { describeUnsubscribe, unsubscribeWithToken } from "../services/suppressionService.js";
+
+const router = express.Router();
+
+// Public: the signed token in the link is the authorisation
+
+// ── What an unsubscribe link is for (unsubscribe.html shows it before confirming)
+router.get("/", async (req, res) => {
+  try {
+    const result = await describeUnsubscribe(req.query.token);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error checking unsubscribe link:", error);
+    res.status(500).json({ error: "Failed to check unsubscribe link" });
+  }
+});
+
+// ── Unsubscribe. Mail clients POST "List-Unsubscribe=One-Click" (RFC 8058) to the
+// List-Unsubscribe URL; the unsubscribe page POSTs { token }
+router.post("/", async (req, res) => {
+  try {
+    const oneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+    const result = await unsubscribeWithToken(req.query.token || req.body?.token, oneClick ? "one_click" : "link");
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error processing unsubscribe:", error);
+    res.status(500).json({ error: "Failed to process unsubscribe" });
+  }
+});
+
+export default router;
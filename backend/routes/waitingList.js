@@ -0,0 +1,197 @@
+// backend/routes/waitingList.js
+import express from "express";
+import {
+  joinWaitingList,
+  updatePreferences,
+  leaveWaitingList,
+  getCustomerWaitingList,
+  getQueuePosition,
+  getQueuePositions,
+  getOffer,
+  acceptOffer,
+  declineOffer
+} from "../services/waitingListService.js";
+import { holdPayment } from "../services/slotHoldService.js";
+import { requireAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// ── Join the queue for a service (signed-in customers)
+// preferences: { from, until, windows: [{ days: [1,2,3,4,5], from: "17:00", to: null }] }; omitted = any time
+router.post("/", requireAuth, async (req, res) => {
+  try {
+    const { businessId, serviceId, staffId, firstName, preferences } = req.body;
+    if (!businessId || !serviceId) {
+      return res.status(400).json({ error: "businessId and serviceId are required" });
+    }
+
+    const result = await joinWaitingList({
+      customerId: req.user.id,
+      firstName: firstName || req.user.firstName || null,
+      businessId: parseInt(businessId),
+      serviceId: parseInt(serviceId),
+      staffId: staffId && staffId !== "any" ? parseInt(staffId) : null,
+      preferences: preferences || null
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    req.app.get("emitToCustomer")(req.user.id, "new_notification", result.notification);
+    req.app.get("emitToBusiness")(result.entry.business_id, "waiting_list_updated", {
+      serviceId: result.entry.service_id
+    });
+    await emitQueuePositions(req.app, result.entry.business_id, result.entry.service_id);
+
+    res.status(201).json({ success: true, entryId: result.entry.id, position: result.position });
+  } catch (error) {
+    console.error("Error joining waiting list:", error);
+    res.status(500).json({ error: "Failed to join waiting list" });
+  }
+});
+
+// ── The signed-in customer's entries with live queue positions
+router.get("/mine", requireAuth, async (req, res) => {
+  try {
+    res.json({ entries: await getCustomerWaitingList(req.user.id) });
+  } catch (error) {
+    console.error("Error fetching waiting list entries:", error);
+    res.status(500).json({ error: "Failed to fetch waiting list" });
+  }
+});
+
+// ── Offer page: what is on offer and until when (?token from the offer notification)
+router.get("/offers/:token", async (req, res) => {
+  try {
+    const result = await getOffer(req.params.token);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("Error fetching waiting list offer:", error);
+    res.status(500).json({ error: "Failed to fetch offer" });
+  }
+});
+
+// ── Take the slot: returns a checkout hold for payment.html
+router.post("/offers/:token/accept", async (req, res) => {
+  try {
+    const result = await acceptOffer(req.params.token);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    const { hold, offer } = result;
+    req.app.get("emitToBusiness")(offer.business_id, "waiting_list_updated", { serviceId: offer.service_id });
+    await emitQueuePositions(req.app, offer.business_id, offer.service_id);
+
+    res.json({
+      success: true,
+      holdId: hold.id,
+      businessId: hold.business_id,
+      serviceId: hold.service_id,
+      staffId: hold.staff_id,
+      startTime: hold.start_time,
+      endTime: hold.end_time,
+      price: Number(hold.price),
+      ...holdPayment(hold),
+      expiresAt: hold.expires_at
+    });
+  } catch (error) {
+    console.error("Error accepting waiting list offer:", error);
+    res.status(500).json({ error: "Failed to accept offer" });
+  }
+});
+
+// ── Turn the slot down; it goes to the next customer in the queue
+router.post("/offers/:token/decline", async (req, res) => {
+  try {
+    const result = await declineOffer(req.params.token);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    await emitOffers(req.app, result.offers);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error declining waiting list offer:", error);
+    res.status(500).json({ error: "Failed to decline offer" });
+  }
+});
+
+// ── Live position of one entry
+router.get("/:id/position", requireAuth, async (req, res) => {
+  try {
+    const entries = await getCustomerWaitingList(req.user.id);
+    const entry = entries.find(e => e.id === parseInt(req.params.id));
+    if (!entry) {
+      return res.status(404).json({ success: false, reason: "Waiting list entry not found" });
+    }
+    res.json({ entryId: entry.id, status: entry.status, position: await getQueuePosition(entry.id), offer: entry.offer });
+  } catch (error) {
+    console.error("Error fetching waiting list position:", error);
+    res.status(500).json({ error: "Failed to fetch position" });
+  }
+});
+
+// ── Change when the customer can come in; keeps their place in the queue
+router.put("/:id/preferences", requireAuth, async (req, res) => {
+  try {
+    const result = await updatePreferences(parseInt(req.params.id), req.user.id, req.body.preferences || null);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+    res.json({ success: true, preferences: result.preferences });
+  } catch (error) {
+    console.error("Error updating waiting list preferences:", error);
+    res.status(500).json({ error: "Failed to update preferences" });
+  }
+});
+
+// ── Leave the queue
+router.post("/:id/leave", requireAuth, async (req, res) => {
+  try {
+    const result = await leaveWaitingList(parseInt(req.params.id), req.user.id);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, reason: result.reason });
+    }
+
+    await emitOffers(req.app, result.offers);
+    req.app.get("emitToBusiness")(result.entry.business_id, "waiting_list_updated", {
+      serviceId: result.entry.service_id
+    });
+    await emitQueuePositions(req.app, result.entry.business_id, result.entry.service_id);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error leaving waiting list:", error);
+    res.status(500).json({ error: "Failed to leave waiting list" });
+  }
+});
+
+// New offers go to the customer as a notification and a dedicated event the offer banner
+// listens for; whoever was behind them in the queue moves up
+export async function emitOffers(app, offers) {
+  const emitToCustomer = app.get("emitToCustomer");
+  for (const { offer, entry, notification } of offers) {
+    emitToCustomer(entry.customer_id, "new_notification", notification);
+    emitToCustomer(entry.customer_id, "waiting_list_offer", {
+      entryId: entry.id,
+      token: offer.token,
+      startTime: offer.start_time,
+      expiresAt: offer.expires_at
+    });
+    await emitQueuePositions(app, offer.business_id, offer.service_id);
+  }
+}
+
+// Everyone still waiting for the service sees their new place in the queue
+export async function emitQueuePositions(app, businessId, serviceId) {
+  const emitToCustomer = app.get("emitToCustomer");
+  for (const { entryId, customerId, position } of await getQueuePositions(businessId, serviceId)) {
+    emitToCustomer(customerId, "waiting_list_position", { entryId, position });
+  }
+}
+
+export default router;
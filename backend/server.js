@@ -3,7 +3,6 @@ import cors from "cors";
 import dotenv from "dotenv";
 import bodyParser from "body-parser";
 import pg from "pg";
-import Stripe from "stripe";
 import { createServer } from "http";
 import { Server } from "socket.io";
 import { initializeCronJobs, processRefund } from "./cronJobs.js";
@@ -22,11 +21,25 @@ import {
 } from "./rewards.js";
 import { attachUserFromAuth } from "./middleware/auth.js";
 import adminRoutes from "./routes/admin.js";
+import businessRoutes from "./routes/businesses.js";
+import holdRoutes from "./routes/holds.js";
+import bookingRoutes from "./routes/bookings.js";
+import seriesRoutes from "./routes/series.js";
+import groupRoutes from "./routes/groups.js";
+import waitingListRoutes from "./routes/waitingList.js";
+import notificationSettingsRoutes from "./routes/notificationSettings.js";
+import unsubscribeRoutes from "./routes/unsubscribe.js";
+import deliveryWebhookRoutes from "./routes/deliveryWebhooks.js";
+import smsReplyRoutes from "./routes/smsReplies.js";
+import stripeWebhookRoutes from "./routes/stripeWebhooks.js";
+import { checkSlotAvailability, withBusinessScheduleLock } from "./services/availabilityService.js";
+import { hasPayoutsEnabled } from "./services/stripeConnectService.js";
+import { BOOKINGS_PAUSED } from "./services/slotHoldService.js";
+import { scheduleBookingReminder } from "./services/bookingMessageService.js";
 
 dotenv.config();
 
 const app = express();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 // Database connection
 const { Pool } = pg;
@@ -37,6 +50,11 @@ const pool = new Pool({
 
 // Middleware
 app.use(cors());
+
+// Mount Stripe webhook routes (payments, refunds, disputes, transfers) ahead of the
+// JSON body parser, which would otherwise consume the raw body the signature covers
+app.use("/webhook/stripe", stripeWebhookRoutes);
+
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(attachUserFromAuth); // <- ensure req.user populated if Authorization present
@@ -54,11 +72,15 @@ const io = new Server(server, {
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   
-  socket.on('register', ({ customerId }) => {
+  socket.on('register', ({ customerId, businessId }) => {
     if (customerId) {
       socket.join(`customer_${customerId}`);
       console.log(`Customer ${customerId} joined room: customer_${customerId}`);
     }
+    if (businessId) {
+      socket.join(`business_${businessId}`);
+      console.log(`Business ${businessId} joined room: business_${businessId}`);
+    }
   });
 
   socket.on('disconnect', () => {
@@ -73,8 +95,16 @@ function emitToCustomer(customerId, event, payload) {
   console.log(`Emitted ${event} to customer ${customerId}:`, payload);
 }
 
-// Make emitToCustomer available throughout the app
+// Helper function to emit updates to a business dashboard
+function emitToBusiness(businessId, event, payload) {
+  if (!businessId) return;
+  io.to(`business_${businessId}`).emit(event, payload);
+  console.log(`Emitted ${event} to business ${businessId}:`, payload);
+}
+
+// Make emitToCustomer / emitToBusiness available throughout the app
 app.set('emitToCustomer', emitToCustomer);
+app.set('emitToBusiness', emitToBusiness);
 
 // Initialize cron jobs with Socket.IO instance
 initializeCronJobs(io);
@@ -101,32 +131,70 @@ app.post('/api/bookings', async (req, res) => {
     const { 
       customerId, 
       businessId, 
+      serviceId,
+      staffId,
       service, 
       date, 
       time, 
       price, 
-      totalAmount, 
       startTime, 
-      endTime, 
       customerEmail, 
       status = 'confirmed' 
     } = req.body;
-    
-    const result = await pool.query(
-      `INSERT INTO bookings (
-        customer_id, business_id, service, date, time, price, total_amount, 
-        start_time, end_time, customer_email, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
-      [customerId, businessId, service, date, time, price, totalAmount || price, startTime, endTime, customerEmail, status]
-    );
+
+    // Every booking is checked against the schedule, which needs to know the service
+    if (!serviceId) {
+      return res.status(400).json({ error: 'serviceId is required' });
+    }
+
+    // No online bookings until Stripe can pay the business, the same rule as holds
+    if (!(await hasPayoutsEnabled(businessId))) {
+      return res.status(409).json({ error: BOOKINGS_PAUSED });
+    }
+
+    const insertBooking = async (client, check) => {
+      const { slot } = check;
+      const bookedPrice = check.price ?? price;
+      const { rows } = await client.query(
+        `INSERT INTO bookings (
+          customer_id, business_id, service_id, staff_id, service, date, time, price, total_amount, 
+          start_time, end_time, customer_email, status, cancellation_policy
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+          (SELECT cancellation_policy FROM businesses WHERE id = $2)) RETURNING *`,
+        [
+          customerId, businessId, serviceId, check.staffId || null, service, date, time,
+          bookedPrice, bookedPrice, slot.startTime, slot.endTime, customerEmail, status
+        ]
+      );
+      return rows[0];
+    };
+
+    // Re-check the slot under the business lock so it cannot be double-booked
+    const booking = await withBusinessScheduleLock(businessId, async (client) => {
+      const check = await checkSlotAvailability(businessId, serviceId, startTime || `${date}T${time}`, {
+        client,
+        staffId: staffId && staffId !== 'any' ? parseInt(staffId) : null
+      });
+      if (!check.available) return { error: check.reason };
+      return insertBooking(client, check);
+    });
+
+    if (booking.error) {
+      return res.status(409).json({ error: booking.error });
+    }
+
+    if (booking.status === 'confirmed') {
+      await scheduleBookingReminder(booking.id).catch(error =>
+        console.error(`❌ Reminder for booking #${booking.id} not queued:`, error.message));
+    }
     
     // Emit real-time update
     emitToCustomer(customerId, 'booking_status_changed', { 
-      bookingId: result.rows[0].id, 
-      status: result.rows[0].status 
+      bookingId: booking.id, 
+      status: booking.status 
     });
     
-    res.json(result.rows[0]);
+    res.json(booking);
   } catch (err) {
     console.error('Error creating booking:', err);
     res.status(500).json({ error: 'Failed to create booking' });
@@ -340,29 +408,6 @@ app.post('/api/notifications', async (req, res) => {
   }
 });
 
-// Stripe webhook for payment confirmations
-app.post('/webhook/stripe', express.raw({type: 'application/json'}), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
-
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.log(`Webhook signature verification failed.`, err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  if (event.type === 'payment_intent.succeeded') {
-    const paymentIntent = event.data.object;
-    console.log('Payment succeeded:', paymentIntent.id);
-    
-    // Here you would update your database and emit real-time updates
-    // emitToCustomer(customerId, 'payment_confirmed', { paymentIntentId: paymentIntent.id });
-  }
-
-  res.json({received: true});
-});
-
 // Refund processing endpoint
 app.post('/api/bookings/:id/refund', async (req, res) => {
   try {
@@ -676,6 +721,36 @@ app.get('/api/reviews/user', async (req, res) => {
 // Mount admin routes (secure admin APIs)
 app.use("/api/admin", adminRoutes);
 
+// Mount business routes (availability)
+app.use("/api/businesses", businessRoutes);
+
+// Mount slot hold routes (checkout reservations)
+app.use("/api/holds", holdRoutes);
+
+// Mount booking self-service routes (manage link, reschedule)
+app.use("/api/bookings", bookingRoutes);
+
+// Mount recurring booking routes (repeat every N weeks)
+app.use("/api/series", seriesRoutes);
+
+// Mount group booking routes (parties, split payment)
+app.use("/api/groups", groupRoutes);
+
+// Mount waiting list routes (queue, offers for cancelled slots)
+app.use("/api/waiting-list", waitingListRoutes);
+
+// Mount notification settings routes (time zone, locale, quiet hours, preferences)
+app.use("/api/notification-settings", notificationSettingsRoutes);
+
+// Mount unsubscribe routes (signed links in email and SMS footers, List-Unsubscribe one-click)
+app.use("/api/unsubscribe", unsubscribeRoutes);
+
+// Mount delivery webhook routes (bounces, complaints, deliveries from the email/SMS providers)
+app.use("/api/webhooks/delivery", deliveryWebhookRoutes);
+
+// Mount SMS reply routes (customers texting YES / NO / CANCEL / STOP back)
+app.use("/api/webhooks/sms", smsReplyRoutes);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -0,0 +1,427 @@
+// backend/services/availabilityService.js
+import { createRequire } from "module";
+import db from "../db.js";
+
+// "Now" is read on the business's clock, the one its opening hours are in
+const require = createRequire(import.meta.url);
+const RecipientTime = require("../../recipient-time.js");
+
+// ──────────────────────────────
+//  AVAILABILITY ENGINE
+// ──────────────────────────────
+//
+// Bookable slots are worked out from the business's weekly opening hours,
+// staff rotas, the service's duration and buffers, and the bookings that
+// already occupy the day. All times are handled as minutes from midnight of
+// the requested date so bookings that straddle midnight still collide.
+// Active checkout holds (slot_holds) occupy a chair exactly like a booking.
+// Several services can be asked for at once: they are done back to back by
+// one stylist, shortest first, and looked up as a single block.
+
+const DEFAULT_SLOT_INTERVAL = 15;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bookings in these states no longer occupy a chair
+const RELEASED_STATUSES = ["cancelled", "refunded"];
+
+// Most services one appointment can chain together
+export const MAX_APPOINTMENT_SERVICES = 6;
+
+/**
+ * Convert a "HH:MM" or "HH:MM:SS" time to minutes from midnight
+ * @param {string} value - Time string
+ * @returns {number} Minutes from midnight
+ */
+export function timeToMinutes(value) {
+  const [hours, minutes] = String(value).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Convert minutes from midnight to a "HH:MM" time
+ * @param {number} total - Minutes from midnight
+ * @returns {string} Time string
+ */
+export function minutesToTime(total) {
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+/**
+ * Day of week (0 = Sunday) for a YYYY-MM-DD date, independent of server timezone
+ * @param {string} date - Date string
+ * @returns {number} Day of week
+ */
+export function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Work out the slots for one service on one day. Pure function so the same
+ * rules can be reused for holds and checks without touching the database.
+ *
+ * When staff are supplied each one is checked against their own shifts,
+ * breaks and bookings. Bookings that were never assigned to a stylist take
+ * a chair from whoever is left. A business with no staff at all is a single
+ * chair; one whose staff are all off, on holiday or can't do the service has
+ * no chair free, so pass hasStaff when the eligible list comes back empty.
+ *
+ * @param {Object} params
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {Object} params.service - { durationMinutes, bufferBeforeMinutes, bufferAfterMinutes }
+ * @param {Array} params.openingHours - [{ opens, closes }] in minutes
+ * @param {Array} params.staff - [{ id, shifts: [{ starts, ends }], breaks: [{ starts, ends }] }] in minutes
+ * @param {boolean} [params.hasStaff] - The business has staff, even if none are eligible (defaults to staff.length > 0)
+ * @param {Array} params.bookings - [{ start, end, staffId }] in minutes
+ * @param {number} [params.staffId] - Only offer slots with this stylist
+ * @param {number} [params.intervalMinutes] - Minutes between start times
+ * @param {number} [params.earliestStart] - No slot may start before this minute
+ * @returns {Array} [{ time, startTime, endTime, available, staffIds }]
+ */
+export function computeSlots({
+  date,
+  service,
+  openingHours,
+  staff = [],
+  hasStaff = staff.length > 0,
+  bookings = [],
+  staffId = null,
+  intervalMinutes = DEFAULT_SLOT_INTERVAL,
+  earliestStart = 0
+}) {
+  const duration = service.durationMinutes;
+  const bufferBefore = service.bufferBeforeMinutes || 0;
+  const bufferAfter = service.bufferAfterMinutes || 0;
+  const step = intervalMinutes > 0 ? intervalMinutes : DEFAULT_SLOT_INTERVAL;
+  const overlaps = (a, startA, endA) => a.start < endA && a.end > startA;
+  const slots = [];
+
+  const windows = [...openingHours].sort((a, b) => a.opens - b.opens);
+
+  for (const window of windows) {
+    for (let start = window.opens; start + duration <= window.closes; start += step) {
+      const end = start + duration;
+      const blockStart = start - bufferBefore;
+      const blockEnd = end + bufferAfter;
+
+      // Existing bookings that collide with the service plus its buffers
+      const colliding = bookings.filter(b => overlaps(b, blockStart, blockEnd));
+      const unassigned = colliding.filter(b => !b.staffId).length;
+
+      let freeStaffIds = [];
+      let capacity;
+
+      if (hasStaff) {
+        freeStaffIds = staff
+          .filter(member => member.shifts.some(shift => shift.starts <= start && shift.ends >= end))
+          .filter(member => !(member.breaks || []).some(br => br.starts < end && br.ends > start))
+          .filter(member => !colliding.some(b => b.staffId === member.id))
+          .map(member => member.id);
+        capacity = freeStaffIds.length - unassigned;
+      } else {
+        capacity = 1 - colliding.length;
+      }
+
+      const bookable = start >= earliestStart && capacity > 0;
+      const staffIds = bookable ? freeStaffIds : [];
+
+      slots.push({
+        time: minutesToTime(start),
+        startTime: `${date}T${minutesToTime(start)}:00`,
+        endTime: `${date}T${minutesToTime(end)}:00`,
+        available: staffId ? staffIds.includes(staffId) : bookable,
+        staffIds
+      });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Order the services of a multi-service appointment: shortest first, so quick
+ * prep (a wash) comes before the long service it leads into. Ties keep the
+ * order the customer chose. Pure function.
+ * @param {Array} services - [{ id, durationMinutes, ... }] in basket order
+ * @returns {Array} The same services, sequenced, each with offsetMinutes from the block start
+ */
+export function sequenceServices(services) {
+  let offset = 0;
+  return services
+    .map((service, index) => ({ service, index }))
+    .sort((a, b) => a.service.durationMinutes - b.service.durationMinutes || a.index - b.index)
+    .map(({ service }) => {
+      const sequenced = { ...service, offsetMinutes: offset };
+      offset += service.durationMinutes;
+      return sequenced;
+    });
+}
+
+/**
+ * Minutes from midnight of `date` before which nothing can be booked
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minNoticeMinutes - Required lead time
+ * @param {string} timeZone - The business's IANA zone
+ * @param {Date} [now] - Current time
+ * @returns {number} Earliest start minute (Infinity for past dates)
+ */
+export function earliestStartFor(date, minNoticeMinutes, timeZone, now = new Date()) {
+  const { date: today, minutes } = RecipientTime.zonedParts(now, timeZone || RecipientTime.DEFAULT_SETTINGS.timezone);
+
+  if (date < today) return Infinity;
+  if (date > today) return 0;
+  return minutes + (minNoticeMinutes || 0);
+}
+
+/**
+ * Load everything the engine needs for a business, service(s) and date.
+ * An array of service IDs is treated as one appointment block: one stylist
+ * who performs every service, the first service's buffer before and the last
+ * service's buffer after.
+ * @param {number} businessId - Business ID
+ * @param {number|Array<number>} serviceId - Service ID, or the services of a multi-service appointment
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {Object} [options.client] - pg client to run inside an open transaction
+ * @param {number} [options.staffId] - Only offer slots with this stylist
+ * @param {string} [options.ignoreHoldId] - Hold that should not block (the caller's own)
+ * @param {number} [options.ignoreBookingId] - Booking that should not block (one being rescheduled)
+ * @returns {Promise<Object|null>} Availability for the day, or null if the business/a service does not exist
+ */
+export async function getAvailability(businessId, serviceId, date, { client = db, staffId = null, ignoreHoldId = null, ignoreBookingId = null } = {}) {
+  if (!DATE_PATTERN.test(date || "")) {
+    throw new Error("Date must be in YYYY-MM-DD format");
+  }
+
+  const serviceIds = [].concat(serviceId).map(Number);
+
+  const { rows: serviceRows } = await client.query(
+    `SELECT s.id, s.name, s.duration_minutes, s.buffer_before_minutes, s.buffer_after_minutes, s.price,
+            s.deposit_type, s.deposit_value, b.slot_interval_minutes, b.min_notice_minutes, b.timezone
+     FROM business_services s
+     JOIN businesses b ON b.id = s.business_id
+     WHERE s.id = ANY($1::int[]) AND s.business_id = $2 AND s.active = true`,
+    [serviceIds, businessId]
+  );
+
+  if (serviceRows.length !== new Set(serviceIds).size) {
+    return null;
+  }
+
+  const services = sequenceServices(serviceIds.map(id => {
+    const row = serviceRows.find(r => r.id === id);
+    return {
+      id: row.id,
+      name: row.name,
+      durationMinutes: row.duration_minutes,
+      bufferBeforeMinutes: row.buffer_before_minutes,
+      bufferAfterMinutes: row.buffer_after_minutes,
+      price: Number(row.price),
+      deposit: { type: row.deposit_type || "none", value: Number(row.deposit_value || 0) }
+    };
+  }));
+  const first = services[0];
+  const last = services[services.length - 1];
+  const { slot_interval_minutes: slotInterval, min_notice_minutes: minNotice, timezone } = serviceRows[0];
+  const weekday = dayOfWeek(date);
+
+  const [{ rows: hours }, { rows: staffRows, hasStaff }, { rows: bookings }] = await Promise.all([
+    client.query(
+      `SELECT opens_at, closes_at FROM business_opening_hours
+       WHERE business_id = $1 AND day_of_week = $2`,
+      [businessId, weekday]
+    ),
+    loadStaffForDay(client, businessId, serviceIds, date, weekday),
+    client.query(
+      `SELECT staff_id,
+              EXTRACT(EPOCH FROM (start_time - $2::date)) / 60 AS start_minute,
+              EXTRACT(EPOCH FROM (end_time - $2::date)) / 60 AS end_minute
+       FROM bookings
+       WHERE business_id = $1
+         AND start_time < $2::date + INTERVAL '1 day'
+         AND end_time > $2::date
+         AND status <> ALL($3)
+         AND id IS DISTINCT FROM $5::integer
+       UNION ALL
+       SELECT staff_id,
+              EXTRACT(EPOCH FROM (start_time - $2::date)) / 60,
+              EXTRACT(EPOCH FROM (end_time - $2::date)) / 60
+       FROM slot_holds
+       WHERE business_id = $1
+         AND start_time < $2::date + INTERVAL '1 day'
+         AND end_time > $2::date
+         AND status = 'active'
+         AND expires_at > NOW()
+         AND id IS DISTINCT FROM $4::uuid`,
+      [businessId, date, RELEASED_STATUSES, ignoreHoldId, ignoreBookingId]
+    )
+  ]);
+
+  const requestedStaffId = staffId ? Number(staffId) : null;
+  const totalDuration = services.reduce((sum, s) => sum + s.durationMinutes, 0);
+  const totalPrice = services.reduce((sum, s) => sum + s.price, 0);
+
+  const slots = computeSlots({
+    date,
+    service: {
+      durationMinutes: totalDuration,
+      bufferBeforeMinutes: first.bufferBeforeMinutes,
+      bufferAfterMinutes: last.bufferAfterMinutes
+    },
+    openingHours: hours.map(h => ({ opens: timeToMinutes(h.opens_at), closes: timeToMinutes(h.closes_at) })),
+    staff: staffRows,
+    hasStaff,
+    bookings: bookings.map(b => ({
+      start: Number(b.start_minute),
+      end: Number(b.end_minute),
+      staffId: b.staff_id
+    })),
+    staffId: requestedStaffId,
+    intervalMinutes: slotInterval,
+    earliestStart: earliestStartFor(date, minNotice, timezone)
+  });
+
+  const priceFor = (member, service) => member.priceOverrides[service.id] ?? service.price;
+
+  return {
+    businessId: Number(businessId),
+    date,
+    open: hours.length > 0,
+    staffId: requestedStaffId,
+    service: services.length === 1
+      ? { id: first.id, name: first.name, durationMinutes: first.durationMinutes, price: first.price, deposit: first.deposit }
+      : { id: null, name: services.map(s => s.name).join(" + "), durationMinutes: totalDuration, price: totalPrice, deposit: null },
+    services: services.map(({ bufferBeforeMinutes, bufferAfterMinutes, ...service }) => service),
+    staff: staffRows.map(member => ({
+      id: member.id,
+      name: member.name,
+      price: services.reduce((sum, service) => sum + priceFor(member, service), 0),
+      servicePrices: Object.fromEntries(services.map(service => [service.id, priceFor(member, service)]))
+    })),
+    slots
+  };
+}
+
+/**
+ * Staff who can perform every one of the services and are not on holiday,
+ * with their shifts and breaks for the weekday. Staff with no service
+ * assignments are treated as able to perform every service.
+ * @returns {Promise<Object>} { rows: [{ id, name, priceOverrides, shifts, breaks }], hasStaff }
+ *   hasStaff: the business has any staff at all (single-chair businesses have none)
+ */
+async function loadStaffForDay(client, businessId, serviceIds, date, weekday) {
+  const { rows } = await client.query(
+    `SELECT st.id, st.name,
+            COALESCE((SELECT json_object_agg(ss.service_id, ss.price_override)
+                      FROM staff_services ss
+                      WHERE ss.staff_id = st.id AND ss.service_id = ANY($2::int[]) AND ss.price_override IS NOT NULL), '{}') AS price_overrides,
+            COALESCE((SELECT json_agg(json_build_object('starts', r.starts_at, 'ends', r.ends_at))
+                      FROM staff_rotas r WHERE r.staff_id = st.id AND r.day_of_week = $3), '[]') AS shifts,
+            COALESCE((SELECT json_agg(json_build_object('starts', sb.starts_at, 'ends', sb.ends_at))
+                      FROM staff_breaks sb WHERE sb.staff_id = st.id AND sb.day_of_week = $3), '[]') AS breaks
+     FROM staff st
+     WHERE st.business_id = $1
+       AND st.active = true
+       AND ((SELECT COUNT(DISTINCT ss.service_id) FROM staff_services ss
+             WHERE ss.staff_id = st.id AND ss.service_id = ANY($2::int[])) = $5
+            OR NOT EXISTS (SELECT 1 FROM staff_services any_ss WHERE any_ss.staff_id = st.id))
+       AND NOT EXISTS (
+         SELECT 1 FROM staff_time_off t
+         WHERE t.staff_id = st.id AND $4::date BETWEEN t.starts_on AND t.ends_on
+       )
+     ORDER BY st.id`,
+    [businessId, serviceIds, weekday, date, new Set(serviceIds).size]
+  );
+
+  const toMinutes = (periods) => periods.map(p => ({ starts: timeToMinutes(p.starts), ends: timeToMinutes(p.ends) }));
+  const { rows: anyStaff } = rows.length
+    ? { rows: [{ has_staff: true }] }
+    : await client.query("SELECT EXISTS (SELECT 1 FROM staff WHERE business_id = $1) AS has_staff", [businessId]);
+
+  return {
+    rows: rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      priceOverrides: Object.fromEntries(
+        Object.entries(row.price_overrides).map(([serviceId, price]) => [serviceId, Number(price)])
+      ),
+      shifts: toMinutes(row.shifts),
+      breaks: toMinutes(row.breaks)
+    })),
+    hasStaff: anyStaff[0].has_staff
+  };
+}
+
+/**
+ * Check whether a single start time is still bookable and pick the stylist.
+ * With no staffId the first free stylist is assigned ("any available").
+ * @param {number} businessId - Business ID
+ * @param {number|Array<number>} serviceId - Service ID, or the services of a multi-service appointment
+ * @param {string} startTime - ISO-like local timestamp (YYYY-MM-DDTHH:MM[:SS])
+ * @param {Object} [options] - Passed through to getAvailability
+ * @returns {Promise<Object>} { available, slot, staffId, price, deposit, lines, reason }
+ *   lines: one per service in the order they will be done, [{ serviceId, name, startTime, endTime, price, deposit }]
+ */
+export async function checkSlotAvailability(businessId, serviceId, startTime, options = {}) {
+  const [date, time = ""] = String(startTime || "").split(/[T ]/);
+
+  if (!DATE_PATTERN.test(date || "") || !time) {
+    return { available: false, reason: "Invalid start time" };
+  }
+
+  const availability = await getAvailability(businessId, serviceId, date, options);
+  if (!availability) {
+    return { available: false, reason: "Service not found" };
+  }
+
+  const slot = availability.slots.find(s => s.time === time.substring(0, 5));
+  if (!slot || !slot.available) {
+    return { available: false, slot, reason: "Selected time is no longer available" };
+  }
+
+  const staffId = availability.staffId || slot.staffIds[0] || null;
+  const member = availability.staff.find(m => m.id === staffId);
+  const slotStart = timeToMinutes(slot.time);
+
+  const lines = availability.services.map(service => ({
+    serviceId: service.id,
+    name: service.name,
+    startTime: `${date}T${minutesToTime(slotStart + service.offsetMinutes)}:00`,
+    endTime: `${date}T${minutesToTime(slotStart + service.offsetMinutes + service.durationMinutes)}:00`,
+    price: member ? member.servicePrices[service.id] : service.price,
+    deposit: service.deposit
+  }));
+
+  return {
+    available: true,
+    slot,
+    staffId,
+    price: member ? member.price : availability.service.price,
+    deposit: availability.service.deposit,
+    lines
+  };
+}
+
+/**
+ * Run `fn` in a transaction holding a per-business advisory lock so that
+ * two customers cannot pass the availability check for the same chair at once.
+ * @param {number} businessId - Business ID
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<*>} Whatever `fn` returns
+ */
+export async function withBusinessScheduleLock(businessId, fn) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT pg_advisory_xact_lock($1)", [Number(businessId)]);
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
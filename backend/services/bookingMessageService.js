@@ -0,0 +1,293 @@
+// backend/services/bookingMessageService.js
+import { createRequire } from "module";
+import db from "../db.js";
+import { sendMessage } from "./messagingService.js";
+import { sendWhatsAppTemplate } from "./whatsappService.js";
+import { enqueueJob, cancelJobs, generateIdempotencyKey } from "./jobQueueService.js";
+import { toRecipientSettings, canNotify } from "./notificationSettingsService.js";
+import { unsubscribeUrlFor } from "./suppressionService.js";
+import { toLocalTimestamp } from "./slotHoldService.js";
+
+// Appointment times read in the business's zone; the same WhatsApp templates
+// as the communication system
+const require = createRequire(import.meta.url);
+const RecipientTime = require("../../recipient-time.js");
+const WhatsAppTemplates = require("../../whatsapp-templates.js");
+
+const REMINDER_HOURS = 24;
+
+// ──────────────────────────────
+//  BOOKING MESSAGES
+// ──────────────────────────────
+//
+// Emails, texts and WhatsApp messages about a booking, sent through the
+// messaging and WhatsApp services (preferences, suppressions, ledger). Every
+// sender here is best effort per channel: one failed channel is logged and
+// the others still go out.
+
+async function loadParties(bookingId) {
+  const { rows } = await db.query(
+    `SELECT bk.*, b.name AS business_name, b.email AS business_email, b.phone AS business_phone,
+            b.plan, b.timezone AS business_timezone, b.locale AS business_locale,
+            c.first_name, c.email AS contact_email, c.phone AS customer_phone,
+            c.timezone, c.locale, c.quiet_hours_start, c.quiet_hours_end
+     FROM bookings bk
+     JOIN businesses b ON b.id = bk.business_id
+     LEFT JOIN customers c ON c.id = bk.customer_id
+     WHERE bk.id = $1`,
+    [bookingId]
+  );
+  return rows[0] || null;
+}
+
+// When the appointment is, as an instant (start_time is wall time in the business's zone)
+function appointmentInstant(booking) {
+  return RecipientTime.toInstant(toLocalTimestamp(booking.start_time), booking.business_timezone);
+}
+
+function formatAppointment(booking, value = booking.start_time, locale = booking.locale) {
+  return RecipientTime.formatDateTime(toLocalTimestamp(value), booking.business_timezone, locale);
+}
+
+// Send on every channel in turn; a channel that throws does not stop the rest
+async function sendAll(bookingId, sends) {
+  const results = [];
+  for (const [label, send] of sends) {
+    try {
+      results.push({ channel: label, ...await send() });
+    } catch (error) {
+      console.error(`❌ ${label} for booking #${bookingId} failed:`, error.message);
+      results.push({ channel: label, success: false, reason: error.message, error: true });
+    }
+  }
+  return results;
+}
+
+// ──────────────────────────────
+//  REMINDERS
+// ──────────────────────────────
+
+/**
+ * Queue the 24-hour reminder for a booking, at the end of the customer's quiet
+ * hours if it falls inside them. Bookings less than a day away get none.
+ * Queuing the same booking and time twice keeps the first job.
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object|null>} The job, or null when no reminder is due
+ */
+export async function scheduleBookingReminder(bookingId) {
+  const booking = await loadParties(bookingId);
+  if (!booking || !booking.customer_id) return null;
+
+  const startsAt = appointmentInstant(booking);
+  const remindAt = new Date(startsAt.getTime() - REMINDER_HOURS * 3600000);
+  if (remindAt <= new Date()) return null;
+
+  const startTime = toLocalTimestamp(booking.start_time);
+  const { job } = await enqueueJob("booking_reminder", { bookingId: booking.id, startTime }, {
+    runAt: RecipientTime.nextSendTime(toRecipientSettings(booking), remindAt),
+    idempotencyKey: generateIdempotencyKey("booking_reminder", { booking_id: booking.id, reference: startTime })
+  });
+  return job;
+}
+
+/**
+ * Send a booking's reminder (the booking_reminder job handler): email, a text
+ * on Premium businesses, and WhatsApp to customers who opted in. Skipped when
+ * the booking is no longer confirmed or has moved since the job was queued.
+ * @param {Object} job - { bookingId, startTime }
+ * @returns {Promise<Object>} { sent, skipped } with the result per channel in sent
+ * @throws When every channel failed, so the job is retried
+ */
+export async function sendBookingReminder({ bookingId, startTime = null }) {
+  const booking = await loadParties(bookingId);
+  if (!booking) return { sent: [], skipped: "not_found" };
+  if (booking.status !== "confirmed") return { sent: [], skipped: booking.status };
+  if (startTime && startTime !== toLocalTimestamp(booking.start_time)) return { sent: [], skipped: "moved" };
+
+  const when = formatAppointment(booking);
+  const recipient = { recipientType: "customer", recipientId: booking.customer_id, bookingId: booking.id };
+  const sends = [
+    ["Reminder email", () => sendMessage({
+      ...recipient,
+      channel: "email",
+      to: booking.contact_email || booking.customer_email,
+      template: "booking_reminder",
+      subject: `Reminder: ${booking.service} at ${booking.business_name}`,
+      text: `Hi ${booking.first_name || "there"}, this is a reminder of your ${booking.service} at ${booking.business_name} on ${when}.`
+    })]
+  ];
+  if (booking.plan === "premium" && booking.customer_phone) {
+    sends.push(["Reminder text", () => sendMessage({
+      ...recipient,
+      channel: "sms",
+      to: booking.customer_phone,
+      template: "booking_reminder",
+      text: `Reminder: ${booking.service} at ${booking.business_name} on ${when}.`
+    })]);
+  }
+  if (booking.customer_phone && await canNotify("customer", booking.customer_id, "whatsapp", "reminders")) {
+    sends.push(["Reminder WhatsApp", () => sendWhatsAppTemplate({
+      ...recipient,
+      to: booking.customer_phone,
+      template: "booking_reminder",
+      data: {
+        customerName: booking.first_name || "there",
+        service: booking.service,
+        businessName: booking.business_name,
+        bookingTime: when,
+        unsubscribeUrl: unsubscribeUrlFor("customer", booking.customer_id, "whatsapp", "reminders")
+      }
+    })]);
+  }
+
+  const sent = await sendAll(booking.id, sends);
+  // Nothing went out because every channel errored: let the job queue retry it
+  if (sent.every(result => result.error)) {
+    throw new Error(`No reminder could be sent for booking #${booking.id}: ${sent.map(result => result.reason).join("; ")}`);
+  }
+  return { sent, skipped: null };
+}
+
+// ──────────────────────────────
+//  RESCHEDULES
+// ──────────────────────────────
+
+/**
+ * Swap a moved booking's reminder for one at its new time
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object|null>} The new job, or null when no reminder is due
+ */
+export async function rescheduleBookingReminder(bookingId) {
+  await cancelJobs("booking_reminder", { bookingId });
+  return scheduleBookingReminder(bookingId);
+}
+
+/**
+ * Email both sides about a move, and text the customer and, on Premium, the business
+ * @param {Object} booking - Updated booking row
+ * @param {Object} previous - { startTime }
+ * @returns {Promise<Array>} Result per channel
+ */
+export async function sendRescheduleMessages(booking, previous) {
+  const parties = await loadParties(booking.id);
+  if (!parties) return [];
+
+  const when = formatAppointment(parties);
+  const was = formatAppointment(parties, previous.startTime);
+  const customer = { recipientType: "customer", recipientId: parties.customer_id, bookingId: parties.id };
+  const business = { recipientType: "business", recipientId: parties.business_id, bookingId: parties.id };
+
+  const sends = [
+    ["Reschedule email to customer", () => sendMessage({
+      ...customer,
+      channel: "email",
+      to: parties.contact_email || parties.customer_email,
+      template: "reschedule",
+      subject: `Your ${parties.service} has moved`,
+      text: `Hi ${parties.first_name || "there"}, your ${parties.service} at ${parties.business_name} has moved from ${was} to ${when}.`
+    })],
+    ["Reschedule email to business", () => sendMessage({
+      ...business,
+      channel: "email",
+      to: parties.business_email,
+      template: "reschedule",
+      subject: `Booking #${parties.id} rescheduled`,
+      text: `${parties.first_name || "A customer"} moved booking #${parties.id} (${parties.service}) from ${was} to ${when}.`
+    })]
+  ];
+  if (parties.customer_phone) {
+    sends.push(["Reschedule text to customer", () => sendMessage({
+      ...customer,
+      channel: "sms",
+      to: parties.customer_phone,
+      template: "reschedule",
+      text: `Your ${parties.service} at ${parties.business_name} is now on ${when}. Ref #${parties.id}.`
+    })]);
+  }
+  if (parties.plan === "premium" && parties.business_phone) {
+    sends.push(["Reschedule text to business", () => sendMessage({
+      ...business,
+      channel: "sms",
+      to: parties.business_phone,
+      template: "reschedule",
+      text: `Booking #${parties.id} (${parties.service}) moved to ${when}.`
+    })]);
+  }
+
+  return sendAll(parties.id, sends);
+}
+
+// ──────────────────────────────
+//  DEFERRED NOTIFICATIONS
+// ──────────────────────────────
+//
+// The automation system holds non-urgent notifications back during a
+// recipient's quiet hours and queues them as notification.deliver jobs with
+// the notification ({ event_type, data }) and the one recipient
+// ({ channel, address, type, id }) it was held for.
+
+const EMAIL_SUBJECTS = {
+  "booking.create": "Booking Confirmation",
+  "booking.cancel": "Booking Cancelled",
+  "booking.reminder": "Booking Reminder",
+  "waitinglist.slot.opened": "A slot opened!",
+  "stripe.payment_failed": "Payment Issue - Action Required"
+};
+
+function notificationText(eventType, data = {}) {
+  const what = [data.service_name, data.business_name && `at ${data.business_name}`, data.date_time && `on ${data.date_time}`]
+    .filter(Boolean).join(" ");
+  switch (eventType) {
+    case "booking.create": return `Booking confirmed${what ? `: ${what}` : ""}.`;
+    case "booking.cancel": return `Your booking${what ? ` (${what})` : ""} has been cancelled.`;
+    case "booking.reminder": return `Reminder${what ? `: ${what}` : " of your booking"}.`;
+    case "waitinglist.slot.opened": return `A slot opened${what ? ` for ${what}` : ""}. Book now: ${data.offer_link || ""}`.trim();
+    default: return data.message || "Notification from BlkPages";
+  }
+}
+
+/**
+ * Send one notification held back for quiet hours (the notification.deliver job handler)
+ * @param {Object} notification - { event_type, data }
+ * @param {Object} recipient - { channel, address, type, id }
+ * @returns {Promise<Object>} { success } or { success: false, status, reason }
+ */
+export async function deliverNotification(notification, recipient) {
+  const data = notification.data || {};
+  const message = {
+    recipientType: recipient.type,
+    recipientId: recipient.id || null,
+    to: recipient.address,
+    bookingId: data.booking_id || null
+  };
+
+  if (recipient.channel === "whatsapp") {
+    const template = WhatsAppTemplates.templateForEvent(notification.event_type);
+    if (!template) return { success: false, status: 400, reason: `No WhatsApp template for ${notification.event_type}` };
+    if (message.recipientId && !await canNotify(recipient.type, message.recipientId, "whatsapp", notification.event_type)) {
+      return { success: false, status: 403, reason: "Recipient has turned this off on WhatsApp" };
+    }
+    return sendWhatsAppTemplate({
+      ...message,
+      template,
+      data: {
+        customerName: data.first_name || data.customer_name,
+        service: data.service_name,
+        businessName: data.business_name,
+        bookingTime: data.date_time,
+        slotTime: data.date_time,
+        holdHours: data.hold_hours,
+        offerUrl: data.offer_link,
+        unsubscribeUrl: data.unsubscribe_url
+      }
+    });
+  }
+
+  return sendMessage({
+    ...message,
+    channel: recipient.channel,
+    template: notification.event_type,
+    subject: EMAIL_SUBJECTS[notification.event_type] || "Notification",
+    text: notificationText(notification.event_type, data)
+  });
+}
@@ -0,0 +1,94 @@
+// backend/services/cancellationPolicyService.js
+import { createRequire } from "module";
+import db from "../db.js";
+
+// The same engine the refund UI and utils.js use (cancellation-policy.js)
+const require = createRequire(import.meta.url);
+const {
+  PRESET_POLICIES,
+  normalizePolicy,
+  validatePolicy,
+  evaluateCancellation,
+  describePolicy
+} = require("../../cancellation-policy.js");
+
+// ──────────────────────────────
+//  CANCELLATION POLICIES
+// ──────────────────────────────
+
+/**
+ * Get a business's cancellation policy with a plain-English summary
+ * @param {number} businessId - Business ID
+ * @returns {Promise<Object|null>} { policy, description, presets } or null if the business does not exist
+ */
+export async function getCancellationPolicy(businessId) {
+  const { rows } = await db.query("SELECT cancellation_policy FROM businesses WHERE id = $1", [businessId]);
+  if (rows.length === 0) return null;
+
+  const policy = normalizePolicy(rows[0].cancellation_policy);
+  return {
+    policy,
+    description: describePolicy(policy),
+    presets: Object.keys(PRESET_POLICIES)
+  };
+}
+
+/**
+ * Save a preset or custom tiers. New bookings pick this up; existing
+ * bookings keep the policy they were made under.
+ * @param {number} businessId - Business ID
+ * @param {Object} policy - Policy object (see cancellation-policy.js)
+ * @returns {Promise<Object>} { success, policy } or { success: false, errors }
+ */
+export async function saveCancellationPolicy(businessId, policy) {
+  const errors = validatePolicy(policy);
+  if (errors.length) {
+    return { success: false, errors };
+  }
+
+  // Stored with its tiers, so bookings copy the exact rules the customer agreed to
+  const stored = PRESET_POLICIES[policy.type] && !policy.tiers
+    ? normalizePolicy(policy.type)
+    : normalizePolicy({ ...policy, type: "custom" });
+
+  const { rowCount } = await db.query(
+    "UPDATE businesses SET cancellation_policy = $2, updated_at = NOW() WHERE id = $1",
+    [businessId, JSON.stringify(stored)]
+  );
+  if (!rowCount) {
+    return { success: false, errors: ["Business not found"] };
+  }
+
+  console.log(`📋 Cancellation policy updated for business ${businessId} (${stored.type})`);
+  return { success: true, policy: stored };
+}
+
+/**
+ * Evaluate cancelling (or a no-show on) a stored booking under the policy it was made with
+ * @param {number} bookingId - Booking ID
+ * @param {Object} [options] - { noShow, cancellationTime }
+ * @returns {Promise<Object|null>} Evaluation from the policy engine, or null if the booking does not exist
+ */
+export async function evaluateBookingCancellation(bookingId, { noShow = false, cancellationTime = new Date() } = {}) {
+  const { rows } = await db.query(
+    `SELECT bk.total_amount, bk.amount_paid, bk.deposit_amount, bk.payment_mode, bk.deposit_refundable, bk.start_time,
+            COALESCE(bk.cancellation_policy, b.cancellation_policy) AS policy
+     FROM bookings bk
+     JOIN businesses b ON b.id = bk.business_id
+     WHERE bk.id = $1`,
+    [bookingId]
+  );
+  if (rows.length === 0) return null;
+
+  const booking = rows[0];
+  return evaluateCancellation(
+    booking.policy,
+    {
+      amountPaid: Number(booking.amount_paid ?? booking.total_amount),
+      depositAmount: Number(booking.deposit_amount || 0),
+      depositRefundable: booking.deposit_refundable ?? booking.payment_mode !== "deposit",
+      appointmentTime: booking.start_time
+    },
+    { noShow, cancellationTime }
+  );
+}
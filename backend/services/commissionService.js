@@ -0,0 +1,315 @@
+// backend/services/commissionService.js
+import db from "../db.js";
+
+// Subscription plans a business can be on; each can have its own commission rules
+export const PLANS = ["free", "starter", "premium"];
+
+// Used when no rule matches (0 unless configured)
+const DEFAULT_FEE_PERCENT = Number(process.env.PLATFORM_FEE_PERCENT || 0);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// ──────────────────────────────
+//  CALCULATION
+// ──────────────────────────────
+//
+// The rule for a booking is the most specific active one for the business's plan
+// and category at the time the booking was made: plan and category, then plan,
+// then category, then a catch-all. A promotion (a rule with dates) running at that
+// time wins over the standing rules, so a zero-fee promotion just needs 0% and £0.
+
+function isPromotion(rule) {
+  return Boolean(rule.starts_at || rule.ends_at);
+}
+
+function specificity(rule) {
+  return (rule.plan ? 2 : 0) + (rule.category ? 1 : 0);
+}
+
+/**
+ * Pick the commission rule for a business at a given time
+ * @param {Array} rules - Active commission_rules rows (see loadCommissionRules)
+ * @param {Object} business - { plan, category }
+ * @param {Date} [at] - When the booking was made
+ * @returns {Object|null} Rule row, or null to use the default percentage
+ */
+export function resolveCommissionRule(rules, { plan = "free", category = null } = {}, at = new Date()) {
+  const when = new Date(at).getTime();
+  const matching = rules.filter(rule =>
+    rule.active &&
+    (!rule.plan || rule.plan === plan) &&
+    (!rule.category || rule.category === category) &&
+    (!rule.starts_at || new Date(rule.starts_at).getTime() <= when) &&
+    (!rule.ends_at || new Date(rule.ends_at).getTime() > when)
+  );
+  matching.sort((a, b) =>
+    Number(isPromotion(b)) - Number(isPromotion(a)) ||
+    specificity(b) - specificity(a) ||
+    b.id - a.id
+  );
+  return matching[0] || null;
+}
+
+/**
+ * Commission terms as stored on a booking
+ * @param {Object|null} rule - Commission rule row, or null for the default
+ * @returns {Object} { ruleId, name, percent, fixedFee, maxFee }
+ */
+export function commissionTerms(rule) {
+  if (!rule) {
+    return { ruleId: null, name: "Platform fee", percent: DEFAULT_FEE_PERCENT, fixedFee: 0, maxFee: null };
+  }
+  return {
+    ruleId: rule.id,
+    name: rule.name,
+    percent: Number(rule.percent),
+    fixedFee: Number(rule.fixed_fee),
+    maxFee: rule.max_fee == null ? null : Number(rule.max_fee)
+  };
+}
+
+/**
+ * Commission on what a booking took after refunds: percent plus fixed fee,
+ * no more than the cap and never more than the amount itself
+ * @param {Object} terms - { percent, fixedFee, maxFee } (see commissionTerms)
+ * @param {number} amount - Gross less refunds, in pounds
+ * @returns {number} Fee in pounds
+ */
+export function calculateCommission(terms, amount) {
+  if (!(amount > 0)) return 0;
+  let fee = amount * terms.percent / 100 + terms.fixedFee;
+  if (terms.maxFee != null) fee = Math.min(fee, terms.maxFee);
+  return round(Math.min(Math.max(fee, 0), amount));
+}
+
+/**
+ * Active commission rules, for resolving many bookings at once
+ * @returns {Promise<Array>} commission_rules rows
+ */
+export async function loadCommissionRules() {
+  const { rows } = await db.query("SELECT * FROM commission_rules WHERE active = true");
+  return rows;
+}
+
+/**
+ * The commission terms a booking is charged under. Fixed on the booking the first
+ * time they are worked out, from the rule in force when it was made.
+ * @param {Object} booking - Booking row with plan and category of its business
+ * @param {Array} [rules] - Active rules, if already loaded
+ * @returns {Promise<Object>} { ruleId, name, percent, fixedFee, maxFee }
+ */
+export async function getBookingCommissionTerms(booking, rules = null) {
+  if (booking.commission_terms) return booking.commission_terms;
+
+  const rule = resolveCommissionRule(rules || await loadCommissionRules(), booking, booking.created_at || new Date());
+  const terms = commissionTerms(rule);
+  const { rows } = await db.query(
+    `UPDATE bookings SET commission_rule_id = $2, commission_terms = $3
+     WHERE id = $1 AND commission_terms IS NULL
+     RETURNING commission_terms`,
+    [booking.id, terms.ruleId, JSON.stringify(terms)]
+  );
+  // Another sync got there first: use what it stored
+  if (!rows.length) {
+    const { rows: stored } = await db.query("SELECT commission_terms FROM bookings WHERE id = $1", [booking.id]);
+    return stored[0]?.commission_terms || terms;
+  }
+  return rows[0].commission_terms;
+}
+
+/**
+ * What a business would pay on an amount today, or what a booking was charged.
+ * feePence can be passed as application_fee_amount on a destination charge.
+ * @param {number} businessId - Business ID
+ * @param {number} amount - Amount in pounds
+ * @param {Object} [options] - { bookingId } to use that booking's terms
+ * @returns {Promise<Object>} { success, terms, amount, fee, feePence, net } or { success: false, status, reason }
+ */
+export async function quoteCommission(businessId, amount, { bookingId = null } = {}) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value < 0) {
+    return { success: false, status: 400, reason: "amount must be a number, zero or more" };
+  }
+
+  let terms;
+  if (bookingId) {
+    const { rows } = await db.query(
+      `SELECT b.id, b.created_at, b.commission_terms, biz.plan, biz.category
+       FROM bookings b JOIN businesses biz ON biz.id = b.business_id
+       WHERE b.id = $1 AND b.business_id = $2`,
+      [bookingId, businessId]
+    );
+    if (!rows.length) return { success: false, status: 404, reason: "Booking not found" };
+    terms = await getBookingCommissionTerms(rows[0]);
+  } else {
+    const { rows } = await db.query("SELECT plan, category FROM businesses WHERE id = $1", [businessId]);
+    if (!rows.length) return { success: false, status: 404, reason: "Business not found" };
+    terms = commissionTerms(resolveCommissionRule(await loadCommissionRules(), rows[0]));
+  }
+
+  const fee = calculateCommission(terms, value);
+  return { success: true, terms, amount: round(value), fee, feePence: Math.round(fee * 100), net: round(value - fee) };
+}
+
+// ──────────────────────────────
+//  RULES (admin)
+// ──────────────────────────────
+
+function validateRule(rule) {
+  if (rule.plan != null && !PLANS.includes(rule.plan)) return `plan must be one of ${PLANS.join(", ")}`;
+  for (const field of ["percent", "fixed_fee", "max_fee"]) {
+    if (rule[field] != null && !(Number(rule[field]) >= 0)) return `${field} must be zero or more`;
+  }
+  if (Number(rule.percent) > 100) return "percent must be 100 or less";
+  for (const field of ["starts_at", "ends_at"]) {
+    if (rule[field] != null && Number.isNaN(new Date(rule[field]).getTime())) return `${field} must be a date`;
+  }
+  if (rule.starts_at && rule.ends_at && new Date(rule.ends_at) <= new Date(rule.starts_at)) {
+    return "ends_at must be after starts_at";
+  }
+  return null;
+}
+
+// Request body (camelCase) to column values; only fields that were sent
+function ruleColumns(input) {
+  const map = {
+    name: "name", plan: "plan", category: "category", percent: "percent", fixedFee: "fixed_fee",
+    maxFee: "max_fee", startsAt: "starts_at", endsAt: "ends_at", active: "active"
+  };
+  const columns = {};
+  for (const [key, column] of Object.entries(map)) {
+    if (input[key] !== undefined) columns[column] = input[key] === "" ? null : input[key];
+  }
+  return columns;
+}
+
+/**
+ * Every commission rule, current ones first
+ * @param {Object} [filters] - { includeInactive }
+ * @returns {Promise<Array>} commission_rules rows
+ */
+export async function listCommissionRules({ includeInactive = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM commission_rules
+     WHERE ($1 OR active = true)
+     ORDER BY active DESC, plan NULLS LAST, category NULLS LAST, starts_at NULLS FIRST, id`,
+    [includeInactive]
+  );
+  return rows;
+}
+
+/**
+ * Add a commission rule
+ * @param {Object} input - { name, plan, category, percent, fixedFee, maxFee, startsAt, endsAt }
+ * @param {number|null} adminId - Admin creating it
+ * @returns {Promise<Object>} { success, rule } or { success: false, status, reason }
+ */
+export async function createCommissionRule(input, adminId = null) {
+  const columns = { percent: 0, fixed_fee: 0, ...ruleColumns(input) };
+  if (!columns.name) return { success: false, status: 400, reason: "name is required" };
+  const invalid = validateRule(columns);
+  if (invalid) return { success: false, status: 400, reason: invalid };
+
+  const { rows } = await db.query(
+    `INSERT INTO commission_rules (name, plan, category, percent, fixed_fee, max_fee, starts_at, ends_at, active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, true), $10)
+     RETURNING *`,
+    [columns.name, columns.plan ?? null, columns.category ?? null, columns.percent, columns.fixed_fee,
+      columns.max_fee ?? null, columns.starts_at ?? null, columns.ends_at ?? null, columns.active ?? null, adminId]
+  );
+  console.log(`💷 Commission rule "${rows[0].name}" added (${rows[0].percent}% + £${rows[0].fixed_fee})`);
+  return { success: true, rule: rows[0] };
+}
+
+/**
+ * Change a commission rule. Bookings already made keep the terms they had.
+ * @param {number} ruleId - Rule ID
+ * @param {Object} changes - Any of the fields createCommissionRule takes, plus active
+ * @returns {Promise<Object>} { success, rule } or { success: false, status, reason }
+ */
+export async function updateCommissionRule(ruleId, changes) {
+  const { rows: existing } = await db.query("SELECT * FROM commission_rules WHERE id = $1", [ruleId]);
+  if (!existing.length) return { success: false, status: 404, reason: "Commission rule not found" };
+
+  const columns = ruleColumns(changes);
+  if (columns.name === null) return { success: false, status: 400, reason: "name is required" };
+  const invalid = validateRule({ ...existing[0], ...columns });
+  if (invalid) return { success: false, status: 400, reason: invalid };
+  if (!Object.keys(columns).length) return { success: true, rule: existing[0] };
+
+  const sets = Object.keys(columns).map((column, i) => `${column} = $${i + 2}`);
+  const { rows } = await db.query(
+    `UPDATE commission_rules SET ${sets.join(", ")}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [ruleId, ...Object.values(columns)]
+  );
+  return { success: true, rule: rows[0] };
+}
+
+/**
+ * Set a business's plan and category, which pick its commission rule
+ * @param {number} businessId - Business ID
+ * @param {Object} changes - { plan, category }
+ * @returns {Promise<Object>} { success, business: { id, plan, category } } or { success: false, status, reason }
+ */
+export async function setBusinessCommissionProfile(businessId, { plan, category } = {}) {
+  if (plan !== undefined && !PLANS.includes(plan)) {
+    return { success: false, status: 400, reason: `plan must be one of ${PLANS.join(", ")}` };
+  }
+  const { rows } = await db.query(
+    `UPDATE businesses
+     SET plan = COALESCE($2, plan),
+         category = CASE WHEN $3 THEN $4 ELSE category END,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, plan, category`,
+    [businessId, plan ?? null, category !== undefined, category || null]
+  );
+  if (!rows.length) return { success: false, status: 404, reason: "Business not found" };
+  return { success: true, business: rows[0] };
+}
+
+// ──────────────────────────────
+//  REPORTING
+// ──────────────────────────────
+
+/**
+ * Platform fees earned in a period, by plan and by rule (from the payout ledger,
+ * so refunds and adjustments are already netted off)
+ * @param {Object} [period] - { from, to } (default: the last 30 days)
+ * @returns {Promise<Object>} { from, to, totals: { gross, platformFee, bookings }, byPlan, byRule }
+ */
+export async function getPlatformFeeSummary({ from = null, to = null } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new RangeError("from and to must be dates");
+  }
+
+  const { rows } = await db.query(
+    `SELECT biz.plan, COALESCE(b.commission_terms->>'name', 'Platform fee') AS rule,
+            COALESCE(SUM(l.gross_amount - l.refunded_amount), 0) AS gross,
+            COALESCE(SUM(l.platform_fee), 0) AS platform_fee,
+            COUNT(DISTINCT l.booking_id)::int AS bookings
+     FROM payout_ledger l
+     JOIN businesses biz ON biz.id = l.business_id
+     LEFT JOIN bookings b ON b.id = l.booking_id
+     WHERE l.created_at BETWEEN $1 AND $2
+     GROUP BY biz.plan, COALESCE(b.commission_terms->>'name', 'Platform fee')
+     ORDER BY platform_fee DESC`,
+    [start, end]
+  );
+
+  const add = (groups, key, row) => {
+    const group = groups[key] || (groups[key] = { gross: 0, platformFee: 0, bookings: 0 });
+    group.gross = round(group.gross + Number(row.gross));
+    group.platformFee = round(group.platformFee + Number(row.platform_fee));
+    group.bookings += row.bookings;
+  };
+  const totals = {}, byPlan = {}, byRule = {};
+  for (const row of rows) {
+    add(totals, "all", row);
+    add(byPlan, row.plan, row);
+    add(byRule, row.rule, row);
+  }
+  return { from: start, to: end, totals: totals.all || { gross: 0, platformFee: 0, bookings: 0 }, byPlan, byRule };
+}
@@ -0,0 +1,379 @@
+// backend/services/deliveryEventService.js
+import db from "../db.js";
+import { addSuppression, hashAddress, liftBounces } from "./suppressionService.js";
+import { recordProviderEvent } from "./notificationLedgerService.js";
+
+// ──────────────────────────────
+//  DELIVERY EVENTS
+// ──────────────────────────────
+//
+// Email and SMS providers report what happened to each message. Each
+// provider's payload is first turned into one event shape:
+//   { channel, type, bounceType, address, messageId, reason, timestamp }
+// type is delivered, bounce, complaint, open or click; bounceType is hard or soft.
+// Every event also moves its message along in the notification ledger.
+//
+// A hard bounce suppresses the address and marks the customer's email or
+// phone invalid, so the dashboard asks them for a new one. Soft bounces mark
+// it restricted until a delivery succeeds; too many in a row count as hard.
+// A complaint (spam report, STOP) suppresses the address without flagging it.
+
+const CHANNELS = ["email", "sms", "whatsapp"];
+const EVENT_TYPES = ["delivered", "bounce", "complaint", "open", "click"];
+// Opens and clicks only feed the ledger; they say nothing about the address
+
+const SOFT_BOUNCE_LIMIT = 3;
+const SOFT_BOUNCE_WINDOW_DAYS = 30;
+
+// Twilio error codes for numbers that will never receive a message
+const TWILIO_HARD_ERRORS = ["21211", "21612", "21614", "30005", "30006"];
+// Twilio: the recipient replied STOP
+const TWILIO_OPTED_OUT = "21610";
+
+// Customer column holding each channel's address and its delivery status
+const CONTACT_COLUMNS = {
+  email: { address: "email", status: "email_status" },
+  sms: { address: "phone", status: "sms_status" },
+  whatsapp: { address: "phone", status: "sms_status" }
+};
+
+function addressMatch(channel, param) {
+  return channel === "email"
+    ? `LOWER(email) = LOWER(${param})`
+    : `regexp_replace(phone, '[^0-9+]', '', 'g') = regexp_replace(${param}, '[^0-9+]', '', 'g')`;
+}
+
+function guessChannel(address) {
+  return String(address || "").includes("@") ? "email" : "sms";
+}
+
+const NORMALIZERS = {
+  // { events: [{ channel, type, bounceType, address, messageId, reason, timestamp }] }, an array, or one event
+  generic(body) {
+    const events = Array.isArray(body) ? body : body?.events || [body];
+    return events.map(event => ({
+      channel: event.channel || guessChannel(event.address),
+      type: event.type,
+      bounceType: event.bounceType,
+      address: event.address,
+      messageId: event.messageId,
+      reason: event.reason,
+      timestamp: event.timestamp
+    }));
+  },
+
+  // Amazon SES notifications, delivered by SNS (the notification is a JSON string in Message)
+  ses(body) {
+    const message = typeof body?.Message === "string" ? JSON.parse(body.Message) : body;
+    const messageId = message?.mail?.messageId;
+
+    switch (message?.notificationType || message?.eventType) {
+      case "Bounce":
+        return message.bounce.bouncedRecipients.map(recipient => ({
+          channel: "email",
+          type: "bounce",
+          bounceType: message.bounce.bounceType === "Permanent" ? "hard" : "soft",
+          address: recipient.emailAddress,
+          messageId,
+          reason: recipient.diagnosticCode || message.bounce.bounceSubType,
+          timestamp: message.bounce.timestamp
+        }));
+      case "Complaint":
+        return message.complaint.complainedRecipients.map(recipient => ({
+          channel: "email",
+          type: "complaint",
+          address: recipient.emailAddress,
+          messageId,
+          reason: message.complaint.complaintFeedbackType || "complaint",
+          timestamp: message.complaint.timestamp
+        }));
+      case "Delivery":
+        return message.delivery.recipients.map(address => ({
+          channel: "email",
+          type: "delivered",
+          address,
+          messageId,
+          timestamp: message.delivery.timestamp
+        }));
+      case "Open":
+        return message.mail.destination.map(address => ({
+          channel: "email",
+          type: "open",
+          address,
+          messageId,
+          timestamp: message.open.timestamp
+        }));
+      case "Click":
+        return message.mail.destination.map(address => ({
+          channel: "email",
+          type: "click",
+          address,
+          messageId,
+          reason: message.click.link,
+          timestamp: message.click.timestamp
+        }));
+      default:
+        return [];
+    }
+  },
+
+  // SendGrid event webhook: an array of events; deferred and dropped are ignored
+  sendgrid(body) {
+    const types = { delivered: "delivered", bounce: "bounce", spamreport: "complaint", open: "open", click: "click" };
+    return (Array.isArray(body) ? body : [])
+      .filter(event => types[event.event])
+      .map(event => ({
+        channel: "email",
+        type: types[event.event],
+        bounceType: event.type === "blocked" ? "soft" : "hard",
+        address: event.email,
+        messageId: event.sg_message_id,
+        reason: event.reason || event.url,
+        timestamp: event.timestamp ? new Date(event.timestamp * 1000).toISOString() : undefined
+      }));
+  },
+
+  // Twilio status callback (form-encoded, one message per request); WhatsApp "read" counts as opened
+  twilio(body) {
+    const status = body?.MessageStatus || body?.SmsStatus;
+    if (!["delivered", "read", "undelivered", "failed"].includes(status)) return [];
+
+    const channel = String(body.To || "").startsWith("whatsapp:") ? "whatsapp" : "sms";
+    const errorCode = String(body.ErrorCode || "");
+    const type = status === "delivered" ? "delivered"
+      : status === "read" ? "open"
+        : errorCode === TWILIO_OPTED_OUT ? "complaint" : "bounce";
+    return [{
+      channel,
+      type,
+      bounceType: TWILIO_HARD_ERRORS.includes(errorCode) ? "hard" : "soft",
+      address: String(body.To || "").replace(/^whatsapp:/, ""),
+      messageId: body.MessageSid || body.SmsSid,
+      reason: errorCode ? `Twilio error ${errorCode}${body.ErrorMessage ? `: ${body.ErrorMessage}` : ""}` : status
+    }];
+  }
+};
+
+export const PROVIDERS = Object.keys(NORMALIZERS);
+
+/**
+ * Set a customer's email or phone status for every customer using the address
+ * @returns {Promise<Array<number>>} IDs of the customers updated
+ */
+async function flagCustomers(channel, address, status, reason) {
+  const { status: statusColumn } = CONTACT_COLUMNS[channel];
+  // restricted never overrides invalid; only a new address clears that
+  const { rows } = await db.query(
+    `UPDATE customers
+     SET ${statusColumn} = CASE WHEN $2 = 'restricted' AND ${statusColumn} = 'invalid' THEN ${statusColumn} ELSE $2 END,
+         last_bounce_at = NOW(), last_bounce_reason = $3, updated_at = NOW()
+     WHERE ${addressMatch(channel, "$1")}
+     RETURNING id`,
+    [address, status, reason || null]
+  );
+  return rows.map(row => row.id);
+}
+
+async function suppress(provider, event, reason, customerIds = []) {
+  await addSuppression({
+    channel: event.channel,
+    address: event.address,
+    recipientType: customerIds.length ? "customer" : null,
+    recipientId: customerIds[0] || null,
+    reason,
+    source: provider
+  });
+}
+
+/**
+ * Record one delivery event and act on it
+ * @param {string} provider - generic, ses, sendgrid, twilio (or automation for internal callers)
+ * @param {Object} event - { channel, type, bounceType, address, messageId, reason, timestamp }
+ * @returns {Promise<string>} 'recorded', 'duplicate' or 'skipped' (not a usable event)
+ */
+export async function recordDeliveryEvent(provider, event) {
+  if (!CHANNELS.includes(event?.channel) || !EVENT_TYPES.includes(event.type) || !event.address) {
+    return "skipped";
+  }
+
+  const bounceType = event.type === "bounce" ? (event.bounceType === "soft" ? "soft" : "hard") : null;
+  const occurredAt = event.timestamp && !Number.isNaN(new Date(event.timestamp).getTime())
+    ? new Date(event.timestamp)
+    : new Date();
+
+  const { rows } = await db.query(
+    `INSERT INTO delivery_events
+       (provider, channel, event_type, bounce_type, address_hash, provider_message_id, reason, occurred_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [provider, event.channel, event.type, bounceType, hashAddress(event.channel, event.address),
+      event.messageId || null, event.reason || null, occurredAt]
+  );
+  if (rows.length === 0) return "duplicate";
+
+  await recordProviderEvent(event.messageId, event.type, { reason: event.reason, occurredAt });
+
+  if (event.type === "open" || event.type === "click") {
+    return "recorded";
+  }
+  if (event.type === "delivered") {
+    // Mail is getting through again
+    const { status } = CONTACT_COLUMNS[event.channel];
+    await db.query(
+      `UPDATE customers SET ${status} = 'valid', updated_at = NOW()
+       WHERE ${addressMatch(event.channel, "$1")} AND ${status} = 'restricted'`,
+      [event.address]
+    );
+  } else if (event.type === "complaint") {
+    await suppress(provider, event, "complaint");
+    console.log(`🚫 ${event.channel} complaint from ${provider}; address suppressed`);
+  } else if (bounceType === "hard") {
+    const customerIds = await flagCustomers(event.channel, event.address, "invalid", event.reason);
+    await suppress(provider, event, "hard_bounce", customerIds);
+    console.log(`📭 Hard ${event.channel} bounce from ${provider}; address suppressed, ${customerIds.length} customer(s) flagged`);
+  } else {
+    const { rows: recent } = await db.query(
+      `SELECT COUNT(*)::int AS count FROM delivery_events
+       WHERE channel = $1 AND address_hash = $2 AND event_type = 'bounce' AND bounce_type = 'soft'
+         AND occurred_at > NOW() - make_interval(days => $3)`,
+      [event.channel, hashAddress(event.channel, event.address), SOFT_BOUNCE_WINDOW_DAYS]
+    );
+    if (recent[0].count >= SOFT_BOUNCE_LIMIT) {
+      const customerIds = await flagCustomers(event.channel, event.address, "invalid", event.reason);
+      await suppress(provider, event, "repeated_soft_bounce", customerIds);
+      console.log(`📭 ${recent[0].count} soft ${event.channel} bounces in ${SOFT_BOUNCE_WINDOW_DAYS} days; address suppressed`);
+    } else {
+      await flagCustomers(event.channel, event.address, "restricted", event.reason);
+    }
+  }
+
+  return "recorded";
+}
+
+/**
+ * Record a provider's webhook payload
+ * @param {string} provider - One of PROVIDERS
+ * @param {Object|Array} body - The provider's payload
+ * @returns {Promise<Object>} { received, recorded, duplicates, skipped }
+ */
+export async function recordDeliveryEvents(provider, body) {
+  const events = NORMALIZERS[provider](body);
+  const summary = { received: events.length, recorded: 0, duplicates: 0, skipped: 0 };
+
+  for (const event of events) {
+    const outcome = await recordDeliveryEvent(provider, event);
+    if (outcome === "recorded") summary.recorded++;
+    else if (outcome === "duplicate") summary.duplicates++;
+    else summary.skipped++;
+  }
+  return summary;
+}
+
+/**
+ * Whether a customer's address has been marked undeliverable
+ * @param {string} channel - email, sms, whatsapp
+ * @param {string} address - Email address or phone number
+ * @returns {Promise<boolean>}
+ */
+export async function isUndeliverable(channel, address) {
+  if (!CONTACT_COLUMNS[channel] || !address) return false;
+  const { rows } = await db.query(
+    `SELECT 1 FROM customers WHERE ${addressMatch(channel, "$1")} AND ${CONTACT_COLUMNS[channel].status} = 'invalid' LIMIT 1`,
+    [address]
+  );
+  return rows.length > 0;
+}
+
+// ──────────────────────────────
+//  CONTACT DETAILS
+// ──────────────────────────────
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s()-]{7,20}$/;
+
+function formatContactStatus(row) {
+  return {
+    email: row.email,
+    phone: row.phone,
+    emailStatus: row.email_status,
+    smsStatus: row.sms_status,
+    lastBounceAt: row.last_bounce_at,
+    lastBounceReason: row.last_bounce_reason,
+    needsAttention: row.email_status === "invalid" || row.sms_status === "invalid"
+  };
+}
+
+/**
+ * A customer's email and phone number and whether messages are reaching them
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object|null>} { email, phone, emailStatus, smsStatus, lastBounceAt, lastBounceReason, needsAttention }
+ */
+export async function getContactStatus(customerId) {
+  const { rows } = await db.query(
+    "SELECT email, phone, email_status, sms_status, last_bounce_at, last_bounce_reason FROM customers WHERE id = $1",
+    [customerId]
+  );
+  return rows[0] ? formatContactStatus(rows[0]) : null;
+}
+
+/**
+ * Change a customer's email and/or phone number. A changed (or re-confirmed)
+ * address is marked valid again and any bounce suppression on it is lifted,
+ * so the next message is tried; another hard bounce suppresses it again.
+ * @param {number} customerId - Customer ID
+ * @param {Object} details - { email, phone }
+ * @returns {Promise<Object>} { success, contact } or { success: false, status, reason }
+ */
+export async function updateContactDetails(customerId, { email, phone } = {}) {
+  if (email === undefined && phone === undefined) {
+    return { success: false, status: 400, reason: "Send a new email address or phone number" };
+  }
+  if (email !== undefined && !EMAIL_PATTERN.test(String(email).trim())) {
+    return { success: false, status: 400, reason: "Enter a valid email address" };
+  }
+  if (phone !== undefined && !PHONE_PATTERN.test(String(phone).trim())) {
+    return { success: false, status: 400, reason: "Enter a valid phone number, e.g. +44 7700 900123" };
+  }
+
+  const newEmail = email === undefined ? null : String(email).trim();
+  const newPhone = phone === undefined ? null : String(phone).trim();
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `UPDATE customers
+       SET email = COALESCE($2, email),
+           email_status = CASE WHEN $2::text IS NULL THEN email_status ELSE 'valid' END,
+           phone = COALESCE($3, phone),
+           sms_status = CASE WHEN $3::text IS NULL THEN sms_status ELSE 'valid' END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING email, phone, email_status, sms_status, last_bounce_at, last_bounce_reason`,
+      [customerId, newEmail, newPhone]
+    );
+    if (rows.length === 0) {
+      await client.query("ROLLBACK");
+      return { success: false, status: 404, reason: "Customer not found" };
+    }
+
+    if (newEmail) await liftBounces("email", newEmail, client);
+    if (newPhone) {
+      await liftBounces("sms", newPhone, client);
+      await liftBounces("whatsapp", newPhone, client);
+    }
+    await client.query("COMMIT");
+
+    console.log(`📬 Customer ${customerId} updated their contact details`);
+    return { success: true, contact: formatContactStatus(rows[0]) };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "23505") {
+      return { success: false, status: 409, reason: "That email address is already used by another account" };
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
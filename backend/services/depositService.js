@@ -0,0 +1,311 @@
+// backend/services/depositService.js
+import Stripe from "stripe";
+import db from "../db.js";
+import { canManageBooking } from "./rescheduleService.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// ──────────────────────────────
+//  DEPOSITS & BALANCES
+// ──────────────────────────────
+//
+// A service in deposit mode takes a non-refundable deposit when it is booked
+// (the Cloud Functions checkout PaymentIntent). The balance is a second,
+// separate PaymentIntent the customer pays in-app once the appointment has
+// started, or the business marks it as paid in person. Separate intents are
+// used rather than manual capture because card authorisations lapse after
+// 7 days and bookings are often made weeks ahead.
+
+export const DEPOSIT_TYPES = ["none", "fixed", "percent"];
+
+/**
+ * Deposit due at booking for a price under a service's deposit settings
+ * @param {number} price - Booking price (£)
+ * @param {Object} deposit - { type, value }
+ * @returns {number|null} Deposit in £, or null when the full price is taken upfront
+ */
+export function calculateDeposit(price, { type = "none", value = 0 } = {}) {
+  const amount = Number(price) || 0;
+  let deposit = 0;
+  if (type === "fixed") deposit = Number(value) || 0;
+  if (type === "percent") deposit = amount * (Number(value) || 0) / 100;
+
+  deposit = Math.round(Math.min(Math.max(deposit, 0), amount) * 100) / 100;
+
+  // A deposit that covers the whole price is just a full payment
+  return deposit > 0 && deposit < amount ? deposit : null;
+}
+
+/**
+ * Share one payment across several bookings in proportion to their weights,
+ * to the penny. The last share takes the rounding so they always add up.
+ * @param {number} amount - Amount to share (£)
+ * @param {Array<number>} weights - One weight per booking (usually what each one charged)
+ * @returns {Array<number>} Shares in £, in the same order
+ */
+export function splitAmount(amount, weights) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let remaining = round(amount);
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return remaining;
+    const share = total > 0 ? round(amount * weight / total) : 0;
+    remaining = round(remaining - share);
+    return share;
+  });
+}
+
+/**
+ * Payment position of a booking, for customers and the business dashboard
+ * @param {Object} booking - Booking row
+ * @returns {Object} { paymentMode, totalAmount, depositAmount, amountPaid, balanceDue, balanceStatus }
+ */
+export function summariseBalance(booking) {
+  const totalAmount = Number(booking.total_amount || 0);
+  const depositAmount = Number(booking.deposit_amount || 0);
+  const balanceStatus = booking.balance_status || "none";
+
+  return {
+    paymentMode: booking.payment_mode || "full",
+    totalAmount,
+    depositAmount,
+    amountPaid: booking.amount_paid != null ? Number(booking.amount_paid) : totalAmount,
+    balanceDue: balanceStatus === "due" ? Math.round((totalAmount - depositAmount) * 100) / 100 : 0,
+    balanceStatus
+  };
+}
+
+/**
+ * Set a service's deposit mode
+ * @param {number} businessId - Business ID
+ * @param {number} serviceId - Service ID
+ * @param {Object} deposit - { type, value }
+ * @returns {Promise<Object>} { success, service } or { success: false, status, reason }
+ */
+export async function saveServiceDeposit(businessId, serviceId, { type = "none", value = 0 } = {}) {
+  if (!DEPOSIT_TYPES.includes(type)) {
+    return { success: false, status: 400, reason: `Deposit type must be one of ${DEPOSIT_TYPES.join(", ")}` };
+  }
+
+  const depositValue = type === "none" ? 0 : Number(value);
+  if (type !== "none" && (!Number.isFinite(depositValue) || depositValue <= 0)) {
+    return { success: false, status: 400, reason: "Deposit must be greater than 0" };
+  }
+  if (type === "percent" && depositValue >= 100) {
+    return { success: false, status: 400, reason: "A percentage deposit must be less than 100%" };
+  }
+
+  const { rows } = await db.query(
+    `UPDATE business_services
+     SET deposit_type = $3, deposit_value = $4, updated_at = NOW()
+     WHERE id = $2 AND business_id = $1
+     RETURNING id, name, price, deposit_type, deposit_value`,
+    [businessId, serviceId, type, depositValue]
+  );
+  if (rows.length === 0) {
+    return { success: false, status: 404, reason: "Service not found" };
+  }
+
+  const service = rows[0];
+  return {
+    success: true,
+    service: {
+      id: service.id,
+      name: service.name,
+      price: Number(service.price),
+      deposit: { type: service.deposit_type, value: Number(service.deposit_value) },
+      depositAmount: calculateDeposit(service.price, { type: service.deposit_type, value: service.deposit_value })
+    }
+  };
+}
+
+async function loadBooking(bookingId) {
+  const { rows } = await db.query(
+    `SELECT bk.*, b.name AS business_name
+     FROM bookings bk
+     JOIN businesses b ON b.id = bk.business_id
+     WHERE bk.id = $1`,
+    [bookingId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Balance owed on a booking
+ * @param {number} bookingId - Booking ID
+ * @param {Object} access - { token, user }
+ * @returns {Promise<Object>} { success, booking, balance } or { success: false, status, reason }
+ */
+export async function getBalance(bookingId, access) {
+  const booking = await loadBooking(bookingId);
+  if (!booking) return { success: false, status: 404, reason: "Booking not found" };
+  if (!canManageBooking(booking, access)) return { success: false, status: 403, reason: "Invalid or expired link" };
+
+  return {
+    success: true,
+    booking: {
+      id: booking.id,
+      businessName: booking.business_name,
+      service: booking.service,
+      startTime: booking.start_time,
+      status: booking.status
+    },
+    balance: summariseBalance(booking)
+  };
+}
+
+/**
+ * Start (or resume) the in-app balance payment for a booking
+ * @param {number} bookingId - Booking ID
+ * @param {Object} access - { token, user }
+ * @returns {Promise<Object>} { success, clientSecret, amount } or { success: false, status, reason }
+ */
+export async function createBalancePaymentIntent(bookingId, access) {
+  const booking = await loadBooking(bookingId);
+  if (!booking) return { success: false, status: 404, reason: "Booking not found" };
+  if (!canManageBooking(booking, access)) return { success: false, status: 403, reason: "Invalid or expired link" };
+
+  const { balanceDue, balanceStatus } = summariseBalance(booking);
+  if (balanceStatus !== "due" || balanceDue <= 0) {
+    return { success: false, status: 409, reason: "There is no balance to pay on this booking" };
+  }
+  if (booking.status === "cancelled") {
+    return { success: false, status: 409, reason: "This booking has been cancelled" };
+  }
+  if (new Date(booking.start_time) > new Date()) {
+    return { success: false, status: 409, reason: "The balance can be paid once your appointment has started" };
+  }
+
+  // Reuse an unfinished intent so a double tap cannot charge the balance twice
+  if (booking.balance_payment_intent) {
+    const existing = await stripe.paymentIntents.retrieve(booking.balance_payment_intent);
+    if (!["succeeded", "canceled"].includes(existing.status)) {
+      return { success: true, clientSecret: existing.client_secret, amount: balanceDue };
+    }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(balanceDue * 100),
+    currency: "gbp",
+    automatic_payment_methods: { enabled: true },
+    metadata: {
+      bookingId: String(booking.id),
+      businessId: String(booking.business_id),
+      paymentType: "balance"
+    }
+  });
+
+  await db.query(
+    "UPDATE bookings SET balance_payment_intent = $2, updated_at = NOW() WHERE id = $1",
+    [booking.id, paymentIntent.id]
+  );
+
+  return { success: true, clientSecret: paymentIntent.client_secret, amount: balanceDue };
+}
+
+/**
+ * Record a succeeded balance PaymentIntent. Safe to call from both the
+ * client confirmation and the Stripe webhook; only the first call updates.
+ * @param {Object|string} paymentIntent - PaymentIntent object or ID
+ * @returns {Promise<Object|null>} Updated booking, or null if nothing changed
+ */
+export async function recordBalancePayment(paymentIntent) {
+  const intent = typeof paymentIntent === "string"
+    ? await stripe.paymentIntents.retrieve(paymentIntent)
+    : paymentIntent;
+
+  if (intent.status !== "succeeded" || intent.metadata?.paymentType !== "balance") {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `UPDATE bookings
+     SET balance_status = 'paid',
+         amount_paid = COALESCE(amount_paid, deposit_amount) + $3,
+         balance_paid_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1 AND balance_payment_intent = $2 AND balance_status = 'due'
+     RETURNING *`,
+    [parseInt(intent.metadata.bookingId), intent.id, intent.amount_received / 100]
+  );
+
+  if (rows.length) console.log(`💷 Balance paid in-app for booking #${rows[0].id}`);
+  return rows[0] || null;
+}
+
+/**
+ * Business marks the balance as paid at the appointment
+ * @param {number} businessId - Business ID
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object>} { success, booking } or { success: false, status, reason }
+ */
+export async function markBalancePaidInPerson(businessId, bookingId) {
+  const booking = await loadBooking(bookingId);
+  if (!booking || String(booking.business_id) !== String(businessId)) {
+    return { success: false, status: 404, reason: "Booking not found" };
+  }
+  if (booking.balance_status !== "due") {
+    return { success: false, status: 409, reason: "There is no balance outstanding on this booking" };
+  }
+
+  // An in-app balance payment that is already through wins; an unfinished one is cancelled
+  if (booking.balance_payment_intent) {
+    const intent = await stripe.paymentIntents.retrieve(booking.balance_payment_intent);
+    if (intent.status === "succeeded") {
+      await recordBalancePayment(intent);
+      return { success: false, status: 409, reason: "The customer has already paid the balance in-app" };
+    }
+    if (intent.status !== "canceled") {
+      await stripe.paymentIntents.cancel(intent.id);
+    }
+  }
+
+  const { rows } = await db.query(
+    `UPDATE bookings
+     SET balance_status = 'paid_in_person',
+         amount_paid = COALESCE(amount_paid, deposit_amount) + (total_amount - deposit_amount),
+         balance_paid_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1 AND balance_status = 'due'
+     RETURNING *`,
+    [booking.id]
+  );
+  if (rows.length === 0) {
+    return { success: false, status: 409, reason: "There is no balance outstanding on this booking" };
+  }
+
+  console.log(`💷 Balance marked paid in person for booking #${booking.id}`);
+  return { success: true, booking: { ...rows[0], business_name: booking.business_name } };
+}
+
+/**
+ * Tell the customer and the business the balance has been settled
+ * @param {Object} booking - Updated booking
+ * @returns {Promise<Object>} { customer, business } notification rows
+ */
+export async function notifyBalancePaid(booking) {
+  const balance = summariseBalance({ ...booking, balance_status: "due" }).balanceDue;
+  const how = booking.balance_status === "paid_in_person" ? "in person" : "in the app";
+
+  const { rows: customerRows } = await db.query(
+    `INSERT INTO notifications (customer_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'success', 'bookings') RETURNING *`,
+    [
+      booking.customer_id,
+      "Balance Paid",
+      `Thanks! Your £${balance.toFixed(2)} balance for ${booking.service} was paid ${how}.`
+    ]
+  );
+
+  const { rows: businessRows } = await db.query(
+    `INSERT INTO notifications (business_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'success', 'bookings') RETURNING *`,
+    [
+      booking.business_id,
+      "Balance Paid",
+      `Booking #${booking.id} (${booking.service}): £${balance.toFixed(2)} balance paid ${how}.`
+    ]
+  );
+
+  return { customer: customerRows[0], business: businessRows[0] };
+}
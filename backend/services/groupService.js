@@ -0,0 +1,793 @@
+// backend/services/groupService.js
+import Stripe from "stripe";
+import { createRequire } from "module";
+import db from "../db.js";
+import { v4 as uuidv4 } from "uuid";
+import {
+  getAvailability,
+  checkSlotAvailability,
+  withBusinessScheduleLock,
+  timeToMinutes
+} from "./availabilityService.js";
+import { HOLD_MINUTES, PAYMENT_HOLD_MINUTES, BOOKINGS_PAUSED, toLocalTimestamp } from "./slotHoldService.js";
+import { splitAmount } from "./depositService.js";
+import { canManageBooking, issueManageLink } from "./rescheduleService.js";
+import { evaluateBookingCancellation } from "./cancellationPolicyService.js";
+import { processBookingCancellation } from "./redemptionService.js";
+import { hasPayoutsEnabled } from "./stripeConnectService.js";
+import { refundBooking } from "./refundService.js";
+import { scheduleBookingReminder } from "./bookingMessageService.js";
+
+// Hold tokens are signed like booking links (utils.js), for "group-<id>"
+const require = createRequire(import.meta.url);
+const { generateSecureToken, validateSecureToken } = require("../../utils.js");
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// ──────────────────────────────
+//  GROUP & PARTY BOOKINGS
+// ──────────────────────────────
+//
+// The organiser picks a start time and a service (and optionally a stylist)
+// for each attendee. Attendees are held one slot hold each, either side by
+// side ("parallel", so each needs a different chair) or one after another
+// ("sequence"). Holds made earlier in the same transaction count against
+// availability, which is what spreads a parallel party across stylists.
+//
+// Each attendee becomes their own booking under the organiser's account, so
+// one can cancel (and be refunded under the policy) without touching the
+// others. The organiser either pays for everyone in one payment, or pays for
+// their own place and every other attendee pays their share by link before
+// a deadline. Group bookings are paid in full: deposit mode does not apply.
+
+export const MAX_GROUP_SIZE = 12;
+const SCHEDULING_MODES = ["parallel", "sequence"];
+const PAYMENT_MODES = ["organiser", "split"];
+
+// In a sequence the next attendee starts within this long of the previous one finishing
+const SEQUENCE_GAP_MINUTES = 30;
+
+// The organiser's hold token (for releasing the holds at checkout) lasts this long
+const HOLD_TOKEN_HOURS = 24;
+
+// Split payment: attendees have this long to pay, and must have paid this long before the appointment
+const SHARE_PAYMENT_HOURS = 48;
+const SHARE_CUTOFF_HOURS = 24;
+
+async function loadGroup(client, groupId, { forUpdate = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT g.*, b.name AS business_name,
+            ob.manage_token, ob.manage_token_expires_at
+     FROM booking_groups g
+     JOIN businesses b ON b.id = g.business_id
+     LEFT JOIN bookings ob ON ob.group_id = g.id AND ob.attendee_position = 0
+     WHERE g.id = $1
+     ${forUpdate ? "FOR UPDATE OF g" : ""}`,
+    [groupId]
+  );
+  return rows[0] || null;
+}
+
+// The organiser manages the group while signed in, or with their own booking's manage link
+function canManageGroup(group, access) {
+  return canManageBooking(
+    {
+      customer_id: group.organiser_customer_id,
+      manage_token: group.manage_token,
+      manage_token_expires_at: group.manage_token_expires_at
+    },
+    access
+  );
+}
+
+// Group IDs are sequential, so releasing a hold needs the organiser: signed in,
+// the hold token from createGroupHold (guests), or their booking's manage link
+function canReleaseGroup(group, { token, user } = {}) {
+  if (user?.id && String(user.id) === String(group.organiser_customer_id)) return true;
+  if (token && validateSecureToken(`group-${group.id}`, token)) return true;
+  return canManageGroup(group, { token });
+}
+
+// What the organiser pays at checkout: everyone, or only their own place (attendee 0)
+function organiserAmountDue(group, holds) {
+  const prices = holds.map(hold => Number(hold.price));
+  const total = prices.reduce((sum, price) => sum + price, 0);
+  return Math.round((group.payment_mode === "split" ? prices[0] : total) * 100) / 100;
+}
+
+/**
+ * First free slot for the next attendee in a sequence, no later than
+ * SEQUENCE_GAP_MINUTES after the previous attendee finishes
+ */
+async function nextSequenceStart(client, businessId, attendee, previousEnd) {
+  const date = previousEnd.substring(0, 10);
+  const earliest = timeToMinutes(previousEnd.substring(11, 16));
+
+  const availability = await getAvailability(businessId, attendee.serviceId, date, {
+    client,
+    staffId: attendee.staffId
+  });
+  const slot = availability?.slots.find(s =>
+    s.available && timeToMinutes(s.time) >= earliest && timeToMinutes(s.time) <= earliest + SEQUENCE_GAP_MINUTES
+  );
+  return slot ? slot.startTime : null;
+}
+
+/**
+ * Hold a slot for every attendee while the organiser checks out
+ * @param {Object} params - { businessId, startTime, scheduling, paymentMode, name, customerId, replaceGroupId,
+ *   attendees: [{ name, email, serviceId, staffId }] } (attendee 0 is the organiser's own place)
+ * @returns {Promise<Object>} { success, group, holds, holdToken, amountDue, total } or { success: false, status, reason }
+ *   holdToken lets the organiser release the holds without signing in (releaseGroupHoldFor)
+ */
+export async function createGroupHold({
+  businessId,
+  startTime,
+  scheduling = "parallel",
+  paymentMode = "organiser",
+  name = null,
+  customerId = null,
+  attendees = [],
+  replaceGroupId = null
+}) {
+  if (!SCHEDULING_MODES.includes(scheduling)) {
+    return { success: false, status: 400, reason: `scheduling must be one of ${SCHEDULING_MODES.join(", ")}` };
+  }
+  if (!PAYMENT_MODES.includes(paymentMode)) {
+    return { success: false, status: 400, reason: `paymentMode must be one of ${PAYMENT_MODES.join(", ")}` };
+  }
+  if (!Array.isArray(attendees) || attendees.length < 2 || attendees.length > MAX_GROUP_SIZE) {
+    return { success: false, status: 400, reason: `A group booking is 2 to ${MAX_GROUP_SIZE} people` };
+  }
+  if (attendees.some(attendee => !attendee?.serviceId || !String(attendee.name || "").trim())) {
+    return { success: false, status: 400, reason: "Every attendee needs a name and a service" };
+  }
+  if (!(await hasPayoutsEnabled(businessId))) {
+    return { success: false, status: 409, reason: BOOKINGS_PAUSED };
+  }
+
+  // Picking a different time gives up the organiser's previous group hold first.
+  // Only their own: anyone else's (or a guest's, which can't be told apart) is left to expire.
+  if (replaceGroupId && customerId) {
+    const previous = await loadGroup(db, replaceGroupId);
+    if (previous && String(previous.organiser_customer_id) === String(customerId)) {
+      await releaseGroupHold(replaceGroupId, "reselected");
+    }
+  }
+
+  return withBusinessScheduleLock(businessId, async (client) => {
+    // Either every attendee is held or none are
+    await client.query("SAVEPOINT group_hold");
+
+    const { rows: groupRows } = await client.query(
+      `INSERT INTO booking_groups (business_id, organiser_customer_id, name, scheduling, payment_mode)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [businessId, customerId, name, scheduling, paymentMode]
+    );
+    const group = groupRows[0];
+
+    const holds = [];
+    let previousEnd = null;
+    for (const [position, attendee] of attendees.entries()) {
+      const staffId = attendee.staffId && attendee.staffId !== "any" ? parseInt(attendee.staffId) : null;
+      const start = scheduling === "sequence" && previousEnd
+        ? await nextSequenceStart(client, businessId, { serviceId: parseInt(attendee.serviceId), staffId }, previousEnd)
+        : startTime;
+
+      const check = start
+        ? await checkSlotAvailability(businessId, parseInt(attendee.serviceId), start, { client, staffId })
+        : { available: false, reason: "No time free straight after the previous person" };
+      if (!check.available) {
+        await client.query("ROLLBACK TO SAVEPOINT group_hold");
+        return { success: false, status: 409, reason: `${attendee.name.trim()}: ${check.reason}` };
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO slot_holds (
+          id, business_id, service_id, staff_id, customer_id, start_time, end_time, price,
+          group_id, attendee_position, attendee_name, attendee_email, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW() + make_interval(mins => $13))
+        RETURNING *`,
+        [
+          uuidv4(), businessId, parseInt(attendee.serviceId), check.staffId, customerId,
+          check.slot.startTime, check.slot.endTime, check.price,
+          group.id, position, attendee.name.trim(), attendee.email || null, HOLD_MINUTES
+        ]
+      );
+      holds.push(rows[0]);
+      previousEnd = check.slot.endTime;
+    }
+
+    console.log(`👯 Group hold ${group.id} created for business ${businessId}: ${holds.length} people (${scheduling})`);
+    return {
+      success: true,
+      group,
+      holds,
+      holdToken: generateSecureToken(`group-${group.id}`, HOLD_TOKEN_HOURS),
+      amountDue: organiserAmountDue(group, holds),
+      total: holds.reduce((sum, hold) => sum + Number(hold.price), 0)
+    };
+  });
+}
+
+/**
+ * Extend every attendee's hold once the organiser's payment intent exists
+ * @param {number} groupId - Group ID
+ * @param {Object} params - { paymentIntentId }
+ * @returns {Promise<Object|null>} { group, holds, amountDue, expiresAt }, or null if any hold has lapsed
+ */
+export async function extendGroupHold(groupId, { paymentIntentId = null } = {}) {
+  const group = await loadGroup(db, groupId);
+  if (!group || group.status !== "held") return null;
+
+  const { rows: holds } = await db.query(
+    `UPDATE slot_holds
+     SET expires_at = GREATEST(expires_at, NOW() + make_interval(mins => $3)),
+         payment_intent_id = COALESCE($2, payment_intent_id),
+         updated_at = NOW()
+     WHERE group_id = $1 AND status = 'active' AND expires_at > NOW()
+     RETURNING *`,
+    [groupId, paymentIntentId, PAYMENT_HOLD_MINUTES]
+  );
+
+  const { rows: counted } = await db.query("SELECT COUNT(*) AS total FROM slot_holds WHERE group_id = $1", [groupId]);
+  if (holds.length === 0 || holds.length !== Number(counted[0].total)) return null;
+
+  holds.sort((a, b) => a.attendee_position - b.attendee_position);
+  return {
+    group,
+    holds,
+    amountDue: organiserAmountDue(group, holds),
+    expiresAt: holds.reduce((earliest, hold) => (hold.expires_at < earliest ? hold.expires_at : earliest), holds[0].expires_at)
+  };
+}
+
+/**
+ * What the organiser's checkout payment has to cover, whatever state the group
+ * is in (finalizeBooking checks the payment against it before converting)
+ * @param {number} groupId - Group ID
+ * @returns {Promise<number|null>} £ due from the organiser, or null if there is no such group
+ */
+export async function getGroupAmountDue(groupId) {
+  const group = await loadGroup(db, groupId);
+  if (!group) return null;
+  const { rows: holds } = await db.query(
+    "SELECT price FROM slot_holds WHERE group_id = $1 ORDER BY attendee_position",
+    [groupId]
+  );
+  return holds.length ? organiserAmountDue(group, holds) : null;
+}
+
+/**
+ * Turn the group's holds into one booking per attendee once the organiser has paid.
+ * With split payment only the organiser's own booking is confirmed; the others
+ * wait for their share (status awaiting_payment) but keep their chair.
+ * @param {number} groupId - Group ID
+ * @param {Object} params - { customerId, customerEmail, paymentIntentId, amountPaid, stripeCustomerId, paymentMethodId }
+ * @returns {Promise<Object>} { success, group, bookings } or { success: false, reason }
+ */
+export async function convertGroupHold(groupId, {
+  customerId = null,
+  customerEmail = null,
+  paymentIntentId = null,
+  amountPaid = null,
+  stripeCustomerId = null,
+  paymentMethodId = null
+} = {}) {
+  const existing = await loadGroup(db, groupId);
+  if (!existing) return { success: false, reason: "Group not found" };
+
+  return withBusinessScheduleLock(existing.business_id, async (client) => {
+    const group = await loadGroup(client, groupId, { forUpdate: true });
+
+    // Retried finalise calls return the bookings that were already made, filling in
+    // anything the Stripe webhook could not know when it converted the group first
+    if (group.status === "confirmed") {
+      await client.query(
+        `UPDATE bookings
+         SET customer_id = COALESCE(customer_id, $2), customer_email = COALESCE(customer_email, $3)
+         WHERE group_id = $1`,
+        [groupId, customerId, customerEmail]
+      );
+      await client.query(
+        `UPDATE booking_groups
+         SET organiser_customer_id = COALESCE(organiser_customer_id, $2), organiser_email = COALESCE(organiser_email, $3)
+         WHERE id = $1`,
+        [groupId, customerId, customerEmail]
+      );
+      const { rows } = await client.query(
+        "SELECT * FROM bookings WHERE group_id = $1 ORDER BY attendee_position",
+        [groupId]
+      );
+      return { success: true, group, bookings: rows, alreadyConverted: true };
+    }
+    if (group.status !== "held") {
+      return { success: false, reason: "This group booking has been released" };
+    }
+
+    const { rows: holds } = await client.query(
+      `SELECT *, expires_at > NOW() AS live FROM slot_holds
+       WHERE group_id = $1 ORDER BY attendee_position FOR UPDATE`,
+      [groupId]
+    );
+
+    // The organiser's payment is shared across the places it covered
+    const split = group.payment_mode === "split";
+    const covered = split ? [holds[0]] : holds;
+    const paidShares = splitAmount(
+      amountPaid ?? organiserAmountDue(group, holds),
+      covered.map(hold => Number(hold.price))
+    );
+    const shareDueBy = new Date(Math.min(
+      Date.now() + SHARE_PAYMENT_HOURS * 3600000,
+      new Date(holds[0].start_time).getTime() - SHARE_CUTOFF_HOURS * 3600000
+    ));
+
+    await client.query("SAVEPOINT group_convert");
+
+    const bookings = [];
+    for (const [index, hold] of holds.entries()) {
+      // A hold that lapsed while paying still goes through if nobody else has taken the chair
+      if (hold.status !== "active" || !hold.live) {
+        const recheck = await checkSlotAvailability(hold.business_id, hold.service_id, toLocalTimestamp(hold.start_time), {
+          client,
+          staffId: hold.staff_id,
+          ignoreHoldId: hold.id
+        });
+        if (!recheck.available) {
+          await client.query("ROLLBACK TO SAVEPOINT group_convert");
+          return { success: false, reason: `${hold.attendee_name}'s slot has been taken since the hold expired` };
+        }
+      }
+
+      const paid = index < covered.length;
+      const { rows } = await client.query(
+        `INSERT INTO bookings (
+          customer_id, business_id, service_id, staff_id, service, date, time, price, total_amount,
+          start_time, end_time, customer_email, status, stripe_payment_intent, cancellation_policy,
+          payment_mode, deposit_amount, amount_paid, balance_status, deposit_refundable,
+          stripe_customer_id, payment_method_id, group_id, attendee_position, attendee_name, payment_due_by
+        ) VALUES ($1, $2, $3, $4, (SELECT name FROM business_services WHERE id = $3),
+          $5::timestamp::date, $5::timestamp::time, $6, $6, $5, $7, $8, $9, $10,
+          (SELECT cancellation_policy FROM businesses WHERE id = $2),
+          'full', 0, $11, 'none', true, $12, $13, $14, $15, $16, $17)
+        RETURNING *`,
+        [
+          customerId || hold.customer_id, hold.business_id, hold.service_id, hold.staff_id,
+          toLocalTimestamp(hold.start_time), hold.price, toLocalTimestamp(hold.end_time), hold.attendee_email || customerEmail,
+          paid ? "confirmed" : "awaiting_payment", paid ? paymentIntentId || hold.payment_intent_id : null,
+          paid ? paidShares[index] : 0, paid ? stripeCustomerId : null, paid ? paymentMethodId : null,
+          group.id, hold.attendee_position, hold.attendee_name, paid ? null : shareDueBy
+        ]
+      );
+      bookings.push(rows[0]);
+
+      await client.query(
+        `UPDATE slot_holds
+         SET status = 'converted', booking_id = $2, payment_intent_id = COALESCE($3, payment_intent_id), updated_at = NOW()
+         WHERE id = $1`,
+        [hold.id, rows[0].id, paymentIntentId]
+      );
+    }
+
+    const { rows: updated } = await client.query(
+      `UPDATE booking_groups
+       SET status = 'confirmed', organiser_customer_id = COALESCE($2, organiser_customer_id),
+           organiser_email = $3, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [group.id, customerId, customerEmail]
+    );
+
+    console.log(`✅ Group ${group.id} converted to bookings ${bookings.map(booking => `#${booking.id}`).join(", ")}`);
+    return { success: true, group: { ...updated[0], business_name: group.business_name }, bookings };
+  });
+}
+
+/**
+ * Payment links for attendees who still owe their share (split payment)
+ * @param {Array} bookings - Group bookings
+ * @param {string} baseUrl - Frontend base URL
+ * @returns {Promise<Array>} [{ bookingId, attendeeName, amount, dueBy, url }]
+ */
+export async function issueShareLinks(bookings, baseUrl = process.env.FRONTEND_URL || "https://blkpages.com") {
+  const links = [];
+  for (const booking of bookings.filter(b => b.status === "awaiting_payment")) {
+    const link = await issueManageLink(booking.id, baseUrl);
+    links.push({
+      bookingId: booking.id,
+      attendeeName: booking.attendee_name,
+      amount: Number(booking.total_amount),
+      dueBy: booking.payment_due_by,
+      url: `${baseUrl}/payment.html?group=${booking.group_id}&share=${booking.id}&token=${link.token}`
+    });
+  }
+  return links;
+}
+
+/**
+ * Release every active hold in a group (abandoned checkout, failed payment, new time)
+ * @param {number} groupId - Group ID
+ * @param {string} reason - timeout, abandoned, payment_failed, reselected
+ * @returns {Promise<boolean>} Whether anything was released
+ */
+export async function releaseGroupHold(groupId, reason = "abandoned") {
+  const { rowCount } = await db.query(
+    `UPDATE slot_holds
+     SET status = 'released', release_reason = $2, updated_at = NOW()
+     WHERE group_id = $1 AND status = 'active'`,
+    [groupId, reason]
+  );
+  await db.query(
+    "UPDATE booking_groups SET status = 'released', updated_at = NOW() WHERE id = $1 AND status = 'held'",
+    [groupId]
+  );
+  if (rowCount) console.log(`🔓 Group hold ${groupId} released (${reason})`);
+  return rowCount > 0;
+}
+
+/**
+ * Release a group's holds on behalf of its organiser (checkout abandoned or left)
+ * @param {number} groupId - Group ID
+ * @param {Object} access - { token, user }: the organiser, their hold token or manage link token
+ * @param {string} reason - timeout, abandoned, payment_failed, reselected
+ * @returns {Promise<Object>} { success, released } or { success: false, status, reason }
+ */
+export async function releaseGroupHoldFor(groupId, access, reason = "abandoned") {
+  const group = await loadGroup(db, groupId);
+  if (!group) return { success: false, status: 404, reason: "Group not found" };
+  if (!canReleaseGroup(group, access)) return { success: false, status: 403, reason: "Invalid or expired link" };
+
+  return { success: true, released: await releaseGroupHold(group.id, reason) };
+}
+
+/**
+ * Group with every attendee's booking and status
+ * @param {number} groupId - Group ID
+ * @param {Object} access - { token, user } (the organiser)
+ * @returns {Promise<Object>} { success, group, attendees } or { success: false, status, reason }
+ */
+export async function getGroup(groupId, access) {
+  const group = await loadGroup(db, groupId);
+  if (!group) return { success: false, status: 404, reason: "Group not found" };
+  if (!canManageGroup(group, access)) return { success: false, status: 403, reason: "Invalid or expired link" };
+
+  const { rows } = await db.query(
+    `SELECT id, attendee_position, attendee_name, service, staff_id, start_time, end_time, status,
+            total_amount, amount_paid, payment_due_by
+     FROM bookings WHERE group_id = $1 ORDER BY attendee_position`,
+    [group.id]
+  );
+
+  return {
+    success: true,
+    group: {
+      id: group.id,
+      businessId: group.business_id,
+      businessName: group.business_name,
+      name: group.name,
+      scheduling: group.scheduling,
+      paymentMode: group.payment_mode,
+      status: group.status
+    },
+    attendees: rows.map(row => ({
+      bookingId: row.id,
+      position: row.attendee_position,
+      name: row.attendee_name,
+      service: row.service,
+      staffId: row.staff_id,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      status: row.status,
+      price: Number(row.total_amount),
+      amountPaid: Number(row.amount_paid || 0),
+      paymentDueBy: row.payment_due_by
+    }))
+  };
+}
+
+// ──────────────────────────────
+//  SPLIT PAYMENT
+// ──────────────────────────────
+
+async function loadAttendeeBooking(bookingId) {
+  const { rows } = await db.query(
+    `SELECT bk.*, b.name AS business_name, g.organiser_customer_id, g.name AS group_name
+     FROM bookings bk
+     JOIN businesses b ON b.id = bk.business_id
+     JOIN booking_groups g ON g.id = bk.group_id
+     WHERE bk.id = $1`,
+    [bookingId]
+  );
+  return rows[0] || null;
+}
+
+// A place given up before its share was paid must not be charged afterwards
+async function cancelOpenShareIntent(booking) {
+  if (!booking.share_payment_intent) return;
+  const intent = await stripe.paymentIntents.retrieve(booking.share_payment_intent);
+  if (!["succeeded", "canceled"].includes(intent.status)) {
+    await stripe.paymentIntents.cancel(intent.id);
+  }
+}
+
+/**
+ * An attendee's share: what they owe and by when
+ * @param {number} bookingId - The attendee's booking
+ * @param {Object} access - { token, user } (the share link)
+ * @returns {Promise<Object>} { success, booking, share } or { success: false, status, reason }
+ */
+export async function getShare(bookingId, access) {
+  const booking = await loadAttendeeBooking(bookingId);
+  if (!booking) return { success: false, status: 404, reason: "Booking not found" };
+  if (!canManageBooking(booking, access)) return { success: false, status: 403, reason: "Invalid or expired link" };
+
+  return {
+    success: true,
+    booking: {
+      id: booking.id,
+      businessName: booking.business_name,
+      groupName: booking.group_name,
+      attendeeName: booking.attendee_name,
+      service: booking.service,
+      startTime: booking.start_time,
+      status: booking.status
+    },
+    share: {
+      amountDue: booking.status === "awaiting_payment" ? Number(booking.total_amount) : 0,
+      dueBy: booking.payment_due_by,
+      paid: booking.status !== "awaiting_payment" && booking.status !== "cancelled"
+    }
+  };
+}
+
+/**
+ * Start (or resume) an attendee's share payment
+ * @param {number} bookingId - The attendee's booking
+ * @param {Object} access - { token, user }
+ * @returns {Promise<Object>} { success, clientSecret, amount } or { success: false, status, reason }
+ */
+export async function createSharePaymentIntent(bookingId, access) {
+  const booking = await loadAttendeeBooking(bookingId);
+  if (!booking) return { success: false, status: 404, reason: "Booking not found" };
+  if (!canManageBooking(booking, access)) return { success: false, status: 403, reason: "Invalid or expired link" };
+  if (booking.status !== "awaiting_payment") {
+    return { success: false, status: 409, reason: "There is nothing left to pay for this place" };
+  }
+  if (new Date(booking.payment_due_by) < new Date()) {
+    return { success: false, status: 409, reason: "The deadline to pay for this place has passed" };
+  }
+
+  const amount = Number(booking.total_amount);
+
+  // Reuse an unfinished intent so a double tap cannot charge the share twice
+  if (booking.share_payment_intent) {
+    const existing = await stripe.paymentIntents.retrieve(booking.share_payment_intent);
+    if (!["succeeded", "canceled"].includes(existing.status)) {
+      return { success: true, clientSecret: existing.client_secret, amount };
+    }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(amount * 100),
+    currency: "gbp",
+    automatic_payment_methods: { enabled: true },
+    description: `${booking.attendee_name}'s place in group booking #${booking.group_id}`,
+    metadata: {
+      bookingId: String(booking.id),
+      businessId: String(booking.business_id),
+      groupId: String(booking.group_id),
+      paymentType: "group_share"
+    }
+  });
+
+  await db.query(
+    "UPDATE bookings SET share_payment_intent = $2, updated_at = NOW() WHERE id = $1",
+    [booking.id, paymentIntent.id]
+  );
+
+  return { success: true, clientSecret: paymentIntent.client_secret, amount };
+}
+
+/**
+ * Record a succeeded share PaymentIntent. Safe to call from both the client
+ * confirmation and the Stripe webhook; only the first call updates.
+ * @param {Object|string} paymentIntent - PaymentIntent object or ID
+ * @returns {Promise<Object|null>} Confirmed booking, or null if nothing changed
+ */
+export async function recordSharePayment(paymentIntent) {
+  const intent = typeof paymentIntent === "string"
+    ? await stripe.paymentIntents.retrieve(paymentIntent)
+    : paymentIntent;
+
+  if (intent.status !== "succeeded" || intent.metadata?.paymentType !== "group_share") {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `UPDATE bookings
+     SET status = 'confirmed', amount_paid = $3, stripe_payment_intent = $2,
+         payment_due_by = NULL, updated_at = NOW()
+     WHERE id = $1 AND share_payment_intent = $2 AND status = 'awaiting_payment'
+     RETURNING *`,
+    [parseInt(intent.metadata.bookingId), intent.id, intent.amount_received / 100]
+  );
+
+  if (rows.length === 0) {
+    // Paid just as the place was released: give the money back rather than keep it for nothing
+    const { rows: released } = await db.query(
+      "SELECT id FROM bookings WHERE id = $1 AND share_payment_intent = $2 AND status = 'cancelled'",
+      [parseInt(intent.metadata.bookingId), intent.id]
+    );
+    if (released.length) {
+      await stripe.refunds.create(
+        { payment_intent: intent.id, reason: "requested_by_customer" },
+        { idempotencyKey: `group-share-released-${intent.id}` }
+      );
+      console.log(`↩️ Late group share for booking #${released[0].id} refunded`);
+    }
+    return null;
+  }
+
+  console.log(`💷 Group share paid for booking #${rows[0].id} (${rows[0].attendee_name})`);
+  return rows[0];
+}
+
+/**
+ * Let the organiser know an attendee has paid for their place
+ * @param {Object} booking - Attendee booking from recordSharePayment
+ * @returns {Promise<Object>} Notification row
+ */
+export async function notifySharePaid(booking) {
+  const { rows } = await db.query(
+    `INSERT INTO notifications (customer_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'success', 'bookings') RETURNING *`,
+    [
+      booking.customer_id,
+      "Group Place Paid",
+      `${booking.attendee_name} has paid £${Number(booking.amount_paid).toFixed(2)} for their ${booking.service}.`
+    ]
+  );
+  return rows[0];
+}
+
+/**
+ * Release places whose share was not paid in time (cron)
+ * @returns {Promise<Array>} [{ booking, notification }] - notification goes to the organiser
+ */
+export async function releaseUnpaidShares() {
+  const { rows } = await db.query(
+    `UPDATE bookings
+     SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE status = 'awaiting_payment' AND payment_due_by <= NOW()
+     RETURNING *`
+  );
+
+  const released = [];
+  for (const booking of rows) {
+    try {
+      await cancelOpenShareIntent(booking);
+    } catch (error) {
+      console.error(`❌ Could not cancel share payment for booking #${booking.id}:`, error.message);
+    }
+    const { rows: notification } = await db.query(
+      `INSERT INTO notifications (customer_id, title, message, type, target)
+       VALUES ($1, $2, $3, 'warning', 'bookings') RETURNING *`,
+      [
+        booking.customer_id,
+        "Group Place Released",
+        `${booking.attendee_name}'s ${booking.service} on ${new Date(booking.start_time).toLocaleDateString("en-GB")} was released because it was not paid for in time. The rest of your group is unaffected.`
+      ]
+    );
+    released.push({ booking, notification: notification[0] });
+  }
+  return released;
+}
+
+// ──────────────────────────────
+//  CANCELLING ONE ATTENDEE
+// ──────────────────────────────
+
+/**
+ * Cancel one attendee's place. The rest of the group keeps theirs. A paid
+ * place is refunded under the cancellation policy from the payment it came
+ * out of (the organiser's, or the attendee's own share).
+ * @param {number} groupId - Group ID
+ * @param {number} bookingId - The attendee's booking
+ * @param {Object} access - { token, user }: the organiser, or the attendee's own link
+ * @returns {Promise<Object>} { success, booking, refundAmount } or { success: false, status, reason }
+ */
+export async function cancelAttendee(groupId, bookingId, access) {
+  const group = await loadGroup(db, groupId);
+  const booking = await loadAttendeeBooking(bookingId);
+  if (!group || !booking || booking.group_id !== group.id) {
+    return { success: false, status: 404, reason: "Booking not found" };
+  }
+  if (!canManageGroup(group, access) && !canManageBooking(booking, access)) {
+    return { success: false, status: 403, reason: "Invalid or expired link" };
+  }
+  if (!["confirmed", "awaiting_payment"].includes(booking.status)) {
+    return { success: false, status: 409, reason: `A ${booking.status} booking cannot be cancelled` };
+  }
+
+  let refundAmount = 0;
+  if (booking.status === "confirmed") {
+    const evaluation = await evaluateBookingCancellation(booking.id);
+    if (!evaluation.canCancel) {
+      return { success: false, status: 409, reason: evaluation.reason };
+    }
+    refundAmount = evaluation.refundAmount;
+  }
+
+  const { rows } = await db.query(
+    `UPDATE bookings
+     SET status = 'cancelled', cancelled_at = NOW(), payment_due_by = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = $2
+     RETURNING *`,
+    [booking.id, booking.status]
+  );
+  if (rows.length === 0) {
+    return { success: false, status: 409, reason: "Booking has already been updated" };
+  }
+
+  if (booking.status === "awaiting_payment") {
+    await cancelOpenShareIntent(booking);
+  }
+
+  // Only this place is refunded, so the organiser's payment for the others is untouched.
+  // A failed refund stays in the refund ledger for support to retry; the place is already given up.
+  if (refundAmount > 0 && booking.stripe_payment_intent) {
+    const refund = await refundBooking(booking.id, {
+      amount: refundAmount,
+      reason: "Group place cancelled",
+      actor: { type: "customer", id: access.user?.id ?? null },
+      source: "group_cancel"
+    });
+    if (!refund.success) {
+      console.error(`❌ Refund failed for group booking #${booking.id}:`, refund.reason);
+    }
+  }
+
+  await processBookingCancellation(booking.id);
+
+  console.log(`🚪 ${booking.attendee_name} left group ${group.id} (booking #${booking.id}, refund £${refundAmount.toFixed(2)})`);
+  return { success: true, booking: rows[0], refundAmount };
+}
+
+/**
+ * Tell the organiser their group is booked, with who still has to pay
+ * @param {Object} group - Confirmed group
+ * @param {Array} bookings - Attendee bookings
+ * @returns {Promise<Object>} { customer, business } notification rows
+ */
+export async function notifyGroupConfirmed(group, bookings) {
+  const first = bookings[0];
+  const when = new Date(first.start_time).toLocaleString("en-GB", {
+    weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit"
+  });
+  const awaiting = bookings.filter(booking => booking.status === "awaiting_payment");
+  const label = group.name || `Group of ${bookings.length}`;
+
+  const { rows: customerRows } = await db.query(
+    `INSERT INTO notifications (customer_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'success', 'bookings') RETURNING *`,
+    [
+      group.organiser_customer_id,
+      "Group Booking Confirmed",
+      `${label}: ${bookings.length} people from ${when}.` +
+        (awaiting.length ? ` ${awaiting.map(b => b.attendee_name).join(", ")} still need to pay for their place.` : "")
+    ]
+  );
+  const { rows: businessRows } = await db.query(
+    `INSERT INTO notifications (business_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'info', 'bookings') RETURNING *`,
+    [group.business_id, "New Group Booking", `${label}: ${bookings.length} people from ${when}.`]
+  );
+
+  // The organiser's reminder covers the group
+  await scheduleBookingReminder(first.id).catch(error =>
+    console.error(`❌ Reminder for group #${group.id} not queued:`, error.message));
+
+  return { customer: customerRows[0], business: businessRows[0] };
+}
@@ -0,0 +1,247 @@
+// backend/services/jobQueueService.js
+import { createRequire } from "module";
+import db from "../db.js";
+
+// The same key format the notification and communication systems use (idempotency-key.js)
+const require = createRequire(import.meta.url);
+const { generateIdempotencyKey } = require("../../idempotency-key.js");
+
+export { generateIdempotencyKey };
+
+// ──────────────────────────────
+//  JOB QUEUE
+// ──────────────────────────────
+//
+// Work scheduled for later is a row in `jobs` rather than a setTimeout, so a
+// restart loses nothing. The runner (cronJobs.js, every minute) claims due
+// jobs with SKIP LOCKED, so two servers never run the same job. A job that
+// throws is retried with exponential backoff; once it has used max_attempts
+// it is dead-lettered ('dead') and shows up in the admin view until retried
+// or cancelled. Handlers are registered per job type by the module that owns
+// the work; a runner only claims types it has a handler for, so a job is
+// never dead-lettered just because it was picked up by the wrong process.
+
+export const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Retry delays double from BASE up to MAX: 30s, 1m, 2m, 4m, ...
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+
+// A job still 'running' after this long belonged to a worker that died
+const STALE_RUNNING_MINUTES = 10;
+
+const BATCH_SIZE = 50;
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of one type. The handler receives the
+ * job's payload and the job row; throwing schedules a retry.
+ * @param {string} type - Job type, e.g. 'booking_reminder'
+ * @param {Function} handler - async (payload, job) => result
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Queue a job. With an idempotency key, a job already queued (or run) under
+ * that key is returned instead of adding a second one.
+ * @param {string} type - Job type
+ * @param {Object} payload - JSON data for the handler
+ * @param {Object} [options] - { runAt, idempotencyKey, maxAttempts, client }
+ * @returns {Promise<Object>} { job, duplicate }
+ */
+export async function enqueueJob(type, payload = {}, {
+  runAt = new Date(),
+  idempotencyKey = null,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  client = db
+} = {}) {
+  const { rows } = await client.query(
+    `INSERT INTO jobs (type, payload, idempotency_key, run_at, max_attempts)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (idempotency_key) WHERE idempotency_key IS NOT NULL AND status <> 'cancelled' DO NOTHING
+     RETURNING *`,
+    [type, JSON.stringify(payload), idempotencyKey, runAt, maxAttempts]
+  );
+  if (rows.length) {
+    return { job: rows[0], duplicate: false };
+  }
+
+  const { rows: existing } = await client.query(
+    "SELECT * FROM jobs WHERE idempotency_key = $1 AND status <> 'cancelled'",
+    [idempotencyKey]
+  );
+  return { job: existing[0], duplicate: true };
+}
+
+/**
+ * Cancel jobs of one type that have not run yet, e.g. the reminder for a cancelled booking
+ * @param {string} type - Job type
+ * @param {Object} match - Payload fields the jobs must have, e.g. { bookingId: 42 }
+ * @param {Object} [client] - pg client
+ * @returns {Promise<number>} Jobs cancelled
+ */
+export async function cancelJobs(type, match, client = db) {
+  const { rowCount } = await client.query(
+    `UPDATE jobs SET status = 'cancelled', updated_at = NOW()
+     WHERE type = $1 AND payload @> $2 AND status = 'pending'`,
+    [type, JSON.stringify(match)]
+  );
+  return rowCount;
+}
+
+function backoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Run every due job once. Called every minute from the cron jobs.
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Object>} { completed, retried, dead, recovered }
+ */
+export async function runDueJobs({ limit = BATCH_SIZE } = {}) {
+  // Jobs left 'running' by a worker that died go back in the queue
+  const { rowCount: recovered } = await db.query(
+    `UPDATE jobs SET status = 'pending', locked_at = NULL, updated_at = NOW(),
+       last_error = COALESCE(last_error, 'Worker stopped before the job finished')
+     WHERE status = 'running' AND locked_at < NOW() - make_interval(mins => $1)`,
+    [STALE_RUNNING_MINUTES]
+  );
+
+  const { rows: claimed } = await db.query(
+    `UPDATE jobs SET status = 'running', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM jobs
+       WHERE status = 'pending' AND run_at <= NOW() AND type = ANY($2)
+       ORDER BY run_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, [...handlers.keys()]]
+  );
+
+  const summary = { completed: 0, retried: 0, dead: 0, recovered };
+  for (const job of claimed) {
+    try {
+      const handler = handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      await handler(job.payload, job);
+      await db.query(
+        `UPDATE jobs SET status = 'completed', completed_at = NOW(), locked_at = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [job.id]
+      );
+      summary.completed++;
+    } catch (error) {
+      const message = String(error?.message || error).slice(0, 2000);
+      if (job.attempts >= job.max_attempts) {
+        await db.query(
+          `UPDATE jobs SET status = 'dead', dead_at = NOW(), last_error = $2, locked_at = NULL, updated_at = NOW()
+           WHERE id = $1`,
+          [job.id, message]
+        );
+        console.error(`💀 Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempts: ${message}`);
+        summary.dead++;
+      } else {
+        await db.query(
+          `UPDATE jobs SET status = 'pending', run_at = NOW() + make_interval(secs => $2),
+             last_error = $3, locked_at = NULL, updated_at = NOW()
+           WHERE id = $1`,
+          [job.id, backoffSeconds(job.attempts), message]
+        );
+        summary.retried++;
+      }
+    }
+  }
+
+  return summary;
+}
+
+// ──────────────────────────────
+//  ADMIN
+// ──────────────────────────────
+
+/**
+ * Jobs for the admin view, newest first
+ * @param {Object} [filters] - { status, type, limit }
+ * @returns {Promise<Array>} Job rows
+ */
+export async function listJobs({ status = null, type = null, limit = 100 } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM jobs
+     WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR type = $2)
+     ORDER BY CASE WHEN status = 'pending' THEN run_at END, updated_at DESC
+     LIMIT $3`,
+    [status, type, Math.min(Math.max(parseInt(limit) || 100, 1), 500)]
+  );
+  return rows;
+}
+
+/**
+ * Counts for the admin dashboard card
+ * @returns {Promise<Object>} { pending, retrying, running, dead, completedToday, byType: [{ type, pending, dead }] }
+ */
+export async function getJobSummary() {
+  const { rows } = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+       COUNT(*) FILTER (WHERE status = 'pending' AND attempts > 0)::int AS retrying,
+       COUNT(*) FILTER (WHERE status = 'running')::int AS running,
+       COUNT(*) FILTER (WHERE status = 'dead')::int AS dead,
+       COUNT(*) FILTER (WHERE status = 'completed' AND completed_at > CURRENT_DATE)::int AS completed_today
+     FROM jobs`
+  );
+  const { rows: byType } = await db.query(
+    `SELECT type,
+       COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+       COUNT(*) FILTER (WHERE status = 'dead')::int AS dead
+     FROM jobs WHERE status IN ('pending', 'dead')
+     GROUP BY type ORDER BY type`
+  );
+
+  const counts = rows[0];
+  return {
+    pending: counts.pending,
+    retrying: counts.retrying,
+    running: counts.running,
+    dead: counts.dead,
+    completedToday: counts.completed_today,
+    byType
+  };
+}
+
+/**
+ * Put a dead (or waiting) job back in the queue to run now with a fresh set of attempts
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object|null>} The job, or null if it cannot be retried
+ */
+export async function retryJob(jobId) {
+  const { rows } = await db.query(
+    `UPDATE jobs SET status = 'pending', run_at = NOW(), attempts = 0, dead_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND status IN ('dead', 'pending')
+     RETURNING *`,
+    [jobId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Cancel a job that has not run (or was dead-lettered)
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object|null>} The job, or null if it already ran
+ */
+export async function cancelJob(jobId) {
+  const { rows } = await db.query(
+    `UPDATE jobs SET status = 'cancelled', updated_at = NOW()
+     WHERE id = $1 AND status IN ('pending', 'dead')
+     RETURNING *`,
+    [jobId]
+  );
+  return rows[0] || null;
+}
@@ -0,0 +1,199 @@
+// backend/services/messagingService.js
+import { createRequire } from "module";
+import nodemailer from "nodemailer";
+import { canNotify } from "./notificationSettingsService.js";
+import { isSuppressed } from "./suppressionService.js";
+import { isUndeliverable } from "./deliveryEventService.js";
+import { recordNotification, updateNotificationStatus } from "./notificationLedgerService.js";
+
+// The same category rules and signed unsubscribe links as every other sender
+const require = createRequire(import.meta.url);
+const NotificationPreferences = require("../../notification-preferences.js");
+const UnsubscribeToken = require("../../unsubscribe-token.js");
+
+export const CHANNELS = ["email", "sms"];
+
+// ──────────────────────────────
+//  TRANSPORTS
+// ──────────────────────────────
+//
+// Email goes out over SMTP and texts through Twilio. Without SMTP or Twilio
+// settings, or with MESSAGING_TRANSPORT=mock, messages go to an in-memory
+// outbox instead so the whole flow can be run and tested locally (the same
+// arrangement as the WhatsApp transport).
+
+function statusCallbackUrl() {
+  const base = (process.env.FRONTEND_URL || "https://blkpages.com").replace(/\/$/, "");
+  const key = process.env.DELIVERY_WEBHOOK_SECRET;
+  return `${base}/api/webhooks/delivery/twilio${key ? `?key=${encodeURIComponent(key)}` : ""}`;
+}
+
+/**
+ * Transport that sends email over SMTP
+ * @returns {Object} { name, send({ to, subject, text, headers }) => { messageId, status } }
+ */
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT || 587),
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.EMAIL_FROM || "BlkPages <no-reply@blkpages.com>"
+} = {}) {
+  const mailer = nodemailer.createTransport({ host, port, secure: port === 465, auth: user ? { user, pass } : undefined });
+  return {
+    name: "smtp",
+
+    async send({ to, subject, text, headers }) {
+      const result = await mailer.sendMail({ from, to, subject, text, headers });
+      return { messageId: result.messageId, status: "sent" };
+    }
+  };
+}
+
+/**
+ * Transport that sends texts through Twilio
+ * @returns {Object} { name, send({ to, text }) => { messageId, status } }
+ */
+export function createTwilioSmsTransport({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  from = process.env.TWILIO_SMS_NUMBER
+} = {}) {
+  return {
+    name: "twilio",
+
+    async send({ to, text }) {
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`,
+          "Content-Type": "application/x-www-form-urlencoded"
+        },
+        body: new URLSearchParams({ From: from, To: to, Body: text, StatusCallback: statusCallbackUrl() })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        const error = new Error(result.message || `Twilio answered ${response.status}`);
+        error.code = result.code;
+        throw error;
+      }
+      return { messageId: result.sid, status: result.status };
+    }
+  };
+}
+
+/**
+ * Transport that keeps messages in memory (local development and tests).
+ * Each message in outbox has { messageId, to, subject, text, headers }.
+ * @param {string} channel - email or sms
+ * @returns {Object} { name, outbox, send(), clear() }
+ */
+export function createMockTransport(channel) {
+  let sent = 0;
+  return {
+    name: "mock",
+    outbox: [],
+
+    async send({ to, subject = null, text, headers = null }) {
+      const messageId = `${channel}mock${String(++sent).padStart(8, "0")}`;
+      this.outbox.push({ messageId, to, subject, text, headers });
+      console.log(`✉️ [mock ${channel}] to ${to}: ${subject ? `${subject} – ` : ""}${text}`);
+      return { messageId, status: "sent" };
+    },
+
+    clear() {
+      this.outbox.length = 0;
+    }
+  };
+}
+
+const transports = { email: null, sms: null };
+
+/**
+ * The transport in use for a channel, chosen from the environment on first use
+ * @param {string} channel - email or sms
+ */
+export function getTransport(channel) {
+  if (!transports[channel]) {
+    const mock = process.env.MESSAGING_TRANSPORT === "mock";
+    if (channel === "email") {
+      transports.email = mock || !process.env.SMTP_HOST ? createMockTransport("email") : createSmtpTransport();
+    } else {
+      transports.sms = mock || !process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_SMS_NUMBER
+        ? createMockTransport("sms")
+        : createTwilioSmsTransport();
+    }
+  }
+  return transports[channel];
+}
+
+/**
+ * Replace a channel's transport, e.g. with createMockTransport() in a test
+ * @param {string} channel - email or sms
+ * @param {Object|null} next - Transport, or null to choose from the environment again
+ */
+export function setTransport(channel, next) {
+  transports[channel] = next;
+}
+
+// ──────────────────────────────
+//  SENDING
+// ──────────────────────────────
+
+/**
+ * Send an email or text and start tracking it in the notification ledger.
+ * Checks the recipient's preferences, the suppression list and addresses
+ * marked undeliverable; non-transactional messages get a signed unsubscribe link.
+ * @param {Object} message - { recipientType, recipientId, channel, to, template, category, subject, text, bookingId, businessId }
+ *   category may also be a message type (see categoryFor); template names the message in the ledger
+ * @returns {Promise<Object>} { success, messageId } or { success: false, status, reason }
+ */
+export async function sendMessage({
+  recipientType = "customer", recipientId = null, channel, to, template, category = null,
+  subject = null, text, bookingId = null, businessId = null
+}) {
+  if (!CHANNELS.includes(channel)) {
+    return { success: false, status: 400, reason: `Unknown channel "${channel}"` };
+  }
+  if (!to) {
+    return { success: false, status: 400, reason: `No ${channel === "email" ? "email address" : "phone number"} to send to` };
+  }
+
+  const resolved = NotificationPreferences.CATEGORIES.includes(category)
+    ? category
+    : NotificationPreferences.categoryFor(category || template);
+  if (recipientId && !await canNotify(recipientType, recipientId, channel, resolved)) {
+    return { success: false, status: 403, reason: `Recipient has turned off ${resolved} by ${channel}` };
+  }
+  if (await isSuppressed(channel, to, resolved)) {
+    return { success: false, status: 409, reason: `Address is suppressed for ${channel}` };
+  }
+  if (recipientType === "customer" && await isUndeliverable(channel, to)) {
+    return { success: false, status: 409, reason: `Address is marked undeliverable for ${channel}` };
+  }
+
+  const links = recipientId
+    ? UnsubscribeToken.unsubscribeLinks({ recipientType, recipientId, channel, category: resolved })
+    : null;
+  const body = channel === "sms"
+    ? UnsubscribeToken.withSmsFooter(text, links)
+    : links ? `${text}\n\nUnsubscribe: ${links.url}` : text;
+
+  const active = getTransport(channel);
+  const entry = await recordNotification({
+    bookingId, businessId, recipientType, recipientId, channel, template,
+    category: resolved, address: to, provider: active.name
+  });
+
+  let sent;
+  try {
+    sent = await active.send({ to, subject, text: body, headers: channel === "email" ? links?.headers : null });
+  } catch (error) {
+    await updateNotificationStatus(entry.id, "failed", { error: error.message });
+    throw error;
+  }
+
+  await updateNotificationStatus(entry.id, "sent", { providerMessageId: sent.messageId });
+  console.log(`✉️ ${channel} ${template} sent to ${recipientType} ${recipientId || ""} (${sent.messageId})`);
+  return { success: true, messageId: sent.messageId };
+}
@@ -0,0 +1,306 @@
+// backend/services/noShowService.js
+import Stripe from "stripe";
+import db from "../db.js";
+import { evaluateBookingCancellation } from "./cancellationPolicyService.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// ──────────────────────────────
+//  NO-SHOWS & RELIABILITY
+// ──────────────────────────────
+//
+// Auto-complete marks every past confirmed booking as completed, so a
+// business can mark a no-show on a confirmed or completed booking until its
+// BlkPoints are released. A no-show earns no points, waives any unpaid
+// balance and can charge the card saved at checkout a no-show fee.
+
+// How far back a customer's history counts towards their score
+const RELIABILITY_MONTHS = 12;
+
+// Cancelling with less notice than this counts against the score (half a no-show)
+const LATE_CANCELLATION_HOURS = 24;
+
+// Every customer starts with two attended bookings' worth of benefit of the doubt
+const RELIABILITY_PRIOR = 2;
+
+function reliabilityBand(score) {
+  if (score >= 85) return "reliable";
+  if (score >= 60) return "fair";
+  return "unreliable";
+}
+
+/**
+ * Reliability scores for customers, from their bookings at every business
+ * @param {Array<number>} customerIds - Customer IDs
+ * @returns {Promise<Object>} Map of customerId -> { score, band, attended, noShows, lateCancellations }
+ */
+export async function getReliabilityScores(customerIds) {
+  const ids = [...new Set(customerIds.map(id => parseInt(id)).filter(Number.isInteger))];
+  if (ids.length === 0) return {};
+
+  const { rows } = await db.query(
+    `SELECT customer_id,
+            COUNT(*) FILTER (WHERE status = 'completed') AS attended,
+            COUNT(*) FILTER (WHERE status = 'no_show') AS no_shows,
+            COUNT(*) FILTER (
+              WHERE status = 'cancelled'
+                AND cancelled_at > start_time - make_interval(hours => $3)
+                AND COALESCE(amount_paid, total_amount) > 0 -- unpaid repeat visits released by the system
+            ) AS late_cancellations
+     FROM bookings
+     WHERE customer_id = ANY($1::int[])
+       AND start_time > NOW() - make_interval(months => $2)
+     GROUP BY customer_id`,
+    [ids, RELIABILITY_MONTHS, LATE_CANCELLATION_HOURS]
+  );
+
+  const history = Object.fromEntries(rows.map(row => [row.customer_id, row]));
+  return Object.fromEntries(ids.map(id => {
+    const attended = Number(history[id]?.attended || 0);
+    const noShows = Number(history[id]?.no_shows || 0);
+    const lateCancellations = Number(history[id]?.late_cancellations || 0);
+
+    const kept = attended + RELIABILITY_PRIOR;
+    const score = Math.round(100 * kept / (kept + noShows + lateCancellations / 2));
+    return [id, { score, band: reliabilityBand(score), attended, noShows, lateCancellations }];
+  }));
+}
+
+/**
+ * Reliability score for one customer
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object>} { score, band, attended, noShows, lateCancellations }
+ */
+export async function getCustomerReliability(customerId) {
+  const scores = await getReliabilityScores([customerId]);
+  return scores[parseInt(customerId)] || null;
+}
+
+/**
+ * Deposit a business requires from this customer because of their reliability
+ * @param {number} businessId - Business ID
+ * @param {number|null} customerId - Customer ID (guests are not scored)
+ * @param {number} price - Booking price (£)
+ * @returns {Promise<number|null>} Non-refundable deposit in £, or null when none is required
+ */
+export async function getRequiredDeposit(businessId, customerId, price) {
+  if (!customerId) return null;
+
+  const { rows } = await db.query(
+    "SELECT reliability_deposit_threshold, reliability_deposit_percent FROM businesses WHERE id = $1",
+    [businessId]
+  );
+  const settings = rows[0];
+  if (!settings || settings.reliability_deposit_threshold == null) return null;
+
+  const reliability = await getCustomerReliability(customerId);
+  if (!reliability || reliability.score >= settings.reliability_deposit_threshold) return null;
+
+  const deposit = Math.round(Number(price) * Number(settings.reliability_deposit_percent || 0)) / 100;
+  return deposit > 0 ? deposit : null;
+}
+
+/**
+ * Save a business's reliability deposit rule
+ * @param {number} businessId - Business ID
+ * @param {Object} settings - { threshold (0-100, null = off), percent (1-100) }
+ * @returns {Promise<Object>} { success, settings } or { success: false, status, reason }
+ */
+export async function saveReliabilitySettings(businessId, { threshold = null, percent = 50 } = {}) {
+  const off = threshold === null || threshold === "";
+  const minScore = off ? null : Number(threshold);
+  const depositPercent = Number(percent);
+
+  if (!off && (!Number.isInteger(minScore) || minScore < 1 || minScore > 100)) {
+    return { success: false, status: 400, reason: "Reliability threshold must be a whole number from 1 to 100" };
+  }
+  if (!Number.isInteger(depositPercent) || depositPercent < 1 || depositPercent > 100) {
+    return { success: false, status: 400, reason: "Deposit must be a whole percentage from 1 to 100" };
+  }
+
+  const { rows } = await db.query(
+    `UPDATE businesses
+     SET reliability_deposit_threshold = $2, reliability_deposit_percent = $3, updated_at = NOW()
+     WHERE id = $1
+     RETURNING reliability_deposit_threshold, reliability_deposit_percent`,
+    [businessId, minScore, depositPercent]
+  );
+  if (rows.length === 0) {
+    return { success: false, status: 404, reason: "Business not found" };
+  }
+
+  return { success: true, settings: formatReliabilitySettings(rows[0]) };
+}
+
+/**
+ * Get a business's reliability deposit rule
+ * @param {number} businessId - Business ID
+ * @returns {Promise<Object|null>} { threshold, percent } or null if the business does not exist
+ */
+export async function getReliabilitySettings(businessId) {
+  const { rows } = await db.query(
+    "SELECT reliability_deposit_threshold, reliability_deposit_percent FROM businesses WHERE id = $1",
+    [businessId]
+  );
+  return rows[0] ? formatReliabilitySettings(rows[0]) : null;
+}
+
+function formatReliabilitySettings(row) {
+  return {
+    threshold: row.reliability_deposit_threshold,
+    percent: Number(row.reliability_deposit_percent)
+  };
+}
+
+// ──────────────────────────────
+//  MARKING A NO-SHOW
+// ──────────────────────────────
+
+/**
+ * Charge the card saved at checkout. Off-session, so a card that needs the
+ * customer (3DS) fails rather than waiting.
+ */
+async function chargeNoShowFee(booking, fee) {
+  if (!booking.stripe_customer_id || !booking.payment_method_id) {
+    return { status: "failed", reason: "No saved card for this booking" };
+  }
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(fee * 100),
+      currency: "gbp",
+      customer: booking.stripe_customer_id,
+      payment_method: booking.payment_method_id,
+      off_session: true,
+      confirm: true,
+      description: `No-show fee for booking #${booking.id}`,
+      metadata: {
+        bookingId: String(booking.id),
+        businessId: String(booking.business_id),
+        paymentType: "no_show_fee"
+      }
+    }, { idempotencyKey: `no-show-fee-${booking.id}` });
+
+    return { status: paymentIntent.status === "succeeded" ? "charged" : "failed", paymentIntentId: paymentIntent.id };
+  } catch (error) {
+    // Declines come back as errors carrying the intent that was attempted
+    console.error(`❌ No-show fee failed for booking #${booking.id}:`, error.message);
+    return { status: "failed", paymentIntentId: error.payment_intent?.id || null, reason: error.message };
+  }
+}
+
+/**
+ * Cancel an unfinished in-app balance payment, which a no-show no longer owes.
+ * A Stripe error is reported rather than thrown, so the no-show is still recorded.
+ */
+async function cancelBalancePayment(booking) {
+  try {
+    const intent = await stripe.paymentIntents.retrieve(booking.balance_payment_intent);
+    if (["succeeded", "canceled"].includes(intent.status)) return { status: intent.status };
+
+    await stripe.paymentIntents.cancel(intent.id);
+    return { status: "canceled" };
+  } catch (error) {
+    console.error(`❌ Balance payment for booking #${booking.id} could not be cancelled:`, error.message);
+    return { status: "failed", reason: error.message };
+  }
+}
+
+/**
+ * Business marks a customer as not having turned up
+ * @param {number} businessId - Business ID
+ * @param {number} bookingId - Booking ID
+ * @param {Object} options - { chargeFee, feeAmount } (fee defaults to the policy's no-show fee)
+ * @returns {Promise<Object>} { success, booking, fee, balance } or { success: false, status, reason }
+ */
+export async function markNoShow(businessId, bookingId, { chargeFee = false, feeAmount = null } = {}) {
+  const { rows } = await db.query("SELECT * FROM bookings WHERE id = $1", [bookingId]);
+  const booking = rows[0];
+  if (!booking || String(booking.business_id) !== String(businessId)) {
+    return { success: false, status: 404, reason: "Booking not found" };
+  }
+  if (!["confirmed", "completed"].includes(booking.status)) {
+    return { success: false, status: 409, reason: `A ${booking.status} booking cannot be marked as a no-show` };
+  }
+  if (new Date(booking.start_time) > new Date()) {
+    return { success: false, status: 409, reason: "The appointment has not started yet" };
+  }
+  if (booking.points_released) {
+    return { success: false, status: 409, reason: "BlkPoints for this booking have already been released" };
+  }
+
+  const evaluation = await evaluateBookingCancellation(booking.id, { noShow: true });
+  // The business may charge less than the policy fee, never more – and never more than the booking
+  const policyFee = Number(evaluation.policy.noShow.fee) || 0;
+  const bookingPrice = Number(booking.total_amount) || 0;
+  const requested = feeAmount === null ? policyFee : Math.min(Number(feeAmount), policyFee);
+  const fee = Math.round(Math.min(requested, bookingPrice) * 100) / 100;
+  if (chargeFee && !(fee > 0)) {
+    return { success: false, status: 400, reason: "No-show fee must be greater than 0" };
+  }
+
+  const balance = booking.balance_status === "due" && booking.balance_payment_intent
+    ? await cancelBalancePayment(booking)
+    : null;
+
+  // The fee is recorded as pending before the card is charged, so a charge
+  // interrupted before its outcome is saved still shows on the booking
+  const { rows: updated } = await db.query(
+    `UPDATE bookings
+     SET status = 'no_show',
+         no_show_at = NOW(),
+         balance_status = CASE WHEN balance_status = 'due' THEN 'waived' ELSE balance_status END,
+         no_show_fee = CASE WHEN $2 THEN $3 ELSE no_show_fee END,
+         no_show_fee_status = CASE WHEN $2 THEN 'pending' ELSE no_show_fee_status END,
+         updated_at = NOW()
+     WHERE id = $1 AND status IN ('confirmed', 'completed') AND points_released = false
+     RETURNING *`,
+    [booking.id, chargeFee, fee]
+  );
+  if (updated.length === 0) {
+    return { success: false, status: 409, reason: "Booking has already been updated" };
+  }
+
+  let charge = null;
+  if (chargeFee) {
+    charge = await chargeNoShowFee(booking, fee);
+    const { rows: charged } = await db.query(
+      `UPDATE bookings
+       SET no_show_fee_status = $2, no_show_fee_payment_intent = $3, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [booking.id, charge.status, charge.paymentIntentId || null]
+    );
+    updated[0] = charged[0];
+  }
+
+  console.log(`🚫 Booking #${booking.id} marked as a no-show${charge ? ` (fee ${charge.status})` : ""}`);
+  return {
+    success: true,
+    booking: updated[0],
+    fee: charge ? { amount: fee, status: charge.status, reason: charge.reason || null } : null,
+    balance: balance ? { status: balance.status, reason: balance.reason || null } : null
+  };
+}
+
+/**
+ * Tell the customer their appointment was recorded as missed
+ * @param {Object} booking - Updated booking
+ * @returns {Promise<Object>} Notification row
+ */
+export async function notifyNoShow(booking) {
+  const feeLine = booking.no_show_fee_status === "charged"
+    ? ` A £${Number(booking.no_show_fee).toFixed(2)} no-show fee has been charged to your saved card.`
+    : "";
+
+  const { rows } = await db.query(
+    `INSERT INTO notifications (customer_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'info', 'bookings') RETURNING *`,
+    [
+      booking.customer_id,
+      "Missed Appointment",
+      `${booking.service} on ${new Date(booking.start_time).toLocaleDateString("en-GB")} was marked as missed, so no BlkPoints were earned.${feeLine}`
+    ]
+  );
+  return rows[0];
+}
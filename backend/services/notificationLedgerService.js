@@ -0,0 +1,316 @@
+// backend/services/notificationLedgerService.js
+import db from "../db.js";
+import { hashAddress } from "./suppressionService.js";
+
+// ──────────────────────────────
+//  NOTIFICATION LEDGER
+// ──────────────────────────────
+//
+// One row per message sent, whatever the channel, and how far it got:
+//   queued → sent → delivered / failed → opened → clicked
+// Senders add the row; the provider delivery webhooks move it along by the
+// provider's message id. Callbacks arrive late and out of order, so a
+// message never moves backwards (a late "delivered" does not undo "clicked"),
+// but every step is still kept in notification_events for the timeline.
+
+export const STATUSES = ["queued", "sent", "delivered", "failed", "opened", "clicked"];
+
+const RANK = { queued: 0, sent: 1, delivered: 2, failed: 2, opened: 3, clicked: 4 };
+
+const TIMESTAMP_COLUMNS = {
+  sent: "sent_at",
+  delivered: "delivered_at",
+  failed: "failed_at",
+  opened: "opened_at",
+  clicked: "clicked_at"
+};
+
+// Steps a status shows must already have happened (a click means it was opened)
+const IMPLIED = {
+  sent: [],
+  delivered: ["sent"],
+  failed: [],
+  opened: ["sent", "delivered"],
+  clicked: ["sent", "delivered", "opened"]
+};
+
+const RANK_SQL = `CASE status ${Object.entries(RANK).map(([status, rank]) => `WHEN '${status}' THEN ${rank}`).join(" ")} END`;
+
+async function addEvent(notificationId, event, detail, occurredAt, client) {
+  await client.query(
+    "INSERT INTO notification_events (notification_id, event, detail, occurred_at) VALUES ($1, $2, $3, $4)",
+    [notificationId, event, detail || null, occurredAt]
+  );
+}
+
+/**
+ * Move a message to a new status (never backwards) and record the step
+ * @param {number} notificationId - Ledger ID
+ * @param {string} status - sent, delivered, failed, opened, clicked
+ * @param {Object} [details] - { error, provider, providerMessageId, occurredAt }
+ * @param {Object} client - Optional client inside a transaction
+ * @returns {Promise<Object|null>} The ledger row, or null if there is none
+ */
+export async function updateNotificationStatus(
+  notificationId, status, { error = null, provider = null, providerMessageId = null, occurredAt = new Date() } = {}, client = db
+) {
+  if (!TIMESTAMP_COLUMNS[status]) {
+    throw new Error(`Unknown notification status "${status}"`);
+  }
+
+  const stamps = [status, ...IMPLIED[status]]
+    .map(step => `${TIMESTAMP_COLUMNS[step]} = COALESCE(${TIMESTAMP_COLUMNS[step]}, $3)`);
+  const { rows } = await client.query(
+    `UPDATE notification_ledger
+     SET status = CASE WHEN ${RANK_SQL} <= $4 THEN $2 ELSE status END,
+         ${stamps.join(",\n         ")},
+         error = CASE WHEN $2 = 'failed' THEN COALESCE($5, error) ELSE error END,
+         provider = COALESCE(provider, $6),
+         provider_message_id = COALESCE(provider_message_id, $7),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [notificationId, status, occurredAt, RANK[status], error, provider, providerMessageId]
+  );
+  if (rows.length === 0) return null;
+
+  await addEvent(notificationId, status, error, occurredAt, client);
+  return rows[0];
+}
+
+/**
+ * Add a message to the ledger. Senders call this before handing the message to
+ * the provider (status queued), or afterwards with the outcome (sent, failed).
+ * The business is taken from the booking when not given.
+ * @param {Object} message - { bookingId, businessId, recipientType, recipientId, channel, template,
+ *   category, address, provider, providerMessageId, status, error }
+ * @param {Object} client - Optional client inside a transaction
+ * @returns {Promise<Object>} The ledger row
+ */
+export async function recordNotification({
+  bookingId = null, businessId = null, recipientType = null, recipientId = null, channel, template,
+  category = null, address = null, provider = null, providerMessageId = null, status = "queued", error = null
+}, client = db) {
+  const { rows } = await client.query(
+    `INSERT INTO notification_ledger
+       (booking_id, business_id, recipient_type, recipient_id, channel, template, category,
+        address_hash, provider, provider_message_id)
+     VALUES ($1, COALESCE($2, (SELECT business_id FROM bookings WHERE id = $1)), $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [bookingId, businessId, recipientType, recipientId, channel, template, category,
+      hashAddress(channel, address), provider, providerMessageId]
+  );
+  await addEvent(rows[0].id, "queued", null, rows[0].queued_at, client);
+
+  if (status === "queued") return rows[0];
+  return updateNotificationStatus(rows[0].id, status, { error }, client);
+}
+
+// What each delivery webhook event means for the message
+const EVENT_STATUSES = {
+  delivered: "delivered",
+  bounce: "failed",
+  open: "opened",
+  click: "clicked"
+};
+
+/**
+ * Apply a provider's delivery event to the message it is about
+ * @param {string} providerMessageId - The provider's id for the message
+ * @param {string} eventType - delivered, bounce, complaint, open, click
+ * @param {Object} [details] - { reason, occurredAt }
+ * @returns {Promise<string>} 'updated', or 'unknown' (no message in the ledger with that id)
+ */
+export async function recordProviderEvent(providerMessageId, eventType, { reason = null, occurredAt = new Date() } = {}) {
+  if (!providerMessageId) return "unknown";
+
+  const { rows } = await db.query(
+    "SELECT id FROM notification_ledger WHERE provider_message_id = $1 ORDER BY id DESC LIMIT 1",
+    [providerMessageId]
+  );
+  if (rows.length === 0) return "unknown";
+
+  // A complaint is kept on the timeline but does not change how far the message got
+  if (!EVENT_STATUSES[eventType]) {
+    await addEvent(rows[0].id, eventType, reason, occurredAt, db);
+  } else {
+    await updateNotificationStatus(rows[0].id, EVENT_STATUSES[eventType], { error: reason, occurredAt });
+  }
+  return "updated";
+}
+
+// ──────────────────────────────
+//  TIMELINE & REPORTING
+// ──────────────────────────────
+
+function formatNotification(row) {
+  return {
+    id: Number(row.id),
+    channel: row.channel,
+    template: row.template,
+    recipientType: row.recipient_type,
+    status: row.status,
+    error: row.error,
+    queuedAt: row.queued_at,
+    sentAt: row.sent_at,
+    deliveredAt: row.delivered_at,
+    failedAt: row.failed_at,
+    openedAt: row.opened_at,
+    clickedAt: row.clicked_at,
+    events: []
+  };
+}
+
+/**
+ * Ledger rows, newest first
+ * @param {Object} [filters] - { businessId, bookingId, channel, template, status, limit }
+ * @returns {Promise<Array>} Ledger rows
+ */
+export async function listNotifications({
+  businessId = null, bookingId = null, channel = null, template = null, status = null, limit = 100
+} = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM notification_ledger
+     WHERE ($1::int IS NULL OR business_id = $1)
+       AND ($2::int IS NULL OR booking_id = $2)
+       AND ($3::text IS NULL OR channel = $3)
+       AND ($4::text IS NULL OR template = $4)
+       AND ($5::text IS NULL OR status = $5)
+     ORDER BY queued_at DESC, id DESC
+     LIMIT $6`,
+    [businessId, bookingId, channel, template, status, Math.min(Math.max(parseInt(limit) || 100, 1), 500)]
+  );
+  return rows;
+}
+
+/**
+ * Every message sent about a booking, oldest first, each with its steps.
+ * Only delivery status is shown; message contents and addresses are not stored.
+ * @param {number} businessId - Business that owns the booking
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<Object>} { success, bookingId, notifications } or { success: false, status, reason }
+ */
+export async function getBookingTimeline(businessId, bookingId) {
+  const { rows: bookings } = await db.query(
+    "SELECT id FROM bookings WHERE id = $1 AND business_id = $2",
+    [bookingId, businessId]
+  );
+  if (bookings.length === 0) {
+    return { success: false, status: 404, reason: "Booking not found" };
+  }
+
+  const rows = await listNotifications({ bookingId, limit: 500 });
+  const notifications = rows.reverse().map(formatNotification);
+
+  if (notifications.length) {
+    const byId = new Map(notifications.map(notification => [notification.id, notification]));
+    const { rows: events } = await db.query(
+      `SELECT notification_id, event, detail, occurred_at FROM notification_events
+       WHERE notification_id = ANY($1::bigint[])
+       ORDER BY occurred_at, id`,
+      [[...byId.keys()]]
+    );
+    for (const event of events) {
+      byId.get(Number(event.notification_id)).events.push({
+        event: event.event,
+        detail: event.detail,
+        at: event.occurred_at
+      });
+    }
+  }
+
+  return { success: true, bookingId: Number(bookingId), notifications };
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function reportingWindow(from, to) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new RangeError("from and to must be dates");
+  }
+  return [start, end];
+}
+
+/**
+ * Delivery, open and click rates per template and channel for the admin panel.
+ * Delivery rate is out of messages sent; open and click rates out of messages delivered.
+ * @param {Object} [filters] - { from, to, channel } (default: the last 30 days)
+ * @returns {Promise<Object>} { from, to, templates: [{ template, channel, total, sent, delivered,
+ *   failed, opened, clicked, deliveryRate, openRate, clickRate }] }
+ */
+export async function getTemplateRates({ from = null, to = null, channel = null } = {}) {
+  const [start, end] = reportingWindow(from, to);
+  const { rows } = await db.query(
+    `SELECT template, channel,
+            COUNT(*)::int AS total,
+            COUNT(sent_at)::int AS sent,
+            COUNT(delivered_at)::int AS delivered,
+            COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+            COUNT(opened_at)::int AS opened,
+            COUNT(clicked_at)::int AS clicked
+     FROM notification_ledger
+     WHERE queued_at >= $1 AND queued_at < $2
+       AND ($3::text IS NULL OR channel = $3)
+     GROUP BY template, channel
+     ORDER BY total DESC, template, channel`,
+    [start, end, channel]
+  );
+
+  return {
+    from: start,
+    to: end,
+    templates: rows.map(row => ({
+      ...row,
+      deliveryRate: percent(row.delivered, row.sent),
+      openRate: percent(row.opened, row.delivered),
+      clickRate: percent(row.clicked, row.delivered)
+    }))
+  };
+}
+
+/**
+ * A business's message counts for one channel over a period
+ * @param {number} businessId - Business ID
+ * @param {Object} [filters] - { channel, from, to } (default: every channel, the last 30 days)
+ * @returns {Promise<Object>} { total, byCategory, queued, sent, delivered, failed, opened, clicked,
+ *   deliveryRate, averageDeliverySeconds }
+ */
+export async function getBusinessNotificationStats(businessId, { channel = null, from = null, to = null } = {}) {
+  const [start, end] = reportingWindow(from, to);
+  const { rows } = await db.query(
+    `SELECT COALESCE(category, 'other') AS category,
+            COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE status = 'queued')::int AS queued,
+            COUNT(sent_at)::int AS sent,
+            COUNT(delivered_at)::int AS delivered,
+            COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+            COUNT(opened_at)::int AS opened,
+            COUNT(clicked_at)::int AS clicked,
+            COALESCE(SUM(EXTRACT(EPOCH FROM delivered_at - sent_at)) FILTER (WHERE delivered_at >= sent_at), 0) AS delivery_seconds
+     FROM notification_ledger
+     WHERE business_id = $1 AND queued_at >= $2 AND queued_at < $3
+       AND ($4::text IS NULL OR channel = $4)
+     GROUP BY 1`,
+    [businessId, start, end, channel]
+  );
+
+  const stats = { total: 0, byCategory: {}, queued: 0, sent: 0, delivered: 0, failed: 0, opened: 0, clicked: 0 };
+  let deliverySeconds = 0;
+  for (const row of rows) {
+    stats.byCategory[row.category] = row.total;
+    for (const key of ["total", "queued", "sent", "delivered", "failed", "opened", "clicked"]) {
+      stats[key] += row[key];
+    }
+    deliverySeconds += Number(row.delivery_seconds);
+  }
+
+  return {
+    ...stats,
+    deliveryRate: percent(stats.delivered, stats.sent),
+    averageDeliverySeconds: stats.delivered ? Math.round(deliverySeconds / stats.delivered) : 0
+  };
+}
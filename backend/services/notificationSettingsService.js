@@ -0,0 +1,194 @@
+// backend/services/notificationSettingsService.js
+import { createRequire } from "module";
+import db from "../db.js";
+import { liftUnsubscribes } from "./suppressionService.js";
+import { recordWhatsAppOptIn, recordWhatsAppOptOut } from "./whatsappService.js";
+
+// The same zone, quiet-hours and preference rules the notification senders use
+// (recipient-time.js, notification-preferences.js)
+const require = createRequire(import.meta.url);
+const RecipientTime = require("../../recipient-time.js");
+const NotificationPreferences = require("../../notification-preferences.js");
+
+// ──────────────────────────────
+//  TIME ZONE & QUIET HOURS
+// ──────────────────────────────
+//
+// Customers and businesses each keep a time zone, locale and quiet hours.
+// Appointment times are always shown in the business's zone; the recipient's
+// zone decides when non-urgent messages go out and how other times read.
+
+const TABLES = {
+  customer: "customers",
+  business: "businesses"
+};
+
+/**
+ * Settings in the shape recipient-time.js expects, from a customers or businesses row
+ * @param {Object} row - Row with timezone, locale, quiet_hours_start, quiet_hours_end
+ * @returns {Object} { timezone, locale, quietHoursStart, quietHoursEnd }
+ */
+export function toRecipientSettings(row) {
+  return RecipientTime.normalizeSettings({
+    timezone: row?.timezone,
+    locale: row?.locale,
+    quietHoursStart: row ? row.quiet_hours_start : undefined,
+    quietHoursEnd: row ? row.quiet_hours_end : undefined
+  });
+}
+
+/**
+ * Get a customer's or business's time zone, locale and quiet hours
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @returns {Promise<Object|null>} { timezone, locale, quietHoursStart, quietHoursEnd } or null if not found
+ */
+export async function getRecipientSettings(recipientType, recipientId) {
+  const { rows } = await db.query(
+    `SELECT timezone, locale, quiet_hours_start, quiet_hours_end FROM ${TABLES[recipientType]} WHERE id = $1`,
+    [recipientId]
+  );
+  return rows[0] ? toRecipientSettings(rows[0]) : null;
+}
+
+/**
+ * Save a customer's or business's time zone, locale and quiet hours.
+ * Fields left out keep their current value; quiet hours of null/null turn them off.
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @param {Object} settings - { timezone, locale, quietHoursStart, quietHoursEnd }
+ * @returns {Promise<Object>} { success, settings } or { success: false, status, reason }
+ */
+export async function saveRecipientSettings(recipientType, recipientId, settings = {}) {
+  const current = await getRecipientSettings(recipientType, recipientId);
+  if (!current) {
+    return { success: false, status: 404, reason: `${recipientType === "business" ? "Business" : "Customer"} not found` };
+  }
+
+  const quietHoursChanged = settings.quietHoursStart !== undefined || settings.quietHoursEnd !== undefined;
+  const next = {
+    timezone: settings.timezone ?? current.timezone,
+    locale: settings.locale ?? current.locale,
+    quietHoursStart: quietHoursChanged ? settings.quietHoursStart ?? null : current.quietHoursStart,
+    quietHoursEnd: quietHoursChanged ? settings.quietHoursEnd ?? null : current.quietHoursEnd
+  };
+
+  const errors = RecipientTime.validateSettings(next);
+  if (errors.length) {
+    return { success: false, status: 400, reason: errors.join("; ") };
+  }
+
+  const { rows } = await db.query(
+    `UPDATE ${TABLES[recipientType]}
+     SET timezone = $2, locale = $3, quiet_hours_start = $4, quiet_hours_end = $5, updated_at = NOW()
+     WHERE id = $1
+     RETURNING timezone, locale, quiet_hours_start, quiet_hours_end`,
+    [recipientId, next.timezone, next.locale, next.quietHoursStart, next.quietHoursEnd]
+  );
+
+  return { success: true, settings: toRecipientSettings(rows[0]) };
+}
+
+// ──────────────────────────────
+//  PREFERENCE CENTRE
+// ──────────────────────────────
+//
+// Which categories of message (booking, reminders, loyalty, waiting list,
+// marketing, reviews) each recipient wants on which channel (email, SMS,
+// push, WhatsApp). Only differences from the defaults are stored.
+
+function formatPreferences(row) {
+  return {
+    preferences: NotificationPreferences.normalizePreferences(row.notification_preferences),
+    updatedAt: row.notification_preferences_updated_at
+  };
+}
+
+/**
+ * Get a customer's or business's full channel × category preferences
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @returns {Promise<Object|null>} { preferences, updatedAt } or null if not found
+ */
+export async function getNotificationPreferences(recipientType, recipientId) {
+  const { rows } = await db.query(
+    `SELECT notification_preferences, notification_preferences_updated_at FROM ${TABLES[recipientType]} WHERE id = $1`,
+    [recipientId]
+  );
+  return rows[0] ? formatPreferences(rows[0]) : null;
+}
+
+/**
+ * Change some of a customer's or business's preferences; the rest stay as they are
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @param {Object} changes - { [channel]: { [category]: boolean } }, e.g. { sms: { marketing: false } }
+ * @returns {Promise<Object>} { success, preferences, updatedAt } or { success: false, status, reason }
+ */
+export async function saveNotificationPreferences(recipientType, recipientId, changes) {
+  const errors = NotificationPreferences.validatePreferences(changes);
+  if (errors.length) {
+    return { success: false, status: 400, reason: errors.join("; ") };
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows: current } = await client.query(
+      `SELECT notification_preferences FROM ${TABLES[recipientType]} WHERE id = $1 FOR UPDATE`,
+      [recipientId]
+    );
+    if (current.length === 0) {
+      await client.query("ROLLBACK");
+      return { success: false, status: 404, reason: `${recipientType === "business" ? "Business" : "Customer"} not found` };
+    }
+
+    const overrides = NotificationPreferences.mergePreferences(current[0].notification_preferences, changes);
+    const { rows } = await client.query(
+      `UPDATE ${TABLES[recipientType]}
+       SET notification_preferences = $2, notification_preferences_updated_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING notification_preferences, notification_preferences_updated_at`,
+      [recipientId, JSON.stringify(overrides)]
+    );
+    // Turning a category back on undoes an unsubscribe link for it
+    await liftUnsubscribes(recipientType, recipientId, changes, client);
+    // Turning on WhatsApp is the opt-in WhatsApp requires; turning it all off withdraws it
+    if (changes.whatsapp) {
+      const whatsapp = NotificationPreferences.normalizePreferences(overrides).whatsapp;
+      if (Object.values(whatsapp).some(Boolean)) {
+        await recordWhatsAppOptIn(recipientType, recipientId, "preference_centre", client);
+      } else {
+        await recordWhatsAppOptOut(recipientType, recipientId, client);
+      }
+    }
+    await client.query("COMMIT");
+
+    console.log(`🔔 Notification preferences updated for ${recipientType} ${recipientId}`);
+    return { success: true, ...formatPreferences(rows[0]) };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Whether a message may be sent to a customer or business. Unknown recipients
+ * get the defaults, so a missing row never blocks a booking message.
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @param {string} channel - email, sms, push, whatsapp
+ * @param {string|null} category - Category, or a message type (see categoryFor); null is always allowed
+ * @returns {Promise<boolean>}
+ */
+export async function canNotify(recipientType, recipientId, channel, category) {
+  const resolved = NotificationPreferences.CATEGORIES.includes(category)
+    ? category
+    : NotificationPreferences.categoryFor(category);
+  if (!resolved) return true;
+
+  const stored = await getNotificationPreferences(recipientType, recipientId);
+  return NotificationPreferences.isAllowed(stored?.preferences, channel, resolved);
+}
@@ -0,0 +1,494 @@
+// backend/services/payoutService.js
+import Stripe from "stripe";
+import db from "../db.js";
+import { loadCommissionRules, getBookingCommissionTerms, calculateCommission } from "./commissionService.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Funds are held until this long after the appointment starts
+export const PAYOUT_HOLD_HOURS = 24;
+
+// The daily batch (cronJobs.js) runs at this hour, server time
+export const PAYOUT_BATCH_HOUR = 7;
+
+// Bookings whose appointment was longer ago than this are left out of the ledger,
+// so switching it on never pays out history twice
+const LEDGER_LOOKBACK_DAYS = 60;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// ──────────────────────────────
+//  LEDGER
+// ──────────────────────────────
+//
+// Each booking has at most one open (pending) ledger entry. The sync works out
+// what the booking should have earned the business now, takes off whatever
+// earlier payouts already settled, and keeps the open entry equal to the
+// difference: the booking's own entry before its first payout, an adjustment
+// (usually negative, from a later refund) after it.
+
+// Paid through BlkPages: the amount paid less any balance settled in cash, plus a charged no-show fee
+const GROSS_SQL = `
+  COALESCE(b.amount_paid, b.total_amount, 0)
+  - CASE WHEN b.balance_status = 'paid_in_person' THEN COALESCE(b.total_amount, 0) - COALESCE(b.deposit_amount, 0) ELSE 0 END
+  + CASE WHEN b.no_show_fee_status = 'charged' THEN COALESCE(b.no_show_fee, 0) ELSE 0 END`;
+
+/**
+ * Bring the payout ledger up to date with bookings, refunds and fees
+ * @param {Object} [options] - { businessId, bookingId } to sync only some bookings
+ * @returns {Promise<Object>} { created, updated, removed }
+ */
+export async function syncPayoutLedger({ businessId = null, bookingId = null } = {}) {
+  const { rows } = await db.query(
+    `SELECT b.*, (${GROSS_SQL})::numeric AS gross, biz.plan, biz.category,
+            settled.gross AS settled_gross, settled.refunded AS settled_refunded,
+            settled.fee AS settled_fee, settled.net AS settled_net, settled.entries AS settled_entries,
+            open.id AS open_id, open.gross_amount AS open_gross, open.refunded_amount AS open_refunded,
+            open.platform_fee AS open_fee, open.net_amount AS open_net, open.available_at AS open_available_at
+     FROM bookings b
+     JOIN businesses biz ON biz.id = b.business_id
+     LEFT JOIN LATERAL (
+       SELECT COALESCE(SUM(gross_amount), 0) AS gross, COALESCE(SUM(refunded_amount), 0) AS refunded,
+              COALESCE(SUM(platform_fee), 0) AS fee, COALESCE(SUM(net_amount), 0) AS net, COUNT(*)::int AS entries
+       FROM payout_ledger WHERE booking_id = b.id AND status = 'paid'
+     ) settled ON true
+     LEFT JOIN payout_ledger open ON open.booking_id = b.id AND open.status = 'pending'
+     WHERE b.business_id IS NOT NULL
+       AND (b.stripe_payment_intent IS NOT NULL OR b.no_show_fee_status = 'charged')
+       AND b.start_time > NOW() - ($3 || ' days')::interval
+       AND ($1::int IS NULL OR b.business_id = $1)
+       AND ($2::int IS NULL OR b.id = $2)
+       -- wait for a payout in flight to settle before adjusting its bookings
+       AND NOT EXISTS (SELECT 1 FROM payout_ledger f WHERE f.booking_id = b.id AND f.status = 'in_payout')`,
+    [businessId, bookingId, String(LEDGER_LOOKBACK_DAYS)]
+  );
+
+  const counts = { created: 0, updated: 0, removed: 0 };
+  const rules = rows.length ? await loadCommissionRules() : [];
+  for (const booking of rows) {
+    const gross = round(Number(booking.gross));
+    const refunded = round(Math.min(Number(booking.refunded_amount || 0), gross));
+    const terms = await getBookingCommissionTerms(booking, rules);
+    const fee = calculateCommission(terms, gross - refunded);
+    const delta = {
+      gross: round(gross - Number(booking.settled_gross)),
+      refunded: round(refunded - Number(booking.settled_refunded)),
+      fee: round(fee - Number(booking.settled_fee)),
+      net: round(gross - refunded - fee - Number(booking.settled_net))
+    };
+    const nothingOwed = Object.values(delta).every(value => value === 0);
+    const firstEntry = booking.settled_entries === 0;
+    const availableAt = firstEntry
+      ? new Date(new Date(booking.start_time).getTime() + PAYOUT_HOLD_HOURS * 3600000)
+      : new Date();
+
+    if (booking.open_id) {
+      if (nothingOwed && !firstEntry) {
+        await db.query("DELETE FROM payout_ledger WHERE id = $1 AND status = 'pending'", [booking.open_id]);
+        counts.removed++;
+        continue;
+      }
+      const unchanged = Number(booking.open_gross) === delta.gross && Number(booking.open_refunded) === delta.refunded &&
+        Number(booking.open_fee) === delta.fee && Number(booking.open_net) === delta.net &&
+        (!firstEntry || new Date(booking.open_available_at).getTime() === availableAt.getTime());
+      if (unchanged) continue;
+
+      await db.query(
+        `UPDATE payout_ledger
+         SET gross_amount = $2, refunded_amount = $3, platform_fee = $4, net_amount = $5,
+             available_at = CASE WHEN entry_type = 'booking' THEN $6 ELSE available_at END, updated_at = NOW()
+         WHERE id = $1 AND status = 'pending'`,
+        [booking.open_id, delta.gross, delta.refunded, delta.fee, delta.net, availableAt]
+      );
+      counts.updated++;
+    } else if (!nothingOwed && (gross > 0 || !firstEntry)) {
+      await db.query(
+        `INSERT INTO payout_ledger (business_id, booking_id, entry_type, gross_amount, refunded_amount, platform_fee, net_amount, available_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (booking_id) WHERE status = 'pending' DO NOTHING`,
+        [booking.business_id, booking.id, firstEntry ? "booking" : "adjustment",
+          delta.gross, delta.refunded, delta.fee, delta.net, availableAt]
+      );
+      counts.created++;
+    }
+  }
+  return counts;
+}
+
+// ──────────────────────────────
+//  PAYOUT BATCH
+// ──────────────────────────────
+
+function payoutReference(payout) {
+  return `PAYOUT-${new Date(payout.created_at).getFullYear()}-${String(payout.id).padStart(6, "0")}`;
+}
+
+// Gather everything due for one business into a payout (null when nothing is owed)
+async function openPayout(businessId, destination) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows: created } = await client.query(
+      `INSERT INTO payouts (business_id, amount, destination) VALUES ($1, 0, $2) RETURNING *`,
+      [businessId, destination]
+    );
+    const payout = created[0];
+
+    const { rows: entries } = await client.query(
+      `UPDATE payout_ledger l
+       SET status = 'in_payout', payout_id = $2, updated_at = NOW()
+       WHERE l.business_id = $1 AND l.status = 'pending' AND l.available_at <= NOW()
+         AND NOT EXISTS (SELECT 1 FROM bookings b WHERE b.id = l.booking_id AND b.disputed)
+       RETURNING l.booking_id, l.net_amount`,
+      [businessId, payout.id]
+    );
+    const amount = round(entries.reduce((sum, entry) => sum + Number(entry.net_amount), 0));
+
+    // Refunds can outweigh new takings; carry the balance to the next batch
+    if (amount <= 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const { rows } = await client.query(
+      `UPDATE payouts SET amount = $2, booking_count = $3, reference = $4 WHERE id = $1 RETURNING *`,
+      [payout.id, amount, new Set(entries.map(entry => entry.booking_id)).size, payoutReference(payout)]
+    );
+    await client.query("COMMIT");
+    return rows[0];
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Send a payout's transfer. The idempotency key makes a retry after a crash
+// return the transfer Stripe already made instead of paying twice.
+// Stripe errors that mean the transfer was refused, not that the outcome is unknown
+const DEFINITE_TRANSFER_ERRORS = [
+  "StripeCardError",
+  "StripeInvalidRequestError",
+  "StripePermissionError",
+  "StripeAuthenticationError"
+];
+
+async function sendPayout(payout) {
+  let transfer;
+  try {
+    transfer = await stripe.transfers.create(
+      {
+        amount: Math.round(Number(payout.amount) * 100),
+        currency: (payout.currency || "GBP").toLowerCase(),
+        destination: payout.destination,
+        transfer_group: payout.reference,
+        metadata: { payoutId: String(payout.id), businessId: String(payout.business_id), reference: payout.reference }
+      },
+      { idempotencyKey: `payout-${payout.id}` }
+    );
+  } catch (error) {
+    // A timeout or Stripe-side error may still have made the transfer, so the
+    // payout stays 'processing' and the next batch retries it under the same key
+    if (!DEFINITE_TRANSFER_ERRORS.includes(error.type)) {
+      const { rows } = await db.query(
+        "UPDATE payouts SET failure_reason = $2, updated_at = NOW() WHERE id = $1 RETURNING *",
+        [payout.id, error.message]
+      );
+      console.error(`⚠️ Payout ${payout.reference} to business #${payout.business_id} will be retried:`, error.message);
+      return { payout: rows[0], failed: true, retrying: true };
+    }
+
+    // Stripe refused the transfer: entries go back into the queue for the next batch
+    await db.query(
+      "UPDATE payout_ledger SET status = 'pending', payout_id = NULL, updated_at = NOW() WHERE payout_id = $1 AND status = 'in_payout'",
+      [payout.id]
+    );
+    const { rows } = await db.query(
+      "UPDATE payouts SET status = 'failed', failure_reason = $2, updated_at = NOW() WHERE id = $1 RETURNING *",
+      [payout.id, error.message]
+    );
+    console.error(`❌ Payout ${payout.reference} to business #${payout.business_id} failed:`, error.message);
+    return { payout: rows[0], failed: true };
+  }
+
+  await db.query(
+    "UPDATE payout_ledger SET status = 'paid', updated_at = NOW() WHERE payout_id = $1 AND status = 'in_payout'",
+    [payout.id]
+  );
+  const { rows } = await db.query(
+    `UPDATE payouts SET status = 'paid', stripe_transfer_id = $2, paid_at = COALESCE(paid_at, NOW()), updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [payout.id, transfer.id]
+  );
+  console.log(`💸 Payout ${payout.reference}: £${Number(payout.amount).toFixed(2)} to business #${payout.business_id}`);
+  return { payout: rows[0], notification: await notifyPayoutSent(rows[0]) };
+}
+
+/**
+ * Pay every business what is due: bookings past the hold period, not disputed,
+ * less refunds and fees, in one Stripe Connect transfer per business.
+ * Payouts left mid-transfer by a restart or an unanswered transfer are finished first.
+ * @param {Object} [options] - { businessId } to run for one business only
+ * @returns {Promise<Object>} { paid: [{ payout, notification }], failed: [{ payout }], ledger }
+ */
+export async function runPayoutBatch({ businessId = null } = {}) {
+  const results = [];
+
+  const { rows: interrupted } = await db.query(
+    "SELECT * FROM payouts WHERE status = 'processing' AND ($1::int IS NULL OR business_id = $1) ORDER BY id",
+    [businessId]
+  );
+  for (const payout of interrupted) {
+    results.push(await sendPayout(payout));
+  }
+
+  const ledger = await syncPayoutLedger({ businessId });
+
+  // Businesses keep accruing until they link an account and Stripe enables payouts to it
+  const { rows: due } = await db.query(
+    `SELECT l.business_id, biz.stripe_account_id
+     FROM payout_ledger l
+     JOIN businesses biz ON biz.id = l.business_id
+     WHERE l.status = 'pending' AND l.available_at <= NOW()
+       AND biz.stripe_account_id IS NOT NULL AND biz.stripe_payouts_enabled
+       AND ($1::int IS NULL OR l.business_id = $1)
+     GROUP BY l.business_id, biz.stripe_account_id
+     HAVING SUM(l.net_amount) > 0`,
+    [businessId]
+  );
+  for (const { business_id, stripe_account_id } of due) {
+    const payout = await openPayout(business_id, stripe_account_id);
+    if (payout) results.push(await sendPayout(payout));
+  }
+
+  return {
+    paid: results.filter(result => !result.failed),
+    failed: results.filter(result => result.failed),
+    ledger
+  };
+}
+
+/**
+ * A transfer Stripe reports as reversed takes its payout with it
+ * @param {Object} transfer - Stripe transfer from a transfer.* webhook
+ * @returns {Promise<Object|null>} Updated payout, if the transfer was one
+ */
+export async function recordTransferReversal(transfer) {
+  if (!transfer.amount_reversed) return null;
+  const { rows } = await db.query(
+    `UPDATE payouts SET status = 'reversed', updated_at = NOW()
+     WHERE stripe_transfer_id = $1 AND status <> 'reversed'
+     RETURNING *`,
+    [transfer.id]
+  );
+  if (rows.length) console.log(`↩️ Payout ${rows[0].reference} reversed by Stripe`);
+  return rows[0] || null;
+}
+
+/**
+ * Tell the business a payout is on its way
+ * @param {Object} payout - Paid payout
+ * @returns {Promise<Object>} Notification row
+ */
+export async function notifyPayoutSent(payout) {
+  const { rows } = await db.query(
+    `INSERT INTO notifications (business_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'success', 'payouts') RETURNING *`,
+    [
+      payout.business_id,
+      "Payout Sent",
+      `£${Number(payout.amount).toFixed(2)} for ${payout.booking_count} booking${payout.booking_count === 1 ? "" : "s"} ` +
+        `is on its way to your bank (${payout.reference}). Funds typically arrive in 2–3 business days.`
+    ]
+  );
+  return rows[0];
+}
+
+// ──────────────────────────────
+//  BUSINESS VIEWS
+// ──────────────────────────────
+
+/**
+ * Payout as the business dashboards show it
+ * @param {Object} payout - Payout row
+ * @returns {Object} { id, reference, date, amount, currency, bookingCount, status, method, processedAt, failureReason }
+ */
+export function formatPayout(payout) {
+  return {
+    id: payout.id,
+    reference: payout.reference,
+    date: payout.paid_at || payout.created_at,
+    amount: Number(payout.amount),
+    currency: payout.currency,
+    bookingCount: payout.booking_count,
+    status: payout.status,
+    method: "stripe_connect",
+    processedAt: payout.paid_at,
+    failureReason: payout.failure_reason
+  };
+}
+
+function formatEntry(entry) {
+  return {
+    bookingId: entry.booking_id,
+    entryType: entry.entry_type,
+    service: entry.service,
+    appointment: entry.start_time,
+    gross: Number(entry.gross_amount),
+    refunded: Number(entry.refunded_amount),
+    platformFee: Number(entry.platform_fee),
+    net: Number(entry.net_amount),
+    status: entry.status,
+    availableAt: entry.available_at
+  };
+}
+
+function sumEntries(entries) {
+  const totals = entries.reduce((sum, entry) => ({
+    gross: sum.gross + entry.gross,
+    refunded: sum.refunded + entry.refunded,
+    platformFee: sum.platformFee + entry.platformFee,
+    net: sum.net + entry.net
+  }), { gross: 0, refunded: 0, platformFee: 0, net: 0 });
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)]));
+}
+
+/**
+ * A business's payouts, newest first
+ * @param {number} businessId - Business ID
+ * @param {Object} [filters] - { status, limit }
+ * @returns {Promise<Array>} [{ id, reference, date, amount, bookingCount, status, method, processedAt, failureReason }]
+ */
+export async function listPayouts(businessId, { status = null, limit = 100 } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM payouts
+     WHERE business_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [businessId, status, Math.min(Math.max(parseInt(limit) || 100, 1), 500)]
+  );
+  return rows.map(formatPayout);
+}
+
+/**
+ * One payout with the bookings it settled
+ * @param {number} businessId - Business ID
+ * @param {number} payoutId - Payout ID
+ * @returns {Promise<Object|null>} { payout, lines, totals } or null if not this business's
+ */
+export async function getPayoutStatement(businessId, payoutId) {
+  const { rows: payouts } = await db.query(
+    "SELECT * FROM payouts WHERE id = $1 AND business_id = $2",
+    [payoutId, businessId]
+  );
+  if (!payouts.length) return null;
+
+  const { rows } = await db.query(
+    `SELECT l.*, b.service, b.start_time
+     FROM payout_ledger l LEFT JOIN bookings b ON b.id = l.booking_id
+     WHERE l.payout_id = $1
+     ORDER BY b.start_time NULLS LAST, l.id`,
+    [payoutId]
+  );
+  const lines = rows.map(formatEntry);
+  return { payout: formatPayout(payouts[0]), lines, totals: sumEntries(lines) };
+}
+
+/**
+ * Earnings statement for a period: every ledger entry for appointments in it
+ * (adjustments by when they were made), paid out or not
+ * @param {number} businessId - Business ID
+ * @param {Object} [period] - { from, to } (default: the last 30 days)
+ * @returns {Promise<Object>} { from, to, lines, totals: { gross, refunded, platformFee, net }, paidOut, pending }
+ */
+export async function getEarningsStatement(businessId, { from = null, to = null } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new RangeError("from and to must be dates");
+  }
+
+  const { rows } = await db.query(
+    `SELECT l.*, b.service, b.start_time
+     FROM payout_ledger l LEFT JOIN bookings b ON b.id = l.booking_id
+     WHERE l.business_id = $1
+       AND CASE WHEN l.entry_type = 'booking' THEN b.start_time ELSE l.created_at END BETWEEN $2 AND $3
+     ORDER BY CASE WHEN l.entry_type = 'booking' THEN b.start_time ELSE l.created_at END, l.id`,
+    [businessId, start, end]
+  );
+  const lines = rows.map(formatEntry);
+  return {
+    from: start,
+    to: end,
+    lines,
+    totals: sumEntries(lines),
+    paidOut: sumEntries(lines.filter(line => line.status === "paid")).net,
+    pending: sumEntries(lines.filter(line => line.status !== "paid")).net
+  };
+}
+
+// First batch run at or after a moment
+function nextBatchAfter(moment) {
+  const run = new Date(moment);
+  run.setHours(PAYOUT_BATCH_HOUR, 0, 0, 0);
+  if (run < moment) run.setDate(run.getDate() + 1);
+  return run;
+}
+
+/**
+ * Headline payout figures for the business payouts dashboard
+ * @param {number} businessId - Business ID
+ * @returns {Promise<Object>} { total_earnings, pending_payouts, completed_payouts, last_payout_date,
+ *   pending_amount, held_amount, paid_amount, next_payout_date }
+ */
+export async function getPayoutStats(businessId) {
+  const { rows: ledger } = await db.query(
+    `SELECT COALESCE(SUM(net_amount), 0) AS total_earnings,
+            COALESCE(SUM(net_amount) FILTER (WHERE status <> 'paid'), 0) AS pending_amount,
+            COALESCE(SUM(net_amount) FILTER (WHERE status = 'pending' AND available_at > NOW()), 0) AS held_amount,
+            MIN(available_at) FILTER (WHERE status = 'pending') AS next_available_at
+     FROM payout_ledger WHERE business_id = $1`,
+    [businessId]
+  );
+  const { rows: payouts } = await db.query(
+    `SELECT COUNT(*) FILTER (WHERE status = 'processing')::int AS pending_payouts,
+            COUNT(*) FILTER (WHERE status = 'paid')::int AS completed_payouts,
+            COALESCE(SUM(amount) FILTER (WHERE status = 'paid'), 0) AS paid_amount,
+            MAX(paid_at) AS last_payout_date
+     FROM payouts WHERE business_id = $1`,
+    [businessId]
+  );
+
+  const { next_available_at: nextAvailable, ...totals } = ledger[0];
+  const pendingAmount = Number(totals.pending_amount);
+  return {
+    total_earnings: Number(totals.total_earnings),
+    pending_payouts: payouts[0].pending_payouts,
+    completed_payouts: payouts[0].completed_payouts,
+    last_payout_date: payouts[0].last_payout_date,
+    pending_amount: pendingAmount,
+    held_amount: Number(totals.held_amount),
+    paid_amount: Number(payouts[0].paid_amount),
+    next_payout_date: pendingAmount > 0 && nextAvailable
+      ? nextBatchAfter(new Date(Math.max(Date.now(), new Date(nextAvailable).getTime())))
+      : null
+  };
+}
+
+/**
+ * Payouts across all businesses for the admin panel, newest first
+ * @param {Object} [filters] - { status, businessId, limit }
+ * @returns {Promise<Array>} Payout rows with business_name
+ */
+export async function listAllPayouts({ status = null, businessId = null, limit = 100 } = {}) {
+  const { rows } = await db.query(
+    `SELECT p.*, biz.name AS business_name
+     FROM payouts p JOIN businesses biz ON biz.id = p.business_id
+     WHERE ($1::text IS NULL OR p.status = $1) AND ($2::int IS NULL OR p.business_id = $2)
+     ORDER BY p.created_at DESC
+     LIMIT $3`,
+    [status, businessId, Math.min(Math.max(parseInt(limit) || 100, 1), 500)]
+  );
+  return rows;
+}
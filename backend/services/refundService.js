@@ -0,0 +1,517 @@
+// backend/services/refundService.js
+import Stripe from "stripe";
+import db from "../db.js";
+import { deductPoints, reverseReferralBonus } from "../rewards.js";
+import { splitAmount } from "./depositService.js";
+import { syncPayoutLedger } from "./payoutService.js";
+import { canManageBooking } from "./rescheduleService.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+export const ACTOR_TYPES = ["admin", "business", "customer", "system", "stripe"];
+
+// Refunds that have been, or are being, given back
+const COUNTED = ["pending", "succeeded"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Stripe's refund statuses as the ledger keeps them (requires_action is still on its way)
+const ledgerStatus = (status) => (status === "requires_action" ? "pending" : status);
+
+// Paid through Stripe: a balance settled in cash can't be refunded to a card
+const PAID_SQL = `
+  COALESCE(b.amount_paid, b.total_amount, 0)
+  - CASE WHEN b.balance_status = 'paid_in_person' THEN COALESCE(b.total_amount, 0) - COALESCE(b.deposit_amount, 0) ELSE 0 END`;
+
+// ──────────────────────────────
+//  REFUNDS
+// ──────────────────────────────
+//
+// A booking can be refunded in several steps, each a row in `refunds`. The rows
+// are written (pending) inside a transaction that locks the bookings, so two
+// refunds at once can never give back more than was paid; Stripe is called after
+// commit with the row id as idempotency key. A deposit booking whose balance was
+// paid in-app has two PaymentIntents: the balance is refunded first, so the
+// deposit is only touched when more than the balance comes back.
+
+/**
+ * What each of a booking's PaymentIntents can still refund
+ * @param {Object} booking - Booking row with paid (amount_paid or total_amount)
+ * @param {Object} refunded - Amount already refunded (£) per PaymentIntent ID
+ * @returns {Array<Object>} [{ intent, capacity }], balance payment first
+ */
+export function paymentCapacities(booking, refunded) {
+  const balancePaid = booking.balance_payment_intent && booking.balance_status === "paid";
+  const balance = balancePaid ? Math.max(Number(booking.total_amount) - Number(booking.deposit_amount || 0), 0) : 0;
+  const payments = [];
+  if (balancePaid) {
+    payments.push({ intent: booking.balance_payment_intent, capacity: balance });
+  }
+  if (booking.stripe_payment_intent) {
+    payments.push({ intent: booking.stripe_payment_intent, capacity: Number(booking.paid) - balance });
+  }
+  return payments.map(payment => ({
+    ...payment,
+    capacity: round(Math.max(payment.capacity - (refunded[payment.intent] || 0), 0))
+  }));
+}
+
+/**
+ * Refund a booking, in full or in part. Pass an amount to refund part of one
+ * booking, or lineItems (bookings of the same appointment or payment) to refund
+ * each of them in full; with neither, whatever is left on the booking is refunded.
+ * @param {number} bookingId - Booking ID
+ * @param {Object} request - { amount, lineItems, reason, actor: { type, id }, source, businessId } (businessId: only a booking of that business)
+ * @returns {Promise<Object>} { success, refunds, failed, bookings } or { success: false, status, reason }
+ */
+export async function refundBooking(bookingId, {
+  amount = null,
+  lineItems = null,
+  reason = null,
+  actor = { type: "system", id: null },
+  source = null,
+  businessId = null
+} = {}) {
+  if (!ACTOR_TYPES.includes(actor?.type)) {
+    return { success: false, status: 400, reason: `actor must be one of ${ACTOR_TYPES.join(", ")}` };
+  }
+  if (amount != null && !(Number(amount) > 0)) {
+    return { success: false, status: 400, reason: "amount must be more than zero" };
+  }
+  if (amount != null && lineItems?.length) {
+    return { success: false, status: 400, reason: "Refund either an amount or line items, not both" };
+  }
+
+  const client = await db.connect();
+  let planned;
+  try {
+    await client.query("BEGIN");
+    const { rows: [booking] } = await client.query(
+      `SELECT b.*, (${PAID_SQL})::numeric AS paid FROM bookings b WHERE b.id = $1 FOR UPDATE`,
+      [bookingId]
+    );
+    if (!booking || (businessId && booking.business_id !== businessId)) {
+      await client.query("ROLLBACK");
+      return { success: false, status: 404, reason: "Booking not found" };
+    }
+
+    let targets = [booking];
+    if (lineItems?.length) {
+      const ids = [...new Set(lineItems.map(id => parseInt(id)))];
+      const { rows } = await client.query(
+        `SELECT b.*, (${PAID_SQL})::numeric AS paid FROM bookings b
+         WHERE b.id = ANY($1::int[])
+           AND (b.stripe_payment_intent = $2 OR (b.appointment_id IS NOT NULL AND b.appointment_id = $3))
+         ORDER BY b.id
+         FOR UPDATE`,
+        [ids, booking.stripe_payment_intent, booking.appointment_id]
+      );
+      if (rows.length !== ids.length) {
+        await client.query("ROLLBACK");
+        return { success: false, status: 400, reason: "Line items must be bookings paid for with this booking" };
+      }
+      targets = rows;
+    }
+
+    const { rows: counted } = await client.query(
+      `SELECT booking_id, payment_intent, SUM(amount) AS amount FROM refunds
+       WHERE booking_id = ANY($1::int[]) AND status = ANY($2::text[])
+       GROUP BY booking_id, payment_intent`,
+      [targets.map(target => target.id), COUNTED]
+    );
+
+    planned = [];
+    for (const target of targets) {
+      const refunded = Object.fromEntries(counted
+        .filter(row => row.booking_id === target.id)
+        .map(row => [row.payment_intent, Number(row.amount)]));
+      const payments = paymentCapacities(target, refunded);
+      const refundable = round(payments.reduce((sum, payment) => sum + payment.capacity, 0));
+      let remaining = amount != null ? round(Number(amount)) : refundable;
+
+      if (remaining > refundable) {
+        await client.query("ROLLBACK");
+        return {
+          success: false,
+          status: 400,
+          reason: refundable > 0
+            ? `Only £${refundable.toFixed(2)} of booking #${target.id} can still be refunded`
+            : `Booking #${target.id} has nothing left to refund`
+        };
+      }
+
+      for (const payment of payments) {
+        const share = round(Math.min(remaining, payment.capacity));
+        if (share <= 0) continue;
+        const { rows: [row] } = await client.query(
+          `INSERT INTO refunds (booking_id, business_id, customer_id, payment_intent, amount, reason, actor_type, actor_id, source)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING *`,
+          [target.id, target.business_id, target.customer_id, payment.intent, share,
+            reason, actor.type, actor.id ?? null, source || actor.type]
+        );
+        planned.push(row);
+        remaining = round(remaining - share);
+      }
+    }
+
+    if (!planned.length) {
+      await client.query("ROLLBACK");
+      return { success: false, status: 400, reason: "Nothing left to refund" };
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const refunds = [];
+  const failed = [];
+  for (const row of planned) {
+    try {
+      const refund = await stripe.refunds.create({
+        payment_intent: row.payment_intent,
+        amount: Math.round(Number(row.amount) * 100),
+        reason: "requested_by_customer",
+        metadata: { booking_id: String(row.booking_id), refund_id: String(row.id), source: row.source }
+      }, { idempotencyKey: `refund-${row.id}` });
+
+      const { rows } = await db.query(
+        `UPDATE refunds SET stripe_refund_id = $2, status = $3, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [row.id, refund.id, ledgerStatus(refund.status)]
+      );
+      refunds.push(rows[0]);
+    } catch (error) {
+      console.error(`❌ Refund of £${Number(row.amount).toFixed(2)} for booking #${row.booking_id} failed:`, error.message);
+      const { rows } = await db.query(
+        `UPDATE refunds SET status = 'failed', failure_reason = $2, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [row.id, error.message]
+      );
+      failed.push(rows[0]);
+    }
+  }
+
+  const bookings = await settleRefunds([...new Set(planned.map(row => row.booking_id))]);
+  if (!refunds.length) {
+    return { success: false, status: 502, reason: failed[0]?.failure_reason || "Stripe refund failed", failed };
+  }
+
+  const total = refunds.reduce((sum, row) => sum + Number(row.amount), 0);
+  console.log(`↩️ Refunded £${total.toFixed(2)} on booking #${bookingId} (${actor.type}${reason ? `: ${reason}` : ""})`);
+  return { success: true, refunds: refunds.map(formatRefund), failed: failed.map(formatRefund), bookings };
+}
+
+/**
+ * Bring the refund ledger in step with what Stripe has refunded on a PaymentIntent
+ * (charge.refunded webhook). Refunds issued here are matched by their ledger id;
+ * refunds made elsewhere (the Stripe dashboard, cancellations) are added, on the
+ * booking named in their metadata or spread over the bookings the payment covered.
+ * @param {string} paymentIntentId - PaymentIntent ID
+ * @returns {Promise<Array>} Settled bookings (see settleRefunds)
+ */
+export async function reconcileStripeRefunds(paymentIntentId) {
+  const { rows: bookings } = await db.query(
+    `SELECT b.*, (${PAID_SQL})::numeric AS paid FROM bookings b
+     WHERE b.stripe_payment_intent = $1 OR b.balance_payment_intent = $1
+     ORDER BY b.id`,
+    [paymentIntentId]
+  );
+  if (!bookings.length) return [];
+
+  const { data: stripeRefunds } = await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+  for (const refund of stripeRefunds) {
+    const refundId = parseInt(refund.metadata?.refund_id);
+    if (refundId) {
+      await db.query(
+        `UPDATE refunds SET stripe_refund_id = $2, status = $3,
+                failure_reason = $4, updated_at = NOW()
+         WHERE id = $1 AND (stripe_refund_id IS NULL OR stripe_refund_id = $2)`,
+        [refundId, refund.id, ledgerStatus(refund.status), refund.failure_reason || null]
+      );
+      continue;
+    }
+
+    const { rowCount } = await db.query(
+      "UPDATE refunds SET status = $2, failure_reason = $3, updated_at = NOW() WHERE stripe_refund_id = $1",
+      [refund.id, ledgerStatus(refund.status), refund.failure_reason || null]
+    );
+    if (rowCount) continue;
+
+    const named = bookings.find(booking => String(booking.id) === refund.metadata?.booking_id);
+    const targets = named ? [named] : bookings;
+    const shares = named
+      ? [refund.amount / 100]
+      : splitAmount(refund.amount / 100, bookings.map(booking => Number(booking.paid) || 0));
+    for (const [index, booking] of targets.entries()) {
+      if (!(shares[index] > 0)) continue;
+      await db.query(
+        `INSERT INTO refunds (booking_id, business_id, customer_id, payment_intent, stripe_refund_id, amount, currency,
+                              reason, actor_type, source, status, failure_reason, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'stripe', $9, $10, $11, TO_TIMESTAMP($12))
+         ON CONFLICT (stripe_refund_id, booking_id) WHERE stripe_refund_id IS NOT NULL DO NOTHING`,
+        [booking.id, booking.business_id, booking.customer_id, paymentIntentId, refund.id, shares[index],
+          (refund.currency || "gbp").toUpperCase(), refund.reason, refund.metadata?.source || "stripe_dashboard",
+          ledgerStatus(refund.status), refund.failure_reason || null, refund.created]
+      );
+    }
+  }
+
+  return settleRefunds(bookings.map(booking => booking.id));
+}
+
+/**
+ * After refunds change: total them onto each booking, reverse BlkPoints for what
+ * was refunded, and bring the payout ledger up to date
+ * @param {Array<number>} bookingIds - Booking IDs
+ * @returns {Promise<Array>} [{ booking, refunded, fullyRefunded, changed, pointsReversed }]
+ */
+export async function settleRefunds(bookingIds) {
+  const results = [];
+  for (const bookingId of bookingIds) {
+    const { rows: [before] } = await db.query(
+      "SELECT refunded_amount, payment_status FROM bookings WHERE id = $1",
+      [bookingId]
+    );
+    const { rows } = await db.query(
+      `UPDATE bookings b
+       SET refunded_amount = r.total,
+           payment_status = CASE
+             WHEN r.total > 0 AND r.total >= (${PAID_SQL}) THEN 'refunded'
+             WHEN r.total > 0 THEN 'partially_refunded'
+             -- Every refund failed: back to paid (a lost dispute, with no ledger rows, is left alone)
+             WHEN r.entries > 0 AND b.payment_status IN ('refunded', 'partially_refunded') THEN 'paid'
+             ELSE b.payment_status END,
+           updated_at = NOW()
+       FROM (SELECT COALESCE(SUM(amount) FILTER (WHERE status = ANY($2::text[])), 0) AS total, COUNT(*) AS entries
+             FROM refunds WHERE booking_id = $1) r
+       WHERE b.id = $1
+       RETURNING b.*`,
+      [bookingId, COUNTED]
+    );
+    if (!rows.length) continue;
+
+    let booking = rows[0];
+    const fullyRefunded = booking.payment_status === "refunded";
+    const changed = Number(before.refunded_amount || 0) !== Number(booking.refunded_amount) ||
+      before.payment_status !== booking.payment_status;
+
+    let pointsReversed = 0;
+    if (fullyRefunded) {
+      // Claiming refunded_at keeps a replayed webhook from reversing points twice
+      const { rows: claimed } = await db.query(
+        "UPDATE bookings SET refunded_at = NOW() WHERE id = $1 AND refunded_at IS NULL RETURNING *",
+        [bookingId]
+      );
+      if (claimed.length) {
+        booking = claimed[0];
+        pointsReversed = (await reverseRefundPoints(bookingId, { full: true })).pointsReversed;
+      }
+    } else if (changed) {
+      pointsReversed = (await reverseRefundPoints(bookingId)).pointsReversed;
+    }
+
+    try {
+      await syncPayoutLedger({ bookingId });
+    } catch (error) {
+      // The next payout batch syncs the ledger anyway
+      console.error(`Failed to update payout ledger for booking #${bookingId}:`, error.message);
+    }
+
+    results.push({ booking, refunded: Number(booking.refunded_amount), fullyRefunded, changed, pointsReversed });
+  }
+  return results;
+}
+
+/**
+ * Socket events for settled refunds, in the { to, id, event, payload } shape
+ * emitOutcome (routes/stripeWebhooks.js) sends: the booking's new status and
+ * any BlkPoints reversed to the customer, and the refund to the business
+ * @param {Array} settled - Result of settleRefunds
+ * @returns {Array<Object>} Emits
+ */
+export function refundEmits(settled) {
+  const emits = [];
+  const timestamp = new Date().toISOString();
+  for (const { booking, refunded, fullyRefunded, changed, pointsReversed } of settled) {
+    if (!changed) continue;
+    emits.push({
+      to: "customer",
+      id: booking.customer_id,
+      event: "booking_status_changed",
+      payload: {
+        bookingId: booking.id,
+        status: fullyRefunded ? "refunded" : booking.status,
+        stage: fullyRefunded ? "refunded" : undefined,
+        paymentStatus: booking.payment_status,
+        refundedAmount: refunded,
+        pointsReversed,
+        label: fullyRefunded ? (pointsReversed ? "Refunded – Points reversed" : "Refunded") : "Partially refunded",
+        message: `£${refunded.toFixed(2)} has been refunded to your card.` +
+          (pointsReversed ? ` ${pointsReversed} BlkPoints have been reversed.` : ""),
+        styling: fullyRefunded ? "red" : undefined,
+        timestamp
+      }
+    });
+    if (pointsReversed) {
+      emits.push({
+        to: "customer",
+        id: booking.customer_id,
+        event: "loyalty_points_updated",
+        payload: { points: -pointsReversed, added: -pointsReversed, reason: `Refund for booking #${booking.id}`, bookingId: booking.id, timestamp }
+      });
+    }
+    emits.push({
+      to: "business",
+      id: booking.business_id,
+      event: "booking_refunded",
+      payload: { bookingId: booking.id, refundedAmount: refunded, paymentStatus: booking.payment_status, timestamp }
+    });
+  }
+  return emits;
+}
+
+// ──────────────────────────────
+//  BLKPOINTS
+// ──────────────────────────────
+
+/**
+ * How many of a booking's BlkPoints should have been taken back in total
+ * @param {Object} booking - Booking row
+ * @param {Object} [options] - { full } everything the booking earned
+ * @returns {number} Points to have reversed
+ */
+export function refundPointsTarget(booking, { full = false } = {}) {
+  const base = Number(booking.amount_paid ?? booking.total_amount);
+  const awarded = booking.points_awarded ?? Math.floor(base);
+  const kept = full ? 0 : Math.min(awarded, Math.floor(Math.max(base - Number(booking.refunded_amount || 0), 0)));
+  return awarded - kept;
+}
+
+/**
+ * Take back BlkPoints for what a booking has had refunded: 1 point per £1, up to
+ * what the booking earned. Only released points are reversed; the release cron
+ * never gives points for what was refunded before it ran.
+ * @param {number} bookingId - Booking ID
+ * @param {Object} [options] - { full } reverse everything the booking earned (full refund, lost dispute)
+ * @returns {Promise<Object>} { pointsReversed, referralReversed }
+ */
+export async function reverseRefundPoints(bookingId, { full = false } = {}) {
+  const { rows: [booking] } = await db.query("SELECT * FROM bookings WHERE id = $1", [bookingId]);
+  if (!booking?.points_released || !booking.customer_id) return { pointsReversed: 0, referralReversed: false };
+
+  const target = refundPointsTarget(booking, { full });
+  const delta = target - booking.points_reversed;
+  let pointsReversed = 0;
+
+  if (delta > 0) {
+    const { rowCount } = await db.query(
+      "UPDATE bookings SET points_reversed = $2 WHERE id = $1 AND points_reversed = $3",
+      [bookingId, target, booking.points_reversed]
+    );
+    if (rowCount) {
+      try {
+        await deductPoints(booking.customer_id, delta, `Refund for booking #${bookingId}`);
+        pointsReversed = delta;
+      } catch (error) {
+        await db.query("UPDATE bookings SET points_reversed = $2 WHERE id = $1", [bookingId, booking.points_reversed]);
+        throw error;
+      }
+    }
+  }
+
+  // The referrer's bonus, if this booking is the one that completed their referral
+  const referralReversed = full ? (await reverseReferralBonus(bookingId)).reversed : false;
+
+  return { pointsReversed, referralReversed };
+}
+
+// ──────────────────────────────
+//  HISTORY
+// ──────────────────────────────
+
+/**
+ * Refund as customers and businesses see it
+ * @param {Object} refund - refunds row (optionally with service and start_time)
+ * @returns {Object} { id, bookingId, service, appointment, amount, currency, reason, actor, source, status, stripeRefundId, createdAt }
+ */
+export function formatRefund(refund) {
+  return {
+    id: refund.id,
+    bookingId: refund.booking_id,
+    service: refund.service,
+    appointment: refund.start_time,
+    amount: Number(refund.amount),
+    currency: refund.currency,
+    reason: refund.reason,
+    actor: refund.actor_type,
+    source: refund.source,
+    status: refund.status,
+    stripeRefundId: refund.stripe_refund_id,
+    failureReason: refund.failure_reason,
+    createdAt: refund.created_at
+  };
+}
+
+/**
+ * Refunds, newest first
+ * @param {Object} filters - { bookingId, businessId, customerId, status, limit }
+ * @returns {Promise<Array>} Formatted refunds (see formatRefund)
+ */
+export async function listRefunds({ bookingId = null, businessId = null, customerId = null, status = null, limit = 100 } = {}) {
+  const { rows } = await db.query(
+    `SELECT r.*, b.service, b.start_time
+     FROM refunds r JOIN bookings b ON b.id = r.booking_id
+     WHERE ($1::int IS NULL OR r.booking_id = $1)
+       AND ($2::int IS NULL OR r.business_id = $2)
+       AND ($3::int IS NULL OR r.customer_id = $3)
+       AND ($4::text IS NULL OR r.status = $4)
+     ORDER BY r.created_at DESC, r.id DESC
+     LIMIT $5`,
+    [bookingId, businessId, customerId, status, Math.min(Math.max(parseInt(limit) || 100, 1), 500)]
+  );
+  return rows.map(formatRefund);
+}
+
+/**
+ * Total refunded (or on its way back) for a booking
+ * @param {number} bookingId - Booking ID
+ * @returns {Promise<number>} £ refunded
+ */
+export async function getTotalRefundsForBooking(bookingId) {
+  const { rows } = await db.query(
+    "SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE booking_id = $1 AND status = ANY($2::text[])",
+    [bookingId, COUNTED]
+  );
+  return Number(rows[0].total);
+}
+
+/**
+ * A booking's refunds for the customer (signed manage link or their own account)
+ * @param {number} bookingId - Booking ID
+ * @param {Object} access - { token, user }
+ * @returns {Promise<Object>} { success, booking: { id, service, paid, refunded, refundable }, refunds } or { success: false, status, reason }
+ */
+export async function getBookingRefunds(bookingId, access) {
+  const { rows: [booking] } = await db.query(
+    `SELECT b.*, (${PAID_SQL})::numeric AS paid FROM bookings b WHERE b.id = $1`,
+    [bookingId]
+  );
+  if (!booking) return { success: false, status: 404, reason: "Booking not found" };
+  if (!canManageBooking(booking, access)) return { success: false, status: 403, reason: "Invalid or expired link" };
+
+  const refunded = await getTotalRefundsForBooking(bookingId);
+  return {
+    success: true,
+    booking: {
+      id: booking.id,
+      service: booking.service,
+      paid: round(Number(booking.paid)),
+      refunded,
+      refundable: round(Math.max(Number(booking.paid) - refunded, 0)),
+      paymentStatus: booking.payment_status
+    },
+    refunds: await listRefunds({ bookingId })
+  };
+}
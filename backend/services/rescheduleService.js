@@ -0,0 +1,261 @@
+// backend/services/rescheduleService.js
+import crypto from "crypto";
+import { createRequire } from "module";
+import db from "../db.js";
+import { getAvailability, checkSlotAvailability, withBusinessScheduleLock } from "./availabilityService.js";
+import { sendRescheduleMessages, rescheduleBookingReminder } from "./bookingMessageService.js";
+
+// Same signed link as the guest cancellation emails (utils.js)
+const require = createRequire(import.meta.url);
+const { generateSecureToken, validateSecureToken } = require("../../utils.js");
+
+// ──────────────────────────────
+//  CUSTOMER RESCHEDULING
+// ──────────────────────────────
+//
+// A booking keeps its id, payment intent, price and any pending BlkPoints
+// redemption when it moves; only the slot (and possibly the stylist) changes.
+
+const RESCHEDULABLE_STATUSES = ["confirmed", "pending"];
+
+/**
+ * Issue (or reissue) the manage link for a booking. The token is the signed
+ * booking token from utils.js, valid until the appointment starts; a copy is
+ * stored so the link keeps working when the booking moves later.
+ * @param {number} bookingId - Booking ID
+ * @param {string} baseUrl - Frontend base URL
+ * @returns {Promise<Object|null>} { url, token, expiresAt } or null if the booking does not exist
+ */
+export async function issueManageLink(bookingId, baseUrl = process.env.FRONTEND_URL || "https://blkpages.com") {
+  const { rows } = await db.query("SELECT id, customer_email, start_time FROM bookings WHERE id = $1", [bookingId]);
+  const booking = rows[0];
+  if (!booking) return null;
+
+  const hoursUntilStart = Math.max(1, Math.ceil((new Date(booking.start_time) - Date.now()) / 3600000));
+  const token = generateSecureToken(String(booking.id), hoursUntilStart);
+
+  const { rows: updated } = await db.query(
+    `UPDATE bookings
+     SET manage_token = $2, manage_token_expires_at = NOW() + make_interval(hours => $3), updated_at = NOW()
+     WHERE id = $1
+     RETURNING manage_token_expires_at`,
+    [bookingId, token, hoursUntilStart]
+  );
+
+  return {
+    url: `${baseUrl}/cancel-booking.html?booking=${bookingId}&token=${token}`,
+    token,
+    expiresAt: updated[0].manage_token_expires_at
+  };
+}
+
+/**
+ * Whether the caller may manage the booking: the signed-in customer who owns
+ * it, the stored manage link token, or any unexpired link signed for it
+ * (e.g. a guest cancellation link from utils.js generateCancellationUrl).
+ * @param {Object} booking - Booking row
+ * @param {Object} access - { token, user }
+ * @returns {boolean}
+ */
+export function canManageBooking(booking, { token, user } = {}) {
+  if (user?.id && String(user.id) === String(booking.customer_id)) return true;
+  if (!token) return false;
+
+  if (booking.manage_token &&
+      !(booking.manage_token_expires_at && new Date(booking.manage_token_expires_at) < new Date())) {
+    const given = Buffer.from(String(token));
+    const expected = Buffer.from(booking.manage_token);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return true;
+  }
+
+  return Boolean(booking.id) && validateSecureToken(String(booking.id), token);
+}
+
+/**
+ * Check a booking against its business's reschedule policy
+ * @param {Object} booking - Booking row joined with reschedule_window_hours and max_reschedules
+ * @param {Date} now - Current time
+ * @returns {Object} { allowed, reason, movesLeft, deadline }
+ */
+export function getRescheduleEligibility(booking, now = new Date()) {
+  const windowHours = booking.reschedule_window_hours ?? 24;
+  const maxMoves = booking.max_reschedules ?? 2;
+  const movesLeft = Math.max(0, maxMoves - (booking.reschedule_count || 0));
+  const deadline = new Date(new Date(booking.start_time).getTime() - windowHours * 3600000);
+
+  let reason = null;
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    reason = `A ${booking.status} booking cannot be rescheduled`;
+  } else if (!booking.service_id || booking.appointment_id) {
+    // Services in a multi-service appointment only work back to back, so one cannot move alone
+    reason = "This booking cannot be moved online. Please contact the business";
+  } else if (maxMoves === 0) {
+    reason = "This business does not allow rescheduling";
+  } else if (movesLeft === 0) {
+    reason = `This booking has already been moved ${booking.reschedule_count} times`;
+  } else if (now > deadline) {
+    reason = `Bookings can only be moved up to ${windowHours} hours before the appointment`;
+  }
+
+  return { allowed: !reason, reason, movesLeft, deadline };
+}
+
+async function loadBooking(client, bookingId, { forUpdate = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT bk.*, b.name AS business_name, b.reschedule_window_hours, b.max_reschedules
+     FROM bookings bk
+     JOIN businesses b ON b.id = bk.business_id
+     WHERE bk.id = $1
+     ${forUpdate ? "FOR UPDATE OF bk" : ""}`,
+    [bookingId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Policy status for a booking plus the slots it could move to on a given day
+ * @param {number} bookingId - Booking ID
+ * @param {Object} access - { token, user }
+ * @param {Object} params - { date, staffId }
+ * @returns {Promise<Object>} { success, booking, eligibility, availability } or { success: false, status, reason }
+ */
+export async function getRescheduleOptions(bookingId, access, { date = null, staffId = null } = {}) {
+  const booking = await loadBooking(db, bookingId);
+  if (!booking) return { success: false, status: 404, reason: "Booking not found" };
+  if (!canManageBooking(booking, access)) return { success: false, status: 403, reason: "Invalid or expired link" };
+
+  const eligibility = getRescheduleEligibility(booking);
+  const availability = eligibility.allowed && date
+    ? await getAvailability(booking.business_id, booking.service_id, date, {
+      staffId: staffId && staffId !== "any" ? parseInt(staffId) : null,
+      ignoreBookingId: booking.id
+    })
+    : null;
+
+  return {
+    success: true,
+    booking: {
+      id: booking.id,
+      businessId: booking.business_id,
+      businessName: booking.business_name,
+      service: booking.service,
+      staffId: booking.staff_id,
+      startTime: booking.start_time,
+      endTime: booking.end_time,
+      status: booking.status,
+      rescheduleCount: booking.reschedule_count || 0
+    },
+    eligibility,
+    availability
+  };
+}
+
+/**
+ * Move a booking to a new slot. The policy and the slot are both checked
+ * under the business schedule lock, so the move cannot race a new booking.
+ * @param {number} bookingId - Booking ID
+ * @param {Object} access - { token, user }
+ * @param {Object} params - { startTime, staffId }
+ * @returns {Promise<Object>} { success, booking, previous } or { success: false, status, reason }
+ */
+export async function rescheduleBooking(bookingId, access, { startTime, staffId = null }) {
+  const current = await loadBooking(db, bookingId);
+  if (!current) return { success: false, status: 404, reason: "Booking not found" };
+
+  return withBusinessScheduleLock(current.business_id, async (client) => {
+    const booking = await loadBooking(client, bookingId, { forUpdate: true });
+    if (!canManageBooking(booking, access)) {
+      return { success: false, status: 403, reason: "Invalid or expired link" };
+    }
+
+    const eligibility = getRescheduleEligibility(booking);
+    if (!eligibility.allowed) {
+      return { success: false, status: 409, reason: eligibility.reason };
+    }
+
+    const check = await checkSlotAvailability(booking.business_id, booking.service_id, startTime, {
+      client,
+      staffId: staffId && staffId !== "any" ? parseInt(staffId) : null,
+      ignoreBookingId: booking.id
+    });
+    if (!check.available) {
+      return { success: false, status: 409, reason: check.reason };
+    }
+
+    // Price, payment intent and points stay as they were when the customer paid
+    const { rows } = await client.query(
+      `UPDATE bookings
+       SET start_time = $2, end_time = $3, date = $2::timestamp::date, time = $2::timestamp::time,
+           staff_id = $4,
+           reschedule_count = COALESCE(reschedule_count, 0) + 1,
+           manage_token_expires_at = GREATEST(manage_token_expires_at, $2::timestamp),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [booking.id, check.slot.startTime, check.slot.endTime, check.staffId]
+    );
+
+    await client.query(
+      `INSERT INTO booking_reschedules (booking_id, previous_start_time, previous_staff_id, new_start_time, new_staff_id)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [booking.id, booking.start_time, booking.staff_id, check.slot.startTime, check.staffId]
+    );
+
+    console.log(`📅 Booking #${booking.id} moved from ${booking.start_time} to ${check.slot.startTime} `);
+    return {
+      success: true,
+      booking: { ...rows[0], business_name: booking.business_name },
+      previous: { startTime: booking.start_time, staffId: booking.staff_id }
+    };
+  });
+}
+
+/**
+ * Tell the customer and the business about a move
+ * @param {Object} booking - Updated booking (with business_name)
+ * @param {Object} previous - { startTime }
+ * @returns {Promise<Object>} { customer, business } notification rows
+ */
+export async function notifyReschedule(booking, previous) {
+  const when = formatSlot(booking.start_time);
+  const was = formatSlot(previous.startTime);
+
+  const { rows: customerRows } = await db.query(
+    `INSERT INTO notifications (customer_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'info', 'bookings') RETURNING *`,
+    [
+      booking.customer_id,
+      "Booking Rescheduled",
+      `Your ${booking.service} at ${booking.business_name} has moved from ${was} to ${when}.`
+    ]
+  );
+
+  const { rows: businessRows } = await db.query(
+    `INSERT INTO notifications (business_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'info', 'bookings') RETURNING *`,
+    [
+      booking.business_id,
+      "Booking Rescheduled",
+      `Booking #${booking.id} (${booking.service}) moved from ${was} to ${when}.`
+    ]
+  );
+
+  try {
+    await sendRescheduleMessages(booking, previous);
+    await rescheduleBookingReminder(booking.id);
+  } catch (error) {
+    console.error(`❌ Reschedule messages for booking #${booking.id} failed:`, error.message);
+  }
+
+  return { customer: customerRows[0], business: businessRows[0] };
+}
+
+function formatSlot(value) {
+  return new Date(value).toLocaleString("en-GB", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+}
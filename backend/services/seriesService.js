@@ -0,0 +1,477 @@
+// backend/services/seriesService.js
+import Stripe from "stripe";
+import db from "../db.js";
+import { checkSlotAvailability, withBusinessScheduleLock } from "./availabilityService.js";
+import { canManageBooking } from "./rescheduleService.js";
+import { calculateDeposit } from "./depositService.js";
+import { getRequiredDeposit } from "./noShowService.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// ──────────────────────────────
+//  RECURRING BOOKINGS
+// ──────────────────────────────
+//
+// A series repeats the first booking's slot (same service, same stylist)
+// every N weeks. Every later visit is booked up front as its own booking with
+// status 'scheduled' so the chair is kept, and is paid for separately: the
+// card saved at checkout is charged CHARGE_DAYS_BEFORE the visit. A visit
+// still unpaid PAYMENT_DEADLINE_HOURS before it starts is cancelled. Visits
+// whose slot is already taken are skipped and recorded as exceptions.
+
+export const MAX_INTERVAL_WEEKS = 12;
+export const MAX_OCCURRENCES = 26;
+const MAX_SERIES_MONTHS = 12;
+const CHARGE_DAYS_BEFORE = 3;
+const PAYMENT_DEADLINE_HOURS = 24;
+const PAYMENT_RETRY_HOURS = 24;
+
+async function loadSeries(seriesId) {
+  const { rows } = await db.query(
+    `SELECT s.*, fb.manage_token, fb.manage_token_expires_at, b.name AS business_name
+     FROM booking_series s
+     JOIN bookings fb ON fb.id = s.first_booking_id
+     JOIN businesses b ON b.id = s.business_id
+     WHERE s.id = $1`,
+    [seriesId]
+  );
+  return rows[0] || null;
+}
+
+// Customers manage a series while signed in, or with the first booking's manage link
+function canManageSeries(series, access) {
+  return canManageBooking(
+    {
+      customer_id: series.customer_id,
+      manage_token: series.manage_token,
+      manage_token_expires_at: series.manage_token_expires_at
+    },
+    access
+  );
+}
+
+/**
+ * Start a series from a paid booking
+ * @param {number} bookingId - The first booking (already paid at checkout)
+ * @param {Object} pattern - { intervalWeeks, count } or { intervalWeeks, endsOn: "YYYY-MM-DD" }
+ * @returns {Promise<Object>} { success, series, booked, skipped } or { success: false, status, reason }
+ */
+export async function createSeries(bookingId, { intervalWeeks, count = null, endsOn = null } = {}) {
+  const weeks = Number(intervalWeeks);
+  const visitCount = count != null ? Number(count) : null;
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_INTERVAL_WEEKS) {
+    return { success: false, status: 400, reason: `Repeat every 1 to ${MAX_INTERVAL_WEEKS} weeks` };
+  }
+  if ((visitCount == null) === (endsOn == null)) {
+    return { success: false, status: 400, reason: "Give either a number of visits or an end date" };
+  }
+  if (visitCount != null && (!Number.isInteger(visitCount) || visitCount < 2 || visitCount > MAX_OCCURRENCES)) {
+    return { success: false, status: 400, reason: `A series is 2 to ${MAX_OCCURRENCES} visits` };
+  }
+  if (endsOn != null && !/^\d{4}-\d{2}-\d{2}$/.test(endsOn)) {
+    return { success: false, status: 400, reason: "endsOn must be in YYYY-MM-DD format" };
+  }
+
+  const { rows } = await db.query("SELECT * FROM bookings WHERE id = $1", [bookingId]);
+  const first = rows[0];
+  if (!first) return { success: false, status: 404, reason: "Booking not found" };
+  if (first.series_id) return { success: false, status: 409, reason: "This booking is already part of a series" };
+  if (first.appointment_id) {
+    return { success: false, status: 409, reason: "Multi-service appointments cannot be repeated" };
+  }
+  if (first.status !== "confirmed" || !first.service_id) {
+    return { success: false, status: 409, reason: "Only a confirmed booking can be repeated" };
+  }
+  if (!first.stripe_customer_id || !first.payment_method_id) {
+    return { success: false, status: 409, reason: "A saved card is needed to pay for each repeat visit" };
+  }
+
+  // Visit start times after the first, as local timestamps, inside the count/end date and the 12 month cap
+  const { rows: visits } = await db.query(
+    `SELECT n AS occurrence_index,
+            to_char($1::timestamp + make_interval(weeks => n * $2), 'YYYY-MM-DD"T"HH24:MI:SS') AS start_time
+     FROM generate_series(1, $3 - 1) AS n
+     WHERE ($1::timestamp + make_interval(weeks => n * $2))::date <= LEAST(
+             COALESCE($4::date, 'infinity'::date),
+             ($1::timestamp + make_interval(months => $5))::date
+           )
+     ORDER BY n`,
+    [first.start_time, weeks, visitCount ?? MAX_OCCURRENCES, endsOn, MAX_SERIES_MONTHS]
+  );
+  if (visits.length === 0) {
+    return { success: false, status: 400, reason: "The end date leaves no repeat visits" };
+  }
+
+  return withBusinessScheduleLock(first.business_id, async (client) => {
+    const { rows: seriesRows } = await client.query(
+      `INSERT INTO booking_series (
+        customer_id, business_id, service_id, staff_id, customer_email, first_booking_id,
+        interval_weeks, occurrence_count, ends_on
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [
+        first.customer_id, first.business_id, first.service_id, first.staff_id, first.customer_email,
+        first.id, weeks, visitCount, endsOn
+      ]
+    );
+    const series = seriesRows[0];
+
+    await client.query(
+      "UPDATE bookings SET series_id = $2, series_index = 0, updated_at = NOW() WHERE id = $1",
+      [first.id, series.id]
+    );
+
+    const booked = [];
+    const skipped = [];
+    for (const visit of visits) {
+      // Regulars keep their stylist, so only the same chair counts as free
+      const check = await checkSlotAvailability(first.business_id, first.service_id, visit.start_time, {
+        client,
+        staffId: first.staff_id
+      });
+
+      if (!check.available) {
+        await client.query(
+          `INSERT INTO booking_series_exceptions (series_id, occurrence_index, start_time, reason)
+           VALUES ($1, $2, $3, $4)`,
+          [series.id, visit.occurrence_index, visit.start_time, check.reason]
+        );
+        skipped.push({ occurrenceIndex: visit.occurrence_index, startTime: visit.start_time, reason: check.reason });
+        continue;
+      }
+
+      const { rows: bookingRows } = await client.query(
+        `INSERT INTO bookings (
+          customer_id, business_id, service_id, staff_id, service, date, time, price, total_amount,
+          start_time, end_time, customer_email, status, cancellation_policy, amount_paid,
+          stripe_customer_id, payment_method_id, series_id, series_index
+        ) VALUES ($1, $2, $3, $4, $5, $6::timestamp::date, $6::timestamp::time, $7, $7, $6, $8, $9, 'scheduled',
+          (SELECT cancellation_policy FROM businesses WHERE id = $2), 0, $10, $11, $12, $13)
+        RETURNING *`,
+        [
+          first.customer_id, first.business_id, first.service_id, check.staffId, first.service,
+          check.slot.startTime, check.price, check.slot.endTime, first.customer_email,
+          first.stripe_customer_id, first.payment_method_id, series.id, visit.occurrence_index
+        ]
+      );
+      booked.push(bookingRows[0]);
+    }
+
+    console.log(`🔁 Series #${series.id} created from booking #${first.id}: ${booked.length} visits booked, ${skipped.length} skipped`);
+    return { success: true, series, booked, skipped };
+  });
+}
+
+/**
+ * A series with its visits and skipped dates
+ * @param {number} seriesId - Series ID
+ * @param {Object|null} access - { token, user } for customers; null when the business owner has been checked
+ * @returns {Promise<Object>} { success, series, visits, skipped } or { success: false, status, reason }
+ */
+export async function getSeries(seriesId, access = null) {
+  const series = await loadSeries(seriesId);
+  if (!series) return { success: false, status: 404, reason: "Series not found" };
+  if (access && !canManageSeries(series, access)) {
+    return { success: false, status: 403, reason: "Invalid or expired link" };
+  }
+
+  const [{ rows: visits }, { rows: skipped }] = await Promise.all([
+    db.query(
+      `SELECT id, series_index, start_time, end_time, status, total_amount, amount_paid, payment_failures
+       FROM bookings WHERE series_id = $1 ORDER BY series_index`,
+      [series.id]
+    ),
+    db.query(
+      `SELECT occurrence_index, start_time, reason
+       FROM booking_series_exceptions WHERE series_id = $1 ORDER BY occurrence_index`,
+      [series.id]
+    )
+  ]);
+
+  return {
+    success: true,
+    series: {
+      id: series.id,
+      businessId: series.business_id,
+      businessName: series.business_name,
+      serviceId: series.service_id,
+      staffId: series.staff_id,
+      intervalWeeks: series.interval_weeks,
+      occurrenceCount: series.occurrence_count,
+      endsOn: series.ends_on,
+      status: series.status
+    },
+    visits: visits.map(visit => ({
+      bookingId: visit.id,
+      occurrenceIndex: visit.series_index,
+      startTime: visit.start_time,
+      endTime: visit.end_time,
+      status: visit.status,
+      price: Number(visit.total_amount),
+      paid: visit.status !== "scheduled",
+      paymentFailures: visit.payment_failures || 0
+    })),
+    skipped: skipped.map(row => ({ occurrenceIndex: row.occurrence_index, startTime: row.start_time, reason: row.reason }))
+  };
+}
+
+/**
+ * Stop a series. Unpaid future visits are cancelled and their slots freed;
+ * visits already paid for stay booked and go through the normal cancellation policy.
+ * @param {number} seriesId - Series ID
+ * @param {Object} actor - { access } for customers or { businessId } for the business
+ * @returns {Promise<Object>} { success, series, cancelled, keptPaid } or { success: false, status, reason }
+ */
+export async function cancelSeries(seriesId, { access = null, businessId = null } = {}) {
+  const series = await loadSeries(seriesId);
+  const check = checkSeriesActor(series, { access, businessId });
+  if (check) return check;
+  if (series.status === "cancelled") {
+    return { success: false, status: 409, reason: "This series has already been cancelled" };
+  }
+
+  const cancelledBy = businessId ? "business" : "customer";
+  const { rows: updated } = await db.query(
+    `UPDATE booking_series
+     SET status = 'cancelled', cancelled_by = $2, cancelled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 RETURNING *`,
+    [series.id, cancelledBy]
+  );
+  const { rows: cancelled } = await db.query(
+    `UPDATE bookings
+     SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE series_id = $1 AND status = 'scheduled'
+     RETURNING *`,
+    [series.id]
+  );
+  const { rows: keptPaid } = await db.query(
+    `SELECT id, start_time FROM bookings
+     WHERE series_id = $1 AND status = 'confirmed' AND start_time > NOW()
+     ORDER BY start_time`,
+    [series.id]
+  );
+
+  console.log(`🛑 Series #${series.id} cancelled by ${cancelledBy}: ${cancelled.length} unpaid visits released`);
+  return { success: true, series: { ...updated[0], business_name: series.business_name }, cancelled, keptPaid };
+}
+
+/**
+ * Skip one unpaid visit in a series. Paid visits use the normal cancellation and refund flow.
+ * @param {number} seriesId - Series ID
+ * @param {number} bookingId - Visit booking ID
+ * @param {Object} actor - { access } for customers or { businessId } for the business
+ * @returns {Promise<Object>} { success, booking } or { success: false, status, reason }
+ */
+export async function cancelOccurrence(seriesId, bookingId, { access = null, businessId = null } = {}) {
+  const series = await loadSeries(seriesId);
+  const check = checkSeriesActor(series, { access, businessId });
+  if (check) return check;
+
+  const { rows: visits } = await db.query(
+    "SELECT id, status FROM bookings WHERE id = $1 AND series_id = $2",
+    [bookingId, series.id]
+  );
+  const visit = visits[0];
+  if (!visit) return { success: false, status: 404, reason: "Visit not found in this series" };
+  if (visit.status === "confirmed") {
+    return { success: false, status: 409, reason: "This visit has been paid for; cancel it from your bookings to apply the refund policy" };
+  }
+  if (visit.status !== "scheduled") {
+    return { success: false, status: 409, reason: `This visit is already ${visit.status}` };
+  }
+
+  const { rows } = await db.query(
+    `UPDATE bookings
+     SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'scheduled'
+     RETURNING *`,
+    [visit.id]
+  );
+  if (rows.length === 0) {
+    return { success: false, status: 409, reason: "This visit has just been paid for" };
+  }
+
+  console.log(`⏭️ Series #${series.id} visit #${visit.id} cancelled`);
+  return { success: true, booking: rows[0] };
+}
+
+function checkSeriesActor(series, { access, businessId }) {
+  if (!series) return { success: false, status: 404, reason: "Series not found" };
+  if (businessId) {
+    return String(series.business_id) === String(businessId)
+      ? null
+      : { success: false, status: 404, reason: "Series not found" };
+  }
+  return canManageSeries(series, access) ? null : { success: false, status: 403, reason: "Invalid or expired link" };
+}
+
+// ──────────────────────────────
+//  PAYING FOR EACH VISIT
+// ──────────────────────────────
+
+// The same split as checkout: deposit-mode services take the deposit now,
+// and a reliability deposit is part of the full price
+async function quoteVisit(visit) {
+  const price = Number(visit.total_amount);
+  const requiredDeposit = await getRequiredDeposit(visit.business_id, visit.customer_id, price);
+  const depositAmount = requiredDeposit ?? calculateDeposit(price, {
+    type: visit.deposit_type,
+    value: visit.deposit_value
+  });
+  const payLater = Boolean(depositAmount) && requiredDeposit == null;
+
+  return {
+    amountDue: payLater ? depositAmount : price,
+    paymentMode: payLater ? "deposit" : "full",
+    depositAmount: depositAmount || 0,
+    balanceStatus: payLater ? "due" : "none",
+    depositRefundable: !depositAmount
+  };
+}
+
+// Claims the visit before charging so overlapping runs (or a cancellation in
+// between) can't take the same visit twice
+async function chargeVisit(visit) {
+  const { rows: claimed } = await db.query(
+    `UPDATE bookings SET payment_attempted_at = NOW()
+     WHERE id = $1 AND status = 'scheduled'
+       AND (payment_attempted_at IS NULL OR payment_attempted_at < NOW() - make_interval(hours => $2))
+     RETURNING id`,
+    [visit.id, PAYMENT_RETRY_HOURS]
+  );
+  if (claimed.length === 0) {
+    return { paid: false, skipped: true };
+  }
+
+  const quote = await quoteVisit(visit);
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(quote.amountDue * 100),
+      currency: "gbp",
+      customer: visit.stripe_customer_id,
+      payment_method: visit.payment_method_id,
+      off_session: true,
+      confirm: true,
+      description: `${visit.service} on ${new Date(visit.start_time).toLocaleDateString("en-GB")}`,
+      metadata: {
+        bookingId: String(visit.id),
+        businessId: String(visit.business_id),
+        seriesId: String(visit.series_id),
+        paymentType: quote.paymentMode === "deposit" ? "deposit" : "full"
+      }
+    }, { idempotencyKey: `series-visit-${visit.id}-${visit.payment_failures || 0}` });
+
+    if (paymentIntent.status !== "succeeded") {
+      return { paid: false, reason: "Payment needs confirming by the customer" };
+    }
+
+    const { rows } = await db.query(
+      `UPDATE bookings
+       SET status = 'confirmed', stripe_payment_intent = $2, amount_paid = $3, payment_mode = $4,
+           deposit_amount = $5, balance_status = $6, deposit_refundable = $7,
+           payment_attempted_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'scheduled'
+       RETURNING *`,
+      [
+        visit.id, paymentIntent.id, paymentIntent.amount_received / 100, quote.paymentMode,
+        quote.depositAmount, quote.balanceStatus, quote.depositRefundable
+      ]
+    );
+    if (rows.length === 0) {
+      // The visit was cancelled while the card was being charged – give the money back
+      await stripe.refunds.create(
+        { payment_intent: paymentIntent.id, reason: "requested_by_customer" },
+        { idempotencyKey: `series-visit-${visit.id}-unclaimed-refund` }
+      );
+      console.log(`↩️ Series visit #${visit.id} was no longer scheduled; refunded ${paymentIntent.id}`);
+      return { paid: true, booking: null };
+    }
+    return { paid: true, booking: rows[0] };
+  } catch (error) {
+    console.error(`❌ Series visit #${visit.id} payment failed:`, error.message);
+    return { paid: false, reason: error.message };
+  }
+}
+
+async function notifySeriesCustomer(visit, title, message, type = "info") {
+  const { rows } = await db.query(
+    `INSERT INTO notifications (customer_id, title, message, type, target)
+     VALUES ($1, $2, $3, $4, 'bookings') RETURNING *`,
+    [visit.customer_id, title, message, type]
+  );
+  return rows[0];
+}
+
+/**
+ * Charge upcoming series visits, and cancel those still unpaid close to the appointment.
+ * Run hourly from the cron jobs.
+ * @returns {Promise<Object>} { charged, failed, cancelled } with a customer notification on each entry
+ */
+export async function processSeriesPayments() {
+  const charged = [];
+  const failed = [];
+  const cancelled = [];
+
+  const { rows: due } = await db.query(
+    `SELECT bk.*, s.deposit_type, s.deposit_value
+     FROM bookings bk
+     JOIN business_services s ON s.id = bk.service_id
+     WHERE bk.status = 'scheduled'
+       AND bk.start_time <= NOW() + make_interval(days => $1)
+       AND bk.start_time > NOW() + make_interval(hours => $2)
+       AND (bk.payment_attempted_at IS NULL OR bk.payment_attempted_at < NOW() - make_interval(hours => $3))
+     ORDER BY bk.start_time`,
+    [CHARGE_DAYS_BEFORE, PAYMENT_DEADLINE_HOURS, PAYMENT_RETRY_HOURS]
+  );
+
+  for (const visit of due) {
+    const when = new Date(visit.start_time).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" });
+    const result = await chargeVisit(visit);
+    if (result.skipped) continue;
+
+    if (result.paid && result.booking) {
+      const notification = await notifySeriesCustomer(
+        result.booking,
+        "Repeat Booking Paid",
+        `Your ${visit.service} on ${when} is confirmed and has been paid with your saved card.`,
+        "success"
+      );
+      charged.push({ booking: result.booking, notification });
+      continue;
+    }
+    if (result.paid) continue;
+
+    await db.query(
+      `UPDATE bookings
+       SET payment_attempted_at = NOW(), payment_failures = COALESCE(payment_failures, 0) + 1, updated_at = NOW()
+       WHERE id = $1`,
+      [visit.id]
+    );
+    const notification = await notifySeriesCustomer(
+      visit,
+      "Repeat Booking Payment Failed",
+      `We couldn't take payment for your ${visit.service} on ${when} with your saved card. We'll try again in ${PAYMENT_RETRY_HOURS} hours; if it still can't be paid, the visit is released ${PAYMENT_DEADLINE_HOURS} hours before it starts.`
+    );
+    failed.push({ booking: visit, notification, reason: result.reason });
+  }
+
+  const { rows: lapsed } = await db.query(
+    `UPDATE bookings
+     SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE status = 'scheduled' AND start_time <= NOW() + make_interval(hours => $1)
+     RETURNING *`,
+    [PAYMENT_DEADLINE_HOURS]
+  );
+  for (const visit of lapsed) {
+    const when = new Date(visit.start_time).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" });
+    const notification = await notifySeriesCustomer(
+      visit,
+      "Repeat Visit Cancelled",
+      `Your ${visit.service} on ${when} was cancelled because it could not be paid for. The rest of your series is unchanged.`
+    );
+    cancelled.push({ booking: visit, notification });
+  }
+
+  return { charged, failed, cancelled };
+}
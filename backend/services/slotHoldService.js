@@ -0,0 +1,354 @@
+// backend/services/slotHoldService.js
+import db from "../db.js";
+import { v4 as uuidv4 } from "uuid";
+import { checkSlotAvailability, withBusinessScheduleLock } from "./availabilityService.js";
+import { calculateDeposit, splitAmount } from "./depositService.js";
+import { getRequiredDeposit } from "./noShowService.js";
+import { hasPayoutsEnabled } from "./stripeConnectService.js";
+import { scheduleBookingReminder } from "./bookingMessageService.js";
+
+// ──────────────────────────────
+//  SLOT HOLDS
+// ──────────────────────────────
+//
+// Selecting a time reserves it for HOLD_MINUTES. The hold is extended once a
+// payment intent exists and converted into a booking when payment is
+// finalised. Anything else (timeout, abandonment, failed payment) releases it.
+// Services in deposit mode quote the deposit on the hold; that is what the
+// checkout charges, and the booking is created with the balance still due.
+// A customer below the business's reliability threshold instead pays the
+// full price, with part of it held as a non-refundable deposit.
+// A multi-service appointment is one hold and one payment covering every
+// service; converting it creates one booking per service (line item).
+
+export const HOLD_MINUTES = 10;
+export const PAYMENT_HOLD_MINUTES = 20;
+
+export const BOOKINGS_PAUSED = "This business isn't taking online bookings yet";
+
+/**
+ * Reserve a slot for checkout
+ * @param {Object} params - { businessId, serviceId, serviceIds, staffId, startTime, customerId, replaceHoldId }
+ *   serviceIds (2 or more) holds a back-to-back block for a multi-service appointment
+ * @returns {Promise<Object>} { success, hold } or { success: false, reason }
+ */
+export async function createHold({ businessId, serviceId = null, serviceIds = null, staffId = null, startTime, customerId = null, replaceHoldId = null }) {
+  // No online bookings until Stripe can pay the business (see stripeConnectService.js)
+  if (!(await hasPayoutsEnabled(businessId))) {
+    return { success: false, reason: BOOKINGS_PAUSED };
+  }
+
+  // Picking a different time gives up the customer's previous hold first
+  if (replaceHoldId) {
+    await releaseHold(replaceHoldId, "reselected");
+  }
+
+  const services = serviceIds?.length ? serviceIds : [serviceId];
+
+  return withBusinessScheduleLock(businessId, async (client) => {
+    const check = await checkSlotAvailability(businessId, services, startTime, { client, staffId });
+    if (!check.available) {
+      return { success: false, reason: check.reason };
+    }
+
+    // Each service keeps its own deposit setting; services without one are paid in full now
+    const requiredDeposit = await getRequiredDeposit(businessId, customerId, check.price);
+    const requiredShares = requiredDeposit != null ? splitAmount(requiredDeposit, check.lines.map(line => line.price)) : null;
+    const lines = check.lines.map((line, index) => ({
+      serviceId: line.serviceId,
+      name: line.name,
+      startTime: line.startTime,
+      endTime: line.endTime,
+      price: line.price,
+      depositAmount: requiredShares ? requiredShares[index] : calculateDeposit(line.price, line.deposit)
+    }));
+    const depositAmount = requiredDeposit ?? (lines.some(line => line.depositAmount)
+      ? roundPounds(lines.reduce((sum, line) => sum + (line.depositAmount ?? line.price), 0))
+      : null);
+
+    const { rows } = await client.query(
+      `INSERT INTO slot_holds (
+        id, business_id, service_id, staff_id, customer_id, start_time, end_time, price, deposit_amount,
+        deposit_required, line_items, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW() + make_interval(mins => $12))
+      RETURNING *`,
+      [
+        uuidv4(), businessId, lines[0].serviceId, check.staffId, customerId,
+        check.slot.startTime, check.slot.endTime, check.price,
+        depositAmount, requiredDeposit != null, JSON.stringify(lines), HOLD_MINUTES
+      ]
+    );
+
+    console.log(`⏳ Slot hold ${rows[0].id} created for business ${businessId} at ${check.slot.startTime}` +
+      (lines.length > 1 ? ` (${lines.length} services)` : ""));
+    return { success: true, hold: rows[0] };
+  });
+}
+
+// What checkout charges now: the deposit for deposit-mode services, otherwise the price.
+// A deposit required for a low reliability score is part of the full price, not paid later.
+export function holdPayment(hold) {
+  const price = Number(hold.price);
+  if (hold.deposit_required) {
+    return { depositAmount: null, balanceDue: 0, amountDue: price, nonRefundableDeposit: Number(hold.deposit_amount) };
+  }
+
+  const depositAmount = hold.deposit_amount != null ? Number(hold.deposit_amount) : null;
+  return {
+    depositAmount,
+    balanceDue: depositAmount ? Math.round((price - depositAmount) * 100) / 100 : 0,
+    amountDue: depositAmount ?? price
+  };
+}
+
+/**
+ * Get a hold by ID
+ * @param {string} holdId - Hold ID
+ * @returns {Promise<Object|null>} Hold row
+ */
+export async function getHold(holdId) {
+  const { rows } = await db.query("SELECT * FROM slot_holds WHERE id = $1", [holdId]);
+  return rows[0] || null;
+}
+
+/**
+ * Extend an active hold once a payment intent has been created.
+ * Single UPDATE so it either extends a live hold or does nothing.
+ * @param {string} holdId - Hold ID
+ * @param {Object} params - { paymentIntentId, minutes }
+ * @returns {Promise<Object|null>} Updated hold, or null if it has already lapsed
+ */
+export async function extendHold(holdId, { paymentIntentId = null, minutes = PAYMENT_HOLD_MINUTES } = {}) {
+  const { rows } = await db.query(
+    `UPDATE slot_holds
+     SET expires_at = GREATEST(expires_at, NOW() + make_interval(mins => $3)),
+         payment_intent_id = COALESCE($2, payment_intent_id),
+         updated_at = NOW()
+     WHERE id = $1 AND status = 'active' AND expires_at > NOW()
+     RETURNING *`,
+    [holdId, paymentIntentId, minutes]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Turn a hold into confirmed bookings in one transaction: one booking, or one
+ * per service for a multi-service appointment, all on the same payment.
+ * If the hold lapsed while the customer was paying, the booking still goes
+ * through as long as nobody else has taken the slot in the meantime.
+ * @param {string} holdId - Hold ID
+ * @param {Object} params - { customerId, customerEmail, paymentIntentId, amountPaid, stripeCustomerId, paymentMethodId }
+ * @returns {Promise<Object>} { success, booking, bookings } or { success: false, reason }
+ *   booking is the first (or only) service; bookings lists every line item in order
+ */
+export async function convertHold(holdId, {
+  customerId = null,
+  customerEmail = null,
+  paymentIntentId = null,
+  amountPaid = null,
+  stripeCustomerId = null,
+  paymentMethodId = null
+} = {}) {
+  const hold = await getHold(holdId);
+  if (!hold) {
+    return { success: false, reason: "Hold not found" };
+  }
+
+  return withBusinessScheduleLock(hold.business_id, async (client) => {
+    const { rows: locked } = await client.query(
+      "SELECT *, expires_at > NOW() AS live FROM slot_holds WHERE id = $1 FOR UPDATE",
+      [holdId]
+    );
+    const current = locked[0];
+    const lines = holdLines(current);
+
+    // Retried finalise calls return the bookings that were already made, filling in
+    // anything the Stripe webhook could not know when it converted the hold first
+    if (current.status === "converted") {
+      await client.query(
+        `UPDATE bookings
+         SET customer_id = COALESCE(customer_id, $3), customer_email = COALESCE(customer_email, $4),
+             stripe_customer_id = COALESCE(stripe_customer_id, $5), payment_method_id = COALESCE(payment_method_id, $6)
+         WHERE id = $1 OR appointment_id = $2`,
+        [current.booking_id, lines.length > 1 ? holdId : null, customerId, customerEmail, stripeCustomerId, paymentMethodId]
+      );
+      const { rows } = await client.query(
+        "SELECT * FROM bookings WHERE id = $1 OR appointment_id = $2 ORDER BY appointment_position NULLS FIRST",
+        [current.booking_id, lines.length > 1 ? holdId : null]
+      );
+      return { success: true, booking: rows[0], bookings: rows, alreadyConverted: true };
+    }
+
+    if (current.status !== "active" || !current.live) {
+      const recheck = await checkSlotAvailability(
+        current.business_id,
+        lines.map(line => line.serviceId),
+        toLocalTimestamp(current.start_time),
+        { client, staffId: current.staff_id, ignoreHoldId: holdId }
+      );
+      if (!recheck.available) {
+        return { success: false, reason: "Hold expired and the slot has been taken" };
+      }
+    }
+
+    const { rows: serviceRows } = await client.query(
+      "SELECT id, name FROM business_services WHERE id = ANY($1::int[])",
+      [lines.map(line => line.serviceId)]
+    );
+    const serviceName = (line) => line.name || serviceRows.find(row => row.id === line.serviceId)?.name || "Service";
+
+    // amountPaid is what the checkout PaymentIntent actually collected (after BlkPoints),
+    // shared across the services in proportion to what each one charged now
+    const dueNow = lines.map(line => (line.depositAmount && !current.deposit_required ? line.depositAmount : line.price));
+    const paidShares = amountPaid != null ? splitAmount(amountPaid, dueNow) : dueNow;
+
+    const bookings = [];
+    for (const [index, line] of lines.entries()) {
+      const payLater = Boolean(line.depositAmount) && !current.deposit_required;
+      const { rows } = await client.query(
+        `INSERT INTO bookings (
+          customer_id, business_id, service_id, staff_id, service, date, time, price, total_amount,
+          start_time, end_time, customer_email, status, stripe_payment_intent, cancellation_policy,
+          payment_mode, deposit_amount, amount_paid, balance_status, deposit_refundable,
+          stripe_customer_id, payment_method_id, appointment_id, appointment_position
+        ) VALUES ($1, $2, $3, $4, $5, $6::timestamp::date, $6::timestamp::time, $7, $7, $6, $8, $9, 'confirmed', $10,
+          (SELECT cancellation_policy FROM businesses WHERE id = $2),
+          $11, $12, $13, $14, $15, $16, $17, $18, $19)
+        RETURNING *`,
+        [
+          customerId || current.customer_id, current.business_id, line.serviceId, current.staff_id,
+          serviceName(line), line.startTime, line.price, line.endTime,
+          customerEmail, paymentIntentId || current.payment_intent_id,
+          payLater ? "deposit" : "full", line.depositAmount || 0,
+          paidShares[index], payLater ? "due" : "none",
+          !line.depositAmount, stripeCustomerId, paymentMethodId,
+          lines.length > 1 ? holdId : null, lines.length > 1 ? index : null
+        ]
+      );
+      bookings.push(rows[0]);
+    }
+
+    await client.query(
+      `UPDATE slot_holds
+       SET status = 'converted', booking_id = $2, payment_intent_id = COALESCE($3, payment_intent_id), updated_at = NOW()
+       WHERE id = $1`,
+      [holdId, bookings[0].id, paymentIntentId]
+    );
+
+    console.log(`✅ Slot hold ${holdId} converted to booking${bookings.length > 1 ? "s" : ""} ` +
+      bookings.map(booking => `#${booking.id}`).join(", "));
+    return { success: true, booking: bookings[0], bookings };
+  });
+}
+
+/**
+ * One notification each for the customer and the business covering every
+ * service in a multi-service appointment, instead of one per booking
+ * @param {Array} bookings - Line item bookings from convertHold, in order
+ * @returns {Promise<Object>} { customer, business } notification rows
+ */
+export async function notifyAppointmentConfirmed(bookings) {
+  const first = bookings[0];
+  const last = bookings[bookings.length - 1];
+  const when = new Date(first.start_time).toLocaleString("en-GB", {
+    weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit"
+  });
+  const until = new Date(last.end_time).toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" });
+  const services = bookings.map(booking => booking.service).join(", ");
+  const total = bookings.reduce((sum, booking) => sum + Number(booking.total_amount), 0);
+
+  const { rows: customerRows } = await db.query(
+    `INSERT INTO notifications (customer_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'success', 'bookings') RETURNING *`,
+    [first.customer_id, "Appointment Confirmed", `${services} on ${when} until ${until}. Total £${total.toFixed(2)}.`]
+  );
+  const { rows: businessRows } = await db.query(
+    `INSERT INTO notifications (business_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'info', 'bookings') RETURNING *`,
+    [first.business_id, "New Appointment", `${services} booked back to back on ${when} until ${until}.`]
+  );
+
+  // One reminder for the appointment, sent for its first service
+  await scheduleBookingReminder(first.id).catch(error =>
+    console.error(`❌ Reminder for booking #${first.id} not queued:`, error.message));
+
+  return { customer: customerRows[0], business: businessRows[0] };
+}
+
+/**
+ * Release an active hold so the slot becomes bookable again
+ * @param {string} holdId - Hold ID
+ * @param {string} reason - timeout, abandoned, payment_failed, reselected
+ * @returns {Promise<boolean>} Whether an active hold was released
+ */
+export async function releaseHold(holdId, reason = "abandoned") {
+  const { rowCount } = await db.query(
+    `UPDATE slot_holds
+     SET status = 'released', release_reason = $2, updated_at = NOW()
+     WHERE id = $1 AND status = 'active'`,
+    [holdId, reason]
+  );
+  if (rowCount) console.log(`🔓 Slot hold ${holdId} released (${reason})`);
+  return rowCount > 0;
+}
+
+/**
+ * Release whatever hold is attached to a payment intent (failed/cancelled payments)
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {string} reason - Release reason
+ * @returns {Promise<number>} Number of holds released
+ */
+export async function releaseHoldsForPaymentIntent(paymentIntentId, reason = "payment_failed") {
+  const { rowCount } = await db.query(
+    `UPDATE slot_holds
+     SET status = 'released', release_reason = $2, updated_at = NOW()
+     WHERE payment_intent_id = $1 AND status = 'active'`,
+    [paymentIntentId, reason]
+  );
+  return rowCount;
+}
+
+/**
+ * Mark lapsed holds as expired. Availability already ignores them once
+ * expires_at passes; this keeps the table's status honest for reporting.
+ * @returns {Promise<number>} Number of holds expired
+ */
+export async function expireStaleHolds() {
+  const { rowCount } = await db.query(
+    `UPDATE slot_holds
+     SET status = 'expired', release_reason = 'timeout', updated_at = NOW()
+     WHERE status = 'active' AND expires_at <= NOW()`
+  );
+  return rowCount;
+}
+
+// Services in a hold; holds made before multi-service appointments only have the columns
+function holdLines(hold) {
+  if (hold.line_items?.length) {
+    return hold.line_items.map(line => ({
+      ...line,
+      price: Number(line.price),
+      depositAmount: line.depositAmount != null ? Number(line.depositAmount) : null
+    }));
+  }
+  return [{
+    serviceId: hold.service_id,
+    name: null,
+    startTime: hold.start_time,
+    endTime: hold.end_time,
+    price: Number(hold.price),
+    depositAmount: hold.deposit_amount != null ? Number(hold.deposit_amount) : null
+  }];
+}
+
+function roundPounds(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// pg returns TIMESTAMP columns as local Date objects; turn them back into
+// the naive "YYYY-MM-DDTHH:MM:SS" form the availability engine works with
+export function toLocalTimestamp(value) {
+  if (!(value instanceof Date)) return String(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}T${pad(value.getHours())}:${pad(value.getMinutes())}:00`;
+}
@@ -0,0 +1,307 @@
+// backend/services/smsReplyService.js
+import { createRequire } from "module";
+import db from "../db.js";
+import { hashAddress, addSuppression, liftStops } from "./suppressionService.js";
+import { saveNotificationPreferences } from "./notificationSettingsService.js";
+import { acceptOffer, declineOffer } from "./waitingListService.js";
+import { evaluateBookingCancellation } from "./cancellationPolicyService.js";
+import { processBookingCancellation } from "./redemptionService.js";
+import { cancelJobs } from "./jobQueueService.js";
+import { toLocalTimestamp } from "./slotHoldService.js";
+import { refundBooking } from "./refundService.js";
+
+// Times in replies are worded the same way as in the texts they answer
+const require = createRequire(import.meta.url);
+const RecipientTime = require("../../recipient-time.js");
+const NotificationPreferences = require("../../notification-preferences.js");
+
+// ──────────────────────────────
+//  KEYWORDS
+// ──────────────────────────────
+//
+// Only the first word counts, so "Yes please!" is YES. CANCEL answers a
+// booking or offer rather than stopping texts; STOP is the opt-out.
+
+const KEYWORDS = {
+  yes: ["YES", "Y", "CONFIRM", "ACCEPT", "BOOK", "OK"],
+  no: ["NO", "N", "CANCEL", "DECLINE", "PASS"],
+  stop: ["STOP", "STOPALL", "UNSUBSCRIBE", "END", "QUIT", "OPTOUT"],
+  start: ["START", "UNSTOP", "SUBSCRIBE"],
+  help: ["HELP", "INFO"]
+};
+
+// How far ahead a booking can be confirmed or cancelled by text (the reminder goes 24h before)
+const BOOKING_WINDOW_HOURS = 48;
+
+const TIME_FORMAT = { weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" };
+
+/**
+ * What a reply asks for
+ * @param {string} body - Text of the reply
+ * @returns {string|null} yes, no, stop, start, help, or null if not understood
+ */
+export function parseReply(body) {
+  const word = String(body || "").trim().split(/\s+/)[0].replace(/[^A-Za-z]/g, "").toUpperCase();
+  const intent = Object.keys(KEYWORDS).find(key => KEYWORDS[key].includes(word));
+  return intent || null;
+}
+
+function siteUrl() {
+  return (process.env.FRONTEND_URL || "https://blkpages.com").replace(/\/$/, "");
+}
+
+function formatTime(startTime, timezone, locale) {
+  return RecipientTime.formatDateTime(toLocalTimestamp(startTime), timezone, locale, TIME_FORMAT);
+}
+
+// ──────────────────────────────
+//  OUTSTANDING ACTIONS
+// ──────────────────────────────
+
+async function findCustomers(phone) {
+  const { rows } = await db.query(
+    `SELECT id, first_name, locale FROM customers
+     WHERE regexp_replace(phone, '[^0-9+]', '', 'g') = regexp_replace($1, '[^0-9+]', '', 'g')`,
+    [phone]
+  );
+  return rows;
+}
+
+/**
+ * The one thing a YES or NO from these customers answers: their latest open
+ * waiting list offer or their next booking in the next 48 hours, whichever
+ * they were asked about most recently (a booking is asked about by its
+ * reminder, 24 hours before)
+ * @param {Array<number>} customerIds - Customers with the number the reply came from
+ * @returns {Promise<Object|null>} { type: 'offer', offer } or { type: 'booking', booking }
+ */
+export async function findOutstandingAction(customerIds) {
+  if (customerIds.length === 0) return null;
+
+  const { rows: offers } = await db.query(
+    `SELECT o.*, e.customer_id, s.name AS service_name, b.name AS business_name, b.timezone
+     FROM waiting_list_offers o
+     JOIN waiting_list_entries e ON e.id = o.entry_id
+     JOIN business_services s ON s.id = o.service_id
+     JOIN businesses b ON b.id = o.business_id
+     WHERE e.customer_id = ANY($1) AND o.status = 'pending' AND o.expires_at > NOW()
+     ORDER BY o.created_at DESC
+     LIMIT 1`,
+    [customerIds]
+  );
+  const { rows: bookings } = await db.query(
+    `SELECT bk.*, b.name AS business_name, b.timezone,
+            GREATEST(bk.created_at, bk.start_time - INTERVAL '24 hours') AS asked_at
+     FROM bookings bk
+     JOIN businesses b ON b.id = bk.business_id
+     WHERE bk.customer_id = ANY($1) AND bk.status = 'confirmed'
+       AND bk.start_time > NOW() AND bk.start_time <= NOW() + make_interval(hours => $2)
+     ORDER BY bk.start_time
+     LIMIT 1`,
+    [customerIds, BOOKING_WINDOW_HOURS]
+  );
+
+  const offer = offers[0];
+  const booking = bookings[0];
+  if (offer && (!booking || new Date(offer.created_at) >= new Date(booking.asked_at))) {
+    return { type: "offer", offer };
+  }
+  return booking ? { type: "booking", booking } : null;
+}
+
+// ──────────────────────────────
+//  ACTIONS
+// ──────────────────────────────
+
+async function answerOffer(intent, offer, customer) {
+  const when = formatTime(offer.start_time, offer.timezone, customer?.locale);
+  const base = { offerId: offer.id, customerId: offer.customer_id };
+
+  if (intent === "no") {
+    const result = await declineOffer(offer.token);
+    if (!result.success) return { ...base, action: "offer_closed", reply: result.reason };
+    return {
+      ...base,
+      action: "offer_declined",
+      offers: result.offers,
+      reply: `No problem, we've passed the ${when} slot at ${offer.business_name} on. You keep your place on the waiting list.`
+    };
+  }
+
+  const result = await acceptOffer(offer.token);
+  if (!result.success) return { ...base, action: "offer_closed", reply: result.reason };
+
+  const minutes = Math.max(1, Math.round((new Date(result.hold.expires_at) - Date.now()) / 60000));
+  return {
+    ...base,
+    action: "offer_accepted",
+    offer: result.offer,
+    reply: `Slot held for you: ${offer.service_name} at ${offer.business_name}, ${when}. Pay within ${minutes} min to book it: ${siteUrl()}/waiting-list-offer.html?token=${offer.token}`
+  };
+}
+
+async function confirmBooking(booking, customer) {
+  await db.query(
+    "UPDATE bookings SET customer_confirmed_at = COALESCE(customer_confirmed_at, NOW()), updated_at = NOW() WHERE id = $1",
+    [booking.id]
+  );
+  const when = formatTime(booking.start_time, booking.timezone, customer?.locale);
+  return {
+    bookingId: booking.id,
+    customerId: booking.customer_id,
+    action: "booking_confirmed",
+    booking,
+    reply: `Thanks${customer?.first_name ? ` ${customer.first_name}` : ""}, you're confirmed for ${booking.service} at ${booking.business_name}, ${when}. See you then!`
+  };
+}
+
+// Cancelling by text is only for free cancellations; anything that costs
+// the customer money is done from their account, where the fee is shown
+async function cancelBooking(booking, customer) {
+  const when = formatTime(booking.start_time, booking.timezone, customer?.locale);
+  const base = { bookingId: booking.id, customerId: booking.customer_id };
+
+  const evaluation = await evaluateBookingCancellation(booking.id);
+  if (!evaluation.canCancel) {
+    return { ...base, action: "cancel_refused", reply: `${evaluation.reason} Contact ${booking.business_name} directly.` };
+  }
+  if (evaluation.fee > 0) {
+    return {
+      ...base,
+      action: "cancel_needs_account",
+      reply: `Cancelling your ${when} booking now costs £${evaluation.fee.toFixed(2)} under ${booking.business_name}'s policy. To go ahead, cancel from your account: ${siteUrl()}/customer-dashboard.html`
+    };
+  }
+
+  const { rows } = await db.query(
+    `UPDATE bookings SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'confirmed'
+     RETURNING *`,
+    [booking.id]
+  );
+  if (rows.length === 0) {
+    return { ...base, action: "cancel_refused", reply: "This booking has already been changed. Check your account for details." };
+  }
+
+  // A failed refund stays in the refund ledger for support to retry; the booking is already cancelled
+  if (evaluation.refundAmount > 0 && booking.stripe_payment_intent) {
+    const refund = await refundBooking(booking.id, {
+      amount: evaluation.refundAmount,
+      reason: "Cancelled by text",
+      actor: { type: "customer", id: booking.customer_id },
+      source: "sms_reply"
+    });
+    if (!refund.success) {
+      console.error(`❌ Refund failed for booking #${booking.id} cancelled by SMS:`, refund.reason);
+    }
+  }
+  await cancelJobs("booking_reminder", { bookingId: booking.id });
+  await processBookingCancellation(booking.id);
+
+  const refund = evaluation.refundAmount > 0 ? ` £${evaluation.refundAmount.toFixed(2)} will be refunded to your card.` : "";
+  return {
+    ...base,
+    action: "booking_cancelled",
+    booking: rows[0],
+    reply: `Your ${booking.service} at ${booking.business_name}, ${when} is cancelled.${refund}`
+  };
+}
+
+// STOP turns every SMS category off in each matching customer's preferences
+// and suppresses the number; START puts the SMS defaults back
+async function setTexting(intent, phone, customers) {
+  const sms = intent === "stop"
+    ? Object.fromEntries(NotificationPreferences.CATEGORIES.map(category => [category, false]))
+    : { ...NotificationPreferences.DEFAULT_PREFERENCES.sms };
+
+  for (const customer of customers) {
+    await saveNotificationPreferences("customer", customer.id, { sms });
+  }
+
+  if (intent === "stop") {
+    await addSuppression({
+      channel: "sms",
+      address: phone,
+      recipientType: customers.length ? "customer" : null,
+      recipientId: customers[0]?.id || null,
+      reason: "sms_stop",
+      source: "sms_reply"
+    });
+    return { action: "stopped", reply: "You won't get any more texts from BlkPages. Reply START to turn them back on." };
+  }
+
+  await liftStops("sms", phone);
+  return { action: "started", reply: "Texts from BlkPages are back on. Reply STOP at any time to turn them off." };
+}
+
+async function act(intent, phone, customers) {
+  const customerId = customers[0]?.id || null;
+
+  if (intent === "help") {
+    return {
+      customerId,
+      action: "help",
+      reply: `BlkPages: reply YES or NO to an offer or booking text, CANCEL to cancel a booking, STOP to stop texts. Help: ${siteUrl()}/contact.html`
+    };
+  }
+  if (intent === "stop" || intent === "start") {
+    return { customerId, ...await setTexting(intent, phone, customers) };
+  }
+  if (!intent) {
+    return { customerId, action: "not_understood", reply: "Sorry, we didn't understand that. Reply YES, NO, CANCEL, STOP or HELP." };
+  }
+
+  const outstanding = await findOutstandingAction(customers.map(customer => customer.id));
+  if (!outstanding) {
+    return {
+      customerId,
+      action: "nothing_outstanding",
+      reply: `We couldn't find an offer or booking waiting for your reply. Manage your bookings at ${siteUrl()}/customer-dashboard.html`
+    };
+  }
+
+  if (outstanding.type === "offer") {
+    const customer = customers.find(c => c.id === outstanding.offer.customer_id);
+    return answerOffer(intent, outstanding.offer, customer);
+  }
+  const customer = customers.find(c => c.id === outstanding.booking.customer_id);
+  return intent === "yes" ? confirmBooking(outstanding.booking, customer) : cancelBooking(outstanding.booking, customer);
+}
+
+/**
+ * Act on a text a customer sent us and word the confirmation to send back.
+ * A retried webhook for the same message gets the same reply and changes nothing.
+ * @param {Object} message - { provider, from, body, messageId }
+ * @returns {Promise<Object>} { success, intent, action, reply, offer, offers, booking }
+ *   or { success: false, status, reason }
+ */
+export async function handleSmsReply({ provider = "generic", from, body, messageId = null }) {
+  const addressHash = hashAddress("sms", from);
+  if (!addressHash) {
+    return { success: false, status: 400, reason: "No sender number" };
+  }
+
+  if (messageId) {
+    const { rows } = await db.query(
+      "SELECT intent, action, reply FROM sms_replies WHERE provider = $1 AND provider_message_id = $2",
+      [provider, messageId]
+    );
+    if (rows[0]) return { success: true, duplicate: true, ...rows[0] };
+  }
+
+  const intent = parseReply(body);
+  const customers = await findCustomers(from);
+  const outcome = await act(intent, from, customers);
+
+  await db.query(
+    `INSERT INTO sms_replies
+       (provider, provider_message_id, address_hash, customer_id, body, intent, action, offer_id, booking_id, reply)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (provider, provider_message_id) WHERE provider_message_id IS NOT NULL DO NOTHING`,
+    [provider, messageId, addressHash, outcome.customerId || null, String(body || "").slice(0, 160),
+      intent, outcome.action, outcome.offerId || null, outcome.bookingId || null, outcome.reply]
+  );
+
+  console.log(`📲 SMS reply ${intent || "?"} from customer ${outcome.customerId || "unknown"}: ${outcome.action}`);
+  return { success: true, intent, ...outcome };
+}
@@ -0,0 +1,239 @@
+// backend/services/staffService.js
+import db from "../db.js";
+
+// ──────────────────────────────
+//  STAFF & ROTA MANAGEMENT
+// ──────────────────────────────
+
+/**
+ * List a business's staff with their services, weekly rota, breaks and upcoming time off
+ * @param {number} businessId - Business ID
+ * @returns {Promise<Array>} Staff members
+ */
+export async function listStaff(businessId) {
+  const { rows } = await db.query(
+    `SELECT st.id, st.name, st.email, st.role, st.colour, st.active,
+            COALESCE((SELECT json_agg(json_build_object('serviceId', ss.service_id, 'priceOverride', ss.price_override))
+                      FROM staff_services ss WHERE ss.staff_id = st.id), '[]') AS services,
+            COALESCE((SELECT json_agg(json_build_object('dayOfWeek', r.day_of_week, 'startsAt', r.starts_at, 'endsAt', r.ends_at)
+                                      ORDER BY r.day_of_week, r.starts_at)
+                      FROM staff_rotas r WHERE r.staff_id = st.id), '[]') AS rota,
+            COALESCE((SELECT json_agg(json_build_object('dayOfWeek', b.day_of_week, 'startsAt', b.starts_at, 'endsAt', b.ends_at)
+                                      ORDER BY b.day_of_week, b.starts_at)
+                      FROM staff_breaks b WHERE b.staff_id = st.id), '[]') AS breaks,
+            COALESCE((SELECT json_agg(json_build_object('id', t.id, 'startsOn', t.starts_on, 'endsOn', t.ends_on, 'reason', t.reason)
+                                      ORDER BY t.starts_on)
+                      FROM staff_time_off t WHERE t.staff_id = st.id AND t.ends_on >= CURRENT_DATE), '[]') AS time_off
+     FROM staff st
+     WHERE st.business_id = $1
+     ORDER BY st.active DESC, st.name`,
+    [businessId]
+  );
+
+  return rows;
+}
+
+/**
+ * Add a staff member
+ * @param {number} businessId - Business ID
+ * @param {Object} details - { name, email, role, colour }
+ * @returns {Promise<Object>} Created staff row
+ */
+export async function createStaff(businessId, { name, email, role, colour }) {
+  const { rows } = await db.query(
+    `INSERT INTO staff (business_id, name, email, role, colour)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [businessId, name, email || null, role || null, colour || null]
+  );
+  return rows[0];
+}
+
+/**
+ * Update a staff member's profile or deactivate them
+ * @param {number} businessId - Business ID
+ * @param {number} staffId - Staff ID
+ * @param {Object} details - { name, email, role, colour, active }
+ * @returns {Promise<Object|null>} Updated row, or null if not found
+ */
+export async function updateStaff(businessId, staffId, { name, email, role, colour, active }) {
+  const { rows } = await db.query(
+    `UPDATE staff
+     SET name = COALESCE($3, name),
+         email = COALESCE($4, email),
+         role = COALESCE($5, role),
+         colour = COALESCE($6, colour),
+         active = COALESCE($7, active),
+         updated_at = NOW()
+     WHERE id = $1 AND business_id = $2
+     RETURNING *`,
+    [staffId, businessId, name ?? null, email ?? null, role ?? null, colour ?? null, active ?? null]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Replace a staff member's weekly rota and breaks in one transaction
+ * @param {number} businessId - Business ID
+ * @param {number} staffId - Staff ID
+ * @param {Object} schedule - { rota: [{ dayOfWeek, startsAt, endsAt }], breaks: [...] }
+ * @returns {Promise<boolean>} false if the staff member does not belong to the business
+ */
+export async function setStaffSchedule(businessId, staffId, { rota = [], breaks = [] }) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      "SELECT id FROM staff WHERE id = $1 AND business_id = $2 FOR UPDATE",
+      [staffId, businessId]
+    );
+    if (rows.length === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    await client.query("DELETE FROM staff_rotas WHERE staff_id = $1", [staffId]);
+    await client.query("DELETE FROM staff_breaks WHERE staff_id = $1", [staffId]);
+
+    for (const shift of rota) {
+      await client.query(
+        "INSERT INTO staff_rotas (staff_id, day_of_week, starts_at, ends_at) VALUES ($1, $2, $3, $4)",
+        [staffId, shift.dayOfWeek, shift.startsAt, shift.endsAt]
+      );
+    }
+
+    for (const pause of breaks) {
+      await client.query(
+        "INSERT INTO staff_breaks (staff_id, day_of_week, starts_at, ends_at) VALUES ($1, $2, $3, $4)",
+        [staffId, pause.dayOfWeek, pause.startsAt, pause.endsAt]
+      );
+    }
+
+    await client.query("COMMIT");
+    return true;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error(`❌ Error saving schedule for staff ${staffId}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Replace the services a staff member performs, with optional price overrides
+ * @param {number} businessId - Business ID
+ * @param {number} staffId - Staff ID
+ * @param {Array} services - [{ serviceId, priceOverride }]; empty means every service
+ * @returns {Promise<boolean>} false if the staff member does not belong to the business
+ */
+export async function setStaffServices(businessId, staffId, services = []) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      "SELECT id FROM staff WHERE id = $1 AND business_id = $2 FOR UPDATE",
+      [staffId, businessId]
+    );
+    if (rows.length === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    await client.query("DELETE FROM staff_services WHERE staff_id = $1", [staffId]);
+
+    for (const service of services) {
+      // Only services offered by the same business can be assigned
+      await client.query(
+        `INSERT INTO staff_services (staff_id, service_id, price_override)
+         SELECT $1, id, $3 FROM business_services WHERE id = $2 AND business_id = $4`,
+        [staffId, service.serviceId, service.priceOverride ?? null, businessId]
+      );
+    }
+
+    await client.query("COMMIT");
+    return true;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error(`❌ Error saving services for staff ${staffId}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a holiday or other days off
+ * @param {number} businessId - Business ID
+ * @param {number} staffId - Staff ID
+ * @param {Object} period - { startsOn, endsOn, reason }
+ * @returns {Promise<Object|null>} Created row, or null if the staff member does not belong to the business
+ */
+export async function addTimeOff(businessId, staffId, { startsOn, endsOn, reason }) {
+  const { rows } = await db.query(
+    `INSERT INTO staff_time_off (staff_id, starts_on, ends_on, reason)
+     SELECT id, $3, $4, $5 FROM staff WHERE id = $1 AND business_id = $2
+     RETURNING *`,
+    [staffId, businessId, startsOn, endsOn || startsOn, reason || null]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Remove a time-off entry
+ * @returns {Promise<boolean>} Whether a row was deleted
+ */
+export async function removeTimeOff(businessId, staffId, timeOffId) {
+  const { rowCount } = await db.query(
+    `DELETE FROM staff_time_off t
+     USING staff st
+     WHERE t.id = $1 AND t.staff_id = $2 AND st.id = t.staff_id AND st.business_id = $3`,
+    [timeOffId, staffId, businessId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Per-staff calendar for the business bookings dashboard
+ * @param {number} businessId - Business ID
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object>} { staff: [...], unassigned: [...] } with bookings and time off per stylist
+ */
+export async function getStaffCalendar(businessId, from, to) {
+  const [{ rows: staff }, { rows: bookings }, { rows: timeOff }] = await Promise.all([
+    db.query(
+      "SELECT id, name, colour FROM staff WHERE business_id = $1 AND active = true ORDER BY name",
+      [businessId]
+    ),
+    db.query(
+      `SELECT id, staff_id, service, status, customer_email, start_time, end_time, total_amount
+       FROM bookings
+       WHERE business_id = $1
+         AND start_time >= $2::date
+         AND start_time < $3::date + INTERVAL '1 day'
+         AND status <> 'cancelled'
+       ORDER BY start_time`,
+      [businessId, from, to]
+    ),
+    db.query(
+      `SELECT t.staff_id, t.starts_on, t.ends_on, t.reason
+       FROM staff_time_off t
+       JOIN staff st ON st.id = t.staff_id
+       WHERE st.business_id = $1 AND t.ends_on >= $2::date AND t.starts_on <= $3::date`,
+      [businessId, from, to]
+    )
+  ]);
+
+  return {
+    from,
+    to,
+    staff: staff.map(member => ({
+      ...member,
+      bookings: bookings.filter(b => b.staff_id === member.id),
+      timeOff: timeOff.filter(t => t.staff_id === member.id)
+    })),
+    unassigned: bookings.filter(b => !b.staff_id)
+  };
+}
@@ -0,0 +1,236 @@
+// backend/services/stripeConnectService.js
+import Stripe from "stripe";
+import db from "../db.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Stripe sends the business back here after onboarding (connect=return), or when
+// the link has expired or was already used (connect=refresh); the page's banner
+// then syncs the account or asks for a fresh link
+const ONBOARDING_PAGE = "business-dashboard-payouts.html";
+
+// ──────────────────────────────
+//  ONBOARDING
+// ──────────────────────────────
+//
+// Each business gets one Express account, created the first time it starts
+// onboarding. Stripe hosts the onboarding itself; an account link is single use
+// and short-lived, so a new one is made every time the business clicks through.
+// Stripe reports progress with account.updated webhooks (handled in
+// stripeWebhookService.js), which keep the business's flags and requirements
+// current. Online bookings stay off until Stripe enables payouts.
+
+function onboardingUrl(businessId, state, baseUrl) {
+  return `${baseUrl.replace(/\/$/, "")}/${ONBOARDING_PAGE}?businessId=${encodeURIComponent(businessId)}&connect=${state}`;
+}
+
+/**
+ * Start or continue Stripe onboarding: creates the business's Express account if
+ * it has none, then a fresh onboarding link
+ * @param {number} businessId - Business ID
+ * @param {Object} [options] - { baseUrl } site the business returns to
+ * @returns {Promise<Object>} { success, url, expiresAt, accountId } or { success: false, status, reason }
+ */
+export async function createOnboardingLink(businessId, { baseUrl = process.env.FRONTEND_URL || "https://blkpages.com" } = {}) {
+  const { rows } = await db.query(
+    "SELECT id, name, email, stripe_account_id FROM businesses WHERE id = $1",
+    [businessId]
+  );
+  if (!rows.length) return { success: false, status: 404, reason: "Business not found" };
+  const business = rows[0];
+
+  let accountId = business.stripe_account_id;
+  if (!accountId) {
+    const account = await stripe.accounts.create({
+      type: "express",
+      country: "GB",
+      email: business.email || undefined,
+      business_profile: { name: business.name },
+      capabilities: { card_payments: { requested: true }, transfers: { requested: true } },
+      metadata: { businessId: String(businessId) }
+    }, { idempotencyKey: `connect-account-${businessId}` });
+
+    // Two clicks at once create the account once (same idempotency key); keep whichever is stored
+    const { rows: saved } = await db.query(
+      `UPDATE businesses SET stripe_account_id = COALESCE(stripe_account_id, $2), updated_at = NOW()
+       WHERE id = $1
+       RETURNING stripe_account_id`,
+      [businessId, account.id]
+    );
+    accountId = saved[0].stripe_account_id;
+    await syncConnectAccount(account);
+    console.log(`🏦 Stripe Express account ${accountId} created for business ${businessId}`);
+  }
+
+  const link = await stripe.accountLinks.create({
+    account: accountId,
+    type: "account_onboarding",
+    return_url: onboardingUrl(businessId, "return", baseUrl),
+    refresh_url: onboardingUrl(businessId, "refresh", baseUrl)
+  });
+  return { success: true, url: link.url, expiresAt: new Date(link.expires_at * 1000), accountId };
+}
+
+// ──────────────────────────────
+//  ACCOUNT STATUS
+// ──────────────────────────────
+
+// Stripe's requirement codes as a business would understand them
+const REQUIREMENT_LABELS = {
+  external_account: "Bank account for payouts",
+  "tos_acceptance.date": "Accept the Stripe Services Agreement",
+  "tos_acceptance.ip": "Accept the Stripe Services Agreement",
+  "business_profile.url": "Business website or social media page",
+  "business_profile.mcc": "Business category",
+  "business_profile.product_description": "Description of your services",
+  business_type: "Business type",
+  "company.name": "Company name",
+  "company.address.line1": "Business address",
+  "company.tax_id": "Company registration or tax number",
+  "company.phone": "Business phone number",
+  "individual.first_name": "Your first name",
+  "individual.last_name": "Your last name",
+  "individual.dob.day": "Your date of birth",
+  "individual.address.line1": "Your home address",
+  "individual.email": "Your email address",
+  "individual.phone": "Your phone number",
+  "individual.verification.document": "Photo ID",
+  "individual.verification.additional_document": "Proof of address"
+};
+
+function labelRequirement(code) {
+  if (REQUIREMENT_LABELS[code]) return REQUIREMENT_LABELS[code];
+  // e.g. representative.verification.document, person_abc.dob.day
+  const field = code.split(".").slice(-2).join(" ").replace(/_/g, " ");
+  return field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+function labelRequirements(codes = []) {
+  return [...new Set(codes.map(labelRequirement))];
+}
+
+/**
+ * Copy a Stripe account's capabilities and outstanding requirements onto its business
+ * @param {Object} account - Stripe account object (from account.updated or accounts.retrieve)
+ * @returns {Promise<Object|null>} { business, payoutsEnabledChanged } or null if no business has the account
+ */
+export async function syncConnectAccount(account) {
+  const requirements = account.requirements || {};
+  const stored = {
+    currentlyDue: requirements.currently_due || [],
+    pastDue: requirements.past_due || [],
+    eventuallyDue: requirements.eventually_due || [],
+    pendingVerification: requirements.pending_verification || [],
+    disabledReason: requirements.disabled_reason || null,
+    deadline: requirements.current_deadline ? new Date(requirements.current_deadline * 1000) : null
+  };
+
+  const { rows } = await db.query(
+    `UPDATE businesses b
+     SET stripe_charges_enabled = $2, stripe_payouts_enabled = $3, stripe_details_submitted = $4,
+         stripe_requirements = $5, stripe_account_updated_at = NOW(), updated_at = NOW()
+     FROM (SELECT id, stripe_payouts_enabled AS was_enabled FROM businesses WHERE stripe_account_id = $1) old
+     WHERE b.id = old.id
+     RETURNING b.*, old.was_enabled`,
+    [account.id, Boolean(account.charges_enabled), Boolean(account.payouts_enabled),
+      Boolean(account.details_submitted), JSON.stringify(stored)]
+  );
+  if (!rows.length) return null;
+
+  const business = rows[0];
+  const payoutsEnabledChanged = business.was_enabled !== business.stripe_payouts_enabled;
+  if (payoutsEnabledChanged) {
+    console.log(business.stripe_payouts_enabled
+      ? `✅ Payouts enabled for business ${business.id}: online bookings open`
+      : `⚠️ Payouts disabled for business ${business.id}: online bookings paused`);
+  }
+  return { business, payoutsEnabledChanged };
+}
+
+/**
+ * Fetch the account from Stripe and sync it, for when the business comes back
+ * from onboarding before (or without) the webhook
+ * @param {number} businessId - Business ID
+ * @returns {Promise<Object>} { success, connect } (see formatConnectStatus) or { success: false, status, reason }
+ */
+export async function refreshConnectAccount(businessId) {
+  const { rows } = await db.query("SELECT stripe_account_id FROM businesses WHERE id = $1", [businessId]);
+  if (!rows.length) return { success: false, status: 404, reason: "Business not found" };
+  if (!rows[0].stripe_account_id) return { success: false, status: 409, reason: "Payouts have not been set up yet" };
+
+  const account = await stripe.accounts.retrieve(rows[0].stripe_account_id);
+  await syncConnectAccount(account);
+  return { success: true, connect: await getConnectStatus(businessId) };
+}
+
+/**
+ * Sync every linked account from Stripe (admin), e.g. for accounts linked
+ * before the account.updated webhook was set up
+ * @returns {Promise<Object>} { synced, failed: [{ businessId, error }] }
+ */
+export async function refreshAllConnectAccounts() {
+  const { rows } = await db.query("SELECT id, stripe_account_id FROM businesses WHERE stripe_account_id IS NOT NULL ORDER BY id");
+  const result = { synced: 0, failed: [] };
+  for (const business of rows) {
+    try {
+      await syncConnectAccount(await stripe.accounts.retrieve(business.stripe_account_id));
+      result.synced++;
+    } catch (error) {
+      console.error(`Failed to sync Stripe account for business ${business.id}:`, error.message);
+      result.failed.push({ businessId: business.id, error: error.message });
+    }
+  }
+  return result;
+}
+
+/**
+ * Connect status as the dashboard banner shows it
+ * @param {Object} business - Business row
+ * @returns {Object} { accountId, connected, chargesEnabled, payoutsEnabled, detailsSubmitted, canAcceptBookings, requirements }
+ */
+export function formatConnectStatus(business) {
+  const requirements = business.stripe_requirements || {};
+  return {
+    accountId: business.stripe_account_id,
+    connected: Boolean(business.stripe_account_id),
+    chargesEnabled: business.stripe_charges_enabled,
+    payoutsEnabled: business.stripe_payouts_enabled,
+    detailsSubmitted: business.stripe_details_submitted,
+    canAcceptBookings: business.stripe_payouts_enabled,
+    requirements: {
+      currentlyDue: labelRequirements(requirements.currentlyDue),
+      pastDue: labelRequirements(requirements.pastDue),
+      eventuallyDue: labelRequirements(requirements.eventuallyDue),
+      pendingVerification: labelRequirements(requirements.pendingVerification),
+      disabledReason: requirements.disabledReason || null,
+      deadline: requirements.deadline || null
+    },
+    updatedAt: business.stripe_account_updated_at
+  };
+}
+
+/**
+ * A business's Stripe Connect status
+ * @param {number} businessId - Business ID
+ * @returns {Promise<Object|null>} See formatConnectStatus; null if the business doesn't exist
+ */
+export async function getConnectStatus(businessId) {
+  const { rows } = await db.query(
+    `SELECT stripe_account_id, stripe_charges_enabled, stripe_payouts_enabled, stripe_details_submitted,
+            stripe_requirements, stripe_account_updated_at
+     FROM businesses WHERE id = $1`,
+    [businessId]
+  );
+  return rows.length ? formatConnectStatus(rows[0]) : null;
+}
+
+/**
+ * Whether a business can take online bookings: Stripe must be able to pay it
+ * @param {number} businessId - Business ID
+ * @param {Object} [client] - Database client (inside a transaction)
+ * @returns {Promise<boolean>}
+ */
+export async function hasPayoutsEnabled(businessId, client = db) {
+  const { rows } = await client.query("SELECT stripe_payouts_enabled FROM businesses WHERE id = $1", [businessId]);
+  return Boolean(rows[0]?.stripe_payouts_enabled);
+}
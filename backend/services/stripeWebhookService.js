@@ -0,0 +1,562 @@
+// backend/services/stripeWebhookService.js
+import Stripe from "stripe";
+import db from "../db.js";
+import { processRefund } from "../cronJobs.js";
+import { convertHold, releaseHoldsForPaymentIntent, notifyAppointmentConfirmed } from "./slotHoldService.js";
+import { recordBalancePayment, notifyBalancePaid } from "./depositService.js";
+import { convertGroupHold, recordSharePayment, notifySharePaid, notifyGroupConfirmed } from "./groupService.js";
+import { recordTransferReversal } from "./payoutService.js";
+import { syncConnectAccount, formatConnectStatus } from "./stripeConnectService.js";
+import { reconcileStripeRefunds, refundEmits } from "./refundService.js";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// ──────────────────────────────
+//  EVENT STORE
+// ──────────────────────────────
+//
+// Every event is stored before it is acted on. Processing claims the row
+// (received/failed → processing), so a retry or duplicate delivery that
+// arrives while or after it is handled does nothing. Handlers are written to
+// be safe to run twice, which is what makes replay possible.
+
+const RETRYABLE = ["received", "failed"];
+
+/**
+ * Check the Stripe-Signature header against the raw request body. Events about
+ * connected accounts (account.updated) come from a Connect endpoint, which has
+ * its own signing secret (STRIPE_CONNECT_WEBHOOK_SECRET).
+ * @param {Buffer} payload - Raw body, exactly as Stripe sent it
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} Verified event (throws if the signature does not match)
+ */
+export function verifyStripeEvent(payload, signature) {
+  try {
+    return stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    if (!process.env.STRIPE_CONNECT_WEBHOOK_SECRET) throw error;
+    return stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_CONNECT_WEBHOOK_SECRET);
+  }
+}
+
+/**
+ * Store a verified Stripe event and process it unless it has been already
+ * @param {Object} event - Event from stripe.webhooks.constructEvent
+ * @returns {Promise<Object>} { success, duplicate?, type, action, emits }
+ */
+export async function handleStripeEvent(event) {
+  await db.query(
+    `INSERT INTO stripe_events (id, type, object_id, payload, livemode, stripe_created_at)
+     VALUES ($1, $2, $3, $4, $5, TO_TIMESTAMP($6))
+     ON CONFLICT (id) DO NOTHING`,
+    [event.id, event.type, event.data?.object?.id || null, event, Boolean(event.livemode), event.created || null]
+  );
+  return processStoredEvent(event.id, RETRYABLE);
+}
+
+/**
+ * Run a stored event through its handler again (admin replay)
+ * @param {string} eventId - Stripe event ID
+ * @returns {Promise<Object>} { success, type, action, emits } or { success: false, status, reason }
+ */
+export async function replayStripeEvent(eventId) {
+  const { rows } = await db.query("SELECT status FROM stripe_events WHERE id = $1", [eventId]);
+  if (!rows.length) {
+    return { success: false, status: 404, reason: "Event not found" };
+  }
+  // An event another worker is processing right now is left to finish
+  const result = await processStoredEvent(eventId, ["received", "processed", "ignored", "failed"]);
+  if (result.duplicate) {
+    return { success: false, status: 409, reason: "Event is being processed" };
+  }
+  return result;
+}
+
+/**
+ * Stored events, most recent first
+ * @param {Object} filters - { status, type, objectId, limit }
+ * @returns {Promise<Array>} Events without their payload
+ */
+export async function listStripeEvents({ status = null, type = null, objectId = null, limit = 100 } = {}) {
+  const { rows } = await db.query(
+    `SELECT id, type, object_id, status, attempts, error, livemode, stripe_created_at, received_at, processed_at
+     FROM stripe_events
+     WHERE ($1::text IS NULL OR status = $1)
+       AND ($2::text IS NULL OR type = $2)
+       AND ($3::text IS NULL OR object_id = $3)
+     ORDER BY received_at DESC
+     LIMIT $4`,
+    [status, type, objectId, Math.min(Math.max(parseInt(limit) || 100, 1), 500)]
+  );
+  return rows;
+}
+
+async function processStoredEvent(eventId, fromStatuses) {
+  const { rows } = await db.query(
+    `UPDATE stripe_events
+     SET status = 'processing', attempts = attempts + 1, error = NULL
+     WHERE id = $1 AND status = ANY($2::text[])
+     RETURNING payload`,
+    [eventId, fromStatuses]
+  );
+  if (!rows.length) {
+    return { success: true, duplicate: true, emits: [] };
+  }
+
+  const event = rows[0].payload;
+  const handler = HANDLERS[event.type];
+  if (!handler) {
+    await finishEvent(eventId, "ignored");
+    return { success: true, type: event.type, action: "ignored", emits: [] };
+  }
+
+  try {
+    const outcome = await handler(event.data.object, event);
+    await finishEvent(eventId, "processed");
+    console.log(`💳 Stripe ${event.type} ${event.data.object.id}: ${outcome.action}`);
+    return { success: true, type: event.type, ...outcome };
+  } catch (error) {
+    await finishEvent(eventId, "failed", error.message);
+    throw error;
+  }
+}
+
+async function finishEvent(eventId, status, error = null) {
+  await db.query(
+    `UPDATE stripe_events
+     SET status = $2, error = $3, processed_at = CASE WHEN $2 = 'failed' THEN processed_at ELSE NOW() END
+     WHERE id = $1`,
+    [eventId, status, error]
+  );
+}
+
+// ──────────────────────────────
+//  BOOKKEEPING
+// ──────────────────────────────
+
+// Bookings paid for by a PaymentIntent: the checkout (or a group share, which
+// becomes the booking's stripe_payment_intent) or an in-app balance payment
+async function bookingsForPaymentIntent(paymentIntentId, client = db) {
+  const { rows } = await client.query(
+    `SELECT *, (stripe_payment_intent = $1) AS paid_in_full_by_intent
+     FROM bookings
+     WHERE stripe_payment_intent = $1 OR balance_payment_intent = $1
+     ORDER BY id`,
+    [paymentIntentId]
+  );
+  return rows;
+}
+
+async function upsertPayment(intentId, { booking = null, amount = null, currency = null, status, chargeId = null, failureReason = null }, client = db) {
+  await client.query(
+    `INSERT INTO payments (customer_id, booking_id, amount, currency, status, stripe_payment_intent, stripe_charge_id, failure_reason)
+     VALUES ($1, $2, COALESCE($3, 0), COALESCE($4, 'GBP'), $5, $6, $7, $8)
+     ON CONFLICT (stripe_payment_intent) WHERE stripe_payment_intent IS NOT NULL DO UPDATE
+     SET status = EXCLUDED.status,
+         customer_id = COALESCE(payments.customer_id, EXCLUDED.customer_id),
+         booking_id = COALESCE(payments.booking_id, EXCLUDED.booking_id),
+         amount = COALESCE($3, payments.amount),
+         stripe_charge_id = COALESCE(EXCLUDED.stripe_charge_id, payments.stripe_charge_id),
+         failure_reason = EXCLUDED.failure_reason,
+         updated_at = NOW()`,
+    [booking?.customer_id ?? null, booking?.id ?? null, amount, currency?.toUpperCase() ?? null, status, intentId, chargeId, failureReason]
+  );
+}
+
+function statusEmit(booking, payload) {
+  return {
+    to: "customer",
+    id: booking.customer_id,
+    event: "booking_status_changed",
+    payload: { bookingId: booking.id, status: booking.status, timestamp: new Date().toISOString(), ...payload }
+  };
+}
+
+// Lost disputes reverse released points once per booking (refunds do so in refundService.js).
+// Claiming refunded_at first keeps a replayed event from reversing them twice.
+async function refundBookings(bookings) {
+  for (const booking of bookings) {
+    const { rowCount } = await db.query(
+      "UPDATE bookings SET refunded_at = NOW() WHERE id = $1 AND refunded_at IS NULL",
+      [booking.id]
+    );
+    if (!rowCount) continue;
+
+    try {
+      await processRefund(booking.id, booking.customer_id);
+    } catch (error) {
+      await db.query("UPDATE bookings SET refunded_at = NULL WHERE id = $1", [booking.id]);
+      throw error;
+    }
+  }
+}
+
+// ──────────────────────────────
+//  PAYMENT INTENTS
+// ──────────────────────────────
+
+// BlkPoints a checkout was discounted by live with the customer's account in
+// Firestore. The checkoutPoints Cloud Function takes them once per
+// PaymentIntent, whichever of finalizeBooking or this webhook gets there first.
+async function checkoutPoints(intent, action) {
+  if (!(parseInt(intent.metadata?.pointsUsed) > 0)) return { success: true, points: 0 };
+
+  const url = process.env.CHECKOUT_POINTS_URL;
+  if (!url) throw new Error("CHECKOUT_POINTS_URL is not set; BlkPoints for this payment cannot be settled");
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-internal-key": process.env.INTERNAL_API_KEY || "" },
+    body: JSON.stringify({ paymentIntentId: intent.id, action })
+  });
+  const result = await response.json().catch(() => ({}));
+  if (response.status === 409) {
+    return { success: false, reason: result.error || "Not enough BlkPoints" };
+  }
+  if (!response.ok) {
+    throw new Error(`BlkPoints ${action} for ${intent.id} failed: ${result.error || response.status}`);
+  }
+  return { success: true, ...result };
+}
+
+// A checkout paid for a hold or group that can no longer become a booking (the
+// slot was taken after the hold lapsed, or the group was released) will never
+// convert, however often the event is retried: the payment goes back to the
+// customer and the event is done
+async function refundUnplaced(intent, { holdId = null, groupId = null }, reason) {
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: intent.id,
+      reason: "requested_by_customer",
+      metadata: { source: "unplaced_checkout", holdId: holdId || "", groupId: groupId ? String(groupId) : "" }
+    },
+    { idempotencyKey: `unplaced-${intent.id}` }
+  );
+  await checkoutPoints(intent, "restore");
+  await upsertPayment(intent.id, {
+    amount: intent.amount_received / 100,
+    currency: intent.currency,
+    status: "refunded",
+    chargeId: intent.latest_charge || null,
+    failureReason: reason
+  });
+
+  const { rows: owners } = holdId
+    ? await db.query("SELECT customer_id FROM slot_holds WHERE id = $1", [holdId])
+    : await db.query("SELECT organiser_customer_id AS customer_id FROM booking_groups WHERE id = $1", [groupId]);
+  const customerId = owners[0]?.customer_id;
+
+  const emits = [];
+  if (customerId) {
+    const { rows } = await db.query(
+      `INSERT INTO notifications (customer_id, title, message, type, target)
+       VALUES ($1, $2, $3, 'warning', 'bookings') RETURNING *`,
+      [
+        customerId,
+        "Booking Not Made",
+        `Sorry, we couldn't complete your booking: ${reason}. Your £${(intent.amount_received / 100).toFixed(2)} has been refunded to your card and should arrive in 5-10 working days.`
+      ]
+    );
+    emits.push({ to: "customer", id: customerId, event: "new_notification", payload: rows[0] });
+  }
+
+  console.log(`↩️ ${holdId ? `Hold ${holdId}` : `Group ${groupId}`} could not be booked (${reason}); refunded ${intent.id} (${refund.id})`);
+  return { action: "payment_refunded", emits };
+}
+
+async function handlePaymentSucceeded(intent) {
+  const emits = [];
+  const amount = intent.amount_received / 100;
+  const paymentType = intent.metadata?.paymentType;
+  let action = "payment_recorded";
+
+  if (paymentType === "balance") {
+    // No-op if the app already confirmed it
+    const booking = await recordBalancePayment(intent);
+    if (booking) {
+      const notifications = await notifyBalancePaid(booking);
+      emits.push({ to: "customer", id: booking.customer_id, event: "new_notification", payload: notifications.customer });
+      emits.push({
+        to: "business",
+        id: booking.business_id,
+        event: "booking_balance_paid",
+        payload: { bookingId: booking.id, balanceStatus: booking.balance_status, amountPaid: Number(booking.amount_paid) }
+      });
+      action = "balance_paid";
+    }
+  } else if (paymentType === "group_share") {
+    const booking = await recordSharePayment(intent);
+    if (booking) {
+      const notification = await notifySharePaid(booking);
+      emits.push({ to: "customer", id: booking.customer_id, event: "new_notification", payload: notification });
+      emits.push({ to: "business", id: booking.business_id, event: "booking_status_changed", payload: { bookingId: booking.id, status: booking.status } });
+      action = "share_paid";
+    }
+  } else if (intent.metadata?.groupId) {
+    // Checkout paid but the app never finalised: confirm the group from the payment
+    const points = await checkoutPoints(intent, "redeem");
+    if (!points.success) {
+      return refundUnplaced(intent, { groupId: parseInt(intent.metadata.groupId) }, points.reason);
+    }
+    const result = await convertGroupHold(parseInt(intent.metadata.groupId), {
+      customerEmail: intent.receipt_email || null,
+      paymentIntentId: intent.id,
+      amountPaid: amount,
+      stripeCustomerId: intent.customer || null,
+      paymentMethodId: intent.payment_method || null
+    });
+    if (!result.success) {
+      return refundUnplaced(intent, { groupId: parseInt(intent.metadata.groupId) }, result.reason);
+    }
+    if (!result.alreadyConverted) {
+      const notifications = await notifyGroupConfirmed(result.group, result.bookings);
+      emits.push({ to: "customer", id: result.group.organiser_customer_id, event: "new_notification", payload: notifications.customer });
+      emits.push({ to: "business", id: result.group.business_id, event: "new_notification", payload: notifications.business });
+      emits.push({
+        to: "business",
+        id: result.group.business_id,
+        event: "group_booking_created",
+        payload: { groupId: result.group.id, bookingIds: result.bookings.map(booking => booking.id) }
+      });
+      action = "group_confirmed";
+    }
+  } else if (intent.metadata?.holdId) {
+    const points = await checkoutPoints(intent, "redeem");
+    if (!points.success) {
+      return refundUnplaced(intent, { holdId: intent.metadata.holdId }, points.reason);
+    }
+    const result = await convertHold(intent.metadata.holdId, {
+      customerEmail: intent.receipt_email || null,
+      paymentIntentId: intent.id,
+      amountPaid: amount,
+      stripeCustomerId: intent.customer || null,
+      paymentMethodId: intent.payment_method || null
+    });
+    if (!result.success) {
+      return refundUnplaced(intent, { holdId: intent.metadata.holdId }, result.reason);
+    }
+    if (!result.alreadyConverted) {
+      emits.push(statusEmit(result.booking, { bookingIds: result.bookings.map(booking => booking.id) }));
+      if (result.bookings.length > 1) {
+        const notifications = await notifyAppointmentConfirmed(result.bookings);
+        emits.push({ to: "customer", id: result.booking.customer_id, event: "new_notification", payload: notifications.customer });
+        emits.push({ to: "business", id: result.booking.business_id, event: "new_notification", payload: notifications.business });
+      }
+      action = "booking_confirmed";
+    }
+  }
+
+  const bookings = await bookingsForPaymentIntent(intent.id);
+  await upsertPayment(intent.id, {
+    booking: bookings[0],
+    amount,
+    currency: intent.currency,
+    status: "completed",
+    chargeId: intent.latest_charge || null
+  });
+  await db.query(
+    `UPDATE bookings SET payment_status = 'paid', updated_at = NOW()
+     WHERE id = ANY($1::int[]) AND (payment_status IS NULL OR payment_status = 'failed')`,
+    [bookings.map(booking => booking.id)]
+  );
+
+  return { action, emits };
+}
+
+async function handlePaymentUnsuccessful(intent, event) {
+  const canceled = event.type === "payment_intent.canceled";
+  const released = await releaseHoldsForPaymentIntent(intent.id, canceled ? "abandoned" : "payment_failed");
+  const failureReason = canceled
+    ? intent.cancellation_reason || "canceled"
+    : intent.last_payment_error?.message || "payment_failed";
+
+  // Only bookings this intent was meant to pay for in full; a failed balance payment leaves the balance due
+  const bookings = (await bookingsForPaymentIntent(intent.id)).filter(booking => booking.paid_in_full_by_intent);
+  await upsertPayment(intent.id, {
+    booking: bookings[0],
+    amount: intent.amount / 100,
+    currency: intent.currency,
+    status: canceled ? "canceled" : "failed",
+    failureReason
+  });
+
+  const emits = [];
+  if (!canceled && bookings.length) {
+    const { rows } = await db.query(
+      `UPDATE bookings SET payment_status = 'failed', updated_at = NOW()
+       WHERE id = ANY($1::int[]) AND payment_status IS DISTINCT FROM 'failed'
+       RETURNING *`,
+      [bookings.map(booking => booking.id)]
+    );
+    for (const booking of rows) {
+      emits.push(statusEmit(booking, { paymentStatus: "failed", label: "Payment failed", message: failureReason, styling: "red" }));
+    }
+  }
+
+  console.log(`Payment ${intent.id} ${canceled ? "abandoned" : "payment_failed"}: released ${released} slot hold(s)`);
+  return { action: canceled ? "payment_canceled" : "payment_failed", emits };
+}
+
+// ──────────────────────────────
+//  REFUNDS & DISPUTES
+// ──────────────────────────────
+
+async function handleChargeRefunded(charge) {
+  const intentId = charge.payment_intent;
+  if (!intentId) return { action: "no_payment_intent", emits: [] };
+
+  const refunded = charge.amount_refunded / 100;
+  const fullRefund = Boolean(charge.refunded);
+
+  await db.query(
+    `UPDATE payments
+     SET refunded_amount = $2, status = $3, stripe_charge_id = COALESCE(stripe_charge_id, $4), updated_at = NOW()
+     WHERE stripe_payment_intent = $1`,
+    [intentId, refunded, fullRefund ? "refunded" : "partially_refunded", charge.id]
+  );
+
+  // The refund ledger records each refund (including ones made in the Stripe dashboard)
+  // and reverses BlkPoints for what was refunded
+  const settled = await reconcileStripeRefunds(intentId);
+  if (!settled.length) return { action: "no_bookings", emits: [] };
+
+  return { action: fullRefund ? "refunded" : "partially_refunded", emits: refundEmits(settled) };
+}
+
+// A refund that was pending (e.g. to a closed card) can fail or be canceled later
+async function handleRefundUpdated(refund) {
+  if (!refund.payment_intent) return { action: "no_payment_intent", emits: [] };
+  const settled = await reconcileStripeRefunds(refund.payment_intent);
+  return { action: `refund_${refund.status}`, emits: refundEmits(settled) };
+}
+
+async function bookingsForDispute(dispute) {
+  return dispute.payment_intent ? bookingsForPaymentIntent(dispute.payment_intent) : [];
+}
+
+async function handleDisputeCreated(dispute) {
+  const bookings = await bookingsForDispute(dispute);
+  await db.query(
+    "UPDATE payments SET status = 'disputed', updated_at = NOW() WHERE stripe_payment_intent = $1",
+    [dispute.payment_intent]
+  );
+
+  // disputed=true holds back the points-release cron until the dispute closes
+  const { rows } = await db.query(
+    `UPDATE bookings
+     SET disputed = true, payment_status = 'disputed', dispute_id = $2, dispute_status = $3,
+         dispute_reason = $4, disputed_at = COALESCE(disputed_at, NOW()), updated_at = NOW()
+     WHERE id = ANY($1::int[]) AND dispute_id IS DISTINCT FROM $2
+     RETURNING *`,
+    [bookings.map(booking => booking.id), dispute.id, dispute.status, dispute.reason || null]
+  );
+
+  for (const booking of rows) {
+    console.log(`⚠️ Booking #${booking.id} disputed (${dispute.reason || "no reason given"})`);
+  }
+  return {
+    action: "dispute_opened",
+    emits: rows.map(booking => statusEmit(booking, {
+      paymentStatus: "disputed",
+      label: "Payment disputed",
+      message: "A dispute has been opened for this payment. BlkPoints are on hold until it is resolved.",
+      styling: "orange"
+    }))
+  };
+}
+
+async function handleDisputeClosed(dispute) {
+  const bookings = await bookingsForDispute(dispute);
+  const lost = dispute.status === "lost";
+
+  await db.query(
+    "UPDATE payments SET status = $2, updated_at = NOW() WHERE stripe_payment_intent = $1",
+    [dispute.payment_intent, lost ? "refunded" : "completed"]
+  );
+  // A lost dispute on a balance payment still leaves the deposit paid
+  const { rows } = await db.query(
+    `UPDATE bookings
+     SET disputed = false, dispute_status = $2, updated_at = NOW(),
+         payment_status = CASE WHEN NOT $3 THEN 'paid'
+                               WHEN stripe_payment_intent = $4 THEN 'refunded'
+                               ELSE 'partially_refunded' END
+     WHERE id = ANY($1::int[]) AND (disputed OR dispute_status IS DISTINCT FROM $2)
+     RETURNING *`,
+    [bookings.map(booking => booking.id), dispute.status, lost, dispute.payment_intent]
+  );
+
+  if (lost) {
+    // Money went back to the customer's bank, so treat it as a refund
+    await refundBookings(rows.filter(booking => booking.payment_status === "refunded"));
+    return { action: "dispute_lost", emits: [] };
+  }
+  return {
+    action: "dispute_won",
+    emits: rows.map(booking => statusEmit(booking, {
+      paymentStatus: "paid",
+      label: "Dispute resolved",
+      message: "The payment dispute has been closed.",
+      styling: "green"
+    }))
+  };
+}
+
+// ──────────────────────────────
+//  TRANSFERS
+// ──────────────────────────────
+
+async function handleTransfer(transfer, event) {
+  const status = event.type === "transfer.reversed" ? "reversed" : event.type.split(".")[1];
+  const bookingId = parseInt(transfer.metadata?.bookingId) || null;
+
+  await db.query(
+    `INSERT INTO stripe_transfers (id, business_id, booking_id, destination, amount, amount_reversed, currency, status, created_at)
+     VALUES ($1, (SELECT id FROM businesses WHERE stripe_account_id = $2 LIMIT 1),
+             (SELECT id FROM bookings WHERE id = $3), $2, $4, $5, $6, $7, TO_TIMESTAMP($8))
+     ON CONFLICT (id) DO UPDATE
+     SET amount = EXCLUDED.amount, amount_reversed = EXCLUDED.amount_reversed,
+         status = CASE WHEN stripe_transfers.status = 'reversed' THEN 'reversed' ELSE EXCLUDED.status END,
+         updated_at = NOW()`,
+    [transfer.id, transfer.destination, bookingId, transfer.amount / 100, (transfer.amount_reversed || 0) / 100,
+      (transfer.currency || "gbp").toUpperCase(), status, transfer.created]
+  );
+
+  // A reversed payout transfer shows as reversed on the business's payouts page
+  const payout = status === "reversed" ? await recordTransferReversal(transfer) : null;
+  return {
+    action: `transfer_${status}`,
+    emits: payout ? [{ to: "business", id: payout.business_id, event: "payout_updated", payload: { id: payout.id, status: payout.status } }] : []
+  };
+}
+
+// ──────────────────────────────
+//  CONNECTED ACCOUNTS
+// ──────────────────────────────
+
+async function handleAccountUpdated(account) {
+  const synced = await syncConnectAccount(account);
+  if (!synced) {
+    return { action: "unknown_account", emits: [] };
+  }
+  const { business, payoutsEnabledChanged } = synced;
+  const action = payoutsEnabledChanged
+    ? (business.stripe_payouts_enabled ? "payouts_enabled" : "payouts_disabled")
+    : "account_synced";
+  return {
+    action,
+    emits: [{ to: "business", id: business.id, event: "connect_status_updated", payload: formatConnectStatus(business) }]
+  };
+}
+
+const HANDLERS = {
+  "payment_intent.succeeded": handlePaymentSucceeded,
+  "payment_intent.payment_failed": handlePaymentUnsuccessful,
+  "payment_intent.canceled": handlePaymentUnsuccessful,
+  "charge.refunded": handleChargeRefunded,
+  "charge.refund.updated": handleRefundUpdated,
+  "charge.dispute.created": handleDisputeCreated,
+  "charge.dispute.closed": handleDisputeClosed,
+  "transfer.created": handleTransfer,
+  "transfer.updated": handleTransfer,
+  "transfer.reversed": handleTransfer,
+  "account.updated": handleAccountUpdated
+};
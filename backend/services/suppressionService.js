@@ -0,0 +1,262 @@
+// backend/services/suppressionService.js
+import crypto from "crypto";
+import { createRequire } from "module";
+import db from "../db.js";
+
+// The same signed tokens the email and SMS senders put in their footers
+// (unsubscribe-token.js) and the same preference rules (notification-preferences.js)
+const require = createRequire(import.meta.url);
+const UnsubscribeToken = require("../../unsubscribe-token.js");
+const NotificationPreferences = require("../../notification-preferences.js");
+
+// ──────────────────────────────
+//  SUPPRESSION LIST
+// ──────────────────────────────
+//
+// Addresses that must not be sent to, either at all (category NULL: bounces,
+// complaints) or for one category of message (unsubscribe links). Rows stay
+// for the record; opting back in or fixing the address sets lifted_at.
+
+const TABLES = {
+  customer: "customers",
+  business: "businesses"
+};
+
+// Which column holds the address a channel sends to
+const ADDRESS_COLUMNS = {
+  email: "email",
+  sms: "phone",
+  whatsapp: "phone"
+};
+
+/**
+ * Hash of an email address or phone number, normalised so the same address
+ * always matches (case and spacing in emails, formatting in phone numbers)
+ * @param {string} channel - email, sms, push, whatsapp
+ * @param {string} address - Email address or phone number
+ * @returns {string|null} Hex SHA-256, or null with no address
+ */
+export function hashAddress(channel, address) {
+  if (!address) return null;
+  const normalized = channel === "email"
+    ? String(address).trim().toLowerCase()
+    : String(address).replace(/[^\d+]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * Add an address (or one category of message to it) to the suppression list
+ * @param {Object} suppression - { channel, address, recipientType, recipientId, category, reason, source }
+ * @param {Object} client - Optional client inside a transaction
+ * @returns {Promise<Object|null>} The new row, or null if already suppressed
+ */
+export async function addSuppression(
+  { channel, address, recipientType = null, recipientId = null, category = null, reason, source = null },
+  client = db
+) {
+  const { rows } = await client.query(
+    `INSERT INTO notification_suppressions
+       (channel, address_hash, recipient_type, recipient_id, category, reason, source)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [channel, hashAddress(channel, address), recipientType, recipientId, category, reason, source]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Whether an address is suppressed for a message
+ * @param {string} channel - email, sms, push, whatsapp
+ * @param {string} address - Email address or phone number
+ * @param {string|null} category - Category of the message; suppressions of every message always apply
+ * @returns {Promise<boolean>}
+ */
+export async function isSuppressed(channel, address, category = null) {
+  const addressHash = hashAddress(channel, address);
+  if (!addressHash) return false;
+
+  const { rows } = await db.query(
+    `SELECT 1 FROM notification_suppressions
+     WHERE channel = $1 AND address_hash = $2 AND lifted_at IS NULL
+       AND (category IS NULL OR category = $3)
+     LIMIT 1`,
+    [channel, addressHash, category]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Lift unsubscribe suppressions for categories a recipient has turned back on
+ * in the preference centre
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @param {Object} changes - { [channel]: { [category]: boolean } }
+ * @param {Object} client - Optional client inside a transaction
+ * @returns {Promise<number>} Suppressions lifted
+ */
+export async function liftUnsubscribes(recipientType, recipientId, changes, client = db) {
+  let lifted = 0;
+  for (const [channel, categories] of Object.entries(changes || {})) {
+    const enabled = Object.keys(categories).filter(category => categories[category] === true);
+    if (enabled.length === 0) continue;
+
+    const { rowCount } = await client.query(
+      `UPDATE notification_suppressions SET lifted_at = NOW()
+       WHERE recipient_type = $1 AND recipient_id = $2 AND channel = $3
+         AND category = ANY($4) AND reason = 'unsubscribe' AND lifted_at IS NULL`,
+      [recipientType, recipientId, channel, enabled]
+    );
+    lifted += rowCount;
+  }
+  return lifted;
+}
+
+/**
+ * Lift bounce suppressions on an address the customer has just entered or
+ * confirmed, so the next message is tried again
+ * @param {string} channel - email, sms, whatsapp
+ * @param {string} address - Email address or phone number
+ * @param {Object} client - Optional client inside a transaction
+ * @returns {Promise<number>} Suppressions lifted
+ */
+export async function liftBounces(channel, address, client = db) {
+  const { rowCount } = await client.query(
+    `UPDATE notification_suppressions SET lifted_at = NOW()
+     WHERE channel = $1 AND address_hash = $2
+       AND reason IN ('hard_bounce', 'repeated_soft_bounce') AND lifted_at IS NULL`,
+    [channel, hashAddress(channel, address)]
+  );
+  return rowCount;
+}
+
+/**
+ * Lift a STOP texted from a number once the customer texts START
+ * @param {string} channel - sms
+ * @param {string} address - Phone number
+ * @param {Object} client - Optional client inside a transaction
+ * @returns {Promise<number>} Suppressions lifted
+ */
+export async function liftStops(channel, address, client = db) {
+  const { rowCount } = await client.query(
+    `UPDATE notification_suppressions SET lifted_at = NOW()
+     WHERE channel = $1 AND address_hash = $2 AND reason = 'sms_stop' AND lifted_at IS NULL`,
+    [channel, hashAddress(channel, address)]
+  );
+  return rowCount;
+}
+
+// ──────────────────────────────
+//  UNSUBSCRIBE LINKS
+// ──────────────────────────────
+
+/**
+ * Footer link for a message the dashboard is about to send (null for transactional messages)
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @param {string} channel - email, sms, push, whatsapp
+ * @param {string|null} category - Category, or a message type (see categoryFor)
+ * @returns {string|null}
+ */
+export function unsubscribeUrlFor(recipientType, recipientId, channel, category) {
+  const resolved = NotificationPreferences.CATEGORIES.includes(category)
+    ? category
+    : NotificationPreferences.categoryFor(category);
+  return UnsubscribeToken.unsubscribeLinks({ recipientType, recipientId, channel, category: resolved })?.url || null;
+}
+
+function tokenFailure(reason) {
+  return reason === "expired"
+    ? { success: false, status: 410, reason: "This unsubscribe link has expired. Manage your preferences from your account instead." }
+    : { success: false, status: 400, reason: "This unsubscribe link is not valid" };
+}
+
+function describe(target, preferences) {
+  return {
+    recipientType: target.recipientType,
+    channel: target.channel,
+    category: target.category,
+    channelLabel: NotificationPreferences.CHANNEL_LABELS[target.channel],
+    categoryLabel: NotificationPreferences.CATEGORY_LABELS[target.category],
+    unsubscribed: !NotificationPreferences.isAllowed(preferences, target.channel, target.category)
+  };
+}
+
+/**
+ * What an unsubscribe link is for, without acting on it (the confirmation page)
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} { success, recipientType, channel, category, channelLabel, categoryLabel, unsubscribed }
+ *   or { success: false, status, reason }
+ */
+export async function describeUnsubscribe(token) {
+  const target = UnsubscribeToken.verifyToken(token);
+  if (!target.valid) return tokenFailure(target.reason);
+
+  const { rows } = await db.query(
+    `SELECT notification_preferences FROM ${TABLES[target.recipientType]} WHERE id = $1`,
+    [target.recipientId]
+  );
+  if (rows.length === 0) return tokenFailure("invalid");
+
+  return { success: true, ...describe(target, rows[0].notification_preferences) };
+}
+
+/**
+ * Act on an unsubscribe link: turn the category off on that channel in the
+ * recipient's preferences and record the opt-out in the suppression list.
+ * Using the same link again changes nothing.
+ * @param {string} token - Token from the link or List-Unsubscribe URL
+ * @param {string} source - 'one_click' (mail client) or 'link' (unsubscribe page)
+ * @returns {Promise<Object>} As describeUnsubscribe, with unsubscribed: true
+ */
+export async function unsubscribeWithToken(token, source = "link") {
+  const target = UnsubscribeToken.verifyToken(token);
+  if (!target.valid) return tokenFailure(target.reason);
+
+  const { recipientType, recipientId, channel, category } = target;
+  const table = TABLES[recipientType];
+  const addressColumn = ADDRESS_COLUMNS[channel];
+
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT notification_preferences${addressColumn ? `, ${addressColumn} AS address` : ""}
+       FROM ${table} WHERE id = $1 FOR UPDATE`,
+      [recipientId]
+    );
+    if (rows.length === 0) {
+      await client.query("ROLLBACK");
+      return tokenFailure("invalid");
+    }
+
+    const changes = { [channel]: { [category]: false } };
+    const overrides = NotificationPreferences.mergePreferences(rows[0].notification_preferences, changes);
+    await client.query(
+      `UPDATE ${table}
+       SET notification_preferences = $2, notification_preferences_updated_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [recipientId, JSON.stringify(overrides)]
+    );
+    const added = await addSuppression({
+      channel,
+      address: rows[0].address,
+      recipientType,
+      recipientId,
+      category,
+      reason: "unsubscribe",
+      source
+    }, client);
+    await client.query("COMMIT");
+
+    if (added) {
+      console.log(`🔕 ${recipientType} ${recipientId} unsubscribed from ${category} ${channel} (${source})`);
+    }
+    return { success: true, ...describe(target, overrides) };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,683 @@
+// backend/services/waitingListService.js
+import crypto from "crypto";
+import { createRequire } from "module";
+import db from "../db.js";
+import { checkSlotAvailability, withBusinessScheduleLock } from "./availabilityService.js";
+import { createHold, toLocalTimestamp, BOOKINGS_PAUSED } from "./slotHoldService.js";
+import { enqueueJob, generateIdempotencyKey } from "./jobQueueService.js";
+
+// The same matcher the join form and notification automation use (waiting-list-preferences.js)
+const require = createRequire(import.meta.url);
+const {
+  normalizePreferences,
+  validatePreferences,
+  fitScore,
+  describePreferences
+} = require("../../waiting-list-preferences.js");
+const { formatDateTime } = require("../../recipient-time.js");
+
+// ──────────────────────────────
+//  WAITING LIST
+// ──────────────────────────────
+//
+// Customers queue for a service (optionally with one stylist). When a booking
+// is cancelled its slot is offered to the first eligible customer in the
+// queue, who has OFFER_HOURS to take it. Taking it makes a normal checkout
+// hold. An offer that is declined or expires (each offer queues its own
+// expiry job), or a hold that lapses without payment, cascades to the next
+// customer for the same slot. The queue is ordered by priority (loyalty at
+// the business), then by join time.
+//
+// Each entry can narrow when the customer can come in: a date range and
+// weekly time windows. A slot is only offered to entries it fits, and for
+// that slot candidates are ranked by loyalty, time waited and how well it
+// fits (calculatePriority).
+
+export const OFFER_HOURS = 2;
+
+// An offer always closes this long before the slot, and is not worth sending with less than OFFER_MIN_MINUTES to answer
+const MIN_NOTICE_MINUTES = 60;
+const OFFER_MIN_MINUTES = 30;
+
+// Cancellations older than this are not swept up by the cron backstop
+const SWEEP_HOURS = 24;
+
+// Offers are expired by their own queued job; the cron sweep only catches ones still open this long after
+const EXPIRY_GRACE_MINUTES = 15;
+
+const ACTIVE_STATUSES = ["waiting", "offered", "accepted"];
+
+// Every day on the list counts for this much when ranking candidates for a slot
+const WAIT_POINTS_PER_DAY = 2;
+
+/**
+ * Loyalty at a business, stored as the entry's queue priority: 10 per completed visit and 1 per £10 spent
+ * @param {number} customerId - Customer ID
+ * @param {number} businessId - Business ID
+ * @param {Object} [client] - pg client
+ * @returns {Promise<number>}
+ */
+export async function calculateLoyalty(customerId, businessId, client = db) {
+  const { rows } = await client.query(
+    `SELECT COUNT(*) AS visits, COALESCE(SUM(COALESCE(amount_paid, total_amount)), 0) AS spent
+     FROM bookings
+     WHERE customer_id = $1 AND business_id = $2 AND status = 'completed'`,
+    [customerId, businessId]
+  );
+  const { visits, spent } = rows[0];
+  return Math.round((Number(visits) * 10 + Number(spent) / 10) * 100) / 100;
+}
+
+/**
+ * Rank an entry for one particular slot: loyalty, plus time waited, plus how
+ * well the slot fits the customer's preferences
+ * @param {Object} entry - waiting_list_entries row
+ * @param {string} startTime - Slot start (local timestamp)
+ * @param {number|null} [slotStaffId] - Stylist the slot is with
+ * @returns {number|null} Priority, or null when the slot does not suit the customer
+ */
+export function calculatePriority(entry, startTime, slotStaffId = null) {
+  const fit = fitScore(entryPreferences(entry), startTime, { wanted: entry.staff_id, slot: slotStaffId });
+  if (fit === null) return null;
+
+  const daysWaited = (Date.now() - new Date(entry.joined_at).getTime()) / 86400000;
+  return Number(entry.priority) + Math.floor(daysWaited) * WAIT_POINTS_PER_DAY + fit;
+}
+
+// pg returns DATE columns as local midnight; preferences compare plain YYYY-MM-DD dates
+function toDateString(value) {
+  return value ? toLocalTimestamp(value).slice(0, 10) : null;
+}
+
+function entryPreferences(entry) {
+  return normalizePreferences({
+    from: toDateString(entry.available_from),
+    until: toDateString(entry.available_until),
+    windows: entry.time_windows || []
+  });
+}
+
+// Position among the entries still waiting for the same service (1 = next to be offered)
+const POSITION_SQL = `
+  CASE WHEN e.status = 'waiting' THEN (
+    SELECT COUNT(*) + 1 FROM waiting_list_entries ahead
+    WHERE ahead.business_id = e.business_id AND ahead.service_id = e.service_id
+      AND ahead.status = 'waiting' AND ahead.id <> e.id
+      AND (ahead.priority > e.priority OR (ahead.priority = e.priority AND ahead.joined_at < e.joined_at))
+  ) END`;
+
+/**
+ * Join the waiting list for a service
+ * @param {Object} params - { customerId, firstName, businessId, serviceId, staffId, preferences }
+ * @param {Object} [params.preferences] - { from, until, windows: [{ days, from, to }] }; omitted = any time
+ * @returns {Promise<Object>} { success, entry, position, notification } or { success: false, status, reason }
+ */
+export async function joinWaitingList({ customerId, firstName = null, businessId, serviceId, staffId = null, preferences = null }) {
+  const errors = validatePreferences(preferences);
+  if (errors.length) {
+    return { success: false, status: 400, reason: errors.join(". ") };
+  }
+  const { from, until, windows } = normalizePreferences(preferences);
+
+  const { rows: services } = await db.query(
+    `SELECT s.name, b.name AS business_name
+     FROM business_services s JOIN businesses b ON b.id = s.business_id
+     WHERE s.id = $1 AND s.business_id = $2`,
+    [serviceId, businessId]
+  );
+  if (!services.length) {
+    return { success: false, status: 404, reason: "Service not found" };
+  }
+
+  const priority = await calculateLoyalty(customerId, businessId);
+
+  let entry;
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO waiting_list_entries
+         (business_id, service_id, staff_id, customer_id, customer_first_name, priority,
+          available_from, available_until, time_windows)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [businessId, serviceId, staffId, customerId, firstName ? String(firstName).split(" ")[0] : null, priority,
+        from, until, JSON.stringify(windows)]
+    );
+    entry = rows[0];
+  } catch (error) {
+    if (error.code === "23505") {
+      return { success: false, status: 409, reason: "You are already on the waiting list for this service" };
+    }
+    throw error;
+  }
+
+  const position = await getQueuePosition(entry.id);
+  const { rows: notification } = await db.query(
+    `INSERT INTO notifications (customer_id, title, message, type, target)
+     VALUES ($1, $2, $3, 'info', 'bookings') RETURNING *`,
+    [
+      customerId,
+      "Joined Waiting List",
+      `You're number ${position} in the queue for ${services[0].name} at ${services[0].business_name}. We'll let you know as soon as a slot opens up.`
+    ]
+  );
+
+  console.log(`📋 Customer ${customerId} joined the waiting list for service ${serviceId} at business ${businessId} (#${position})`);
+  return { success: true, entry, position, notification: notification[0] };
+}
+
+/**
+ * Live queue position of an entry
+ * @param {number} entryId - Entry ID
+ * @returns {Promise<number|null>} 1-based position, or null if the entry is no longer waiting
+ */
+export async function getQueuePosition(entryId) {
+  const { rows } = await db.query(
+    `SELECT ${POSITION_SQL} AS position FROM waiting_list_entries e WHERE e.id = $1`,
+    [entryId]
+  );
+  return rows[0]?.position != null ? Number(rows[0].position) : null;
+}
+
+/**
+ * A customer's waiting list entries with their live positions and any open offer
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Array>} [{ id, businessName, serviceName, status, position, offer }]
+ */
+export async function getCustomerWaitingList(customerId) {
+  const { rows } = await db.query(
+    `SELECT e.*, ${POSITION_SQL} AS position,
+            s.name AS service_name, b.name AS business_name,
+            o.token AS offer_token, o.start_time AS offer_start_time, o.expires_at AS offer_expires_at
+     FROM waiting_list_entries e
+     JOIN business_services s ON s.id = e.service_id
+     JOIN businesses b ON b.id = e.business_id
+     LEFT JOIN waiting_list_offers o ON o.entry_id = e.id AND o.status = 'pending'
+     WHERE e.customer_id = $1 AND e.status = ANY($2)
+     ORDER BY e.joined_at`,
+    [customerId, ACTIVE_STATUSES]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    businessId: row.business_id,
+    businessName: row.business_name,
+    serviceId: row.service_id,
+    serviceName: row.service_name,
+    staffId: row.staff_id,
+    preferences: entryPreferences(row),
+    preferenceSummary: describePreferences(entryPreferences(row)),
+    status: row.status,
+    position: row.position != null ? Number(row.position) : null,
+    joinedAt: row.joined_at,
+    offer: row.offer_token
+      ? { token: row.offer_token, startTime: row.offer_start_time, expiresAt: row.offer_expires_at }
+      : null
+  }));
+}
+
+/**
+ * The business's queue for a service, first names only
+ * @param {number} businessId - Business ID
+ * @param {number|null} serviceId - Service ID, or null for every service
+ * @returns {Promise<Array>} [{ id, firstName, serviceId, serviceName, staffId, availability, status, position, joinedAt }]
+ */
+export async function getQueue(businessId, serviceId = null) {
+  const { rows } = await db.query(
+    `SELECT e.*, ${POSITION_SQL} AS position, s.name AS service_name
+     FROM waiting_list_entries e
+     JOIN business_services s ON s.id = e.service_id
+     WHERE e.business_id = $1 AND ($2::int IS NULL OR e.service_id = $2) AND e.status = ANY($3)
+     ORDER BY e.service_id, e.status <> 'waiting', e.priority DESC, e.joined_at`,
+    [businessId, serviceId, ACTIVE_STATUSES]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    firstName: row.customer_first_name,
+    serviceId: row.service_id,
+    serviceName: row.service_name,
+    staffId: row.staff_id,
+    availability: describePreferences(entryPreferences(row)),
+    status: row.status,
+    position: row.position != null ? Number(row.position) : null,
+    joinedAt: row.joined_at
+  }));
+}
+
+/**
+ * Current position of everyone still waiting for a service, to push live updates
+ * @param {number} businessId - Business ID
+ * @param {number} serviceId - Service ID
+ * @returns {Promise<Array>} [{ entryId, customerId, position }]
+ */
+export async function getQueuePositions(businessId, serviceId) {
+  const { rows } = await db.query(
+    `SELECT e.id, e.customer_id, ${POSITION_SQL} AS position
+     FROM waiting_list_entries e
+     WHERE e.business_id = $1 AND e.service_id = $2 AND e.status = 'waiting'`,
+    [businessId, serviceId]
+  );
+  return rows.map(row => ({ entryId: row.id, customerId: row.customer_id, position: Number(row.position) }));
+}
+
+/**
+ * Change when a customer can come in. Keeps their place in the queue; an
+ * offer already sent is left alone.
+ * @param {number} entryId - Entry ID
+ * @param {number} customerId - Customer ID (must own the entry)
+ * @param {Object} preferences - { from, until, windows }
+ * @returns {Promise<Object>} { success, entry } or { success: false, status, reason }
+ */
+export async function updatePreferences(entryId, customerId, preferences) {
+  const errors = validatePreferences(preferences);
+  if (errors.length) {
+    return { success: false, status: 400, reason: errors.join(". ") };
+  }
+  const { from, until, windows } = normalizePreferences(preferences);
+
+  const { rows } = await db.query(
+    `UPDATE waiting_list_entries
+     SET available_from = $3, available_until = $4, time_windows = $5, updated_at = NOW()
+     WHERE id = $1 AND customer_id = $2 AND status = ANY($6)
+     RETURNING *`,
+    [entryId, customerId, from, until, JSON.stringify(windows), ACTIVE_STATUSES]
+  );
+  if (!rows.length) {
+    return { success: false, status: 404, reason: "Waiting list entry not found" };
+  }
+
+  return { success: true, entry: rows[0], preferences: entryPreferences(rows[0]) };
+}
+
+/**
+ * Leave the waiting list. An open offer is withdrawn and passed on.
+ * @param {number} entryId - Entry ID
+ * @param {number} customerId - Customer ID (must own the entry)
+ * @returns {Promise<Object>} { success, entry, offers } or { success: false, status, reason }
+ */
+export async function leaveWaitingList(entryId, customerId) {
+  const { rows } = await db.query(
+    `UPDATE waiting_list_entries SET status = 'left', updated_at = NOW()
+     WHERE id = $1 AND customer_id = $2 AND status IN ('waiting', 'offered')
+     RETURNING *`,
+    [entryId, customerId]
+  );
+  if (!rows.length) {
+    return { success: false, status: 404, reason: "Waiting list entry not found" };
+  }
+
+  const { rows: withdrawn } = await db.query(
+    `UPDATE waiting_list_offers SET status = 'withdrawn', responded_at = NOW()
+     WHERE entry_id = $1 AND status = 'pending'
+     RETURNING *`,
+    [entryId]
+  );
+  const offers = await cascade(withdrawn);
+
+  return { success: true, entry: rows[0], offers };
+}
+
+// ──────────────────────────────
+//  OFFERS & CASCADE
+// ──────────────────────────────
+
+/**
+ * Offer a free slot to the best-placed customer it suits who has not already
+ * been offered it (see calculatePriority). Does nothing if the slot is already
+ * on offer, is too close, or has been booked in the meantime.
+ * @param {number} businessId - Business ID
+ * @param {Object} slot - { serviceId, staffId, startTime, releasedBookingId }
+ * @returns {Promise<Object|null>} { offer, entry, notification }, or null if nobody was offered it
+ */
+export async function sendOfferToNextCustomer(businessId, { serviceId, staffId = null, startTime, releasedBookingId = null }) {
+  const start = new Date(startTime);
+  if (start.getTime() - Date.now() < (MIN_NOTICE_MINUTES + OFFER_MIN_MINUTES) * 60000) {
+    return null;
+  }
+
+  return withBusinessScheduleLock(businessId, async (client) => {
+    // One live offer per slot; the next customer only hears about it once that one is settled
+    const { rows: live } = await client.query(
+      `SELECT 1 FROM waiting_list_offers
+       WHERE business_id = $1 AND service_id = $2 AND start_time = $3 AND status IN ('pending', 'accepting', 'accepted')`,
+      [businessId, serviceId, startTime]
+    );
+    if (live.length) return null;
+
+    const { rows: candidates } = await client.query(
+      `SELECT e.*, s.name AS service_name, b.name AS business_name, b.timezone AS business_timezone,
+              c.timezone AS customer_timezone, c.locale AS customer_locale
+       FROM waiting_list_entries e
+       JOIN business_services s ON s.id = e.service_id
+       JOIN businesses b ON b.id = e.business_id
+       LEFT JOIN customers c ON c.id = e.customer_id
+       WHERE e.business_id = $1 AND e.service_id = $2 AND e.status = 'waiting'
+         AND (e.staff_id IS NULL OR $3::int IS NULL OR e.staff_id = $3)
+         AND (e.available_from IS NULL OR e.available_from <= $4::timestamp::date)
+         AND (e.available_until IS NULL OR e.available_until >= $4::timestamp::date)
+         AND NOT EXISTS (
+           SELECT 1 FROM waiting_list_offers o
+           WHERE o.entry_id = e.id AND o.service_id = e.service_id AND o.start_time = $4
+         )
+       ORDER BY e.priority DESC, e.joined_at`,
+      [businessId, serviceId, staffId, startTime]
+    );
+
+    // Only customers whose time windows the slot falls in, best placed first
+    const ranked = candidates
+      .map(entry => ({ entry, rank: calculatePriority(entry, startTime, staffId) }))
+      .filter(({ rank }) => rank !== null)
+      .sort((a, b) => b.rank - a.rank || new Date(a.entry.joined_at) - new Date(b.entry.joined_at));
+
+    for (const { entry } of ranked) {
+      const check = await checkSlotAvailability(businessId, serviceId, startTime, { client, staffId: entry.staff_id });
+      if (!check.available) continue;
+
+      const expiresAt = new Date(Math.min(
+        Date.now() + OFFER_HOURS * 3600000,
+        start.getTime() - MIN_NOTICE_MINUTES * 60000
+      ));
+      const { rows: offers } = await client.query(
+        `INSERT INTO waiting_list_offers
+           (entry_id, business_id, service_id, staff_id, start_time, released_booking_id, token, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [entry.id, businessId, serviceId, check.staffId, startTime, releasedBookingId,
+          crypto.randomBytes(24).toString("hex"), expiresAt]
+      );
+      await client.query(
+        "UPDATE waiting_list_entries SET status = 'offered', updated_at = NOW() WHERE id = $1",
+        [entry.id]
+      );
+
+      const offer = offers[0];
+      await enqueueJob("waiting_list.offer_expiry", { offerId: offer.id }, {
+        runAt: expiresAt,
+        idempotencyKey: generateIdempotencyKey("waiting_list.offer_expiry", {
+          business_id: businessId,
+          customer_id: entry.customer_id,
+          reference: offer.id
+        }),
+        client
+      });
+
+      // The slot in the business's zone; the deadline in the customer's own
+      const when = formatDateTime(toLocalTimestamp(start), entry.business_timezone, entry.customer_locale, {
+        weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit"
+      });
+      const deadline = formatDateTime(expiresAt, entry.customer_timezone, entry.customer_locale, {
+        hour: "2-digit", minute: "2-digit", timeZoneName: "short"
+      });
+      const { rows: notification } = await client.query(
+        `INSERT INTO notifications (customer_id, title, message, type, target)
+         VALUES ($1, $2, $3, 'success', 'bookings') RETURNING *`,
+        [
+          entry.customer_id,
+          "A Slot Opened Up",
+          `${entry.service_name} at ${entry.business_name} on ${when} is yours if you want it. ` +
+            `Take it before ${deadline}: ${offerUrl(offer)}`
+        ]
+      );
+
+      console.log(`🎟️ Waiting list offer ${offer.id} sent to customer ${entry.customer_id} for ${startTime}`);
+      return { offer, entry, notification: notification[0] };
+    }
+
+    return null;
+  });
+}
+
+/**
+ * Offer a cancelled booking's slot to the waiting list. Safe to call more
+ * than once: only the first call for a booking does anything.
+ * @param {number} bookingId - Cancelled booking
+ * @param {Object} [options]
+ * @param {number} [options.businessId] - Only release if the booking belongs to this business
+ * @returns {Promise<Object|null>} Result of sendOfferToNextCustomer
+ */
+export async function releaseSlot(bookingId, { businessId = null } = {}) {
+  const { rows } = await db.query(
+    `UPDATE bookings SET waitlist_released_at = NOW()
+     WHERE id = $1 AND status = 'cancelled' AND waitlist_released_at IS NULL AND start_time > NOW()
+       AND ($2::int IS NULL OR business_id = $2)
+     RETURNING id, business_id, service_id, staff_id, start_time`,
+    [bookingId, businessId]
+  );
+  if (!rows.length) return null;
+
+  const booking = rows[0];
+  return sendOfferToNextCustomer(booking.business_id, {
+    serviceId: booking.service_id,
+    staffId: booking.staff_id,
+    startTime: toLocalTimestamp(booking.start_time),
+    releasedBookingId: booking.id
+  });
+}
+
+// Settled offers pass their slot on; entries whose offer did not work out keep their place
+async function cascade(settledOffers) {
+  const sent = [];
+  for (const offer of settledOffers) {
+    await db.query(
+      "UPDATE waiting_list_entries SET status = 'waiting', updated_at = NOW() WHERE id = $1 AND status IN ('offered', 'accepted')",
+      [offer.entry_id]
+    );
+    const next = await sendOfferToNextCustomer(offer.business_id, {
+      serviceId: offer.service_id,
+      staffId: offer.staff_id,
+      startTime: toLocalTimestamp(offer.start_time),
+      releasedBookingId: offer.released_booking_id
+    });
+    if (next) sent.push(next);
+  }
+  return sent;
+}
+
+/**
+ * An offer by its link token, for the offer page
+ * @param {string} token - Offer token
+ * @returns {Promise<Object>} { success, offer } or { success: false, status, reason }
+ */
+export async function getOffer(token) {
+  const { rows } = await db.query(
+    `SELECT o.*, s.name AS service_name, s.price, b.name AS business_name
+     FROM waiting_list_offers o
+     JOIN business_services s ON s.id = o.service_id
+     JOIN businesses b ON b.id = o.business_id
+     WHERE o.token = $1`,
+    [token]
+  );
+  const offer = rows[0];
+  if (!offer) return { success: false, status: 404, reason: "Offer not found" };
+
+  return {
+    success: true,
+    offer: {
+      id: offer.id,
+      businessId: offer.business_id,
+      businessName: offer.business_name,
+      serviceId: offer.service_id,
+      serviceName: offer.service_name,
+      staffId: offer.staff_id,
+      startTime: offer.start_time,
+      price: Number(offer.price),
+      status: offer.status === "pending" && new Date(offer.expires_at) <= new Date() ? "expired" : offer.status,
+      expiresAt: offer.expires_at
+    }
+  };
+}
+
+/**
+ * Take an offered slot: it becomes a checkout hold for the customer
+ * @param {string} token - Offer token
+ * @returns {Promise<Object>} { success, offer, hold } or { success: false, status, reason }
+ */
+export async function acceptOffer(token) {
+  const { rows } = await db.query(
+    `SELECT o.*, e.customer_id FROM waiting_list_offers o
+     JOIN waiting_list_entries e ON e.id = o.entry_id
+     WHERE o.token = $1`,
+    [token]
+  );
+  const offer = rows[0];
+  if (!offer) return { success: false, status: 404, reason: "Offer not found" };
+
+  // Claim the offer first, so a double tap (or a link and a YES text) can't hold the slot twice
+  const { rows: claimed } = await db.query(
+    `UPDATE waiting_list_offers SET status = 'accepting'
+     WHERE id = $1 AND status = 'pending' AND expires_at > NOW()
+     RETURNING id`,
+    [offer.id]
+  );
+  if (!claimed.length) {
+    return { success: false, status: 409, reason: "This offer is no longer available" };
+  }
+  const reopen = () => db.query(
+    "UPDATE waiting_list_offers SET status = 'pending' WHERE id = $1 AND status = 'accepting'",
+    [offer.id]
+  );
+
+  let result;
+  try {
+    result = await createHold({
+      businessId: offer.business_id,
+      serviceId: offer.service_id,
+      staffId: offer.staff_id,
+      startTime: toLocalTimestamp(offer.start_time),
+      customerId: offer.customer_id
+    });
+  } catch (error) {
+    await reopen();
+    throw error;
+  }
+
+  // The business can't take online bookings right now; the offer stays open
+  if (result.reason === BOOKINGS_PAUSED) {
+    await reopen();
+    return { success: false, status: 409, reason: result.reason };
+  }
+  if (!result.success) {
+    // Someone booked it directly; nobody else in the queue can have it either
+    await db.query(
+      "UPDATE waiting_list_offers SET status = 'withdrawn', responded_at = NOW() WHERE id = $1 AND status = 'accepting'",
+      [offer.id]
+    );
+    await db.query(
+      "UPDATE waiting_list_entries SET status = 'waiting', updated_at = NOW() WHERE id = $1 AND status = 'offered'",
+      [offer.entry_id]
+    );
+    return { success: false, status: 409, reason: "Sorry, this slot has just been taken. You keep your place in the queue." };
+  }
+
+  const { rows: accepted } = await db.query(
+    `UPDATE waiting_list_offers SET status = 'accepted', hold_id = $2, responded_at = NOW()
+     WHERE id = $1 AND status = 'accepting'
+     RETURNING *`,
+    [offer.id, result.hold.id]
+  );
+  await db.query(
+    "UPDATE waiting_list_entries SET status = 'accepted', updated_at = NOW() WHERE id = $1",
+    [offer.entry_id]
+  );
+
+  console.log(`✅ Waiting list offer ${offer.id} accepted (hold ${result.hold.id})`);
+  return { success: true, offer: accepted[0], hold: result.hold };
+}
+
+/**
+ * Turn an offer down. The customer keeps their place; the slot goes to the next customer.
+ * @param {string} token - Offer token
+ * @returns {Promise<Object>} { success, offers } or { success: false, status, reason }
+ */
+export async function declineOffer(token) {
+  const { rows } = await db.query(
+    `UPDATE waiting_list_offers SET status = 'declined', responded_at = NOW()
+     WHERE token = $1 AND status = 'pending'
+     RETURNING *`,
+    [token]
+  );
+  if (!rows.length) {
+    return { success: false, status: 409, reason: "This offer is no longer open" };
+  }
+
+  return { success: true, offers: await cascade(rows) };
+}
+
+/**
+ * Expire one offer once its time is up and pass the slot on. Run by the
+ * 'waiting_list.offer_expiry' job queued with the offer; does nothing if the
+ * customer already answered.
+ * @param {number} offerId - Offer ID
+ * @returns {Promise<Array>} New offers sent, each with a customer notification
+ */
+export async function expireOffer(offerId) {
+  const { rows } = await db.query(
+    `UPDATE waiting_list_offers SET status = 'expired'
+     WHERE id = $1 AND status = 'pending' AND expires_at <= NOW()
+     RETURNING *`,
+    [offerId]
+  );
+  return cascade(rows);
+}
+
+/**
+ * Expire offers whose expiry job never ran, pass on slots whose checkout hold lapsed unpaid,
+ * close entries whose date range has passed, and pick up cancellations that
+ * were not handed to the waiting list directly. Run every few minutes from the cron jobs.
+ * @returns {Promise<Object>} { expired, lapsed, booked, closed, offers } - offers carry a customer notification
+ */
+export async function processWaitingList() {
+  const { rows: closed } = await db.query(
+    `UPDATE waiting_list_entries SET status = 'expired', updated_at = NOW()
+     WHERE status = 'waiting' AND available_until < CURRENT_DATE
+     RETURNING id`
+  );
+
+  // Backstop for offers whose expiry job did not run (dead-lettered or queue down),
+  // or whose acceptance was cut off before a hold was made
+  const { rows: expired } = await db.query(
+    `UPDATE waiting_list_offers SET status = 'expired'
+     WHERE status IN ('pending', 'accepting') AND expires_at <= NOW() - make_interval(mins => $1)
+     RETURNING *`,
+    [EXPIRY_GRACE_MINUTES]
+  );
+
+  const { rows: lapsed } = await db.query(
+    `UPDATE waiting_list_offers o SET status = 'lapsed'
+     FROM slot_holds h
+     WHERE h.id = o.hold_id AND o.status = 'accepted' AND h.status IN ('expired', 'released')
+     RETURNING o.*`
+  );
+
+  const { rows: booked } = await db.query(
+    `UPDATE waiting_list_offers o SET status = 'booked'
+     FROM slot_holds h
+     WHERE h.id = o.hold_id AND o.status = 'accepted' AND h.status = 'converted'
+     RETURNING o.*`
+  );
+  if (booked.length) {
+    await db.query(
+      "UPDATE waiting_list_entries SET status = 'booked', updated_at = NOW() WHERE id = ANY($1)",
+      [booked.map(offer => offer.entry_id)]
+    );
+  }
+
+  const offers = await cascade([...expired, ...lapsed]);
+
+  const { rows: missed } = await db.query(
+    `SELECT id FROM bookings
+     WHERE status = 'cancelled' AND waitlist_released_at IS NULL AND start_time > NOW()
+       AND cancelled_at > NOW() - make_interval(hours => $1)`,
+    [SWEEP_HOURS]
+  );
+  for (const booking of missed) {
+    const sent = await releaseSlot(booking.id);
+    if (sent) offers.push(sent);
+  }
+
+  return { expired: expired.length, lapsed: lapsed.length, booked: booked.length, closed: closed.length, offers };
+}
+
+function offerUrl(offer, baseUrl = process.env.FRONTEND_URL || "https://blkpages.com") {
+  return `${baseUrl}/waiting-list-offer.html?token=${offer.token}`;
+}
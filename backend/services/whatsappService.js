@@ -0,0 +1,307 @@
+// backend/services/whatsappService.js
+import { createRequire } from "module";
+import db from "../db.js";
+import { hashAddress, isSuppressed } from "./suppressionService.js";
+import { recordNotification, updateNotificationStatus } from "./notificationLedgerService.js";
+
+// The same approved templates the communication and automation systems fill in
+const require = createRequire(import.meta.url);
+const WhatsAppTemplates = require("../../whatsapp-templates.js");
+
+const TABLES = {
+  customer: "customers",
+  business: "businesses"
+};
+
+// ──────────────────────────────
+//  TRANSPORTS
+// ──────────────────────────────
+//
+// Twilio sends the approved templates (Content API). Without Twilio
+// credentials, or with WHATSAPP_TRANSPORT=mock, messages go to an in-memory
+// outbox instead so the whole flow can be run and tested locally.
+
+function toWhatsAppAddress(phone) {
+  return `whatsapp:+${String(phone).replace(/[^\d]/g, "")}`;
+}
+
+function statusCallbackUrl() {
+  const base = (process.env.FRONTEND_URL || "https://blkpages.com").replace(/\/$/, "");
+  const key = process.env.DELIVERY_WEBHOOK_SECRET;
+  return `${base}/api/webhooks/delivery/twilio${key ? `?key=${encodeURIComponent(key)}` : ""}`;
+}
+
+/**
+ * Transport that sends through Twilio's WhatsApp sender
+ * @returns {Object} { name, send({ to, template, variables, text }) => { messageId, status } }
+ */
+export function createTwilioTransport({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  from = process.env.TWILIO_WHATSAPP_NUMBER
+} = {}) {
+  return {
+    name: "twilio",
+
+    async send({ to, template, variables }) {
+      const contentSid = process.env[WhatsAppTemplates.getTemplate(template).contentSidEnv];
+      if (!contentSid) {
+        throw new Error(`No Content SID set for WhatsApp template "${template}"`);
+      }
+
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: "POST",
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`,
+          "Content-Type": "application/x-www-form-urlencoded"
+        },
+        body: new URLSearchParams({
+          From: `whatsapp:${from}`,
+          To: toWhatsAppAddress(to),
+          ContentSid: contentSid,
+          ContentVariables: JSON.stringify(variables),
+          StatusCallback: statusCallbackUrl()
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        const error = new Error(result.message || `Twilio answered ${response.status}`);
+        error.code = result.code;
+        throw error;
+      }
+      return { messageId: result.sid, status: result.status };
+    }
+  };
+}
+
+/**
+ * Transport that keeps messages in memory (local development and tests).
+ * Each message in outbox has { messageId, to, template, variables, text }.
+ * @returns {Object} { name, outbox, send(), clear() }
+ */
+export function createMockTransport() {
+  let sent = 0;
+  return {
+    name: "mock",
+    outbox: [],
+
+    async send({ to, template, variables, text }) {
+      const messageId = `WAmock${String(++sent).padStart(8, "0")}`;
+      this.outbox.push({ messageId, to: toWhatsAppAddress(to), template, variables, text });
+      console.log(`💬 [mock WhatsApp] to ${toWhatsAppAddress(to)}: ${text}`);
+      return { messageId, status: "sent" };
+    },
+
+    clear() {
+      this.outbox.length = 0;
+    }
+  };
+}
+
+let transport = null;
+
+/**
+ * The transport in use, chosen from the environment on first use
+ */
+export function getTransport() {
+  if (!transport) {
+    const useMock = process.env.WHATSAPP_TRANSPORT === "mock" ||
+      !process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_WHATSAPP_NUMBER;
+    transport = useMock ? createMockTransport() : createTwilioTransport();
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport, e.g. with createMockTransport() in a test
+ * @param {Object|null} next - Transport, or null to choose from the environment again
+ */
+export function setTransport(next) {
+  transport = next;
+}
+
+// ──────────────────────────────
+//  OPT-IN
+// ──────────────────────────────
+//
+// WhatsApp may only be sent to people who have agreed to it. Turning on any
+// WhatsApp category in the preference centre is that agreement; turning
+// every one off withdraws it.
+
+/**
+ * Record that a customer or business has opted in to WhatsApp messages.
+ * An existing opt-in keeps its original time and source.
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @param {string} source - Where it was given, e.g. 'preference_centre'
+ * @param {Object} client - Optional client inside a transaction
+ */
+export async function recordWhatsAppOptIn(recipientType, recipientId, source, client = db) {
+  const { rowCount } = await client.query(
+    `UPDATE ${TABLES[recipientType]}
+     SET whatsapp_opt_in_at = NOW(), whatsapp_opt_in_source = $2
+     WHERE id = $1 AND whatsapp_opt_in_at IS NULL`,
+    [recipientId, source]
+  );
+  if (rowCount) {
+    console.log(`💬 WhatsApp opt-in recorded for ${recipientType} ${recipientId} (${source})`);
+  }
+}
+
+/**
+ * Record that a customer or business no longer wants WhatsApp messages
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @param {Object} client - Optional client inside a transaction
+ */
+export async function recordWhatsAppOptOut(recipientType, recipientId, client = db) {
+  const { rowCount } = await client.query(
+    `UPDATE ${TABLES[recipientType]}
+     SET whatsapp_opt_in_at = NULL, whatsapp_opt_in_source = NULL, whatsapp_opted_out_at = NOW()
+     WHERE id = $1 AND whatsapp_opt_in_at IS NOT NULL`,
+    [recipientId]
+  );
+  if (rowCount) {
+    console.log(`💬 WhatsApp opt-out recorded for ${recipientType} ${recipientId}`);
+  }
+}
+
+/**
+ * Whether a customer or business has opted in to WhatsApp messages
+ * @param {string} recipientType - 'customer' or 'business'
+ * @param {number} recipientId - Customer or business ID
+ * @returns {Promise<boolean>}
+ */
+export async function hasWhatsAppOptIn(recipientType, recipientId) {
+  const { rows } = await db.query(
+    `SELECT whatsapp_opt_in_at FROM ${TABLES[recipientType]} WHERE id = $1`,
+    [recipientId]
+  );
+  return Boolean(rows[0]?.whatsapp_opt_in_at);
+}
+
+// ──────────────────────────────
+//  SENDING
+// ──────────────────────────────
+
+/**
+ * Send an approved template message on WhatsApp and start tracking it
+ * (here and in the notification ledger).
+ * The caller checks the recipient's preferences; this checks the opt-in
+ * record and the suppression list.
+ * @param {Object} message - { recipientType, recipientId, to, template, data, bookingId }
+ *   data holds the template's named variables, e.g. { customerName, service, ... }
+ * @returns {Promise<Object>} { success, messageId, messageStatus } or { success: false, status, reason }
+ */
+export async function sendWhatsAppTemplate({
+  recipientType = "customer", recipientId = null, to, template, data = {}, bookingId = null
+}) {
+  const definition = WhatsAppTemplates.getTemplate(template);
+  if (!definition) {
+    return { success: false, status: 400, reason: `Unknown WhatsApp template "${template}"` };
+  }
+  const missing = WhatsAppTemplates.missingVariables(template, data);
+  if (missing.length) {
+    return { success: false, status: 400, reason: `Missing ${missing.join(", ")} for ${template}` };
+  }
+  if (!to) {
+    return { success: false, status: 400, reason: "No phone number to send to" };
+  }
+  if (recipientId && !await hasWhatsAppOptIn(recipientType, recipientId)) {
+    return { success: false, status: 403, reason: "Recipient has not opted in to WhatsApp" };
+  }
+  if (await isSuppressed("whatsapp", to, definition.category)) {
+    return { success: false, status: 409, reason: "Number is suppressed for WhatsApp" };
+  }
+
+  const active = getTransport();
+  const variables = WhatsAppTemplates.contentVariables(template, data);
+  const addressHash = hashAddress("whatsapp", to);
+  const entry = await recordNotification({
+    bookingId, recipientType, recipientId, channel: "whatsapp", template,
+    category: definition.category, address: to, provider: active.name
+  });
+
+  let sent;
+  try {
+    sent = await active.send({ to, template, variables, text: WhatsAppTemplates.render(template, data) });
+  } catch (error) {
+    await updateNotificationStatus(entry.id, "failed", { error: error.message });
+    await db.query(
+      `INSERT INTO whatsapp_messages
+         (recipient_type, recipient_id, booking_id, template, address_hash, transport, status, error_code, error_message)
+       VALUES ($1, $2, $3, $4, $5, $6, 'failed', $7, $8)`,
+      [recipientType, recipientId, bookingId, template, addressHash, active.name,
+        error.code ? String(error.code) : null, error.message]
+    );
+    throw error;
+  }
+
+  await db.query(
+    `INSERT INTO whatsapp_messages
+       (recipient_type, recipient_id, booking_id, template, address_hash, transport, provider_message_id, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [recipientType, recipientId, bookingId, template, addressHash, active.name, sent.messageId, sent.status || "queued"]
+  );
+  await updateNotificationStatus(entry.id, "sent", { providerMessageId: sent.messageId });
+
+  console.log(`💬 WhatsApp ${template} sent to ${recipientType} ${recipientId || ""} (${sent.messageId})`);
+  return { success: true, messageId: sent.messageId, messageStatus: sent.status || "queued" };
+}
+
+// ──────────────────────────────
+//  DELIVERY STATUS
+// ──────────────────────────────
+//
+// Twilio reports each message's progress to the delivery webhook. Callbacks
+// can arrive out of order, so a status never moves a message backwards
+// (a late "sent" does not undo "read").
+
+const STATUS_ORDER = ["queued", "sent", "delivered", "read", "undelivered", "failed"];
+
+/**
+ * Record a Twilio status callback for a WhatsApp message
+ * @param {Object} callback - Twilio's fields: { MessageSid, MessageStatus, ErrorCode, ErrorMessage }
+ * @returns {Promise<string>} 'updated', 'ignored' (older than what we have) or 'unknown' (not ours)
+ */
+export async function recordWhatsAppStatus({ MessageSid, MessageStatus, ErrorCode, ErrorMessage } = {}) {
+  if (!MessageSid || !STATUS_ORDER.includes(MessageStatus)) return "ignored";
+
+  const { rows } = await db.query(
+    "SELECT id, status FROM whatsapp_messages WHERE provider_message_id = $1",
+    [MessageSid]
+  );
+  if (rows.length === 0) return "unknown";
+  if (STATUS_ORDER.indexOf(MessageStatus) < STATUS_ORDER.indexOf(rows[0].status)) return "ignored";
+
+  await db.query(
+    `UPDATE whatsapp_messages
+     SET status = $2,
+         error_code = COALESCE($3, error_code),
+         error_message = COALESCE($4, error_message),
+         delivered_at = CASE WHEN $2 IN ('delivered', 'read') THEN COALESCE(delivered_at, NOW()) ELSE delivered_at END,
+         read_at = CASE WHEN $2 = 'read' THEN NOW() ELSE read_at END,
+         status_updated_at = NOW()
+     WHERE id = $1`,
+    [rows[0].id, MessageStatus, ErrorCode || null, ErrorMessage || null]
+  );
+  return "updated";
+}
+
+/**
+ * WhatsApp messages for the admin view, newest first
+ * @param {Object} [filters] - { status, template, bookingId, limit }
+ * @returns {Promise<Array>} Message rows
+ */
+export async function listWhatsAppMessages({ status = null, template = null, bookingId = null, limit = 100 } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM whatsapp_messages
+     WHERE ($1::text IS NULL OR status = $1)
+       AND ($2::text IS NULL OR template = $2)
+       AND ($3::int IS NULL OR booking_id = $3)
+     ORDER BY sent_at DESC
+     LIMIT $4`,
+    [status, template, bookingId, Math.min(Math.max(parseInt(limit) || 100, 1), 500)]
+  );
+  return rows;
+}
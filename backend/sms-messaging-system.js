@@ -13,6 +13,7 @@ class SMSMessagingSystem {
             apiKey: 'demo_api_key',
             fromNumber: '+441234567890' // Demo from number
         };
+        this.apiBase = '';
     }
 
     /**
@@ -20,6 +21,16 @@ class SMSMessagingSystem {
      */
     async sendSMS(businessId, customerId, message, smsType = 'booking') {
         try {
+            // Check the customer still wants this kind of message by SMS
+            const permission = await this.customerAcceptsSMS(businessId, customerId, smsType);
+            if (!permission.allowed) {
+                this.logAuditEvent('sms_skipped_preferences', businessId, {
+                    customer_id: customerId,
+                    sms_type: smsType
+                });
+                throw new Error('Customer has turned off these messages by SMS');
+            }
+
             // Check if business has enough credits
             if (!window.smsCreditSystem.hasEnoughCredits(businessId, 1)) {
                 throw new Error('Insufficient SMS credits');
@@ -42,7 +53,8 @@ class SMSMessagingSystem {
                 id: this.generateMessageId(),
                 business_id: businessId,
                 customer_id: customerId,
-                message: message,
+                // Non-transactional messages end with the customer's signed opt-out link
+                message: permission.unsubscribeUrl ? `${message} Opt out: ${permission.unsubscribeUrl}` : message,
                 sms_type: smsType,
                 to_number: customerPhone,
                 from_number: businessPhone,
@@ -107,6 +119,29 @@ class SMSMessagingSystem {
         }
     }
 
+    /**
+     * Whether the customer's notification preferences allow this SMS type
+     * (booking, promotional, ...) - asked of the server, which holds them.
+     * Resolves to { allowed, unsubscribeUrl }; the link is only given for
+     * non-transactional messages and is signed by the server.
+     */
+    async customerAcceptsSMS(businessId, customerId, smsType) {
+        const category = window.NotificationPreferences.categoryFor(smsType);
+        if (!category) return { allowed: true, unsubscribeUrl: null };
+
+        const authToken = localStorage.getItem('auth_token') || localStorage.getItem('authToken') || '';
+        const params = new URLSearchParams({ channel: 'sms', category });
+        const response = await fetch(
+            `${this.apiBase}/api/businesses/${encodeURIComponent(businessId)}/customers/${encodeURIComponent(customerId)}/can-notify?${params}`,
+            { headers: authToken ? { 'Authorization': `Bearer ${authToken}` } : {} }
+        );
+        if (!response.ok) {
+            throw new Error('Unable to check customer notification preferences');
+        }
+        const result = await response.json();
+        return { allowed: result.allowed, unsubscribeUrl: result.unsubscribeUrl || null };
+    }
+
     /**
      * Send SMS via provider (Twilio, etc.)
      */
@@ -180,7 +215,8 @@ class SMSMessagingSystem {
      * Send promotional SMS
      */
     async sendPromotionalSMS(businessId, customerId, promotionalMessage) {
-        const message = `${promotionalMessage} Reply STOP to opt out.`;
+        // sendSMS adds the customer's opt-out link
+        const message = `${promotionalMessage} Reply STOP to stop texts.`;
         
         return await this.sendSMS(businessId, customerId, message, 'promotional');
     }
@@ -248,50 +284,36 @@ class SMSMessagingSystem {
     }
 
     /**
-     * Get SMS analytics for business
+     * Get SMS analytics for business, from the server's notification ledger
+     * (every SMS sent and what the provider reported back)
      */
-    getSMSAnalytics(businessId, startDate, endDate) {
-        const messages = this.messageQueue.filter(msg => 
-            msg.business_id === businessId &&
-            msg.created_at >= startDate &&
-            msg.created_at <= endDate
+    async getSMSAnalytics(businessId, startDate, endDate) {
+        const authToken = localStorage.getItem('auth_token') || localStorage.getItem('authToken') || '';
+        const params = new URLSearchParams({
+            channel: 'sms',
+            from: new Date(startDate).toISOString(),
+            to: new Date(endDate).toISOString()
+        });
+        const response = await fetch(
+            `${this.apiBase}/api/businesses/${encodeURIComponent(businessId)}/notifications/stats?${params}`,
+            { headers: authToken ? { 'Authorization': `Bearer ${authToken}` } : {} }
         );
-
-        const analytics = {
-            total_sent: messages.length,
-            booking_sms: messages.filter(msg => msg.sms_type === 'booking').length,
-            promotional_sms: messages.filter(msg => msg.sms_type === 'promotional').length,
-            delivered: messages.filter(msg => msg.status === 'delivered').length,
-            failed: messages.filter(msg => msg.status === 'failed').length,
-            pending: messages.filter(msg => msg.status === 'pending').length,
-            delivery_rate: 0,
-            cost_this_period: messages.length * 1, // £1 per SMS (demo)
-            average_delivery_time: this.calculateAverageDeliveryTime(messages)
-        };
-
-        if (analytics.total_sent > 0) {
-            analytics.delivery_rate = (analytics.delivered / analytics.total_sent) * 100;
+        if (!response.ok) {
+            throw new Error('Unable to load SMS analytics');
         }
+        const { stats } = await response.json();
 
-        return analytics;
-    }
-
-    /**
-     * Calculate average delivery time
-     */
-    calculateAverageDeliveryTime(messages) {
-        const deliveredMessages = messages.filter(msg => 
-            msg.status === 'delivered' && msg.sent_at && msg.delivered_at
-        );
-
-        if (deliveredMessages.length === 0) return 0;
-
-        const totalTime = deliveredMessages.reduce((sum, msg) => {
-            const deliveryTime = new Date(msg.delivered_at) - new Date(msg.sent_at);
-            return sum + deliveryTime;
-        }, 0);
-
-        return Math.round(totalTime / deliveredMessages.length / 1000); // seconds
+        return {
+            total_sent: stats.total,
+            booking_sms: stats.byCategory.booking || 0,
+            promotional_sms: stats.byCategory.marketing || 0,
+            delivered: stats.delivered,
+            failed: stats.failed,
+            pending: stats.queued,
+            delivery_rate: stats.deliveryRate,
+            cost_this_period: stats.total * 1, // £1 per SMS (demo)
+            average_delivery_time: stats.averageDeliverySeconds
+        };
     }
 
     /**
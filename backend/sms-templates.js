@@ -18,7 +18,7 @@ class SMSTemplates {
                 },
                 
                 bookingReminder: (data) => {
-                    const message = `Reminder: ${data.service} at ${data.businessName}, ${data.bookingTime} tomorrow. Details in your email. No reply — contact the business directly.`;
+                    const message = `Reminder: ${data.service} at ${data.businessName}, ${data.bookingTime} tomorrow. Reply YES to confirm or CANCEL to cancel. Details in your email.`;
                     return {
                         message,
                         characterCount: message.length,
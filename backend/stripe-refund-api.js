@@ -3,67 +3,32 @@
  * Handles cancellation refunds based on business policies
  */
 
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { evaluateCancellation } = require('../cancellation-policy');
 
 /**
- * Calculate refund amount based on cancellation policy and timing
+ * Calculate refund amount based on cancellation policy and timing.
+ * `booking.cancellationPolicy` holds the business's tiers; older bookings
+ * only carry a preset name in `booking.policy`. Deposit-mode bookings only
+ * refund from what was actually paid, never the non-refundable deposit.
  */
-function calculateRefundAmount(booking, cancellationTime) {
-    const { policy, appointmentDateTime, totalAmount } = booking;
-    const hoursUntilAppointment = (new Date(appointmentDateTime) - new Date(cancellationTime)) / (1000 * 60 * 60);
-    
-    switch (policy) {
-        case 'flexible':
-            // ≥24h → refund 100%, <24h → refund 0%
-            return hoursUntilAppointment >= 24 ? totalAmount : 0;
-            
-        case 'moderate':
-            // ≥48h → refund 100%, <48h → refund 50%, no-show → refund 0%
-            if (hoursUntilAppointment >= 48) {
-                return totalAmount;
-            } else if (hoursUntilAppointment > 0) {
-                return totalAmount * 0.5;
-            } else {
-                return 0; // No-show
-            }
-            
-        case 'strict':
-            // Non-refundable at all times
-            return 0;
-            
-        case 'custom':
-            // Parse custom policy logic (simplified for demo)
-            // In real implementation, this would parse the custom policy text
-            // and apply the business's specific rules
-            return parseCustomPolicy(booking.customPolicy, hoursUntilAppointment, totalAmount);
-            
-        default:
-            return 0;
-    }
+function calculateRefundAmount(booking, cancellationTime, { noShow = false } = {}) {
+    return evaluateBookingCancellation(booking, cancellationTime, { noShow }).refundAmount;
 }
 
 /**
- * Parse custom policy text to determine refund amount
+ * Full policy evaluation for a booking (refund, fee, forfeited deposit, eligibility)
  */
-function parseCustomPolicy(customPolicyText, hoursUntilAppointment, totalAmount) {
-    // This is a simplified parser - in real implementation, 
-    // you'd need a more sophisticated NLP approach
-    
-    const text = customPolicyText.toLowerCase();
-    
-    // Look for time-based refund rules
-    if (text.includes('24 hours') && hoursUntilAppointment >= 24) {
-        return totalAmount;
-    } else if (text.includes('48 hours') && hoursUntilAppointment >= 48) {
-        return totalAmount;
-    } else if (text.includes('50%') && hoursUntilAppointment > 0) {
-        return totalAmount * 0.5;
-    } else if (text.includes('non-refundable')) {
-        return 0;
-    }
-    
-    // Default to no refund for custom policies
-    return 0;
+function evaluateBookingCancellation(booking, cancellationTime, { noShow = false } = {}) {
+    return evaluateCancellation(
+        booking.cancellationPolicy || booking.policy,
+        {
+            amountPaid: booking.amountPaid ?? booking.totalAmount,
+            depositAmount: booking.depositAmount,
+            depositRefundable: booking.depositRefundable ?? booking.paymentMode !== 'deposit',
+            appointmentTime: booking.appointmentDateTime
+        },
+        { cancellationTime, noShow }
+    );
 }
 
 /**
@@ -78,7 +43,16 @@ async function processCancellation(bookingId, cancellationReason = 'Customer can
         }
         
         // Calculate refund amount
-        const refundAmount = calculateRefundAmount(booking, new Date());
+        const evaluation = evaluateBookingCancellation(booking, new Date());
+        if (!evaluation.canCancel) {
+            throw new Error(evaluation.reason);
+        }
+        // Never more than is left after earlier (e.g. partial) refunds
+        const alreadyRefunded = await getTotalRefundsForBooking(bookingId);
+        const refundAmount = Math.max(
+            Math.min(evaluation.refundAmount, (booking.amountPaid ?? booking.totalAmount) - alreadyRefunded),
+            0
+        );
         
         // Update booking status
         await updateBookingStatus(bookingId, 'cancelled', cancellationReason);
@@ -88,15 +62,8 @@ async function processCancellation(bookingId, cancellationReason = 'Customer can
         // Process refund if applicable
         if (refundAmount > 0) {
             try {
-                refundResult = await stripe.refunds.create({
-                    payment_intent: booking.stripePaymentIntentId,
-                    amount: Math.round(refundAmount * 100), // Convert to cents
-                    reason: 'requested_by_customer',
-                    metadata: {
-                        booking_id: bookingId,
-                        business_id: booking.businessId,
-                        policy_type: booking.policy
-                    }
+                refundResult = await refundAcrossPayments(booking, refundAmount, {
+                    reason: cancellationReason
                 });
                 
                 console.log(`Refund processed: ${refundAmount} for booking ${bookingId}`);
@@ -119,6 +86,9 @@ async function processCancellation(bookingId, cancellationReason = 'Customer can
         // Update business payout (hold funds for 24h after appointment)
         await updateBusinessPayout(booking, refundAmount);
         
+        // Offer the freed slot to the next customer on the waiting list
+        await releaseSlotToWaitingList(bookingId);
+        
         return {
             success: true,
             refundAmount,
@@ -134,6 +104,27 @@ async function processCancellation(bookingId, cancellationReason = 'Customer can
     }
 }
 
+/**
+ * Refund from the booking's payments through the refund ledger, which records
+ * the refund and reverses BlkPoints for it. A deposit booking whose balance was
+ * paid in-app has two PaymentIntents; the ledger refunds the balance first so
+ * the deposit is only touched if the policy gives more back than the balance.
+ */
+async function refundAcrossPayments(booking, refundAmount, metadata) {
+    const { refundBooking } = await import('./services/refundService.js');
+    const result = await refundBooking(booking.id, {
+        amount: refundAmount,
+        reason: metadata.reason || null,
+        actor: { type: 'customer', id: booking.customerId || null },
+        source: 'cancellation'
+    });
+    if (!result.success) {
+        throw new Error(result.reason);
+    }
+    // refundId stays the Stripe refund id, as before
+    return { id: result.refunds[0].stripeRefundId, refunds: result.refunds };
+}
+
 /**
  * Send cancellation notifications
  */
@@ -165,9 +156,9 @@ async function sendCancellationNotifications(booking, refundResult, refundAmount
             <p><strong>Customer:</strong> ${booking.customerName}</p>
             <p><strong>Appointment:</strong> ${new Date(booking.appointmentDateTime).toLocaleString()}</p>
             <p><strong>Services:</strong> ${booking.services.map(s => s.name).join(', ')}</p>
-            <p><strong>Original Amount:</strong> £${booking.totalAmount.toFixed(2)}</p>
+            <p><strong>Amount Paid:</strong> £${(booking.amountPaid ?? booking.totalAmount).toFixed(2)}</p>
             <p><strong>Refund Amount:</strong> £${refundAmount.toFixed(2)}</p>
-            <p><strong>Your Payout:</strong> £${(booking.totalAmount - refundAmount).toFixed(2)}</p>
+            <p><strong>Your Payout:</strong> £${((booking.amountPaid ?? booking.totalAmount) - refundAmount).toFixed(2)}</p>
             <p>Funds will be released 24 hours after the original appointment time.</p>
         `
     };
@@ -256,17 +247,21 @@ async function updateBusinessDashboard(booking, refundAmount, refundResult) {
 }
 
 /**
- * Update business payout after cancellation
+ * Update business payout after cancellation. The payout ledger takes the refund
+ * off what the booking earns the business; the daily payout batch pays the
+ * rest 24h after the original appointment.
  */
 async function updateBusinessPayout(booking, refundAmount) {
-    const payoutAmount = booking.totalAmount - refundAmount;
-    
-    // In real implementation, you'd update the business's payout record
-    // and schedule the payout for 24h after the original appointment
-    const payoutDate = new Date(booking.appointmentDateTime);
-    payoutDate.setHours(payoutDate.getHours() + 24);
-    
-    console.log(`Business payout scheduled: £${payoutAmount.toFixed(2)} for ${payoutDate.toISOString()}`);
+    const payoutAmount = (booking.amountPaid ?? booking.totalAmount) - refundAmount;
+
+    try {
+        const { syncPayoutLedger } = await import('./services/payoutService.js');
+        await syncPayoutLedger({ bookingId: booking.id });
+        console.log(`Business payout updated: £${payoutAmount.toFixed(2)} for booking ${booking.id}`);
+    } catch (error) {
+        // The next payout batch syncs the ledger anyway
+        console.error('Failed to update payout ledger:', error);
+    }
 }
 
 /**
@@ -307,48 +302,35 @@ async function triggerBookingCancelEvent(booking, refundAmount, refundResult) {
 }
 
 /**
- * Hold funds in escrow until 24h after appointment
+ * Hold funds in escrow until 24h after appointment. The booking's payout ledger
+ * entry only becomes due then, so nothing is lost if the server restarts.
  */
 async function releaseEscrowFunds(bookingId) {
     try {
-        const booking = await getBookingById(bookingId);
-        const appointmentTime = new Date(booking.appointmentDateTime);
-        const releaseTime = new Date(appointmentTime.getTime() + 24 * 60 * 60 * 1000);
-        
-        // Schedule payout release
-        setTimeout(async () => {
-            await processBusinessPayout(booking);
-        }, releaseTime.getTime() - Date.now());
-        
+        const { syncPayoutLedger, PAYOUT_HOLD_HOURS } = await import('./services/payoutService.js');
+        await syncPayoutLedger({ bookingId });
+        console.log(`Escrow for booking ${bookingId} releases ${PAYOUT_HOLD_HOURS}h after the appointment`);
     } catch (error) {
-        console.error('Failed to schedule escrow release:', error);
+        console.error('Failed to record escrow for payout:', error);
     }
 }
 
 /**
- * Process business payout after escrow period
+ * Pay out whatever the booking's business is owed now (bookings past the hold
+ * period, less refunds and fees) instead of waiting for the daily batch
  */
 async function processBusinessPayout(booking) {
     try {
-        // Calculate final payout (original amount minus any refunds)
-        const totalRefunds = await getTotalRefundsForBooking(booking.id);
-        const finalPayout = booking.totalAmount - totalRefunds;
-        
-        if (finalPayout > 0) {
-            // Transfer to business account
-            const transfer = await stripe.transfers.create({
-                amount: Math.round(finalPayout * 100),
-                currency: 'gbp',
-                destination: booking.businessStripeAccountId,
-                metadata: {
-                    booking_id: booking.id,
-                    business_id: booking.businessId
-                }
-            });
-            
-            console.log(`Business payout processed: £${finalPayout.toFixed(2)}`);
+        const { runPayoutBatch } = await import('./services/payoutService.js');
+        const { paid, failed } = await runPayoutBatch({ businessId: booking.businessId });
+
+        for (const { payout } of paid) {
+            console.log(`Business payout processed: £${Number(payout.amount).toFixed(2)} (${payout.reference})`);
         }
-        
+        if (failed.length) {
+            console.error('Business payout failed:', failed[0].payout.failure_reason);
+        }
+        return paid[0]?.payout || null;
     } catch (error) {
         console.error('Business payout failed:', error);
     }
@@ -365,6 +347,12 @@ async function getBookingById(bookingId) {
         businessEmail: 'info@royalhairstudio.com',
         appointmentDateTime: '2024-12-28T14:00:00Z',
         totalAmount: 70,
+        amountPaid: 70,
+        paymentMode: 'full', // 'deposit': depositAmount kept, balance paid later
+        depositAmount: 0,
+        depositRefundable: true, // false when the deposit was required for a low reliability score
+        balanceStatus: 'none',
+        balancePaymentIntentId: null,
         policy: 'moderate',
         stripePaymentIntentId: 'pi_1234567890',
         businessId: 'bus_123',
@@ -381,9 +369,28 @@ async function updateBookingStatus(bookingId, status, reason) {
     console.log(`Booking ${bookingId} status updated to ${status}: ${reason}`);
 }
 
+/**
+ * Hand a cancelled booking's slot to the waiting list. The cron sweep
+ * picks up anything missed here, so a failure never blocks the refund.
+ */
+async function releaseSlotToWaitingList(bookingId) {
+    try {
+        const { releaseSlot } = await import('./services/waitingListService.js');
+        const sent = await releaseSlot(bookingId);
+        if (sent) {
+            console.log(`Waiting list offer sent for booking ${bookingId} slot`);
+        }
+    } catch (error) {
+        console.error('Failed to release slot to waiting list:', error);
+    }
+}
+
+/**
+ * Total refunded so far (pending or succeeded), from the refund ledger
+ */
 async function getTotalRefundsForBooking(bookingId) {
-    // Implement database query for total refunds
-    return 0;
+    const { getTotalRefundsForBooking: totalFromLedger } = await import('./services/refundService.js');
+    return totalFromLedger(bookingId);
 }
 
 async function sendEmail(emailData) {
@@ -394,6 +401,7 @@ async function sendEmail(emailData) {
 module.exports = {
     processCancellation,
     calculateRefundAmount,
+    evaluateBookingCancellation,
     releaseEscrowFunds,
     processBusinessPayout
 };
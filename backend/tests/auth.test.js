@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { requireInternalKey, requireWebhookSecret } from "../middleware/auth.js";
+
+process.env.INTERNAL_API_KEY = "test-internal-key";
+process.env.DELIVERY_WEBHOOK_SECRET = "test-webhook-secret";
+
+// Run a middleware on a request, answering "next" or the status it responded with
+function run(middleware, { headers = {}, query = {} } = {}) {
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  middleware({ headers, query }, res, () => {
+    outcome = "next";
+  });
+  return outcome;
+}
+
+test("requireInternalKey lets through only the internal key, compared in constant time", (t) => {
+  const compare = t.mock.method(crypto, "timingSafeEqual");
+
+  assert.equal(run(requireInternalKey, { headers: { "x-internal-key": "test-internal-key" } }), "next");
+  for (const key of [undefined, "", "test-internal-ke", "test-internal-key-longer", "TEST-INTERNAL-KEY"]) {
+    assert.equal(run(requireInternalKey, { headers: { "x-internal-key": key } }), 403);
+  }
+  assert.equal(compare.mock.callCount(), 5);
+});
+
+test("requireWebhookSecret accepts the secret as a header or ?key=, and nothing else", (t) => {
+  const compare = t.mock.method(crypto, "timingSafeEqual");
+
+  assert.equal(run(requireWebhookSecret, { headers: { "x-webhook-secret": "test-webhook-secret" } }), "next");
+  assert.equal(run(requireWebhookSecret, { query: { key: "test-webhook-secret" } }), "next");
+  assert.equal(run(requireWebhookSecret, { query: { key: "wrong" } }), 403);
+  assert.equal(run(requireWebhookSecret, { query: { key: ["test-webhook-secret", "x"] } }), 403);
+  assert.equal(run(requireWebhookSecret), 403);
+  assert.equal(compare.mock.callCount(), 3);
+});
+
+test("with no secret configured every request is refused", (t) => {
+  t.after(() => {
+    process.env.INTERNAL_API_KEY = "test-internal-key";
+  });
+  delete process.env.INTERNAL_API_KEY;
+
+  assert.equal(run(requireInternalKey, { headers: { "x-internal-key": "" } }), 403);
+  assert.equal(run(requireInternalKey, { headers: { "x-internal-key": "undefined" } }), 403);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeSlots, earliestStartFor } from "../services/availabilityService.js";
+
+const service = { durationMinutes: 60, bufferBeforeMinutes: 0, bufferAfterMinutes: 0 };
+const openingHours = [{ opens: 540, closes: 720 }]; // 09:00–12:00
+const slotsAt = (slots) => slots.filter(slot => slot.available).map(slot => slot.time);
+
+test("computeSlots offers every start inside opening hours for a business without staff", () => {
+  const slots = computeSlots({ date: "2026-03-02", service, openingHours, intervalMinutes: 60 });
+  assert.deepEqual(slotsAt(slots), ["09:00", "10:00", "11:00"]);
+  assert.equal(slots[0].startTime, "2026-03-02T09:00:00");
+  assert.equal(slots[0].endTime, "2026-03-02T10:00:00");
+});
+
+test("computeSlots keeps buffers clear and nothing before the earliest start", () => {
+  const slots = computeSlots({
+    date: "2026-03-02",
+    service: { ...service, bufferAfterMinutes: 15 },
+    openingHours, intervalMinutes: 60, earliestStart: 560,
+    bookings: [{ start: 720, end: 780, staffId: null }]
+  });
+  assert.deepEqual(slotsAt(slots), ["10:00"]);
+});
+
+test("earliestStartFor counts notice from the current time in the business's zone", () => {
+  const now = new Date("2026-01-15T23:30:00Z");
+  assert.equal(earliestStartFor("2026-01-15", 60, "Europe/London", now), 23 * 60 + 30 + 60);
+  assert.equal(earliestStartFor("2026-01-15", 60, "America/New_York", now), 18 * 60 + 30 + 60);
+  assert.equal(earliestStartFor("2026-01-16", 60, "Europe/London", now), 0);
+  assert.equal(earliestStartFor("2026-01-14", 60, "Europe/London", now), Infinity);
+});
+
+test("earliestStartFor falls back to London when the business has no zone", () => {
+  const now = new Date("2026-07-01T08:00:00Z");
+  assert.equal(earliestStartFor("2026-07-01", 0, null, now), 9 * 60);
+});
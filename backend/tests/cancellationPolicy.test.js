@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { normalizePolicy, evaluateCancellation, PRESET_POLICIES } = require("../../cancellation-policy.js");
+
+const appointmentTime = "2026-03-10T10:00:00Z";
+const hoursBefore = (hours) => ({ cancellationTime: new Date(Date.parse(appointmentTime) - hours * 3600000) });
+const booking = { amountPaid: 80, depositAmount: 0, depositRefundable: true, appointmentTime };
+
+test("normalizePolicy resolves a preset name to its tiers", () => {
+  const policy = normalizePolicy("moderate");
+  assert.equal(policy.type, "moderate");
+  assert.deepEqual(policy.tiers, PRESET_POLICIES.moderate.tiers);
+});
+
+test("normalizePolicy refunds nothing for a missing or unknown policy", () => {
+  for (const policy of [null, "no-such-preset", { type: "no-such-preset" }]) {
+    const rules = normalizePolicy(policy);
+    assert.equal(rules.type, "unknown");
+    assert.deepEqual(rules.tiers, [{ minHoursBefore: 0, refundPercent: 0, fee: 0 }]);
+  }
+});
+
+test("normalizePolicy sorts custom tiers and clamps their values", () => {
+  const rules = normalizePolicy({
+    tiers: [
+      { minHoursBefore: 0, refundPercent: -10, fee: -5 },
+      { minHoursBefore: 24, refundPercent: 150, fee: 2 }
+    ]
+  });
+  assert.equal(rules.type, "custom");
+  assert.deepEqual(rules.tiers, [
+    { minHoursBefore: 24, refundPercent: 100, fee: 2 },
+    { minHoursBefore: 0, refundPercent: 0, fee: 0 }
+  ]);
+});
+
+test("evaluateCancellation refunds in full outside the moderate notice window", () => {
+  const result = evaluateCancellation("moderate", booking, hoursBefore(100));
+  assert.equal(result.canCancel, true);
+  assert.equal(result.refundAmount, 80);
+});
+
+test("evaluateCancellation refunds half inside the moderate notice window", () => {
+  assert.equal(evaluateCancellation("moderate", booking, hoursBefore(12)).refundAmount, 40);
+});
+
+test("evaluateCancellation refunds nothing under an unknown policy", () => {
+  const result = evaluateCancellation("no-such-preset", booking, hoursBefore(100));
+  assert.equal(result.canCancel, true);
+  assert.equal(result.refundAmount, 0);
+});
+
+test("evaluateCancellation keeps a non-refundable deposit", () => {
+  const result = evaluateCancellation("moderate", { ...booking, depositAmount: 20, depositRefundable: false }, hoursBefore(100));
+  assert.equal(result.refundAmount, 60);
+  assert.equal(result.depositForfeited, 20);
+});
+
+test("evaluateCancellation never refunds more than was paid, less any fee", () => {
+  const policy = { tiers: [{ minHoursBefore: 0, refundPercent: 100, fee: 100 }] };
+  assert.equal(evaluateCancellation(policy, booking, hoursBefore(5)).refundAmount, 0);
+  assert.equal(evaluateCancellation(policy, booking, hoursBefore(5)).fee, 80);
+});
+
+test("evaluateCancellation refuses cancellations after the appointment", () => {
+  const result = evaluateCancellation("flexible", booking, hoursBefore(-1));
+  assert.equal(result.canCancel, false);
+  assert.equal(result.refundAmount, 0);
+});
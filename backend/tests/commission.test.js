@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveCommissionRule, commissionTerms, calculateCommission } from "../services/commissionService.js";
+
+const rules = [
+  { id: 1, active: true, plan: null, category: null, percent: 10, fixed_fee: 0, max_fee: null },
+  { id: 2, active: true, plan: "premium", category: null, percent: 5, fixed_fee: 0, max_fee: null },
+  { id: 3, active: true, plan: "premium", category: "hair", percent: 4, fixed_fee: 0.2, max_fee: 3 },
+  { id: 4, active: true, plan: null, category: null, percent: 0, fixed_fee: 0, max_fee: null,
+    starts_at: "2026-06-01T00:00:00Z", ends_at: "2026-07-01T00:00:00Z" },
+  { id: 5, active: false, plan: "free", category: null, percent: 50, fixed_fee: 0, max_fee: null }
+];
+
+test("resolveCommissionRule picks the most specific active rule", () => {
+  const at = "2026-03-01T12:00:00Z";
+  assert.equal(resolveCommissionRule(rules, { plan: "premium", category: "hair" }, at).id, 3);
+  assert.equal(resolveCommissionRule(rules, { plan: "premium", category: "nails" }, at).id, 2);
+  assert.equal(resolveCommissionRule(rules, { plan: "free" }, at).id, 1);
+});
+
+test("resolveCommissionRule lets a running promotion win", () => {
+  assert.equal(resolveCommissionRule(rules, { plan: "premium", category: "hair" }, "2026-06-15T12:00:00Z").id, 4);
+  assert.equal(resolveCommissionRule(rules, { plan: "premium", category: "hair" }, "2026-07-01T00:00:00Z").id, 3);
+});
+
+test("resolveCommissionRule returns null when nothing matches", () => {
+  assert.equal(resolveCommissionRule([], { plan: "free" }), null);
+});
+
+test("calculateCommission adds the fixed fee and stops at the cap", () => {
+  const terms = commissionTerms(rules[2]);
+  assert.equal(calculateCommission(terms, 50), 2.2);
+  assert.equal(calculateCommission(terms, 200), 3);
+});
+
+test("calculateCommission never takes more than the amount", () => {
+  const terms = { percent: 0, fixedFee: 5, maxFee: null };
+  assert.equal(calculateCommission(terms, 3), 3);
+  assert.equal(calculateCommission(terms, 0), 0);
+  assert.equal(calculateCommission(terms, -10), 0);
+});
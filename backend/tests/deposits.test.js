@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateDeposit, splitAmount } from "../services/depositService.js";
+
+test("calculateDeposit works out fixed and percentage deposits", () => {
+  assert.equal(calculateDeposit(80, { type: "fixed", value: 20 }), 20);
+  assert.equal(calculateDeposit(45, { type: "percent", value: 33 }), 14.85);
+});
+
+test("calculateDeposit takes the full price when the deposit is nothing or everything", () => {
+  assert.equal(calculateDeposit(80), null);
+  assert.equal(calculateDeposit(80, { type: "fixed", value: 0 }), null);
+  assert.equal(calculateDeposit(80, { type: "fixed", value: 120 }), null);
+  assert.equal(calculateDeposit(80, { type: "percent", value: 100 }), null);
+});
+
+test("splitAmount shares to the penny and always adds up", () => {
+  const shares = splitAmount(100, [1, 1, 1]);
+  assert.deepEqual(shares, [33.33, 33.33, 33.34]);
+  assert.deepEqual(splitAmount(50, [30, 10]), [37.5, 12.5]);
+  assert.deepEqual(splitAmount(10, [0, 0]), [0, 10]);
+});
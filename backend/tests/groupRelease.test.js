@@ -0,0 +1,52 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import { fakeDb, stopCronJobs } from "./helpers/fakeDb.js";
+import { releaseGroupHoldFor } from "../services/groupService.js";
+
+process.env.MANAGE_LINK_SECRET ||= "test-manage-link-secret";
+
+const require = createRequire(import.meta.url);
+const { generateSecureToken } = require("../../utils.js");
+
+after(stopCronJobs);
+
+function groupTable(t, group) {
+  return fakeDb(t, [
+    [/FROM booking_groups g/, ([id]) => ({ rows: id === group.id ? [group] : [] })],
+    [/UPDATE slot_holds/, { rowCount: 3 }]
+  ]);
+}
+
+const heldGroup = { id: 12, organiser_customer_id: 7, business_name: "Glow Studio", manage_token: null, manage_token_expires_at: null };
+
+test("a group hold cannot be released by someone who only knows its id", async (t) => {
+  const db = groupTable(t, heldGroup);
+
+  for (const access of [{}, { token: "guess" }, { user: { id: 8 } }, { token: generateSecureToken("group-13") }, { token: generateSecureToken("12") }]) {
+    assert.deepEqual(await releaseGroupHoldFor(12, access), { success: false, status: 403, reason: "Invalid or expired link" });
+  }
+  assert.equal(db.queries(/UPDATE slot_holds/).length, 0);
+});
+
+test("the organiser releases a group hold signed in or with its hold token", async (t) => {
+  const db = groupTable(t, heldGroup);
+
+  assert.deepEqual(await releaseGroupHoldFor(12, { user: { id: 7 } }), { success: true, released: true });
+  assert.deepEqual(await releaseGroupHoldFor(12, { token: generateSecureToken("group-12") }, "timeout"), { success: true, released: true });
+  assert.deepEqual(db.queries(/UPDATE slot_holds/).map(query => query.params), [[12, "abandoned"], [12, "timeout"]]);
+});
+
+test("an expired hold token no longer releases the group, and an unknown group is a 404", async (t) => {
+  groupTable(t, heldGroup);
+
+  assert.equal((await releaseGroupHoldFor(12, { token: generateSecureToken("group-12", -1) })).status, 403);
+  assert.equal((await releaseGroupHoldFor(99, { user: { id: 7 } })).status, 404);
+});
+
+test("the organiser's manage link also releases the group", async (t) => {
+  const group = { ...heldGroup, manage_token: "organiser-manage-token", manage_token_expires_at: new Date(Date.now() + 86400000) };
+  groupTable(t, group);
+
+  assert.equal((await releaseGroupHoldFor(12, { token: "organiser-manage-token" })).success, true);
+});
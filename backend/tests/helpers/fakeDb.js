@@ -0,0 +1,38 @@
+// Stand-in for Postgres in behaviour tests: db.query (and clients from
+// db.connect) answer from a list of [pattern, answer] rules, first match wins.
+// An answer is a result ({ rows, rowCount }) or a function of (params, sql)
+// returning one; anything unmatched gets no rows. Every query is recorded.
+import cron from "node-cron";
+import db from "../../db.js";
+
+/**
+ * Route the test's database queries to rules instead of Postgres (undone after the test)
+ * @param {Object} t - node:test context
+ * @param {Array} rules - [[RegExp, answer], ...]
+ * @returns {Object} { calls, queries(pattern) }
+ */
+export function fakeDb(t, rules = []) {
+  const calls = [];
+  const query = async (sql, params = []) => {
+    const text = typeof sql === "string" ? sql : sql.text;
+    calls.push({ sql: text, params });
+    for (const [pattern, answer] of rules) {
+      if (pattern.test(text)) {
+        const result = (typeof answer === "function" ? await answer(params, text) : answer) || {};
+        return { rows: [], rowCount: result.rows?.length ?? 0, ...result };
+      }
+    }
+    return { rows: [], rowCount: 0 };
+  };
+
+  t.mock.method(db, "query", query);
+  t.mock.method(db, "connect", async () => ({ query, release() {} }));
+  return { calls, queries: pattern => calls.filter(call => pattern.test(call.sql)) };
+}
+
+/**
+ * Stop the schedules cronJobs.js starts when imported, so the test run can exit
+ */
+export function stopCronJobs() {
+  for (const task of cron.getTasks().values()) task.stop();
+}
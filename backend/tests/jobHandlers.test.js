@@ -0,0 +1,151 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb, stopCronJobs } from "./helpers/fakeDb.js";
+import { enqueueJob, runDueJobs } from "../services/jobQueueService.js";
+import { scheduleBookingReminder } from "../services/bookingMessageService.js";
+import { setTransport, createMockTransport } from "../services/messagingService.js";
+import "../cronJobs.js";
+
+process.env.UNSUBSCRIBE_SECRET ||= "test-unsubscribe-secret";
+
+after(stopCronJobs);
+
+// A jobs table in memory, answering the queue's queries
+function jobsTable() {
+  const jobs = [];
+  const rules = [
+    [/INSERT INTO jobs/, ([type, payload, idempotencyKey, runAt, maxAttempts]) => {
+      if (idempotencyKey && jobs.some(job => job.idempotency_key === idempotencyKey && job.status !== "cancelled")) {
+        return { rows: [] };
+      }
+      const job = {
+        id: jobs.length + 1, type, payload: JSON.parse(payload), idempotency_key: idempotencyKey,
+        run_at: new Date(runAt), max_attempts: maxAttempts, attempts: 0, status: "pending", last_error: null
+      };
+      jobs.push(job);
+      return { rows: [job] };
+    }],
+    [/SET status = 'running'/, ([, types]) => {
+      const due = jobs.filter(job => job.status === "pending" && job.run_at <= new Date() && types.includes(job.type));
+      for (const job of due) {
+        job.status = "running";
+        job.attempts++;
+      }
+      return { rows: due.map(job => ({ ...job })) };
+    }],
+    [/SET status = 'completed'/, ([id]) => {
+      jobs.find(job => job.id === id).status = "completed";
+    }],
+    [/SET status = 'pending', run_at/, ([id, , error]) => {
+      Object.assign(jobs.find(job => job.id === id), { status: "pending", last_error: error });
+    }],
+    [/SET status = 'dead'/, ([id, error]) => {
+      Object.assign(jobs.find(job => job.id === id), { status: "dead", last_error: error });
+    }],
+    [/UPDATE jobs/, { rowCount: 0 }]
+  ];
+  return { jobs, rules };
+}
+
+const ledger = [
+  [/INSERT INTO notification_ledger/, { rows: [{ id: 1, queued_at: new Date() }] }],
+  [/UPDATE notification_ledger/, { rows: [{ id: 1 }] }]
+];
+
+function bookingRow(overrides = {}) {
+  return {
+    id: 42, customer_id: 7, business_id: 3, service: "Silk press", status: "confirmed",
+    start_time: new Date(Date.now() + 3 * 86400000), customer_email: "ama@example.com",
+    business_name: "Glow Studio", business_email: "owner@glowstudio.co.uk", plan: "free",
+    business_timezone: "Europe/London", first_name: "Ama", contact_email: "ama@example.com",
+    customer_phone: null, timezone: "Europe/London", locale: "en-GB",
+    quiet_hours_start: null, quiet_hours_end: null,
+    ...overrides
+  };
+}
+
+test("a queued booking reminder is emailed to the customer and the job completes", async (t) => {
+  const { jobs, rules } = jobsTable();
+  const booking = bookingRow();
+  const db = fakeDb(t, [...rules, ...ledger, [/FROM bookings bk\s+JOIN businesses/, { rows: [booking] }]]);
+  const email = createMockTransport("email");
+  setTransport("email", email);
+  t.after(() => setTransport("email", null));
+
+  const job = await scheduleBookingReminder(42);
+  assert.equal(job.type, "booking_reminder");
+  assert.equal(job.run_at.getTime() > Date.now(), true);
+
+  // The reminder falls due
+  job.run_at = new Date(Date.now() - 1000);
+  const summary = await runDueJobs();
+
+  assert.deepEqual(summary, { completed: 1, retried: 0, dead: 0, recovered: 0 });
+  assert.equal(jobs[0].status, "completed");
+  assert.equal(email.outbox.length, 1);
+  assert.equal(email.outbox[0].to, "ama@example.com");
+  assert.match(email.outbox[0].text, /Silk press at Glow Studio/);
+  assert.match(email.outbox[0].text, /unsubscribe\.html\?token=/);
+  assert.equal(db.queries(/INSERT INTO notification_ledger/)[0].params[5], "booking_reminder");
+});
+
+test("a booking less than a day away gets no reminder", async (t) => {
+  const { jobs, rules } = jobsTable();
+  fakeDb(t, [...rules, [/FROM bookings bk\s+JOIN businesses/, { rows: [bookingRow({ start_time: new Date(Date.now() + 3600000) })] }]]);
+
+  assert.equal(await scheduleBookingReminder(42), null);
+  assert.equal(jobs.length, 0);
+});
+
+test("the reminder for a cancelled or moved booking is skipped", async (t) => {
+  const { jobs, rules } = jobsTable();
+  let booking = bookingRow({ status: "cancelled" });
+  fakeDb(t, [...rules, ...ledger, [/FROM bookings bk\s+JOIN businesses/, () => ({ rows: [booking] })]]);
+  const email = createMockTransport("email");
+  setTransport("email", email);
+  t.after(() => setTransport("email", null));
+
+  await enqueueJob("booking_reminder", { bookingId: 42 });
+  await runDueJobs();
+
+  // Moved since the reminder was queued: the new time has its own reminder
+  booking = bookingRow();
+  await enqueueJob("booking_reminder", { bookingId: 42, startTime: "2020-01-01T10:00:00" });
+  await runDueJobs();
+
+  assert.deepEqual(jobs.map(job => job.status), ["completed", "completed"]);
+  assert.equal(email.outbox.length, 0);
+});
+
+test("a reminder that could not be sent is retried", async (t) => {
+  const { jobs, rules } = jobsTable();
+  fakeDb(t, [...rules, ...ledger, [/FROM bookings bk\s+JOIN businesses/, { rows: [bookingRow()] }]]);
+  setTransport("email", { name: "broken", async send() { throw new Error("SMTP unavailable"); } });
+  t.after(() => setTransport("email", null));
+
+  await enqueueJob("booking_reminder", { bookingId: 42 });
+  const summary = await runDueJobs();
+
+  assert.equal(summary.retried, 1);
+  assert.equal(jobs[0].status, "pending");
+  assert.match(jobs[0].last_error, /SMTP unavailable/);
+});
+
+test("a notification held back for quiet hours is delivered when its job runs", async (t) => {
+  const { jobs, rules } = jobsTable();
+  fakeDb(t, [...rules, ...ledger]);
+  const sms = createMockTransport("sms");
+  setTransport("sms", sms);
+  t.after(() => setTransport("sms", null));
+
+  await enqueueJob("notification.deliver", {
+    notification: { event_type: "booking.create", data: { service_name: "Braids", business_name: "Glow Studio" } },
+    recipient: { channel: "sms", address: "+447700900000", type: "customer", id: 7 }
+  });
+  const summary = await runDueJobs();
+
+  assert.equal(summary.completed, 1);
+  assert.equal(jobs[0].status, "completed");
+  assert.equal(sms.outbox.length, 1);
+  assert.equal(sms.outbox[0].text, "Booking confirmed: Braids at Glow Studio.");
+});
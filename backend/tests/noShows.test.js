@@ -0,0 +1,84 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Stripe from "stripe";
+import { fakeDb, stopCronJobs } from "./helpers/fakeDb.js";
+import { markNoShow } from "../services/noShowService.js";
+
+after(stopCronJobs);
+
+// Every Stripe client shares its resources' methods, so the service's client can be stubbed here
+const paymentIntents = Object.getPrototypeOf(new Stripe("sk_test_stub").paymentIntents);
+
+const missedBooking = {
+  id: 42, business_id: 3, customer_id: 7, status: "confirmed", points_released: false,
+  start_time: new Date(Date.now() - 3600000), total_amount: "60.00",
+  balance_status: "due", balance_payment_intent: "pi_balance",
+  stripe_customer_id: "cus_1", payment_method_id: "pm_1"
+};
+
+// A bookings table holding one booking, applying markNoShow's updates to it
+function bookingsTable(t, booking) {
+  const row = { ...booking };
+  const db = fakeDb(t, [
+    [/SELECT \* FROM bookings WHERE id = \$1/, { rows: [row] }],
+    [/COALESCE\(bk.cancellation_policy/, {
+      rows: [{ ...row, policy: { tiers: [{ minHoursBefore: 0, refundPercent: 0, fee: 0 }], noShow: { refundPercent: 0, fee: 15 } } }]
+    }],
+    [/SET status = 'no_show'/, ([, chargeFee, fee]) => {
+      Object.assign(row, { status: "no_show", balance_status: "waived" });
+      if (chargeFee) Object.assign(row, { no_show_fee: fee, no_show_fee_status: "pending" });
+      return { rows: [{ ...row }] };
+    }],
+    [/SET no_show_fee_status = \$2/, ([, status, paymentIntentId]) => {
+      Object.assign(row, { no_show_fee_status: status, no_show_fee_payment_intent: paymentIntentId });
+      return { rows: [{ ...row }] };
+    }]
+  ]);
+  return { db, row };
+}
+
+test("a balance payment Stripe will not cancel still lets the no-show be recorded", async (t) => {
+  const { row } = bookingsTable(t, missedBooking);
+  t.mock.method(paymentIntents, "retrieve", async () => ({ id: "pi_balance", status: "requires_payment_method" }));
+  t.mock.method(paymentIntents, "cancel", async () => {
+    throw new Error("Stripe is unavailable");
+  });
+
+  const result = await markNoShow(3, 42);
+
+  assert.equal(result.success, true);
+  assert.equal(row.status, "no_show");
+  assert.deepEqual(result.balance, { status: "failed", reason: "Stripe is unavailable" });
+});
+
+test("the no-show fee is pending with the no-show, then takes the charge's outcome", async (t) => {
+  const { db, row } = bookingsTable(t, { ...missedBooking, balance_status: "none", balance_payment_intent: null });
+  const statusWhenCharged = [];
+  t.mock.method(paymentIntents, "create", async () => {
+    statusWhenCharged.push(row.no_show_fee_status);
+    return { id: "pi_fee", status: "succeeded" };
+  });
+
+  const result = await markNoShow(3, 42, { chargeFee: true });
+
+  assert.deepEqual(statusWhenCharged, ["pending"]);
+  assert.deepEqual(db.queries(/SET status = 'no_show'/)[0].params, [42, true, 15]);
+  assert.deepEqual(result.fee, { amount: 15, status: "charged", reason: null });
+  assert.equal(result.booking.no_show_fee_status, "charged");
+  assert.equal(result.booking.no_show_fee_payment_intent, "pi_fee");
+  assert.equal(result.balance, null);
+});
+
+test("a declined no-show fee is saved as failed on the recorded no-show", async (t) => {
+  const { row } = bookingsTable(t, { ...missedBooking, balance_status: "none", balance_payment_intent: null });
+  t.mock.method(paymentIntents, "create", async () => {
+    throw Object.assign(new Error("Your card was declined."), { payment_intent: { id: "pi_declined" } });
+  });
+
+  const result = await markNoShow(3, 42, { chargeFee: true, feeAmount: 10 });
+
+  assert.equal(row.status, "no_show");
+  assert.equal(row.no_show_fee, 10);
+  assert.equal(row.no_show_fee_status, "failed");
+  assert.equal(result.fee.reason, "Your card was declined.");
+});
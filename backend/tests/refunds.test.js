@@ -0,0 +1,96 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { fakeDb, stopCronJobs } from "./helpers/fakeDb.js";
+import { paymentCapacities, refundPointsTarget, reverseRefundPoints } from "../services/refundService.js";
+
+after(stopCronJobs);
+
+const depositBooking = {
+  total_amount: 100,
+  deposit_amount: 20,
+  paid: 100,
+  stripe_payment_intent: "pi_deposit",
+  balance_payment_intent: "pi_balance",
+  balance_status: "paid"
+};
+
+test("paymentCapacities refunds the balance payment before the deposit", () => {
+  assert.deepEqual(paymentCapacities(depositBooking, {}), [
+    { intent: "pi_balance", capacity: 80 },
+    { intent: "pi_deposit", capacity: 20 }
+  ]);
+});
+
+test("paymentCapacities takes off what was refunded and never goes below zero", () => {
+  assert.deepEqual(paymentCapacities(depositBooking, { pi_balance: 90, pi_deposit: 5 }), [
+    { intent: "pi_balance", capacity: 0 },
+    { intent: "pi_deposit", capacity: 15 }
+  ]);
+});
+
+test("paymentCapacities ignores a balance that was not paid in-app", () => {
+  const booking = { ...depositBooking, paid: 20, balance_status: "paid_in_person" };
+  assert.deepEqual(paymentCapacities(booking, {}), [{ intent: "pi_deposit", capacity: 20 }]);
+});
+
+test("refundPointsTarget takes back a point per pound refunded", () => {
+  assert.equal(refundPointsTarget({ total_amount: 80, refunded_amount: 30 }), 30);
+  assert.equal(refundPointsTarget({ amount_paid: 60, total_amount: 80, refunded_amount: 0 }), 0);
+  assert.equal(refundPointsTarget({ total_amount: 80, refunded_amount: 30 }, { full: true }), 80);
+});
+
+test("refundPointsTarget never takes back more than the booking earned", () => {
+  assert.equal(refundPointsTarget({ total_amount: 80, points_awarded: 40, refunded_amount: 30 }), 0);
+  assert.equal(refundPointsTarget({ total_amount: 80, points_awarded: 40, refunded_amount: 70 }), 30);
+  assert.equal(refundPointsTarget({ total_amount: 80, refunded_amount: 120 }), 80);
+});
+
+// A released booking and the referral it completed, in memory
+function pointsTables(t, booking, referrals) {
+  return fakeDb(t, [
+    [/SELECT \* FROM bookings WHERE id/, () => ({ rows: [{ ...booking }] })],
+    [/UPDATE bookings SET points_reversed = \$2 WHERE id = \$1 AND points_reversed = \$3/, ([, target, was]) => {
+      if (booking.points_reversed !== was) return { rowCount: 0 };
+      booking.points_reversed = target;
+      return { rowCount: 1 };
+    }],
+    [/UPDATE referrals SET status = 'reversed'/, ([bookingId]) => {
+      const referral = referrals.find(row => row.booking_id === bookingId && row.status === "completed");
+      if (!referral) return { rows: [] };
+      referral.status = "reversed";
+      return { rows: [referral] };
+    }]
+  ]);
+}
+
+const deductions = db => db.queries(/INSERT INTO points_activity/).map(query => query.params);
+
+test("a full refund takes the referrer's bonus back from the referrer, once", async (t) => {
+  const booking = { id: 42, customer_id: 7, customer_email: "ama@example.com", points_released: true, total_amount: 80, points_awarded: 80, points_reversed: 0 };
+  const referrals = [
+    { id: "ref-1", referrer_id: "referrer-uuid", referee_email: "ama@example.com", booking_id: 42, status: "completed" },
+    { id: "ref-2", referrer_id: "someone-else", referee_email: "ama@example.com", booking_id: null, status: "pending" }
+  ];
+  const db = pointsTables(t, booking, referrals);
+
+  assert.deepEqual(await reverseRefundPoints(42, { full: true }), { pointsReversed: 80, referralReversed: true });
+  assert.deepEqual(await reverseRefundPoints(42, { full: true }), { pointsReversed: 0, referralReversed: false });
+
+  assert.deepEqual(deductions(db), [
+    [7, -80, "Refund for booking #42"],
+    ["referrer-uuid", -100, "Referral bonus reversal for booking #42"]
+  ]);
+  // Pending referrals are neither completed nor paid out by a refund
+  assert.equal(referrals[1].status, "pending");
+  assert.equal(db.queries(/status='pending'|status = 'pending'/).length, 0);
+});
+
+test("a partial refund leaves the referral bonus alone", async (t) => {
+  const booking = { id: 42, customer_id: 7, points_released: true, total_amount: 80, points_awarded: 80, points_reversed: 0, refunded_amount: 30 };
+  const referrals = [{ id: "ref-1", referrer_id: "referrer-uuid", booking_id: 42, status: "completed" }];
+  const db = pointsTables(t, booking, referrals);
+
+  assert.deepEqual(await reverseRefundPoints(42), { pointsReversed: 30, referralReversed: false });
+  assert.equal(referrals[0].status, "completed");
+  assert.equal(db.queries(/UPDATE referrals/).length, 0);
+});
@@ -0,0 +1,85 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import { fakeDb, stopCronJobs } from "./helpers/fakeDb.js";
+import { issueManageLink, canManageBooking, notifyReschedule } from "../services/rescheduleService.js";
+import { setTransport, createMockTransport } from "../services/messagingService.js";
+
+process.env.MANAGE_LINK_SECRET ||= "test-manage-link-secret";
+process.env.UNSUBSCRIBE_SECRET ||= "test-unsubscribe-secret";
+
+const require = createRequire(import.meta.url);
+const { generateCancellationUrl, validateSecureToken } = require("../../utils.js");
+
+after(stopCronJobs);
+
+const tokenFrom = url => new URL(url, "https://blkpages.com").searchParams.get("token");
+
+test("a guest cancellation link also lets the customer manage that booking, and no other", () => {
+  const token = tokenFrom(generateCancellationUrl("42", "https://blkpages.com"));
+
+  assert.equal(canManageBooking({ id: 42, customer_id: 7 }, { token }), true);
+  assert.equal(canManageBooking({ id: 43, customer_id: 7 }, { token }), false);
+  assert.equal(canManageBooking({ id: 42, customer_id: 7 }, { token: `${token}x` }), false);
+});
+
+test("a signed booking link stops working when it expires", () => {
+  const token = tokenFrom(generateCancellationUrl("42", "", -1));
+
+  assert.equal(validateSecureToken("42", token), false);
+  assert.equal(canManageBooking({ id: 42, customer_id: 7 }, { token }), false);
+});
+
+test("issueManageLink stores and returns a signed token for the booking", async (t) => {
+  const db = fakeDb(t, [
+    [/SELECT id, customer_email, start_time FROM bookings/, {
+      rows: [{ id: 42, customer_email: "ama@example.com", start_time: new Date(Date.now() + 48 * 3600000) }]
+    }],
+    [/UPDATE bookings/, { rows: [{ manage_token_expires_at: new Date() }] }]
+  ]);
+
+  const link = await issueManageLink(42, "https://blkpages.com");
+
+  assert.equal(link.url, `https://blkpages.com/cancel-booking.html?booking=42&token=${link.token}`);
+  assert.equal(validateSecureToken("42", link.token), true);
+  assert.equal(db.queries(/UPDATE bookings/)[0].params[1], link.token);
+});
+
+test("notifyReschedule emails both sides, texts the customer and moves the reminder", async (t) => {
+  const booking = {
+    id: 42, customer_id: 7, business_id: 3, service: "Silk press", status: "confirmed",
+    start_time: "2099-03-10T14:00:00", customer_email: "ama@example.com",
+    business_name: "Glow Studio", business_email: "owner@glowstudio.co.uk", business_phone: null, plan: "free",
+    business_timezone: "Europe/London", first_name: "Ama", contact_email: "ama@example.com",
+    customer_phone: "+447700900000", timezone: "Europe/London", locale: "en-GB",
+    quiet_hours_start: null, quiet_hours_end: null
+  };
+  const db = fakeDb(t, [
+    [/INSERT INTO notifications/, ([, title]) => ({ rows: [{ title }] })],
+    [/INSERT INTO notification_ledger/, { rows: [{ id: 1, queued_at: new Date() }] }],
+    [/FROM bookings bk\s+JOIN businesses/, { rows: [booking] }],
+    [/UPDATE jobs SET status = 'cancelled'/, { rowCount: 1 }],
+    [/INSERT INTO jobs/, ([type, payload]) => ({ rows: [{ id: 9, type, payload: JSON.parse(payload) }] })]
+  ]);
+  const email = createMockTransport("email");
+  const sms = createMockTransport("sms");
+  setTransport("email", email);
+  setTransport("sms", sms);
+  t.after(() => {
+    setTransport("email", null);
+    setTransport("sms", null);
+  });
+
+  await notifyReschedule(booking, { startTime: "2099-03-09T10:00:00" });
+
+  assert.deepEqual(email.outbox.map(message => message.to), ["ama@example.com", "owner@glowstudio.co.uk"]);
+  assert.match(email.outbox[0].text, /has moved from .+ to /);
+  assert.equal(sms.outbox.length, 1);
+  assert.equal(sms.outbox[0].to, "+447700900000");
+
+  // The old reminder is cancelled and one queued for the new time
+  assert.equal(JSON.parse(db.queries(/UPDATE jobs SET status = 'cancelled'/)[0].params[1]).bookingId, 42);
+  assert.deepEqual(db.queries(/INSERT INTO jobs/)[0].params.slice(0, 2), [
+    "booking_reminder", JSON.stringify({ bookingId: 42, startTime: "2099-03-10T14:00:00" })
+  ]);
+});
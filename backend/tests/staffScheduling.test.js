@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeSlots } from "../services/availabilityService.js";
+
+const service = { durationMinutes: 60, bufferBeforeMinutes: 0, bufferAfterMinutes: 0 };
+const openingHours = [{ opens: 540, closes: 720 }]; // 09:00–12:00
+const slotsAt = (slots) => slots.filter(slot => slot.available).map(slot => slot.time);
+
+test("computeSlots treats a business without staff as one chair", () => {
+  const slots = computeSlots({
+    date: "2026-03-02", service, openingHours, intervalMinutes: 60,
+    bookings: [{ start: 600, end: 660, staffId: null }]
+  });
+  assert.deepEqual(slotsAt(slots), ["09:00", "11:00"]);
+});
+
+test("computeSlots offers nothing when a business has staff but none are eligible", () => {
+  const slots = computeSlots({ date: "2026-03-02", service, openingHours, staff: [], hasStaff: true, intervalMinutes: 60 });
+  assert.equal(slots.length, 3);
+  assert.deepEqual(slotsAt(slots), []);
+});
+
+test("computeSlots respects shifts, breaks and each stylist's bookings", () => {
+  const staff = [
+    { id: 1, shifts: [{ starts: 540, ends: 720 }], breaks: [{ starts: 600, ends: 630 }] },
+    { id: 2, shifts: [{ starts: 600, ends: 720 }], breaks: [] }
+  ];
+  const slots = computeSlots({
+    date: "2026-03-02", service, openingHours, staff, intervalMinutes: 60,
+    bookings: [{ start: 660, end: 720, staffId: 2 }]
+  });
+  assert.deepEqual(slots.map(slot => slot.staffIds), [[1], [2], [1]]);
+  assert.deepEqual(slotsAt(computeSlots({ date: "2026-03-02", service, openingHours, staff, staffId: 2, intervalMinutes: 60 })), ["10:00", "11:00"]);
+});
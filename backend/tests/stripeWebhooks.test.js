@@ -0,0 +1,138 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import Stripe from "stripe";
+import { fakeDb, stopCronJobs } from "./helpers/fakeDb.js";
+import { handleStripeEvent, replayStripeEvent } from "../services/stripeWebhookService.js";
+
+process.env.CHECKOUT_POINTS_URL = "https://functions.test/checkoutPoints";
+process.env.INTERNAL_API_KEY = "test-internal-key";
+
+after(stopCronJobs);
+
+// Every Stripe client shares its resources' methods, so the service's client can be stubbed here
+const refunds = Object.getPrototypeOf(new Stripe("sk_test_stub").refunds);
+
+// A stripe_events table in memory, answering the event store's queries
+function eventsTable(events) {
+  return [
+    [/INSERT INTO stripe_events/, ([id, type, objectId, payload]) => {
+      if (!events[id]) events[id] = { status: "received", payload };
+    }],
+    [/SELECT status FROM stripe_events/, ([id]) => ({ rows: events[id] ? [{ status: events[id].status }] : [] })],
+    [/SET status = 'processing'/, ([id, fromStatuses]) => {
+      if (!events[id] || !fromStatuses.includes(events[id].status)) return { rows: [] };
+      events[id].status = "processing";
+      return { rows: [{ payload: events[id].payload }] };
+    }],
+    [/UPDATE stripe_events/, ([id, status, error]) => {
+      Object.assign(events[id], { status, error });
+    }]
+  ];
+}
+
+function succeededEvent(metadata) {
+  return {
+    id: "evt_1",
+    type: "payment_intent.succeeded",
+    data: {
+      object: {
+        id: "pi_1", amount_received: 4500, currency: "gbp", customer: "cus_1", payment_method: "pm_1",
+        metadata: { uid: "firebase-uid", holdId: "hold_1", pointsUsed: "500", paymentType: "full", ...metadata }
+      }
+    }
+  };
+}
+
+// The checkoutPoints Cloud Function, answering with the given status
+function checkoutPointsFunction(t, status = 200) {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url, options) => {
+    calls.push({ url, headers: options.headers, ...JSON.parse(options.body) });
+    const body = status === 200 ? { redeemed: true, points: 500 } : { error: "Insufficient points" };
+    return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+  });
+  return calls;
+}
+
+test("replaying an event that is being processed answers 409 and leaves it alone", async (t) => {
+  const events = { evt_1: { status: "processing", payload: succeededEvent() } };
+  fakeDb(t, eventsTable(events));
+
+  const result = await replayStripeEvent("evt_1");
+
+  assert.deepEqual(result, { success: false, status: 409, reason: "Event is being processed" });
+  assert.equal(events.evt_1.status, "processing");
+});
+
+test("replaying a processed event runs it again, and a missing one is a 404", async (t) => {
+  const events = { evt_2: { status: "processed", payload: { id: "evt_2", type: "customer.created", data: { object: { id: "cus_1" } } } } };
+  fakeDb(t, eventsTable(events));
+
+  const result = await replayStripeEvent("evt_2");
+  assert.equal(result.action, "ignored");
+  assert.equal(events.evt_2.status, "ignored");
+
+  assert.equal((await replayStripeEvent("evt_missing")).status, 404);
+});
+
+test("a duplicate delivery of a processed event does nothing", async (t) => {
+  const events = { evt_1: { status: "processed", payload: succeededEvent() } };
+  const db = fakeDb(t, eventsTable(events));
+
+  const result = await handleStripeEvent(succeededEvent());
+
+  assert.equal(result.duplicate, true);
+  assert.equal(db.queries(/slot_holds/).length, 0);
+});
+
+test("a checkout confirmed by the webhook takes the BlkPoints it was discounted by", async (t) => {
+  const events = {};
+  fakeDb(t, [
+    ...eventsTable(events),
+    [/FROM slot_holds WHERE id = \$1/, { rows: [{ id: "hold_1", business_id: 3, status: "converted", booking_id: 42, service_id: 5, price: 50 }] }],
+    [/SELECT \* FROM bookings WHERE id = \$1 OR appointment_id/, { rows: [{ id: 42, customer_id: 7, status: "confirmed" }] }]
+  ]);
+  const calls = checkoutPointsFunction(t);
+
+  const result = await handleStripeEvent(succeededEvent());
+
+  assert.equal(result.success, true);
+  assert.equal(events.evt_1.status, "processed");
+  assert.deepEqual(calls.map(call => [call.url, call.paymentIntentId, call.action]), [
+    ["https://functions.test/checkoutPoints", "pi_1", "redeem"]
+  ]);
+  assert.equal(calls[0].headers["x-internal-key"], "test-internal-key");
+});
+
+test("a checkout the customer no longer has the points for is refunded, not booked", async (t) => {
+  const events = {};
+  const db = fakeDb(t, [
+    ...eventsTable(events),
+    [/SELECT customer_id FROM slot_holds/, { rows: [{ customer_id: 7 }] }],
+    [/INSERT INTO notifications/, ([, title, message]) => ({ rows: [{ title, message }] })]
+  ]);
+  const calls = checkoutPointsFunction(t, 409);
+  const refund = t.mock.method(refunds, "create", async () => ({ id: "re_1" }));
+
+  const result = await handleStripeEvent(succeededEvent());
+
+  assert.equal(result.action, "payment_refunded");
+  assert.equal(refund.mock.calls[0].arguments[0].payment_intent, "pi_1");
+  assert.deepEqual(calls.map(call => call.action), ["redeem", "restore"]);
+  assert.equal(db.queries(/FOR UPDATE/).length, 0);
+  assert.match(db.queries(/INSERT INTO notifications/)[0].params[2], /Insufficient points/);
+});
+
+test("a payment without BlkPoints never calls the points function", async (t) => {
+  const events = {};
+  fakeDb(t, [
+    ...eventsTable(events),
+    [/FROM slot_holds WHERE id = \$1/, { rows: [{ id: "hold_1", business_id: 3, status: "converted", booking_id: 42, service_id: 5, price: 50 }] }],
+    [/SELECT \* FROM bookings WHERE id = \$1 OR appointment_id/, { rows: [{ id: 42, customer_id: 7, status: "confirmed" }] }]
+  ]);
+  const calls = checkoutPointsFunction(t);
+
+  await handleStripeEvent(succeededEvent({ pointsUsed: "0" }));
+
+  assert.equal(calls.length, 0);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+
+process.env.UNSUBSCRIBE_SECRET ||= "test-unsubscribe-secret";
+
+const require = createRequire(import.meta.url);
+const { createToken, verifyToken } = require("../../unsubscribe-token.js");
+
+const target = { recipientType: "customer", recipientId: "42", channel: "email", category: "marketing" };
+const now = new Date("2026-03-01T12:00:00Z");
+
+test("verifyToken accepts a token it signed", () => {
+  const result = verifyToken(createToken(target, { now }), now);
+  assert.equal(result.valid, true);
+  assert.equal(result.recipientType, "customer");
+  assert.equal(result.recipientId, "42");
+  assert.equal(result.channel, "email");
+  assert.equal(result.category, "marketing");
+});
+
+test("verifyToken rejects a token pointed at someone else", () => {
+  const [, signature] = createToken(target, { now }).split(".");
+  const payload = Buffer.from(`c|43|email|marketing|${Math.floor(now.getTime() / 1000) + 86400}`).toString("base64url");
+  assert.deepEqual(verifyToken(`${payload}.${signature}`, now), { valid: false, reason: "invalid" });
+});
+
+test("verifyToken rejects malformed tokens", () => {
+  for (const token of [null, "", "abc", "a.b.c"]) {
+    assert.deepEqual(verifyToken(token, now), { valid: false, reason: "invalid" });
+  }
+});
+
+test("verifyToken rejects an expired token", () => {
+  const token = createToken(target, { ttlDays: 1, now });
+  assert.deepEqual(verifyToken(token, new Date("2026-03-03T12:00:00Z")), { valid: false, reason: "expired" });
+});
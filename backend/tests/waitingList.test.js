@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculatePriority } from "../services/waitingListService.js";
+
+const daysAgo = (days) => new Date(Date.now() - days * 86400000 - 60000).toISOString();
+
+test("calculatePriority adds points for each whole day waited", () => {
+  const entry = { priority: 12.5, joined_at: daysAgo(3), staff_id: null, time_windows: [] };
+  assert.equal(calculatePriority(entry, "2026-03-02T10:00:00"), 18.5);
+});
+
+test("calculatePriority scores a slot with the stylist the customer asked for", () => {
+  const entry = { priority: 0, joined_at: daysAgo(0), staff_id: 7, time_windows: [] };
+  assert.equal(calculatePriority(entry, "2026-03-02T10:00:00", 7), 10);
+});
+
+test("calculatePriority skips a slot with a different stylist", () => {
+  const entry = { priority: 50, joined_at: daysAgo(10), staff_id: 7, time_windows: [] };
+  assert.equal(calculatePriority(entry, "2026-03-02T10:00:00", 8), null);
+});
@@ -20,6 +20,7 @@ class WaitingListDemo {
             const customerId = 'customer_123';
             const businessId = 'business_456';
             const serviceData = {
+                id: 3,
                 name: 'Haircut & Style',
                 price: 45.00,
                 duration: '1h 30m'
@@ -53,9 +54,9 @@ class WaitingListDemo {
             
             const businessId = 'business_456';
             const availableSlot = {
-                date: '2025-01-20',
-                time: '10:00 AM',
-                duration: '1h 30m'
+                serviceId: 3,
+                staffId: null, // any stylist
+                startTime: '2025-01-20T10:00:00'
             };
 
             console.log('1. Business has a cancellation, slot available...');
@@ -1,11 +1,17 @@
 /**
  * Waiting List System
- * Handles customer waiting lists and business cancellation offers
+ * Handles customer waiting lists and business cancellation offers.
+ * Entries and offers live on the server (/api/waiting-list); a cancelled
+ * slot is offered to one customer at a time and passed to the next one
+ * when the offer is declined or expires.
  */
 
 class WaitingListSystem {
-    constructor() {
-        this.emailService = new EmailService();
+    constructor({ apiBase = '', getAuthToken = null } = {}) {
+        this.apiBase = apiBase;
+        this.getAuthToken = getAuthToken || (() =>
+            (typeof localStorage !== 'undefined' &&
+                (localStorage.getItem('auth_token') || localStorage.getItem('authToken'))) || '');
     }
 
     // ========================================
@@ -13,36 +19,38 @@ class WaitingListSystem {
     // ========================================
 
     /**
-     * Add customer to waiting list with privacy protection
+     * Add customer to waiting list with privacy protection.
+     * The signed-in customer is taken from the auth token; the business
+     * only ever sees their first name. preferences narrows which slots are
+     * offered: { from, until, windows: [{ days: [1,2,3,4,5], from: '17:00' }] }
+     * ("any weekday after 5pm"); leave it out for any time, with any stylist
+     * unless serviceData.staffId is set.
      */
-    async joinWaitingList(customerId, businessId, serviceData, customerName = 'Customer') {
+    async joinWaitingList(customerId, businessId, serviceData, customerName = 'Customer', preferences = null) {
         try {
-            // Get customer position in queue
-            const position = await this.getCustomerPosition(businessId, serviceData.name);
-            
+            const result = await this.request('/api/waiting-list', {
+                method: 'POST',
+                body: {
+                    businessId,
+                    serviceId: serviceData.id,
+                    staffId: serviceData.staffId || null,
+                    firstName: customerName.split(' ')[0], // Only first name for privacy
+                    preferences
+                }
+            });
+
             const waitingListEntry = {
-                id: `waiting_${Date.now()}`,
+                id: result.entryId,
                 customerId,
                 businessId,
                 serviceData,
-                customerName: customerName.split(' ')[0], // Only first name for privacy
+                customerName: customerName.split(' ')[0],
+                preferences,
                 joinedAt: new Date().toISOString(),
                 status: 'waiting',
-                priority: await this.calculatePriority(customerId, businessId),
-                position: position + 1, // Position in queue
-                // Privacy protection - no contact details stored
-                privacyNotice: 'Contact details are securely stored by BlkPages'
+                position: result.position
             };
 
-            // Add to business waiting list (privacy-protected)
-            await this.addToBusinessWaitingList(businessId, waitingListEntry);
-            
-            // Add to customer waiting list (full details)
-            await this.addToCustomerWaitingList(customerId, waitingListEntry);
-
-            // Send confirmation to customer with position
-            await this.sendWaitingListConfirmation(customerId, businessId, serviceData, position + 1);
-
             // Trigger waitinglist.join event
             await this.triggerWaitingListJoinEvent(waitingListEntry);
 
@@ -55,16 +63,27 @@ class WaitingListSystem {
     }
 
     /**
-     * Remove customer from waiting list
+     * Change the dates and times a customer can come in, keeping their place
      */
-    async leaveWaitingList(waitingListId, customerId, businessId) {
+    async updatePreferences(waitingListId, preferences) {
         try {
-            // Remove from business waiting list
-            await this.removeFromBusinessWaitingList(businessId, waitingListId);
-            
-            // Remove from customer waiting list
-            await this.removeFromCustomerWaitingList(customerId, waitingListId);
+            const result = await this.request(`/api/waiting-list/${encodeURIComponent(waitingListId)}/preferences`, {
+                method: 'PUT',
+                body: { preferences }
+            });
+            return result.preferences;
+        } catch (error) {
+            console.error('Failed to update waiting list preferences:', error);
+            throw error;
+        }
+    }
 
+    /**
+     * Remove customer from waiting list. Any open offer goes to the next customer.
+     */
+    async leaveWaitingList(waitingListId) {
+        try {
+            await this.request(`/api/waiting-list/${encodeURIComponent(waitingListId)}/leave`, { method: 'POST' });
             console.log('Customer removed from waiting list:', waitingListId);
         } catch (error) {
             console.error('Failed to leave waiting list:', error);
@@ -73,39 +92,17 @@ class WaitingListSystem {
     }
 
     /**
-     * Send offer to next customer in waiting list
+     * Business: offer a free slot to the next customer in the waiting list.
+     * availableSlot: { serviceId, staffId, startTime }
      */
     async sendOfferToNextCustomer(businessId, availableSlot) {
         try {
-            // Get business waiting list
-            const waitingList = await this.getBusinessWaitingList(businessId);
-            
-            if (waitingList.length === 0) {
-                console.log('No customers in waiting list for business:', businessId);
-                return null;
-            }
-
-            // Get next customer (highest priority)
-            const nextCustomer = waitingList[0];
-            
-            // Create offer
-            const offer = {
-                id: `offer_${Date.now()}`,
-                waitingListId: nextCustomer.id,
-                customerId: nextCustomer.customerId,
-                businessId: businessId,
-                availableSlot: availableSlot,
-                expiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000), // 2 hours
-                status: 'pending'
-            };
-
-            // Send offer to customer
-            await this.sendOfferNotification(nextCustomer.customerId, businessId, offer);
-            
-            // Update waiting list entry
-            await this.updateWaitingListEntry(nextCustomer.id, { status: 'offered', offerId: offer.id });
+            const offer = await this.request(`/api/businesses/${encodeURIComponent(businessId)}/waiting-list/offers`, {
+                method: 'POST',
+                body: availableSlot
+            });
 
-            console.log('Offer sent to customer:', nextCustomer.customerId);
+            console.log('Offer sent, expires at:', offer.expiresAt);
             return offer;
         } catch (error) {
             console.error('Failed to send offer:', error);
@@ -114,19 +111,27 @@ class WaitingListSystem {
     }
 
     /**
-     * Get customer position in waiting list
+     * Live position of one of the customer's entries: { entryId, status, position, offer }
      */
-    async getCustomerPosition(businessId, serviceName) {
-        try {
-            const businessWaitingList = JSON.parse(localStorage.getItem(`businessWaitingList_${businessId}`) || '[]');
-            const sameServiceWaiting = businessWaitingList.filter(item => 
-                item.serviceData.name === serviceName && item.status === 'waiting'
-            );
-            return sameServiceWaiting.length;
-        } catch (error) {
-            console.error('Failed to get customer position:', error);
-            return 0;
-        }
+    async getCustomerPosition(waitingListId) {
+        return this.request(`/api/waiting-list/${encodeURIComponent(waitingListId)}/position`);
+    }
+
+    /**
+     * The signed-in customer's entries with positions and any open offer
+     */
+    async getCustomerWaitingList() {
+        const result = await this.request('/api/waiting-list/mine');
+        return result.entries;
+    }
+
+    /**
+     * Business: the queue for one service (first names only)
+     */
+    async getBusinessWaitingList(businessId, serviceId = null) {
+        const query = serviceId ? `?serviceId=${encodeURIComponent(serviceId)}` : '';
+        const result = await this.request(`/api/businesses/${encodeURIComponent(businessId)}/waiting-list${query}`);
+        return result.entries;
     }
 
     /**
@@ -144,14 +149,14 @@ class WaitingListSystem {
                 joinedAt: waitingListEntry.joinedAt,
                 timestamp: new Date().toISOString()
             };
-            
+
             // Dispatch waitinglist.join event
             if (typeof window !== 'undefined') {
                 window.dispatchEvent(new CustomEvent('waitinglist.join', {
                     detail: joinEventData
                 }));
             }
-            
+
             console.log('Waitinglist.join event triggered:', joinEventData);
         } catch (error) {
             console.error('Failed to trigger waitinglist.join event:', error);
@@ -159,38 +164,27 @@ class WaitingListSystem {
     }
 
     /**
-     * Handle offer acceptance with booking creation
+     * Offer details for the offer page: { offer: { business, service, startTime, expiresAt, status } }
      */
-    async acceptOffer(offerId, customerId) {
-        try {
-            const offer = await this.getOffer(offerId);
-            if (!offer || offer.customerId !== customerId) {
-                throw new Error('Invalid offer');
-            }
-
-            if (offer.status !== 'pending') {
-                throw new Error('Offer no longer available');
-            }
-
-            if (new Date() > offer.expiresAt) {
-                throw new Error('Offer has expired');
-            }
-
-            // Create booking from offer
-            const booking = await this.createBookingFromOffer(offer);
-            
-            // Remove from waiting lists
-            await this.removeFromBusinessWaitingList(offer.businessId, offer.waitingListId);
-            await this.removeFromCustomerWaitingList(customerId, offer.waitingListId);
+    async getOffer(offerToken) {
+        return this.request(`/api/waiting-list/offers/${encodeURIComponent(offerToken)}`);
+    }
 
-            // Update offer status
-            await this.updateOfferStatus(offerId, 'accepted');
+    /**
+     * Accept an offer. The slot is held for checkout like any other booking;
+     * the booking is created once payment.html completes with the returned holdId.
+     */
+    async acceptOffer(offerToken) {
+        try {
+            const hold = await this.request(`/api/waiting-list/offers/${encodeURIComponent(offerToken)}/accept`, {
+                method: 'POST'
+            });
 
             // Trigger waitinglist.offer.accept event
-            await this.triggerWaitingListOfferAcceptEvent(offer, booking);
+            await this.triggerWaitingListOfferAcceptEvent(hold);
 
-            console.log('Offer accepted, booking created:', booking.id);
-            return booking;
+            console.log('Offer accepted, slot held:', hold.holdId);
+            return hold;
         } catch (error) {
             console.error('Failed to accept offer:', error);
             throw error;
@@ -200,25 +194,24 @@ class WaitingListSystem {
     /**
      * Trigger waitinglist.offer.accept event
      */
-    async triggerWaitingListOfferAcceptEvent(offer, booking) {
+    async triggerWaitingListOfferAcceptEvent(hold) {
         try {
             const acceptEventData = {
-                waitingListId: offer.waitingListId,
-                customerId: offer.customerId,
-                businessId: offer.businessId,
-                bookingId: booking.id,
-                serviceName: offer.serviceData.name,
+                holdId: hold.holdId,
+                businessId: hold.businessId,
+                serviceId: hold.serviceId,
+                startTime: hold.startTime,
                 acceptedAt: new Date().toISOString(),
                 timestamp: new Date().toISOString()
             };
-            
+
             // Dispatch waitinglist.offer.accept event
             if (typeof window !== 'undefined') {
                 window.dispatchEvent(new CustomEvent('waitinglist.offer.accept', {
                     detail: acceptEventData
                 }));
             }
-            
+
             console.log('Waitinglist.offer.accept event triggered:', acceptEventData);
         } catch (error) {
             console.error('Failed to trigger waitinglist.offer.accept event:', error);
@@ -226,24 +219,12 @@ class WaitingListSystem {
     }
 
     /**
-     * Handle offer rejection or expiration
+     * Decline an offer. The customer keeps their place and the slot
+     * is offered to the next customer.
      */
-    async rejectOffer(offerId, customerId) {
+    async rejectOffer(offerToken) {
         try {
-            const offer = await this.getOffer(offerId);
-            if (!offer || offer.customerId !== customerId) {
-                throw new Error('Invalid offer');
-            }
-
-            // Update offer status
-            await this.updateOfferStatus(offerId, 'rejected');
-
-            // Move customer back to waiting list
-            await this.updateWaitingListEntry(offer.waitingListId, { status: 'waiting', offerId: null });
-
-            // Try next customer
-            await this.sendOfferToNextCustomer(offer.businessId, offer.availableSlot);
-
+            await this.request(`/api/waiting-list/offers/${encodeURIComponent(offerToken)}/decline`, { method: 'POST' });
             console.log('Offer rejected, trying next customer');
         } catch (error) {
             console.error('Failed to reject offer:', error);
@@ -251,212 +232,25 @@ class WaitingListSystem {
         }
     }
 
-    // ========================================
-    // DATABASE OPERATIONS
-    // ========================================
-
-    /**
-     * Add to business waiting list
-     */
-    async addToBusinessWaitingList(businessId, waitingListEntry) {
-        const businessWaitingList = JSON.parse(localStorage.getItem(`businessWaitingList_${businessId}`) || '[]');
-        businessWaitingList.push(waitingListEntry);
-        localStorage.setItem(`businessWaitingList_${businessId}`, JSON.stringify(businessWaitingList));
-    }
-
-    /**
-     * Add to customer waiting list
-     */
-    async addToCustomerWaitingList(customerId, waitingListEntry) {
-        const customerWaitingList = JSON.parse(localStorage.getItem(`customerWaitingList_${customerId}`) || '[]');
-        customerWaitingList.push(waitingListEntry);
-        localStorage.setItem(`customerWaitingList_${customerId}`, JSON.stringify(customerWaitingList));
-    }
-
-    /**
-     * Get business waiting list
-     */
-    async getBusinessWaitingList(businessId) {
-        const waitingList = JSON.parse(localStorage.getItem(`businessWaitingList_${businessId}`) || '[]');
-        return waitingList.filter(entry => entry.status === 'waiting').sort((a, b) => b.priority - a.priority);
-    }
-
-    /**
-     * Get customer waiting list
-     */
-    async getCustomerWaitingList(customerId) {
-        return JSON.parse(localStorage.getItem(`customerWaitingList_${customerId}`) || '[]');
-    }
-
-    /**
-     * Remove from business waiting list
-     */
-    async removeFromBusinessWaitingList(businessId, waitingListId) {
-        const businessWaitingList = JSON.parse(localStorage.getItem(`businessWaitingList_${businessId}`) || '[]');
-        const updatedList = businessWaitingList.filter(entry => entry.id !== waitingListId);
-        localStorage.setItem(`businessWaitingList_${businessId}`, JSON.stringify(updatedList));
-    }
-
-    /**
-     * Remove from customer waiting list
-     */
-    async removeFromCustomerWaitingList(customerId, waitingListId) {
-        const customerWaitingList = JSON.parse(localStorage.getItem(`customerWaitingList_${customerId}`) || '[]');
-        const updatedList = customerWaitingList.filter(entry => entry.id !== waitingListId);
-        localStorage.setItem(`customerWaitingList_${customerId}`, JSON.stringify(updatedList));
-    }
-
     // ========================================
     // HELPER METHODS
     // ========================================
 
-    /**
-     * Calculate customer priority
-     */
-    async calculatePriority(customerId, businessId) {
-        // Higher priority for:
-        // - Loyal customers (more bookings)
-        // - Recent bookings
-        // - Higher spending
-        const customerBookings = JSON.parse(localStorage.getItem(`customerBookings_${customerId}`) || '[]');
-        const businessBookings = customerBookings.filter(booking => booking.businessId === businessId);
-        
-        let priority = 0;
-        priority += businessBookings.length * 10; // 10 points per booking
-        priority += businessBookings.reduce((sum, booking) => sum + booking.totalAmount, 0) / 10; // 1 point per £10 spent
-        
-        return priority;
-    }
-
-    /**
-     * Create booking from offer
-     */
-    async createBookingFromOffer(offer) {
-        const waitingListEntry = await this.getWaitingListEntry(offer.waitingListId);
-        
-        const booking = {
-            id: `booking_${Date.now()}`,
-            customerId: offer.customerId,
-            businessId: offer.businessId,
-            serviceData: waitingListEntry.serviceData,
-            slot: offer.availableSlot,
-            status: 'confirmed',
-            source: 'waiting_list',
-            createdAt: new Date().toISOString()
-        };
-
-        // Save to both dashboards
-        await this.saveBookingToDashboards(booking);
-        
-        return booking;
-    }
-
-    /**
-     * Save booking to both dashboards
-     */
-    async saveBookingToDashboards(booking) {
-        // Save to customer bookings
-        const customerBookings = JSON.parse(localStorage.getItem(`customerBookings_${booking.customerId}`) || '[]');
-        customerBookings.push(booking);
-        localStorage.setItem(`customerBookings_${booking.customerId}`, JSON.stringify(customerBookings));
-
-        // Save to business bookings
-        const businessBookings = JSON.parse(localStorage.getItem(`businessBookings_${booking.businessId}`) || '[]');
-        businessBookings.push(booking);
-        localStorage.setItem(`businessBookings_${booking.businessId}`, JSON.stringify(businessBookings));
-    }
-
-    // ========================================
-    // NOTIFICATIONS
-    // ========================================
-
-    /**
-     * Send waiting list confirmation
-     */
-    async sendWaitingListConfirmation(customerId, businessId, serviceData) {
-        try {
-            const customer = await this.getCustomer(customerId);
-            const business = await this.getBusiness(businessId);
-            
-            await this.emailService.sendWaitingListConfirmation({
-                to: customer.email,
-                customerName: customer.firstName,
-                businessName: business.name,
-                serviceData: serviceData
-            });
-        } catch (error) {
-            console.error('Failed to send waiting list confirmation:', error);
-        }
-    }
-
-    /**
-     * Send offer notification
-     */
-    async sendOfferNotification(customerId, businessId, offer) {
-        try {
-            const customer = await this.getCustomer(customerId);
-            const business = await this.getBusiness(businessId);
-            
-            await this.emailService.sendOfferNotification({
-                to: customer.email,
-                customerName: customer.firstName,
-                businessName: business.name,
-                offer: offer
-            });
-        } catch (error) {
-            console.error('Failed to send offer notification:', error);
+    async request(path, { method = 'GET', body = null } = {}) {
+        const authToken = this.getAuthToken();
+        const response = await fetch(`${this.apiBase}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || result.message || 'Waiting list request failed');
         }
-    }
-
-    // ========================================
-    // MOCK DATA METHODS
-    // ========================================
-
-    async getCustomer(customerId) {
-        return {
-            id: customerId,
-            firstName: 'John',
-            email: 'john@example.com'
-        };
-    }
-
-    async getBusiness(businessId) {
-        return {
-            id: businessId,
-            name: 'Royal Hair Studio',
-            email: 'info@royalhairstudio.com'
-        };
-    }
-
-    async getWaitingListEntry(waitingListId) {
-        // Implementation would query database
-        return {
-            id: waitingListId,
-            customerId: 'customer_123',
-            businessId: 'business_456',
-            serviceData: { name: 'Haircut', price: 45 }
-        };
-    }
-
-    async getOffer(offerId) {
-        // Implementation would query database
-        return {
-            id: offerId,
-            customerId: 'customer_123',
-            businessId: 'business_456',
-            status: 'pending',
-            expiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000)
-        };
-    }
-
-    async updateWaitingListEntry(waitingListId, updates) {
-        // Implementation would update database
-        console.log('Updated waiting list entry:', waitingListId, updates);
-    }
-
-    async updateOfferStatus(offerId, status) {
-        // Implementation would update database
-        console.log('Updated offer status:', offerId, status);
+        return result;
     }
 }
 
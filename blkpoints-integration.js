@@ -370,15 +370,18 @@ async function getUserBlkPointsStatus(userId, db) {
 
 /**
  * sendLoyaltyEmail()
- * Only sends marketing emails to opted-in users; transactional always sent
+ * Checks the user's notification preferences (notification-preferences.js):
+ * marketing emails need marketing turned on, the rest loyalty emails
  * Now uses Handlebars templates for consistent rendering
  */
 async function sendLoyaltyEmail(userId, subject, bodyTemplateName, data = {}, type = 'transactional', emailService, db) {
   const user = await db.users.findUnique({ where: { id: userId } });
   if (!user || !user.email) return;
 
-  if (type === 'marketing' && !user.marketing_opt_in) {
-    console.log(`❌  ${user.email} opted out of marketing – email skipped`);
+  const NotificationPreferences = require('./notification-preferences');
+  const category = type === 'marketing' ? 'marketing' : 'loyalty';
+  if (!NotificationPreferences.isAllowed(NotificationPreferences.preferencesFor(user), 'email', category)) {
+    console.log(`❌  ${user.email} turned off ${category} emails – email skipped`);
     return;
   }
 
@@ -0,0 +1,296 @@
+// Cancellation policy engine for BlkPages
+//
+// One evaluator shared by the backend refund path (backend/stripe-refund-api.js),
+// the customer refund UI (js/refund-flow.js) and the eligibility helper in
+// utils.js, so all three always agree on what a cancellation costs.
+//
+// A policy is a list of tiers ordered by notice given. The first tier whose
+// `minHoursBefore` the cancellation meets decides the refund percentage and
+// any fixed fee. A deposit can be forfeited inside a notice window, and
+// no-shows have their own rule. Bookings made in deposit mode carry a
+// non-refundable deposit: it is always kept and the tiers apply to the rest.
+
+/**
+ * Built-in policies a business can pick instead of writing its own tiers
+ */
+const PRESET_POLICIES = {
+    flexible: {
+        type: 'flexible',
+        name: 'Flexible',
+        allowCancellation: true,
+        tiers: [
+            { minHoursBefore: 24, refundPercent: 100, fee: 0 },
+            { minHoursBefore: 0, refundPercent: 0, fee: 0 }
+        ],
+        deposit: { forfeitWithinHours: null },
+        noShow: { refundPercent: 0, fee: 0 }
+    },
+    moderate: {
+        type: 'moderate',
+        name: 'Moderate',
+        allowCancellation: true,
+        tiers: [
+            { minHoursBefore: 48, refundPercent: 100, fee: 0 },
+            { minHoursBefore: 0, refundPercent: 50, fee: 0 }
+        ],
+        deposit: { forfeitWithinHours: null },
+        noShow: { refundPercent: 0, fee: 0 }
+    },
+    strict: {
+        type: 'strict',
+        name: 'Strict',
+        allowCancellation: true,
+        tiers: [
+            { minHoursBefore: 0, refundPercent: 0, fee: 0 }
+        ],
+        deposit: { forfeitWithinHours: null },
+        noShow: { refundPercent: 0, fee: 0 }
+    },
+    'non-refundable': {
+        type: 'non-refundable',
+        name: 'Non-Refundable',
+        allowCancellation: false,
+        tiers: [],
+        deposit: { forfeitWithinHours: null },
+        noShow: { refundPercent: 0, fee: 0 }
+    }
+};
+
+// The preset a new business starts on
+const DEFAULT_POLICY = 'moderate';
+
+// A missing policy, or one naming a preset that does not exist, refunds nothing,
+// the same as before the tiered engine. Stored policies carry their tiers
+// (migration 29), so this only catches bad data.
+const FALLBACK_POLICY = {
+    type: 'unknown',
+    name: 'No refund',
+    allowCancellation: true,
+    tiers: [{ minHoursBefore: 0, refundPercent: 0, fee: 0 }],
+    deposit: { forfeitWithinHours: null },
+    noShow: { refundPercent: 0, fee: 0 }
+};
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function toNumber(value, fallback = 0) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Turn a preset name or a stored policy object into a complete policy
+ * @param {string|Object} policy - Preset name ("moderate") or policy object
+ * @returns {Object} Policy with tiers sorted from most to least notice (no refund if unknown)
+ */
+function normalizePolicy(policy) {
+    if (!policy) return normalizePolicy(FALLBACK_POLICY);
+
+    if (typeof policy === 'string') {
+        return normalizePolicy(PRESET_POLICIES[policy] || FALLBACK_POLICY);
+    }
+
+    // A preset reference without tiers picks up the preset's rules
+    if (!Array.isArray(policy.tiers)) {
+        const preset = PRESET_POLICIES[policy.type];
+        return preset
+            ? normalizePolicy({ ...preset, ...policy, tiers: preset.tiers })
+            : normalizePolicy(FALLBACK_POLICY);
+    }
+
+    const tiers = (policy.tiers || [])
+        .map(tier => ({
+            minHoursBefore: Math.max(0, toNumber(tier.minHoursBefore)),
+            refundPercent: Math.min(100, Math.max(0, toNumber(tier.refundPercent))),
+            fee: Math.max(0, toNumber(tier.fee))
+        }))
+        .sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+
+    return {
+        type: policy.type || 'custom',
+        name: policy.name || 'Custom',
+        allowCancellation: policy.allowCancellation !== false,
+        tiers,
+        deposit: {
+            forfeitWithinHours: policy.deposit?.forfeitWithinHours ?? null
+        },
+        noShow: {
+            refundPercent: Math.min(100, Math.max(0, toNumber(policy.noShow?.refundPercent))),
+            fee: Math.max(0, toNumber(policy.noShow?.fee))
+        }
+    };
+}
+
+/**
+ * Check a policy a business is about to save
+ * @param {Object} policy - Policy object
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validatePolicy(policy) {
+    const errors = [];
+    if (!policy || typeof policy !== 'object') {
+        return ['Policy is required'];
+    }
+
+    if (PRESET_POLICIES[policy.type] && !Array.isArray(policy.tiers)) {
+        return errors;
+    }
+
+    const tiers = policy.tiers || [];
+    if (policy.allowCancellation !== false && tiers.length === 0) {
+        errors.push('Add at least one tier, or turn off cancellations');
+    }
+
+    const seen = new Set();
+    tiers.forEach((tier, index) => {
+        const label = `Tier ${index + 1}`;
+        const hours = Number(tier.minHoursBefore);
+        const percent = Number(tier.refundPercent);
+        const fee = Number(tier.fee || 0);
+
+        if (!Number.isFinite(hours) || hours < 0) errors.push(`${label}: hours before must be 0 or more`);
+        if (!Number.isFinite(percent) || percent < 0 || percent > 100) errors.push(`${label}: refund must be between 0 and 100%`);
+        if (!Number.isFinite(fee) || fee < 0) errors.push(`${label}: fee cannot be negative`);
+        if (seen.has(hours)) errors.push(`${label}: another tier already starts at ${hours} hours`);
+        seen.add(hours);
+    });
+
+    if (tiers.length && !tiers.some(tier => Number(tier.minHoursBefore) === 0)) {
+        errors.push('Add a tier starting at 0 hours so late cancellations are covered');
+    }
+
+    const forfeit = policy.deposit?.forfeitWithinHours;
+    if (forfeit !== null && forfeit !== undefined && forfeit !== '' && (!Number.isFinite(Number(forfeit)) || Number(forfeit) < 0)) {
+        errors.push('Deposit forfeit window must be 0 hours or more');
+    }
+
+    const noShowPercent = Number(policy.noShow?.refundPercent || 0);
+    if (noShowPercent < 0 || noShowPercent > 100) {
+        errors.push('No-show refund must be between 0 and 100%');
+    }
+
+    return errors;
+}
+
+/**
+ * Work out what cancelling (or not showing up to) a booking costs
+ * @param {string|Object} policy - Preset name or policy object
+ * @param {Object} booking - { amountPaid, depositAmount, depositRefundable, appointmentTime }
+ * @param {Object} options - { cancellationTime, noShow }
+ * @returns {Object} { canCancel, refundAmount, fee, depositForfeited, refundPercent, hoursUntilAppointment, reason }
+ */
+function evaluateCancellation(policy, booking, { cancellationTime = new Date(), noShow = false } = {}) {
+    const rules = normalizePolicy(policy);
+    const amountPaid = toNumber(booking.amountPaid);
+    const depositAmount = Math.min(amountPaid, toNumber(booking.depositAmount));
+    const depositNonRefundable = booking.depositRefundable === false && depositAmount > 0;
+    const hoursUntilAppointment = (new Date(booking.appointmentTime) - new Date(cancellationTime)) / (1000 * 60 * 60);
+
+    const result = (canCancel, reason, refundPercent = 0, fee = 0, depositForfeited = 0) => {
+        const refundBase = depositNonRefundable ? amountPaid - depositAmount : amountPaid;
+        const refundable = refundBase * refundPercent / 100 - fee;
+        const refundAmount = roundMoney(Math.max(0, Math.min(refundable, amountPaid - depositForfeited)));
+        return {
+            canCancel,
+            refundAmount,
+            fee: roundMoney(Math.min(fee, amountPaid)),
+            depositForfeited: roundMoney(depositForfeited),
+            refundPercent,
+            hoursUntilAppointment,
+            reason,
+            policy: rules
+        };
+    };
+
+    if (noShow) {
+        return result(false, 'No-show', rules.noShow.refundPercent, rules.noShow.fee, depositAmount);
+    }
+
+    if (hoursUntilAppointment < 0) {
+        return result(false, 'Booking is in the past');
+    }
+
+    if (!rules.allowCancellation) {
+        return result(false, 'Business does not allow cancellations');
+    }
+
+    const tier = rules.tiers.find(t => hoursUntilAppointment >= t.minHoursBefore);
+    if (!tier) {
+        return result(true, 'Outside every refund tier');
+    }
+
+    const forfeitWithin = rules.deposit.forfeitWithinHours;
+    const withinForfeitWindow = forfeitWithin !== null && forfeitWithin !== '' && hoursUntilAppointment < Number(forfeitWithin);
+    const depositForfeited = depositNonRefundable || withinForfeitWindow ? depositAmount : 0;
+
+    let reason;
+    if (tier.refundPercent === 100 && !tier.fee && !depositForfeited) {
+        reason = 'Free cancellation';
+    } else if (tier.refundPercent === 100 && !tier.fee && depositNonRefundable) {
+        reason = 'Full refund less the non-refundable deposit';
+    } else if (tier.refundPercent === 0) {
+        reason = 'Too close to booking time for a refund';
+    } else {
+        reason = 'Within partial refund window';
+    }
+
+    return result(true, reason, tier.refundPercent, tier.fee, depositForfeited);
+}
+
+/**
+ * Plain-English lines describing a policy, for customers and the settings preview
+ * @param {string|Object} policy - Preset name or policy object
+ * @returns {Array<string>} One line per rule
+ */
+function describePolicy(policy) {
+    const rules = normalizePolicy(policy);
+    if (!rules.allowCancellation) {
+        return ['Bookings cannot be cancelled or refunded.'];
+    }
+
+    const lines = rules.tiers.map((tier, index) => {
+        const previous = rules.tiers[index - 1];
+        let when;
+        if (!previous) {
+            when = tier.minHoursBefore === 0 ? 'Any time' : `${tier.minHoursBefore}+ hours before`;
+        } else if (tier.minHoursBefore === 0) {
+            when = `Less than ${previous.minHoursBefore} hours before`;
+        } else {
+            when = `${tier.minHoursBefore}–${previous.minHoursBefore} hours before`;
+        }
+        const refund = tier.refundPercent === 100 ? 'full refund'
+            : tier.refundPercent === 0 ? 'no refund'
+            : `${tier.refundPercent}% refund`;
+        const fee = tier.fee ? `, less a £${tier.fee.toFixed(2)} fee` : '';
+        return `${when}: ${refund}${fee}`;
+    });
+
+    if (rules.deposit.forfeitWithinHours !== null && rules.deposit.forfeitWithinHours !== '') {
+        lines.push(`Deposits are kept for cancellations within ${rules.deposit.forfeitWithinHours} hours`);
+    }
+
+    const noShowRefund = rules.noShow.refundPercent ? `${rules.noShow.refundPercent}% refund` : 'no refund';
+    const noShowFee = rules.noShow.fee ? `, less a £${rules.noShow.fee.toFixed(2)} fee` : '';
+    lines.push(`No-shows: ${noShowRefund}${noShowFee}`);
+
+    return lines;
+}
+
+const CancellationPolicy = {
+    PRESET_POLICIES,
+    DEFAULT_POLICY,
+    normalizePolicy,
+    validatePolicy,
+    evaluateCancellation,
+    describePolicy
+};
+
+// Export for Node (backend, utils.js) and the browser (refund flow, dashboards)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CancellationPolicy;
+}
+if (typeof window !== 'undefined') {
+    window.CancellationPolicy = CancellationPolicy;
+}
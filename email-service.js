@@ -6,6 +6,8 @@
 const fs = require('fs');
 const path = require('path');
 const handlebars = require('handlebars');
+const NotificationPreferences = require('./notification-preferences');
+const UnsubscribeToken = require('./unsubscribe-token');
 
 // ===============================================
 // 📧 Email Template Service
@@ -65,10 +67,9 @@ class EmailService {
       subject,
       logo_url: `${this.baseUrl}/assets/logo-email.png`,
       dashboard_url: `${this.baseUrl}/dashboard/loyalty`,
-      settings_url: `${this.baseUrl}/settings`,
-      unsubscribe_url: user.unsubscribe_token 
-        ? `${this.baseUrl}/u/unsub?token=${encodeURIComponent(user.unsubscribe_token)}`
-        : `${this.baseUrl}/settings/unsubscribe`
+      settings_url: `${this.baseUrl}/notification-preferences.html`,
+      // Signed one-click link for non-transactional emails (see sendLoyaltyEmail); none for transactional
+      unsubscribe_url: data.unsubscribe_url || null
     };
 
     // Render body partial
@@ -84,9 +85,18 @@ class EmailService {
   }
 
   /**
-   * Send email using configured transport
+   * Send email using configured transport.
+   * options.category (booking, loyalty, marketing, ...) with options.preferences
+   * (the recipient's notification preferences) skips emails they have turned off.
+   * @returns {Promise<boolean>} false when skipped
    */
   async sendEmail(to, subject, html, options = {}) {
+    const { category = null, preferences = null, ...mailOptions } = options;
+    if (!NotificationPreferences.isAllowed(preferences, 'email', category)) {
+      console.log(`❌ ${to} turned off ${category} emails – email skipped`);
+      return false;
+    }
+
     // This is a mock implementation
     // Replace with your actual email service (SendGrid, Nodemailer, etc.)
     console.log(`📧 Email sent to ${to}: ${subject}`);
@@ -108,9 +118,10 @@ class EmailService {
       to,
       subject,
       html,
-      ...options
+      ...mailOptions
     });
     */
+    return true;
   }
 }
 
@@ -127,25 +138,38 @@ async function sendLoyaltyEmail(user, subject, bodyTemplateName, data = {}, emai
     return;
   }
 
-  // Check marketing opt-in for marketing emails
-  const isMarketing = ['referral-promo', 'expiry-warning'].includes(bodyTemplateName);
-  if (isMarketing && !user.marketing_opt_in) {
-    console.log(`❌ ${user.email} opted out of marketing – email skipped`);
+  // Marketing templates need marketing opted in; the rest are loyalty emails
+  const category = NotificationPreferences.categoryFor(bodyTemplateName) || 'loyalty';
+  const preferences = NotificationPreferences.preferencesFor(user);
+  if (!NotificationPreferences.isAllowed(preferences, 'email', category)) {
+    console.log(`❌ ${user.email} turned off ${category} emails – email skipped`);
     return;
   }
 
   try {
+    // Signed unsubscribe link for this category, in the footer and the List-Unsubscribe headers
+    const unsubscribe = UnsubscribeToken.unsubscribeLinks({
+      recipientType: 'customer',
+      recipientId: user.id,
+      channel: 'email',
+      category
+    }, emailService.baseUrl);
+
     // Render email with Handlebars
-    const html = emailService.renderEmail(user, subject, bodyTemplateName, data);
+    const html = emailService.renderEmail(user, subject, bodyTemplateName, {
+      ...data,
+      category_label: NotificationPreferences.CATEGORY_LABELS[category],
+      unsubscribe_url: unsubscribe?.url
+    });
     
     // Send email
     await emailService.sendEmail(user.email, subject, html, {
-      headers: isMarketing && user.unsubscribe_token ? {
-        'List-Unsubscribe': `<${emailService.baseUrl}/u/unsub?token=${encodeURIComponent(user.unsubscribe_token)}>`
-      } : undefined
+      category,
+      preferences,
+      headers: unsubscribe?.headers
     });
 
-    console.log(`✅ Sent ${isMarketing ? 'marketing' : 'transactional'} email to ${user.email}`);
+    console.log(`✅ Sent ${category} email to ${user.email}`);
   } catch (error) {
     console.error(`❌ Failed to send email to ${user.email}:`, error);
   }
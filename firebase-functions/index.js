@@ -1,6 +1,7 @@
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
 const Stripe = require("stripe");
+const crypto = require("crypto");
 
 admin.initializeApp();
 const db = admin.firestore();
@@ -8,16 +9,140 @@ const stripe = new Stripe(functions.config().stripe.secret, { apiVersion: "2024-
 const nodemailer = require("nodemailer");
 const { Parser } = require("json2csv");
 
+// Booking API (Postgres) holds the slot reservations made during checkout
+const bookingApi = functions.config().booking_api || {};
+
+/**
+ * POST to the booking API's reservation endpoints (slot holds and group holds).
+ * Throws an HttpsError the client can show if the hold is no longer valid.
+ */
+async function callReservationApi(path, body, { method = "POST" } = {}) {
+  if (!bookingApi.url) {
+    throw new functions.https.HttpsError("failed-precondition", "Booking API is not configured");
+  }
+
+  const res = await fetch(`${bookingApi.url}/api/${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", "x-internal-key": bookingApi.key || "" },
+    body: method === "GET" ? undefined : JSON.stringify(body)
+  });
+  const json = await res.json().catch(() => ({}));
+
+  if (!res.ok) {
+    throw new functions.https.HttpsError("failed-precondition", json.error || "Your reserved time is no longer held");
+  }
+  return json;
+}
+
+function callSlotHoldApi(holdId, action, body) {
+  return callReservationApi(`holds/${encodeURIComponent(holdId)}/${action}`, body);
+}
+
+// A group hold covers every attendee; converting it makes one booking each
+function callGroupApi(groupId, action, body) {
+  return callReservationApi(`groups/${encodeURIComponent(groupId)}/${action}`, body);
+}
+
+/**
+ * Repeat a just-paid booking every N weeks. Later visits are charged to the
+ * saved card before each one, so a failure here never undoes the payment.
+ */
+async function createBookingSeries(backendBookingId, repeat) {
+  const res = await fetch(`${bookingApi.url}/api/series`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-internal-key": bookingApi.key || "" },
+    body: JSON.stringify({ bookingId: backendBookingId, ...repeat })
+  });
+  const json = await res.json().catch(() => ({}));
+  return res.ok ? json : { success: false, error: json.error || "Could not set up the repeat bookings" };
+}
+
+/**
+ * Stripe customer for a signed-in user, created on first checkout.
+ * Cards are saved against it so a business can charge a no-show fee later.
+ */
+async function getOrCreateStripeCustomer(uid, user, email) {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await stripe.customers.create({ email: email || undefined, metadata: { uid } });
+  await db.collection("users").doc(uid).set({ stripeCustomerId: customer.id }, { merge: true });
+  return customer.id;
+}
+
+/**
+ * Take the BlkPoints a PaymentIntent was discounted by (metadata.pointsUsed), once.
+ * The pointRedemptions doc keyed by the PaymentIntent is written in the same
+ * transaction as the deduction, so retried finalizeBooking calls and the
+ * payment_intent.succeeded webhook never take the points twice.
+ * Returns { redeemed, points }; redeemed is false if they were already taken.
+ * Throws "failed-precondition" if the customer no longer has the points.
+ */
+async function redeemCheckoutPoints(paymentIntent) {
+  const metadata = paymentIntent.metadata || {};
+  const points = parseInt(metadata.pointsUsed) || 0;
+  if (!points) return { redeemed: false, points: 0 };
+
+  const redemptionRef = db.collection("pointRedemptions").doc(paymentIntent.id);
+  const userRef = db.collection("users").doc(metadata.uid);
+  return db.runTransaction(async (tx) => {
+    const redemption = await tx.get(redemptionRef);
+    const snap = await tx.get(userRef);
+    if (redemption.exists) return { redeemed: false, points };
+
+    const have = (snap.exists && snap.data().points) || 0;
+    if (points > have) throw new functions.https.HttpsError("failed-precondition", "Insufficient points");
+    tx.update(userRef, { points: have - points });
+    tx.set(redemptionRef, {
+      uid: metadata.uid,
+      points,
+      status: "redeemed",
+      redeemedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { redeemed: true, points };
+  });
+}
+
+/**
+ * Give back the points taken for a PaymentIntent, once (its payment was refunded
+ * because the booking could not be made).
+ * Returns { restored, points }.
+ */
+async function restoreCheckoutPoints(paymentIntentId) {
+  const redemptionRef = db.collection("pointRedemptions").doc(paymentIntentId);
+  return db.runTransaction(async (tx) => {
+    const redemption = await tx.get(redemptionRef);
+    if (!redemption.exists || redemption.data().status !== "redeemed") return { restored: false, points: 0 };
+
+    const { uid, points } = redemption.data();
+    tx.update(db.collection("users").doc(uid), { points: admin.firestore.FieldValue.increment(points) });
+    tx.update(redemptionRef, { status: "restored", restoredAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { restored: true, points };
+  });
+}
+
+// Requests from the booking API carry the same shared key it expects from us
+function isInternalRequest(req) {
+  const given = Buffer.from(String(req.get("x-internal-key") || ""));
+  const expected = Buffer.from(String(bookingApi.key || ""));
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
 /**
  * Create a PaymentIntent for the amount AFTER points.
  * Callable from client.
- * data: { bookingId, amountGBP, pointsUsed, currency="gbp" }
+ * data: { bookingId, holdId, groupId, amountGBP, pointsUsed, paymentType="full", currency="gbp" }
+ * If a slot hold (or a group's holds) is supplied it is extended for the payment;
+ * if it has already lapsed the PaymentIntent is cancelled so nothing is charged.
+ * A group organiser pays for everyone, or only their own place with split payment.
+ * For services in deposit mode the hold quotes a deposit and only that is
+ * charged here; the balance is a separate PaymentIntent after the appointment.
+ * The card is saved off-session for the business's no-show fee.
  */
 exports.createPaymentIntent = functions.https.onCall(async (data, context) => {
   if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Sign in required");
   const uid = context.auth.uid;
 
-  const { bookingId, amountGBP, pointsUsed = 0, currency = "gbp" } = data;
+  const { bookingId, holdId, groupId, amountGBP, pointsUsed = 0, paymentType = "full", currency = "gbp" } = data;
   if (typeof amountGBP !== "number" || amountGBP <= 0) {
     throw new functions.https.HttpsError("invalid-argument", "amountGBP must be > 0");
   }
@@ -31,44 +156,185 @@ exports.createPaymentIntent = functions.https.onCall(async (data, context) => {
   }
 
   const amountInPence = Math.round(amountGBP * 100);
+  const stripeCustomerId = await getOrCreateStripeCustomer(uid, user, context.auth.token.email);
 
   const paymentIntent = await stripe.paymentIntents.create({
     amount: amountInPence,
     currency,
+    customer: stripeCustomerId,
+    setup_future_usage: "off_session",
     automatic_payment_methods: { enabled: true },
     metadata: {
       uid,
       bookingId: bookingId || "",
-      pointsUsed: String(pointsUsed)
+      holdId: holdId || "",
+      groupId: groupId ? String(groupId) : "",
+      pointsUsed: String(pointsUsed),
+      paymentType: paymentType === "deposit" ? "deposit" : "full"
     }
   });
 
+  if (holdId || groupId) {
+    try {
+      const hold = groupId
+        ? await callGroupApi(groupId, "extend", { paymentIntentId: paymentIntent.id })
+        : await callSlotHoldApi(holdId, "extend", { paymentIntentId: paymentIntent.id });
+
+      // The hold says what is due now (deposit or full price); points can only reduce it
+      const expected = Math.max(hold.amountDue - pointsUsed * 0.01, 0);
+      if (Math.abs(expected - amountGBP) > 0.01) {
+        throw new functions.https.HttpsError("invalid-argument", "Amount does not match the booking. Please refresh and try again.");
+      }
+
+      return {
+        clientSecret: paymentIntent.client_secret,
+        holdExpiresAt: hold.expiresAt,
+        depositAmount: hold.depositAmount,
+        balanceDue: hold.balanceDue
+      };
+    } catch (err) {
+      await stripe.paymentIntents.cancel(paymentIntent.id);
+      throw err;
+    }
+  }
+
   return { clientSecret: paymentIntent.client_secret };
 });
 
 /**
- * Finalize: deduct points, mark booking paid.
- * data: { bookingId, pointsUsed }
+ * Finalize: check the payment, deduct points, convert the slot hold, mark booking paid.
+ * A multi-service hold becomes one backend booking per service on this one payment,
+ * and a group hold one backend booking per attendee. With split payment the
+ * result carries payLinks for the attendees who still owe their share.
+ * data: { bookingId, holdId, groupId, paymentIntentId, customerEmail, repeat }
+ * `repeat` ({ intervalWeeks, count } or { intervalWeeks, endsOn }) starts a recurring series.
+ * Points come from the PaymentIntent (set when it was created), not from the client.
+ * A payment that hasn't succeeded yet is left to the payment_intent.succeeded webhook.
  */
 exports.finalizeBooking = functions.https.onCall(async (data, context) => {
   if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Sign in required");
   const uid = context.auth.uid;
-  const { bookingId, pointsUsed = 0 } = data;
+  const { bookingId, holdId, groupId, paymentIntentId, customerEmail, repeat = null } = data;
+  if (!paymentIntentId) {
+    throw new functions.https.HttpsError("invalid-argument", "paymentIntentId is required");
+  }
 
-  const userRef = db.collection("users").doc(uid);
-  await db.runTransaction(async (tx) => {
-    const snap = await tx.get(userRef);
-    const current = snap.exists ? snap.data() : {};
-    const have = current.points || 0;
-    if (pointsUsed > have) throw new functions.https.HttpsError("failed-precondition", "Insufficient points");
-    tx.update(userRef, { points: have - pointsUsed });
-    if (bookingId) {
-      const bRef = db.collection("bookings").doc(bookingId);
-      tx.set(bRef, { status: "paid", pointsUsed, paidAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+  // What was actually collected; BlkPoints are later earned on this, not the list price
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  const metadata = paymentIntent.metadata || {};
+  if (metadata.uid !== uid ||
+      (holdId && metadata.holdId !== holdId) ||
+      (groupId && metadata.groupId !== String(groupId))) {
+    throw new functions.https.HttpsError("permission-denied", "This payment is not for this booking");
+  }
+  if (paymentIntent.status !== "succeeded") {
+    throw new functions.https.HttpsError("failed-precondition", "Payment has not completed yet. Your booking will be confirmed as soon as it does.");
+  }
+  const amountPaid = paymentIntent.amount_received / 100;
+  const pointsUsed = parseInt(metadata.pointsUsed) || 0;
+
+  // The hold says what is due now (deposit or full price); the payment must cover it less points
+  if (holdId || groupId) {
+    const hold = groupId
+      ? await callReservationApi(`groups/${encodeURIComponent(groupId)}/amount-due`, null, { method: "GET" })
+      : await callReservationApi(`holds/${encodeURIComponent(holdId)}`, null, { method: "GET" });
+    const expectedPence = Math.round(Math.max(hold.amountDue - pointsUsed * 0.01, 0) * 100);
+    if (paymentIntent.amount_received < expectedPence) {
+      throw new functions.https.HttpsError("failed-precondition", "Payment does not cover the booking");
     }
-  });
+  }
 
-  return { ok: true };
+  // Points first, so a booking is never confirmed on points the customer doesn't have
+  await redeemCheckoutPoints(paymentIntent);
+
+  // Turn the reservation into a real booking (one per service for a basket)
+  let confirmedBooking = null;
+  let lineItems = [];
+  let payLinks = [];
+  const payment = {
+    paymentIntentId,
+    customerEmail,
+    amountPaid,
+    stripeCustomerId: paymentIntent.customer,
+    paymentMethodId: paymentIntent.payment_method
+  };
+  // If this fails the points stay taken: the webhook converts the payment, or
+  // refunds it and gives them back (checkoutPoints)
+  if (groupId) {
+    const converted = await callGroupApi(groupId, "convert", payment);
+    confirmedBooking = converted.bookings[0];
+    lineItems = converted.bookings;
+    payLinks = converted.payLinks || [];
+  } else if (holdId) {
+    const converted = await callSlotHoldApi(holdId, "convert", payment);
+    confirmedBooking = converted.booking;
+    lineItems = converted.bookings || [converted.booking];
+  }
+  const paymentType = lineItems.some(line => line.payment_mode === "deposit") ? "deposit" : "full";
+  const balanceDue = lineItems
+    .filter(line => line.balance_status === "due")
+    .reduce((sum, line) => sum + Number(line.total_amount) - Number(line.deposit_amount), 0);
+
+  if (bookingId) {
+    await db.collection("bookings").doc(bookingId).set({
+      status: paymentType === "deposit" ? "deposit_paid" : "paid",
+      paymentType,
+      amountPaid,
+      balanceDue: Math.round(balanceDue * 100) / 100,
+      pointsUsed,
+      holdId: holdId || null,
+      groupId: groupId || null,
+      backendBookingId: confirmedBooking ? confirmedBooking.id : null,
+      backendBookingIds: lineItems.map(line => line.id),
+      paidAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+
+  const series = repeat && confirmedBooking && !groupId
+    ? await createBookingSeries(confirmedBooking.id, repeat)
+    : null;
+
+  return {
+    ok: true,
+    backendBookingId: confirmedBooking ? confirmedBooking.id : null,
+    backendBookingIds: lineItems.map(line => line.id),
+    paymentType,
+    series,
+    payLinks
+  };
+});
+
+/**
+ * BlkPoints for checkouts the booking API's payment_intent.succeeded webhook
+ * confirms without finalizeBooking. Called with the shared x-internal-key.
+ * body: { paymentIntentId, action: "redeem" | "restore" }
+ * "redeem" takes the PaymentIntent's points unless finalizeBooking already did
+ * (409 if the customer no longer has them); "restore" gives them back when the
+ * payment was refunded because the booking could not be made.
+ */
+exports.checkoutPoints = functions.https.onRequest(async (req, res) => {
+  if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
+  if (!isInternalRequest(req)) return res.status(403).json({ error: "Access denied: internal only" });
+
+  const { paymentIntentId, action } = req.body || {};
+  if (!paymentIntentId || !["redeem", "restore"].includes(action)) {
+    return res.status(400).json({ error: "paymentIntentId and action (redeem or restore) are required" });
+  }
+
+  try {
+    if (action === "restore") return res.json(await restoreCheckoutPoints(paymentIntentId));
+
+    // Points and owner come from Stripe, not the caller
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    if (paymentIntent.status !== "succeeded") {
+      return res.status(409).json({ error: "Payment has not completed" });
+    }
+    return res.json(await redeemCheckoutPoints(paymentIntent));
+  } catch (err) {
+    if (err instanceof functions.https.HttpsError) return res.status(409).json({ error: err.message });
+    console.error(`Checkout points ${action} for ${paymentIntentId} failed:`, err);
+    return res.status(500).json({ error: "Could not update BlkPoints" });
+  }
 });
 
 /**
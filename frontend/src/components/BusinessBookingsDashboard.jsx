@@ -15,10 +15,15 @@ export default function BusinessBookingsDashboard() {
     });
     const [services, setServices] = useState([]);
     const [bookings, setBookings] = useState([]);
+    const [reliability, setReliability] = useState({});
     const [activeTab, setActiveTab] = useState('pending');
+    const [viewMode, setViewMode] = useState('list');
+    const [calendarDate, setCalendarDate] = useState(new Date().toISOString().slice(0, 10));
+    const [staffCalendar, setStaffCalendar] = useState({ staff: [], unassigned: [] });
     const [showCreateForm, setShowCreateForm] = useState(false);
     const [newBooking, setNewBooking] = useState({
         serviceId: '',
+        staffId: 'any',
         customer: { name: '', phone: '', email: '' },
         startISO: '',
         notes: ''
@@ -49,11 +54,34 @@ export default function BusinessBookingsDashboard() {
             const res = await fetch(`/api/bookings/list?businessId=${businessId}&status=${status}`);
             const data = await res.json();
             setBookings(data);
+            fetchReliability(data);
         } catch (error) {
             console.error('Error fetching bookings:', error);
         }
     };
 
+    const fetchReliability = async (list) => {
+        const ids = [...new Set(list.map(b => b.customerId).filter(Boolean))];
+        if (ids.length === 0) return;
+        try {
+            const res = await fetch(`/api/businesses/${businessId}/customers/reliability?ids=${ids.join(',')}`);
+            const data = await res.json();
+            setReliability(data.reliability || {});
+        } catch (error) {
+            console.error('Error fetching customer reliability:', error);
+        }
+    };
+
+    const fetchStaffCalendar = async (date) => {
+        try {
+            const res = await fetch(`/api/businesses/${businessId}/staff-calendar?from=${date}&to=${date}`);
+            const data = await res.json();
+            setStaffCalendar(data);
+        } catch (error) {
+            console.error('Error fetching staff calendar:', error);
+        }
+    };
+
     const createBooking = async (e) => {
         e.preventDefault();
         try {
@@ -70,6 +98,7 @@ export default function BusinessBookingsDashboard() {
                 setShowCreateForm(false);
                 setNewBooking({
                     serviceId: '',
+                    staffId: 'any',
                     customer: { name: '', phone: '', email: '' },
                     startISO: '',
                     notes: ''
@@ -120,12 +149,120 @@ export default function BusinessBookingsDashboard() {
         }
     };
 
+    const markBalancePaidInPerson = async (bookingId) => {
+        try {
+            const res = await fetch(`/api/businesses/${businessId}/bookings/${bookingId}/balance/paid-in-person`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            if (res.ok) {
+                fetchSummary();
+                fetchBookings(activeTab);
+            } else {
+                const data = await res.json();
+                alert(data.error || 'Failed to mark balance as paid');
+            }
+        } catch (error) {
+            console.error('Error marking balance paid:', error);
+        }
+    };
+
+    const markNoShow = async (booking) => {
+        // Blank = no fee; the saved card is only charged when an amount is entered
+        const fee = prompt('Mark as a no-show. No-show fee to charge to the saved card (leave blank for none):', '');
+        if (fee === null) return;
+
+        try {
+            const res = await fetch(`/api/businesses/${businessId}/bookings/${booking._id}/no-show`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ chargeFee: fee.trim() !== '', feeAmount: fee.trim() || null })
+            });
+            const data = await res.json();
+
+            if (!res.ok) {
+                alert(data.error || 'Failed to mark no-show');
+                return;
+            }
+            if (data.fee?.status === 'failed') {
+                alert(`Marked as a no-show, but the fee could not be charged: ${data.fee.reason || 'card declined'}`);
+            }
+            fetchSummary();
+            fetchBookings(activeTab);
+        } catch (error) {
+            console.error('Error marking no-show:', error);
+        }
+    };
+
+    const cancelSeries = async (seriesId) => {
+        try {
+            const res = await fetch(`/api/businesses/${businessId}/series/${seriesId}/cancel`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            if (res.ok) {
+                fetchSummary();
+                fetchBookings(activeTab);
+            } else {
+                const data = await res.json();
+                alert(data.error || 'Failed to cancel repeat bookings');
+            }
+        } catch (error) {
+            console.error('Error cancelling series:', error);
+        }
+    };
+
+    const canMarkNoShow = (booking) =>
+        ['confirmed', 'completed'].includes(booking.status) && new Date(booking.startISO) < new Date();
+
     useEffect(() => {
         fetchSummary();
         fetchServices();
         fetchBookings(activeTab);
     }, [businessId, activeTab]);
 
+    useEffect(() => {
+        // The manual booking form also needs the staff list
+        if (viewMode === 'staff' || showCreateForm) {
+            fetchStaffCalendar(calendarDate);
+        }
+    }, [businessId, viewMode, calendarDate, showCreateForm]);
+
+    const formatTime = (isoString) => {
+        return new Date(isoString).toLocaleTimeString('en-GB', {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const renderCalendarColumn = (key, title, colour, columnBookings, timeOff = []) => (
+        <div key={key} className="staff-column">
+            <div className="staff-column-header" style={{ borderColor: colour || '#95a5a6' }}>
+                {title}
+            </div>
+            {timeOff.length > 0 && (
+                <div className="staff-time-off">Off: {timeOff[0].reason || 'Holiday'}</div>
+            )}
+            {columnBookings.length === 0 ? (
+                <p className="no-bookings">No bookings</p>
+            ) : (
+                columnBookings.map(booking => (
+                    <div
+                        key={booking.id}
+                        className="calendar-booking"
+                        style={{ borderLeftColor: getStatusColor(booking.status) }}
+                    >
+                        <strong>{formatTime(booking.start_time)} – {formatTime(booking.end_time)}</strong>
+                        <div>{booking.service}</div>
+                        <small>{booking.customer_email}</small>
+                    </div>
+                ))
+            )}
+        </div>
+    );
+
     const formatDate = (isoString) => {
         return new Date(isoString).toLocaleDateString('en-GB', {
             day: '2-digit',
@@ -142,6 +279,9 @@ export default function BusinessBookingsDashboard() {
             case 'confirmed': return '#2ecc71';
             case 'completed': return '#3498db';
             case 'cancelled': return '#e74c3c';
+            case 'no_show': return '#8e44ad';
+            case 'scheduled': return '#1abc9c';
+            case 'awaiting_payment': return '#e67e22';
             default: return '#95a5a6';
         }
     };
@@ -178,6 +318,12 @@ export default function BusinessBookingsDashboard() {
                 >
                     {showCreateForm ? 'Cancel' : 'Create Manual Booking'}
                 </button>
+                <button
+                    className="btn btn-secondary"
+                    onClick={() => setViewMode(viewMode === 'list' ? 'staff' : 'list')}
+                >
+                    {viewMode === 'list' ? 'Staff Calendar' : 'Booking List'}
+                </button>
             </div>
 
             {/* Create Booking Form */}
@@ -201,6 +347,19 @@ export default function BusinessBookingsDashboard() {
                             </select>
                         </div>
                         
+                        <div className="form-group">
+                            <label>Staff Member</label>
+                            <select
+                                value={newBooking.staffId}
+                                onChange={(e) => setNewBooking({...newBooking, staffId: e.target.value})}
+                            >
+                                <option value="any">Any available</option>
+                                {staffCalendar.staff.map(member => (
+                                    <option key={member.id} value={member.id}>{member.name}</option>
+                                ))}
+                            </select>
+                        </div>
+
                         <div className="form-row">
                             <div className="form-group">
                                 <label>Customer Name</label>
@@ -269,6 +428,28 @@ export default function BusinessBookingsDashboard() {
                 </div>
             )}
 
+            {/* Per-Staff Calendar */}
+            {viewMode === 'staff' && (
+                <div className="staff-calendar">
+                    <div className="staff-calendar-toolbar">
+                        <label>Day</label>
+                        <input
+                            type="date"
+                            value={calendarDate}
+                            onChange={(e) => setCalendarDate(e.target.value)}
+                        />
+                    </div>
+                    <div className="staff-calendar-grid">
+                        {staffCalendar.staff.map(member =>
+                            renderCalendarColumn(member.id, member.name, member.colour, member.bookings, member.timeOff)
+                        )}
+                        {staffCalendar.unassigned.length > 0 &&
+                            renderCalendarColumn('unassigned', 'Unassigned', null, staffCalendar.unassigned)
+                        }
+                    </div>
+                </div>
+            )}
+
             {/* Booking Tabs */}
             <div className="booking-tabs">
                 <button 
@@ -295,6 +476,12 @@ export default function BusinessBookingsDashboard() {
                 >
                     Cancelled ({bookings.filter(b => b.status === 'cancelled').length})
                 </button>
+                <button 
+                    className={`tab ${activeTab === 'no_show' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('no_show')}
+                >
+                    No-shows ({bookings.filter(b => b.status === 'no_show').length})
+                </button>
             </div>
 
             {/* Bookings List */}
@@ -317,6 +504,14 @@ export default function BusinessBookingsDashboard() {
                                     <strong>{booking.customer.name}</strong>
                                     <br />
                                     <small>{booking.customer.phone}</small>
+                                    {reliability[booking.customerId] && (
+                                        <div
+                                            className={`reliability-badge ${reliability[booking.customerId].band}`}
+                                            title={`${reliability[booking.customerId].noShows} no-shows, ${reliability[booking.customerId].lateCancellations} late cancellations in the last 12 months`}
+                                        >
+                                            Reliability {reliability[booking.customerId].score}
+                                        </div>
+                                    )}
                                 </div>
                                 <div>
                                     {services.find(s => s._id === booking.serviceId)?.name || 'Unknown Service'}
@@ -332,7 +527,12 @@ export default function BusinessBookingsDashboard() {
                                         {booking.status}
                                     </span>
                                 </div>
-                                <div>£{booking.priceGBP}</div>
+                                <div>
+                                    £{booking.priceGBP}
+                                    {booking.balanceStatus === 'due' && (
+                                        <div className="balance-due">£{booking.balanceDue} balance due</div>
+                                    )}
+                                </div>
                                 <div className="actions">
                                     {booking.status === 'pending' && (
                                         <button 
@@ -353,6 +553,38 @@ export default function BusinessBookingsDashboard() {
                                             Cancel
                                         </button>
                                     )}
+                                    {booking.balanceStatus === 'due' && (
+                                        <button 
+                                            className="btn btn-sm btn-success"
+                                            onClick={() => {
+                                                if (confirm(`Mark the £${booking.balanceDue} balance as paid in person?`)) {
+                                                    markBalancePaidInPerson(booking._id);
+                                                }
+                                            }}
+                                        >
+                                            Paid in Person
+                                        </button>
+                                    )}
+                                    {booking.seriesId && booking.status === 'scheduled' && (
+                                        <button 
+                                            className="btn btn-sm btn-danger"
+                                            onClick={() => {
+                                                if (confirm('Stop this repeat booking? Unpaid visits will be released; paid visits stay booked.')) {
+                                                    cancelSeries(booking.seriesId);
+                                                }
+                                            }}
+                                        >
+                                            Stop Repeat
+                                        </button>
+                                    )}
+                                    {canMarkNoShow(booking) && (
+                                        <button 
+                                            className="btn btn-sm btn-danger"
+                                            onClick={() => markNoShow(booking)}
+                                        >
+                                            No-show
+                                        </button>
+                                    )}
                                 </div>
                             </div>
                         ))}
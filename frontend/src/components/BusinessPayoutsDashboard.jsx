@@ -6,9 +6,12 @@ const BusinessPayoutsDashboard = () => {
         total_earnings: 0,
         pending_payouts: 0,
         completed_payouts: 0,
-        last_payout_date: null
+        last_payout_date: null,
+        pending_amount: 0,
+        next_payout_date: null
     });
     const [payouts, setPayouts] = useState([]);
+    const [refunds, setRefunds] = useState([]);
     const [loading, setLoading] = useState(true);
     const [newPayoutsCount, setNewPayoutsCount] = useState(0);
     
@@ -21,10 +24,16 @@ const BusinessPayoutsDashboard = () => {
         return urlParams.get('businessId') || 'royal-hair-studio';
     }
 
+    // Payout endpoints are for the business owner only
+    const authHeaders = () => {
+        const token = localStorage.getItem('auth_token') || localStorage.getItem('authToken') || localStorage.getItem('token');
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    };
+
     // Fetch payout statistics
     const fetchStats = async () => {
         try {
-            const response = await fetch(`/api/businesses/${businessId}/payout-stats`);
+            const response = await fetch(`/api/businesses/${businessId}/payout-stats`, { headers: authHeaders() });
             const data = await response.json();
             setStats(data);
             
@@ -53,7 +62,7 @@ const BusinessPayoutsDashboard = () => {
     // Fetch payouts list
     const fetchPayouts = async () => {
         try {
-            const response = await fetch(`/api/businesses/${businessId}/payouts`);
+            const response = await fetch(`/api/businesses/${businessId}/payouts`, { headers: authHeaders() });
             const data = await response.json();
             setPayouts(data);
         } catch (error) {
@@ -61,10 +70,21 @@ const BusinessPayoutsDashboard = () => {
         }
     };
 
+    // Fetch refunds given on the business's bookings (they come off the next payout)
+    const fetchRefunds = async () => {
+        try {
+            const response = await fetch(`/api/businesses/${businessId}/refunds?limit=50`, { headers: authHeaders() });
+            const data = await response.json();
+            setRefunds(data);
+        } catch (error) {
+            console.error('Error fetching refunds:', error);
+        }
+    };
+
     // Fetch all data
     const fetchAllData = async () => {
         setLoading(true);
-        await Promise.all([fetchStats(), fetchPayouts()]);
+        await Promise.all([fetchStats(), fetchPayouts(), fetchRefunds()]);
         setLoading(false);
     };
 
@@ -128,6 +148,10 @@ const BusinessPayoutsDashboard = () => {
                 
                 // Show update notification
                 showPayoutUpdateNotification(data);
+            } else if (data.type === 'booking_refunded') {
+                // A refund lowers what the next payout will be
+                fetchRefunds();
+                fetchStats();
             }
         };
 
@@ -149,7 +173,7 @@ const BusinessPayoutsDashboard = () => {
         notification.innerHTML = `
             <div class="notification-content">
                 <strong>New Payout!</strong>
-                <p>£${payout.amount} payout via ${payout.method}</p>
+                <p>${formatCurrency(payout.amount)} payout via ${formatMethod(payout.method)}</p>
             </div>
         `;
         
@@ -203,14 +227,27 @@ const BusinessPayoutsDashboard = () => {
         }).format(amount);
     };
 
+    const formatMethod = (method) => (method === 'stripe_connect' ? 'Bank transfer (Stripe)' : method);
+
+    // Payout statuses from the payout batch: processing, paid, failed, reversed
+    const statusLabels = { processing: 'Pending', paid: 'Completed', failed: 'Failed', reversed: 'Reversed' };
+
+    // Refund statuses from the refund ledger: pending, succeeded, failed, canceled
+    const refundStatusLabels = { pending: 'Pending', succeeded: 'Refunded', failed: 'Failed', canceled: 'Cancelled' };
+    const refundActorLabels = { admin: 'BlkPages support', business: 'You', customer: 'Customer cancellation', system: 'BlkPages', stripe: 'Stripe dashboard' };
+
     // Get status badge class
     const getStatusBadgeClass = (status) => {
         switch (status) {
-            case 'Completed':
+            case 'paid':
+            case 'succeeded':
                 return 'status-badge completed';
-            case 'Pending':
+            case 'processing':
+            case 'pending':
                 return 'status-badge pending';
-            case 'Failed':
+            case 'failed':
+            case 'reversed':
+            case 'canceled':
                 return 'status-badge failed';
             default:
                 return 'status-badge';
@@ -260,8 +297,8 @@ const BusinessPayoutsDashboard = () => {
                 <div className="stat-card">
                     <div className="stat-icon">⏳</div>
                     <div className="stat-content">
-                        <h3>{stats.pending_payouts}</h3>
-                        <p>Pending Payouts</p>
+                        <h3>{formatCurrency(stats.pending_amount)}</h3>
+                        <p>Awaiting Payout{stats.next_payout_date ? ` · next ${formatDate(stats.next_payout_date)}` : ''}</p>
                     </div>
                 </div>
                 
@@ -321,10 +358,10 @@ const BusinessPayoutsDashboard = () => {
                                         <td className="payout-amount">{formatCurrency(payout.amount)}</td>
                                         <td className="payout-status">
                                             <span className={getStatusBadgeClass(payout.status)}>
-                                                {payout.status}
+                                                {statusLabels[payout.status] || payout.status}
                                             </span>
                                         </td>
-                                        <td className="payout-method">{payout.method}</td>
+                                        <td className="payout-method">{formatMethod(payout.method)}</td>
                                         <td className="payout-reference">{payout.reference}</td>
                                     </tr>
                                 ))}
@@ -333,6 +370,50 @@ const BusinessPayoutsDashboard = () => {
                     )}
                 </div>
             </div>
+
+            {/* Refunds Table */}
+            <div className="payouts-section">
+                <div className="section-header">
+                    <h2>Refunds</h2>
+                </div>
+
+                <div className="payouts-table-container">
+                    {refunds.length === 0 ? (
+                        <div className="no-payouts">
+                            <p>No refunds. Refunds on your bookings will appear here and come off your next payout.</p>
+                        </div>
+                    ) : (
+                        <table className="payouts-table">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>Booking</th>
+                                    <th>Amount</th>
+                                    <th>Status</th>
+                                    <th>Refunded By</th>
+                                    <th>Reason</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {refunds.map((refund) => (
+                                    <tr key={refund.id}>
+                                        <td className="payout-date">{formatDate(refund.createdAt)}</td>
+                                        <td>#{refund.bookingId}{refund.service ? ` · ${refund.service}` : ''}</td>
+                                        <td className="payout-amount">{formatCurrency(refund.amount)}</td>
+                                        <td className="payout-status">
+                                            <span className={getStatusBadgeClass(refund.status)}>
+                                                {refundStatusLabels[refund.status] || refund.status}
+                                            </span>
+                                        </td>
+                                        <td>{refundActorLabels[refund.actor] || refund.actor}</td>
+                                        <td className="payout-reference">{refund.reason || '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
         </div>
     );
 };
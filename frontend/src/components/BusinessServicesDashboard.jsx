@@ -397,6 +397,13 @@ const BusinessServicesDashboard = () => {
                                         <p className="service-category">{service.category}</p>
                                         <p className="service-price">{formatCurrency(service.price)}</p>
                                         <p className="service-duration">{service.duration}</p>
+                                        {service.deposit_type && service.deposit_type !== 'none' && (
+                                            <p className="service-deposit">
+                                                Deposit: {service.deposit_type === 'percent'
+                                                    ? `${Number(service.deposit_value)}%`
+                                                    : formatCurrency(service.deposit_value)}, balance after the appointment
+                                            </p>
+                                        )}
                                         {service.description && (
                                             <p className="service-description">{service.description}</p>
                                         )}
@@ -467,6 +474,7 @@ const BusinessServicesDashboard = () => {
             {/* Edit Service Modal */}
             {editingService && (
                 <EditServiceModal 
+                    businessId={businessId}
                     service={editingService}
                     onClose={() => setEditingService(null)}
                     onSuccess={() => {
@@ -479,6 +487,58 @@ const BusinessServicesDashboard = () => {
     );
 };
 
+// Deposit mode is stored with the booking engine's service record
+const saveServiceDeposit = async (businessId, serviceId, formData) => {
+    const response = await fetch(`/api/businesses/${businessId}/services/${serviceId}/deposit`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            type: formData.deposit_type,
+            value: formData.deposit_value
+        })
+    });
+
+    if (!response.ok) {
+        const data = await response.json();
+        alert(data.error || 'Failed to save deposit settings');
+    }
+    return response.ok;
+};
+
+// Deposit taken at booking; the balance is paid after the appointment or in person
+const DepositFields = ({ formData, setFormData }) => (
+    <div className="form-row">
+        <div className="form-group">
+            <label>Payment at Booking</label>
+            <select
+                value={formData.deposit_type}
+                onChange={(e) => setFormData({...formData, deposit_type: e.target.value})}
+            >
+                <option value="none">Full price upfront</option>
+                <option value="fixed">Fixed deposit (£)</option>
+                <option value="percent">Deposit (% of price)</option>
+            </select>
+        </div>
+
+        {formData.deposit_type !== 'none' && (
+            <div className="form-group">
+                <label>{formData.deposit_type === 'percent' ? 'Deposit (%)' : 'Deposit (£)'}</label>
+                <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    max={formData.deposit_type === 'percent' ? 99 : undefined}
+                    value={formData.deposit_value}
+                    onChange={(e) => setFormData({...formData, deposit_value: e.target.value})}
+                    required
+                />
+            </div>
+        )}
+    </div>
+);
+
 // Add Service Modal Component
 const AddServiceModal = ({ businessId, onClose, onSuccess }) => {
     const [formData, setFormData] = useState({
@@ -487,7 +547,9 @@ const AddServiceModal = ({ businessId, onClose, onSuccess }) => {
         price: '',
         duration: '',
         description: '',
-        image_url: ''
+        image_url: '',
+        deposit_type: 'none',
+        deposit_value: ''
     });
     const [submitting, setSubmitting] = useState(false);
 
@@ -508,6 +570,10 @@ const AddServiceModal = ({ businessId, onClose, onSuccess }) => {
             });
             
             if (response.ok) {
+                const created = await response.json();
+                if (formData.deposit_type !== 'none') {
+                    await saveServiceDeposit(businessId, created.id, formData);
+                }
                 onSuccess();
             }
         } catch (error) {
@@ -568,6 +634,8 @@ const AddServiceModal = ({ businessId, onClose, onSuccess }) => {
                             />
                         </div>
                     </div>
+
+                    <DepositFields formData={formData} setFormData={setFormData} />
                     
                     <div className="form-group">
                         <label>Description</label>
@@ -602,14 +670,16 @@ const AddServiceModal = ({ businessId, onClose, onSuccess }) => {
 };
 
 // Edit Service Modal Component
-const EditServiceModal = ({ service, onClose, onSuccess }) => {
+const EditServiceModal = ({ businessId, service, onClose, onSuccess }) => {
     const [formData, setFormData] = useState({
         name: service.name,
         category: service.category,
         price: service.price,
         duration: service.duration,
         description: service.description,
-        image_url: service.image_url || ''
+        image_url: service.image_url || '',
+        deposit_type: service.deposit_type || 'none',
+        deposit_value: service.deposit_value || ''
     });
     const [submitting, setSubmitting] = useState(false);
 
@@ -626,7 +696,7 @@ const EditServiceModal = ({ service, onClose, onSuccess }) => {
                 body: JSON.stringify(formData)
             });
             
-            if (response.ok) {
+            if (response.ok && await saveServiceDeposit(businessId, service.id, formData)) {
                 onSuccess();
             }
         } catch (error) {
@@ -687,6 +757,8 @@ const EditServiceModal = ({ service, onClose, onSuccess }) => {
                             />
                         </div>
                     </div>
+
+                    <DepositFields formData={formData} setFormData={setFormData} />
                     
                     <div className="form-group">
                         <label>Description</label>
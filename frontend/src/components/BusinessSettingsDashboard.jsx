@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
+import CancellationPolicy from '../../../cancellation-policy';
 import './BusinessSettingsDashboard.css';
 
+const POLICY_PRESETS = ['flexible', 'moderate', 'strict', 'non-refundable'];
+
 const BusinessSettingsDashboard = () => {
     const [settings, setSettings] = useState({
         business_name: '',
@@ -19,6 +22,11 @@ const BusinessSettingsDashboard = () => {
     const [errors, setErrors] = useState({});
     const [hasChanges, setHasChanges] = useState(false);
     const [originalSettings, setOriginalSettings] = useState({});
+    const [policy, setPolicy] = useState(CancellationPolicy.normalizePolicy(CancellationPolicy.DEFAULT_POLICY));
+    const [policyErrors, setPolicyErrors] = useState([]);
+    const [savingPolicy, setSavingPolicy] = useState(false);
+    const [reliabilitySettings, setReliabilitySettings] = useState({ threshold: null, percent: 50 });
+    const [savingReliability, setSavingReliability] = useState(false);
     
     const wsRef = useRef(null);
     const businessId = getBusinessIdFromURL();
@@ -43,6 +51,128 @@ const BusinessSettingsDashboard = () => {
         }
     };
 
+    // Fetch cancellation policy
+    const fetchPolicy = async () => {
+        try {
+            const response = await fetch(`/api/businesses/${businessId}/cancellation-policy`);
+            const data = await response.json();
+            if (response.ok) {
+                setPolicy(data.policy);
+                setPolicyErrors([]);
+            }
+        } catch (error) {
+            console.error('Error fetching cancellation policy:', error);
+        }
+    };
+
+    // Fetch the reliability deposit rule
+    const fetchReliabilitySettings = async () => {
+        try {
+            const response = await fetch(`/api/businesses/${businessId}/reliability-settings`);
+            const data = await response.json();
+            if (response.ok) {
+                setReliabilitySettings(data.settings);
+            }
+        } catch (error) {
+            console.error('Error fetching reliability settings:', error);
+        }
+    };
+
+    // Save the reliability deposit rule
+    const saveReliabilitySettings = async () => {
+        setSavingReliability(true);
+
+        try {
+            const response = await fetch(`/api/businesses/${businessId}/reliability-settings`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    threshold: reliabilitySettings.threshold === null || reliabilitySettings.threshold === ''
+                        ? null
+                        : Number(reliabilitySettings.threshold),
+                    percent: Number(reliabilitySettings.percent)
+                })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setReliabilitySettings(data.settings);
+                showNotification('No-show protection saved!', 'success');
+            } else {
+                showNotification(data.error || 'Failed to save no-show protection', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving reliability settings:', error);
+            showNotification('Error saving no-show protection', 'error');
+        }
+
+        setSavingReliability(false);
+    };
+
+    // Switch between a preset and custom tiers (custom starts from the current rules)
+    const handlePolicyTypeChange = (type) => {
+        setPolicy(type === 'custom'
+            ? { ...policy, type: 'custom', name: 'Custom' }
+            : CancellationPolicy.normalizePolicy(type));
+        setPolicyErrors([]);
+    };
+
+    const updatePolicy = (changes) => {
+        setPolicy(prev => ({ ...prev, ...changes, type: 'custom', name: 'Custom' }));
+    };
+
+    const updateTier = (index, field, value) => {
+        updatePolicy({
+            tiers: policy.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+        });
+    };
+
+    const addTier = () => {
+        updatePolicy({ tiers: [...policy.tiers, { minHoursBefore: '', refundPercent: '', fee: 0 }] });
+    };
+
+    const removeTier = (index) => {
+        updatePolicy({ tiers: policy.tiers.filter((_, i) => i !== index) });
+    };
+
+    // Save cancellation policy
+    const savePolicy = async () => {
+        const payload = policy.type === 'custom' ? policy : { type: policy.type };
+        const validationErrors = CancellationPolicy.validatePolicy(payload);
+        setPolicyErrors(validationErrors);
+        if (validationErrors.length) return;
+
+        setSavingPolicy(true);
+
+        try {
+            const response = await fetch(`/api/businesses/${businessId}/cancellation-policy`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payload)
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                setPolicy(data.policy);
+                showNotification('Cancellation policy saved! It applies to new bookings.', 'success');
+            } else {
+                setPolicyErrors(data.errors || []);
+                showNotification(data.error || 'Failed to save cancellation policy', 'error');
+            }
+        } catch (error) {
+            console.error('Error saving cancellation policy:', error);
+            showNotification('Error saving cancellation policy', 'error');
+        }
+
+        setSavingPolicy(false);
+    };
+
     // Initialize WebSocket connection
     const initializeWebSocket = () => {
         const wsUrl = `ws://localhost:5000`;
@@ -186,6 +316,8 @@ const BusinessSettingsDashboard = () => {
 
     useEffect(() => {
         fetchSettings();
+        fetchPolicy();
+        fetchReliabilitySettings();
         initializeWebSocket();
         
         return () => {
@@ -371,6 +503,207 @@ const BusinessSettingsDashboard = () => {
                 </div>
             </div>
 
+            {/* Cancellation Policy */}
+            <div className="settings-form policy-settings">
+                <div className="form-section">
+                    <h3>Cancellation Policy</h3>
+
+                    <div className="form-group">
+                        <label htmlFor="policy_type">Policy</label>
+                        <select
+                            id="policy_type"
+                            value={POLICY_PRESETS.includes(policy.type) ? policy.type : 'custom'}
+                            onChange={(e) => handlePolicyTypeChange(e.target.value)}
+                        >
+                            {POLICY_PRESETS.map(type => (
+                                <option key={type} value={type}>
+                                    {CancellationPolicy.PRESET_POLICIES[type].name}
+                                </option>
+                            ))}
+                            <option value="custom">Custom tiers</option>
+                        </select>
+                        <small>Changes apply to new bookings. Existing bookings keep the policy they were made under.</small>
+                    </div>
+
+                    {policy.type === 'custom' && (
+                        <>
+                            <div className="form-group checkbox-group">
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={policy.allowCancellation}
+                                        onChange={(e) => updatePolicy({ allowCancellation: e.target.checked })}
+                                    />
+                                    Customers can cancel
+                                </label>
+                            </div>
+
+                            {policy.allowCancellation && (
+                                <div className="policy-tiers">
+                                    <div className="policy-tier policy-tier-header">
+                                        <span>Hours before (at least)</span>
+                                        <span>Refund %</span>
+                                        <span>Fee (£)</span>
+                                        <span></span>
+                                    </div>
+                                    {policy.tiers.map((tier, index) => (
+                                        <div className="policy-tier" key={index}>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                value={tier.minHoursBefore}
+                                                onChange={(e) => updateTier(index, 'minHoursBefore', e.target.value)}
+                                            />
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="100"
+                                                value={tier.refundPercent}
+                                                onChange={(e) => updateTier(index, 'refundPercent', e.target.value)}
+                                            />
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                step="0.01"
+                                                value={tier.fee}
+                                                onChange={(e) => updateTier(index, 'fee', e.target.value)}
+                                            />
+                                            <button
+                                                type="button"
+                                                className="btn btn-secondary"
+                                                onClick={() => removeTier(index)}
+                                            >
+                                                Remove
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <button type="button" className="btn btn-secondary" onClick={addTier}>
+                                        Add Tier
+                                    </button>
+                                </div>
+                            )}
+
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label htmlFor="deposit_forfeit">Keep deposit if cancelled within (hours)</label>
+                                    <input
+                                        type="number"
+                                        id="deposit_forfeit"
+                                        min="0"
+                                        value={policy.deposit.forfeitWithinHours ?? ''}
+                                        onChange={(e) => updatePolicy({
+                                            deposit: { forfeitWithinHours: e.target.value === '' ? null : e.target.value }
+                                        })}
+                                        placeholder="Never"
+                                    />
+                                </div>
+
+                                <div className="form-group">
+                                    <label htmlFor="no_show_refund">No-show refund %</label>
+                                    <input
+                                        type="number"
+                                        id="no_show_refund"
+                                        min="0"
+                                        max="100"
+                                        value={policy.noShow.refundPercent}
+                                        onChange={(e) => updatePolicy({ noShow: { ...policy.noShow, refundPercent: e.target.value } })}
+                                    />
+                                </div>
+
+                                <div className="form-group">
+                                    <label htmlFor="no_show_fee">No-show fee (£)</label>
+                                    <input
+                                        type="number"
+                                        id="no_show_fee"
+                                        min="0"
+                                        step="0.01"
+                                        value={policy.noShow.fee}
+                                        onChange={(e) => updatePolicy({ noShow: { ...policy.noShow, fee: e.target.value } })}
+                                    />
+                                </div>
+                            </div>
+                        </>
+                    )}
+
+                    <div className="policy-preview">
+                        <strong>What customers see</strong>
+                        <ul>
+                            {CancellationPolicy.describePolicy(policy).map(line => (
+                                <li key={line}>{line}</li>
+                            ))}
+                        </ul>
+                    </div>
+
+                    {policyErrors.map(error => (
+                        <span className="error-message" key={error}>{error}</span>
+                    ))}
+                </div>
+
+                <div className="form-actions">
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={savePolicy}
+                        disabled={savingPolicy}
+                    >
+                        {savingPolicy ? 'Saving...' : 'Save Policy'}
+                    </button>
+                </div>
+            </div>
+
+            {/* No-show Protection */}
+            <div className="settings-form policy-settings">
+                <div className="form-section">
+                    <h3>No-show Protection</h3>
+
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label htmlFor="reliability_threshold">Require a deposit below reliability score</label>
+                            <input
+                                type="number"
+                                id="reliability_threshold"
+                                min="1"
+                                max="100"
+                                value={reliabilitySettings.threshold ?? ''}
+                                onChange={(e) => setReliabilitySettings({
+                                    ...reliabilitySettings,
+                                    threshold: e.target.value === '' ? null : e.target.value
+                                })}
+                                placeholder="Off"
+                            />
+                        </div>
+
+                        <div className="form-group">
+                            <label htmlFor="reliability_percent">Non-refundable deposit (% of price)</label>
+                            <input
+                                type="number"
+                                id="reliability_percent"
+                                min="1"
+                                max="100"
+                                value={reliabilitySettings.percent}
+                                onChange={(e) => setReliabilitySettings({ ...reliabilitySettings, percent: e.target.value })}
+                            />
+                        </div>
+                    </div>
+                    <small>
+                        Scores run from 0 to 100 and drop with no-shows and late cancellations at any business over the
+                        last 12 months. New customers start at 100. Customers below your threshold still pay in full, but
+                        this share is kept if they cancel or do not turn up.
+                    </small>
+                </div>
+
+                <div className="form-actions">
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={saveReliabilitySettings}
+                        disabled={savingReliability}
+                    >
+                        {savingReliability ? 'Saving...' : 'Save No-show Protection'}
+                    </button>
+                </div>
+            </div>
+
             {/* Advanced Settings (Disabled for Free Package) */}
             <div className="advanced-settings">
                 <h3>Advanced Settings</h3>
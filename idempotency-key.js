@@ -0,0 +1,33 @@
+// Idempotency keys for BlkPages notifications and scheduled jobs
+//
+// One key format shared by the notification automation system, the
+// communication system and the durable job queue (backend/services/jobQueueService.js),
+// so the same event for the same business, customer and booking is only
+// ever sent or queued once.
+//
+// Keys are kept readable rather than hashed: they are unique in the jobs
+// table, where a 32-bit hash would eventually collide and silently drop a job.
+
+/**
+ * Key for one event about one business / customer / booking
+ * @param {string} eventType - e.g. 'booking.create', 'booking_reminder'
+ * @param {Object} data - { business_id, customer_id, booking_id, reference }
+ *   reference tells apart repeats of the same event (an offer id, a send date)
+ * @returns {string}
+ */
+function generateIdempotencyKey(eventType, data = {}) {
+    const key = `${eventType}_${data.business_id || 'none'}_${data.customer_id || 'none'}_${data.booking_id || 'none'}`;
+    return data.reference ? `${key}_${data.reference}` : key;
+}
+
+const IdempotencyKey = {
+    generateIdempotencyKey
+};
+
+// Export for Node (job queue, communication system) and the browser (automation demo)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IdempotencyKey;
+}
+if (typeof window !== 'undefined') {
+    window.IdempotencyKey = IdempotencyKey;
+}
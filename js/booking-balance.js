@@ -0,0 +1,76 @@
+/**
+ * Booking Balance
+ * Pays the remaining balance on a deposit booking after the appointment.
+ * payment.html switches to this when opened as payment.html?balance=<bookingId>&token=...
+ */
+
+class BookingBalance {
+    constructor({ bookingId, token = null, apiBase = '' } = {}) {
+        this.bookingId = bookingId;
+        this.token = token;
+        this.apiBase = apiBase;
+        this.balance = null;
+    }
+
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    get amountDue() {
+        return this.balance ? this.balance.balanceDue : 0;
+    }
+
+    url(path) {
+        return `${this.apiBase}/api/bookings/${encodeURIComponent(this.bookingId)}/balance${path}`;
+    }
+
+    // What is still owed: { booking, balance: { totalAmount, depositAmount, balanceDue, balanceStatus } }
+    async load() {
+        const params = new URLSearchParams();
+        if (this.token) params.set('token', this.token);
+
+        const response = await fetch(`${this.url('')}?${params}`, { headers: this.authHeaders() });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to load balance');
+        }
+
+        this.balance = result.balance;
+        return result;
+    }
+
+    // Client secret for the balance PaymentIntent (reused if one is already open)
+    async startPayment() {
+        const response = await fetch(this.url('/payment-intent'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+            body: JSON.stringify({ token: this.token })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.reason || result.error || 'Unable to start balance payment');
+        }
+        return result;
+    }
+
+    async confirm(paymentIntentId) {
+        const response = await fetch(this.url('/confirm'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+            body: JSON.stringify({ token: this.token, paymentIntentId })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to confirm balance payment');
+        }
+
+        this.balance = result.balance;
+        return result;
+    }
+}
+
+// Export for manual initialization
+window.BookingBalance = BookingBalance;
@@ -0,0 +1,146 @@
+/**
+ * Booking Group
+ * Group and party bookings: the organiser holds a slot for every attendee,
+ * sees each attendee's status and can cancel one place without touching the
+ * rest. With split payment each attendee pays their own share through
+ * payment.html?group=<groupId>&share=<bookingId>&token=...
+ */
+
+function groupAuthHeaders() {
+    const authToken = localStorage.getItem('auth_token') ||
+                      localStorage.getItem('authToken') ||
+                      localStorage.getItem('token') || '';
+    return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+}
+
+class BookingGroup {
+    constructor({ groupId, token = null, apiBase = '' } = {}) {
+        this.groupId = groupId;
+        this.token = token;
+        this.apiBase = apiBase;
+        this.group = null;
+    }
+
+    // Hold every attendee's slot. attendees: [{ name, email, serviceId, staffId }], organiser first.
+    // Resolves to { groupId, holdToken, attendees: [{ position, name, startTime, endTime, staffId, price }], total, amountDue, expiresAt }
+    // Keep holdToken: releasing the holds needs it when the organiser is not signed in
+    static async hold({ businessId, startTime, attendees, scheduling = 'parallel', paymentMode = 'organiser', name = null, replaceGroupId = null, apiBase = '' }) {
+        const response = await fetch(`${apiBase}/api/groups`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...groupAuthHeaders() },
+            body: JSON.stringify({ businessId, startTime, attendees, scheduling, paymentMode, name, replaceGroupId })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.reason || result.error || 'Unable to hold these times for your group');
+        }
+        return result;
+    }
+
+    // POST so it can be sent with sendBeacon when the page is left
+    static release(groupId, reason = 'abandoned', apiBase = '', holdToken = null) {
+        const payload = new Blob([JSON.stringify({ reason, token: holdToken })], { type: 'application/json' });
+        navigator.sendBeacon(`${apiBase}/api/groups/${encodeURIComponent(groupId)}/release`, payload);
+    }
+
+    url(path = '') {
+        return `${this.apiBase}/api/groups/${encodeURIComponent(this.groupId)}${path}`;
+    }
+
+    // { group, attendees: [{ bookingId, position, name, service, startTime, status, price, amountPaid, paymentDueBy }] }
+    async load() {
+        const params = new URLSearchParams();
+        if (this.token) params.set('token', this.token);
+
+        const response = await fetch(`${this.url()}?${params}`, { headers: groupAuthHeaders() });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to load group booking');
+        }
+
+        this.group = result;
+        return result;
+    }
+
+    // Everyone else keeps their place; a paid place is refunded under the cancellation policy
+    async cancelAttendee(bookingId) {
+        const response = await fetch(this.url(`/attendees/${encodeURIComponent(bookingId)}/cancel`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...groupAuthHeaders() },
+            body: JSON.stringify({ token: this.token })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.reason || result.error || 'Failed to cancel this place');
+        }
+
+        await this.load();
+        return result;
+    }
+}
+
+class BookingGroupShare {
+    constructor({ groupId, bookingId, token = null, apiBase = '' } = {}) {
+        this.groupId = groupId;
+        this.bookingId = bookingId;
+        this.token = token;
+        this.apiBase = apiBase;
+        this.share = null;
+    }
+
+    url(path) {
+        return `${this.apiBase}/api/groups/${encodeURIComponent(this.groupId)}/attendees/${encodeURIComponent(this.bookingId)}/share${path}`;
+    }
+
+    get amountDue() {
+        return this.share ? this.share.amountDue : 0;
+    }
+
+    // What this attendee owes: { booking, share: { amountDue, dueBy, paid } }
+    async load() {
+        const params = new URLSearchParams();
+        if (this.token) params.set('token', this.token);
+
+        const response = await fetch(`${this.url('')}?${params}`, { headers: groupAuthHeaders() });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to load your share');
+        }
+
+        this.share = result.share;
+        return result;
+    }
+
+    // Client secret for the share PaymentIntent (reused if one is already open)
+    async startPayment() {
+        const response = await fetch(this.url('/payment-intent'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...groupAuthHeaders() },
+            body: JSON.stringify({ token: this.token })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.reason || result.error || 'Unable to start payment');
+        }
+        return result;
+    }
+
+    async confirm(paymentIntentId) {
+        const response = await fetch(this.url('/confirm'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...groupAuthHeaders() },
+            body: JSON.stringify({ token: this.token, paymentIntentId })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to confirm payment');
+        }
+
+        this.share = result.share;
+        return result;
+    }
+}
+
+// Export for manual initialization
+window.BookingGroup = BookingGroup;
+window.BookingGroupShare = BookingGroupShare;
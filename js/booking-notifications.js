@@ -0,0 +1,153 @@
+/**
+ * Booking Notifications
+ * Per-booking timeline for the business bookings dashboard: every confirmation,
+ * reminder and offer sent about a booking and how far it got (queued, sent,
+ * delivered, failed, opened, clicked). Only delivery status is shown, never
+ * message contents or the customer's address.
+ *
+ * Any element with data-booking-notifications="<bookingId>" opens the timeline.
+ */
+
+class BookingNotifications {
+    constructor({ businessId = localStorage.getItem('businessId'), apiBase = '' } = {}) {
+        this.businessId = businessId;
+        this.apiBase = apiBase;
+
+        this.channelLabels = { email: 'Email', sms: 'SMS', whatsapp: 'WhatsApp' };
+        this.eventLabels = {
+            queued: 'Queued',
+            sent: 'Sent',
+            delivered: 'Delivered',
+            failed: 'Failed',
+            opened: 'Opened',
+            clicked: 'Link clicked',
+            complaint: 'Marked as spam'
+        };
+        this.statusClasses = {
+            queued: 'bg-gray-100 text-gray-700',
+            sent: 'bg-blue-100 text-blue-700',
+            delivered: 'bg-green-100 text-green-700',
+            failed: 'bg-red-100 text-red-700',
+            opened: 'bg-emerald-100 text-emerald-700',
+            clicked: 'bg-emerald-100 text-emerald-700'
+        };
+
+        this.setupEventListeners();
+    }
+
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-booking-notifications]');
+            if (trigger) {
+                e.preventDefault();
+                this.show(trigger.dataset.bookingNotifications);
+            }
+        });
+    }
+
+    // { bookingId, notifications: [{ channel, template, status, error, queuedAt, ..., events: [{ event, detail, at }] }] }
+    async load(bookingId) {
+        const response = await fetch(
+            `${this.apiBase}/api/businesses/${encodeURIComponent(this.businessId)}/bookings/${encodeURIComponent(bookingId)}/notifications`,
+            { headers: this.authHeaders() }
+        );
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to load notifications');
+        }
+        return result;
+    }
+
+    // "Booking reminder" from booking_reminder
+    templateLabel(template) {
+        const words = String(template).replace(/_/g, ' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    formatTime(value) {
+        return new Date(value).toLocaleString(undefined, {
+            day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    render(container, timeline) {
+        if (timeline.notifications.length === 0) {
+            container.innerHTML = '<p class="text-gray-500">No messages have been sent about this booking yet.</p>';
+            return;
+        }
+
+        container.innerHTML = timeline.notifications.map(notification => `
+            <div class="border border-gray-200 rounded-lg p-4 mb-3">
+                <div class="flex items-center justify-between mb-2">
+                    <div class="font-semibold">
+                        ${this.escape(this.templateLabel(notification.template))}
+                        <span class="text-gray-500 font-normal">· ${this.escape(this.channelLabels[notification.channel] || notification.channel)}${notification.recipientType === 'business' ? ' to you' : ''}</span>
+                    </div>
+                    <span class="text-xs font-semibold px-2 py-1 rounded-full ${this.statusClasses[notification.status] || ''}">
+                        ${this.escape(this.eventLabels[notification.status] || notification.status)}
+                    </span>
+                </div>
+                <ol class="text-sm text-gray-600 space-y-1">
+                    ${notification.events.map(event => `
+                        <li>
+                            <span class="text-gray-400">${this.escape(this.formatTime(event.at))}</span>
+                            ${this.escape(this.eventLabels[event.event] || event.event)}${event.detail ? ` – ${this.escape(event.detail)}` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `).join('');
+    }
+
+    async show(bookingId) {
+        let modal = document.getElementById('bookingNotificationsModal');
+        if (!modal) {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div id="bookingNotificationsModal" class="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" style="display: none;">
+                    <div class="bg-white rounded-xl shadow-xl w-full max-w-lg max-h-[80vh] overflow-y-auto p-6">
+                        <div class="flex items-center justify-between mb-4">
+                            <h3 class="text-lg font-bold">Messages for this booking</h3>
+                            <button type="button" class="text-gray-500" onclick="document.getElementById('bookingNotificationsModal').style.display='none'">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                        <div id="bookingNotificationsContent"></div>
+                        <p class="text-xs text-gray-400 mt-2">Only delivery status is shown. Message contents and customer details are protected.</p>
+                    </div>
+                </div>
+            `);
+            modal = document.getElementById('bookingNotificationsModal');
+        }
+
+        const content = document.getElementById('bookingNotificationsContent');
+        content.innerHTML = '<p class="text-gray-500">Loading…</p>';
+        modal.style.display = 'flex';
+
+        try {
+            this.render(content, await this.load(bookingId));
+        } catch (error) {
+            content.innerHTML = `<p class="text-red-600">${this.escape(error.message)}</p>`;
+        }
+    }
+}
+
+// Initialize booking notifications
+document.addEventListener('DOMContentLoaded', function() {
+    window.bookingNotifications = new BookingNotifications();
+});
+
+// Export for manual initialization
+window.BookingNotifications = BookingNotifications;
@@ -0,0 +1,91 @@
+/**
+ * Booking Reschedule
+ * Customer self-service rescheduling, from the dashboard (signed in) or from
+ * the signed cancel/reschedule link in the confirmation email
+ */
+
+class BookingReschedule {
+    constructor({ bookingId, token = null, apiBase = '' } = {}) {
+        this.bookingId = bookingId;
+        this.token = token;
+        this.apiBase = apiBase;
+        this.options = null;
+    }
+
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    // Policy status for the booking, plus free slots when a date is given
+    async loadOptions(date = null, staffId = 'any') {
+        const params = new URLSearchParams();
+        if (this.token) params.set('token', this.token);
+        if (date) params.set('date', date);
+        if (staffId) params.set('staffId', staffId);
+
+        const response = await fetch(`${this.apiBase}/api/bookings/${encodeURIComponent(this.bookingId)}/reschedule?${params}`, {
+            headers: this.authHeaders()
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to load reschedule options');
+        }
+
+        this.options = result;
+        return result;
+    }
+
+    async reschedule(startTime, staffId = 'any') {
+        const response = await fetch(`${this.apiBase}/api/bookings/${encodeURIComponent(this.bookingId)}/reschedule`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+            body: JSON.stringify({ token: this.token, startTime, staffId })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.reason || result.error || 'Failed to reschedule booking');
+        }
+        return result.booking;
+    }
+
+    describePolicy(eligibility = this.options?.eligibility) {
+        if (!eligibility) return '';
+        if (!eligibility.allowed) return eligibility.reason;
+
+        const deadline = new Date(eligibility.deadline).toLocaleString('en-GB', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const moves = eligibility.movesLeft === 1 ? '1 change' : `${eligibility.movesLeft} changes`;
+        return `You can move this booking until ${deadline} (${moves} left). Your payment and BlkPoints carry over.`;
+    }
+
+    // Fill a <select> with the free times for the loaded date
+    renderTimeOptions(select) {
+        const slots = (this.options?.availability?.slots || []).filter(slot => slot.available);
+
+        select.innerHTML = '';
+        if (slots.length === 0) {
+            select.innerHTML = '<option value="">No times available on this day</option>';
+            select.disabled = true;
+            return;
+        }
+
+        select.disabled = false;
+        slots.forEach(slot => {
+            const option = document.createElement('option');
+            option.value = slot.startTime;
+            option.textContent = slot.time;
+            select.appendChild(option);
+        });
+    }
+}
+
+// Export for manual initialization
+window.BookingReschedule = BookingReschedule;
@@ -0,0 +1,79 @@
+/**
+ * Booking Series
+ * Customer view of a recurring booking (same slot every N weeks): list the
+ * visits, skip one unpaid visit, or stop the whole series
+ */
+
+class BookingSeries {
+    constructor({ seriesId, token = null, apiBase = '' } = {}) {
+        this.seriesId = seriesId;
+        this.token = token;
+        this.apiBase = apiBase;
+        this.series = null;
+    }
+
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    url(path = '') {
+        return `${this.apiBase}/api/series/${encodeURIComponent(this.seriesId)}${path}`;
+    }
+
+    async post(path, errorMessage) {
+        const response = await fetch(this.url(path), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+            body: JSON.stringify({ token: this.token })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.reason || result.error || errorMessage);
+        }
+        return result;
+    }
+
+    // { series, visits: [{ bookingId, startTime, status, price, paid, paymentFailures }], skipped: [{ startTime, reason }] }
+    async load() {
+        const params = new URLSearchParams();
+        if (this.token) params.set('token', this.token);
+
+        const response = await fetch(`${this.url()}?${params}`, { headers: this.authHeaders() });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to load repeat bookings');
+        }
+
+        this.series = result;
+        return result;
+    }
+
+    // Unpaid visits are released; visits already paid for stay booked
+    async cancelSeries() {
+        const result = await this.post('/cancel', 'Failed to cancel repeat bookings');
+        await this.load();
+        return result;
+    }
+
+    async cancelVisit(bookingId) {
+        const result = await this.post(`/occurrences/${encodeURIComponent(bookingId)}/cancel`, 'Failed to cancel this visit');
+        await this.load();
+        return result.booking;
+    }
+
+    describePattern(series = this.series?.series) {
+        if (!series) return '';
+
+        const every = series.intervalWeeks === 1 ? 'Every week' : `Every ${series.intervalWeeks} weeks`;
+        const until = series.endsOn
+            ? ` until ${new Date(series.endsOn).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}`
+            : `, ${series.occurrenceCount} visits`;
+        return `${every}${until}. Each visit is charged to your saved card 3 days before.`;
+    }
+}
+
+// Export for manual initialization
+window.BookingSeries = BookingSeries;
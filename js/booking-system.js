@@ -8,8 +8,19 @@ class BookingSystem {
         this.state = {
             currentStep: 1,
             selectedService: null,
+            selectedStaffId: 'any',
             selectedDate: null,
             selectedTime: null,
+            holdId: null,
+            holdExpiresAt: null,
+            depositAmount: null,
+            balanceDue: 0,
+            nonRefundableDeposit: null,
+            appointmentServices: null,
+            repeat: null,
+            group: null,
+            groupId: null,
+            groupHoldToken: null,
             customerDetails: {},
             paymentMethod: null,
             sessionStartTime: Date.now(),
@@ -18,6 +29,7 @@ class BookingSystem {
         };
 
         this.services = [];
+        this.staff = [];
         this.availability = {};
         this.businessInfo = {};
         
@@ -113,6 +125,47 @@ class BookingSystem {
             
             grid.appendChild(card);
         });
+
+        this.renderBasketOption(grid);
+    }
+
+    // Several services in the basket can be booked as one back-to-back appointment
+    getBasketService() {
+        const basket = (window.persistentBasketSystem?.getCurrentBasket() || [])
+            .filter(item => String(item.business_id) === String(this.businessInfo.id));
+        if (basket.length < 2) return null;
+
+        // Shortest first, the same order the server books them in
+        const items = [...basket].sort((a, b) => Number(a.duration) - Number(b.duration));
+        const known = (item) => this.services.find(service => String(service.id) === String(item.service_id));
+
+        return {
+            id: null,
+            serviceIds: items.map(item => item.service_id),
+            name: items.map(item => item.service_name).join(' + '),
+            duration: items.reduce((sum, item) => sum + Number(item.duration), 0),
+            price: items.reduce((sum, item) => sum + Number(item.price), 0),
+            deposit: items.reduce((sum, item) => sum + Number(known(item)?.deposit || 0), 0),
+            available: true
+        };
+    }
+
+    renderBasketOption(grid) {
+        const basketService = this.getBasketService();
+        if (!basketService) return;
+
+        const card = document.createElement('div');
+        card.className = 'service-card basket-service-card';
+        card.onclick = () => this.selectService(basketService);
+
+        card.innerHTML = `
+            <h3>Book your basket together</h3>
+            <p>${basketService.name}</p>
+            <p class="service-duration">${basketService.duration} minutes, back to back</p>
+            <p class="service-price">£${basketService.price}</p>
+        `;
+
+        grid.appendChild(card);
     }
 
     selectService(service) {
@@ -130,6 +183,9 @@ class BookingSystem {
         event.currentTarget.classList.add('selected');
         
         this.state.selectedService = service;
+        this.state.selectedStaffId = 'any';
+        this.availability = {};
+        this.loadStaff();
         this.updateBookingSummary();
         this.saveBookingData();
         
@@ -139,6 +195,92 @@ class BookingSystem {
         }
     }
 
+    // Staff selection ("any available" or a named stylist)
+    async loadStaff() {
+        try {
+            const response = await fetch(`/api/businesses/${encodeURIComponent(this.businessInfo.id)}/staff`);
+            if (!response.ok) {
+                throw new Error(`Staff request failed: ${response.status}`);
+            }
+
+            const serviceId = this.state.selectedService?.id;
+            const staff = await response.json();
+
+            // Stylists with no assigned services can perform everything
+            this.staff = staff.filter(member =>
+                member.services.length === 0 ||
+                member.services.some(s => String(s.serviceId) === String(serviceId))
+            );
+        } catch (error) {
+            console.error('Error loading staff:', error);
+            this.staff = [];
+        }
+
+        this.renderStaffOptions();
+    }
+
+    renderStaffOptions() {
+        let container = document.getElementById('staffOptions');
+        if (!container) {
+            const timeSlots = document.getElementById('timeSlots');
+            if (!timeSlots) return;
+            container = document.createElement('div');
+            container.id = 'staffOptions';
+            container.className = 'staff-options';
+            timeSlots.parentNode.insertBefore(container, timeSlots);
+        }
+
+        container.innerHTML = '';
+
+        // Nothing to choose between for a single-chair business
+        if (this.staff.length === 0) return;
+
+        const options = [{ id: 'any', name: 'Any available' }, ...this.staff];
+        options.forEach(member => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'staff-option';
+            option.textContent = member.name;
+            if (String(member.id) === String(this.state.selectedStaffId)) {
+                option.classList.add('selected');
+            }
+            option.onclick = () => this.selectStaff(member.id);
+            container.appendChild(option);
+        });
+    }
+
+    selectStaff(staffId) {
+        this.state.selectedStaffId = staffId;
+        this.state.selectedTime = null;
+        this.availability = {};
+        this.renderStaffOptions();
+
+        if (this.state.selectedDate) {
+            this.loadTimeSlots(new Date(this.state.selectedDate));
+        }
+
+        this.updateBookingSummary();
+        this.saveBookingData();
+    }
+
+    getSelectedStaff() {
+        return this.staff.find(member => String(member.id) === String(this.state.selectedStaffId)) || null;
+    }
+
+    // Stylist price overrides come back with each availability response
+    getSelectedPrice() {
+        const service = this.state.selectedService;
+        const staff = this.getSelectedStaff();
+        if (!service) return 0;
+        if (!staff) return service.price;
+
+        for (const availability of Object.values(this.availability)) {
+            const member = (availability.staff || []).find(m => m.id === staff.id);
+            if (member) return member.price;
+        }
+        return service.price;
+    }
+
     showWaitingListForm(service) {
         const form = document.getElementById('waitingListForm');
         if (form) {
@@ -151,7 +293,6 @@ class BookingSystem {
         const firstName = document.getElementById('waitingFirstName')?.value;
         const lastName = document.getElementById('waitingLastName')?.value;
         const email = document.getElementById('waitingEmail')?.value;
-        const phone = document.getElementById('waitingPhone')?.value;
         const consent = document.getElementById('waitingConsent')?.checked;
 
         if (!firstName || !lastName || !email || !consent) {
@@ -159,23 +300,39 @@ class BookingSystem {
             return;
         }
 
+        // Offers are sent to the customer's account, so the queue needs a signed-in customer
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        if (!authToken) {
+            this.showError('Please sign in to join the waiting list.');
+            return;
+        }
+
         try {
-            // In a real implementation, this would send to the server
-            const waitingListData = {
-                serviceId: this.state.selectedService?.id,
-                businessId: this.businessInfo.id,
-                customer: { firstName, lastName, email, phone },
-                consent: consent,
-                timestamp: new Date().toISOString()
-            };
+            const response = await fetch('/api/waiting-list', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${authToken}`
+                },
+                body: JSON.stringify({
+                    businessId: this.businessInfo.id,
+                    serviceId: this.state.selectedService?.id,
+                    staffId: this.state.selectedStaffId,
+                    firstName,
+                    preferences: this.getWaitingListPreferences()
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                this.showError(result.reason || result.error || 'Failed to join waiting list. Please try again.');
+                return;
+            }
+
+            this.showSuccess(`You are number ${result.position} on the waiting list. We will notify you when a slot becomes available.`);
 
-            console.log('Joining waiting list:', waitingListData);
-            
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            this.showSuccess('You have been added to the waiting list. We will notify you when a slot becomes available.');
-            
             // Reset form
             const form = document.getElementById('waitingListForm');
             if (form) {
@@ -188,6 +345,21 @@ class BookingSystem {
         }
     }
 
+    // Optional "when can you come in" fields on the waiting list form; none filled in = any time
+    getWaitingListPreferences() {
+        const from = document.getElementById('waitingFromDate')?.value || null;
+        const until = document.getElementById('waitingUntilDate')?.value || null;
+        const timeFrom = document.getElementById('waitingTimeFrom')?.value || null;
+        const timeTo = document.getElementById('waitingTimeTo')?.value || null;
+        const days = Array.from(document.querySelectorAll('input[name="waitingDays"]:checked'))
+            .map(input => Number(input.value));
+
+        const windows = days.length || timeFrom || timeTo
+            ? [{ days: days.length ? days : undefined, from: timeFrom, to: timeTo }]
+            : [];
+        return from || until || windows.length ? { from, until, windows } : null;
+    }
+
     // Calendar functionality
     generateCalendar() {
         const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
@@ -246,17 +418,38 @@ class BookingSystem {
     }
 
     checkDateAvailability(date) {
-        // In a real implementation, this would check against actual availability
-        // For now, simulate availability with some randomness
-        const dayOfWeek = date.getDay();
-        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-        
-        // Simulate different availability patterns
-        if (isWeekend) {
-            return Math.random() > 0.4; // 60% chance on weekends
-        } else {
-            return Math.random() > 0.2; // 80% chance on weekdays
+        // Days already fetched from the availability API are authoritative;
+        // anything else stays selectable and is resolved when its slots load
+        const cached = this.availability[this.formatDateKey(date)];
+        if (cached) {
+            return cached.open && cached.slots.some(slot => slot.available);
+        }
+        return true;
+    }
+
+    formatDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    async fetchAvailability(date) {
+        const dateKey = this.formatDateKey(date);
+        const service = this.state.selectedService;
+        const params = new URLSearchParams({
+            ...(service.serviceIds ? { serviceIds: service.serviceIds.join(',') } : { serviceId: service.id }),
+            date: dateKey,
+            staffId: this.state.selectedStaffId || 'any'
+        });
+
+        const response = await fetch(`/api/businesses/${encodeURIComponent(this.businessInfo.id)}/availability?${params}`);
+        if (!response.ok) {
+            throw new Error(`Availability request failed: ${response.status}`);
         }
+
+        const availability = await response.json();
+        this.availability[dateKey] = availability;
+        return availability;
     }
 
     changeMonth(direction) {
@@ -289,35 +482,33 @@ class BookingSystem {
     }
 
     async loadTimeSlots(date) {
-        const slots = [
-            '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-            '12:00', '12:30', '13:00', '13:30', '14:00', '14:30',
-            '15:00', '15:30', '16:00', '16:30', '17:00', '17:30'
-        ];
-
         const container = document.getElementById('timeSlots');
         if (!container) return;
 
-        container.innerHTML = '';
+        if (!this.state.selectedService) {
+            container.innerHTML = '<div style="text-align: center; padding: 20px;">Please choose a service first.</div>';
+            return;
+        }
 
-        // Simulate loading time slots
         container.innerHTML = '<div style="text-align: center; padding: 20px;">Loading available times...</div>';
 
         try {
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
+            const availability = await this.fetchAvailability(date);
+
             container.innerHTML = '';
 
-            slots.forEach(slot => {
+            if (!availability.open || availability.slots.length === 0) {
+                container.innerHTML = '<div style="text-align: center; padding: 20px;">The business is closed on this day. Please choose another date.</div>';
+                return;
+            }
+
+            availability.slots.forEach(slot => {
                 const slotElement = document.createElement('div');
                 slotElement.className = 'time-slot';
-                slotElement.textContent = slot;
-                
-                const isAvailable = this.checkTimeSlotAvailability(date, slot);
+                slotElement.textContent = slot.time;
                 
-                if (isAvailable) {
-                    slotElement.onclick = () => this.selectTime(slot);
+                if (this.checkTimeSlotAvailability(date, slot.time)) {
+                    slotElement.onclick = () => this.selectTime(slot.time);
                 } else {
                     slotElement.classList.add('unavailable');
                 }
@@ -331,16 +522,11 @@ class BookingSystem {
     }
 
     checkTimeSlotAvailability(date, time) {
-        // In a real implementation, this would check against actual bookings
-        // For now, simulate availability with some randomness
-        const hour = parseInt(time.split(':')[0]);
-        const isPeakTime = hour >= 12 && hour <= 16;
-        
-        if (isPeakTime) {
-            return Math.random() > 0.3; // 70% chance during peak hours
-        } else {
-            return Math.random() > 0.1; // 90% chance during off-peak hours
-        }
+        const availability = this.availability[this.formatDateKey(date)];
+        if (!availability) return false;
+
+        const slot = availability.slots.find(s => s.time === time);
+        return Boolean(slot && slot.available);
     }
 
     selectTime(time) {
@@ -355,13 +541,173 @@ class BookingSystem {
         this.state.selectedTime = time;
         this.updateBookingSummary();
         this.saveBookingData();
-        
-        // Auto-advance to next step
-        if (this.state.currentStep === 2) {
-            setTimeout(() => this.nextStep(), 500);
+
+        this.holdSlot(time).then(held => {
+            // Auto-advance to next step once the slot is reserved
+            if (held && this.state.currentStep === 2) {
+                setTimeout(() => this.nextStep(), 500);
+            }
+        });
+    }
+
+    // Reserve the chosen slot on the server while the customer checks out
+    async holdSlot(time) {
+        const service = this.state.selectedService;
+        const startTime = `${this.formatDateKey(this.state.selectedDate)}T${time}:00`;
+
+        if (this.state.group) {
+            return this.holdGroup(startTime);
+        }
+
+        // Signed-in customers are sent so the business's reliability deposit rule can apply
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+
+        try {
+            const response = await fetch('/api/holds', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
+                },
+                body: JSON.stringify({
+                    businessId: this.businessInfo.id,
+                    serviceId: service.id,
+                    serviceIds: service.serviceIds,
+                    staffId: this.state.selectedStaffId,
+                    startTime,
+                    replaceHoldId: this.state.holdId
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                this.state.holdId = null;
+                this.state.selectedTime = null;
+                this.saveBookingData();
+                this.showError(result.reason || 'That time has just been taken. Please choose another.');
+                this.loadTimeSlots(this.state.selectedDate);
+                return false;
+            }
+
+            this.state.holdId = result.holdId;
+            this.state.holdExpiresAt = result.expiresAt;
+            this.state.depositAmount = result.depositAmount;
+            this.state.balanceDue = result.balanceDue;
+            this.state.nonRefundableDeposit = result.nonRefundableDeposit || null;
+            this.state.appointmentServices = service.serviceIds ? result.services : null;
+
+            // The countdown follows the hold so the slot is never shown as ours after it lapses
+            this.state.sessionStartTime = Date.now();
+            this.state.sessionDuration = new Date(result.expiresAt).getTime() - Date.now();
+            this.saveBookingData();
+
+            // payment.html picks the hold up from here
+            localStorage.setItem('bookingSummary', JSON.stringify({
+                businessId: this.businessInfo.id,
+                serviceId: service.id,
+                serviceIds: service.serviceIds || null,
+                services: this.state.appointmentServices,
+                staffId: result.staffId,
+                startTime,
+                holdId: result.holdId,
+                total: result.price,
+                depositAmount: result.depositAmount,
+                balanceDue: result.balanceDue,
+                nonRefundableDeposit: result.nonRefundableDeposit || null,
+                repeat: this.state.repeat
+            }));
+            return true;
+        } catch (error) {
+            console.error('Error holding slot:', error);
+            this.showError('Failed to reserve this time. Please try again.');
+            return false;
         }
     }
 
+    // Party bookings: attendees [{ name, email, serviceId, staffId }] with the organiser first.
+    // scheduling is 'parallel' (side by side) or 'sequence'; paymentMode 'organiser' or 'split'.
+    setGroup({ attendees, scheduling = 'parallel', paymentMode = 'organiser', name = null } = {}) {
+        this.releaseHold('reselected');
+        this.state.group = attendees?.length > 1 ? { attendees, scheduling, paymentMode, name } : null;
+        this.saveBookingData();
+        if (this.state.selectedTime) this.holdSlot(this.state.selectedTime);
+    }
+
+    async holdGroup(startTime) {
+        const { attendees, scheduling, paymentMode, name } = this.state.group;
+
+        try {
+            const result = await window.BookingGroup.hold({
+                businessId: this.businessInfo.id,
+                startTime,
+                attendees,
+                scheduling,
+                paymentMode,
+                name,
+                replaceGroupId: this.state.groupId
+            });
+
+            this.state.groupId = result.groupId;
+            this.state.groupHoldToken = result.holdToken;
+            this.state.appointmentServices = result.attendees.map(attendee => ({
+                startTime: attendee.startTime,
+                name: `${attendee.name} · ${this.services.find(s => String(s.id) === String(attendees[attendee.position].serviceId))?.name || 'Service'}`,
+                price: attendee.price
+            }));
+            this.state.sessionStartTime = Date.now();
+            this.state.sessionDuration = new Date(result.expiresAt).getTime() - Date.now();
+            this.saveBookingData();
+
+            // payment.html charges the organiser's amount and converts the group once paid
+            localStorage.setItem('bookingSummary', JSON.stringify({
+                businessId: this.businessInfo.id,
+                startTime,
+                groupId: result.groupId,
+                groupHoldToken: result.holdToken,
+                services: this.state.appointmentServices,
+                total: result.amountDue,
+                groupTotal: result.total,
+                paymentMode
+            }));
+            return true;
+        } catch (error) {
+            this.state.groupId = null;
+            this.state.groupHoldToken = null;
+            this.state.selectedTime = null;
+            this.saveBookingData();
+            this.showError(error.message);
+            this.loadTimeSlots(this.state.selectedDate);
+            return false;
+        }
+    }
+
+    releaseHold(reason) {
+        if (this.state.groupId) {
+            window.BookingGroup.release(this.state.groupId, reason, '', this.state.groupHoldToken);
+            this.state.groupId = null;
+            this.state.groupHoldToken = null;
+            this.saveBookingData();
+            return;
+        }
+        if (!this.state.holdId) return;
+
+        const payload = new Blob([JSON.stringify({ reason })], { type: 'application/json' });
+        navigator.sendBeacon(`/api/holds/${encodeURIComponent(this.state.holdId)}/release`, payload);
+
+        // payment.html reserves the slot again if the customer comes back to it
+        const summary = JSON.parse(localStorage.getItem('bookingSummary') || '{}');
+        if (summary.holdId === this.state.holdId) {
+            delete summary.holdId;
+            localStorage.setItem('bookingSummary', JSON.stringify(summary));
+        }
+
+        this.state.holdId = null;
+        this.state.holdExpiresAt = null;
+        this.saveBookingData();
+    }
+
     // Form validation
     validateCurrentStep() {
         switch (this.state.currentStep) {
@@ -550,7 +896,7 @@ class BookingSystem {
 
             if (serviceElement) serviceElement.textContent = service.name;
             if (durationElement) durationElement.textContent = `${service.duration} minutes`;
-            if (priceElement) priceElement.textContent = `£${service.price}`;
+            if (priceElement) priceElement.textContent = `£${this.getSelectedPrice()}`;
         }
 
         if (this.state.selectedDate) {
@@ -568,6 +914,12 @@ class BookingSystem {
             const timeElement = document.getElementById('summaryTime');
             if (timeElement) timeElement.textContent = this.state.selectedTime;
         }
+
+        const staffElement = document.getElementById('summaryStaff');
+        if (staffElement) {
+            const staff = this.getSelectedStaff();
+            staffElement.textContent = staff ? staff.name : 'Any available';
+        }
     }
 
     // Payment handling
@@ -575,10 +927,43 @@ class BookingSystem {
         if (!this.state.selectedService) return;
 
         const service = this.state.selectedService;
+        const summaryElement = document.getElementById('paymentSummary');
+
+        // A group lists each attendee; the organiser pays for everyone or only their own place
+        if (summaryElement && this.state.groupId) {
+            const { paymentMode } = this.state.group;
+            const lines = this.state.appointmentServices;
+            summaryElement.innerHTML = lines.map(line => `
+                <div>${line.startTime.substring(11, 16)} ${line.name} - £${Number(line.price).toFixed(2)}</div>
+            `).join('') + (paymentMode === 'split'
+                ? `<div>You pay £${Number(lines[0].price).toFixed(2)} now; everyone else pays their own place by link</div>`
+                : `<div>You pay for everyone: £${lines.reduce((sum, line) => sum + Number(line.price), 0).toFixed(2)}</div>`);
+            return;
+        }
+
+        // Once the slot is held the server has quoted the service's real deposit setting
+        if (summaryElement && this.state.holdId) {
+            const serviceLines = this.state.appointmentServices
+                ? this.state.appointmentServices.map(line => `
+                    <div>${line.startTime.substring(11, 16)} ${line.name} - £${Number(line.price).toFixed(2)}</div>
+                `).join('')
+                : '';
+
+            summaryElement.innerHTML = serviceLines + (this.state.depositAmount ? `
+                <div>Service: ${service.name} - £${this.getSelectedPrice()}</div>
+                <div>Non-refundable deposit due now: £${this.state.depositAmount.toFixed(2)}</div>
+                <div>Balance after your appointment: £${this.state.balanceDue.toFixed(2)}</div>
+            ` : `
+                <div>Service: ${service.name} - £${this.getSelectedPrice()}</div>
+                <div>Paid in full at booking</div>
+                ${this.state.nonRefundableDeposit ? `<div>£${this.state.nonRefundableDeposit.toFixed(2)} of this is a non-refundable deposit</div>` : ''}
+            `);
+            return;
+        }
+
         const deposit = service.deposit;
         const balance = service.price - deposit;
 
-        const summaryElement = document.getElementById('paymentSummary');
         if (summaryElement) {
             summaryElement.innerHTML = `
                 <div>Service: ${service.name} - £${service.price}</div>
@@ -594,11 +979,15 @@ class BookingSystem {
             // Collect all booking data
             const bookingData = {
                 service: this.state.selectedService,
+                staffId: this.state.selectedStaffId,
+                holdId: this.state.holdId,
+                groupId: this.state.groupId,
                 date: this.state.selectedDate,
                 time: this.state.selectedTime,
                 customer: this.collectCustomerDetails(),
                 payment: this.collectPaymentDetails(),
                 business: this.businessInfo,
+                repeat: this.state.repeat,
                 timestamp: new Date().toISOString()
             };
 
@@ -632,6 +1021,31 @@ class BookingSystem {
         };
     }
 
+    // Regulars can repeat the same slot every N weeks; later visits are charged to the saved card
+    collectRepeatDetails() {
+        const intervalWeeks = parseInt(document.getElementById('repeatInterval')?.value, 10);
+        if (!intervalWeeks) return null;
+
+        const endsOn = document.getElementById('repeatEndsOn')?.value;
+        const count = parseInt(document.getElementById('repeatCount')?.value, 10);
+        return endsOn ? { intervalWeeks, endsOn } : { intervalWeeks, count: count || 6 };
+    }
+
+    updateRepeat() {
+        this.state.repeat = this.collectRepeatDetails();
+        this.saveBookingData();
+
+        // payment.html passes this to finalizeBooking once the first visit is paid
+        try {
+            const summary = JSON.parse(localStorage.getItem('bookingSummary') || 'null');
+            if (summary) {
+                localStorage.setItem('bookingSummary', JSON.stringify({ ...summary, repeat: this.state.repeat }));
+            }
+        } catch (error) {
+            console.error('Error saving repeat details:', error);
+        }
+    }
+
     collectPaymentDetails() {
         return {
             method: document.getElementById('paymentMethod')?.value,
@@ -728,7 +1142,8 @@ class BookingSystem {
             timer.classList.add('timer-expired');
             timer.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Session Expired';
         }
-        
+
+        this.releaseHold('timeout');
         alert('Your booking session has expired. Please start again.');
         location.reload();
     }
@@ -856,10 +1271,25 @@ END:VCALENDAR`;
         
         // Waiting list
         window.joinWaitingList = () => this.joinWaitingList();
+
+        // Repeat booking options
+        ['repeatInterval', 'repeatCount', 'repeatEndsOn'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.updateRepeat());
+            }
+        });
         
         // Calendar functions
         window.addToCalendar = () => this.addToCalendar();
         window.manageBooking = () => this.manageBooking();
+
+        // Leaving before the booking is confirmed frees the held slot
+        window.addEventListener('pagehide', () => {
+            if (this.state.currentStep < 5) {
+                this.releaseHold('abandoned');
+            }
+        });
     }
 }
 
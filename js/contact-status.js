@@ -0,0 +1,70 @@
+/**
+ * Contact Status
+ * Tells a signed-in customer when their email or phone number has stopped
+ * receiving messages (hard bounce, unreachable number) and lets them fix it
+ */
+
+class ContactStatus {
+    constructor({ apiBase = '' } = {}) {
+        this.apiBase = apiBase;
+        this.contact = null;
+    }
+
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    async load() {
+        const response = await fetch(`${this.apiBase}/api/notification-settings/contact`, {
+            headers: this.authHeaders()
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to load contact details');
+        }
+
+        this.contact = result.contact;
+        return result.contact;
+    }
+
+    async update(details) {
+        const response = await fetch(`${this.apiBase}/api/notification-settings/contact`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+            body: JSON.stringify(details)
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.reason || result.error || 'Failed to update contact details');
+        }
+
+        this.contact = result.contact;
+        return result.contact;
+    }
+
+    // Which addresses need replacing, e.g. ['email'] or ['email', 'phone']
+    problems(contact = this.contact) {
+        if (!contact) return [];
+        const problems = [];
+        if (contact.emailStatus === 'invalid') problems.push('email');
+        if (contact.smsStatus === 'invalid') problems.push('phone');
+        return problems;
+    }
+
+    describe(contact = this.contact) {
+        const problems = this.problems(contact);
+        if (problems.length === 0) return '';
+
+        const parts = [];
+        if (problems.includes('email')) parts.push(`emails to ${contact.email}`);
+        if (problems.includes('phone')) parts.push(`texts to ${contact.phone}`);
+        return `We couldn't deliver ${parts.join(' or ')}, so we've stopped sending them. ` +
+            'Update your details to keep getting booking confirmations and reminders.';
+    }
+}
+
+// Export for manual initialization
+window.ContactStatus = ContactStatus;
@@ -0,0 +1,145 @@
+/**
+ * Notification Preference Centre
+ * One page for customers and business owners to choose which messages they
+ * get on which channel (email, SMS, push, WhatsApp), plus their time zone and
+ * quiet hours. Customers use /api/notification-settings; a business owner
+ * passes businessId and uses /api/businesses/:id/notification-*.
+ */
+
+class NotificationPreferenceCentre {
+    constructor({ businessId = null, apiBase = '' } = {}) {
+        this.businessId = businessId;
+        this.apiBase = apiBase;
+        this.model = window.NotificationPreferences;
+        this.preferences = null;
+        this.settings = null;
+    }
+
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    url(resource) {
+        return this.businessId
+            ? `${this.apiBase}/api/businesses/${encodeURIComponent(this.businessId)}/notification-${resource}`
+            : `${this.apiBase}/api/notification-settings${resource === 'preferences' ? '/preferences' : ''}`;
+    }
+
+    async request(resource, { method = 'GET', body = null } = {}) {
+        const response = await fetch(this.url(resource), {
+            method,
+            headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || result.message || 'Unable to update notification settings');
+        }
+        return result;
+    }
+
+    // { preferences: { email: { booking: true, ... }, sms: {...}, push: {...}, whatsapp: {...} }, updatedAt }
+    // and { settings: { timezone, locale, quietHoursStart, quietHoursEnd } }
+    async load() {
+        const [preferences, settings] = await Promise.all([
+            this.request('preferences'),
+            this.request('settings')
+        ]);
+        this.preferences = preferences.preferences;
+        this.settings = settings.settings;
+        return { preferences: this.preferences, settings: this.settings };
+    }
+
+    // changes: { sms: { marketing: false } }; anything left out keeps its value
+    async savePreferences(changes) {
+        const result = await this.request('preferences', { method: 'PUT', body: { preferences: changes } });
+        this.preferences = result.preferences;
+        return result.preferences;
+    }
+
+    async saveSettings(settings) {
+        const result = await this.request('settings', { method: 'PUT', body: settings });
+        this.settings = result.settings;
+        return result.settings;
+    }
+
+    // Marketing on or off on every channel at once (subscribe / unsubscribe)
+    async setMarketing(enabled) {
+        const changes = {};
+        this.model.CHANNELS.forEach(channel => { changes[channel] = { marketing: enabled }; });
+        return this.savePreferences(changes);
+    }
+
+    isRequired(channel, category) {
+        return (this.model.REQUIRED[channel] || []).includes(category);
+    }
+
+    /**
+     * Draw the channel x category grid into a container. Each box saves as soon as it changes.
+     */
+    renderMatrix(container, { onSaved = () => {}, onError = () => {} } = {}) {
+        const { CHANNELS, CATEGORIES, CHANNEL_LABELS, CATEGORY_LABELS } = this.model;
+
+        const table = document.createElement('table');
+        table.className = 'w-full text-sm';
+        table.innerHTML = `
+            <thead>
+                <tr class="text-gray-400 text-left">
+                    <th class="py-2 pr-4 font-medium">Message</th>
+                    ${CHANNELS.map(channel => `<th class="py-2 px-2 font-medium text-center">${CHANNEL_LABELS[channel]}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody></tbody>`;
+
+        const body = table.querySelector('tbody');
+        CATEGORIES.forEach(category => {
+            const row = document.createElement('tr');
+            row.className = 'border-t border-[#2A2A2A]';
+            row.innerHTML = `<td class="py-3 pr-4">${CATEGORY_LABELS[category]}</td>`;
+
+            CHANNELS.forEach(channel => {
+                const cell = document.createElement('td');
+                cell.className = 'py-3 px-2 text-center';
+
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.className = 'accent-[#D4AF37] w-4 h-4';
+                box.checked = this.preferences[channel][category];
+                box.disabled = this.isRequired(channel, category);
+                box.title = box.disabled
+                    ? 'Booking emails are always sent'
+                    : `${CATEGORY_LABELS[category]} by ${CHANNEL_LABELS[channel]}`;
+                box.addEventListener('change', async () => {
+                    try {
+                        await this.savePreferences({ [channel]: { [category]: box.checked } });
+                        onSaved();
+                    } catch (error) {
+                        box.checked = !box.checked;
+                        onError(error);
+                    }
+                });
+
+                cell.appendChild(box);
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(table);
+    }
+
+    // IANA zones the browser knows, with the recipient's current one first
+    timeZones() {
+        const zones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : ['Europe/London'];
+        return [...new Set([this.settings.timezone, ...zones])];
+    }
+}
+
+// Export for manual initialization
+window.NotificationPreferenceCentre = NotificationPreferenceCentre;
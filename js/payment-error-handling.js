@@ -163,11 +163,16 @@ class PaymentErrorHandling {
         
         this.showPaymentError(errorType, errorMessage, errorData);
         this.logPaymentError(errorData);
+
+        // A failed payment gives the slot back to other customers
+        if (errorData.holdId) {
+            this.releaseSlotHold(errorData.holdId, 'payment_failed');
+        }
     }
 
     handlePaymentAbandonment(abandonmentData) {
         // Do not confirm booking or capture funds
-        this.cancelPendingPayment(abandonmentData.bookingId);
+        this.cancelPendingPayment(abandonmentData.bookingId, abandonmentData.holdId);
         this.showAbandonmentMessage(abandonmentData);
         this.logAbandonment(abandonmentData);
     }
@@ -354,14 +359,30 @@ class PaymentErrorHandling {
         alert('Redirecting to support contact form...');
     }
 
-    cancelPendingPayment(bookingId) {
+    cancelPendingPayment(bookingId, holdId) {
         // Cancel pending payment and release any held funds
         console.log('Cancelling pending payment for booking:', bookingId);
         
         // Remove from pending payments
         const pendingPayments = this.getPendingPayments();
+        const pending = pendingPayments.find(p => p.bookingId === bookingId);
         const updatedPayments = pendingPayments.filter(p => p.bookingId !== bookingId);
         localStorage.setItem('pendingPayments', JSON.stringify(updatedPayments));
+
+        // Release the reserved slot as well as the funds
+        const slotHoldId = holdId || pending?.holdId;
+        if (slotHoldId) {
+            this.releaseSlotHold(slotHoldId, 'abandoned');
+        }
+    }
+
+    releaseSlotHold(holdId, reason) {
+        fetch(`/api/holds/${encodeURIComponent(holdId)}/release`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason }),
+            keepalive: true
+        }).catch(error => console.error('Error releasing slot hold:', error));
     }
 
     viewDispute() {
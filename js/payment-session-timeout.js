@@ -129,6 +129,12 @@ class PaymentSessionTimeout {
         this.hideWarning();
         this.showExpiryMessage();
         this.disablePaymentForm();
+
+        // Let the error handler release the reserved slot
+        const booking = JSON.parse(localStorage.getItem('bookingSummary') || '{}');
+        document.dispatchEvent(new CustomEvent('paymentAbandoned', {
+            detail: { bookingId: booking.id, holdId: booking.holdId, reason: 'timeout' }
+        }));
     }
 
     showExpiryMessage() {
@@ -1,15 +1,24 @@
 /**
  * Payout Flow System
  * Handles business payouts, history tracking, and notifications
+ *
+ * Payouts come from the backend payout ledger: a daily batch sends each business
+ * what its bookings earned (less refunds and the platform fee) 24h after each
+ * appointment. This page only shows them; it never creates payouts itself.
  */
 
 class PayoutFlow {
-    constructor() {
+    constructor({ businessId = localStorage.getItem('businessId'), apiBase = '' } = {}) {
+        this.businessId = businessId;
+        this.apiBase = apiBase;
+        this.payouts = [];
+
         this.payoutStatuses = {
             PENDING: 'pending',
             PAID: 'paid',
             FAILED: 'failed',
-            PROCESSING: 'processing'
+            PROCESSING: 'processing',
+            REVERSED: 'reversed'
         };
         
         this.payoutFrequencies = {
@@ -27,6 +36,25 @@ class PayoutFlow {
         this.loadPayoutHistory();
     }
 
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    async request(path) {
+        const response = await fetch(
+            `${this.apiBase}/api/businesses/${encodeURIComponent(this.businessId)}${path}`,
+            { headers: this.authHeaders() }
+        );
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || result.message || 'Unable to load payouts');
+        }
+        return result;
+    }
+
     setupEventListeners() {
         // Listen for payout events
         document.addEventListener('payoutProcessed', (e) => {
@@ -84,64 +112,24 @@ class PayoutFlow {
         document.body.insertAdjacentHTML('beforeend', payoutModalHTML + payoutStatusHTML);
     }
 
-    loadPayoutHistory() {
-        // Load payout history from API or localStorage
-        const payoutHistory = this.getPayoutHistory();
-        this.displayPayoutHistory(payoutHistory);
+    async loadPayoutHistory() {
+        try {
+            this.payouts = await this.getPayoutHistory();
+        } catch (error) {
+            console.error('Error loading payout history:', error);
+            this.payouts = [];
+        }
+        this.displayPayoutHistory(this.payouts);
     }
 
-    getPayoutHistory() {
-        // Mock payout data - in real implementation, fetch from API
-        return [
-            {
-                id: 'payout_1',
-                date: '2024-01-15',
-                amount: 1250.00,
-                currency: 'GBP',
-                bookingCount: 28,
-                status: 'paid',
-                method: 'bank_transfer',
-                reference: 'PAYOUT-2024-001',
-                processedAt: '2024-01-15T10:30:00Z',
-                businessId: 'biz_123'
-            },
-            {
-                id: 'payout_2',
-                date: '2024-01-08',
-                amount: 980.50,
-                currency: 'GBP',
-                bookingCount: 22,
-                status: 'paid',
-                method: 'bank_transfer',
-                reference: 'PAYOUT-2024-002',
-                processedAt: '2024-01-08T14:15:00Z',
-                businessId: 'biz_123'
-            },
-            {
-                id: 'payout_3',
-                date: '2024-01-01',
-                amount: 750.25,
-                currency: 'GBP',
-                bookingCount: 17,
-                status: 'paid',
-                method: 'bank_transfer',
-                reference: 'PAYOUT-2024-003',
-                processedAt: '2024-01-01T09:45:00Z',
-                businessId: 'biz_123'
-            },
-            {
-                id: 'payout_4',
-                date: '2024-01-22',
-                amount: 2100.75,
-                currency: 'GBP',
-                bookingCount: 45,
-                status: 'pending',
-                method: 'bank_transfer',
-                reference: 'PAYOUT-2024-004',
-                processedAt: null,
-                businessId: 'biz_123'
-            }
-        ];
+    // [{ id, reference, date, amount, currency, bookingCount, status, method, processedAt, failureReason }]
+    async getPayoutHistory() {
+        return this.request('/payouts');
+    }
+
+    // { payout, lines: [{ bookingId, entryType, service, appointment, gross, refunded, platformFee, net }], totals }
+    async getPayoutStatement(payoutId) {
+        return this.request(`/payouts/${encodeURIComponent(payoutId)}`);
     }
 
     displayPayoutHistory(payoutHistory) {
@@ -149,6 +137,10 @@ class PayoutFlow {
         if (!historyContainer) return;
 
         historyContainer.innerHTML = '';
+        if (payoutHistory.length === 0) {
+            historyContainer.innerHTML = '<p class="payout-empty">No payouts yet. Earnings are paid out 24 hours after each appointment.</p>';
+            return;
+        }
 
         payoutHistory.forEach(payout => {
             const payoutCard = this.createPayoutCard(payout);
@@ -190,6 +182,12 @@ class PayoutFlow {
                     <span>${new Date(payout.processedAt).toLocaleString()}</span>
                 </div>
                 ` : ''}
+                ${payout.failureReason ? `
+                <div class="detail-row">
+                    <span>Reason:</span>
+                    <span>Will be retried in the next payout run</span>
+                </div>
+                ` : ''}
             </div>
             
             <div class="payout-card-actions">
@@ -217,18 +215,61 @@ class PayoutFlow {
         return methods[method] || method;
     }
 
-    viewPayoutDetails(payoutId) {
+    async viewPayoutDetails(payoutId) {
         const payout = this.getPayoutById(payoutId);
         if (!payout) return;
 
         const modal = document.getElementById('payoutModal');
         const content = document.getElementById('payoutContent');
-        
+
         content.innerHTML = this.generatePayoutDetailsHTML(payout);
         modal.style.display = 'block';
+
+        try {
+            const statement = await this.getPayoutStatement(payoutId);
+            content.innerHTML = this.generatePayoutDetailsHTML(payout, statement);
+        } catch (error) {
+            console.error('Error loading payout statement:', error);
+        }
+    }
+
+    // One row per booking the payout settled; adjustments are refunds made after an earlier payout
+    generateStatementHTML(statement) {
+        const money = (amount) => `£${amount.toFixed(2)}`;
+        return `
+            <div class="payout-statement">
+                <h4>Statement</h4>
+                <table>
+                    <thead>
+                        <tr><th>Booking</th><th>Gross</th><th>Refunds</th><th>Fee</th><th>Net</th></tr>
+                    </thead>
+                    <tbody>
+                        ${statement.lines.map(line => `
+                        <tr>
+                            <td>#${line.bookingId ?? '—'} ${line.service || ''}${line.entryType === 'adjustment' ? ' (adjustment)' : ''}
+                                ${line.appointment ? `<br><small>${new Date(line.appointment).toLocaleString()}</small>` : ''}</td>
+                            <td>${money(line.gross)}</td>
+                            <td>${line.refunded ? `-${money(line.refunded)}` : '—'}</td>
+                            <td>${line.platformFee ? `-${money(line.platformFee)}` : '—'}</td>
+                            <td>${money(line.net)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>Total</th>
+                            <th>${money(statement.totals.gross)}</th>
+                            <th>-${money(statement.totals.refunded)}</th>
+                            <th>-${money(statement.totals.platformFee)}</th>
+                            <th>${money(statement.totals.net)}</th>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
     }
 
-    generatePayoutDetailsHTML(payout) {
+    generatePayoutDetailsHTML(payout, statement = null) {
         return `
             <div class="payout-details">
                 <div class="payout-summary">
@@ -252,7 +293,9 @@ class PayoutFlow {
                         </div>
                     </div>
                 </div>
-                
+
+                ${statement ? this.generateStatementHTML(statement) : ''}
+
                 <div class="payout-timeline">
                     <h4>Payout Timeline</h4>
                     <div class="timeline">
@@ -305,16 +348,22 @@ class PayoutFlow {
     }
 
     getPayoutById(payoutId) {
-        const payouts = this.getPayoutHistory();
-        return payouts.find(p => p.id === payoutId);
+        return this.payouts.find(p => String(p.id) === String(payoutId));
     }
 
-    downloadPayoutReceipt(payoutId) {
+    async downloadPayoutReceipt(payoutId) {
         const payout = this.getPayoutById(payoutId);
         if (!payout) return;
 
+        let statement = null;
+        try {
+            statement = await this.getPayoutStatement(payoutId);
+        } catch (error) {
+            console.error('Error loading payout statement:', error);
+        }
+
         // Generate receipt HTML
-        const receiptHTML = this.generateReceiptHTML(payout);
+        const receiptHTML = this.generateReceiptHTML(payout, statement);
         
         // Create downloadable file
         const blob = new Blob([receiptHTML], { type: 'text/html' });
@@ -326,7 +375,7 @@ class PayoutFlow {
         URL.revokeObjectURL(url);
     }
 
-    generateReceiptHTML(payout) {
+    generateReceiptHTML(payout, statement = null) {
         return `
             <!DOCTYPE html>
             <html>
@@ -365,60 +414,30 @@ class PayoutFlow {
                             <span>${payout.status.toUpperCase()}</span>
                         </div>
                     </div>
+                    ${statement ? this.generateStatementHTML(statement) : ''}
                 </div>
             </body>
             </html>
         `;
     }
 
-    async processPayout(businessId) {
+    // Payouts are sent by the daily batch; this shows what is on its way and when
+    async processPayout(businessId = this.businessId) {
         try {
-            // Simulate payout processing
-            const payoutData = await this.createPayoutData(businessId);
-            const payoutId = await this.savePayout(payoutData);
-            
-            // Send notification
-            await this.sendPayoutNotification(payoutData);
-            
-            // Update dashboard
-            this.updatePayoutDashboard(payoutData);
-            
-            return payoutId;
+            this.businessId = businessId || this.businessId;
+            const stats = await this.request('/payout-stats');
+            await this.loadPayoutHistory();
+
+            const message = stats.next_payout_date
+                ? `£${stats.pending_amount.toFixed(2)} is waiting to be paid out. Your next payout runs on ${new Date(stats.next_payout_date).toLocaleString()}.`
+                : 'Nothing is waiting to be paid out right now. Earnings are paid out 24 hours after each appointment.';
+            this.showPayoutMessage(message);
         } catch (error) {
             console.error('Error processing payout:', error);
             this.showPayoutError(error.message);
         }
     }
 
-    async createPayoutData(businessId) {
-        // Mock payout data creation
-        return {
-            id: 'payout_' + Date.now(),
-            businessId: businessId,
-            amount: Math.random() * 2000 + 500, // Random amount between 500-2500
-            currency: 'GBP',
-            bookingCount: Math.floor(Math.random() * 50) + 10, // Random booking count
-            status: this.payoutStatuses.PENDING,
-            method: 'bank_transfer',
-            reference: 'PAYOUT-' + new Date().getFullYear() + '-' + String(Date.now()).slice(-6),
-            date: new Date().toISOString().split('T')[0],
-            processedAt: null
-        };
-    }
-
-    async savePayout(payoutData) {
-        // Mock API call - in real implementation, save to database
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                // Store in localStorage for demo
-                const payouts = JSON.parse(localStorage.getItem('payouts') || '[]');
-                payouts.unshift(payoutData);
-                localStorage.setItem('payouts', JSON.stringify(payouts));
-                resolve(payoutData.id);
-            }, 1000);
-        });
-    }
-
     async sendPayoutNotification(payoutData) {
         const emailData = {
             to: payoutData.businessEmail || 'business@example.com',
@@ -438,14 +457,6 @@ class PayoutFlow {
         });
     }
 
-    updatePayoutDashboard(payoutData) {
-        // Update dashboard with new payout
-        const dashboardEvent = new CustomEvent('payoutAdded', {
-            detail: payoutData
-        });
-        document.dispatchEvent(dashboardEvent);
-    }
-
     handlePayoutProcessed(payoutData) {
         this.showPayoutSuccess(payoutData);
         this.updatePayoutStatus(payoutData.id, this.payoutStatuses.PROCESSING);
@@ -454,7 +465,6 @@ class PayoutFlow {
     handlePayoutCompleted(payoutData) {
         this.showPayoutSuccess(payoutData);
         this.updatePayoutStatus(payoutData.id, this.payoutStatuses.PAID);
-        this.sendPayoutCompletedNotification(payoutData);
     }
 
     handlePayoutFailed(payoutData) {
@@ -462,25 +472,24 @@ class PayoutFlow {
         this.updatePayoutStatus(payoutData.id, this.payoutStatuses.FAILED);
     }
 
+    // Show the change straight away, then reload the history from the server
     updatePayoutStatus(payoutId, status) {
-        const payouts = JSON.parse(localStorage.getItem('payouts') || '[]');
-        const payout = payouts.find(p => p.id === payoutId);
+        const payout = this.getPayoutById(payoutId);
         if (payout) {
             payout.status = status;
-            if (status === this.payoutStatuses.PAID) {
-                payout.processedAt = new Date().toISOString();
-            }
-            localStorage.setItem('payouts', JSON.stringify(payouts));
-            this.loadPayoutHistory();
+            this.displayPayoutHistory(this.payouts);
         }
+        this.loadPayoutHistory();
     }
 
     showPayoutSuccess(payoutData) {
-        const successMessage = document.getElementById('payoutSuccessMessage');
-        successMessage.textContent = `💰 A payout of £${payoutData.amount.toFixed(2)} has been sent to your account for ${payoutData.bookingCount} bookings. Funds typically arrive in 2–3 business days.`;
-        
+        this.showPayoutMessage(`💰 A payout of £${payoutData.amount.toFixed(2)} has been sent to your account for ${payoutData.bookingCount} bookings. Funds typically arrive in 2–3 business days.`);
+    }
+
+    showPayoutMessage(message) {
+        document.getElementById('payoutSuccessMessage').textContent = message;
         document.getElementById('payoutSuccess').style.display = 'block';
-        
+
         setTimeout(() => {
             document.getElementById('payoutSuccess').style.display = 'none';
         }, 5000);
@@ -490,25 +499,6 @@ class PayoutFlow {
         alert('Payout Error: ' + errorMessage);
     }
 
-    async sendPayoutCompletedNotification(payoutData) {
-        const emailData = {
-            to: payoutData.businessEmail || 'business@example.com',
-            subject: `Payout Completed - ${payoutData.reference}`,
-            template: 'payout_completed',
-            data: payoutData
-        };
-
-        // Mock email sending
-        console.log('Sending payout completed notification:', emailData);
-        
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                console.log('Payout completed notification sent successfully');
-                resolve(true);
-            }, 1000);
-        });
-    }
-
     // Public method to trigger test scenarios
     testPayoutProcessing() {
         const payoutData = {
@@ -5,33 +5,8 @@
 
 class RefundFlow {
     constructor() {
-        this.refundPolicies = {
-            'flexible': {
-                name: 'Flexible',
-                description: 'Full refund up to 24 hours before booking',
-                refundable: true,
-                cutoffHours: 24
-            },
-            'moderate': {
-                name: 'Moderate',
-                description: 'Full refund up to 5 days before booking',
-                refundable: true,
-                cutoffDays: 5
-            },
-            'strict': {
-                name: 'Strict',
-                description: 'No refunds, but can reschedule up to 24 hours before',
-                refundable: false,
-                reschedulable: true,
-                cutoffHours: 24
-            },
-            'non-refundable': {
-                name: 'Non-Refundable',
-                description: 'No refunds or rescheduling allowed',
-                refundable: false,
-                reschedulable: false
-            }
-        };
+        // Policy rules come from the shared engine (cancellation-policy.js)
+        this.policyEngine = window.CancellationPolicy;
         
         this.init();
     }
@@ -108,45 +83,41 @@ class RefundFlow {
             currency: 'GBP',
             bookingDate: '2024-01-15',
             serviceDate: '2024-01-20',
-            policy: 'moderate', // flexible, moderate, strict, non-refundable
+            policy: 'moderate', // preset name, or cancellationPolicy with the business's tiers
+            depositAmount: 0,
+            paymentMode: 'full', // 'deposit' = non-refundable deposit taken, balance after the appointment
+            amountPaid: 45.00,
             customerEmail: 'customer@example.com',
             stripePaymentIntentId: 'pi_1234567890'
         };
     }
 
     processRefundRequest(bookingData) {
-        const policy = this.refundPolicies[bookingData.policy];
-        const isRefundable = this.checkRefundEligibility(bookingData, policy);
+        const evaluation = this.evaluateRefund(bookingData);
         
-        if (isRefundable) {
-            this.showRefundableOptions(bookingData, policy);
+        if (evaluation.canCancel && evaluation.refundAmount > 0) {
+            this.showRefundableOptions(bookingData, evaluation);
         } else {
-            this.showNonRefundableMessage(bookingData, policy);
+            this.showNonRefundableMessage(bookingData, evaluation);
         }
     }
 
-    checkRefundEligibility(bookingData, policy) {
-        if (!policy.refundable) {
-            return false;
-        }
-
-        const now = new Date();
-        const serviceDate = new Date(bookingData.serviceDate);
-        const timeDiff = serviceDate - now;
-        const hoursDiff = timeDiff / (1000 * 60 * 60);
-
-        if (policy.cutoffHours && hoursDiff < policy.cutoffHours) {
-            return false;
-        }
-
-        if (policy.cutoffDays && hoursDiff < (policy.cutoffDays * 24)) {
-            return false;
-        }
+    evaluateRefund(bookingData) {
+        return this.policyEngine.evaluateCancellation(bookingData.cancellationPolicy || bookingData.policy, {
+            amountPaid: bookingData.amountPaid ?? bookingData.amount,
+            depositAmount: bookingData.depositAmount,
+            depositRefundable: bookingData.depositRefundable ?? bookingData.paymentMode !== 'deposit',
+            appointmentTime: bookingData.serviceDate
+        });
+    }
 
-        return true;
+    describePolicy(evaluation) {
+        return this.policyEngine.describePolicy(evaluation.policy)
+            .map(line => `<li>${line}</li>`)
+            .join('');
     }
 
-    showRefundableOptions(bookingData, policy) {
+    showRefundableOptions(bookingData, evaluation) {
         const modal = document.getElementById('refundModal');
         const content = document.getElementById('refundContent');
         
@@ -154,7 +125,7 @@ class RefundFlow {
             <div class="refund-eligible">
                 <div class="refund-info">
                     <h4>✅ Refund Available</h4>
-                    <p>This booking is eligible for a refund under the business's ${policy.name} cancellation policy.</p>
+                    <p>This booking is eligible for a refund under the business's ${evaluation.policy.name} cancellation policy.</p>
                 </div>
                 
                 <div class="booking-details">
@@ -171,6 +142,20 @@ class RefundFlow {
                         <span>Service Date:</span>
                         <span>${new Date(bookingData.serviceDate).toLocaleDateString()}</span>
                     </div>
+                    <div class="detail-row">
+                        <span>Refund:</span>
+                        <span>£${evaluation.refundAmount.toFixed(2)}</span>
+                    </div>
+                    ${evaluation.fee ? `
+                    <div class="detail-row">
+                        <span>Cancellation Fee:</span>
+                        <span>£${evaluation.fee.toFixed(2)}</span>
+                    </div>` : ''}
+                    ${evaluation.depositForfeited ? `
+                    <div class="detail-row">
+                        <span>Deposit Kept:</span>
+                        <span>£${evaluation.depositForfeited.toFixed(2)}</span>
+                    </div>` : ''}
                 </div>
                 
                 <div class="refund-actions">
@@ -187,7 +172,7 @@ class RefundFlow {
         modal.style.display = 'block';
     }
 
-    showNonRefundableMessage(bookingData, policy) {
+    showNonRefundableMessage(bookingData, evaluation) {
         const modal = document.getElementById('refundModal');
         const content = document.getElementById('refundContent');
         
@@ -195,12 +180,12 @@ class RefundFlow {
             <div class="refund-not-eligible">
                 <div class="refund-info">
                     <h4>❌ Refund Not Available</h4>
-                    <p>This booking is non-refundable under the business's ${policy.name} cancellation policy.</p>
+                    <p>This booking is non-refundable under the business's ${evaluation.policy.name} cancellation policy.</p>
                 </div>
                 
                 <div class="policy-details">
                     <h5>Policy Details</h5>
-                    <p>${policy.description}</p>
+                    <ul>${this.describePolicy(evaluation)}</ul>
                 </div>
                 
                 <div class="alternative-options">
@@ -233,8 +218,9 @@ class RefundFlow {
             // Show loading state
             this.showLoadingState();
             
-            // Process refund via Stripe API
-            const refundResult = await this.processStripeRefund(bookingData);
+            // Process refund via Stripe API for the amount the policy allows
+            const { refundAmount } = this.evaluateRefund(bookingData);
+            const refundResult = await this.processStripeRefund({ ...bookingData, amount: refundAmount });
             
             if (refundResult.success) {
                 this.showRefundSuccess(bookingData, refundResult);
@@ -0,0 +1,63 @@
+/**
+ * Refund History
+ * The signed-in customer's refunds: each one with the booking, amount, reason
+ * and whether it has reached their card. A booking can be refunded in several
+ * steps (e.g. one service of an appointment), so a booking may appear more than once.
+ */
+
+class RefundHistory {
+    constructor({ apiBase = '' } = {}) {
+        this.apiBase = apiBase;
+        this.refunds = [];
+    }
+
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    // [{ id, bookingId, service, appointment, amount, currency, reason, actor, source, status, createdAt }]
+    async load({ limit = 20 } = {}) {
+        const response = await fetch(`${this.apiBase}/api/bookings/refunds?limit=${limit}`, {
+            headers: this.authHeaders()
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || result.error || 'Unable to load refunds');
+        }
+
+        this.refunds = result.refunds;
+        return result.refunds;
+    }
+
+    formatAmount(refund) {
+        const currency = (refund.currency || 'GBP').toUpperCase();
+        return new Intl.NumberFormat('en-GB', { style: 'currency', currency }).format(refund.amount);
+    }
+
+    // Where the money is, in the customer's terms
+    describeStatus(refund) {
+        switch (refund.status) {
+            case 'succeeded': return 'Refunded to your card';
+            case 'pending': return 'On its way (5-10 working days)';
+            case 'failed': return 'Refund failed – the business has been told';
+            case 'canceled': return 'Refund cancelled';
+            default: return refund.status;
+        }
+    }
+
+    // Who gave the refund back
+    describeActor(refund) {
+        switch (refund.actor) {
+            case 'business': return 'by the business';
+            case 'admin': return 'by BlkPages support';
+            case 'customer': return 'on cancellation';
+            default: return '';
+        }
+    }
+}
+
+// Export for manual initialization
+window.RefundHistory = RefundHistory;
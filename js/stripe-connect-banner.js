@@ -0,0 +1,152 @@
+/**
+ * Stripe Connect Banner
+ * Shows a business whether it can be paid (and so take online bookings), what
+ * Stripe still needs from it, and a button into Stripe's hosted onboarding.
+ *
+ * Stripe sends the business back to the payouts dashboard with ?connect=return
+ * when it leaves onboarding, or ?connect=refresh when the link has expired; the
+ * banner then re-syncs the account or opens a fresh link.
+ */
+
+class StripeConnectBanner {
+    constructor({ businessId = localStorage.getItem('businessId'), apiBase = '', container = null } = {}) {
+        const params = new URLSearchParams(window.location.search);
+        this.businessId = params.get('businessId') || businessId;
+        this.apiBase = apiBase;
+        this.returnState = params.get('connect');
+        this.container = container || document.getElementById('stripeConnectBanner');
+        this.status = null;
+
+        this.init();
+    }
+
+    async init() {
+        if (!this.container || !this.businessId) return;
+
+        try {
+            if (this.returnState === 'refresh') {
+                await this.startOnboarding();
+                return;
+            }
+            this.status = this.returnState === 'return'
+                ? await this.request('/connect/sync', { method: 'POST' }).catch(() => this.request('/connect'))
+                : await this.request('/connect');
+            this.render();
+        } catch (error) {
+            console.error('Error loading payout account status:', error);
+        }
+    }
+
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    async request(path, { method = 'GET' } = {}) {
+        const response = await fetch(
+            `${this.apiBase}/api/businesses/${encodeURIComponent(this.businessId)}${path}`,
+            { method, headers: this.authHeaders() }
+        );
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || result.message || 'Unable to load payout account');
+        }
+        return result;
+    }
+
+    async startOnboarding() {
+        const button = this.container.querySelector('[data-connect-start]');
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Opening Stripe…';
+        }
+        try {
+            const { url } = await this.request('/connect/onboarding-link', { method: 'POST' });
+            window.location.href = url;
+        } catch (error) {
+            console.error('Error starting payout setup:', error);
+            this.status = this.status || { connected: false, payoutsEnabled: false, requirements: {} };
+            this.render('Could not open Stripe. Please try again.');
+        }
+    }
+
+    // Called with the connect_status_updated socket event, or after a sync
+    update(status) {
+        this.status = status;
+        this.render();
+    }
+
+    render(error = '') {
+        const status = this.status;
+        if (!status || (status.payoutsEnabled && !(status.requirements.pastDue || []).length &&
+            !(status.requirements.currentlyDue || []).length)) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+            return;
+        }
+
+        const requirements = status.requirements || {};
+        const outstanding = [...new Set([...(requirements.pastDue || []), ...(requirements.currentlyDue || [])])];
+        const deadline = requirements.deadline ? new Date(requirements.deadline).toLocaleDateString('en-GB') : null;
+
+        let title, message, action;
+        if (!status.connected) {
+            title = 'Set up payouts to start taking bookings';
+            message = 'Customers can book and pay online once Stripe has verified your details and bank account. It takes about 5 minutes.';
+            action = 'Set up payouts';
+        } else if (!status.payoutsEnabled && !outstanding.length && (requirements.pendingVerification || []).length) {
+            title = 'Stripe is checking your details';
+            message = 'Online bookings will open as soon as Stripe has verified them. This is usually quick.';
+            action = null;
+        } else if (!status.payoutsEnabled) {
+            title = 'Online bookings are paused';
+            message = 'Stripe needs a few more details before it can pay you. Until then customers can\'t book online.';
+            action = 'Continue setup';
+        } else {
+            title = 'Stripe needs more information';
+            message = deadline
+                ? `Provide these by ${deadline} to keep taking bookings and receiving payouts.`
+                : 'Provide these to keep taking bookings and receiving payouts.';
+            action = 'Update details';
+        }
+
+        this.container.style.display = 'block';
+        this.container.innerHTML = `
+            <div role="alert" style="border:1px solid rgba(255,215,0,.45);background:rgba(255,215,0,.08);color:#fff;border-radius:12px;padding:16px 18px;margin:0 0 20px">
+                <div style="display:flex;gap:16px;align-items:flex-start;justify-content:space-between;flex-wrap:wrap">
+                    <div style="flex:1;min-width:240px">
+                        <h3 style="margin:0 0 6px;color:#FFD700;font-weight:700">${title}</h3>
+                        <p style="margin:0;color:#ddd">${message}</p>
+                        ${outstanding.length ? `
+                        <ul style="margin:10px 0 0;padding-left:18px;color:#ddd">
+                            ${outstanding.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+                        </ul>` : ''}
+                        ${error ? `<p style="margin:10px 0 0;color:#f87171">${error}</p>` : ''}
+                    </div>
+                    ${action ? `<button data-connect-start style="background:#FFD700;color:#111;border:none;border-radius:8px;padding:10px 16px;font-weight:700;cursor:pointer">${action}</button>` : ''}
+                </div>
+            </div>
+        `;
+
+        const button = this.container.querySelector('[data-connect-start]');
+        if (button) {
+            button.addEventListener('click', () => this.startOnboarding());
+        }
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value;
+        return div.innerHTML;
+    }
+}
+
+// Initialize banner
+document.addEventListener('DOMContentLoaded', function() {
+    window.stripeConnectBanner = new StripeConnectBanner();
+});
+
+// Export for manual initialization
+window.StripeConnectBanner = StripeConnectBanner;
@@ -4,7 +4,8 @@
  */
 
 class StripeReceipts {
-    constructor() {
+    constructor({ apiBase = '' } = {}) {
+        this.apiBase = apiBase;
         this.receiptTemplates = {
             customer: 'customer_receipt',
             business: 'business_receipt',
@@ -92,6 +93,58 @@ class StripeReceipts {
         }
     }
 
+    authHeaders() {
+        const authToken = localStorage.getItem('auth_token') ||
+                          localStorage.getItem('authToken') ||
+                          localStorage.getItem('token') || '';
+        return authToken ? { 'Authorization': `Bearer ${authToken}` } : {};
+    }
+
+    // Platform fee on the booking: passed in with the payment, or looked up
+    // from the business's commission rule (null when it can't be worked out)
+    async getPlatformFee(paymentData) {
+        if (paymentData.platformFee != null) {
+            return { name: paymentData.platformFeeName || 'Platform fee', amount: Number(paymentData.platformFee) };
+        }
+        if (!paymentData.businessId) return null;
+
+        try {
+            const params = new URLSearchParams({ amount: paymentData.amount });
+            if (paymentData.bookingId) params.set('bookingId', paymentData.bookingId);
+            const response = await fetch(
+                `${this.apiBase}/api/businesses/${encodeURIComponent(paymentData.businessId)}/commission?${params}`,
+                { headers: this.authHeaders() }
+            );
+            if (!response.ok) return null;
+            const quote = await response.json();
+            return { name: quote.terms.name, amount: quote.fee };
+        } catch (error) {
+            console.warn('Could not load platform fee for receipt:', error);
+            return null;
+        }
+    }
+
+    // Service price, platform fee and what the business receives; the fee lines
+    // are for the business's copy only, customers pay the service price
+    buildLineItems(amount, serviceName, platformFee) {
+        const lineItems = [{ label: serviceName || 'Service', amount }];
+        if (platformFee && platformFee.amount > 0) {
+            lineItems.push({ label: platformFee.name, amount: -platformFee.amount, businessOnly: true });
+            lineItems.push({ label: 'Paid to business', amount: amount - platformFee.amount, businessOnly: true, total: true });
+        }
+        return lineItems;
+    }
+
+    customerCopy(receiptData) {
+        return {
+            ...receiptData,
+            payment: {
+                ...receiptData.payment,
+                lineItems: (receiptData.payment.lineItems || []).filter(item => !item.businessOnly)
+            }
+        };
+    }
+
     async generateReceipt(paymentData) {
         try {
             const receiptData = await this.createReceiptData(paymentData);
@@ -132,6 +185,8 @@ class StripeReceipts {
     }
 
     async createReceiptData(paymentData) {
+        const platformFee = await this.getPlatformFee(paymentData);
+
         return {
             id: 'receipt_' + Date.now(),
             type: 'payment',
@@ -158,7 +213,8 @@ class StripeReceipts {
                 method: paymentData.paymentMethod,
                 transactionId: paymentData.stripePaymentIntentId,
                 status: 'completed',
-                date: new Date().toISOString()
+                date: new Date().toISOString(),
+                lineItems: this.buildLineItems(paymentData.amount, paymentData.serviceName, platformFee)
             },
             receipt: {
                 number: 'RCP-' + Math.random().toString(36).substr(2, 9).toUpperCase(),
@@ -209,7 +265,7 @@ class StripeReceipts {
             to: receiptData.customer.email,
             subject: `Receipt for your booking at ${receiptData.business.name}`,
             template: 'customer_receipt',
-            data: receiptData
+            data: this.customerCopy(receiptData)
         };
 
         // Mock email sending - in real implementation, call your email service
@@ -229,7 +285,7 @@ class StripeReceipts {
             to: receiptData.customer.email,
             subject: `Refund receipt for your booking at ${receiptData.business.name}`,
             template: 'refund_receipt',
-            data: receiptData
+            data: this.customerCopy(receiptData)
         };
 
         // Mock email sending
@@ -349,6 +405,8 @@ class StripeReceipts {
                         </div>
                     </div>
                     
+                    ${this.generateLineItemsHTML(receiptData.payment.lineItems)}
+
                     <div class="receipt-section">
                         <h4>Payment Information</h4>
                         <div class="receipt-info">
@@ -380,6 +438,24 @@ class StripeReceipts {
         `;
     }
 
+    generateLineItemsHTML(lineItems) {
+        // Only worth a breakdown when there is more than the service itself
+        if (!lineItems || lineItems.length < 2) return '';
+
+        return `
+                    <div class="receipt-section">
+                        <h4>Breakdown</h4>
+                        <div class="receipt-info">
+                            ${lineItems.map(item => `
+                            <div class="info-row${item.total ? ' line-total' : ''}">
+                                <span>${item.label}:</span>
+                                <span>${item.amount < 0 ? '-' : ''}£${Math.abs(item.amount).toFixed(2)}</span>
+                            </div>
+                            `).join('')}
+                        </div>
+                    </div>`;
+    }
+
     downloadReceipt() {
         const content = document.getElementById('receiptContent');
         const receiptHTML = content.innerHTML;
@@ -400,6 +476,7 @@ class StripeReceipts {
                     .receipt-section h4 { margin-bottom: 10px; }
                     .info-row { display: flex; justify-content: space-between; margin-bottom: 5px; }
                     .amount { font-weight: bold; color: #4ade80; }
+                    .line-total { font-weight: bold; border-top: 1px solid #ddd; padding-top: 5px; }
                     .status { font-weight: bold; }
                     .status.completed { color: #4ade80; }
                     .status.refunded { color: #f87171; }
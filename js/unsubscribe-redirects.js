@@ -1,17 +1,45 @@
 /**
  * Unsubscribe/Subscribe Redirect Utility
- * Handles redirects to dummy confirmation pages for marketing preferences
+ * Records marketing preferences, then redirects to the confirmation pages
  */
 
+/**
+ * Save the marketing choice on every channel in the preference centre
+ * (same as unticking "Offers & news" across the row on notification-preferences.html)
+ */
+async function saveMarketingPreference(userType, enabled) {
+    const authToken = localStorage.getItem('auth_token') || localStorage.getItem('authToken') || '';
+    const url = userType === 'business'
+        ? `/api/businesses/${encodeURIComponent(localStorage.getItem('businessId'))}/notification-preferences`
+        : '/api/notification-settings/preferences';
+
+    try {
+        const response = await fetch(url, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
+            },
+            body: JSON.stringify({
+                preferences: {
+                    email: { marketing: enabled },
+                    sms: { marketing: enabled },
+                    push: { marketing: enabled },
+                    whatsapp: { marketing: enabled }
+                }
+            })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+        console.error(`Error saving ${userType} marketing preference:`, error);
+    }
+}
+
 /**
  * Handle customer unsubscribe redirect
  */
-function handleCustomerUnsubscribe() {
-    // In a real implementation, this would:
-    // 1. Update the customer's marketing preferences in the database
-    // 2. Log the unsubscribe action
-    // 3. Redirect to confirmation page
-    
+async function handleCustomerUnsubscribe() {
+    await saveMarketingPreference('customer', false);
     console.log('Customer unsubscribe requested');
     window.location.href = 'dummy-customer-unsubscribe.html';
 }
@@ -19,12 +47,8 @@ function handleCustomerUnsubscribe() {
 /**
  * Handle customer subscribe redirect
  */
-function handleCustomerSubscribe() {
-    // In a real implementation, this would:
-    // 1. Update the customer's marketing preferences in the database
-    // 2. Log the subscribe action
-    // 3. Redirect to confirmation page
-    
+async function handleCustomerSubscribe() {
+    await saveMarketingPreference('customer', true);
     console.log('Customer subscribe requested');
     window.location.href = 'dummy-customer-subscribe.html';
 }
@@ -32,12 +56,8 @@ function handleCustomerSubscribe() {
 /**
  * Handle business unsubscribe redirect
  */
-function handleBusinessUnsubscribe() {
-    // In a real implementation, this would:
-    // 1. Update the business's marketing preferences in the database
-    // 2. Log the unsubscribe action
-    // 3. Redirect to confirmation page
-    
+async function handleBusinessUnsubscribe() {
+    await saveMarketingPreference('business', false);
     console.log('Business unsubscribe requested');
     window.location.href = 'dummy-business-unsubscribe.html';
 }
@@ -45,12 +65,8 @@ function handleBusinessUnsubscribe() {
 /**
  * Handle business subscribe redirect
  */
-function handleBusinessSubscribe() {
-    // In a real implementation, this would:
-    // 1. Update the business's marketing preferences in the database
-    // 2. Log the subscribe action
-    // 3. Redirect to confirmation page
-    
+async function handleBusinessSubscribe() {
+    await saveMarketingPreference('business', true);
     console.log('Business subscribe requested');
     window.location.href = 'dummy-business-subscribe.html';
 }
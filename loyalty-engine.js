@@ -10,6 +10,8 @@
  */
 
 const cron = require('node-cron');
+const NotificationPreferences = require('./notification-preferences');
+const UnsubscribeToken = require('./unsubscribe-token');
 
 // =====================================================
 // 🕒 BlkPages Loyalty Engine – Combined 24-Hour Job
@@ -408,7 +410,8 @@ async function notifyUser(userId, notification) {
         id: true,
         email: true,
         mobile_number: true,
-        notification_preferences: true
+        notification_preferences: true,
+        marketing_opt_in: true
       }
     });
     
@@ -417,25 +420,24 @@ async function notifyUser(userId, notification) {
       return;
     }
 
-    // Check user notification preferences
-    const preferences = user.notification_preferences || {
-      email: true,
-      sms: true,
-      push: true
-    };
+    // Check user notification preferences (loyalty category, per channel)
+    const preferences = NotificationPreferences.preferencesFor(user);
 
     // Send email notification
-    if (preferences.email && user.email) {
-      await sendEmailNotification(user.email, notification);
+    // Loyalty messages are not transactional, so each carries a signed unsubscribe link
+    if (NotificationPreferences.isAllowed(preferences, 'email', 'loyalty') && user.email) {
+      await sendEmailNotification(user.email, notification,
+        UnsubscribeToken.unsubscribeLinks({ recipientType: 'customer', recipientId: user.id, channel: 'email', category: 'loyalty' }));
     }
 
     // Send SMS notification
-    if (preferences.sms && user.mobile_number) {
-      await sendSMSNotification(user.mobile_number, notification);
+    if (NotificationPreferences.isAllowed(preferences, 'sms', 'loyalty') && user.mobile_number) {
+      await sendSMSNotification(user.mobile_number, notification,
+        UnsubscribeToken.unsubscribeLinks({ recipientType: 'customer', recipientId: user.id, channel: 'sms', category: 'loyalty' }));
     }
 
     // Send push notification
-    if (preferences.push) {
+    if (NotificationPreferences.isAllowed(preferences, 'push', 'loyalty')) {
       await sendPushNotification(userId, notification);
     }
 
@@ -450,8 +452,9 @@ async function notifyUser(userId, notification) {
 /**
  * sendEmailNotification()
  * Send email via your preferred email service
+ * unsubscribe: { url, headers } from unsubscribe-token.js, for the footer and List-Unsubscribe headers
  */
-async function sendEmailNotification(email, notification) {
+async function sendEmailNotification(email, notification, unsubscribe = null) {
   // Example with SendGrid, Nodemailer, etc.
   console.log(`📧 Email to ${email}: ${notification.title} - ${notification.message}`);
   
@@ -464,10 +467,12 @@ async function sendEmailNotification(email, notification) {
     to: email,
     from: 'noreply@blkpages.com',
     subject: notification.title,
+    headers: unsubscribe?.headers,
     html: `
       <h2>${notification.title}</h2>
       <p>${notification.message}</p>
       <p>Best regards,<br>The BlkPages Team</p>
+      ${unsubscribe ? `<p style="font-size:12px;color:#777;"><a href="${unsubscribe.url}">Unsubscribe from BlkPoints emails</a></p>` : ''}
     `
   });
   */
@@ -476,9 +481,11 @@ async function sendEmailNotification(email, notification) {
 /**
  * sendSMSNotification()
  * Send SMS via Twilio, AWS SNS, etc.
+ * unsubscribe: links from unsubscribe-token.js; the opt-out link ends the message
  */
-async function sendSMSNotification(mobileNumber, notification) {
-  console.log(`📱 SMS to ${mobileNumber}: ${notification.message}`);
+async function sendSMSNotification(mobileNumber, notification, unsubscribe = null) {
+  const body = UnsubscribeToken.withSmsFooter(`${notification.title}: ${notification.message}`, unsubscribe);
+  console.log(`📱 SMS to ${mobileNumber}: ${body}`);
   
   // Uncomment and configure your SMS service:
   /*
@@ -486,7 +493,7 @@ async function sendSMSNotification(mobileNumber, notification) {
   const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
   
   await client.messages.create({
-    body: `${notification.title}: ${notification.message}`,
+    body,
     from: process.env.TWILIO_PHONE_NUMBER,
     to: mobileNumber
   });
@@ -0,0 +1,208 @@
+// Notification preferences for BlkPages
+//
+// One preference model, channel × category, shared by every sender (the
+// communication system, the SMS messaging system, the loyalty email service,
+// the notification automation system) and the preference centre page.
+//
+// Preferences are stored as overrides of the defaults below, e.g.
+// { sms: { marketing: true }, email: { reviews: false } }, so a new category
+// or channel picks up its default for everyone. A message whose type has no
+// category (password resets, receipts, billing) is not a preference and is
+// always sent; so are booking emails, the customer's record of what they booked.
+
+const CHANNELS = ['email', 'sms', 'push', 'whatsapp'];
+const CATEGORIES = ['booking', 'reminders', 'loyalty', 'waiting_list', 'marketing', 'reviews'];
+
+const CHANNEL_LABELS = {
+    email: 'Email',
+    sms: 'SMS',
+    push: 'Push',
+    whatsapp: 'WhatsApp'
+};
+
+const CATEGORY_LABELS = {
+    booking: 'Bookings',
+    reminders: 'Reminders',
+    loyalty: 'BlkPoints & loyalty',
+    waiting_list: 'Waiting list offers',
+    marketing: 'Offers & news',
+    reviews: 'Review requests'
+};
+
+// Marketing is opt-in everywhere; SMS is kept to time-sensitive messages and
+// WhatsApp is off until the recipient turns it on
+const DEFAULT_PREFERENCES = {
+    email: { booking: true, reminders: true, loyalty: true, waiting_list: true, marketing: false, reviews: true },
+    sms: { booking: true, reminders: true, loyalty: false, waiting_list: true, marketing: false, reviews: false },
+    push: { booking: true, reminders: true, loyalty: true, waiting_list: true, marketing: false, reviews: true },
+    whatsapp: { booking: false, reminders: false, loyalty: false, waiting_list: false, marketing: false, reviews: false }
+};
+
+// Cannot be turned off
+const REQUIRED = {
+    email: ['booking']
+};
+
+// Message types used across the senders, by category
+const TYPE_CATEGORIES = {
+    booking: 'booking',
+    'booking.create': 'booking',
+    'booking.cancel': 'booking',
+    'booking.reschedule': 'booking',
+    confirmation: 'booking',
+    cancellation: 'booking',
+    reschedule: 'booking',
+    refund: 'booking',
+    reminder: 'reminders',
+    booking_reminder: 'reminders',
+    loyalty: 'loyalty',
+    'booking-pending': 'loyalty',
+    'points-confirmed': 'loyalty',
+    'referral-confirmed': 'loyalty',
+    waiting_list_offer: 'waiting_list',
+    'waitinglist.slot.opened': 'waiting_list',
+    marketing: 'marketing',
+    promotional: 'marketing',
+    'referral-promo': 'marketing',
+    'expiry-warning': 'marketing',
+    review_request: 'reviews',
+    reviews: 'reviews'
+};
+
+function isRequired(channel, category) {
+    return (REQUIRED[channel] || []).includes(category);
+}
+
+/**
+ * Full channel × category matrix from stored overrides. Also reads the older
+ * shapes still found on user records: channel switches ({ email, sms, push })
+ * and a marketing_opt_in flag.
+ * @param {Object} [stored] - { [channel]: { [category]: boolean } } or { email: true, sms: false }
+ * @param {Object} [legacy] - { marketingOptIn }
+ * @returns {Object} { [channel]: { [category]: boolean } }
+ */
+function normalizePreferences(stored, { marketingOptIn } = {}) {
+    const preferences = {};
+    CHANNELS.forEach(channel => {
+        const value = stored?.[channel];
+        preferences[channel] = {};
+        CATEGORIES.forEach(category => {
+            let enabled = DEFAULT_PREFERENCES[channel][category];
+            if (typeof value === 'boolean') enabled = value && (category !== 'marketing' || enabled);
+            if (value && typeof value[category] === 'boolean') enabled = value[category];
+            if (category === 'marketing' && typeof marketingOptIn === 'boolean' && typeof value?.marketing !== 'boolean') {
+                enabled = marketingOptIn && channel !== 'whatsapp' && value !== false;
+            }
+            preferences[channel][category] = enabled || isRequired(channel, category);
+        });
+    });
+    return preferences;
+}
+
+/**
+ * Preferences from a customer, business or user record, whichever shape it keeps them in
+ * @param {Object} record - Row or user with notification_preferences and/or marketing_opt_in
+ * @returns {Object} { [channel]: { [category]: boolean } }
+ */
+function preferencesFor(record) {
+    return normalizePreferences(record?.notification_preferences || record?.notificationPreferences, {
+        marketingOptIn: record?.marketing_opt_in ?? record?.marketingOptIn
+    });
+}
+
+/**
+ * Check changes a customer or business is about to save
+ * @param {Object} changes - { [channel]: { [category]: boolean } }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validatePreferences(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return ['Preferences must be an object of channels'];
+    }
+
+    const errors = [];
+    Object.entries(changes).forEach(([channel, categories]) => {
+        if (!CHANNELS.includes(channel)) {
+            errors.push(`Unknown channel "${channel}" (use ${CHANNELS.join(', ')})`);
+            return;
+        }
+        if (!categories || typeof categories !== 'object') {
+            errors.push(`${CHANNEL_LABELS[channel]}: categories must be an object`);
+            return;
+        }
+        Object.entries(categories).forEach(([category, enabled]) => {
+            if (!CATEGORIES.includes(category)) {
+                errors.push(`Unknown category "${category}" (use ${CATEGORIES.join(', ')})`);
+            } else if (typeof enabled !== 'boolean') {
+                errors.push(`${CHANNEL_LABELS[channel]} ${CATEGORY_LABELS[category]}: must be true or false`);
+            } else if (!enabled && isRequired(channel, category)) {
+                errors.push(`${CHANNEL_LABELS[channel]} ${CATEGORY_LABELS[category]} cannot be turned off`);
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Overrides to store after applying changes: only values that differ from the defaults
+ * @param {Object} stored - Current overrides
+ * @param {Object} changes - { [channel]: { [category]: boolean } }
+ * @returns {Object} New overrides
+ */
+function mergePreferences(stored, changes) {
+    const current = normalizePreferences(stored);
+    const overrides = {};
+    CHANNELS.forEach(channel => {
+        CATEGORIES.forEach(category => {
+            const enabled = changes?.[channel]?.[category] ?? current[channel][category];
+            if (enabled !== DEFAULT_PREFERENCES[channel][category]) {
+                overrides[channel] = { ...overrides[channel], [category]: enabled };
+            }
+        });
+    });
+    return overrides;
+}
+
+/**
+ * Category a message type belongs to
+ * @param {string} type - Event, template or SMS type, e.g. 'booking_reminder', 'promotional'
+ * @returns {string|null} Category, or null when the message is not preference-controlled
+ */
+function categoryFor(type) {
+    return TYPE_CATEGORIES[type] || null;
+}
+
+/**
+ * Whether a message may go out on a channel
+ * @param {Object} preferences - Stored overrides or a full matrix
+ * @param {string} channel - email, sms, push, whatsapp
+ * @param {string|null} category - From categoryFor(); null is always allowed
+ * @returns {boolean}
+ */
+function isAllowed(preferences, channel, category) {
+    if (!category) return true;
+    return normalizePreferences(preferences)[channel]?.[category] === true;
+}
+
+const NotificationPreferences = {
+    CHANNELS,
+    CATEGORIES,
+    CHANNEL_LABELS,
+    CATEGORY_LABELS,
+    DEFAULT_PREFERENCES,
+    REQUIRED,
+    normalizePreferences,
+    preferencesFor,
+    validatePreferences,
+    mergePreferences,
+    categoryFor,
+    isAllowed
+};
+
+// Export for Node (senders, backend services) and the browser (preference centre, SMS messaging)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationPreferences;
+}
+if (typeof window !== 'undefined') {
+    window.NotificationPreferences = NotificationPreferences;
+}
@@ -25,7 +25,8 @@ const functions = getFunctions(app);
 // Initialize Stripe
 let stripe, elements;
 let booking = JSON.parse(localStorage.getItem("bookingSummary") || "{}");
-let baseTotal = Number(booking?.total || 0);
+// Deposit-mode services only charge the deposit now (see createPaymentIntent)
+let baseTotal = Number(booking?.depositAmount || booking?.total || 0);
 let pointsAvailable = 0;
 let phoneVerified = false;
 let pointsUsed = 0; // number of points to deduct (e.g., 500 for £5)
@@ -41,6 +42,16 @@ const pointsSelector = document.getElementById("pointsSelector");
 const blkError = document.getElementById("blkError");
 const applyBtn = document.getElementById("applyBlkPoints");
 const payBtn = document.getElementById("completePayment");
+const depositNoteEl = document.getElementById("depositNote");
+
+// Opened as ?balance=<bookingId>&token=... to pay what is left on a deposit booking,
+// or ?group=<groupId>&share=<bookingId>&token=... to pay for a place in a group booking
+const pageParams = new URLSearchParams(window.location.search);
+const separatePayment = pageParams.get("balance") && window.BookingBalance
+  ? new window.BookingBalance({ bookingId: pageParams.get("balance"), token: pageParams.get("token") })
+  : pageParams.get("share") && window.BookingGroupShare
+    ? new window.BookingGroupShare({ groupId: pageParams.get("group"), bookingId: pageParams.get("share"), token: pageParams.get("token") })
+    : null;
 
 function setPayEnabled(enabled) {
   if (payBtn) payBtn.disabled = !enabled;
@@ -50,12 +61,95 @@ function renderSummary() {
   if (totalDueEl) {
     totalDueEl.textContent = GBP(baseTotal - pointsUsed * rate);
   }
+  if (depositNoteEl) {
+    depositNoteEl.hidden = !(booking?.depositAmount || booking?.nonRefundableDeposit) || Boolean(separatePayment);
+    depositNoteEl.textContent = booking?.depositAmount
+      ? `Non-refundable deposit. The remaining ${GBP(Number(booking.balanceDue || 0))} is paid after your appointment.`
+      : booking?.nonRefundableDeposit
+        ? `${GBP(Number(booking.nonRefundableDeposit))} of this payment is a non-refundable deposit.`
+        : "";
+  }
+}
+
+// Slot hold made when the time was chosen (see BookingSystem.holdSlot).
+// Released if the customer leaves or the payment fails, so others can book it.
+let paymentInFlight = false;
+
+async function ensureSlotHold() {
+  if (booking?.holdId) return booking.holdId;
+  if (booking?.groupId) return null; // a group's holds are made when the organiser picks the time
+  if (!booking?.businessId || !(booking?.serviceId || booking?.serviceIds?.length) || !booking?.startTime) return null;
+
+  const res = await fetch("/api/holds", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      businessId: booking.businessId,
+      serviceId: booking.serviceId,
+      serviceIds: booking.serviceIds,
+      staffId: booking.staffId,
+      startTime: booking.startTime
+    })
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(json.reason || "That time has just been taken. Please choose another slot.");
+  }
+
+  booking.holdId = json.holdId;
+  booking.depositAmount = json.depositAmount;
+  booking.balanceDue = json.balanceDue;
+  booking.nonRefundableDeposit = json.nonRefundableDeposit || null;
+  localStorage.setItem("bookingSummary", JSON.stringify(booking));
+  return booking.holdId;
+}
+
+function releaseSlotHold(reason) {
+  if (!booking?.holdId && !booking?.groupId) return;
+  // A group's holds are released with the hold token from when the time was picked
+  const body = new Blob([JSON.stringify({ reason, token: booking.groupHoldToken || null })], { type: "application/json" });
+  navigator.sendBeacon(booking.groupId
+    ? `/api/groups/${encodeURIComponent(booking.groupId)}/release`
+    : `/api/holds/${encodeURIComponent(booking.holdId)}/release`, body);
+  delete booking.holdId;
+  delete booking.groupId;
+  delete booking.groupHoldToken;
+  localStorage.setItem("bookingSummary", JSON.stringify(booking));
+}
+
+// Balance on a deposit booking or a group share: its own PaymentIntent from the booking API, no points
+async function paySeparately() {
+  const { clientSecret } = await separatePayment.startPayment();
+
+  paymentInFlight = true;
+  const { error, paymentIntent } = await stripe.confirmPayment({
+    clientSecret,
+    elements,
+    confirmParams: { return_url: window.location.origin + "/payment-success.html" },
+    redirect: "if_required"
+  });
+  if (error) {
+    throw new Error(error.message || "Payment failed. Please check details and try again.");
+  }
+
+  await separatePayment.confirm(paymentIntent.id);
+  window.location.href = "/payment-success.html";
 }
 
+window.addEventListener("pagehide", () => {
+  if (!paymentInFlight) releaseSlotHold("abandoned");
+});
+
 function buildPointsButtons() {
   if (!pointsSelector) return;
   
   pointsSelector.innerHTML = "";
+  if (separatePayment) {
+    const note = document.createElement("p");
+    note.textContent = "BlkPoints can be used when you book, not on this payment.";
+    pointsSelector.appendChild(note);
+    return;
+  }
   const maxCash = pointsAvailable * rate;
   const steps = Math.floor(Math.min(maxCash, baseTotal) / 5); // cannot exceed total
   
@@ -176,6 +270,18 @@ async function initDemoUser() {
 }
 
 document.addEventListener("DOMContentLoaded", async () => {
+  if (separatePayment) {
+    try {
+      await separatePayment.load();
+      baseTotal = separatePayment.amountDue;
+    } catch (e) {
+      if (blkError) {
+        blkError.textContent = e.message;
+        blkError.style.display = "block";
+      }
+    }
+  }
+
   // Show total and summary items
   renderSummary();
 
@@ -222,6 +328,11 @@ document.addEventListener("DOMContentLoaded", async () => {
       setPayEnabled(false);
 
       try {
+        if (separatePayment) {
+          await paySeparately();
+          return;
+        }
+
         const amountAfter = Math.max(baseTotal - pointsUsed * rate, 0);
         if (amountAfter <= 0) {
           if (blkError) {
@@ -241,11 +352,16 @@ document.addEventListener("DOMContentLoaded", async () => {
           return;
         }
 
+        const holdId = await ensureSlotHold();
+
         const createPI = httpsCallable(functions, "createPaymentIntent");
         const resp = await createPI({
           bookingId: booking?.id || "",
+          holdId,
+          groupId: booking?.groupId || null,
           amountGBP: Number(amountAfter.toFixed(2)),
-          pointsUsed
+          pointsUsed,
+          paymentType: booking?.depositAmount ? "deposit" : "full"
         });
 
         const clientSecret = resp.data.clientSecret;
@@ -258,7 +374,8 @@ document.addEventListener("DOMContentLoaded", async () => {
           }
         };
 
-        const { error } = await stripe.confirmPayment({
+        paymentInFlight = true;
+        const { error, paymentIntent } = await stripe.confirmPayment({
           clientSecret,
           elements,
           confirmParams: {
@@ -269,6 +386,8 @@ document.addEventListener("DOMContentLoaded", async () => {
         });
 
         if (error) {
+          paymentInFlight = false;
+          releaseSlotHold("payment_failed");
           if (blkError) {
             blkError.textContent = error.message || "Payment failed. Please check details and try again.";
             blkError.style.display = "block";
@@ -279,13 +398,33 @@ document.addEventListener("DOMContentLoaded", async () => {
 
         // Deduct points + mark booking
         const finalize = httpsCallable(functions, "finalizeBooking");
-        await finalize({ bookingId: booking?.id || "", pointsUsed });
+        const finalized = await finalize({
+          bookingId: booking?.id || "",
+          holdId,
+          groupId: booking?.groupId || null,
+          paymentIntentId: paymentIntent?.id,
+          customerEmail: booking?.customerEmail,
+          pointsUsed,
+          repeat: booking?.repeat || null
+        });
+
+        // Group organisers paying only their own place get a link to send each attendee
+        if (finalized.data.payLinks?.length) {
+          sessionStorage.setItem("groupPayLinks", JSON.stringify(finalized.data.payLinks));
+        }
 
-        // Clean up and go to success page
+        // Clean up (including a basket that has just been booked) and go to success page
+        if (booking?.serviceIds?.length) window.persistentBasketSystem?.clearCurrentBasket();
         localStorage.removeItem("bookingSummary");
         window.location.href = "/payment-success.html";
       } catch (e) {
         console.error('Payment error:', e);
+        paymentInFlight = false;
+        // A lapsed hold is dropped so the next attempt reserves the slot again
+        if (e.code === "functions/failed-precondition" && booking?.holdId) {
+          delete booking.holdId;
+          localStorage.setItem("bookingSummary", JSON.stringify(booking));
+        }
         if (blkError) {
           blkError.textContent = e.message || "Unexpected error. Please try again.";
           blkError.style.display = "block";
@@ -0,0 +1,241 @@
+// Recipient time zones and quiet hours for BlkPages notifications
+//
+// One set of rules shared by the notification automation system, the
+// communication system and the backend services, so every message is
+// timed and worded for the person receiving it.
+//
+// Two zones are in play for a booking message: the appointment time is
+// always shown in the business's zone (that is when the customer has to turn
+// up), while quiet hours and anything about "now" (offer deadlines, when a
+// message goes out) follow the recipient's own zone and locale.
+//
+// Appointment times are stored as local wall-clock timestamps
+// ("2025-11-08T10:30:00", no offset); those are read as a time in the
+// business's zone rather than converted.
+
+const DEFAULT_SETTINGS = {
+    timezone: 'Europe/London',
+    locale: 'en-GB',
+    quietHoursStart: '21:00',
+    quietHoursEnd: '08:00'
+};
+
+const DATE_TIME_FORMAT = {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WALL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/;
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function isValidTimezone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isValidLocale(locale) {
+    if (!locale || typeof locale !== 'string') return false;
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Fill in defaults on stored or submitted settings. An unknown zone or
+ * locale falls back to the platform default rather than failing a send.
+ * quietHoursStart/End of null means no quiet hours.
+ * @param {Object} [settings] - { timezone, locale, quietHoursStart, quietHoursEnd }
+ * @returns {Object} { timezone, locale, quietHoursStart, quietHoursEnd }
+ */
+function normalizeSettings(settings) {
+    const quietOff = settings && settings.quietHoursStart === null && settings.quietHoursEnd === null;
+    return {
+        timezone: isValidTimezone(settings?.timezone) ? settings.timezone : DEFAULT_SETTINGS.timezone,
+        locale: isValidLocale(settings?.locale) ? settings.locale : DEFAULT_SETTINGS.locale,
+        quietHoursStart: quietOff ? null : (settings?.quietHoursStart || DEFAULT_SETTINGS.quietHoursStart).slice(0, 5),
+        quietHoursEnd: quietOff ? null : (settings?.quietHoursEnd || DEFAULT_SETTINGS.quietHoursEnd).slice(0, 5)
+    };
+}
+
+/**
+ * Check settings a customer or business is about to save
+ * @param {Object} settings - { timezone, locale, quietHoursStart, quietHoursEnd }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateSettings(settings) {
+    const errors = [];
+    if (!settings || typeof settings !== 'object') return ['Settings must be an object'];
+
+    const { timezone, locale, quietHoursStart, quietHoursEnd } = settings;
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+        errors.push('Time zone must be an IANA zone such as Europe/London');
+    }
+    if (locale !== undefined && !isValidLocale(locale)) {
+        errors.push('Locale must be a language tag such as en-GB');
+    }
+
+    if ((quietHoursStart === null) !== (quietHoursEnd === null)) {
+        errors.push('Set both ends of quiet hours, or neither to turn them off');
+    }
+    if (quietHoursStart && !TIME_PATTERN.test(quietHoursStart)) errors.push('Quiet hours start must be HH:MM');
+    if (quietHoursEnd && !TIME_PATTERN.test(quietHoursEnd)) errors.push('Quiet hours end must be HH:MM');
+    if (quietHoursStart && quietHoursStart === quietHoursEnd) {
+        errors.push('Quiet hours must start and end at different times');
+    }
+
+    return errors;
+}
+
+/**
+ * Calendar date and clock time of an instant in a time zone
+ * @param {Date|string|number} instant - Moment in time
+ * @param {string} timeZone - IANA zone
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes, offsetMinutes }
+ */
+function zonedParts(instant, timeZone) {
+    const date = new Date(instant);
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+
+    const wallAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        offsetMinutes: Math.round((wallAsUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000)
+    };
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone
+ * @param {string} wallTime - 'YYYY-MM-DDTHH:MM[:SS]' with no offset
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+function wallTimeToInstant(wallTime, timeZone) {
+    const [, year, month, day, hours, minutes, seconds] = wallTime.match(WALL_TIME_PATTERN).map(part => Number(part || 0));
+    const wallAsUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    // The zone's offset at the guess can differ from the one at the answer across a clock change
+    let instant = wallAsUtc - zonedParts(wallAsUtc, timeZone).offsetMinutes * 60000;
+    instant = wallAsUtc - zonedParts(instant, timeZone).offsetMinutes * 60000;
+    return new Date(instant);
+}
+
+function isWallTime(dateTime) {
+    return typeof dateTime === 'string' && WALL_TIME_PATTERN.test(dateTime);
+}
+
+/**
+ * A stored appointment time or timestamp as an instant. Wall-clock strings
+ * are read in the given zone (the business's, for appointments).
+ * @param {Date|string} dateTime - Date, ISO string with offset, or local wall time
+ * @param {string} [timeZone] - Zone wall-clock strings are in
+ * @returns {Date}
+ */
+function toInstant(dateTime, timeZone = DEFAULT_SETTINGS.timezone) {
+    if (isWallTime(dateTime)) {
+        return wallTimeToInstant(dateTime, isValidTimezone(timeZone) ? timeZone : DEFAULT_SETTINGS.timezone);
+    }
+    return new Date(dateTime);
+}
+
+/**
+ * Format a time for a message
+ * @param {Date|string} dateTime - Instant, or a wall-clock time already in timeZone
+ * @param {string} [timeZone] - Zone to show it in
+ * @param {string} [locale] - Recipient's locale, e.g. 'en-GB', 'fr-FR'
+ * @param {Object} [options] - Intl.DateTimeFormat fields (default: weekday, date and time)
+ * @returns {string} e.g. "Saturday 8 November 2025 at 10:30"
+ */
+function formatDateTime(dateTime, timeZone, locale, options = DATE_TIME_FORMAT) {
+    const zone = isValidTimezone(timeZone) ? timeZone : DEFAULT_SETTINGS.timezone;
+    return toInstant(dateTime, zone).toLocaleString(isValidLocale(locale) ? locale : DEFAULT_SETTINGS.locale, {
+        ...options,
+        timeZone: zone
+    });
+}
+
+/**
+ * Whether it is the middle of the night (or whenever they asked not to be disturbed) for a recipient
+ * @param {Object} [settings] - { timezone, quietHoursStart, quietHoursEnd }
+ * @param {Date} [at] - Moment to check (default now)
+ * @returns {boolean}
+ */
+function isQuietHours(settings, at = new Date()) {
+    const { timezone, quietHoursStart, quietHoursEnd } = normalizeSettings(settings);
+    if (!quietHoursStart) return false;
+
+    const minutes = zonedParts(at, timezone).minutes;
+    const start = toMinutes(quietHoursStart);
+    const end = toMinutes(quietHoursEnd);
+    return start > end
+        ? minutes >= start || minutes < end // overnight, e.g. 21:00–08:00
+        : minutes >= start && minutes < end;
+}
+
+/**
+ * When a non-urgent message can go to a recipient: now, or when their quiet hours end
+ * @param {Object} [settings] - { timezone, quietHoursStart, quietHoursEnd }
+ * @param {Date} [at] - When it would otherwise be sent (default now)
+ * @returns {Date}
+ */
+function nextSendTime(settings, at = new Date()) {
+    const instant = new Date(at);
+    if (!isQuietHours(settings, instant)) return instant;
+
+    const { timezone, quietHoursStart, quietHoursEnd } = normalizeSettings(settings);
+    const local = zonedParts(instant, timezone);
+
+    // Before midnight in an overnight quiet period, it ends tomorrow
+    let endDate = local.date;
+    if (toMinutes(quietHoursStart) > toMinutes(quietHoursEnd) && local.minutes >= toMinutes(quietHoursStart)) {
+        const [year, month, day] = local.date.split('-').map(Number);
+        endDate = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+    }
+    return wallTimeToInstant(`${endDate}T${quietHoursEnd}`, timezone);
+}
+
+const RecipientTime = {
+    DEFAULT_SETTINGS,
+    isValidTimezone,
+    isValidLocale,
+    normalizeSettings,
+    validateSettings,
+    zonedParts,
+    toInstant,
+    formatDateTime,
+    isQuietHours,
+    nextSendTime
+};
+
+// Export for Node (communication system, backend services) and the browser (automation system)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipientTime;
+}
+if (typeof window !== 'undefined') {
+    window.RecipientTime = RecipientTime;
+}
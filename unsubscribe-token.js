@@ -0,0 +1,140 @@
+// Signed unsubscribe links for BlkPages emails and SMS
+//
+// Every non-transactional message (reminders, loyalty, waiting list offers,
+// marketing, review requests) carries a link that turns off that category on
+// that channel for that recipient, without signing in. The link is an HMAC
+// signed token, so it cannot be forged or pointed at someone else, and it
+// expires so old forwarded emails stop working.
+//
+// Emails also get RFC 8058 List-Unsubscribe / List-Unsubscribe-Post headers:
+// the mail client POSTs "List-Unsubscribe=One-Click" to the API link and the
+// opt-out is recorded with no page in between. The footer link opens
+// unsubscribe.html, which asks before unsubscribing, because link scanners
+// follow GET links in emails.
+//
+// Server only: signing needs UNSUBSCRIBE_SECRET (or JWT_SECRET).
+
+const crypto = require('crypto');
+const NotificationPreferences = require('./notification-preferences');
+
+const TOKEN_TTL_DAYS = 90;
+
+// Kept short so the link fits in an SMS footer
+const RECIPIENT_CODES = { customer: 'c', business: 'b' };
+const RECIPIENT_TYPES = { c: 'customer', b: 'business' };
+
+function secret() {
+    const key = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+    if (!key) {
+        throw new Error('UNSUBSCRIBE_SECRET is not set; unsubscribe links cannot be signed');
+    }
+    return key;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', secret()).update(payload).digest('base64url').slice(0, 22);
+}
+
+function baseUrl() {
+    return (process.env.FRONTEND_URL || process.env.PUBLIC_BASE_URL || 'https://blkpages.com').replace(/\/$/, '');
+}
+
+/**
+ * Booking messages are transactional and carry no unsubscribe link; so do
+ * messages with no category (receipts, password resets)
+ * @param {string|null} category - From NotificationPreferences.categoryFor()
+ * @returns {boolean}
+ */
+function isTransactional(category) {
+    return !category || category === 'booking';
+}
+
+/**
+ * Signed token for one recipient, channel and category
+ * @param {Object} target - { recipientType: 'customer'|'business', recipientId, channel, category }
+ * @param {Object} [options] - { ttlDays, now }
+ * @returns {string}
+ */
+function createToken({ recipientType, recipientId, channel, category }, { ttlDays = TOKEN_TTL_DAYS, now = new Date() } = {}) {
+    if (!RECIPIENT_CODES[recipientType]) throw new Error(`Unknown recipient type "${recipientType}"`);
+    if (!NotificationPreferences.CHANNELS.includes(channel)) throw new Error(`Unknown channel "${channel}"`);
+    if (!NotificationPreferences.CATEGORIES.includes(category)) throw new Error(`Unknown category "${category}"`);
+
+    const expires = Math.floor(new Date(now).getTime() / 1000) + ttlDays * 86400;
+    const payload = Buffer.from(
+        [RECIPIENT_CODES[recipientType], recipientId, channel, category, expires].join('|')
+    ).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a token from a link or a one-click POST
+ * @param {string} token
+ * @param {Date} [now]
+ * @returns {Object} { valid: true, recipientType, recipientId, channel, category, expiresAt }
+ *   or { valid: false, reason: 'invalid'|'expired' }
+ */
+function verifyToken(token, now = new Date()) {
+    const [payload, signature, extra] = String(token || '').split('.');
+    if (!payload || !signature || extra !== undefined) return { valid: false, reason: 'invalid' };
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    const [code, recipientId, channel, category, expires] = Buffer.from(payload, 'base64url').toString().split('|');
+    if (!RECIPIENT_TYPES[code] || !recipientId || !NotificationPreferences.CHANNELS.includes(channel) ||
+        !NotificationPreferences.CATEGORIES.includes(category)) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    const expiresAt = new Date(Number(expires) * 1000);
+    if (!(expiresAt > new Date(now))) return { valid: false, reason: 'expired' };
+
+    return { valid: true, recipientType: RECIPIENT_TYPES[code], recipientId, channel, category, expiresAt };
+}
+
+/**
+ * Everything a sender needs to put in a non-transactional message
+ * @param {Object} target - { recipientType, recipientId, channel, category }
+ * @param {string} [frontendUrl] - Site the links point at (default FRONTEND_URL)
+ * @returns {Object|null} { token, url, oneClickUrl, headers } or null for transactional messages
+ *   url: footer link (confirmation page); oneClickUrl: RFC 8058 POST target;
+ *   headers: List-Unsubscribe headers for emails
+ */
+function unsubscribeLinks(target, frontendUrl = baseUrl()) {
+    if (isTransactional(target.category) || !target.recipientId) return null;
+
+    const token = createToken(target);
+    const oneClickUrl = `${frontendUrl}/api/unsubscribe?token=${token}`;
+    return {
+        token,
+        url: `${frontendUrl}/unsubscribe.html?token=${token}`,
+        oneClickUrl,
+        headers: {
+            'List-Unsubscribe': `<${oneClickUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    };
+}
+
+/**
+ * SMS text with its opt-out link appended (unchanged for transactional messages)
+ * @param {string} message
+ * @param {Object|null} links - From unsubscribeLinks()
+ * @returns {string}
+ */
+function withSmsFooter(message, links) {
+    return links ? `${message} Opt out: ${links.url}` : message;
+}
+
+module.exports = {
+    TOKEN_TTL_DAYS,
+    isTransactional,
+    createToken,
+    verifyToken,
+    unsubscribeLinks,
+    withSmsFooter
+};
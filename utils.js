@@ -1,116 +1,92 @@
 // Utility functions for BlkPages booking system
 
+// Booking links (cancel, reschedule, manage) carry one signed token scheme:
+// base64url("bookingId|expiry") plus an HMAC of it, so a link cannot be
+// forged or pointed at another booking. Server only: signing needs
+// MANAGE_LINK_SECRET (or JWT_SECRET).
+
+function bookingLinkSecret() {
+    const key = process.env.MANAGE_LINK_SECRET || process.env.JWT_SECRET;
+    if (!key) {
+        throw new Error('MANAGE_LINK_SECRET is not set; booking links cannot be signed');
+    }
+    return key;
+}
+
+function signBookingToken(payload) {
+    return require('crypto').createHmac('sha256', bookingLinkSecret()).update(payload).digest('base64url');
+}
+
 /**
- * Generate a secure cancellation token for guest users
+ * Generate the signed token for a booking's cancel / manage link
  * @param {string} bookingId - The booking ID
- * @param {string} customerEmail - The customer's email
  * @param {number} expiryHours - Hours until token expires (default: 24)
- * @returns {string} Secure token
+ * @returns {string} Signed token
  */
-function generateSecureToken(bookingId, customerEmail, expiryHours = 24) {
-    // In a real application, this would use a secure random generator
-    // and be stored server-side with proper encryption
-    const timestamp = Date.now();
-    const expiry = timestamp + (expiryHours * 60 * 60 * 1000);
-    
-    // Create a simple hash (in production, use proper crypto)
-    const data = `${bookingId}-${customerEmail}-${timestamp}-${expiry}`;
-    const token = btoa(data).replace(/[^a-zA-Z0-9]/g, '');
-    
-    return token;
+function generateSecureToken(bookingId, expiryHours = 24) {
+    const expiry = Date.now() + (expiryHours * 60 * 60 * 1000);
+    const payload = Buffer.from(`${bookingId}|${expiry}`).toString('base64url');
+    return `${payload}.${signBookingToken(payload)}`;
 }
 
 /**
- * Validate a secure token
+ * Validate a signed booking token
  * @param {string} bookingId - The booking ID
  * @param {string} token - The token to validate
- * @returns {boolean} Whether the token is valid
+ * @returns {boolean} Whether the token was signed for this booking and has not expired
  */
 function validateSecureToken(bookingId, token) {
-    try {
-        // Decode the token
-        const decoded = atob(token);
-        const parts = decoded.split('-');
-        
-        if (parts.length !== 4) return false;
-        
-        const [tokenBookingId, email, timestamp, expiry] = parts;
-        
-        // Check if booking ID matches
-        if (tokenBookingId !== bookingId) return false;
-        
-        // Check if token has expired
-        const now = Date.now();
-        if (now > parseInt(expiry)) return false;
-        
-        return true;
-    } catch (error) {
+    const [payload, signature, extra] = String(token || '').split('.');
+    if (!payload || !signature || extra !== undefined) return false;
+
+    const expected = Buffer.from(signBookingToken(payload));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !require('crypto').timingSafeEqual(given, expected)) {
         return false;
     }
+
+    const [tokenBookingId, expiry] = Buffer.from(payload, 'base64url').toString().split('|');
+    return tokenBookingId === String(bookingId) && Date.now() <= Number(expiry);
 }
 
 /**
  * Generate cancellation URL for guest users
  * @param {string} bookingId - The booking ID
- * @param {string} customerEmail - The customer's email
  * @param {string} baseUrl - The base URL of the application
+ * @param {number} expiryHours - Hours until the link expires (default: 24)
  * @returns {string} Cancellation URL
  */
-function generateCancellationUrl(bookingId, customerEmail, baseUrl = '') {
-    const token = generateSecureToken(bookingId, customerEmail);
+function generateCancellationUrl(bookingId, baseUrl = '', expiryHours = 24) {
+    const token = generateSecureToken(bookingId, expiryHours);
     return `${baseUrl}/cancel-booking.html?booking=${bookingId}&token=${token}`;
 }
 
 /**
- * Check if a booking can be cancelled based on business policy
- * @param {Object} booking - The booking object
- * @param {Object} businessPolicy - The business's cancellation policy
- * @returns {Object} Cancellation status and fee
+ * Check if a booking can be cancelled based on business policy.
+ * Uses the shared policy engine (cancellation-policy.js) so the result
+ * matches what the refund flow and the backend will actually do.
+ * @param {Object} booking - The booking object ({ dateTime, totalAmount, amountPaid, depositAmount, paymentMode, depositRefundable })
+ * @param {string|Object} businessPolicy - Preset name or the business's policy tiers
+ * @returns {Object} Cancellation status, fee and refund
  */
 function checkCancellationEligibility(booking, businessPolicy) {
-    const now = new Date();
-    const bookingDate = new Date(booking.dateTime);
-    const hoursUntilBooking = (bookingDate - now) / (1000 * 60 * 60);
-    
-    // Check if booking is in the past
-    if (hoursUntilBooking < 0) {
-        return {
-            canCancel: false,
-            reason: 'Booking is in the past',
-            fee: 0
-        };
-    }
-    
-    // Check business policy
-    if (!businessPolicy.allowCancellation) {
-        return {
-            canCancel: false,
-            reason: 'Business does not allow cancellations',
-            fee: 0
-        };
-    }
-    
-    // Check time-based policy
-    if (hoursUntilBooking < businessPolicy.freeCancellationHours) {
-        if (hoursUntilBooking < businessPolicy.partialRefundHours) {
-            return {
-                canCancel: true,
-                reason: 'Within partial refund window',
-                fee: businessPolicy.partialRefundFee
-            };
-        } else {
-            return {
-                canCancel: false,
-                reason: 'Too close to booking time',
-                fee: 0
-            };
-        }
-    }
-    
+    const policyEngine = typeof module !== 'undefined' && module.exports
+        ? require('./cancellation-policy')
+        : window.CancellationPolicy;
+
+    const evaluation = policyEngine.evaluateCancellation(businessPolicy, {
+        amountPaid: booking.amountPaid ?? booking.totalAmount,
+        depositAmount: booking.depositAmount,
+        depositRefundable: booking.depositRefundable ?? booking.paymentMode !== 'deposit',
+        appointmentTime: booking.dateTime
+    });
+
     return {
-        canCancel: true,
-        reason: 'Free cancellation',
-        fee: 0
+        canCancel: evaluation.canCancel,
+        reason: evaluation.reason,
+        fee: evaluation.fee,
+        refundAmount: evaluation.refundAmount,
+        depositForfeited: evaluation.depositForfeited
     };
 }
 
@@ -0,0 +1,205 @@
+// Waiting list preference windows for BlkPages
+//
+// One matcher shared by the waiting list service (backend/services/waitingListService.js),
+// the notification automation system and the join form, so a released slot is
+// only ever offered to customers it actually suits.
+//
+// Preferences are an optional date range plus weekly time windows, e.g.
+// "any weekday after 5pm in the next two weeks" or "Saturday mornings only".
+// A slot fits when its date is inside the range and its start time falls in at
+// least one window; no windows means any time. Staff preference lives on the
+// entry itself (no stylist = any stylist).
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Longest a customer can ask to wait for
+const MAX_RANGE_DAYS = 90;
+
+// How much a good fit moves a customer up for one particular slot
+const FIT_POINTS = {
+    window: 15,    // the slot is in a time window they asked for
+    dateRange: 5,  // they only need something before a date
+    stylist: 10    // the slot is with the stylist they asked for
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Date, weekday and minutes of a slot. Local timestamps ("2025-11-08T10:30:00")
+// are read as written so the server's time zone never shifts a slot into another day.
+function slotParts(slotStart) {
+    const match = typeof slotStart === 'string' && slotStart.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/);
+    if (match) {
+        const [, year, month, day, hours, minutes] = match.map(Number);
+        return {
+            date: slotStart.slice(0, 10),
+            day: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+            minutes: hours * 60 + minutes
+        };
+    }
+
+    const date = new Date(slotStart);
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+        day: date.getDay(),
+        minutes: date.getHours() * 60 + date.getMinutes()
+    };
+}
+
+/**
+ * Fill in defaults on stored or submitted preferences
+ * @param {Object} [preferences] - { from, until, windows: [{ days, from, to }] }
+ * @returns {Object} { from, until, windows } with every window's days sorted
+ */
+function normalizePreferences(preferences) {
+    const windows = (preferences?.windows || []).map(timeWindow => ({
+        days: Array.isArray(timeWindow.days) && timeWindow.days.length
+            ? [...new Set(timeWindow.days.map(Number))].sort((a, b) => a - b)
+            : ALL_DAYS,
+        from: timeWindow.from || null,
+        to: timeWindow.to || null
+    }));
+
+    return {
+        from: preferences?.from || null,
+        until: preferences?.until || null,
+        windows
+    };
+}
+
+/**
+ * Check preferences a customer is about to save
+ * @param {Object} preferences - { from, until, windows }
+ * @param {Object} [options] - { today: 'YYYY-MM-DD' }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validatePreferences(preferences, { today = slotParts(new Date()).date } = {}) {
+    const errors = [];
+    if (!preferences) return errors;
+    if (typeof preferences !== 'object') return ['Preferences must be an object'];
+
+    const { from, until } = preferences;
+    if (from && !DATE_PATTERN.test(from)) errors.push('Start date must be YYYY-MM-DD');
+    if (until && !DATE_PATTERN.test(until)) errors.push('End date must be YYYY-MM-DD');
+    if (until && DATE_PATTERN.test(until)) {
+        if (until < today) errors.push('End date is in the past');
+        if (from && DATE_PATTERN.test(from) && until < from) errors.push('End date is before the start date');
+
+        const rangeDays = (Date.parse(until) - Date.parse(from && from > today ? from : today)) / 86400000;
+        if (rangeDays > MAX_RANGE_DAYS) errors.push(`Dates can cover up to ${MAX_RANGE_DAYS} days`);
+    }
+
+    const windows = preferences.windows || [];
+    if (!Array.isArray(windows)) return [...errors, 'Time windows must be a list'];
+    if (windows.length > 14) errors.push('Add up to 14 time windows');
+
+    windows.forEach((timeWindow, index) => {
+        const label = `Window ${index + 1}`;
+        if (timeWindow.days !== undefined && (!Array.isArray(timeWindow.days) ||
+            timeWindow.days.some(day => !Number.isInteger(Number(day)) || Number(day) < 0 || Number(day) > 6))) {
+            errors.push(`${label}: days must be 0 (Sunday) to 6 (Saturday)`);
+        }
+        if (timeWindow.from && !TIME_PATTERN.test(timeWindow.from)) errors.push(`${label}: from must be HH:MM`);
+        if (timeWindow.to && !TIME_PATTERN.test(timeWindow.to)) errors.push(`${label}: to must be HH:MM`);
+        if (TIME_PATTERN.test(timeWindow.from || '') && TIME_PATTERN.test(timeWindow.to || '') &&
+            toMinutes(timeWindow.to) <= toMinutes(timeWindow.from)) {
+            errors.push(`${label}: to must be after from`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Whether a slot suits a customer's preferences
+ * @param {Object} preferences - { from, until, windows }
+ * @param {string|Date} slotStart - Slot start (local timestamp or Date)
+ * @returns {boolean}
+ */
+function slotFits(preferences, slotStart) {
+    const { from, until, windows } = normalizePreferences(preferences);
+    const slot = slotParts(slotStart);
+
+    if (from && slot.date < from) return false;
+    if (until && slot.date > until) return false;
+    if (!windows.length) return true;
+
+    return windows.some(timeWindow =>
+        timeWindow.days.includes(slot.day) &&
+        (!timeWindow.from || slot.minutes >= toMinutes(timeWindow.from)) &&
+        (!timeWindow.to || slot.minutes < toMinutes(timeWindow.to))
+    );
+}
+
+/**
+ * How well a slot suits a customer, for ranking who is offered it first.
+ * A slot matching a narrow request is a rarer chance than one for a customer
+ * who can come any time, so it counts for more.
+ * @param {Object} preferences - { from, until, windows }
+ * @param {string|Date} slotStart - Slot start
+ * @param {Object} [staff] - { wanted, slot }: stylist the customer asked for and the slot's stylist
+ * @returns {number|null} Fit points, or null when the slot does not suit them
+ */
+function fitScore(preferences, slotStart, { wanted = null, slot = null } = {}) {
+    if (!slotFits(preferences, slotStart)) return null;
+    if (wanted && slot && String(wanted) !== String(slot)) return null;
+
+    const { from, until, windows } = normalizePreferences(preferences);
+    let score = 0;
+    if (windows.length) score += FIT_POINTS.window;
+    if (from || until) score += FIT_POINTS.dateRange;
+    if (wanted) score += FIT_POINTS.stylist;
+    return score;
+}
+
+/**
+ * Plain-English lines describing preferences, for the join form and dashboards
+ * @param {Object} preferences - { from, until, windows }
+ * @returns {Array<string>} e.g. ["Mon–Fri from 17:00", "Until 2025-11-21"]
+ */
+function describePreferences(preferences) {
+    const { from, until, windows } = normalizePreferences(preferences);
+
+    const lines = windows.map(timeWindow => {
+        const days = timeWindow.days.length === 7 ? 'Any day'
+            : timeWindow.days.join() === '1,2,3,4,5' ? 'Mon–Fri'
+            : timeWindow.days.join() === '0,6' ? 'Weekends'
+            : timeWindow.days.map(day => DAY_NAMES[day]).join(', ');
+        if (timeWindow.from && timeWindow.to) return `${days} ${timeWindow.from}–${timeWindow.to}`;
+        if (timeWindow.from) return `${days} from ${timeWindow.from}`;
+        if (timeWindow.to) return `${days} before ${timeWindow.to}`;
+        return days;
+    });
+    if (!lines.length) lines.push('Any time');
+
+    if (from && until) lines.push(`Between ${from} and ${until}`);
+    else if (from) lines.push(`From ${from}`);
+    else if (until) lines.push(`Until ${until}`);
+
+    return lines;
+}
+
+const WaitingListPreferences = {
+    FIT_POINTS,
+    MAX_RANGE_DAYS,
+    normalizePreferences,
+    validatePreferences,
+    slotFits,
+    fitScore,
+    describePreferences
+};
+
+// Export for Node (waiting list service) and the browser (join form, automation system)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaitingListPreferences;
+}
+if (typeof window !== 'undefined') {
+    window.WaitingListPreferences = WaitingListPreferences;
+}
@@ -0,0 +1,104 @@
+// WhatsApp Business template messages for BlkPages notifications
+//
+// WhatsApp only lets a business start a conversation with a template that
+// Meta has approved, so every WhatsApp notification is one of these. The
+// bodies are the text as submitted for approval; the Content SID Twilio
+// gives each approved template is read from the environment variable named
+// here. Variables are numbered {{1}}, {{2}}, ... in the order listed.
+//
+// Shared by the communication system, the notification automation system
+// and the WhatsApp service, so a message is filled in the same way wherever
+// it is sent from.
+
+const TEMPLATES = {
+    booking_confirmation: {
+        category: 'booking',
+        contentSidEnv: 'WHATSAPP_TEMPLATE_BOOKING_CONFIRMATION',
+        variables: ['customerName', 'service', 'businessName', 'bookingTime'],
+        body: 'Hi {{1}}, your booking for {{2}} at {{3}} on {{4}} is confirmed. The details are in your email.'
+    },
+    booking_reminder: {
+        category: 'reminders',
+        contentSidEnv: 'WHATSAPP_TEMPLATE_BOOKING_REMINDER',
+        variables: ['customerName', 'service', 'businessName', 'bookingTime', 'unsubscribeUrl'],
+        body: 'Hi {{1}}, a reminder of your {{2}} at {{3}} on {{4}}. To change it, use the link in your confirmation email. Stop reminders: {{5}}'
+    },
+    waiting_list_offer: {
+        category: 'waiting_list',
+        contentSidEnv: 'WHATSAPP_TEMPLATE_WAITING_LIST_OFFER',
+        variables: ['customerName', 'service', 'businessName', 'slotTime', 'holdHours', 'offerUrl', 'unsubscribeUrl'],
+        body: 'Hi {{1}}, a slot opened for {{2}} at {{3}} on {{4}}. It is held for you for {{5}} hours: {{6}} Stop waiting list offers: {{7}}'
+    }
+};
+
+// Notification automation event types that have an approved template;
+// anything else is not sent on WhatsApp
+const EVENT_TEMPLATES = {
+    'booking.create': 'booking_confirmation',
+    'booking.reminder': 'booking_reminder',
+    'waitinglist.slot.opened': 'waiting_list_offer'
+};
+
+function getTemplate(name) {
+    return TEMPLATES[name] || null;
+}
+
+function templateForEvent(eventType) {
+    return EVENT_TEMPLATES[eventType] || null;
+}
+
+/**
+ * Names of the variables a template needs that are missing from data
+ * (WhatsApp rejects a template with an empty variable)
+ */
+function missingVariables(name, data = {}) {
+    const template = getTemplate(name);
+    if (!template) return [];
+    return template.variables.filter(variable =>
+        data[variable] === undefined || data[variable] === null || String(data[variable]).trim() === '');
+}
+
+/**
+ * Template variables in the form the provider expects: { "1": "Amara", "2": "Haircut", ... }
+ */
+function contentVariables(name, data = {}) {
+    const template = getTemplate(name);
+    if (!template) throw new Error(`Unknown WhatsApp template "${name}"`);
+
+    const missing = missingVariables(name, data);
+    if (missing.length) {
+        throw new Error(`WhatsApp template "${name}" is missing ${missing.join(', ')}`);
+    }
+
+    const variables = {};
+    template.variables.forEach((variable, i) => {
+        variables[String(i + 1)] = String(data[variable]);
+    });
+    return variables;
+}
+
+/**
+ * The text the recipient will see, for logs and the mock transport
+ */
+function render(name, data = {}) {
+    const variables = contentVariables(name, data);
+    return getTemplate(name).body.replace(/\{\{(\d+)\}\}/g, (_, n) => variables[n]);
+}
+
+const WhatsAppTemplates = {
+    TEMPLATES,
+    EVENT_TEMPLATES,
+    getTemplate,
+    templateForEvent,
+    missingVariables,
+    contentVariables,
+    render
+};
+
+// Export for Node (communication system, backend services) and the browser (automation system)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WhatsAppTemplates;
+}
+if (typeof window !== 'undefined') {
+    window.WhatsAppTemplates = WhatsAppTemplates;
+}